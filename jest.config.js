@@ -25,5 +25,9 @@ module.exports = {
       testTimeout: 30000,
       coverageDirectory: '<rootDir>/coverage/services-e2e',
     },
+    {
+      displayName: 'annotations',
+      testMatch: ['<rootDir>/service-sandbox/annotations/*.contract.test.js'],
+    },
   ],
 }
@@ -0,0 +1,24 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+const { checkServiceDir } = require('./index')
+
+const SERVICES_DIR = path.join(__dirname, '..', '..', 'services')
+
+const serviceIds = fs.readdirSync(SERVICES_DIR)
+  .filter(id => fs.existsSync(path.join(SERVICES_DIR, id, 'src', 'index.js')))
+  .sort()
+
+function format(violations) {
+  return violations.map(({ rule, line, message }) => `src/index.js:${ line } [${ rule }] ${ message }`)
+}
+
+describe('Service annotation contract', () => {
+  it.each(serviceIds)('%s', serviceId => {
+    const violations = checkServiceDir(path.join(SERVICES_DIR, serviceId))
+
+    expect(format(violations)).toEqual([])
+  })
+})
@@ -0,0 +1,34 @@
+'use strict'
+
+/**
+ * Annotation contract checker.
+ *
+ *   npm run test:annotations                                   // every service
+ *   npm run test:annotations -- -t brevo                       // a single service
+ *
+ *   const { checkServiceDir } = require('../../service-sandbox/annotations')
+ *   checkServiceDir('services/brevo')                          // [{ rule, line, message }]
+ */
+
+const path = require('path')
+
+const { parseServiceFile, parseServiceSource, parseJSDoc, summarizeService, TRIGGER_TYPES } = require('./parser')
+const { checkService, RULES, MAX_HINT_LENGTH } = require('./rules')
+
+function checkServiceDir(serviceDir) {
+  const service = parseServiceFile(path.join(serviceDir, 'src', 'index.js'))
+
+  return checkService(service, { serviceDir })
+}
+
+module.exports = {
+  parseJSDoc,
+  parseServiceSource,
+  parseServiceFile,
+  summarizeService,
+  checkService,
+  checkServiceDir,
+  RULES,
+  MAX_HINT_LENGTH,
+  TRIGGER_TYPES,
+}
@@ -0,0 +1,378 @@
+'use strict'
+
+/**
+ * Parser for the FlowRunner annotation dialect.
+ *
+ * Reads a service entry file (`services/<id>/src/index.js`) and returns its JSDoc annotations
+ * attached to the things they describe:
+ *
+ *   const { parseServiceFile } = require('../../service-sandbox/annotations')
+ *   const service = parseServiceFile('services/brevo/src/index.js')
+ *
+ *   service.integration.tags.integrationName   // 'Brevo'
+ *   service.methods[0]                         // { name, params, operationName, route, paramDefs, ... }
+ *   service.typedefs                           // [{ name, paramDefs, properties }]
+ *   service.configItems                        // [{ name, hint, ... }] statically read from addService()
+ *
+ * Only the annotation layer is interpreted here; rules that judge it live in rules.js.
+ */
+
+const fs = require('fs')
+const espree = require('espree')
+
+const ECMA_VERSION = 2023
+
+/**
+ * Splits the body of a JSDoc block into tags. A tag runs from its `@name` until the next
+ * line that starts with a tag, so multi-line descriptions are kept together.
+ */
+function parseJSDoc(commentValue, startLine) {
+  const lines = commentValue.split('\n')
+  const tags = []
+  const freeText = []
+  let current = null
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.replace(/^\s*\*?\s*/, '').replace(/\s+$/, '')
+    const tagMatch = line.match(/^@([A-Za-z_][\w]*)\s*(.*)$/)
+
+    if (tagMatch) {
+      current = { tag: tagMatch[1], value: tagMatch[2], lines: 1, line: startLine + index }
+      tags.push(current)
+
+      return
+    }
+
+    if (current) {
+      if (line) {
+        current.value = current.value ? `${ current.value }\n${ line }` : line
+        current.lines++
+      }
+
+      return
+    }
+
+    if (line) {
+      freeText.push(line)
+    }
+  })
+
+  for (const tag of tags) {
+    tag.value = tag.value.trim()
+  }
+
+  return { tags, text: freeText.join('\n') }
+}
+
+function firstTag(tags, name) {
+  const tag = tags.find(item => item.tag === name)
+
+  return tag ? tag.value : undefined
+}
+
+function parseParamDef(tag) {
+  const paramDef = { raw: tag.value, line: tag.line, multiline: tag.value.includes('\n') }
+
+  try {
+    paramDef.json = JSON.parse(tag.value)
+    paramDef.keys = Object.keys(paramDef.json)
+  } catch (error) {
+    paramDef.error = error.message
+  }
+
+  return paramDef
+}
+
+function parseRoute(value) {
+  if (value === undefined) {
+    return undefined
+  }
+
+  const match = value.match(/^(\S+)\s+(\S+)$/)
+
+  return match
+    ? { raw: value, verb: match[1], path: match[2] }
+    : { raw: value, verb: undefined, path: undefined }
+}
+
+function parseSampleResult(value) {
+  if (value === undefined) {
+    return undefined
+  }
+
+  const sampleResult = { raw: value, multiline: value.includes('\n') }
+
+  try {
+    sampleResult.json = JSON.parse(value)
+  } catch (error) {
+    sampleResult.error = error.message
+  }
+
+  return sampleResult
+}
+
+function describeParam(node) {
+  switch (node.type) {
+    case 'Identifier':
+      return { name: node.name }
+    case 'AssignmentPattern':
+      return { ...describeParam(node.left), hasDefault: true }
+    case 'RestElement':
+      return { ...describeParam(node.argument), rest: true }
+    default:
+      return { name: undefined, destructured: true }
+  }
+}
+
+function buildAnnotated(jsdoc) {
+  const { tags } = jsdoc
+
+  return {
+    tags,
+    text: jsdoc.text,
+    registerAs: firstTag(tags, 'registerAs'),
+    operationName: firstTag(tags, 'operationName'),
+    description: firstTag(tags, 'description'),
+    category: firstTag(tags, 'category'),
+    route: parseRoute(firstTag(tags, 'route')),
+    sampleResult: parseSampleResult(firstTag(tags, 'sampleResult')),
+    paramDefs: tags.filter(({ tag }) => tag === 'paramDef').map(parseParamDef),
+  }
+}
+
+function parseTypedefs(jsdoc) {
+  const typedefTag = jsdoc.tags.find(({ tag }) => tag === 'typedef')
+
+  if (!typedefTag) {
+    return null
+  }
+
+  const match = typedefTag.value.match(/^(?:\{([^}]*)\}\s*)?(\S+)/)
+
+  return {
+    name: match ? match[2] : undefined,
+    type: match ? match[1] : undefined,
+    line: typedefTag.line,
+    paramDefs: jsdoc.tags.filter(({ tag }) => tag === 'paramDef').map(parseParamDef),
+    properties: jsdoc.tags.filter(({ tag }) => tag === 'property').map(({ value }) => value),
+  }
+}
+
+function literalValue(node) {
+  if (!node) {
+    return undefined
+  }
+
+  if (node.type === 'Literal') {
+    return node.value
+  }
+
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return node.quasis.map(quasi => quasi.value.cooked).join('')
+  }
+
+  if (node.type === 'BinaryExpression' && node.operator === '+') {
+    const left = literalValue(node.left)
+    const right = literalValue(node.right)
+
+    return typeof left === 'string' && typeof right === 'string' ? left + right : undefined
+  }
+
+  return undefined
+}
+
+function isAddServiceCall(node) {
+  const callee = node.callee
+
+  return callee && callee.type === 'MemberExpression' &&
+    callee.property && callee.property.name === 'addService' &&
+    callee.object && callee.object.type === 'MemberExpression' &&
+    callee.object.property && callee.object.property.name === 'ServerCode'
+}
+
+/**
+ * Reads config items from `Flowrunner.ServerCode.addService(Service, [ ... ])` without
+ * running the service. Properties that are not literals are reported as undefined.
+ */
+function extractConfigItems(ast) {
+  let configItems = null
+
+  function visit(node) {
+    if (!node || typeof node.type !== 'string' || configItems) {
+      return
+    }
+
+    if (node.type === 'CallExpression' && isAddServiceCall(node)) {
+      const list = node.arguments[1]
+
+      configItems = list && list.type === 'ArrayExpression'
+        ? list.elements.filter(element => element && element.type === 'ObjectExpression').map(element => {
+          const item = { line: element.loc.start.line }
+
+          for (const property of element.properties) {
+            if (property.type === 'Property' && property.key) {
+              item[property.key.name || property.key.value] = literalValue(property.value)
+            }
+          }
+
+          return item
+        })
+        : []
+
+      return
+    }
+
+    for (const key of Object.keys(node)) {
+      const child = node[key]
+
+      if (key === 'parent' || !child || typeof child !== 'object') {
+        continue
+      }
+
+      if (Array.isArray(child)) {
+        child.forEach(visit)
+      } else {
+        visit(child)
+      }
+    }
+  }
+
+  visit(ast)
+
+  return configItems || []
+}
+
+/**
+ * Parses service source code.
+ *
+ * @param {string} source - Contents of the service entry file.
+ * @param {string} [file] - File path, kept on the result for reporting.
+ */
+function parseServiceSource(source, file) {
+  const ast = espree.parse(source, {
+    ecmaVersion: ECMA_VERSION,
+    sourceType: 'script',
+    comment: true,
+    loc: true,
+    range: true,
+  })
+
+  const jsdocComments = ast.comments
+    .filter(comment => comment.type === 'Block' && comment.value.startsWith('*'))
+    .map(comment => ({ comment, jsdoc: parseJSDoc(comment.value.slice(1), comment.loc.start.line) }))
+
+  /** Finds the JSDoc block that directly precedes a node (only whitespace in between). */
+  function leadingJSDoc(node) {
+    for (let i = jsdocComments.length - 1; i >= 0; i--) {
+      const { comment } = jsdocComments[i]
+
+      if (comment.range[1] <= node.range[0]) {
+        const between = source.slice(comment.range[1], node.range[0])
+
+        return /^\s*$/.test(between) ? jsdocComments[i] : null
+      }
+    }
+
+    return null
+  }
+
+  const result = {
+    file,
+    integration: null,
+    className: undefined,
+    methods: [],
+    typedefs: [],
+    configItems: extractConfigItems(ast),
+  }
+
+  function integrationTags({ comment, jsdoc }) {
+    return {
+      line: comment.loc.start.line,
+      tags: Object.fromEntries(jsdoc.tags.map(({ tag, value }) => [tag, value === '' ? true : value])),
+    }
+  }
+
+  function visitClass(classNode) {
+    const classDoc = leadingJSDoc(classNode)
+
+    if (!result.integration && classDoc && classDoc.jsdoc.tags.some(({ tag }) => tag.startsWith('integration'))) {
+      result.className = classNode.id && classNode.id.name
+      result.integration = integrationTags(classDoc)
+    }
+
+    for (const member of classNode.body.body) {
+      if (member.type !== 'MethodDefinition' || member.kind !== 'method') {
+        continue
+      }
+
+      const doc = leadingJSDoc(member)
+
+      result.methods.push({
+        name: member.key.type === 'PrivateIdentifier' ? `#${ member.key.name }` : (member.key.name || member.key.value),
+        isPrivate: member.key.type === 'PrivateIdentifier',
+        isStatic: member.static,
+        line: member.loc.start.line,
+        params: member.value.params.map(describeParam),
+        documented: !!doc,
+        ...buildAnnotated(doc ? doc.jsdoc : { tags: [], text: '' }),
+      })
+    }
+  }
+
+  for (const node of ast.body) {
+    if (node.type === 'ClassDeclaration') {
+      visitClass(node)
+    }
+  }
+
+  // Some services keep the integration block at the top of the file instead of on the class
+  if (!result.integration) {
+    const integrationDoc = jsdocComments.find(({ jsdoc }) => jsdoc.tags.some(({ tag }) => tag === 'integrationName'))
+
+    if (integrationDoc) {
+      result.integration = integrationTags(integrationDoc)
+    }
+  }
+
+  for (const entry of jsdocComments) {
+    const typedef = parseTypedefs(entry.jsdoc)
+
+    if (typedef) {
+      result.typedefs.push(typedef)
+    }
+  }
+
+  return result
+}
+
+function parseServiceFile(file) {
+  return parseServiceSource(fs.readFileSync(file, 'utf8'), file)
+}
+
+const TRIGGER_TYPES = ['REALTIME_TRIGGER', 'POLLING_TRIGGER']
+
+/**
+ * Names the README generator lists (see docs/ai/readme-generation-rules.md): actions are
+ * methods with @operationName and no @registerAs; triggers are REALTIME/POLLING triggers.
+ */
+function summarizeService(service) {
+  const named = service.methods.filter(method => method.operationName && !method.isPrivate)
+
+  return {
+    name: service.integration ? service.integration.tags.integrationName : undefined,
+    actions: named
+      .filter(method => !method.registerAs)
+      .map(method => method.operationName),
+    triggers: named
+      .filter(method => TRIGGER_TYPES.includes(method.registerAs))
+      .map(method => method.operationName),
+  }
+}
+
+module.exports = {
+  parseJSDoc,
+  parseServiceSource,
+  parseServiceFile,
+  summarizeService,
+  TRIGGER_TYPES,
+}
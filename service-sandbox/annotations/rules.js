@@ -0,0 +1,302 @@
+'use strict'
+
+/**
+ * Mechanical checks for the hard rules in docs/ai/flowrunner-service-rules.md.
+ *
+ * Every rule receives the parsed service (see parser.js) and a context with the service
+ * directory, and returns violations as { rule, line, message }. checkService() runs them all.
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const ROUTE_VERBS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE']
+const MAX_HINT_LENGTH = 250
+
+const OAUTH_ROUTES = {
+  getOAuth2ConnectionURL: 'GET',
+  executeCallback: 'POST',
+  refreshToken: 'PUT',
+}
+
+// These receive a single invocation/payload object instead of positional action parameters
+const NO_PARAMS_ORDER_CHECK = [
+  'SYSTEM',
+  'DICTIONARY',
+  'SAMPLE_RESULT_LOADER',
+  'PARAM_SCHEMA_DEFINITION',
+  'REALTIME_TRIGGER',
+  'POLLING_TRIGGER',
+]
+
+function violation(rule, line, message) {
+  return { rule, line, message }
+}
+
+/**
+ * Every @paramDef of methods and typedefs, with a label saying where it was found.
+ */
+function allParamDefs(service) {
+  const entries = []
+
+  for (const method of service.methods) {
+    for (const paramDef of method.paramDefs) {
+      entries.push({ owner: `${ method.name }()`, paramDef })
+    }
+  }
+
+  for (const typedef of service.typedefs) {
+    for (const paramDef of typedef.paramDefs) {
+      entries.push({ owner: `typedef ${ typedef.name }`, paramDef })
+    }
+  }
+
+  return entries
+}
+
+function checkParamDefs(service) {
+  const violations = []
+
+  for (const { owner, paramDef } of allParamDefs(service)) {
+    if (paramDef.error) {
+      violations.push(violation('paramdef-json', paramDef.line, `${ owner }: @paramDef is not valid JSON (${ paramDef.error })`))
+
+      continue
+    }
+
+    const { json, keys } = paramDef
+
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+      violations.push(violation('paramdef-json', paramDef.line, `${ owner }: @paramDef must be a JSON object`))
+
+      continue
+    }
+
+    const label = `${ owner }: @paramDef "${ json.name }"`
+
+    for (const required of ['type', 'name']) {
+      if (!json[required]) {
+        violations.push(violation('paramdef-required', paramDef.line, `${ label } has no "${ required }"`))
+      }
+    }
+
+    if (keys.includes('description') && keys[keys.length - 1] !== 'description') {
+      violations.push(violation('paramdef-order', paramDef.line, `${ label }: "description" must be the last property`))
+    }
+
+    if (typeof json.type === 'string' && json.type.includes('Array.<')) {
+      violations.push(violation('paramdef-type', paramDef.line, `${ label }: use "Array<Type>" instead of "${ json.type }"`))
+    }
+  }
+
+  return violations
+}
+
+function checkDictionaries(service) {
+  const violations = []
+  const methodsByName = new Map(service.methods.map(method => [method.name, method]))
+
+  for (const { owner, paramDef } of allParamDefs(service)) {
+    if (!paramDef.json || typeof paramDef.json !== 'object' || paramDef.json.dictionary === undefined) {
+      continue
+    }
+
+    const { dictionary, name } = paramDef.json
+    const label = `${ owner }: @paramDef "${ name }"`
+
+    if (typeof dictionary !== 'string') {
+      violations.push(violation('dictionary-ref', paramDef.line, `${ label }: "dictionary" must be a method name string`))
+
+      continue
+    }
+
+    const target = methodsByName.get(dictionary)
+
+    if (!target) {
+      violations.push(violation('dictionary-ref', paramDef.line, `${ label }: dictionary "${ dictionary }" is not a method of the service`))
+    } else if (target.registerAs !== 'DICTIONARY') {
+      violations.push(violation('dictionary-ref', paramDef.line, `${ label }: dictionary "${ dictionary }" is not registered as DICTIONARY`))
+    }
+  }
+
+  return violations
+}
+
+function checkRoutes(service) {
+  const violations = []
+  const seen = new Map()
+
+  for (const method of service.methods) {
+    const { route } = method
+
+    if (!route) {
+      if (method.registerAs === 'DICTIONARY') {
+        violations.push(violation('route-dictionary', method.line, `${ method.name }(): DICTIONARY methods need a "@route POST" annotation`))
+      }
+
+      continue
+    }
+
+    if (!route.verb || !ROUTE_VERBS.includes(route.verb) || !route.path.startsWith('/')) {
+      violations.push(violation('route-format', method.line, `${ method.name }(): "@route ${ route.raw }" must be "<${ ROUTE_VERBS.join('|') }> /path"`))
+
+      continue
+    }
+
+    const key = `${ route.verb } ${ route.path }`
+
+    if (seen.has(key)) {
+      violations.push(violation('route-unique', method.line, `${ method.name }(): "@route ${ key }" is already used by ${ seen.get(key) }()`))
+    } else {
+      seen.set(key, method.name)
+    }
+
+    if (OAUTH_ROUTES[method.name] && method.registerAs === 'SYSTEM' && route.verb !== OAUTH_ROUTES[method.name]) {
+      violations.push(violation('route-oauth', method.line, `${ method.name }(): OAuth system route must use ${ OAUTH_ROUTES[method.name] }`))
+    }
+
+    if (method.registerAs === 'DICTIONARY' && route.verb !== 'POST') {
+      violations.push(violation('route-dictionary', method.line, `${ method.name }(): DICTIONARY routes must use POST`))
+    }
+  }
+
+  return violations
+}
+
+/**
+ * Action parameters are mapped positionally, so there must be one signature parameter per
+ * @paramDef, and names used on both sides must come in the same order. Destructured
+ * parameters cannot be mapped at all.
+ */
+function checkParamsOrder(service) {
+  const violations = []
+
+  for (const method of service.methods) {
+    if (method.isPrivate || !method.paramDefs.length || NO_PARAMS_ORDER_CHECK.includes(method.registerAs)) {
+      continue
+    }
+
+    if (method.params.some(param => param.destructured)) {
+      violations.push(violation('params-destructured', method.line, `${ method.name }(): parameters with @paramDef must not be destructured`))
+
+      continue
+    }
+
+    const declared = method.paramDefs.map(paramDef => paramDef.json && paramDef.json.name)
+    const signature = method.params.map(param => param.name)
+
+    if (declared.length !== signature.length) {
+      violations.push(violation(
+        'params-count',
+        method.line,
+        `${ method.name }(): ${ declared.length } @paramDef for ${ signature.length } signature parameters`
+      ))
+
+      continue
+    }
+
+    const shared = declared.filter(name => signature.includes(name))
+    const sharedInSignature = signature.filter(name => shared.includes(name))
+
+    if (shared.join(',') !== sharedInSignature.join(',')) {
+      violations.push(violation(
+        'params-order',
+        method.line,
+        `${ method.name }(): @paramDef order (${ declared.join(', ') }) does not match the signature (${ signature.join(', ') })`
+      ))
+    }
+  }
+
+  return violations
+}
+
+function checkSampleResults(service) {
+  const violations = []
+
+  for (const method of service.methods) {
+    const { sampleResult } = method
+
+    if (!sampleResult) {
+      continue
+    }
+
+    if (OAUTH_ROUTES[method.name] && method.registerAs === 'SYSTEM') {
+      violations.push(violation('sample-result-oauth', method.line, `${ method.name }(): OAuth system methods must not have @sampleResult`))
+    }
+
+    if (sampleResult.multiline) {
+      violations.push(violation('sample-result-format', method.line, `${ method.name }(): @sampleResult must be single-line JSON`))
+    }
+
+    // A simple string sample is allowed; anything that looks like JSON has to parse
+    if (sampleResult.error && /^[[{"]/.test(sampleResult.raw)) {
+      violations.push(violation('sample-result-json', method.line, `${ method.name }(): @sampleResult is not valid JSON (${ sampleResult.error })`))
+    }
+  }
+
+  return violations
+}
+
+function checkIntegrationIcon(service, context) {
+  if (!service.integration) {
+    return [violation('integration', 1, 'No class with @integrationName annotations found')]
+  }
+
+  const icon = service.integration.tags.integrationIcon
+  const line = service.integration.line
+
+  if (!icon || icon === true) {
+    return [violation('integration-icon', line, 'Missing @integrationIcon')]
+  }
+
+  if (/^data:/i.test(icon)) {
+    return [violation('integration-icon', line, '@integrationIcon must reference a file in public/, not a data: URI')]
+  }
+
+  const iconFile = path.join(context.serviceDir, 'public', icon.replace(/^\/+/, ''))
+
+  if (!fs.existsSync(iconFile)) {
+    return [violation('integration-icon', line, `@integrationIcon "${ icon }" does not exist in public/`)]
+  }
+
+  return []
+}
+
+function checkConfigHints(service) {
+  return service.configItems
+    .filter(item => typeof item.hint === 'string' && item.hint.length > MAX_HINT_LENGTH)
+    .map(item => violation(
+      'config-hint',
+      item.line,
+      `Config item "${ item.name }": hint is ${ item.hint.length } characters (max ${ MAX_HINT_LENGTH })`
+    ))
+}
+
+const RULES = [
+  checkParamDefs,
+  checkDictionaries,
+  checkRoutes,
+  checkParamsOrder,
+  checkSampleResults,
+  checkIntegrationIcon,
+  checkConfigHints,
+]
+
+/**
+ * Runs all rules and returns violations sorted by line.
+ *
+ * @param {Object} service - Result of parseServiceFile().
+ * @param {Object} context
+ * @param {string} context.serviceDir - The services/<id> directory, for file checks.
+ */
+function checkService(service, context) {
+  return RULES
+    .flatMap(rule => rule(service, context))
+    .sort((a, b) => a.line - b.line)
+}
+
+module.exports = {
+  checkService,
+  RULES,
+  MAX_HINT_LENGTH,
+}
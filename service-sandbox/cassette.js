@@ -0,0 +1,317 @@
+'use strict'
+
+/**
+ * Record/replay HTTP cassettes for e2e tests.
+ *
+ * The cassette mode is picked with the FLOWRUNNER_CASSETTE environment variable (or the
+ * `cassette` option of createE2ESandbox):
+ *
+ *   record  – requests go through superagent (request-real.js) as usual; every exchange is
+ *             captured and written, sanitized, to services/<id>/tests/cassettes/<id>.json
+ *             when the sandbox is cleaned up.
+ *   replay  – no network and no e2e-config.json: configs and testValues come from the
+ *             cassette and responses are served through the createRequestMock chain API.
+ *
+ *   npm run test:e2e:record -- --testPathPatterns services/brevo
+ *   npm run test:e2e:replay
+ *
+ * Sanitizing: secret config values are replaced by `<config:NAME>` placeholders (the same
+ * placeholders become the service config in replay, so URLs and queries built from them
+ * still match), e-mail addresses become `user-N@example.com`, and other values of
+ * secret-looking headers, query parameters and body fields (tokens, keys, passwords,
+ * signatures, cookies) are redacted.
+ *
+ * Matching: an interaction is identified by method, URL and query. Repeated calls to the
+ * same request are answered in the order they were recorded.
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const SERVICES_DIR = path.join(__dirname, '..', 'services')
+const MODES = ['record', 'replay']
+const REDACTED = '<redacted>'
+const SECRET_KEY_PATTERN = /token|secret|password|passwd|api[-_]?key|apikey|authorization|cookie|signature|credential|private[-_]?key|session/i
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+const MIN_SECRET_LENGTH = 4
+
+function resolveCassetteMode(mode) {
+  const value = mode === undefined ? process.env.FLOWRUNNER_CASSETTE : mode
+
+  if (!value) {
+    return null
+  }
+
+  if (!MODES.includes(value)) {
+    throw new Error(`Unknown cassette mode "${ value }". Use one of: ${ MODES.join(', ') }`)
+  }
+
+  return value
+}
+
+function cassettePath(serviceId) {
+  return path.join(SERVICES_DIR, serviceId, 'tests', 'cassettes', `${ serviceId }.json`)
+}
+
+/**
+ * Identifies a request by method, URL path and the merged, sorted query string, so that
+ * `get('/items?a=1')` and `get('/items').query({ a: 1 })` are the same interaction.
+ */
+function requestKey(method, url, query) {
+  const [base, search = ''] = String(url).split('?')
+  const params = [...new URLSearchParams(search).entries()]
+
+  for (const [name, value] of Object.entries(query || {})) {
+    if (value !== undefined) {
+      params.push([name, String(value)])
+    }
+  }
+
+  params.sort(([a, aValue], [b, bValue]) => a.localeCompare(b) || aValue.localeCompare(bValue))
+
+  const merged = new URLSearchParams(params).toString()
+
+  return `${ method.toUpperCase() } ${ base }${ merged ? `?${ merged }` : '' }`
+}
+
+function encodeBody(body) {
+  if (Buffer.isBuffer(body)) {
+    return { $binary: body.toString('base64') }
+  }
+
+  return body
+}
+
+function decodeBody(body) {
+  if (body && typeof body === 'object' && typeof body.$binary === 'string') {
+    return Buffer.from(body.$binary, 'base64')
+  }
+
+  return body
+}
+
+/**
+ * Base URLs, hosts and other plain settings are kept as they are: replay has to build the
+ * same URLs, and they are not secrets. Everything else long enough to be a credential is.
+ */
+function isSecretConfig(value) {
+  return typeof value === 'string' && value.length >= MIN_SECRET_LENGTH && !/^https?:\/\//i.test(value)
+}
+
+function createSanitizer(configs) {
+  const replacements = []
+  const emails = new Map()
+
+  for (const [name, value] of Object.entries(configs || {})) {
+    if (isSecretConfig(value)) {
+      const placeholder = `<config:${ name }>`
+
+      replacements.push([value, placeholder], [encodeURIComponent(value), encodeURIComponent(placeholder)])
+    }
+  }
+
+  // Longest first, so a value containing another one is replaced as a whole
+  replacements.sort(([a], [b]) => b.length - a.length)
+
+  function emailPlaceholder(email) {
+    const key = email.toLowerCase()
+
+    if (!emails.has(key)) {
+      emails.set(key, `user-${ emails.size + 1 }@example.com`)
+    }
+
+    return emails.get(key)
+  }
+
+  function replaceConfigs(value) {
+    let result = value
+
+    for (const [secret, placeholder] of replacements) {
+      result = result.split(secret).join(placeholder)
+    }
+
+    return result
+  }
+
+  function sanitizeString(value) {
+    const result = replaceConfigs(value).replace(/[A-Za-z0-9._%+-]+%40[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, encoded => {
+      return encodeURIComponent(emailPlaceholder(decodeURIComponent(encoded)))
+    })
+
+    return result.replace(EMAIL_PATTERN, emailPlaceholder)
+  }
+
+  function sanitize(value, key) {
+    if (key !== undefined && SECRET_KEY_PATTERN.test(key) && (typeof value === 'string' || typeof value === 'number')) {
+      // A secret built from config values keeps its placeholders: replay sends the placeholder
+      // configs, so an api_key query parameter has to be recorded as <config:apiKey> to match.
+      const replaced = typeof value === 'string' ? replaceConfigs(value) : value
+
+      return replaced !== value ? replaced : REDACTED
+    }
+
+    if (typeof value === 'string') {
+      return sanitizeString(value)
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => sanitize(item))
+    }
+
+    if (value && typeof value === 'object') {
+      if (typeof value.$binary === 'string') {
+        return value
+      }
+
+      return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, sanitize(item, name)]))
+    }
+
+    return value
+  }
+
+  return {
+    sanitize,
+    sanitizeString,
+
+    placeholderConfigs() {
+      return Object.fromEntries(Object.entries(configs || {}).map(([name, value]) => {
+        return [name, isSecretConfig(value) ? `<config:${ name }>` : value]
+      }))
+    },
+  }
+}
+
+function responseHeaders(headers) {
+  const kept = {}
+
+  for (const name of ['content-type', 'content-length', 'content-disposition', 'etag', 'last-modified', 'link', 'location', 'retry-after']) {
+    if (headers && headers[name] !== undefined) {
+      kept[name] = headers[name]
+    }
+  }
+
+  return kept
+}
+
+/**
+ * Collects exchanges made through request-real.js and writes them as a sanitized cassette.
+ */
+function createRecorder(serviceId, configs, testValues) {
+  const interactions = []
+
+  function onExchange({ req, res, error, encoding, unwrap }) {
+    const response = res || error.response
+
+    interactions.push({
+      method: req.method.toLowerCase(),
+      url: req.url,
+      query: { ...req.qs },
+      request: {
+        headers: { ...req.header },
+        body: encodeBody(req._data),
+        encoding: encoding === null ? null : undefined,
+        unwrapBody: unwrap === false ? false : undefined,
+      },
+      response: response
+        ? { status: response.status, headers: responseHeaders(response.headers), body: encodeBody(response.body) }
+        : null,
+      error: error ? { message: error.message, status: error.status } : undefined,
+    })
+  }
+
+  function save() {
+    const sanitizer = createSanitizer(configs)
+
+    const cassette = {
+      serviceId,
+      recordedAt: new Date().toISOString(),
+      configs: sanitizer.placeholderConfigs(),
+      testValues: sanitizer.sanitize(testValues),
+      interactions: interactions.map(interaction => ({
+        ...interaction,
+        url: sanitizer.sanitizeString(interaction.url),
+        query: sanitizer.sanitize(interaction.query),
+        request: sanitizer.sanitize(interaction.request),
+        response: sanitizer.sanitize(interaction.response),
+        error: sanitizer.sanitize(interaction.error),
+      })),
+    }
+
+    const file = cassettePath(serviceId)
+
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    fs.writeFileSync(file, JSON.stringify(cassette, null, 2) + '\n')
+
+    return file
+  }
+
+  return { onExchange, save, interactions }
+}
+
+function loadCassette(serviceId) {
+  const file = cassettePath(serviceId)
+
+  if (!fs.existsSync(file)) {
+    throw new Error(
+      `No cassette recorded for "${ serviceId }" (${ path.relative(process.cwd(), file) }).\n` +
+      'Record one with FLOWRUNNER_CASSETTE=record and real credentials in e2e-config.json.'
+    )
+  }
+
+  return JSON.parse(fs.readFileSync(file, 'utf8'))
+}
+
+/**
+ * Request mock responder that answers from a loaded cassette. Requests that were never
+ * recorded (or are made more often than recorded) fail loudly instead of hitting the network.
+ */
+function createReplayer(cassette) {
+  const queues = new Map()
+
+  for (const interaction of cassette.interactions || []) {
+    const key = requestKey(interaction.method, interaction.url, interaction.query)
+
+    if (!queues.has(key)) {
+      queues.set(key, [])
+    }
+
+    queues.get(key).push(interaction)
+  }
+
+  return function respond(callRecord) {
+    const key = requestKey(callRecord.method, callRecord.url, callRecord.query)
+    const queue = queues.get(key)
+
+    if (!queue || !queue.length) {
+      throw new Error(`No recorded interaction left in the "${ cassette.serviceId }" cassette for ${ key }`)
+    }
+
+    const interaction = queue.shift()
+    const recorded = interaction.response || {}
+    const body = decodeBody(recorded.body)
+
+    if (interaction.error) {
+      throw Object.assign(new Error(interaction.error.message), {
+        status: interaction.error.status,
+        statusCode: interaction.error.status,
+        body,
+      })
+    }
+
+    if (callRecord.unwrapBody === false) {
+      return { response: { status: recorded.status, headers: recorded.headers || {}, body } }
+    }
+
+    return { response: body }
+  }
+}
+
+module.exports = {
+  resolveCassetteMode,
+  cassettePath,
+  requestKey,
+  createSanitizer,
+  createRecorder,
+  loadCassette,
+  createReplayer,
+}
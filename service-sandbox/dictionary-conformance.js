@@ -0,0 +1,467 @@
+'use strict'
+
+/**
+ * Dictionary and schema-loader conformance checks.
+ *
+ * Discovers the methods a service registers as DICTIONARY (and the schema loaders its
+ * @paramDef reference) from its annotations, calls them against mocked list responses and
+ * reports where they break the payload contract from docs/ai/flowrunner-service-patterns.md:
+ *
+ *   it('dictionaries follow the payload contract', async () => {
+ *     expect(await sandbox.checkDictionaries()).toEqual([])
+ *   })
+ *
+ * Checks, per dictionary:
+ *   shape        – { items: [{ label, value, note }], cursor } for an empty payload
+ *   null-payload – a null payload behaves like an empty one
+ *   termination  – an empty list and a short last page end with a null/undefined cursor
+ *   cursor       – a cursor the dictionary returned for a full page leads to another page
+ *   search       – the search text is sent to the API or the items are filtered locally
+ *   criteria     – values of `dependsOn` fields reach the outgoing request
+ *
+ * Dependent dictionaries are called with placeholder criteria for their `dependsOn` fields,
+ * the way FlowRunner only calls them once those fields are filled.
+ *
+ * and per schema loader:
+ *   schema       – an empty criteria resolves to an array of { type, name } definitions
+ *
+ * Every call runs against a fresh request mock (the mock is reset) that answers any request
+ * with a universal list response: an array of records that also exposes itself under the
+ * usual wrapper keys (data, items, results, value, ...) and, for a page with more results
+ * behind it, the usual "next page" markers. APIs with other shapes configure it:
+ *
+ *   await sandbox.checkDictionaries({
+ *     listResponse: (records, { nextPage }) => ({ collection: records, more: nextPage }),
+ *     dictionaries: {
+ *       getBoardsDictionary: { listResponse: records => ({ boards: { nodes: records } }) },
+ *       getStaticDictionary: { skip: ['cursor'] },
+ *       getLegacyDictionary: { skip: true },
+ *     },
+ *   })
+ */
+
+const path = require('path')
+const { parseServiceFile } = require('./annotations/parser')
+
+const CHECKS = ['shape', 'null-payload', 'termination', 'cursor', 'search', 'criteria', 'schema']
+
+const LIST_WRAPPER_KEYS = ['data', 'items', 'results', 'records', 'value', 'entries', 'list', 'elements', 'rows', 'nodes']
+
+const RECORD_NAMES = ['Alpha', 'Bravo', 'Charlie']
+const FULL_PAGE_SIZE = 250
+const NEXT_PAGE_TOKEN = 'page-2-token'
+
+function createRecord(word, index) {
+  const name = `${ word } Record`
+  const id = `rec-${ word.toLowerCase() }`
+
+  return {
+    id,
+    key: id,
+    gid: id,
+    uuid: id,
+    name,
+    title: name,
+    label: name,
+    displayName: name,
+    display_name: name,
+    fullName: name,
+    full_name: name,
+    login: word.toLowerCase(),
+    username: word.toLowerCase(),
+    slug: word.toLowerCase(),
+    email: `${ word.toLowerCase() }@example.com`,
+    index,
+  }
+}
+
+/**
+ * Records for the mocked list: three named ones for a short page, numbered ones beyond that.
+ */
+function createRecords(count = RECORD_NAMES.length) {
+  return Array.from({ length: count }, (_, index) => createRecord(RECORD_NAMES[index] || `Item${ index + 1 }`, index))
+}
+
+/**
+ * An array of records that also answers `response.data`, `response.items`, etc. A page with
+ * more results behind it carries the common "next page" markers as well.
+ */
+function universalListResponse(records, { nextPage } = {}) {
+  const response = [...records]
+
+  for (const key of LIST_WRAPPER_KEYS) {
+    response[key] = records
+  }
+
+  if (nextPage) {
+    Object.assign(response, {
+      has_more: true,
+      hasMore: true,
+      next_cursor: NEXT_PAGE_TOKEN,
+      nextCursor: NEXT_PAGE_TOKEN,
+      nextPageToken: NEXT_PAGE_TOKEN,
+      next_page_token: NEXT_PAGE_TOKEN,
+      offset: NEXT_PAGE_TOKEN,
+    })
+  }
+
+  return response
+}
+
+function describeRequests(history) {
+  return history.map(call => JSON.stringify({
+    method: call.method,
+    url: call.url,
+    query: call.query,
+    body: call.body,
+    formData: call.formData && call.formData._fields ? call.formData._fields : call.formData,
+  }))
+}
+
+function requestsMention(history, value) {
+  const needle = String(value).toLowerCase()
+
+  return describeRequests(history).some(request => request.toLowerCase().includes(needle) ||
+    request.toLowerCase().includes(encodeURIComponent(needle)))
+}
+
+function isCursorEnd(cursor) {
+  return cursor === null || cursor === undefined
+}
+
+function shapeProblems(result) {
+  if (!result || typeof result !== 'object' || Array.isArray(result)) {
+    return ['must return an object with "items"']
+  }
+
+  if (!Array.isArray(result.items)) {
+    return ['"items" must be an array']
+  }
+
+  const problems = []
+
+  result.items.forEach((item, index) => {
+    if (!item || typeof item !== 'object') {
+      problems.push(`items[${ index }] must be an object`)
+
+      return
+    }
+
+    if (typeof item.label !== 'string' || !item.label) {
+      problems.push(`items[${ index }].label must be a non-empty string`)
+    }
+
+    if (item.value === undefined || item.value === null || !['string', 'number'].includes(typeof item.value)) {
+      problems.push(`items[${ index }].value must be a string or number`)
+    }
+
+    if (item.note !== undefined && item.note !== null && typeof item.note !== 'string') {
+      problems.push(`items[${ index }].note must be a string`)
+    }
+  })
+
+  if (!isCursorEnd(result.cursor) && !['string', 'number'].includes(typeof result.cursor)) {
+    problems.push('"cursor" must be a string, number, null or undefined')
+  }
+
+  return problems
+}
+
+/**
+ * Reads what the conformance run needs from the service annotations: the dictionaries with
+ * their payload fields and the `dependsOn` fields of the params using them, and the schema
+ * loaders referenced from @paramDef.
+ */
+function discover(parsed) {
+  const typedefs = new Map(parsed.typedefs.map(typedef => [typedef.name, typedef]))
+  const fieldsOf = name => (typedefs.get(name)?.paramDefs || []).map(({ json }) => json).filter(json => json?.name)
+
+  const paramDefs = [
+    ...parsed.methods.flatMap(method => method.paramDefs),
+    ...parsed.typedefs.flatMap(typedef => typedef.paramDefs),
+  ].map(({ json }) => json).filter(json => json && typeof json === 'object')
+
+  const dictionaries = parsed.methods
+    .filter(method => method.registerAs === 'DICTIONARY' && !method.isPrivate)
+    .map(method => {
+      const dependsOnSets = new Map()
+
+      for (const json of paramDefs) {
+        if (json.dictionary === method.name && Array.isArray(json.dependsOn) && json.dependsOn.length) {
+          dependsOnSets.set(json.dependsOn.join(','), json.dependsOn)
+        }
+      }
+
+      return {
+        name: method.name,
+        payloadFields: fieldsOf(`${ method.name }__payload`).map(json => json.name),
+        requiredCriteria: fieldsOf(`${ method.name }__payloadCriteria`).filter(json => json.required).map(json => json.name),
+        dependsOnSets: [...dependsOnSets.values()],
+      }
+    })
+
+  const schemaLoaders = [...new Set(paramDefs.map(json => json.schemaLoader).filter(name => typeof name === 'string'))]
+
+  return { dictionaries, schemaLoaders }
+}
+
+function sentinelCriteria(names) {
+  return Object.fromEntries(names.map(name => [name, `criteria-${ name }-value`]))
+}
+
+function defaultSourceFile() {
+  const { testPath } = global.expect ? global.expect.getState() : {}
+
+  if (!testPath) {
+    throw new Error('checkDictionaries() could not locate the service source. Pass { sourceFile }.')
+  }
+
+  return path.join(path.dirname(testPath), '..', 'src', 'index.js')
+}
+
+/**
+ * Runs the conformance checks and returns violations as { method, check, message }.
+ *
+ * @param {Object} service - Registered service instance.
+ * @param {Object} requestMock - The unit sandbox request mock; it is reset for every call.
+ * @param {Object} [options]
+ * @param {string} [options.sourceFile] - Service entry file; defaults to ../src/index.js of the running test.
+ * @param {Function} [options.listResponse] - Builds the mocked API response from (records, { nextPage }).
+ * @param {Object} [options.dictionaries] - Per-method overrides: { listResponse, criteria, skip }.
+ */
+async function checkDictionaries(service, requestMock, options = {}) {
+  const parsed = parseServiceFile(options.sourceFile || defaultSourceFile())
+  const { dictionaries, schemaLoaders } = discover(parsed)
+  const overrides = options.dictionaries || {}
+  const violations = []
+
+  const hadRequest = Object.prototype.hasOwnProperty.call(service, 'request')
+  const originalRequest = service.request
+
+  // OAuth services read the token from the invocation request
+  if (!service.request) {
+    service.request = { headers: { 'oauth-access-token': 'conformance-access-token' } }
+  }
+
+  /**
+   * Calls a method with every request answered by listResponse. With pages > 1 the first
+   * request gets a full page with "next page" markers, later ones the short last page, so
+   * services that walk all pages still finish.
+   */
+  async function invoke(methodName, payload, listResponse, { records = createRecords(), pages = 1 } = {}) {
+    let served = 0
+
+    requestMock.reset()
+
+    requestMock.onAny().replyWith(() => {
+      served++
+
+      return served < pages
+        ? listResponse(createRecords(FULL_PAGE_SIZE), { nextPage: true })
+        : listResponse(records, { nextPage: false })
+    })
+
+    try {
+      return { result: await service[methodName](payload), history: [...requestMock.history] }
+    } catch (error) {
+      return { error, history: [...requestMock.history] }
+    } finally {
+      requestMock.reset()
+    }
+  }
+
+  async function checkDictionary(dictionary) {
+    const override = overrides[dictionary.name] || {}
+
+    if (override.skip === true) {
+      return
+    }
+
+    const skipped = new Set(Array.isArray(override.skip) ? override.skip : [])
+
+    for (const check of skipped) {
+      if (!CHECKS.includes(check)) {
+        throw new Error(`Unknown dictionary check "${ check }" in skip for ${ dictionary.name }. Use one of: ${ CHECKS.join(', ') }`)
+      }
+    }
+
+    const listResponse = override.listResponse || options.listResponse || universalListResponse
+
+    const report = (check, message) => {
+      if (!skipped.has(check)) {
+        violations.push({ method: dictionary.name, check, message })
+      }
+    }
+
+    // FlowRunner only calls dependent dictionaries once their dependsOn fields are filled
+    const baseCriteria = {
+      ...sentinelCriteria([...dictionary.requiredCriteria, ...(dictionary.dependsOnSets[0] || [])]),
+      ...override.criteria,
+    }
+
+    const dependent = Object.keys(baseCriteria).length > 0
+    const basePayload = dependent ? { criteria: baseCriteria } : {}
+    const base = await invoke(dictionary.name, basePayload, listResponse)
+
+    if (base.error) {
+      report('shape', `throws for payload ${ JSON.stringify(basePayload) }: ${ base.error.message }`)
+
+      return
+    }
+
+    const problems = shapeProblems(base.result)
+
+    if (problems.length) {
+      problems.forEach(problem => report('shape', problem))
+
+      return
+    }
+
+    const remote = base.history.length > 0
+
+    if (!dependent) {
+      const nullPayload = await invoke(dictionary.name, null, listResponse)
+
+      if (nullPayload.error) {
+        report('null-payload', `throws for a null payload: ${ nullPayload.error.message }`)
+      }
+    }
+
+    if (!isCursorEnd(base.result.cursor)) {
+      report('termination', `returns cursor ${ JSON.stringify(base.result.cursor) } for a short last page`)
+    }
+
+    if (remote) {
+      const empty = await invoke(dictionary.name, basePayload, listResponse, { records: [] })
+
+      if (empty.error) {
+        report('termination', `throws for an empty list: ${ empty.error.message }`)
+      } else if (!isCursorEnd(empty.result?.cursor)) {
+        report('termination', `returns cursor ${ JSON.stringify(empty.result.cursor) } for an empty list`)
+      }
+
+      const firstPage = await invoke(dictionary.name, basePayload, listResponse, { pages: 2 })
+      const cursor = firstPage.result?.cursor
+
+      if (!firstPage.error && !isCursorEnd(cursor)) {
+        const nextPage = await invoke(dictionary.name, { ...basePayload, cursor }, listResponse, { pages: 2 })
+        const sameRequests = describeRequests(nextPage.history).join('\n') === describeRequests(firstPage.history).join('\n')
+        const sameItems = JSON.stringify(nextPage.result?.items) === JSON.stringify(firstPage.result.items)
+
+        if (nextPage.error) {
+          report('cursor', `throws for its own cursor ${ JSON.stringify(cursor) }: ${ nextPage.error.message }`)
+        } else if (sameRequests && sameItems) {
+          report('cursor', `cursor ${ JSON.stringify(cursor) } returns the first page again`)
+        }
+      }
+    }
+
+    const firstLabel = base.result.items[0]?.label
+
+    if (firstLabel && base.result.items.length > 1) {
+      const term = firstLabel.split(/\s+/)[0].toLowerCase()
+      const searched = await invoke(dictionary.name, { ...basePayload, search: term }, listResponse)
+
+      if (searched.error) {
+        report('search', `throws for search "${ term }": ${ searched.error.message }`)
+      } else if (!requestsMention(searched.history, term)) {
+        const items = searched.result?.items || []
+        const unmatched = items.filter(item => {
+          return ![item.label, item.note, item.value].some(text => String(text ?? '').toLowerCase().includes(term))
+        })
+
+        if (unmatched.length) {
+          report('search', `search "${ term }" is neither sent to the API nor applied to the items (${ unmatched.length } unmatched)`)
+        }
+      }
+    }
+
+    if (!remote) {
+      return
+    }
+
+    for (const names of dictionary.dependsOnSets) {
+      const checked = names.filter(name => override.criteria?.[name] === undefined)
+      const criteria = { ...sentinelCriteria([...dictionary.requiredCriteria, ...names]), ...override.criteria }
+      const result = await invoke(dictionary.name, { criteria }, listResponse)
+
+      if (result.error) {
+        report('criteria', `throws for criteria ${ JSON.stringify(criteria) }: ${ result.error.message }`)
+
+        continue
+      }
+
+      for (const name of checked) {
+        if (requestsMention(result.history, criteria[name])) {
+          continue
+        }
+
+        // Alternatives like ["idBoard","newIdBoard"] only use one field when both are set
+        const alone = { ...sentinelCriteria([...dictionary.requiredCriteria, name]), ...override.criteria }
+        const single = await invoke(dictionary.name, { criteria: alone }, listResponse)
+
+        if (single.error || !requestsMention(single.history, alone[name])) {
+          report('criteria', `dependsOn field "${ name }" is not used in the request`)
+        }
+      }
+    }
+  }
+
+  async function checkSchemaLoader(methodName) {
+    const override = overrides[methodName] || {}
+
+    if (override.skip === true || typeof service[methodName] !== 'function') {
+      return
+    }
+
+    const listResponse = override.listResponse || options.listResponse || universalListResponse
+    const { result, error } = await invoke(methodName, { criteria: override.criteria || {} }, listResponse)
+
+    const report = message => violations.push({ method: methodName, check: 'schema', message })
+
+    if (error) {
+      if (error instanceof TypeError || error instanceof ReferenceError) {
+        report(`crashes for an empty criteria: ${ error.message }`)
+      }
+
+      return
+    }
+
+    if (!Array.isArray(result)) {
+      report('must resolve to an array of parameter definitions')
+
+      return
+    }
+
+    result.forEach((definition, index) => {
+      if (!definition || typeof definition.type !== 'string' || typeof definition.name !== 'string') {
+        report(`definition[${ index }] must have a string "type" and "name"`)
+      }
+    })
+  }
+
+  try {
+    for (const dictionary of dictionaries) {
+      await checkDictionary(dictionary)
+    }
+
+    for (const methodName of schemaLoaders) {
+      await checkSchemaLoader(methodName)
+    }
+  } finally {
+    if (hadRequest) {
+      service.request = originalRequest
+    } else {
+      delete service.request
+    }
+  }
+
+  return violations
+}
+
+module.exports = {
+  checkDictionaries,
+  createRecords,
+  universalListResponse,
+  CHECKS,
+}
@@ -0,0 +1,171 @@
+'use strict'
+
+/**
+ * In-memory stand-in for the runtime Files API (`this.flowrunner.Files`).
+ *
+ * Every registered service gets it as `service.flowrunner.Files`. Uploaded buffers are kept
+ * in memory under deterministic URLs, and the unit sandbox request mock serves those URLs
+ * back, so a file uploaded by one action can be downloaded by the next with
+ * `Flowrunner.Request.get(url).setEncoding(null)`.
+ *
+ *   const files = sandbox.getFiles()
+ *   await service.exportImage(...)
+ *
+ *   files.uploads[0].filename   // 'figma_1-23_1700000000000.png'
+ *   files.uploads[0].options    // options exactly as passed to uploadFile
+ *   files.getFile(url).buffer   // uploaded content
+ *
+ *   const url = files.addFile(Buffer.from('%PDF'), { filename: 'input.pdf' })  // seed a file
+ */
+
+const DEFAULT_BASE_URL = 'https://files.flowrunner.test'
+
+const CONTENT_TYPES = {
+  csv: 'text/csv',
+  gif: 'image/gif',
+  html: 'text/html',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  json: 'application/json',
+  mp3: 'audio/mpeg',
+  mp4: 'video/mp4',
+  pdf: 'application/pdf',
+  png: 'image/png',
+  svg: 'image/svg+xml',
+  txt: 'text/plain',
+  wav: 'audio/wav',
+  webp: 'image/webp',
+  xml: 'application/xml',
+  zip: 'application/zip',
+}
+
+function toBuffer(content) {
+  if (Buffer.isBuffer(content)) {
+    return content
+  }
+
+  if (typeof content === 'string' || content instanceof ArrayBuffer || ArrayBuffer.isView(content)) {
+    return Buffer.from(content)
+  }
+
+  throw new Error(`Files.uploadFile expects a Buffer or string content, got ${ typeof content }`)
+}
+
+function contentTypeOf(filename) {
+  const extension = String(filename).split('.').pop().toLowerCase()
+
+  return CONTENT_TYPES[extension] || 'application/octet-stream'
+}
+
+function trimSlashes(value) {
+  return String(value || '').replace(/^\/+|\/+$/g, '')
+}
+
+function createFilesMock(options = {}) {
+  const baseUrl = options.baseUrl || DEFAULT_BASE_URL
+  const filesByUrl = new Map()
+  const uploads = []
+
+  function store(content, uploadOptions = {}) {
+    const buffer = toBuffer(content)
+    const scope = uploadOptions.scope || 'FLOW'
+    const filename = uploadOptions.filename || uploadOptions.name || `file-${ uploads.length + 1 }`
+    const path = [trimSlashes(uploadOptions.path), filename].filter(Boolean).join('/')
+    const url = `${ baseUrl }/${ scope.toLowerCase() }/${ path.split('/').map(encodeURIComponent).join('/') }`
+
+    if (filesByUrl.has(url) && !uploadOptions.overwrite) {
+      throw new Error(`File "${ path }" already exists in the ${ scope } scope. Pass overwrite: true to replace it.`)
+    }
+
+    const record = {
+      url,
+      path,
+      filename,
+      scope,
+      buffer,
+      size: buffer.length,
+      contentType: contentTypeOf(filename),
+      options: uploadOptions,
+    }
+
+    filesByUrl.set(url, record)
+
+    return record
+  }
+
+  const Files = {
+    async uploadFile(content, uploadOptions = {}) {
+      const record = store(content, uploadOptions)
+
+      uploads.push(record)
+
+      return {
+        path: record.path,
+        ...(uploadOptions.generateUrl ? { url: record.url } : {}),
+      }
+    },
+  }
+
+  return {
+    Files,
+    uploads,
+
+    /**
+     * Seeds a file (e.g. an input document) without recording it as an upload.
+     * Returns its URL.
+     */
+    addFile(content, fileOptions = {}) {
+      return store(content, { overwrite: true, ...fileOptions }).url
+    },
+
+    getFile(urlOrPath) {
+      if (filesByUrl.has(urlOrPath)) {
+        return filesByUrl.get(urlOrPath)
+      }
+
+      return [...filesByUrl.values()].find(file => file.path === trimSlashes(urlOrPath))
+    },
+
+    /**
+     * Request mock responder: serves stored files for GET/HEAD requests to their URLs as
+     * { response } and returns undefined for anything else, so regular handlers take over.
+     */
+    respond(callRecord) {
+      if (callRecord.method !== 'get' && callRecord.method !== 'head') {
+        return undefined
+      }
+
+      const file = filesByUrl.get(callRecord.url)
+
+      if (!file) {
+        return undefined
+      }
+
+      const body = callRecord.method === 'head'
+        ? undefined
+        : callRecord.encoding === null ? file.buffer : file.buffer.toString('utf8')
+
+      if (callRecord.unwrapBody === false) {
+        return {
+          response: {
+            status: 200,
+            headers: {
+              'content-type': file.contentType,
+              'content-length': String(file.size),
+            },
+            body,
+          },
+        }
+      }
+
+      return { response: body }
+    },
+
+    reset() {
+      filesByUrl.clear()
+      uploads.length = 0
+    },
+  }
+}
+
+module.exports = { createFilesMock }
@@ -22,16 +22,45 @@
  *   require('../src/index.js')
  *   const service = sandbox.getService()
  *   const { recipientEmail } = sandbox.getTestValues()
+ *
+ * Trigger lifecycle (both sandboxes, see trigger-flow.js):
+ *
+ *   const flow = await sandbox.startTriggerFlow({ triggers: [{ id: 't1', name: 'onMessage', data: {} }] })
+ *   const { firedTriggerIds } = await flow.postEvent({ body, headers })
+ *
+ *   const poller = sandbox.startPolling({ name: 'onNewRow', data: { sheetId: 'S1' } })
+ *   const { events } = await poller.tick()
+ *
+ * OAuth2 connections (unit sandbox, see oauth-connection.js):
+ *
+ *   const connection = await sandbox.connectOAuth({ tokenUrl: 'https://api.example.com/oauth/token' })
+ *   connection.expire()
+ *   await connection.invoke('getContacts')
+ *
+ * Files API (both sandboxes, see files-mock.js): registered services get an in-memory
+ * `service.flowrunner.Files`; in the unit sandbox uploaded URLs can be fetched back through
+ * the request mock.
+ *
+ *   const { uploads } = sandbox.getFiles()
+ *
+ * Dictionary conformance (unit sandbox, see dictionary-conformance.js):
+ *
+ *   expect(await sandbox.checkDictionaries()).toEqual([])
  */
 
 const fs = require('fs')
 const path = require('path')
 const { createRequestMock } = require('./request-mock')
 const { createRealRequest } = require('./request-real')
+const { startTriggerFlow, startPolling } = require('./trigger-flow')
+const { connectOAuth } = require('./oauth-connection')
+const { createFilesMock } = require('./files-mock')
+const { resolveCassetteMode, createRecorder, loadCassette, createReplayer } = require('./cassette')
+const { checkDictionaries } = require('./dictionary-conformance')
 
 const E2E_CONFIG_PATH = path.join(__dirname, 'e2e-config.json')
 
-function buildFlowrunner(request) {
+function buildFlowrunner(request, files) {
   let registeredService = null
   let registeredConfigItems = null
   let config = {}
@@ -41,6 +70,7 @@ function buildFlowrunner(request) {
       addService(ServiceClass, configItems) {
         registeredConfigItems = configItems
         registeredService = new ServiceClass(config)
+        registeredService.flowrunner = { Files: files.Files }
       },
 
       ConfigItems: {
@@ -72,10 +102,17 @@ function buildFlowrunner(request) {
 
 /**
  * Create a sandbox with mocked HTTP requests (for unit tests).
+ *
+ * @param {Object} [config] - Service config values.
+ * @param {Object} [options]
+ * @param {boolean} [options.strictRequests] - Reject requests no mock handler matches (see request-mock.js).
  */
-function createSandbox(config = {}) {
-  const requestMock = createRequestMock()
-  const runtime = buildFlowrunner(requestMock.Request)
+function createSandbox(config = {}, options = {}) {
+  const requestMock = createRequestMock({ strict: options.strictRequests })
+  const files = createFilesMock()
+  const runtime = buildFlowrunner(requestMock.Request, files)
+
+  requestMock.addResponder(callRecord => files.respond(callRecord))
 
   runtime.setConfig(config)
   global.Flowrunner = runtime.Flowrunner
@@ -101,10 +138,31 @@ function createSandbox(config = {}) {
       return requestMock
     },
 
+    getFiles() {
+      return files
+    },
+
+    startTriggerFlow(options) {
+      return startTriggerFlow(this.getService(), options)
+    },
+
+    startPolling(options) {
+      return startPolling(this.getService(), options)
+    },
+
+    connectOAuth(options) {
+      return connectOAuth(this.getService(), requestMock, options)
+    },
+
+    checkDictionaries(options) {
+      return checkDictionaries(this.getService(), requestMock, options)
+    },
+
     cleanup() {
       delete global.Flowrunner
       runtime.reset()
       requestMock.reset()
+      files.reset()
     },
   }
 }
@@ -114,27 +172,60 @@ function createSandbox(config = {}) {
  * Loads config from service-sandbox/e2e-config.json by service id.
  * If e2e-config.json doesn't exist, it is created from e2e-config.example.json.
  *
+ * With a cassette mode (FLOWRUNNER_CASSETTE or options.cassette, see cassette.js) the
+ * exchanges are either recorded to services/<id>/tests/cassettes/<id>.json or replayed
+ * from it offline, in which case e2e-config.json is not read at all.
+ *
  * @param {string} serviceId - Key in e2e-config.json (e.g. 'brevo', 'telegram')
+ * @param {Object} [options]
+ * @param {string} [options.cassette] - 'record' or 'replay'; overrides FLOWRUNNER_CASSETTE.
  */
-function createE2ESandbox(serviceId) {
-  if (!fs.existsSync(E2E_CONFIG_PATH)) {
-    fs.writeFileSync(E2E_CONFIG_PATH, '{}\n')
-  }
+function createE2ESandbox(serviceId, options = {}) {
+  const cassetteMode = resolveCassetteMode(options.cassette)
 
-  const configValues = JSON.parse(fs.readFileSync(E2E_CONFIG_PATH, 'utf8'))
+  let configValues = null
+  let configs
+  let testValues
+  let recorder = null
+  let request
 
-  if (!configValues[serviceId]) {
-    configValues[serviceId] = { configs: {}, testValues: {} }
-    fs.writeFileSync(E2E_CONFIG_PATH, JSON.stringify(configValues, null, 2) + '\n')
-  }
+  const files = createFilesMock()
+
+  if (cassetteMode === 'replay') {
+    const cassette = loadCassette(serviceId)
+    const replayMock = createRequestMock()
+
+    configs = { ...cassette.configs }
+    testValues = { ...cassette.testValues }
+
+    replayMock.addResponder(callRecord => files.respond(callRecord))
+    replayMock.addResponder(createReplayer(cassette))
+    request = replayMock.Request
+  } else {
+    if (!fs.existsSync(E2E_CONFIG_PATH)) {
+      fs.writeFileSync(E2E_CONFIG_PATH, '{}\n')
+    }
+
+    configValues = JSON.parse(fs.readFileSync(E2E_CONFIG_PATH, 'utf8'))
 
-  const serviceEntry = configValues[serviceId]
+    if (!configValues[serviceId]) {
+      configValues[serviceId] = { configs: {}, testValues: {} }
+      fs.writeFileSync(E2E_CONFIG_PATH, JSON.stringify(configValues, null, 2) + '\n')
+    }
 
-  const configs = serviceEntry.configs || {}
-  const testValues = serviceEntry.testValues || {}
+    const serviceEntry = configValues[serviceId]
 
-  const realRequest = createRealRequest()
-  const runtime = buildFlowrunner(realRequest)
+    configs = serviceEntry.configs || {}
+    testValues = serviceEntry.testValues || {}
+
+    if (cassetteMode === 'record') {
+      recorder = createRecorder(serviceId, configs, testValues)
+    }
+
+    request = createRealRequest({ onExchange: recorder ? recorder.onExchange : undefined })
+  }
+
+  const runtime = buildFlowrunner(request, files)
 
   runtime.setConfig(configs)
   global.Flowrunner = runtime.Flowrunner
@@ -158,6 +249,13 @@ function createE2ESandbox(serviceId) {
         .filter(item => item.required && !configs[item.name])
         .map(item => item.name)
 
+      if (missing.length && !configValues) {
+        throw new Error(
+          `The "${ serviceId }" cassette has no values for required configs: ${ missing.join(', ') }\n` +
+          'Re-record it with FLOWRUNNER_CASSETTE=record.'
+        )
+      }
+
       if (missing.length) {
         for (const name of missing) {
           configs[name] = ''
@@ -177,6 +275,18 @@ function createE2ESandbox(serviceId) {
       return testValues
     },
 
+    getFiles() {
+      return files
+    },
+
+    startTriggerFlow(options) {
+      return startTriggerFlow(this.getService(), options)
+    },
+
+    startPolling(options) {
+      return startPolling(this.getService(), options)
+    },
+
     getConfigItems() {
       return runtime.getRegisteredConfigItems()
     },
@@ -184,6 +294,12 @@ function createE2ESandbox(serviceId) {
     cleanup() {
       delete global.Flowrunner
       runtime.reset()
+      files.reset()
+
+      if (recorder) {
+        recorder.save()
+        recorder = null
+      }
     },
   }
 }
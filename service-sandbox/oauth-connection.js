@@ -0,0 +1,312 @@
+'use strict'
+
+/**
+ * OAuth2 connection emulation.
+ *
+ * Walks a `@requireOAuth` service through the same steps FlowRunner performs when a user
+ * creates a connection (see docs/flowrunner-extension-oauth2.md):
+ *
+ *   1. getOAuth2ConnectionURL()  → the authorization URL is parsed into its query params
+ *   2. the user "consents"       → an authorization code is issued for the redirect
+ *   3. executeCallback()         → the service exchanges the code at a stand-in token endpoint
+ *   4. the returned token is injected as `service.request.headers['oauth-access-token']`
+ *   5. refreshToken()            → runs when the connection's token has expired
+ *
+ * The stand-in token endpoint is registered on the sandbox request mock, so only the
+ * service's own extra calls (user info, etc.) need to be mocked by the test:
+ *
+ *   const connection = await sandbox.connectOAuth({
+ *     tokenUrl: 'https://api.example.com/oauth/token',
+ *     callback: { realmId: '123' },          // extra callbackObject fields
+ *   })
+ *
+ *   connection.authorization.params.client_id
+ *   connection.token                          // also in service.request.headers
+ *
+ *   connection.expire()
+ *   await connection.invoke('getContacts')    // refreshes first, then calls the method
+ *
+ * Composite tokens ('<access>::realm::<realmId>') can be inspected with
+ * connection.splitToken('::realm::').
+ */
+
+const DEFAULT_REDIRECT_URI = 'https://flowrunner.test/oauth/callback'
+
+function parseBody(body) {
+  if (!body) {
+    return {}
+  }
+
+  if (typeof body === 'string') {
+    return Object.fromEntries(new URLSearchParams(body))
+  }
+
+  if (body instanceof URLSearchParams) {
+    return Object.fromEntries(body)
+  }
+
+  if (Array.isArray(body._fields)) {
+    return Object.fromEntries(body._fields.map(({ name, value }) => [name, value]))
+  }
+
+  return { ...body }
+}
+
+function tokenError(status, error, description) {
+  const body = { error, error_description: description }
+
+  return Object.assign(new Error(`${ error }: ${ description }`), {
+    status,
+    statusCode: status,
+    body,
+  })
+}
+
+/**
+ * Local stand-in for a provider's token endpoint. Issues sequential, predictable tokens
+ * ('access-token-1', 'refresh-token-1', ...) and validates codes and refresh tokens.
+ */
+function createTokenServer(options = {}) {
+  const expiresIn = options.expiresIn === undefined ? 3600 : options.expiresIn
+  const rotateRefreshToken = options.rotateRefreshToken !== false
+
+  const server = {
+    requests: [],
+    issuedCodes: new Set(),
+    validRefreshTokens: new Set(),
+    accessTokens: [],
+  }
+
+  let counter = 0
+
+  function issueTokens(previousRefreshToken) {
+    counter++
+
+    const accessToken = `access-token-${ counter }`
+    let refreshToken = previousRefreshToken
+
+    if (!previousRefreshToken || rotateRefreshToken) {
+      refreshToken = `refresh-token-${ counter }`
+
+      if (previousRefreshToken) {
+        server.validRefreshTokens.delete(previousRefreshToken)
+      }
+
+      server.validRefreshTokens.add(refreshToken)
+    }
+
+    server.accessTokens.push(accessToken)
+
+    const response = {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: expiresIn,
+      refresh_token: refreshToken,
+    }
+
+    const extra = typeof options.tokenResponse === 'function'
+      ? options.tokenResponse(response)
+      : options.tokenResponse
+
+    return { ...response, ...extra }
+  }
+
+  server.issueCode = function() {
+    const code = `auth-code-${ server.issuedCodes.size + 1 }`
+
+    server.issuedCodes.add(code)
+
+    return code
+  }
+
+  server.handle = function(callRecord) {
+    const params = { ...callRecord.query, ...parseBody(callRecord.body || callRecord.formData) }
+
+    server.requests.push({ headers: callRecord.headers, params })
+
+    if (params.grant_type === 'refresh_token') {
+      if (!server.validRefreshTokens.has(params.refresh_token)) {
+        throw tokenError(400, 'invalid_grant', 'Refresh token is invalid or has been rotated')
+      }
+
+      return issueTokens(params.refresh_token)
+    }
+
+    // Some providers omit grant_type on the code exchange, so a code alone is accepted too
+    if (params.grant_type === 'authorization_code' || params.code) {
+      if (!server.issuedCodes.has(params.code)) {
+        throw tokenError(400, 'invalid_grant', 'Authorization code is invalid')
+      }
+
+      server.issuedCodes.delete(params.code)
+
+      return issueTokens()
+    }
+
+    throw tokenError(400, 'unsupported_grant_type', `Unsupported grant_type "${ params.grant_type }"`)
+  }
+
+  return server
+}
+
+function parseAuthorizationUrl(url) {
+  if (typeof url !== 'string') {
+    throw new Error(`getOAuth2ConnectionURL must return a URL string, got ${ typeof url }`)
+  }
+
+  const parsed = new URL(url)
+
+  return {
+    url,
+    baseUrl: `${ parsed.origin }${ parsed.pathname }`,
+    params: Object.fromEntries(parsed.searchParams),
+  }
+}
+
+function setAccessToken(service, token) {
+  const request = service.request || {}
+
+  service.request = {
+    ...request,
+    headers: { ...request.headers, 'oauth-access-token': token },
+  }
+}
+
+/**
+ * Creates an OAuth connection for the registered service.
+ *
+ * @param {Object} service - Registered service instance.
+ * @param {Object} requestMock - The sandbox request mock the token endpoint is registered on.
+ * @param {Object} options
+ * @param {string} options.tokenUrl - Token endpoint URL the service posts to.
+ * @param {string} [options.tokenMethod='post'] - HTTP method used for the token endpoint.
+ * @param {Object} [options.callback] - Extra callbackObject fields (e.g. realmId, shop).
+ * @param {string} [options.redirectURI] - Overrides the redirect URI passed to executeCallback.
+ * @param {number} [options.expiresIn=3600] - expires_in returned by the token endpoint.
+ * @param {boolean} [options.rotateRefreshToken=true] - Issue a new refresh token on every refresh.
+ * @param {Object|Function} [options.tokenResponse] - Extra fields merged into token responses.
+ */
+async function connectOAuth(service, requestMock, options = {}) {
+  if (!options.tokenUrl) {
+    throw new Error('connectOAuth requires the "tokenUrl" of the service token endpoint')
+  }
+
+  for (const methodName of ['getOAuth2ConnectionURL', 'executeCallback']) {
+    if (typeof service[methodName] !== 'function') {
+      throw new Error(`Service does not implement OAuth2 system method "${ methodName }"`)
+    }
+  }
+
+  const tokenServer = createTokenServer(options)
+
+  requestMock.on(options.tokenMethod || 'post', options.tokenUrl).replyWith(callRecord => {
+    return tokenServer.handle(callRecord)
+  })
+
+  const authorization = parseAuthorizationUrl(await service.getOAuth2ConnectionURL())
+
+  const callbackObject = {
+    code: tokenServer.issueCode(),
+    redirectURI: options.redirectURI || authorization.params.redirect_uri || DEFAULT_REDIRECT_URI,
+    ...(authorization.params.state !== undefined ? { state: authorization.params.state } : {}),
+    ...options.callback,
+  }
+
+  const callbackResult = await service.executeCallback(callbackObject)
+
+  if (!callbackResult || !callbackResult.token) {
+    throw new Error('executeCallback must return an object with a "token"')
+  }
+
+  if (!callbackResult.connectionIdentityName) {
+    throw new Error('executeCallback must return a "connectionIdentityName"')
+  }
+
+  let clock = Date.now()
+
+  function expiresAtFor(expirationInSeconds) {
+    // 0 or missing expiration means the platform treats the token as non-expiring
+    return expirationInSeconds ? clock + expirationInSeconds * 1000 : null
+  }
+
+  const connection = {
+    authorization,
+    callbackObject,
+    callbackResult,
+    tokenServer,
+    token: callbackResult.token,
+    refreshToken: callbackResult.refreshToken,
+    expiresAt: expiresAtFor(callbackResult.expirationInSeconds),
+    refreshes: [],
+  }
+
+  setAccessToken(service, connection.token)
+
+  connection.isExpired = function() {
+    return connection.expiresAt !== null && clock >= connection.expiresAt
+  }
+
+  /**
+   * Moves the emulated clock forward, e.g. past the token lifetime.
+   */
+  connection.advanceTime = function(seconds) {
+    clock += seconds * 1000
+  }
+
+  connection.expire = function() {
+    if (connection.expiresAt === null) {
+      throw new Error('The connection token does not expire (expirationInSeconds was 0 or missing)')
+    }
+
+    clock = connection.expiresAt
+  }
+
+  /**
+   * Runs the service refreshToken method with the stored refresh token. The current token
+   * stays in the request headers while it runs, which composite-token services rely on.
+   */
+  connection.refresh = async function() {
+    if (typeof service.refreshToken !== 'function') {
+      throw new Error('Service does not implement OAuth2 system method "refreshToken"')
+    }
+
+    if (!connection.refreshToken) {
+      throw new Error('The connection has no refresh token to refresh with')
+    }
+
+    const result = await service.refreshToken(connection.refreshToken)
+
+    if (!result || !result.token) {
+      throw new Error('refreshToken must return an object with a "token"')
+    }
+
+    connection.refreshes.push(result)
+    connection.token = result.token
+    connection.refreshToken = result.refreshToken || connection.refreshToken
+    connection.expiresAt = expiresAtFor(result.expirationInSeconds)
+
+    setAccessToken(service, connection.token)
+
+    return result
+  }
+
+  /**
+   * Calls a service method the way the platform does with a configured connection:
+   * an expired token is refreshed first.
+   */
+  connection.invoke = async function(methodName, ...args) {
+    if (connection.isExpired()) {
+      await connection.refresh()
+    }
+
+    return service[methodName](...args)
+  }
+
+  connection.splitToken = function(delimiter) {
+    return connection.token.split(delimiter)
+  }
+
+  return connection
+}
+
+module.exports = { connectOAuth, createTokenServer }
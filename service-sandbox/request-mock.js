@@ -12,25 +12,242 @@
  *   requestMock.onPost('https://api.example.com/items').reply({ id: '123' })
  *   requestMock.onAny().reply({ fallback: true })
  *
+ * URLs can be exact strings, glob strings ('*' matches anything), RegExps or predicates, and
+ * handlers can be narrowed by query, body and headers (partial matches; values may be
+ * RegExps or predicate functions):
+ *   requestMock.onGet(/\/items\/\d+$/).reply({ id: '1' })
+ *   requestMock.onGet('https://api.example.com/items').withQuery({ page: 2 }).reply(page2)
+ *   requestMock.onPost('https://api.example.com/*').withBody({ type: 'lead' }).reply({ ok: true })
+ *
+ * The most specific matching handler wins: exact method over onAny(), a URL over none,
+ * predicates over none, one-shot over persistent. Ties go to the first registered.
+ *
+ * One-shot and sequenced replies (e.g. pagination, retry after a 429):
+ *   requestMock.onGet(url).replySequence([page1, page2]).onGet(url).reply(lastPage)
+ *   requestMock.onGet(url).once().replyWithStatus(429, { error: 'slow down' }, { 'retry-after': '1' })
+ *   requestMock.onGet(url).replyOnce(result)
+ *
+ * replyWithStatus() rejects with the error shape services see at runtime: message, status,
+ * statusCode, body, headers and response: { status, headers, body }. Statuses below 400
+ * resolve with the body instead.
+ *
+ * Strict mode rejects requests no handler matches (they resolve with undefined otherwise):
+ *   createRequestMock({ strict: true })  or  requestMock.setStrict(true)
+ *
  * Inspect calls:
- *   requestMock.history  // [{ method, url, headers, query, body, encoding }]
+ *   requestMock.history    // [{ method, url, headers, query, body, encoding, at }]
+ *   requestMock.unmatched  // calls that no handler or responder matched
+ *   requestMock.callsTo('get', url)  // history entries for one endpoint (same URL patterns as on*())
+ *
+ * Retries (shared/request-retry): `at` is the epoch ms at which the call was sent, so with Jest fake
+ * timers the waits between attempts can be asserted without really sleeping:
+ *   jest.useFakeTimers({ now: 0 })
+ *   requestMock.onGet(url).once().replyWithStatus(429, {}, { 'retry-after': '2' }).onGet(url).reply(result)
+ *   const pending = service.listItems()
+ *   await jest.runAllTimersAsync()
+ *   await pending
+ *   requestMock.callsTo('get', url).map(call => call.at)  // [0, 2000]
+ *
+ * Responders are consulted before the configured handlers and survive reset(). A responder
+ * returns { response } for requests it serves and undefined for the rest:
+ *   requestMock.addResponder(callRecord => ...)
  */
 
-function createRequestMock() {
+function globToRegExp(pattern) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')
+
+  return new RegExp(`^${ source }$`)
+}
+
+function createUrlMatcher(url) {
+  if (url === undefined) {
+    return () => true
+  }
+
+  if (url instanceof RegExp) {
+    return value => {
+      url.lastIndex = 0
+
+      return url.test(value)
+    }
+  }
+
+  if (typeof url === 'function') {
+    return value => !!url(value)
+  }
+
+  if (url.includes('*')) {
+    const pattern = globToRegExp(url)
+
+    return value => pattern.test(value)
+  }
+
+  return value => value === url
+}
+
+/**
+ * Partial, recursive match: every key of the expected object has to match, extra actual keys
+ * are ignored. RegExps and functions act as predicates. Query values are compared as strings.
+ */
+function matchesValue(expected, actual, loose) {
+  if (typeof expected === 'function') {
+    return !!expected(actual)
+  }
+
+  if (expected instanceof RegExp) {
+    return actual !== undefined && actual !== null && expected.test(String(actual))
+  }
+
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) &&
+      actual.length === expected.length &&
+      expected.every((item, index) => matchesValue(item, actual[index], loose))
+  }
+
+  if (expected && typeof expected === 'object') {
+    return !!actual && typeof actual === 'object' &&
+      Object.keys(expected).every(key => matchesValue(expected[key], actual[key], loose))
+  }
+
+  if (loose && actual !== undefined && actual !== null) {
+    return String(expected) === String(actual)
+  }
+
+  return expected === actual
+}
+
+function queryOf(callRecord) {
+  const search = String(callRecord.url || '').split('?')[1] || ''
+
+  return { ...Object.fromEntries(new URLSearchParams(search)), ...callRecord.query }
+}
+
+function bodyOf(callRecord) {
+  const body = callRecord.body !== undefined ? callRecord.body : callRecord.formData
+
+  if (body && Array.isArray(body._fields)) {
+    return Object.fromEntries(body._fields.map(({ name, value }) => [name, value]))
+  }
+
+  if (typeof body === 'string') {
+    try {
+      return JSON.parse(body)
+    } catch {
+      return body
+    }
+  }
+
+  return body
+}
+
+function headersOf(callRecord) {
+  return Object.fromEntries(Object.entries(callRecord.headers).map(([name, value]) => [name.toLowerCase(), value]))
+}
+
+function lowerCaseKeys(object) {
+  return Object.fromEntries(Object.entries(object || {}).map(([name, value]) => [name.toLowerCase(), value]))
+}
+
+/**
+ * Builds the error a failed request rejects with at runtime (see request-real.js).
+ */
+function createHttpError(callRecord, status, body, headers) {
+  const path = String(callRecord.url || '').replace(/^[a-z]+:\/\/[^/]+/i, '').split('?')[0] || '/'
+  const responseHeaders = lowerCaseKeys(headers)
+
+  return Object.assign(new Error(`cannot ${ callRecord.method.toUpperCase() } ${ path } (${ status })`), {
+    status,
+    statusCode: status,
+    body,
+    headers: responseHeaders,
+    response: { status, statusCode: status, headers: responseHeaders, body },
+  })
+}
+
+function compareRanks(a, b) {
+  const index = a.findIndex((value, i) => value !== b[i])
+
+  return index === -1 ? 0 : a[index] - b[index]
+}
+
+function normalizeError(error) {
+  const err = error instanceof Error
+    ? error
+    : Object.assign(new Error(error.message || 'Request failed'), error)
+
+  if (err.status !== undefined && err.statusCode === undefined) {
+    err.statusCode = err.status
+  }
+
+  if (err.statusCode !== undefined && err.status === undefined) {
+    err.status = err.statusCode
+  }
+
+  return err
+}
+
+function createRequestMock(options = {}) {
   const history = []
+  const unmatched = []
   const handlers = []
+  const responders = []
+
+  let strict = !!options.strict
+
+  function addHandler(handler) {
+    handlers.push({
+      method: handler.method,
+      url: handler.url,
+      matchesUrl: createUrlMatcher(handler.url),
+      predicates: handler.predicates || {},
+      once: !!handler.once,
+      response: handler.response,
+      error: handler.error,
+      status: handler.status,
+    })
+  }
+
+  function matches(handler, method, url, callRecord) {
+    const { query, body, headers } = handler.predicates
+
+    return (handler.method === method || handler.method === 'any') &&
+      handler.matchesUrl(url) &&
+      (query === undefined || matchesValue(query, queryOf(callRecord), true)) &&
+      (body === undefined || matchesValue(body, bodyOf(callRecord), false)) &&
+      (headers === undefined || matchesValue(lowerCaseKeys(headers), headersOf(callRecord), true))
+  }
 
-  function addHandler(method, url, response, error) {
-    handlers.push({ method, url, response, error })
+  function specificity(handler, method) {
+    return [
+      handler.method === method ? 1 : 0,
+      handler.url !== undefined ? 1 : 0,
+      Object.keys(handler.predicates).length ? 1 : 0,
+      handler.once ? 1 : 0,
+    ]
   }
 
-  function findHandler(method, url) {
-    return (
-      handlers.find(h => h.method === method && h.url === url) ||
-      handlers.find(h => h.method === method && h.url === undefined) ||
-      handlers.find(h => h.method === 'any' && h.url === url) ||
-      handlers.find(h => h.method === 'any' && h.url === undefined)
-    )
+  function findHandler(method, url, callRecord) {
+    let best = null
+    let bestRank = null
+
+    for (const handler of handlers) {
+      if (!matches(handler, method, url, callRecord)) {
+        continue
+      }
+
+      const rank = specificity(handler, method)
+
+      if (!best || compareRanks(rank, bestRank) > 0) {
+        best = handler
+        bestRank = rank
+      }
+    }
+
+    if (best && best.once) {
+      handlers.splice(handlers.indexOf(best), 1)
+    }
+
+    return best
   }
 
   function createChain(method, url) {
@@ -42,6 +259,7 @@ function createRequestMock() {
       body: undefined,
       formData: undefined,
       encoding: undefined,
+      at: undefined,
     }
 
     const chain = {
@@ -86,14 +304,39 @@ function createRequestMock() {
       },
 
       then(resolve, reject) {
+        // new Date() follows Jest fake timers but, unlike Date.now(), not tests that stub Date.now
+        callRecord.at = new Date().getTime()
         history.push(callRecord)
 
-        const handler = findHandler(method, url)
+        for (const responder of responders) {
+          let served
+
+          try {
+            served = responder(callRecord)
+          } catch (err) {
+            return reject ? reject(err) : Promise.reject(err)
+          }
+
+          if (served) {
+            return resolve ? resolve(served.response) : Promise.resolve(served.response)
+          }
+        }
+
+        const handler = findHandler(method, url, callRecord)
+
+        if (!handler) {
+          unmatched.push(callRecord)
+
+          if (strict) {
+            const query = new URLSearchParams(callRecord.query).toString()
+            const err = new Error(`Unmatched request in strict mode: ${ method.toUpperCase() } ${ url }${ query ? ` query: ${ query }` : '' }`)
+
+            return reject ? reject(err) : Promise.reject(err)
+          }
+        }
 
         if (handler && handler.error) {
-          const err = handler.error instanceof Error
-            ? handler.error
-            : Object.assign(new Error(handler.error.message || 'Request failed'), handler.error)
+          const err = normalizeError(handler.error)
 
           if (reject) {
             return reject(err)
@@ -102,6 +345,22 @@ function createRequestMock() {
           return Promise.reject(err)
         }
 
+        if (handler && handler.status !== undefined) {
+          const { status, body, headers } = handler.status
+
+          if (status >= 400) {
+            const err = createHttpError(callRecord, status, body, headers)
+
+            return reject ? reject(err) : Promise.reject(err)
+          }
+
+          const result = callRecord.unwrapBody === false
+            ? { status, statusCode: status, headers: lowerCaseKeys(headers), body }
+            : body
+
+          return resolve ? resolve(result) : Promise.resolve(result)
+        }
+
         const response = handler ? handler.response : undefined
 
         if (typeof response === 'function') {
@@ -125,22 +384,74 @@ function createRequestMock() {
   }
 
   function createReplyBuilder(method, url) {
-    return {
+    const predicates = {}
+    let once = false
+
+    function add(handler) {
+      addHandler({ method, url, predicates: { ...predicates }, once, ...handler })
+
+      return requestMock
+    }
+
+    const builder = {
+      withQuery(query) {
+        predicates.query = query
+
+        return builder
+      },
+
+      withBody(body) {
+        predicates.body = body
+
+        return builder
+      },
+
+      withHeaders(headers) {
+        predicates.headers = headers
+
+        return builder
+      },
+
+      once() {
+        once = true
+
+        return builder
+      },
+
       reply(response) {
-        addHandler(method, url, response, null)
+        return add({ response })
+      },
+
+      replyOnce(response) {
+        once = true
+
+        return add({ response })
+      },
+
+      replySequence(responses) {
+        once = true
+
+        for (const response of responses) {
+          add({ response })
+        }
+
         return requestMock
       },
 
       replyWithError(error) {
-        addHandler(method, url, null, error)
-        return requestMock
+        return add({ error })
+      },
+
+      replyWithStatus(status, body, headers) {
+        return add({ status: { status, body, headers } })
       },
 
       replyWith(fn) {
-        addHandler(method, url, fn, null)
-        return requestMock
+        return add({ response: fn })
       },
     }
+
+    return builder
   }
 
   // Request is callable as a function for custom HTTP methods (e.g. WebDAV PROPFIND/MKCOL/MOVE/COPY):
@@ -168,6 +479,7 @@ function createRequestMock() {
   const requestMock = {
     Request,
     history,
+    unmatched,
 
     onGet(url) { return createReplyBuilder('get', url) },
     onPost(url) { return createReplyBuilder('post', url) },
@@ -178,8 +490,28 @@ function createRequestMock() {
     onAny(url) { return createReplyBuilder('any', url) },
     on(method, url) { return createReplyBuilder(method.toLowerCase(), url) },
 
+    callsTo(method, url) {
+      const matchesUrl = createUrlMatcher(url)
+      const expectedMethod = method.toLowerCase()
+
+      return history.filter(call => (expectedMethod === 'any' || call.method === expectedMethod) && matchesUrl(call.url))
+    },
+
+    addResponder(responder) {
+      responders.push(responder)
+
+      return requestMock
+    },
+
+    setStrict(flag = true) {
+      strict = !!flag
+
+      return requestMock
+    },
+
     reset() {
       history.length = 0
+      unmatched.length = 0
       handlers.length = 0
     },
   }
@@ -187,4 +519,4 @@ function createRequestMock() {
   return requestMock
 }
 
-module.exports = { createRequestMock }
+module.exports = { createRequestMock, createHttpError }
@@ -12,7 +12,14 @@
 
 const superagent = require('superagent')
 
-function createRealRequest() {
+/**
+ * @param {Object} [options]
+ * @param {Function} [options.onExchange] - Called with { req, res, error, encoding, unwrap } after
+ *   every completed request; used by the cassette recorder.
+ */
+function createRealRequest(options = {}) {
+  const { onExchange } = options
+
   const Request = {}
 
   for (const method of ['get', 'post', 'put', 'patch', 'delete', 'head']) {
@@ -29,6 +36,10 @@ function createRealRequest() {
       req.then = (resolve, reject) => {
         return originalThen(
           (res) => {
+            if (onExchange) {
+              onExchange({ req, res, encoding, unwrap })
+            }
+
             const result = unwrap === false ? res : res.body
             return resolve ? resolve(result) : result
           },
@@ -40,6 +51,10 @@ function createRealRequest() {
               err.statusCode = err.response.status
             }
 
+            if (onExchange) {
+              onExchange({ req, error: err, encoding, unwrap })
+            }
+
             if (reject) {
               return reject(err)
             }
@@ -0,0 +1,93 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+const { createE2ESandbox } = require('..')
+const { cassettePath, createSanitizer, createRecorder } = require('../cassette')
+
+const SERVICE_ID = 'cassette-test-service'
+const API_KEY = 'sk-live+1234/567890'
+const CONFIGS = { apiKey: API_KEY, baseUrl: 'https://api.x.com' }
+
+describe('createSanitizer', () => {
+  const sanitizer = createSanitizer(CONFIGS)
+
+  it('keeps config placeholders in secret-named fields and redacts other secrets', () => {
+    expect(sanitizer.sanitize({ api_key: API_KEY, token: 'not-a-config', limit: 5 })).toEqual({
+      api_key: '<config:apiKey>',
+      token: '<redacted>',
+      limit: 5,
+    })
+
+    expect(sanitizer.sanitize({ authorization: `Bearer ${ API_KEY }`, cookie: 'sid=1' })).toEqual({
+      authorization: 'Bearer <config:apiKey>',
+      cookie: '<redacted>',
+    })
+  })
+
+  it('replaces config values inside URLs, encoded or not, and leaves plain settings alone', () => {
+    expect(sanitizer.sanitizeString(`https://api.x.com/items?api_key=${ encodeURIComponent(API_KEY) }`))
+      .toBe('https://api.x.com/items?api_key=%3Cconfig%3AapiKey%3E')
+
+    expect(sanitizer.placeholderConfigs()).toEqual({ apiKey: '<config:apiKey>', baseUrl: 'https://api.x.com' })
+  })
+})
+
+describe('cassette record and replay', () => {
+  afterAll(() => {
+    fs.rmSync(path.join(__dirname, '..', '..', 'services', SERVICE_ID), { recursive: true, force: true })
+  })
+
+  function record() {
+    const recorder = createRecorder(SERVICE_ID, CONFIGS, { itemId: 'item-1' })
+
+    recorder.onExchange({
+      req: {
+        method: 'GET',
+        url: 'https://api.x.com/items',
+        qs: { api_key: API_KEY, limit: 5 },
+        header: { 'X-Api-Key': API_KEY },
+      },
+      res: { status: 200, headers: { 'content-type': 'application/json' }, body: { items: [{ id: 'item-1' }] } },
+    })
+
+    return recorder.save()
+  }
+
+  it('writes no secrets to the cassette file', () => {
+    const file = record()
+
+    expect(file).toBe(cassettePath(SERVICE_ID))
+
+    const content = fs.readFileSync(file, 'utf8')
+
+    expect(content).not.toContain(API_KEY)
+    expect(JSON.parse(content).interactions[0].query).toEqual({ api_key: '<config:apiKey>', limit: 5 })
+  })
+
+  it('replays a request whose query carries a secret config value', async () => {
+    record()
+
+    const sandbox = createE2ESandbox(SERVICE_ID, { cassette: 'replay' })
+
+    class ItemsService {
+      constructor(config) {
+        this.apiKey = config.apiKey
+      }
+
+      listItems() {
+        return Flowrunner.Request.get('https://api.x.com/items').query({ api_key: this.apiKey, limit: 5 })
+      }
+    }
+
+    Flowrunner.ServerCode.addService(ItemsService, [{ name: 'apiKey', required: true }])
+
+    try {
+      await expect(sandbox.getService().listItems()).resolves.toEqual({ items: [{ id: 'item-1' }] })
+      await expect(sandbox.getService().listItems()).rejects.toThrow('No recorded interaction left')
+    } finally {
+      sandbox.cleanup()
+    }
+  })
+})
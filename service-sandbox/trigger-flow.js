@@ -0,0 +1,327 @@
+'use strict'
+
+/**
+ * Trigger lifecycle simulator.
+ *
+ * Drives a service through the same sequence of SYSTEM calls the FlowRunner server makes
+ * for trigger blocks (see docs/flowrunner-triggers.md), keeping `webhookData`, `eventScopeId`
+ * and polling `state` between calls the way the server does.
+ *
+ * REALTIME triggers:
+ *
+ *   const flow = await sandbox.startTriggerFlow({
+ *     callbackUrl: 'https://callback.example.com',
+ *     connectionId: 'conn-1',
+ *     triggers: [{ id: 't1', name: 'onMessage', data: { channelId: 'C1' } }],
+ *   })
+ *
+ *   const result = await flow.postEvent({ body, headers, queryParams, rawBody })
+ *   result.firedTriggerIds   // ['t1']
+ *   result.events            // [{ name, data, triggerIds }]
+ *
+ *   await flow.refresh()     // handleTriggerRefreshWebhook
+ *   await flow.stop()        // handleTriggerDeleteWebhook
+ *
+ * POLLING triggers:
+ *
+ *   const poller = sandbox.startPolling({ name: 'onNewRow', data: { sheetId: 'S1' } })
+ *   await poller.tick()      // first run, usually a baseline with no events
+ *   const { events } = await poller.tick()
+ *   poller.state             // state returned by the last tick
+ */
+
+function assertMethod(service, methodName) {
+  if (typeof service[methodName] !== 'function') {
+    throw new Error(`Service does not implement "${ methodName }"`)
+  }
+}
+
+function groupByEventName(triggers) {
+  const groups = {}
+
+  for (const trigger of triggers) {
+    groups[trigger.name] = groups[trigger.name] || []
+    groups[trigger.name].push(trigger)
+  }
+
+  return groups
+}
+
+function normalizeTriggers(triggers) {
+  if (!Array.isArray(triggers) || !triggers.length) {
+    throw new Error('At least one trigger block is required to start a flow')
+  }
+
+  return triggers.map((trigger, index) => {
+    if (!trigger.name) {
+      throw new Error(`Trigger block #${ index } has no "name" (the trigger method name)`)
+    }
+
+    return {
+      id: trigger.id || `trigger-${ index + 1 }`,
+      name: trigger.name,
+      data: trigger.data || {},
+    }
+  })
+}
+
+/**
+ * Starts a REALTIME flow: calls handleTriggerUpsertWebhook and returns a handle that
+ * routes posted webhook bodies through handleTriggerResolveEvents and handleTriggerSelectMatched.
+ *
+ * @param {Object} service - Registered service instance.
+ * @param {Object} options
+ * @param {Array<Object>} options.triggers - Trigger blocks: { id, name, data }.
+ * @param {string} [options.callbackUrl] - URL FlowRunner hands to the service for webhook delivery.
+ * @param {string} [options.connectionId] - OAuth connection id passed along with every invocation.
+ * @param {Object} [options.webhookData] - webhookData left over from a previous run of the flow.
+ */
+async function startTriggerFlow(service, options = {}) {
+  assertMethod(service, 'handleTriggerUpsertWebhook')
+  assertMethod(service, 'handleTriggerResolveEvents')
+
+  const triggers = normalizeTriggers(options.triggers)
+  const callbackUrl = options.callbackUrl || 'https://flowrunner.test/webhooks/callback'
+  const connectionId = options.connectionId
+
+  const flow = {
+    callbackUrl,
+    connectionId,
+    triggers,
+    webhookData: options.webhookData || null,
+    eventScopeId: undefined,
+    refreshIntervalInSeconds: undefined,
+    stopped: false,
+    calls: [],
+  }
+
+  function eventsInvocationPart() {
+    return triggers.map(trigger => ({ name: trigger.name, triggerData: trigger.data }))
+  }
+
+  function applyWebhookResult(result) {
+    if (!result) {
+      return
+    }
+
+    if (result.webhookData !== undefined) {
+      flow.webhookData = result.webhookData
+    }
+
+    if (result.eventScopeId !== undefined) {
+      flow.eventScopeId = result.eventScopeId
+    }
+
+    if (result.refreshIntervalInSeconds !== undefined) {
+      flow.refreshIntervalInSeconds = result.refreshIntervalInSeconds
+    }
+  }
+
+  async function call(methodName, invocation) {
+    flow.calls.push({ methodName, invocation })
+
+    return service[methodName](invocation)
+  }
+
+  function ensureRunning() {
+    if (flow.stopped) {
+      throw new Error('The flow has been stopped')
+    }
+  }
+
+  async function selectMatched(eventName, eventData, resolvedConnectionId) {
+    const candidates = groupByEventName(triggers)[eventName] || []
+
+    if (!candidates.length) {
+      return { ids: [], data: eventData }
+    }
+
+    if (typeof service.handleTriggerSelectMatched !== 'function') {
+      return { ids: candidates.map(({ id }) => id), data: eventData }
+    }
+
+    const result = await call('handleTriggerSelectMatched', {
+      connectionId: resolvedConnectionId,
+      triggers: candidates.map(({ id, data }) => ({ id, data })),
+      webhookData: flow.webhookData,
+      eventName,
+      eventData,
+    })
+
+    const knownIds = new Set(candidates.map(({ id }) => id))
+    const ids = (result?.ids || []).filter(id => knownIds.has(id))
+
+    return {
+      ids,
+      data: result?.enrichedEventData ?? eventData,
+    }
+  }
+
+  /**
+   * Delivers one webhook request to the service, the way the server wraps it into a
+   * RESOLVE_EVENT invocation, and resolves which trigger blocks fire.
+   *
+   * Pass `rawBody` with the exact payload string when the service verifies a signature over
+   * it; the stored webhookData travels with the invocation so per-webhook secrets are at hand.
+   */
+  flow.postEvent = async function(request = {}) {
+    ensureRunning()
+
+    const resolved = await call('handleTriggerResolveEvents', {
+      connectionId: request.connectionId,
+      headers: request.headers || {},
+      queryParams: request.queryParams || {},
+      body: request.body,
+      rawBody: request.rawBody,
+      webhookData: flow.webhookData,
+    })
+
+    const outcome = {
+      handshake: false,
+      responseToExternalService: undefined,
+      events: [],
+      firedTriggerIds: [],
+      raw: resolved,
+    }
+
+    if (!resolved) {
+      return outcome
+    }
+
+    outcome.responseToExternalService = resolved.responseToExternalService
+
+    if (resolved.handshake) {
+      outcome.handshake = true
+
+      return outcome
+    }
+
+    // ALL_APPS triggers: the server only routes events to flows whose scope matches
+    if (flow.eventScopeId !== undefined && resolved.eventScopeId !== undefined && resolved.eventScopeId !== flow.eventScopeId) {
+      return outcome
+    }
+
+    const resolvedConnectionId = resolved.connectionId || request.connectionId || connectionId
+
+    for (const event of resolved.events || []) {
+      const { ids, data } = await selectMatched(event.name, event.data, resolvedConnectionId)
+
+      outcome.events.push({ name: event.name, data, triggerIds: ids })
+
+      for (const id of ids) {
+        if (!outcome.firedTriggerIds.includes(id)) {
+          outcome.firedTriggerIds.push(id)
+        }
+      }
+    }
+
+    return outcome
+  }
+
+  flow.refresh = async function() {
+    ensureRunning()
+    assertMethod(service, 'handleTriggerRefreshWebhook')
+
+    const result = await call('handleTriggerRefreshWebhook', {
+      connectionId,
+      callbackUrl,
+      events: eventsInvocationPart(),
+      webhookData: flow.webhookData,
+    })
+
+    applyWebhookResult(result)
+
+    return result
+  }
+
+  flow.stop = async function() {
+    ensureRunning()
+
+    let result
+
+    if (typeof service.handleTriggerDeleteWebhook === 'function') {
+      result = await call('handleTriggerDeleteWebhook', {
+        connectionId,
+        callbackUrl,
+        webhookData: flow.webhookData,
+      })
+
+      applyWebhookResult(result)
+    }
+
+    flow.stopped = true
+
+    return result
+  }
+
+  const upsertResult = await call('handleTriggerUpsertWebhook', {
+    connectionId,
+    callbackUrl,
+    events: eventsInvocationPart(),
+    webhookData: flow.webhookData,
+  })
+
+  applyWebhookResult(upsertResult)
+
+  return flow
+}
+
+/**
+ * Creates a POLLING trigger runner. Each tick() calls handleTriggerPollingForEvent with the
+ * state returned by the previous tick, the way the server persists it between intervals.
+ *
+ * @param {Object} service - Registered service instance.
+ * @param {Object} options
+ * @param {string} options.name - Trigger method name (invocation.eventName).
+ * @param {Object} [options.data] - Trigger block data (invocation.triggerData).
+ * @param {string} [options.id] - Trigger block id.
+ * @param {string} [options.connectionId] - OAuth connection id.
+ * @param {Object} [options.state] - Initial state, e.g. to resume from a stored watermark.
+ */
+function startPolling(service, options = {}) {
+  assertMethod(service, 'handleTriggerPollingForEvent')
+
+  if (!options.name) {
+    throw new Error('Polling trigger "name" (the trigger method name) is required')
+  }
+
+  const poller = {
+    id: options.id || 'trigger-1',
+    name: options.name,
+    data: options.data || {},
+    connectionId: options.connectionId,
+    state: options.state === undefined ? null : options.state,
+    ticks: [],
+  }
+
+  /**
+   * Runs a single polling interval.
+   *
+   * @param {Object} [tickOptions]
+   * @param {boolean} [tickOptions.learningMode] - Simulates the "test trigger" run from the flow editor.
+   */
+  poller.tick = async function(tickOptions = {}) {
+    const invocation = {
+      connectionId: poller.connectionId,
+      eventName: poller.name,
+      triggerData: poller.data,
+      learningMode: !!tickOptions.learningMode,
+      state: poller.state,
+    }
+
+    const result = await service.handleTriggerPollingForEvent(invocation)
+    const events = result?.events || []
+
+    if (result && result.state !== undefined) {
+      poller.state = result.state
+    }
+
+    poller.ticks.push({ invocation, result })
+
+    return { events, state: poller.state, raw: result }
+  }
+
+  return poller
+}
+
+module.exports = { startTriggerFlow, startPolling }
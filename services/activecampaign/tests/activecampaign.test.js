@@ -47,6 +47,12 @@ describe('ActiveCampaign Service', () => {
     })
   })
 
+  describe('dictionaries', () => {
+    it('follow the payload contract', async () => {
+      expect(await sandbox.checkDictionaries()).toEqual([])
+    })
+  })
+
   // ── Contacts ──
 
   describe('syncContact', () => {
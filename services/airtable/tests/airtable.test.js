@@ -945,6 +945,39 @@ describe('Airtable Service', () => {
     })
   })
 
+  describe('onNewRecord polling lifecycle', () => {
+    function mockRecords(records) {
+      mock.reset()
+
+      mock.onGet(`${ API_BASE }/meta/bases/app123/tables`).reply({
+        tables: [{ id: 'tbl1', fields: [{ name: 'Created', type: 'createdTime' }] }],
+      })
+
+      mock.onGet(`${ API_BASE }/app123/tbl1`).reply({ records })
+    }
+
+    it('carries state between ticks and emits only records added since the previous tick', async () => {
+      const poller = sandbox.startPolling({
+        name: 'onNewRecord',
+        data: { baseId: 'app123', tableIdOrName: 'tbl1' },
+      })
+
+      mockRecords([{ id: 'rec1', fields: {} }])
+      const baseline = await poller.tick()
+
+      mockRecords([{ id: 'rec2', fields: {} }, { id: 'rec1', fields: {} }])
+      const second = await poller.tick()
+
+      mockRecords([{ id: 'rec2', fields: {} }, { id: 'rec1', fields: {} }])
+      const third = await poller.tick()
+
+      expect(baseline.events).toEqual([])
+      expect(second.events).toEqual([{ id: 'rec2', fields: {} }])
+      expect(third.events).toEqual([])
+      expect(poller.state.records.map(({ id }) => id)).toEqual(['rec2', 'rec1'])
+    })
+  })
+
   describe('onNewOrUpdatedRecord', () => {
     const baseInvocation = {
       eventName: 'onNewOrUpdatedRecord',
@@ -72,8 +72,8 @@ describe('AWS ACM Service', () => {
       )
     })
 
-    it('registers exactly 6 config items', () => {
-      expect(sandbox.getConfigItems()).toHaveLength(6)
+    it('registers exactly 9 config items', () => {
+      expect(sandbox.getConfigItems()).toHaveLength(9)
     })
   })
 
@@ -1172,6 +1172,7 @@ describe('CredentialProvider', () => {
 
     const provider = new CredentialProvider(
       {
+        service: 'acm',
         authenticationMethod: 'IAM Role',
         accessKeyId: 'AK',
         secretAccessKey: 'SK',
@@ -1191,7 +1192,8 @@ describe('CredentialProvider', () => {
       'eu-west-1',
       'arn:role',
       `flowrunner-acm-${ now }`,
-      'ext'
+      'ext',
+      undefined
     )
 
     // Well inside the 5 minute expiry buffer — served from the cache.
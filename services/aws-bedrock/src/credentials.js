@@ -1,17 +1,42 @@
 'use strict'
 
+// Shared AWS core: edit shared/aws-core/credentials.js and run `npm run sync:shared`, never the service copy.
+
 const { stsAssumeRole: defaultStsAssumeRole } = require('./aws-client')
 
 const EXPIRY_BUFFER_MS = 300000 // 5 minutes
 
+/**
+ * Splits the configured Role ARN into the chain of roles to assume, in order.
+ * @param {string|string[]} roleArn - A single ARN, a comma separated list, or an array.
+ * @returns {string[]}
+ */
+function parseRoleChain(roleArn) {
+  const list = Array.isArray(roleArn) ? roleArn : String(roleArn || '').split(',')
+
+  return list.map(arn => String(arn).trim()).filter(Boolean)
+}
+
 class CredentialProvider {
+  /**
+   * @param {Object} config
+   * @param {string} [config.service] - Short service id used in the STS session name.
+   * @param {string} [config.sessionToken] - Static session token for temporary access keys.
+   * @param {string|string[]} [config.roleArn] - Role to assume; several roles are assumed in order (chaining).
+   * @param {string} [config.externalId] - Sent when assuming the last role of the chain.
+   * @param {Object} [config.endpoint] - endpointFromConfig() result, also used for STS.
+   * @param {Object} [deps] - { stsAssumeRole, now } overrides for tests.
+   */
   constructor(config = {}, deps = {}) {
     this.authenticationMethod = config.authenticationMethod || 'API Key'
     this.accessKeyId = config.accessKeyId
     this.secretAccessKey = config.secretAccessKey
+    this.sessionToken = config.sessionToken
     this.region = config.region || 'us-east-1'
     this.roleArn = config.roleArn
     this.externalId = config.externalId
+    this.service = config.service || 'aws'
+    this.endpoint = config.endpoint
 
     this._stsAssumeRole = deps.stsAssumeRole || defaultStsAssumeRole
     this._now = deps.now || (() => Date.now())
@@ -29,7 +54,17 @@ class CredentialProvider {
       throw new Error('Access Key and Secret Key are required for API Key authentication.')
     }
 
-    return { accessKeyId: this.accessKeyId, secretAccessKey: this.secretAccessKey }
+    return this._staticCredentials()
+  }
+
+  _staticCredentials() {
+    const credentials = { accessKeyId: this.accessKeyId, secretAccessKey: this.secretAccessKey }
+
+    if (this.sessionToken) {
+      credentials.sessionToken = this.sessionToken
+    }
+
+    return credentials
   }
 
   async _resolveRole() {
@@ -37,7 +72,9 @@ class CredentialProvider {
       return this._cached
     }
 
-    if (!this.roleArn) {
+    const roleChain = parseRoleChain(this.roleArn)
+
+    if (!roleChain.length) {
       throw new Error('IAM Role ARN is required for IAM Role authentication.')
     }
 
@@ -45,19 +82,31 @@ class CredentialProvider {
       throw new Error('Access Key and Secret Key are required to assume an IAM Role.')
     }
 
-    const result = await this._stsAssumeRole(
-      { accessKeyId: this.accessKeyId, secretAccessKey: this.secretAccessKey },
-      this.region,
-      this.roleArn,
-      `flowrunner-bedrock-${ this._now() }`,
-      this.externalId
-    )
+    let credentials = this._staticCredentials()
+    let expiration
+
+    // Each role in the chain is assumed with the temporary credentials of the previous one
+    for (let i = 0; i < roleChain.length; i++) {
+      const isLast = i === roleChain.length - 1
+
+      const result = await this._stsAssumeRole(
+        credentials,
+        this.region,
+        roleChain[i],
+        `flowrunner-${ this.service }-${ this._now() }`,
+        isLast ? this.externalId : undefined,
+        this.endpoint
+      )
+
+      credentials = { accessKeyId: result.accessKeyId, secretAccessKey: result.secretAccessKey, sessionToken: result.sessionToken }
+      expiration = result.expiration
+    }
 
-    this._cached = { accessKeyId: result.accessKeyId, secretAccessKey: result.secretAccessKey, sessionToken: result.sessionToken }
-    this._cachedExpiryMs = new Date(result.expiration).getTime()
+    this._cached = credentials
+    this._cachedExpiryMs = new Date(expiration).getTime()
 
     return this._cached
   }
 }
 
-module.exports = { CredentialProvider }
+module.exports = { CredentialProvider, parseRoleChain }
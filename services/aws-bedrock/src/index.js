@@ -3,6 +3,7 @@
 const { signRequest } = require('./sigv4')
 const { httpRequest, parseJsonResponse } = require('./aws-client')
 const { CredentialProvider } = require('./credentials')
+const { endpointFromConfig, resolveEndpoint } = require('./endpoints')
 const { createLogger, mapAwsError } = require('./errors')
 const { awsConfigItems } = require('./config-items')
 
@@ -19,13 +20,18 @@ class AwsBedrock {
     this.region = config.region || 'us-east-1'
     this.logger = createLogger('AWS Bedrock')
 
+    this.endpoint = endpointFromConfig(config)
+
     this.credentials = new CredentialProvider({
+      service: 'bedrock',
       authenticationMethod: config.authenticationMethod || 'API Key',
       accessKeyId: config.accessKeyId,
       secretAccessKey: config.secretAccessKey,
+      sessionToken: config.sessionToken,
       region: this.region,
       roleArn: config.roleArn,
       externalId: config.externalId,
+      endpoint: this.endpoint,
     })
 
     this.deps = { signRequest, httpRequest, parseJsonResponse }
@@ -35,7 +41,7 @@ class AwsBedrock {
    * Signs and sends a REST-JSON request to a Bedrock endpoint, returning the parsed JSON body.
    *
    * @param {Object} opts
-   * @param {string} opts.host - Full host, e.g. bedrock-runtime.us-east-1.amazonaws.com
+   * @param {string} opts.baseUrl - Endpoint base URL, e.g. https://bedrock-runtime.us-east-1.amazonaws.com
    * @param {string} opts.method - HTTP method
    * @param {string} opts.path - URL path, already percent-encoded where needed
    * @param {Object} [opts.query] - Query string key/value pairs
@@ -44,9 +50,9 @@ class AwsBedrock {
    * @param {string} [opts.accept] - Accept header (default application/json)
    * @returns {Object}
    */
-  async #send({ host, method, path, query, body, contentType, accept }) {
+  async #send({ baseUrl, method, path, query, body, contentType, accept }) {
     const creds = await this.credentials.resolve()
-    const url = new URL(`https://${ host }${ path }`)
+    const url = new URL(`${ baseUrl }${ path }`)
 
     if (query) {
       for (const [key, value] of Object.entries(query)) {
@@ -67,12 +73,12 @@ class AwsBedrock {
     return this.deps.parseJsonResponse(response)
   }
 
-  #runtimeHost() {
-    return `bedrock-runtime.${ this.region }.amazonaws.com`
+  #runtimeUrl() {
+    return resolveEndpoint('bedrock-runtime', this.region, this.endpoint)
   }
 
-  #controlHost() {
-    return `bedrock.${ this.region }.amazonaws.com`
+  #controlUrl() {
+    return resolveEndpoint('bedrock', this.region, this.endpoint)
   }
 
   /**
@@ -112,7 +118,7 @@ class AwsBedrock {
       }
 
       const res = await this.#send({
-        host: this.#runtimeHost(),
+        baseUrl: this.#runtimeUrl(),
         method: 'POST',
         path: `/model/${ encodeURIComponent(modelId) }/converse`,
         body,
@@ -153,7 +159,7 @@ class AwsBedrock {
 
     try {
       const res = await this.#send({
-        host: this.#runtimeHost(),
+        baseUrl: this.#runtimeUrl(),
         method: 'POST',
         path: `/model/${ encodeURIComponent(modelId) }/invoke`,
         body,
@@ -200,7 +206,7 @@ class AwsBedrock {
         : this.#buildStabilityImageBody(prompt, negativePrompt, seed)
 
       const res = await this.#send({
-        host: this.#runtimeHost(),
+        baseUrl: this.#runtimeUrl(),
         method: 'POST',
         path: `/model/${ encodeURIComponent(resolvedModelId) }/invoke`,
         body,
@@ -248,7 +254,7 @@ class AwsBedrock {
         query.byOutputModality = this.#resolveChoice(byOutputModality, { Text: 'TEXT', Image: 'IMAGE', Embedding: 'EMBEDDING' })
       }
 
-      const res = await this.#send({ host: this.#controlHost(), method: 'GET', path: '/foundation-models', query })
+      const res = await this.#send({ baseUrl: this.#controlUrl(), method: 'GET', path: '/foundation-models', query })
       const summaries = res.modelSummaries || []
 
       return {
@@ -280,7 +286,7 @@ class AwsBedrock {
 
     try {
       const res = await this.#send({
-        host: this.#controlHost(),
+        baseUrl: this.#controlUrl(),
         method: 'GET',
         path: `/foundation-models/${ encodeURIComponent(modelId) }`,
       })
@@ -304,7 +310,7 @@ class AwsBedrock {
     const { search } = payload || {}
 
     try {
-      const res = await this.#send({ host: this.#controlHost(), method: 'GET', path: '/foundation-models' })
+      const res = await this.#send({ baseUrl: this.#controlUrl(), method: 'GET', path: '/foundation-models' })
       let summaries = res.modelSummaries || []
 
       if (search) {
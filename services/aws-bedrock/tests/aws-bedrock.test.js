@@ -81,8 +81,8 @@ describe('AWS Bedrock Service', () => {
       )
     })
 
-    it('has 6 config items total', () => {
-      expect(sandbox.getConfigItems()).toHaveLength(6)
+    it('has 9 config items total', () => {
+      expect(sandbox.getConfigItems()).toHaveLength(9)
     })
   })
 
@@ -1220,6 +1220,7 @@ describe('CredentialProvider', () => {
 
     const provider = new CredentialProvider(
       {
+        service: 'bedrock',
         authenticationMethod: 'IAM Role',
         accessKeyId: 'AK',
         secretAccessKey: 'SK',
@@ -1239,7 +1240,8 @@ describe('CredentialProvider', () => {
       'eu-west-1',
       'arn:role',
       `flowrunner-bedrock-${ now }`,
-      'ext'
+      'ext',
+      undefined
     )
 
     // Well inside the 5 minute expiry buffer — served from the cache.
@@ -2,6 +2,7 @@
 
 const { jsonRequest } = require('./aws-client')
 const { CredentialProvider } = require('./credentials')
+const { endpointFromConfig } = require('./endpoints')
 const { createLogger, mapAwsError } = require('./errors')
 const { awsConfigItems } = require('./config-items')
 
@@ -37,13 +38,18 @@ class Cognito {
     this.region = config.region || 'us-east-1'
     this.logger = createLogger('AWS Cognito')
 
+    this.endpoint = endpointFromConfig(config)
+
     this.credentials = new CredentialProvider({
+      service: 'cognito',
       authenticationMethod: config.authenticationMethod || 'API Key',
       accessKeyId: config.accessKeyId,
       secretAccessKey: config.secretAccessKey,
+      sessionToken: config.sessionToken,
       region: this.region,
       roleArn: config.roleArn,
       externalId: config.externalId,
+      endpoint: this.endpoint,
     })
 
     this.deps = { jsonRequest }
@@ -53,7 +59,7 @@ class Cognito {
     const creds = await this.credentials.resolve()
 
     return this.deps.jsonRequest(
-      { region: this.region, service: 'cognito-idp', target: `${ TARGET_PREFIX }.${ operation }`, contentType: CONTENT_TYPE, body },
+      { region: this.region, service: 'cognito-idp', target: `${ TARGET_PREFIX }.${ operation }`, contentType: CONTENT_TYPE, body, endpoint: this.endpoint },
       creds
     )
   }
@@ -1,5 +1,7 @@
 'use strict'
 
+// Shared AWS core: edit shared/aws-core/sigv4.js and run `npm run sync:shared`, never the service copy.
+
 const crypto = require('crypto')
 
 /**
@@ -33,9 +35,8 @@ function hmacSha256(key, data) {
 function uriEncode(str, encodeSlash = true) {
   let result = ''
 
-  for (let i = 0; i < str.length; i++) {
-    const ch = str[i]
-
+  // Iterate by code point so characters outside the BMP (emoji) are encoded as one UTF-8 sequence
+  for (const ch of str) {
     if (
       (ch >= 'A' && ch <= 'Z') ||
       (ch >= 'a' && ch <= 'z') ||
@@ -307,4 +308,5 @@ function generatePresignedUrl(method, url, credentials, region, service, expires
 module.exports = {
   signRequest,
   generatePresignedUrl,
+  uriEncode,
 }
@@ -1815,6 +1815,7 @@ describe('AWS Cognito CredentialProvider', () => {
 
     const provider = new CredentialProvider(
       {
+        service: 'cognito',
         authenticationMethod: 'IAM Role',
         accessKeyId: 'BASE_AK',
         secretAccessKey: 'BASE_SK',
@@ -1834,7 +1835,8 @@ describe('AWS Cognito CredentialProvider', () => {
       'eu-west-1',
       'arn:aws:iam::123456789012:role/MyRole',
       'flowrunner-cognito-1000000',
-      'ext-1'
+      'ext-1',
+      undefined
     )
 
     // Well inside the validity window: served from cache.
@@ -1865,6 +1867,7 @@ describe('AWS Cognito CredentialProvider', () => {
     }
 
     const provider = new CredentialProvider({
+      service: 'cognito',
       authenticationMethod: 'IAM Role',
       accessKeyId: 'BASE_AK',
       secretAccessKey: 'BASE_SK',
@@ -2,6 +2,7 @@
 
 const { jsonRequest } = require('./aws-client')
 const { CredentialProvider } = require('./credentials')
+const { endpointFromConfig } = require('./endpoints')
 const { createLogger, mapAwsError } = require('./errors')
 const { awsConfigItems } = require('./config-items')
 
@@ -33,13 +34,18 @@ class Comprehend {
     this.region = config.region || 'us-east-1'
     this.logger = createLogger('AWS Comprehend')
 
+    this.endpoint = endpointFromConfig(config)
+
     this.credentials = new CredentialProvider({
+      service: 'comprehend',
       authenticationMethod: config.authenticationMethod || 'API Key',
       accessKeyId: config.accessKeyId,
       secretAccessKey: config.secretAccessKey,
+      sessionToken: config.sessionToken,
       region: this.region,
       roleArn: config.roleArn,
       externalId: config.externalId,
+      endpoint: this.endpoint,
     })
 
     this.deps = { jsonRequest }
@@ -49,7 +55,7 @@ class Comprehend {
     const creds = await this.credentials.resolve()
 
     return this.deps.jsonRequest(
-      { region: this.region, service: 'comprehend', target: `${ TARGET_PREFIX }.${ operation }`, contentType: CONTENT_TYPE, body },
+      { region: this.region, service: 'comprehend', target: `${ TARGET_PREFIX }.${ operation }`, contentType: CONTENT_TYPE, body, endpoint: this.endpoint },
       creds
     )
   }
@@ -147,8 +147,8 @@ describe('AWS Comprehend Service', () => {
       )
     })
 
-    it('has exactly 6 config items', () => {
-      expect(sandbox.getConfigItems()).toHaveLength(6)
+    it('has exactly 9 config items', () => {
+      expect(sandbox.getConfigItems()).toHaveLength(9)
     })
   })
 
@@ -1508,6 +1508,7 @@ describe('AWS Comprehend CredentialProvider', () => {
 
     const provider = new CredentialProvider(
       {
+        service: 'comprehend',
         authenticationMethod: 'IAM Role',
         accessKeyId: 'BASE_AK',
         secretAccessKey: 'BASE_SK',
@@ -1527,7 +1528,8 @@ describe('AWS Comprehend CredentialProvider', () => {
       'eu-west-1',
       'arn:aws:iam::123456789012:role/MyRole',
       'flowrunner-comprehend-1000000',
-      'ext-1'
+      'ext-1',
+      undefined
     )
 
     // Well inside the validity window: served from cache.
@@ -1558,6 +1560,7 @@ describe('AWS Comprehend CredentialProvider', () => {
     }
 
     const provider = new CredentialProvider({
+      service: 'comprehend',
       authenticationMethod: 'IAM Role',
       accessKeyId: 'BASE_AK',
       secretAccessKey: 'BASE_SK',
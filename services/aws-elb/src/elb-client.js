@@ -2,6 +2,7 @@
 
 const { signRequest } = require('./sigv4')
 const { httpRequest, parseXmlTag } = require('./aws-client')
+const { resolveEndpoint } = require('./endpoints')
 const { parseXml } = require('./xml')
 
 const API_VERSION = '2015-12-01'
@@ -70,10 +71,11 @@ function buildQuery(action, params = {}) {
  * @param {Object} params - Query parameters (see buildQuery).
  * @param {Object} credentials - { accessKeyId, secretAccessKey, sessionToken? }.
  * @param {string} region - AWS region code.
+ * @param {Object} [endpoint] - Custom or FIPS/dual-stack endpoint, see endpoints.js.
  * @returns {Promise<Object>} Parsed XML document as a plain JS object.
  */
-async function elbRequest(action, params, credentials, region) {
-  const url = `https://${ SERVICE }.${ region }.amazonaws.com/`
+async function elbRequest(action, params, credentials, region, endpoint) {
+  const url = `${ resolveEndpoint(SERVICE, region, endpoint) }/`
   const body = buildQuery(action, params)
   const headers = { 'content-type': 'application/x-www-form-urlencoded; charset=utf-8' }
 
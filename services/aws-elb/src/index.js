@@ -3,6 +3,7 @@
 const { elbRequest } = require('./elb-client')
 const { toArray } = require('./xml')
 const { CredentialProvider } = require('./credentials')
+const { endpointFromConfig } = require('./endpoints')
 const { createLogger, mapAwsError } = require('./errors')
 const { awsConfigItems } = require('./config-items')
 
@@ -15,13 +16,18 @@ class ElasticLoadBalancing {
     this.region = config.region || 'us-east-1'
     this.logger = createLogger('ELB')
 
+    this.endpoint = endpointFromConfig(config)
+
     this.credentials = new CredentialProvider({
+      service: 'elb',
       authenticationMethod: config.authenticationMethod || 'API Key',
       accessKeyId: config.accessKeyId,
       secretAccessKey: config.secretAccessKey,
+      sessionToken: config.sessionToken,
       region: this.region,
       roleArn: config.roleArn,
       externalId: config.externalId,
+      endpoint: this.endpoint,
     })
 
     this.deps = { elbRequest }
@@ -30,7 +36,7 @@ class ElasticLoadBalancing {
   async #send(action, params) {
     const creds = await this.credentials.resolve()
 
-    return this.deps.elbRequest(action, params || {}, creds, this.region)
+    return this.deps.elbRequest(action, params || {}, creds, this.region, this.endpoint)
   }
 
   // Resolves a friendly dropdown label to its API value; passes through unknowns.
@@ -1,5 +1,7 @@
 'use strict'
 
+// Shared AWS core: edit shared/aws-core/config-items.js and run `npm run sync:shared`, never the service copy.
+
 const awsConfigItems = [
   {
     name: 'authenticationMethod',
@@ -18,7 +20,7 @@ const awsConfigItems = [
     required: true,
     shared: false,
     defaultValue: 'us-east-1',
-    hint: 'AWS region code, e.g. us-east-1. IAM is a global service that is always signed for us-east-1; this region is only used when assuming an IAM Role via STS.',
+    hint: 'AWS region code, e.g. us-east-1, eu-west-1.',
   },
   {
     name: 'accessKeyId',
@@ -36,13 +38,21 @@ const awsConfigItems = [
     shared: false,
     hint: 'Your AWS secret access key. Required for both API Key and IAM Role authentication.',
   },
+  {
+    name: 'sessionToken',
+    displayName: 'Session Token',
+    type: 'STRING',
+    required: false,
+    shared: false,
+    hint: 'Optional session token for temporary access keys (starting with ASIA), e.g. from aws sts get-session-token.',
+  },
   {
     name: 'roleArn',
     displayName: 'IAM Role ARN',
     type: 'STRING',
     required: false,
     shared: false,
-    hint: 'ARN of the IAM role to assume (e.g. arn:aws:iam::123456789012:role/MyRole). Required for IAM Role authentication.',
+    hint: 'ARN of the IAM role to assume (e.g. arn:aws:iam::123456789012:role/MyRole). Separate several ARNs with commas to chain roles, each assumed with the previous one. Required for IAM Role authentication.',
   },
   {
     name: 'externalId',
@@ -50,7 +60,25 @@ const awsConfigItems = [
     type: 'STRING',
     required: false,
     shared: false,
-    hint: 'Optional external ID for cross-account role assumption.',
+    hint: 'Optional external ID for cross-account role assumption. With chained roles it is sent for the last role.',
+  },
+  {
+    name: 'endpointVariant',
+    displayName: 'Endpoint Type',
+    type: 'CHOICE',
+    required: false,
+    shared: false,
+    defaultValue: 'Standard',
+    hint: 'Which AWS endpoint to use. FIPS endpoints use FIPS 140 validated cryptography; dual-stack endpoints accept IPv6.',
+    options: ['Standard', 'FIPS', 'Dual-Stack', 'FIPS + Dual-Stack'],
+  },
+  {
+    name: 'endpoint',
+    displayName: 'Custom Endpoint',
+    type: 'STRING',
+    required: false,
+    shared: false,
+    hint: 'Overrides the AWS endpoint for all requests, including STS, e.g. http://localhost:4566 for LocalStack. Leave empty to use the AWS endpoint of the region.',
   },
 ]
 
@@ -2,11 +2,11 @@
 
 const { signRequest } = require('./sigv4')
 const { httpRequest, stsAssumeRole } = require('./aws-client')
+const { resolveEndpoint } = require('./endpoints')
 
-const IAM_ENDPOINT = 'https://iam.amazonaws.com/'
 const IAM_API_VERSION = '2010-05-08'
-// IAM is a global service. The endpoint is always iam.amazonaws.com and the
-// SigV4 signing region is ALWAYS us-east-1, regardless of the configured region.
+// IAM is a global service. The endpoint is iam.amazonaws.com (unless a custom endpoint is
+// configured) and the SigV4 signing region is ALWAYS us-east-1, regardless of the configured region.
 const IAM_SIGNING_REGION = 'us-east-1'
 const IAM_SERVICE = 'iam'
 
@@ -156,15 +156,17 @@ function getTag(xml, tagName) {
  * @param {string} action - IAM action name
  * @param {Object} params - operation params (flattened to Query syntax)
  * @param {Object} credentials - { accessKeyId, secretAccessKey, sessionToken? }
+ * @param {Object} [endpoint] - Custom or FIPS/dual-stack endpoint, see endpoints.js
  * @returns {Promise<string>} response body XML
  */
-async function iamRequest(action, params, credentials) {
+async function iamRequest(action, params, credentials, endpoint) {
+  const url = `${ resolveEndpoint(IAM_SERVICE, IAM_SIGNING_REGION, endpoint, { global: true }) }/`
   const body = buildQuery(action, params)
   const headers = { 'content-type': 'application/x-www-form-urlencoded' }
 
-  signRequest('POST', IAM_ENDPOINT, headers, body, credentials, IAM_SIGNING_REGION, IAM_SERVICE)
+  signRequest('POST', url, headers, body, credentials, IAM_SIGNING_REGION, IAM_SERVICE)
 
-  const response = await httpRequest('POST', IAM_ENDPOINT, headers, body)
+  const response = await httpRequest('POST', url, headers, body)
 
   if (response.statusCode >= 300) {
     // IAM error XML: <ErrorResponse><Error><Code>..</Code><Message>..</Message></Error></ErrorResponse>
@@ -183,7 +185,6 @@ async function iamRequest(action, params, credentials) {
 }
 
 module.exports = {
-  IAM_ENDPOINT,
   IAM_API_VERSION,
   IAM_SIGNING_REGION,
   IAM_SERVICE,
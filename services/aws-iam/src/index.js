@@ -1,6 +1,8 @@
 'use strict'
 
 const { awsConfigItems } = require('./config-items')
+const { CredentialProvider } = require('./credentials')
+const { endpointFromConfig } = require('./endpoints')
 const {
   iamRequest,
   stsAssumeRole,
@@ -17,8 +19,6 @@ const logger = {
   warn: (...args) => console.log('[AWS IAM] warn:', ...args),
 }
 
-const STS_EXPIRY_BUFFER_MS = 300000 // 5 minutes
-
 /**
  * Maps a friendly dropdown label to its API value, passing through unknown values.
  * @param {string} value
@@ -121,59 +121,24 @@ function parsePolicy(block) {
 class AwsIam {
   constructor(config = {}) {
     this.authenticationMethod = config.authenticationMethod || 'API Key'
-    this.accessKeyId = config.accessKeyId
-    this.secretAccessKey = config.secretAccessKey
     this.region = config.region || 'us-east-1'
-    this.roleArn = config.roleArn
-    this.externalId = config.externalId
-
-    this.stsCredentials = null
-    this.stsCredentialsExpiry = null
-  }
-
-  async #assumeRole() {
-    if (this.stsCredentials && this.stsCredentialsExpiry && Date.now() < this.stsCredentialsExpiry - STS_EXPIRY_BUFFER_MS) {
-      return this.stsCredentials
-    }
-
-    if (!this.roleArn) {
-      throw new Error('IAM Role ARN is required for IAM Role authentication. Please configure it in the service settings.')
-    }
-
-    if (!this.accessKeyId || !this.secretAccessKey) {
-      throw new Error('Access Key and Secret Key are required for IAM Role authentication to call STS AssumeRole.')
-    }
-
-    // STS is regional; use the configured region for the AssumeRole call.
-    const result = await stsAssumeRole(
-      { accessKeyId: this.accessKeyId, secretAccessKey: this.secretAccessKey },
-      this.region,
-      this.roleArn,
-      `flowrunner-iam-${ Date.now() }`,
-      this.externalId
+    this.endpoint = endpointFromConfig(config)
+
+    // STS is regional; the configured region is only used for the AssumeRole call.
+    this.credentials = new CredentialProvider(
+      {
+        service: 'iam',
+        authenticationMethod: this.authenticationMethod,
+        accessKeyId: config.accessKeyId,
+        secretAccessKey: config.secretAccessKey,
+        sessionToken: config.sessionToken,
+        region: this.region,
+        roleArn: config.roleArn,
+        externalId: config.externalId,
+        endpoint: this.endpoint,
+      },
+      { stsAssumeRole }
     )
-
-    this.stsCredentials = {
-      accessKeyId: result.accessKeyId,
-      secretAccessKey: result.secretAccessKey,
-      sessionToken: result.sessionToken,
-    }
-
-    this.stsCredentialsExpiry = new Date(result.expiration).getTime()
-
-    return this.stsCredentials
-  }
-
-  async #getCredentials() {
-    if (this.authenticationMethod === 'IAM Role') {
-      return this.#assumeRole()
-    }
-
-    if (!this.accessKeyId || !this.secretAccessKey) {
-      throw new Error('Access Key and Secret Key are required for API Key authentication. Please configure them in the service settings or switch to IAM Role authentication.')
-    }
-
-    return { accessKeyId: this.accessKeyId, secretAccessKey: this.secretAccessKey }
   }
 
   /**
@@ -184,11 +149,11 @@ class AwsIam {
    * @returns {Promise<string>}
    */
   async #call(action, params, logTag) {
-    const credentials = await this.#getCredentials()
+    const credentials = await this.credentials.resolve()
 
     logger.debug(`${ logTag } - [${ action }]`)
 
-    return iamRequest(action, params || {}, credentials)
+    return iamRequest(action, params || {}, credentials, this.endpoint)
   }
 
   #handleError(logTag, error) {
@@ -1235,4 +1200,11 @@ class AwsIam {
  * @paramDef {"type":"String","label":"Cursor","name":"cursor","description":"Pagination marker for retrieving the next page of policies."}
  */
 
-Flowrunner.ServerCode.addService(AwsIam, awsConfigItems)
+// IAM is global: the region only matters for STS, so its hint differs from the shared item
+const iamConfigItems = awsConfigItems.map(item => {
+  return item.name === 'region'
+    ? { ...item, hint: 'AWS region code, e.g. us-east-1. IAM is a global service that is always signed for us-east-1; this region is only used when assuming an IAM Role via STS.' }
+    : item
+})
+
+Flowrunner.ServerCode.addService(AwsIam, iamConfigItems)
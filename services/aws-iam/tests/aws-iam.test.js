@@ -164,7 +164,8 @@ describe('AWS IAM Service', () => {
       expect(mockIamRequest).toHaveBeenCalledWith(
         'ListUsers',
         { PathPrefix: undefined, MaxItems: undefined, Marker: undefined },
-        expect.objectContaining({ accessKeyId: ACCESS_KEY, secretAccessKey: SECRET_KEY })
+        expect.objectContaining({ accessKeyId: ACCESS_KEY, secretAccessKey: SECRET_KEY }),
+        undefined
       )
 
       expect(result.users).toHaveLength(1)
@@ -189,7 +190,8 @@ describe('AWS IAM Service', () => {
       expect(mockIamRequest).toHaveBeenCalledWith(
         'ListUsers',
         { PathPrefix: '/dev/', MaxItems: 10, Marker: 'abc' },
-        expect.any(Object)
+        expect.any(Object),
+        undefined
       )
     })
 
@@ -244,7 +246,8 @@ describe('AWS IAM Service', () => {
       expect(mockIamRequest).toHaveBeenCalledWith(
         'GetUser',
         { UserName: 'alice' },
-        expect.any(Object)
+        expect.any(Object),
+        undefined
       )
 
       expect(result).toMatchObject({
@@ -264,7 +267,8 @@ describe('AWS IAM Service', () => {
       expect(mockIamRequest).toHaveBeenCalledWith(
         'GetUser',
         { UserName: undefined },
-        expect.any(Object)
+        expect.any(Object),
+        undefined
       )
     })
 
@@ -300,7 +304,8 @@ describe('AWS IAM Service', () => {
       expect(mockIamRequest).toHaveBeenCalledWith(
         'CreateUser',
         { UserName: 'bob', Path: undefined, Tags: undefined },
-        expect.any(Object)
+        expect.any(Object),
+        undefined
       )
 
       expect(result.userName).toBe('bob')
@@ -318,7 +323,8 @@ describe('AWS IAM Service', () => {
           Path: '/dev/',
           Tags: [{ Key: 'team', Value: 'backend' }],
         },
-        expect.any(Object)
+        expect.any(Object),
+        undefined
       )
     })
 
@@ -345,7 +351,8 @@ describe('AWS IAM Service', () => {
       expect(mockIamRequest).toHaveBeenCalledWith(
         'DeleteUser',
         { UserName: 'alice' },
-        expect.any(Object)
+        expect.any(Object),
+        undefined
       )
 
       expect(result).toEqual({ success: true, userName: 'alice' })
@@ -444,7 +451,8 @@ describe('AWS IAM Service', () => {
       expect(mockIamRequest).toHaveBeenCalledWith(
         'UpdateAccessKey',
         { UserName: 'alice', AccessKeyId: 'AKIA111', Status: 'Inactive' },
-        expect.any(Object)
+        expect.any(Object),
+        undefined
       )
 
       expect(result).toEqual({ success: true, userName: 'alice', accessKeyId: 'AKIA111', status: 'Inactive' })
@@ -472,7 +480,8 @@ describe('AWS IAM Service', () => {
       expect(mockIamRequest).toHaveBeenCalledWith(
         'DeleteAccessKey',
         { UserName: 'alice', AccessKeyId: 'AKIA111' },
-        expect.any(Object)
+        expect.any(Object),
+        undefined
       )
 
       expect(result).toEqual({ success: true, userName: 'alice', accessKeyId: 'AKIA111' })
@@ -530,7 +539,8 @@ describe('AWS IAM Service', () => {
       expect(mockIamRequest).toHaveBeenCalledWith(
         'ListGroups',
         { PathPrefix: '/dev/', MaxItems: 10, Marker: 'marker1' },
-        expect.any(Object)
+        expect.any(Object),
+        undefined
       )
     })
   })
@@ -594,7 +604,8 @@ describe('AWS IAM Service', () => {
       expect(mockIamRequest).toHaveBeenCalledWith(
         'CreateGroup',
         { GroupName: 'Developers', Path: undefined },
-        expect.any(Object)
+        expect.any(Object),
+        undefined
       )
 
       expect(result.groupName).toBe('Developers')
@@ -608,7 +619,8 @@ describe('AWS IAM Service', () => {
       expect(mockIamRequest).toHaveBeenCalledWith(
         'CreateGroup',
         { GroupName: 'Dev', Path: '/dev/' },
-        expect.any(Object)
+        expect.any(Object),
+        undefined
       )
     })
 
@@ -640,7 +652,8 @@ describe('AWS IAM Service', () => {
       expect(mockIamRequest).toHaveBeenCalledWith(
         'AddUserToGroup',
         { GroupName: 'Admins', UserName: 'alice' },
-        expect.any(Object)
+        expect.any(Object),
+        undefined
       )
 
       expect(result).toEqual({ success: true, groupName: 'Admins', userName: 'alice' })
@@ -765,7 +778,8 @@ describe('AWS IAM Service', () => {
       expect(mockIamRequest).toHaveBeenCalledWith(
         'GetRole',
         { RoleName: 'AppRole' },
-        expect.any(Object)
+        expect.any(Object),
+        undefined
       )
 
       expect(result.roleName).toBe('AppRole')
@@ -808,7 +822,8 @@ describe('AWS IAM Service', () => {
           Path: undefined,
           Description: undefined,
         },
-        expect.any(Object)
+        expect.any(Object),
+        undefined
       )
 
       expect(result.roleName).toBe('NewRole')
@@ -827,7 +842,8 @@ describe('AWS IAM Service', () => {
           Path: '/svc/',
           Description: 'A test role',
         },
-        expect.any(Object)
+        expect.any(Object),
+        undefined
       )
     })
 
@@ -937,7 +953,8 @@ describe('AWS IAM Service', () => {
       expect(mockIamRequest).toHaveBeenCalledWith(
         'ListPolicies',
         { Scope: 'Local', OnlyAttached: 'true', MaxItems: 10, Marker: 'marker1' },
-        expect.any(Object)
+        expect.any(Object),
+        undefined
       )
     })
 
@@ -949,7 +966,8 @@ describe('AWS IAM Service', () => {
       expect(mockIamRequest).toHaveBeenCalledWith(
         'ListPolicies',
         expect.objectContaining({ Scope: 'AWS' }),
-        expect.any(Object)
+        expect.any(Object),
+        undefined
       )
     })
   })
@@ -1013,7 +1031,8 @@ describe('AWS IAM Service', () => {
       expect(mockIamRequest).toHaveBeenCalledWith(
         'CreatePolicy',
         { PolicyName: 'NewPolicy', PolicyDocument: policyDoc, Description: undefined },
-        expect.any(Object)
+        expect.any(Object),
+        undefined
       )
 
       expect(result.policyName).toBe('NewPolicy')
@@ -1027,7 +1046,8 @@ describe('AWS IAM Service', () => {
       expect(mockIamRequest).toHaveBeenCalledWith(
         'CreatePolicy',
         { PolicyName: 'NewPolicy', PolicyDocument: policyDoc, Description: 'Read-only S3' },
-        expect.any(Object)
+        expect.any(Object),
+        undefined
       )
     })
 
@@ -1069,7 +1089,8 @@ describe('AWS IAM Service', () => {
       expect(mockIamRequest).toHaveBeenCalledWith(
         'AttachUserPolicy',
         { UserName: 'alice', PolicyArn: 'arn:aws:iam::aws:policy/ReadOnly' },
-        expect.any(Object)
+        expect.any(Object),
+        undefined
       )
 
       expect(result).toEqual({ success: true, userName: 'alice', policyArn: 'arn:aws:iam::aws:policy/ReadOnly' })
@@ -1111,7 +1132,8 @@ describe('AWS IAM Service', () => {
       expect(mockIamRequest).toHaveBeenCalledWith(
         'AttachRolePolicy',
         { RoleName: 'AppRole', PolicyArn: 'arn:aws:iam::aws:policy/ReadOnly' },
-        expect.any(Object)
+        expect.any(Object),
+        undefined
       )
 
       expect(result).toEqual({ success: true, roleName: 'AppRole', policyArn: 'arn:aws:iam::aws:policy/ReadOnly' })
@@ -1532,7 +1554,7 @@ describe('AWS IAM Service', () => {
 
       const result = await service.getRolesDictionary({ cursor: 'tok-1' })
 
-      expect(mockIamRequest).toHaveBeenCalledWith('ListRoles', { MaxItems: 200, Marker: 'tok-1' }, expect.any(Object))
+      expect(mockIamRequest).toHaveBeenCalledWith('ListRoles', { MaxItems: 200, Marker: 'tok-1' }, expect.any(Object), undefined)
       expect(result.cursor).toBe('tok-2')
     })
   })
@@ -1581,7 +1603,8 @@ describe('AWS IAM Service', () => {
         'eu-west-1',
         'arn:aws:iam::1:role/R',
         expect.stringMatching(/^flowrunner-iam-\d+$/),
-        'ext'
+        'ext',
+        undefined
       )
 
       expect(mockIamRequest.mock.calls[0][2]).toEqual({ accessKeyId: 'ASIA', secretAccessKey: 'S', sessionToken: 'T' })
@@ -1591,7 +1614,7 @@ describe('AWS IAM Service', () => {
       expect(mockStsAssumeRole).toHaveBeenCalledTimes(1)
 
       // Force the cached credentials past the 5 minute refresh buffer.
-      roleService.stsCredentialsExpiry = Date.now() + 1000
+      roleService.credentials._cachedExpiryMs = Date.now() + 1000
       await roleService.listUsers()
       expect(mockStsAssumeRole).toHaveBeenCalledTimes(2)
     })
@@ -1608,7 +1631,7 @@ describe('AWS IAM Service', () => {
       const noKeys = new (AwsIam())({ authenticationMethod: 'IAM Role', roleArn: 'arn:aws:iam::1:role/R' })
 
       await expect(noKeys.listUsers()).rejects.toThrow(
-        'Access Key and Secret Key are required for IAM Role authentication to call STS AssumeRole.'
+        'Access Key and Secret Key are required to assume an IAM Role.'
       )
     })
   })
@@ -1670,8 +1693,7 @@ describe('iam-client buildQuery', () => {
     )
   })
 
-  it('exposes the global IAM endpoint constants', () => {
-    expect(iamClient.IAM_ENDPOINT).toBe('https://iam.amazonaws.com/')
+  it('exposes the global IAM signing constants', () => {
     expect(iamClient.IAM_API_VERSION).toBe('2010-05-08')
     expect(iamClient.IAM_SIGNING_REGION).toBe('us-east-1')
     expect(iamClient.IAM_SERVICE).toBe('iam')
@@ -2102,7 +2124,8 @@ describe('aws-client JSON helpers', () => {
 describe('config-items', () => {
   it('declares the AWS config items in display order and never shares them', () => {
     expect(awsConfigItems.map(item => item.name)).toEqual([
-      'authenticationMethod', 'region', 'accessKeyId', 'secretAccessKey', 'roleArn', 'externalId',
+      'authenticationMethod', 'region', 'accessKeyId', 'secretAccessKey', 'sessionToken', 'roleArn', 'externalId',
+      'endpointVariant', 'endpoint',
     ])
 
     expect(awsConfigItems.every(item => item.shared === false)).toBe(true)
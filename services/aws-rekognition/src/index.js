@@ -2,6 +2,7 @@
 
 const { jsonRequest } = require('./aws-client')
 const { CredentialProvider } = require('./credentials')
+const { endpointFromConfig } = require('./endpoints')
 const { createLogger, mapAwsError } = require('./errors')
 const { awsConfigItems } = require('./config-items')
 
@@ -18,13 +19,18 @@ class Rekognition {
     this.region = config.region || 'us-east-1'
     this.logger = createLogger('AWS Rekognition')
 
+    this.endpoint = endpointFromConfig(config)
+
     this.credentials = new CredentialProvider({
+      service: 'rekognition',
       authenticationMethod: config.authenticationMethod || 'API Key',
       accessKeyId: config.accessKeyId,
       secretAccessKey: config.secretAccessKey,
+      sessionToken: config.sessionToken,
       region: this.region,
       roleArn: config.roleArn,
       externalId: config.externalId,
+      endpoint: this.endpoint,
     })
 
     this.deps = { jsonRequest }
@@ -34,7 +40,7 @@ class Rekognition {
     const creds = await this.credentials.resolve()
 
     return this.deps.jsonRequest(
-      { region: this.region, service: 'rekognition', target: `${ TARGET_PREFIX }.${ operation }`, contentType: CONTENT_TYPE, body },
+      { region: this.region, service: 'rekognition', target: `${ TARGET_PREFIX }.${ operation }`, contentType: CONTENT_TYPE, body, endpoint: this.endpoint },
       creds
     )
   }
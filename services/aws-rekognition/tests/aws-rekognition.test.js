@@ -129,8 +129,8 @@ describe('AWS Rekognition Service', () => {
       )
     })
 
-    it('has exactly 6 config items', () => {
-      expect(sandbox.getConfigItems()).toHaveLength(6)
+    it('has exactly 9 config items', () => {
+      expect(sandbox.getConfigItems()).toHaveLength(9)
     })
   })
 
@@ -1552,6 +1552,7 @@ describe('CredentialProvider', () => {
 
     const provider = new CredentialProvider(
       {
+        service: 'rekognition',
         authenticationMethod: 'IAM Role',
         accessKeyId: 'AK',
         secretAccessKey: 'SK',
@@ -1570,8 +1571,9 @@ describe('CredentialProvider', () => {
       { accessKeyId: 'AK', secretAccessKey: 'SK' },
       'eu-west-1',
       'arn:role',
-      `flowrunner-dynamodb-${ now }`,
-      'ext'
+      `flowrunner-rekognition-${ now }`,
+      'ext',
+      undefined
     )
 
     // Well inside the validity window — served from the cache.
@@ -1669,9 +1671,10 @@ describe('createLogger', () => {
 // ── config-items.js ──
 
 describe('awsConfigItems', () => {
-  it('declares the six AWS credential items in order and never shares them', () => {
+  it('declares the nine AWS credential items in order and never shares them', () => {
     expect(awsConfigItems.map(item => item.name)).toEqual([
-      'authenticationMethod', 'region', 'accessKeyId', 'secretAccessKey', 'roleArn', 'externalId',
+      'authenticationMethod', 'region', 'accessKeyId', 'secretAccessKey', 'sessionToken', 'roleArn', 'externalId',
+      'endpointVariant', 'endpoint',
     ])
 
     expect(awsConfigItems.every(item => item.shared === false)).toBe(true)
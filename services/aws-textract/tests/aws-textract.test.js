@@ -1654,6 +1654,7 @@ describe('CredentialProvider', () => {
 
     const provider = new CredentialProvider(
       {
+        service: 'textract',
         authenticationMethod: 'IAM Role',
         accessKeyId: 'AK',
         secretAccessKey: 'SK',
@@ -1672,8 +1673,9 @@ describe('CredentialProvider', () => {
       { accessKeyId: 'AK', secretAccessKey: 'SK' },
       'eu-west-1',
       'arn:role',
-      `flowrunner-dynamodb-${ now }`,
-      'ext'
+      `flowrunner-textract-${ now }`,
+      'ext',
+      undefined
     )
 
     // Well inside the validity window — served from the cache.
@@ -1771,9 +1773,10 @@ describe('createLogger', () => {
 // ── config-items.js ──
 
 describe('awsConfigItems', () => {
-  it('declares the six AWS credential items in order and never shares them', () => {
+  it('declares the nine AWS credential items in order and never shares them', () => {
     expect(awsConfigItems.map(item => item.name)).toEqual([
-      'authenticationMethod', 'region', 'accessKeyId', 'secretAccessKey', 'roleArn', 'externalId',
+      'authenticationMethod', 'region', 'accessKeyId', 'secretAccessKey', 'sessionToken', 'roleArn', 'externalId',
+      'endpointVariant', 'endpoint',
     ])
 
     expect(awsConfigItems.every(item => item.shared === false)).toBe(true)
@@ -780,9 +780,10 @@ function stubTransport({
 }
 
 describe('config-items', () => {
-  it('exposes the six AWS config items, none of them shared', () => {
+  it('exposes the nine AWS config items, none of them shared', () => {
     expect(awsConfigItems.map(item => item.name)).toEqual([
-      'authenticationMethod', 'region', 'accessKeyId', 'secretAccessKey', 'roleArn', 'externalId',
+      'authenticationMethod', 'region', 'accessKeyId', 'secretAccessKey', 'sessionToken', 'roleArn', 'externalId',
+      'endpointVariant', 'endpoint',
     ])
 
     expect(awsConfigItems.every(item => item.shared === false)).toBe(true)
@@ -1420,6 +1421,7 @@ describe('CredentialProvider', () => {
 
     const provider = new CredentialProvider(
       {
+        service: 'transcribe',
         authenticationMethod: 'IAM Role',
         accessKeyId: 'AK',
         secretAccessKey: 'SK',
@@ -1439,7 +1441,8 @@ describe('CredentialProvider', () => {
       'eu-west-1',
       'arn:role',
       `${ SESSION_NAME_PREFIX }${ now }`,
-      'ext'
+      'ext',
+      undefined
     )
 
     // Cache hit — still well inside the 5 minute expiry buffer.
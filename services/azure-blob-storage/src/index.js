@@ -1,4 +1,5 @@
 const crypto = require('crypto')
+const http = require('http')
 const https = require('https')
 
 const logger = {
@@ -11,6 +12,28 @@ const logger = {
 // REST API version the signature string is built against (2015-02-21+ uses empty Content-Length for zero).
 const API_VERSION = '2021-08-06'
 
+// Permission letters of a service SAS, in the order Azure requires them in "sp".
+const SAS_PERMISSIONS = {
+  Read: 'r',
+  Add: 'a',
+  Create: 'c',
+  Write: 'w',
+  Delete: 'd',
+  List: 'l',
+  Tags: 't',
+}
+
+const SAS_PERMISSION_ORDER = 'racwdlt'
+const DEFAULT_SAS_EXPIRY_MINUTES = 60
+
+// Put Block uploads hold one block in memory at a time; a block blob has at most 50,000 blocks.
+const MIN_BLOCK_SIZE_MB = 1
+const DEFAULT_BLOCK_SIZE_MB = 8
+const MAX_BLOCK_SIZE_MB = 100
+const MAX_BLOCKS = 50000
+
+const NEW_BLOB_TRIGGER_BATCH_SIZE = 100
+
 /**
  * @usesFileStorage
  * @integrationName Azure Blob Storage
@@ -20,7 +43,31 @@ class AzureBlobStorage {
   constructor(config) {
     this.accountName = (config.accountName || '').trim()
     this.accountKey = (config.accountKey || '').trim()
-    this.baseUrl = `https://${ this.accountName }.blob.core.windows.net`
+
+    // A custom endpoint (the Azurite emulator, e.g. http://127.0.0.1:10000/devstoreaccount1)
+    // may carry the account name as a path prefix, which then belongs to every signed path.
+    const endpoint = (config.blobEndpoint || '').trim().replace(/\/+$/, '')
+
+    this.baseUrl = endpoint || `https://${ this.accountName }.blob.core.windows.net`
+
+    let parsed
+
+    try {
+      parsed = new URL(this.baseUrl)
+    } catch (error) {
+      parsed = null
+    }
+
+    if (!parsed || (parsed.protocol !== 'http:' && parsed.protocol !== 'https:')) {
+      throw new Error(`Invalid Blob Endpoint "${ endpoint }". Use a full URL such as http://127.0.0.1:10000/devstoreaccount1.`)
+    }
+
+    this.endpoint = {
+      protocol: parsed.protocol,
+      hostname: parsed.hostname,
+      port: parsed.port || (parsed.protocol === 'http:' ? 80 : 443),
+      basePath: parsed.pathname.replace(/\/+$/, ''),
+    }
   }
 
   // ---------------------------------------------------------------------------
@@ -143,7 +190,7 @@ class AzureBlobStorage {
     // Always send an explicit Content-Length so the wire length matches the signature.
     headers['Content-Length'] = contentLength
 
-    headers['Authorization'] = this.#sign(method, urlPath, query, headers, contentLength, contentType)
+    headers['Authorization'] = this.#sign(method, `${ this.endpoint.basePath }${ urlPath }`, query, headers, contentLength, contentType)
 
     logger.debug(`${ method }::${ urlPath } - ${ logTag }`)
 
@@ -156,19 +203,21 @@ class AzureBlobStorage {
     return response
   }
 
-  // Issues the actual HTTPS request, collecting the response as a Buffer.
+  // Issues the actual HTTP(S) request, collecting the response as a Buffer.
   #send(method, urlPath, query, headers, bodyBuffer) {
     const search = this.#buildQueryString(query)
+    const { protocol, hostname, port, basePath } = this.endpoint
     const options = {
-      hostname: `${ this.accountName }.blob.core.windows.net`,
-      port: 443,
-      path: `${ this.#encodePath(urlPath) }${ search }`,
+      hostname,
+      port,
+      path: `${ this.#encodePath(`${ basePath }${ urlPath }`) }${ search }`,
       method,
       headers,
     }
 
     return new Promise((resolve, reject) => {
-      const req = https.request(options, res => {
+      const transport = protocol === 'http:' ? http : https
+      const req = transport.request(options, res => {
         const chunks = []
 
         res.on('data', chunk => chunks.push(chunk))
@@ -209,6 +258,50 @@ class AzureBlobStorage {
     return '?' + keys.map(k => `${ encodeURIComponent(k) }=${ encodeURIComponent(String(query[k])) }`).join('&')
   }
 
+  /**
+   * Opens a GET on a source URL (any host, http or https) and resolves with the response
+   * stream once a 2xx status arrives, so large files can be read block by block. Follows up
+   * to 5 redirects.
+   */
+  #openSource(sourceUrl, redirectsLeft = 5) {
+    const parsed = new URL(sourceUrl)
+    const transport = parsed.protocol === 'http:' ? http : https
+    const options = {
+      hostname: parsed.hostname,
+      port: parsed.port || (parsed.protocol === 'http:' ? 80 : 443),
+      path: `${ parsed.pathname }${ parsed.search }`,
+      method: 'GET',
+    }
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(options, res => {
+        const location = res.headers && res.headers.location
+
+        if (res.statusCode >= 300 && res.statusCode < 400 && location) {
+          res.resume()
+
+          if (redirectsLeft <= 0) return reject(new Error(`Too many redirects while downloading ${ sourceUrl }`))
+
+          return resolve(this.#openSource(new URL(location, parsed).toString(), redirectsLeft - 1))
+        }
+
+        if (res.statusCode >= 300) {
+          res.resume()
+
+          return reject(new Error(`Could not download the source file: HTTP ${ res.statusCode }`))
+        }
+
+        // The timeout only guards the wait for the response; the body is read at the caller's pace.
+        req.setTimeout(0)
+        resolve(res)
+      })
+
+      req.on('error', reject)
+      req.setTimeout(60000, () => req.destroy(new Error('Request timed out')))
+      req.end()
+    })
+  }
+
   /**
    * Normalizes a non-2xx Azure response into a thrown Error. Azure returns an XML
    * <Error><Code>..<Message>.. document plus an HTTP status; both are surfaced.
@@ -745,6 +838,419 @@ class AzureBlobStorage {
     }
   }
 
+  /**
+   * @operationName Upload Large Blob
+   * @description Streams a file from a source URL into a block blob without holding the whole file in memory: the download is read one block at a time, each block is staged with Put Block, and Put Block List commits them as the blob once every block is uploaded. Nothing replaces an existing blob until that final commit, and blocks left uncommitted by a failed upload are discarded by Azure automatically. Use this instead of Upload Blob for files larger than a few hundred MB.
+   * @category Blobs
+   * @route POST /upload-large-blob
+   * @executionTimeoutInSeconds 900
+   * @paramDef {"type":"String","label":"Container","name":"container","required":true,"description":"Name of the destination container."}
+   * @paramDef {"type":"String","label":"Blob Name","name":"blob","required":true,"description":"Name (path) of the blob to create, e.g. videos/recording.mp4."}
+   * @paramDef {"type":"String","label":"Source URL","name":"sourceUrl","required":true,"description":"URL of the file to stream into the blob. Must be reachable from the server; redirects are followed."}
+   * @paramDef {"type":"String","label":"Content Type","name":"contentType","required":false,"description":"MIME type stored on the blob (default application/octet-stream)."}
+   * @paramDef {"type":"Number","label":"Block Size (MB)","name":"blockSizeMb","required":false,"defaultValue":8,"uiComponent":{"type":"NUMERIC_STEPPER"},"description":"Size of each staged block, 1-100 MB (default 8). A blob has at most 50,000 blocks."}
+   * @paramDef {"type":"Object","label":"Metadata","name":"metadata","required":false,"description":"Optional custom metadata as name/value string pairs stored on the blob."}
+   * @paramDef {"type":"Object","label":"Tags","name":"tags","required":false,"description":"Optional blob index tags as name/value string pairs (up to 10), searchable with Find Blobs by Tags."}
+   * @returns {Object}
+   * @sampleResult {"container":"media","blob":"videos/recording.mp4","uploaded":true,"contentLength":52428800,"blockCount":7,"etag":"\"0x8D...\"","lastModified":"Mon, 14 Jul 2025 10:00:00 GMT"}
+   */
+  async uploadLargeBlob(container, blob, sourceUrl, contentType, blockSizeMb, metadata, tags) {
+    if (!sourceUrl || !String(sourceUrl).trim()) {
+      throw new Error('"Source URL" is required.')
+    }
+
+    const sizeMb = blockSizeMb === undefined || blockSizeMb === null || blockSizeMb === '' ? DEFAULT_BLOCK_SIZE_MB : Number(blockSizeMb)
+
+    if (!Number.isInteger(sizeMb) || sizeMb < MIN_BLOCK_SIZE_MB || sizeMb > MAX_BLOCK_SIZE_MB) {
+      throw new Error(`"Block Size (MB)" must be a whole number between ${ MIN_BLOCK_SIZE_MB } and ${ MAX_BLOCK_SIZE_MB }.`)
+    }
+
+    const blockSize = sizeMb * 1024 * 1024
+    const urlPath = `/${ container }/${ blob }`
+    const source = await this.#openSource(String(sourceUrl).trim())
+    const blockIds = []
+    let contentLength = 0
+
+    const putBlock = async body => {
+      if (blockIds.length >= MAX_BLOCKS) {
+        throw new Error(`The file needs more than ${ MAX_BLOCKS } blocks. Increase "Block Size (MB)".`)
+      }
+
+      // Block IDs must all have the same length within a blob.
+      const blockId = Buffer.from(String(blockIds.length).padStart(6, '0')).toString('base64')
+
+      await this.#request({
+        verb: 'PUT',
+        urlPath,
+        query: { comp: 'block', blockid: blockId },
+        body,
+        logTag: 'uploadLargeBlob',
+      })
+
+      blockIds.push(blockId)
+      contentLength += body.length
+    }
+
+    try {
+      let pending = []
+      let pendingLength = 0
+
+      // Awaiting inside the loop pauses the download while a block uploads.
+      for await (const chunk of source) {
+        pending.push(chunk)
+        pendingLength += chunk.length
+
+        while (pendingLength >= blockSize) {
+          const buffered = Buffer.concat(pending)
+
+          await putBlock(buffered.subarray(0, blockSize))
+
+          pending = [buffered.subarray(blockSize)]
+          pendingLength -= blockSize
+        }
+      }
+
+      if (pendingLength) await putBlock(Buffer.concat(pending))
+    } catch (error) {
+      source.destroy()
+      throw error
+    }
+
+    const extraHeaders = {
+      'x-ms-blob-content-type': contentType || 'application/octet-stream',
+      ...this.#metadataHeaders(metadata),
+      ...this.#tagsHeader(tags),
+    }
+
+    const response = await this.#request({
+      verb: 'PUT',
+      urlPath,
+      query: { comp: 'blocklist' },
+      body: `<?xml version="1.0" encoding="utf-8"?><BlockList>${ blockIds.map(id => `<Latest>${ id }</Latest>`).join('') }</BlockList>`,
+      contentType: 'application/xml',
+      extraHeaders,
+      logTag: 'uploadLargeBlob',
+    })
+
+    const resHeaders = response.headers
+
+    return {
+      container,
+      blob,
+      uploaded: true,
+      contentLength,
+      blockCount: blockIds.length,
+      etag: resHeaders.etag,
+      lastModified: resHeaders['last-modified'],
+    }
+  }
+
+  /**
+   * @operationName Set Blob Tier
+   * @description Moves a block blob to the Hot, Cool or Archive access tier to balance storage cost against access cost. Moving a blob out of Archive starts a rehydration that can take hours; the result reports whether the change is still pending. Only applies to block blobs in general-purpose v2 or Blob Storage accounts.
+   * @category Blobs
+   * @route POST /set-blob-tier
+   * @paramDef {"type":"String","label":"Container","name":"container","required":true,"description":"Name of the container holding the blob."}
+   * @paramDef {"type":"String","label":"Blob Name","name":"blob","required":true,"description":"Name (path) of the blob to move."}
+   * @paramDef {"type":"String","label":"Tier","name":"tier","required":true,"uiComponent":{"type":"DROPDOWN","options":{"values":["Hot","Cool","Archive"]}},"description":"Target access tier."}
+   * @paramDef {"type":"String","label":"Rehydrate Priority","name":"rehydratePriority","required":false,"uiComponent":{"type":"DROPDOWN","options":{"values":["Standard","High"]}},"description":"Only when moving out of Archive: Standard (up to 15 hours) or High (usually under an hour, higher cost). Default Standard."}
+   * @returns {Object}
+   * @sampleResult {"container":"documents","blob":"reports/2019.pdf","tier":"Archive","updated":true,"pending":false}
+   */
+  async setBlobTier(container, blob, tier, rehydratePriority) {
+    if (!tier) {
+      throw new Error('"Tier" is required.')
+    }
+
+    const extraHeaders = { 'x-ms-access-tier': tier }
+
+    if (rehydratePriority) extraHeaders['x-ms-rehydrate-priority'] = rehydratePriority
+
+    const response = await this.#request({
+      verb: 'PUT',
+      urlPath: `/${ container }/${ blob }`,
+      query: { comp: 'tier' },
+      extraHeaders,
+      logTag: 'setBlobTier',
+    })
+
+    // 202 Accepted: the blob is being rehydrated from Archive and keeps its old tier until done.
+    return { container, blob, tier, updated: true, pending: response.statusCode === 202 }
+  }
+
+  /**
+   * @operationName Find Blobs by Tags
+   * @description Finds blobs whose index tags match a filter expression, across the whole account or within one container. Expressions compare tag values with =, >, >=, < and <= and combine conditions with AND, e.g. "project" = 'apollo' AND "year" >= '2024'; tag names are double-quoted and values single-quoted. Returns each matching blob's name, container and matched tags, plus a nextMarker for the following page.
+   * @category Blobs
+   * @route POST /find-blobs-by-tags
+   * @paramDef {"type":"String","label":"Tag Filter","name":"expression","required":true,"description":"Tag filter expression, e.g. \"project\" = 'apollo' AND \"status\" = 'final'."}
+   * @paramDef {"type":"String","label":"Container","name":"container","required":false,"description":"Limit the search to this container. Leave blank to search the whole account."}
+   * @paramDef {"type":"Number","label":"Max Results","name":"maxResults","required":false,"uiComponent":{"type":"NUMERIC_STEPPER"},"description":"Maximum number of blobs to return per page (1-5000, default 5000)."}
+   * @paramDef {"type":"String","label":"Marker","name":"marker","required":false,"description":"Continuation token returned by a previous call to fetch the next page."}
+   * @returns {Object}
+   * @sampleResult {"blobs":[{"name":"reports/q1.pdf","container":"documents","tags":{"project":"apollo"}}],"nextMarker":""}
+   */
+  async findBlobsByTags(expression, container, maxResults, marker) {
+    if (!expression || !String(expression).trim()) {
+      throw new Error('"Tag Filter" is required.')
+    }
+
+    const query = container
+      ? { restype: 'container', comp: 'blobs', where: expression }
+      : { comp: 'blobs', where: expression }
+
+    if (maxResults) query.maxresults = maxResults
+    if (marker) query.marker = marker
+
+    const response = await this.#request({
+      verb: 'GET',
+      urlPath: container ? `/${ container }` : '/',
+      query,
+      logTag: 'findBlobsByTags',
+    })
+
+    const xml = this.#asText(response)
+    const blobs = this.#tagBlocks(xml, 'Blob').map(block => ({
+      name: this.#tagText(block, 'Name'),
+      container: this.#tagText(block, 'ContainerName'),
+      tags: Object.fromEntries(this.#tagBlocks(block, 'Tag').map(tag => [this.#tagText(tag, 'Key'), this.#tagText(tag, 'Value')])),
+    }))
+    const nextMarker = this.#tagText(xml, 'NextMarker') || ''
+
+    return { blobs, nextMarker }
+  }
+
+  // ===========================================================================
+  // Shared access signatures
+  // ===========================================================================
+
+  /**
+   * @operationName Generate SAS URL
+   * @description Creates a time-limited shared access signature (SAS) URL for a blob, or for a whole container when no blob name is given, so it can be shared with people or systems that have no account key. The service SAS is signed locally with the account key, so no request is sent to Azure; it grants exactly the chosen permissions until it expires and can be restricted to an IP address range. Anyone holding the URL has that access, so keep expiry times short.
+   * @category Shared Access
+   * @route POST /generate-sas-url
+   * @paramDef {"type":"String","label":"Container","name":"container","required":true,"description":"Name of the container the SAS grants access to."}
+   * @paramDef {"type":"String","label":"Blob Name","name":"blob","required":false,"description":"Name (path) of a single blob. Leave blank to sign the whole container."}
+   * @paramDef {"type":"Array<String>","label":"Permissions","name":"permissions","required":false,"uiComponent":{"type":"MULTI_SELECT_DROPDOWN","options":{"values":["Read","Add","Create","Write","Delete","List","Tags"]}},"description":"Operations the SAS allows (default Read). List applies to container SAS URLs only."}
+   * @paramDef {"type":"Number","label":"Expires In (minutes)","name":"expiresInMinutes","required":false,"defaultValue":60,"uiComponent":{"type":"NUMERIC_STEPPER"},"description":"How long the URL stays valid, in minutes (default 60)."}
+   * @paramDef {"type":"String","label":"IP Range","name":"ipRange","required":false,"description":"Only accept requests from this IP address or range, e.g. 203.0.113.7 or 203.0.113.0-203.0.113.255."}
+   * @returns {Object}
+   * @sampleResult {"url":"https://mystorageacct.blob.core.windows.net/documents/reports/q1.pdf?sv=2021-08-06&sr=b&sp=r&se=2025-07-14T11%3A00%3A00Z&spr=https&sig=...","sasToken":"sv=2021-08-06&sr=b&sp=r&se=2025-07-14T11%3A00%3A00Z&spr=https&sig=...","resource":"blob","permissions":"r","expiresOn":"2025-07-14T11:00:00Z"}
+   */
+  async generateSasUrl(container, blob, permissions, expiresInMinutes, ipRange) {
+    if (!container) {
+      throw new Error('"Container" is required.')
+    }
+
+    const permissionString = this.#sasPermissionString(permissions, !blob)
+    const minutes = expiresInMinutes === undefined || expiresInMinutes === null || expiresInMinutes === ''
+      ? DEFAULT_SAS_EXPIRY_MINUTES
+      : Number(expiresInMinutes)
+
+    if (!Number.isFinite(minutes) || minutes <= 0) {
+      throw new Error('"Expires In (minutes)" must be a positive number.')
+    }
+
+    // Azure expects the expiry without milliseconds.
+    const expiresOn = new Date(Date.now() + minutes * 60000).toISOString().replace(/\.\d{3}Z$/, 'Z')
+    const signedResource = blob ? 'b' : 'c'
+    const signedIp = ipRange ? String(ipRange).trim() : ''
+    // The emulator is served over plain http, which an https-only SAS would not allow.
+    const signedProtocol = this.endpoint.protocol === 'http:' ? 'https,http' : 'https'
+    const resourcePath = blob ? `/${ container }/${ blob }` : `/${ container }`
+
+    // Service SAS string-to-sign for versions 2020-12-06 and later; unused fields stay empty.
+    const stringToSign = [
+      permissionString,
+      '', // signedStart
+      expiresOn,
+      `/blob/${ this.accountName }${ resourcePath }`,
+      '', // signedIdentifier
+      signedIp,
+      signedProtocol,
+      API_VERSION,
+      signedResource,
+      '', // signedSnapshotTime
+      '', // signedEncryptionScope
+      '', // rscc
+      '', // rscd
+      '', // rsce
+      '', // rscl
+      '', // rsct
+    ].join('\n')
+
+    const signature = crypto
+      .createHmac('sha256', Buffer.from(this.accountKey, 'base64'))
+      .update(stringToSign, 'utf8')
+      .digest('base64')
+
+    const params = new URLSearchParams({ sv: API_VERSION, sr: signedResource, sp: permissionString, se: expiresOn })
+
+    if (signedIp) params.set('sip', signedIp)
+    params.set('spr', signedProtocol)
+    params.set('sig', signature)
+
+    const sasToken = params.toString()
+
+    return {
+      url: `${ this.baseUrl }${ this.#encodePath(resourcePath) }?${ sasToken }`,
+      sasToken,
+      resource: blob ? 'blob' : 'container',
+      permissions: permissionString,
+      expiresOn,
+    }
+  }
+
+  // Maps permission labels (or letters) to the "sp" string in Azure's required order.
+  #sasPermissionString(permissions, isContainer) {
+    const requested = Array.isArray(permissions)
+      ? permissions
+      : String(permissions || '').split(',').map(value => value.trim()).filter(Boolean)
+
+    const letters = new Set()
+
+    for (const value of requested.length ? requested : ['Read']) {
+      const letter = SAS_PERMISSIONS[value] || (SAS_PERMISSION_ORDER.includes(value) && value.length === 1 ? value : null)
+
+      if (!letter) {
+        throw new Error(`Unknown SAS permission "${ value }". Use any of: ${ Object.keys(SAS_PERMISSIONS).join(', ') }.`)
+      }
+
+      letters.add(letter)
+    }
+
+    if (letters.has('l') && !isContainer) {
+      throw new Error('The List permission only applies to container SAS URLs. Leave "Blob Name" blank to sign the container.')
+    }
+
+    return SAS_PERMISSION_ORDER.split('').filter(letter => letters.has(letter)).join('')
+  }
+
+  // ===========================================================================
+  // Triggers
+  // ===========================================================================
+
+  /**
+   * @registerAs SYSTEM
+   * @paramDef {"type":"Object","label":"invocation","name":"invocation"}
+   * @returns {Object}
+   */
+  async handleTriggerPollingForEvent(invocation) {
+    return this[invocation.eventName](invocation)
+  }
+
+  /**
+   * @operationName On New Blob
+   * @description Fires for every blob created in a container, optionally only under a name prefix (a virtual folder). Each poll lists the watched blobs and reports those created after the newest one already seen, by their Creation-Time, so metadata, tag or tier changes do not fire it again. The first poll only records the blobs that already exist. Every poll lists all blobs under the prefix, so narrow large containers down with a prefix. Polling interval can be customized (minimum 30 seconds).
+   * @category Triggers
+   * @registerAs POLLING_TRIGGER
+   * @route POST /on-new-blob
+   * @executionTimeoutInSeconds 120
+   * @paramDef {"type":"String","label":"Container","name":"container","required":true,"dictionary":"getContainersDictionary","description":"Name of the container to watch."}
+   * @paramDef {"type":"String","label":"Prefix","name":"prefix","required":false,"description":"Only watch blobs whose name begins with this prefix, e.g. incoming/. Leave blank to watch the whole container."}
+   * @returns {Object}
+   * @sampleResult {"container":"documents","name":"incoming/invoice-1042.pdf","blobType":"BlockBlob","contentType":"application/pdf","contentLength":48213,"lastModified":"Mon, 14 Jul 2025 10:00:00 GMT","etag":"\"0x8D...\"","creationTime":"Mon, 14 Jul 2025 10:00:00 GMT"}
+   */
+  async onNewBlob(invocation) {
+    const { container, prefix } = invocation.triggerData || {}
+
+    if (!container) {
+      throw new Error('"Container" is required.')
+    }
+
+    const watchPrefix = prefix || ''
+
+    if (invocation.learningMode) {
+      const sample = (await this.#listWatchedBlobs(container, watchPrefix, 1)).pop()
+
+      return { events: sample ? [{ container, ...sample.blob }] : [], state: null }
+    }
+
+    const blobs = await this.#listWatchedBlobs(container, watchPrefix)
+    const state = invocation.state
+
+    if (!state || state.container !== container || state.prefix !== watchPrefix) {
+      const newest = blobs.length ? blobs[blobs.length - 1].createdAt : null
+
+      return {
+        events: [],
+        state: {
+          container,
+          prefix: watchPrefix,
+          createdAt: newest,
+          names: blobs.filter(entry => entry.createdAt === newest).map(entry => entry.blob.name),
+        },
+      }
+    }
+
+    // Creation times have one-second precision, so the names already reported at the
+    // watermark are remembered and skipped.
+    const reported = new Set(state.names)
+    const fresh = blobs
+      .filter(entry => state.createdAt === null || entry.createdAt > state.createdAt ||
+        (entry.createdAt === state.createdAt && !reported.has(entry.blob.name)))
+      .slice(0, NEW_BLOB_TRIGGER_BATCH_SIZE)
+
+    if (!fresh.length) {
+      return { events: [], state }
+    }
+
+    const watermark = fresh[fresh.length - 1].createdAt
+    const names = fresh.filter(entry => entry.createdAt === watermark).map(entry => entry.blob.name)
+
+    return {
+      events: fresh.map(entry => ({ container, ...entry.blob })),
+      state: {
+        container,
+        prefix: watchPrefix,
+        createdAt: watermark,
+        names: watermark === state.createdAt ? [...state.names, ...names] : names,
+      },
+    }
+  }
+
+  /**
+   * Lists the blobs under a prefix (all pages unless maxPages is given) as { blob, createdAt },
+   * sorted by creation time (ISO; Last-Modified when the listing has no Creation-Time) and name.
+   */
+  async #listWatchedBlobs(container, prefix, maxPages = Infinity) {
+    const entries = []
+    let marker = ''
+    let pages = 0
+
+    do {
+      const query = { restype: 'container', comp: 'list', maxresults: 5000 }
+
+      if (prefix) query.prefix = prefix
+      if (marker) query.marker = marker
+
+      const response = await this.#request({
+        verb: 'GET',
+        urlPath: `/${ container }`,
+        query,
+        logTag: 'onNewBlob',
+      })
+
+      const xml = this.#asText(response)
+
+      for (const block of this.#tagBlocks(xml, 'Blob')) {
+        const blob = this.#shapeBlob(block)
+        const created = blob.creationTime || blob.lastModified
+
+        if (created) entries.push({ blob, createdAt: new Date(created).toISOString() })
+      }
+
+      marker = this.#tagText(xml, 'NextMarker') || ''
+      pages++
+    } while (marker && pages < maxPages)
+
+    return entries.sort((a, b) => {
+      if (a.createdAt !== b.createdAt) return a.createdAt < b.createdAt ? -1 : 1
+
+      return a.blob.name < b.blob.name ? -1 : a.blob.name > b.blob.name ? 1 : 0
+    })
+  }
+
   // ===========================================================================
   // Dictionaries
   // ===========================================================================
@@ -811,6 +1317,17 @@ class AzureBlobStorage {
     return headers
   }
 
+  // Renders a { name: value } tag object as the URL-encoded x-ms-tags header.
+  #tagsHeader(tags) {
+    if (!tags || typeof tags !== 'object') return {}
+
+    const pairs = Object.keys(tags)
+      .filter(key => tags[key] !== undefined && tags[key] !== null)
+      .map(key => `${ encodeURIComponent(key) }=${ encodeURIComponent(String(tags[key])) }`)
+
+    return pairs.length ? { 'x-ms-tags': pairs.join('&') } : {}
+  }
+
   // Collects x-ms-meta-* response headers back into a { name: value } object.
   #extractMetadata(resHeaders) {
     const metadata = {}
@@ -852,4 +1369,12 @@ Flowrunner.ServerCode.addService(AzureBlobStorage, [
     shared: false,
     hint: 'Azure Portal → Storage account → Security + networking → Access keys → key1 (base64).',
   },
+  {
+    name: 'blobEndpoint',
+    displayName: 'Blob Endpoint',
+    type: Flowrunner.ServerCode.ConfigItems.TYPES.STRING,
+    required: false,
+    shared: false,
+    hint: 'Leave blank for https://{account}.blob.core.windows.net. For the Azurite emulator use http://127.0.0.1:10000/devstoreaccount1.',
+  },
 ])
@@ -164,7 +164,7 @@ describe('Azure Blob Storage Service (e2e)', () => {
     })
 
     it('copies a blob within the same container', async () => {
-      const sourceUrl = `https://${ service.accountName }.blob.core.windows.net/${ testContainer }/${ blobName }`
+      const sourceUrl = `${ service.baseUrl }/${ testContainer }/${ blobName }`
       const copyName = 'e2e-test-copy.txt'
       const result = await service.copyBlob(testContainer, copyName, sourceUrl)
 
@@ -188,6 +188,77 @@ describe('Azure Blob Storage Service (e2e)', () => {
     })
   })
 
+  // ── Large uploads, tiers, tags and shared access ──
+
+  describe('large upload, tier, tags and SAS', () => {
+    const largeName = 'e2e-test-large.bin'
+
+    it('streams a source URL into a block blob with tags', async () => {
+      const { sourceUrl } = sandbox.getTestValues()
+
+      if (!sourceUrl) {
+        console.log('Skipping uploadLargeBlob: testValues.sourceUrl not set')
+
+        return
+      }
+
+      const result = await service.uploadLargeBlob(testContainer, largeName, sourceUrl, undefined, 1, undefined, { e2e: 'large' })
+
+      expect(result).toMatchObject({ container: testContainer, blob: largeName, uploaded: true })
+      expect(result.blockCount).toBeGreaterThan(0)
+    })
+
+    it('finds the blob by its tags', async () => {
+      const { sourceUrl } = sandbox.getTestValues()
+
+      if (!sourceUrl) {
+        console.log('Skipping findBlobsByTags: testValues.sourceUrl not set')
+
+        return
+      }
+
+      // The tag index is updated asynchronously.
+      await new Promise(resolve => setTimeout(resolve, 2000))
+
+      const result = await service.findBlobsByTags('"e2e" = \'large\'', testContainer)
+
+      expect(result.blobs.map(blob => blob.name)).toContain(largeName)
+    })
+
+    it('moves a blob to the Cool tier', async () => {
+      await service.uploadBlob(testContainer, largeName, 'tier me')
+
+      await expect(service.setBlobTier(testContainer, largeName, 'Cool')).resolves.toMatchObject({ tier: 'Cool', updated: true })
+    })
+
+    it('reads a blob through a generated SAS URL', async () => {
+      const { url } = await service.generateSasUrl(testContainer, largeName, ['Read'], 5)
+      const response = await fetch(url)
+
+      expect(response.status).toBe(200)
+      expect(await response.text()).toBe('tier me')
+
+      await service.deleteBlob(testContainer, largeName)
+    })
+  })
+
+  // ── Trigger ──
+
+  describe('onNewBlob', () => {
+    it('reports a blob created under the watched prefix', async () => {
+      const poller = sandbox.startPolling({ name: 'onNewBlob', data: { container: testContainer, prefix: 'e2e-trigger/' } })
+
+      await poller.tick()
+      await service.uploadBlob(testContainer, 'e2e-trigger/new.txt', 'new')
+
+      const { events } = await poller.tick()
+
+      expect(events.map(event => event.name)).toEqual(['e2e-trigger/new.txt'])
+
+      await service.deleteBlob(testContainer, 'e2e-trigger/new.txt')
+    })
+  })
+
   // ── Cleanup: delete the test container ──
 
   describe('cleanup', () => {
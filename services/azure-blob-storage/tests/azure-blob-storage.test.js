@@ -1,5 +1,8 @@
 'use strict'
 
+const crypto = require('crypto')
+const { Readable } = require('stream')
+
 const { createSandbox } = require('../../../service-sandbox')
 
 const ACCOUNT_NAME = 'teststorageacct'
@@ -130,6 +133,12 @@ describe('Azure Blob Storage Service', () => {
           shared: false,
           type: 'STRING',
         }),
+        expect.objectContaining({
+          name: 'blobEndpoint',
+          required: false,
+          shared: false,
+          type: 'STRING',
+        }),
       ])
     })
   })
@@ -774,6 +783,458 @@ describe('Azure Blob Storage Service', () => {
     })
   })
 
+  describe('uploadLargeBlob', () => {
+    const MB = 1024 * 1024
+
+    // Source downloads are consumed as streams, so they get a real Readable response.
+    function sourceResponse(statusCode, headers, chunks) {
+      return (options, callback) => {
+        const res = Readable.from(chunks)
+
+        res.statusCode = statusCode
+        res.headers = headers
+
+        callback(res)
+      }
+    }
+
+    // Routes the source download to a stream of chunks and records every Blob service call.
+    function routeLargeUpload(chunks, { failBlock } = {}) {
+      const calls = []
+
+      mockHttpsHandler = (options, callback, req) => {
+        if (options.hostname === 'files.example.com') {
+          return sourceResponse(200, {}, chunks)(options, callback)
+        }
+
+        const body = req.write.mock.calls.length ? req.write.mock.calls[0][0] : null
+
+        calls.push({ method: options.method, path: options.path, headers: options.headers, body })
+
+        if (failBlock !== undefined && calls.length === failBlock) {
+          return mockHttpsResponse(500, {}, '<Error><Code>InternalError</Code><Message>boom</Message></Error>')(options, callback)
+        }
+
+        mockHttpsResponse(201, { etag: '"0x8DLARGE"', 'last-modified': 'Mon, 14 Jul 2025 10:00:00 GMT' }, '')(options, callback)
+      }
+
+      return calls
+    }
+
+    it('validates the source URL and block size', async () => {
+      await expect(service.uploadLargeBlob('media', 'a.bin', ' ')).rejects.toThrow('"Source URL" is required.')
+
+      await expect(service.uploadLargeBlob('media', 'a.bin', 'https://files.example.com/a', null, 0)).rejects.toThrow(
+        '"Block Size (MB)" must be a whole number between 1 and 100.'
+      )
+    })
+
+    it('stages the source in blocks and commits the block list', async () => {
+      const calls = routeLargeUpload([Buffer.alloc(MB + 10, 1), Buffer.alloc(MB, 2), Buffer.alloc(MB / 2, 3)])
+
+      const result = await service.uploadLargeBlob(
+        'media',
+        'videos/big.mp4',
+        'https://files.example.com/big.mp4',
+        'video/mp4',
+        1,
+        { source: 'camera' },
+        { project: 'apollo', 'due date': '2025-07' }
+      )
+
+      expect(result).toEqual({
+        container: 'media',
+        blob: 'videos/big.mp4',
+        uploaded: true,
+        contentLength: 2.5 * MB + 10,
+        blockCount: 3,
+        etag: '"0x8DLARGE"',
+        lastModified: 'Mon, 14 Jul 2025 10:00:00 GMT',
+      })
+
+      const blockIds = ['000000', '000001', '000002'].map(id => Buffer.from(id).toString('base64'))
+
+      expect(calls.map(call => call.path)).toEqual([
+        `/media/videos/big.mp4?comp=block&blockid=${ encodeURIComponent(blockIds[0]) }`,
+        `/media/videos/big.mp4?comp=block&blockid=${ encodeURIComponent(blockIds[1]) }`,
+        `/media/videos/big.mp4?comp=block&blockid=${ encodeURIComponent(blockIds[2]) }`,
+        '/media/videos/big.mp4?comp=blocklist',
+      ])
+
+      expect(calls.slice(0, 3).map(call => call.body.length)).toEqual([MB, MB, MB / 2 + 10])
+
+      const commit = calls[3]
+
+      expect(commit.body.toString()).toBe(
+        `<?xml version="1.0" encoding="utf-8"?><BlockList>${ blockIds.map(id => `<Latest>${ id }</Latest>`).join('') }</BlockList>`
+      )
+
+      expect(commit.headers).toMatchObject({
+        'Content-Type': 'application/xml',
+        'x-ms-blob-content-type': 'video/mp4',
+        'x-ms-meta-source': 'camera',
+        'x-ms-tags': 'project=apollo&due%20date=2025-07',
+      })
+    })
+
+    it('commits an empty block list for an empty source', async () => {
+      const calls = routeLargeUpload([])
+
+      const result = await service.uploadLargeBlob('media', 'empty.bin', 'https://files.example.com/empty')
+
+      expect(result).toMatchObject({ contentLength: 0, blockCount: 0 })
+      expect(calls).toHaveLength(1)
+      expect(calls[0].headers['x-ms-blob-content-type']).toBe('application/octet-stream')
+    })
+
+    it('stops without committing when a block fails', async () => {
+      const calls = routeLargeUpload([Buffer.alloc(2 * MB)], { failBlock: 2 })
+
+      await expect(
+        service.uploadLargeBlob('media', 'big.bin', 'https://files.example.com/big', null, 1)
+      ).rejects.toThrow(/InternalError: boom/)
+
+      expect(calls.map(call => call.path)).not.toContainEqual(expect.stringContaining('comp=blocklist'))
+    })
+
+    it('reports a source that cannot be downloaded', async () => {
+      mockHttpsHandler = sourceResponse(404, {}, ['missing'])
+
+      await expect(service.uploadLargeBlob('media', 'a.bin', 'https://files.example.com/missing')).rejects.toThrow(
+        'Could not download the source file: HTTP 404'
+      )
+    })
+
+    it('follows redirects to the source file', async () => {
+      const calls = []
+
+      mockHttpsHandler = (options, callback, req) => {
+        calls.push(`${ options.hostname }${ options.path }`)
+
+        if (options.path === '/old') {
+          return sourceResponse(302, { location: 'https://files.example.com/new' }, [])(options, callback)
+        }
+
+        if (options.path === '/new') {
+          return sourceResponse(200, {}, [Buffer.from('data')])(options, callback)
+        }
+
+        mockHttpsResponse(201, {}, '')(options, callback, req)
+      }
+
+      await expect(service.uploadLargeBlob('media', 'a.bin', 'https://files.example.com/old')).resolves.toMatchObject({ contentLength: 4 })
+      expect(calls.slice(0, 2)).toEqual(['files.example.com/old', 'files.example.com/new'])
+    })
+  })
+
+  describe('setBlobTier', () => {
+    it('requires a tier', async () => {
+      await expect(service.setBlobTier('docs', 'a.pdf')).rejects.toThrow('"Tier" is required.')
+    })
+
+    it('sends the tier and rehydrate priority headers', async () => {
+      let captured
+
+      mockHttpsHandler = (options, callback) => {
+        captured = options
+        mockHttpsResponse(200, {}, '')(options, callback)
+      }
+
+      await expect(service.setBlobTier('docs', 'reports/2019.pdf', 'Archive')).resolves.toEqual({
+        container: 'docs',
+        blob: 'reports/2019.pdf',
+        tier: 'Archive',
+        updated: true,
+        pending: false,
+      })
+
+      expect(captured.method).toBe('PUT')
+      expect(captured.path).toBe('/docs/reports/2019.pdf?comp=tier')
+      expect(captured.headers['x-ms-access-tier']).toBe('Archive')
+      expect(captured.headers).not.toHaveProperty('x-ms-rehydrate-priority')
+    })
+
+    it('reports a pending rehydration', async () => {
+      let captured
+
+      mockHttpsHandler = (options, callback) => {
+        captured = options
+        mockHttpsResponse(202, {}, '')(options, callback)
+      }
+
+      const result = await service.setBlobTier('docs', 'old.pdf', 'Hot', 'High')
+
+      expect(result.pending).toBe(true)
+      expect(captured.headers['x-ms-rehydrate-priority']).toBe('High')
+    })
+  })
+
+  describe('findBlobsByTags', () => {
+    const FILTER = '"project" = \'apollo\''
+    const xml = `<EnumerationResults>
+      <Where>"project" = 'apollo'</Where>
+      <Blobs>
+        <Blob><Name>reports/q1.pdf</Name><ContainerName>docs</ContainerName>
+          <Tags><TagSet><Tag><Key>project</Key><Value>apollo</Value></Tag><Tag><Key>team</Key><Value>R&amp;D</Value></Tag></TagSet></Tags>
+        </Blob>
+      </Blobs>
+      <NextMarker>next-1</NextMarker>
+    </EnumerationResults>`
+
+    it('requires a filter expression', async () => {
+      await expect(service.findBlobsByTags('  ')).rejects.toThrow('"Tag Filter" is required.')
+    })
+
+    it('searches the whole account and parses matches', async () => {
+      let captured
+
+      mockHttpsHandler = (options, callback) => {
+        captured = options
+        mockHttpsResponse(200, {}, xml)(options, callback)
+      }
+
+      await expect(service.findBlobsByTags(FILTER, undefined, 10, 'm-1')).resolves.toEqual({
+        blobs: [{ name: 'reports/q1.pdf', container: 'docs', tags: { project: 'apollo', team: 'R&D' } }],
+        nextMarker: 'next-1',
+      })
+
+      expect(captured.path).toBe(`/?comp=blobs&where=${ encodeURIComponent(FILTER) }&maxresults=10&marker=m-1`)
+    })
+
+    it('limits the search to a container', async () => {
+      let captured
+
+      mockHttpsHandler = (options, callback) => {
+        captured = options
+        mockHttpsResponse(200, {}, '<EnumerationResults><Blobs></Blobs></EnumerationResults>')(options, callback)
+      }
+
+      await service.findBlobsByTags(FILTER, 'docs')
+
+      expect(captured.path).toMatch(/^\/docs\?restype=container&comp=blobs&where=/)
+    })
+  })
+
+  // ── Shared access ──
+
+  describe('generateSasUrl', () => {
+    const NOW = Date.parse('2025-07-14T10:00:00.000Z')
+
+    function expectedSignature(fields) {
+      return crypto.createHmac('sha256', Buffer.from(ACCOUNT_KEY, 'base64')).update(fields.join('\n'), 'utf8').digest('base64')
+    }
+
+    beforeEach(() => {
+      jest.spyOn(Date, 'now').mockReturnValue(NOW)
+    })
+
+    afterEach(() => {
+      jest.restoreAllMocks()
+    })
+
+    it('signs a read-only blob SAS locally', async () => {
+      mockHttpsHandler = jest.fn()
+
+      const result = await service.generateSasUrl('docs', 'reports/q 1.pdf')
+
+      const signature = expectedSignature([
+        'r', '', '2025-07-14T11:00:00Z', `/blob/${ ACCOUNT_NAME }/docs/reports/q 1.pdf`, '', '', 'https', '2021-08-06', 'b',
+        '', '', '', '', '', '', '',
+      ])
+
+      const sasToken = `sv=2021-08-06&sr=b&sp=r&se=2025-07-14T11%3A00%3A00Z&spr=https&sig=${ encodeURIComponent(signature) }`
+
+      expect(result).toEqual({
+        url: `https://${ ACCOUNT_NAME }.blob.core.windows.net/docs/reports/q%201.pdf?${ sasToken }`,
+        sasToken,
+        resource: 'blob',
+        permissions: 'r',
+        expiresOn: '2025-07-14T11:00:00Z',
+      })
+
+      expect(mockHttpsHandler).not.toHaveBeenCalled()
+    })
+
+    it('signs a container SAS with ordered permissions, expiry and IP range', async () => {
+      const result = await service.generateSasUrl('docs', '', ['List', 'Write', 'Read'], 15, '203.0.113.0-203.0.113.255')
+
+      const signature = expectedSignature([
+        'rwl', '', '2025-07-14T10:15:00Z', `/blob/${ ACCOUNT_NAME }/docs`, '', '203.0.113.0-203.0.113.255', 'https', '2021-08-06', 'c',
+        '', '', '', '', '', '', '',
+      ])
+
+      expect(result).toMatchObject({ resource: 'container', permissions: 'rwl', expiresOn: '2025-07-14T10:15:00Z' })
+
+      const params = new URL(result.url).searchParams
+
+      expect(params.get('sip')).toBe('203.0.113.0-203.0.113.255')
+      expect(params.get('sig')).toBe(signature)
+    })
+
+    it('rejects unknown permissions, List on a blob and bad expiries', async () => {
+      await expect(service.generateSasUrl('docs', 'a.txt', ['Own'])).rejects.toThrow('Unknown SAS permission "Own".')
+      await expect(service.generateSasUrl('docs', 'a.txt', ['List'])).rejects.toThrow('The List permission only applies to container SAS URLs.')
+      await expect(service.generateSasUrl('docs', 'a.txt', ['Read'], -5)).rejects.toThrow('"Expires In (minutes)" must be a positive number.')
+      await expect(service.generateSasUrl('', 'a.txt')).rejects.toThrow('"Container" is required.')
+    })
+  })
+
+  // ── Triggers ──
+
+  describe('onNewBlob', () => {
+    const T1 = 'Mon, 14 Jul 2025 10:00:00 GMT'
+    const T2 = 'Mon, 14 Jul 2025 11:00:00 GMT'
+    const T3 = 'Mon, 14 Jul 2025 12:00:00 GMT'
+    const ISO2 = '2025-07-14T11:00:00.000Z'
+    const ISO3 = '2025-07-14T12:00:00.000Z'
+
+    function listing(blobs, nextMarker = '') {
+      const items = blobs
+        .map(([name, created]) => `<Blob><Name>${ name }</Name><Properties><BlobType>BlockBlob</BlobType>` +
+          `<Content-Length>5</Content-Length><Last-Modified>${ T3 }</Last-Modified><Creation-Time>${ created }</Creation-Time></Properties></Blob>`)
+        .join('')
+
+      return `<EnumerationResults><Blobs>${ items }</Blobs><NextMarker>${ nextMarker }</NextMarker></EnumerationResults>`
+    }
+
+    function routePages(...pages) {
+      const paths = []
+
+      mockHttpsHandler = (options, callback) => {
+        paths.push(options.path)
+        mockHttpsResponse(200, {}, pages[paths.length - 1])(options, callback)
+      }
+
+      return paths
+    }
+
+    it('requires a container', async () => {
+      const poller = sandbox.startPolling({ name: 'onNewBlob', data: {} })
+
+      await expect(poller.tick()).rejects.toThrow('"Container" is required.')
+    })
+
+    it('records the existing blobs on the first poll, across pages', async () => {
+      const paths = routePages(listing([['in/b.txt', T2]], 'page-2'), listing([['in/a.txt', T2], ['in/old.txt', T1]]))
+
+      const poller = sandbox.startPolling({ name: 'onNewBlob', data: { container: 'docs', prefix: 'in/' } })
+
+      await expect(poller.tick()).resolves.toMatchObject({
+        events: [],
+        state: { container: 'docs', prefix: 'in/', createdAt: ISO2, names: ['in/a.txt', 'in/b.txt'] },
+      })
+
+      expect(paths).toEqual([
+        '/docs?restype=container&comp=list&maxresults=5000&prefix=in%2F',
+        '/docs?restype=container&comp=list&maxresults=5000&prefix=in%2F&marker=page-2',
+      ])
+    })
+
+    it('emits blobs created after the watermark, sorted by creation time', async () => {
+      routePages(listing([['c.txt', T3], ['a.txt', T2], ['b.txt', T2], ['old.txt', T1]]))
+
+      const poller = sandbox.startPolling({
+        name: 'onNewBlob',
+        data: { container: 'docs' },
+        state: { container: 'docs', prefix: '', createdAt: ISO2, names: ['a.txt'] },
+      })
+
+      const result = await poller.tick()
+
+      expect(result.events.map(event => event.name)).toEqual(['b.txt', 'c.txt'])
+
+      expect(result.events[0]).toMatchObject({
+        container: 'docs',
+        name: 'b.txt',
+        blobType: 'BlockBlob',
+        contentLength: 5,
+        creationTime: T2,
+        lastModified: T3,
+      })
+
+      expect(result.state).toEqual({ container: 'docs', prefix: '', createdAt: ISO3, names: ['c.txt'] })
+    })
+
+    it('keeps the state when nothing is new and restarts when the prefix changes', async () => {
+      const state = { container: 'docs', prefix: '', createdAt: ISO2, names: ['a.txt'] }
+
+      routePages(listing([['a.txt', T2]]))
+
+      const poller = sandbox.startPolling({ name: 'onNewBlob', data: { container: 'docs' }, state })
+
+      await expect(poller.tick()).resolves.toMatchObject({ events: [], state })
+
+      routePages(listing([['in/x.txt', T3]]))
+
+      const moved = sandbox.startPolling({ name: 'onNewBlob', data: { container: 'docs', prefix: 'in/' }, state })
+
+      await expect(moved.tick()).resolves.toMatchObject({ events: [], state: { prefix: 'in/', createdAt: ISO3, names: ['in/x.txt'] } })
+    })
+
+    it('returns the newest blob of the first page in learning mode', async () => {
+      const paths = routePages(listing([['old.txt', T1], ['new.txt', T3]], 'page-2'))
+
+      const poller = sandbox.startPolling({ name: 'onNewBlob', data: { container: 'docs' } })
+      const result = await poller.tick({ learningMode: true })
+
+      expect(result.events).toEqual([expect.objectContaining({ container: 'docs', name: 'new.txt' })])
+      expect(result.state).toBeNull()
+      expect(paths).toHaveLength(1)
+    })
+  })
+
+  // ── Custom endpoint (Azurite) ──
+
+  describe('blob endpoint', () => {
+    it('sends and signs requests under the endpoint path', async () => {
+      const azurite = new service.constructor({
+        accountName: 'devstoreaccount1',
+        accountKey: ACCOUNT_KEY,
+        blobEndpoint: 'https://127.0.0.1:10000/devstoreaccount1/',
+      })
+
+      let captured
+
+      mockHttpsHandler = (options, callback) => {
+        captured = options
+        mockHttpsResponse(200, {}, '<EnumerationResults><Blobs></Blobs></EnumerationResults>')(options, callback)
+      }
+
+      await azurite.listBlobs('docs')
+
+      expect(captured).toMatchObject({ hostname: '127.0.0.1', port: '10000', path: '/devstoreaccount1/docs?restype=container&comp=list' })
+
+      const stringToSign = [
+        'GET', '', '', '', '', '', '', '', '', '', '', '',
+        `x-ms-date:${ captured.headers['x-ms-date'] }\nx-ms-version:2021-08-06\n` +
+          '/devstoreaccount1/devstoreaccount1/docs\ncomp:list\nrestype:container',
+      ].join('\n')
+
+      const signature = crypto.createHmac('sha256', Buffer.from(ACCOUNT_KEY, 'base64')).update(stringToSign, 'utf8').digest('base64')
+
+      expect(captured.headers['Authorization']).toBe(`SharedKey devstoreaccount1:${ signature }`)
+    })
+
+    it('builds SAS URLs on the endpoint and allows http for the emulator', async () => {
+      const azurite = new service.constructor({
+        accountName: 'devstoreaccount1',
+        accountKey: ACCOUNT_KEY,
+        blobEndpoint: 'http://127.0.0.1:10000/devstoreaccount1',
+      })
+
+      const { url } = await azurite.generateSasUrl('docs', 'a.txt')
+
+      expect(url).toMatch(/^http:\/\/127\.0\.0\.1:10000\/devstoreaccount1\/docs\/a\.txt\?sv=/)
+      expect(new URL(url).searchParams.get('spr')).toBe('https,http')
+    })
+
+    it('rejects an endpoint that is not a URL', () => {
+      expect(() => new service.constructor({ accountName: 'a', accountKey: ACCOUNT_KEY, blobEndpoint: 'localhost:10000' })).toThrow(
+        'Invalid Blob Endpoint "localhost:10000".'
+      )
+    })
+  })
+
   // ── Dictionary ──
 
   describe('getContainersDictionary', () => {
@@ -18,6 +18,8 @@
 //  TRIGGERS: REALTIME (SINGLE_APP) — onCalEvent (booking/meeting webhooks)
 // ============================================================================
 
+const { getHeader, getRawBody, generateWebhookSecret, verifyHmac } = require('./webhook-signatures')
+
 // ============================================================================
 //  CONSTANTS
 // ============================================================================
@@ -652,6 +654,7 @@ class CalCom {
     logger.debug(`handleTriggerUpsertWebhook.invocation: ${ JSON.stringify(invocation) }`)
 
     const address = `${ invocation.callbackUrl }${ invocation.callbackUrl.includes('?') ? '&' : '?' }connectionId=${ invocation.connectionId }`
+    const secret = generateWebhookSecret()
     const webhooks = []
 
     for (const event of invocation.events || []) {
@@ -666,12 +669,13 @@ class CalCom {
           subscriberUrl: address,
           triggers: [resolvedEvent],
           active: true,
+          secret,
         },
         apiVersion: null,
         logTag: 'createWebhook',
       })
 
-      webhooks.push({ triggerId: event.id, webhookId: created?.id, event: resolvedEvent })
+      webhooks.push({ triggerId: event.id, webhookId: created?.id, event: resolvedEvent, secret })
     }
 
     return { webhookData: { webhooks }, connectionId: invocation.connectionId }
@@ -691,6 +695,12 @@ class CalCom {
       return { handshake: true, responseToExternalService: invocation?.body || {} }
     }
 
+    if (!this.#verifyWebhookSignature(invocation)) {
+      logger.warn('handleTriggerResolveEvents: X-Cal-Signature-256 verification failed — rejecting delivery')
+
+      return { connectionId: invocation.queryParams?.connectionId, events: [] }
+    }
+
     if (!invocation.body.triggerEvent) {
       return { connectionId: invocation.queryParams?.connectionId, events: [] }
     }
@@ -700,6 +710,23 @@ class CalCom {
     return { connectionId: invocation.queryParams?.connectionId, events }
   }
 
+  // Verifies X-Cal-Signature-256: hex HMAC-SHA256 of the raw body keyed with the secret set
+  // on the webhook. Webhooks stored without a secret are accepted with a warning.
+  #verifyWebhookSignature(invocation) {
+    const secrets = (invocation.webhookData?.webhooks || []).map(hook => hook.secret).filter(Boolean)
+
+    if (!secrets.length) {
+      logger.warn('No webhook secret stored — skipping signature verification.')
+
+      return true
+    }
+
+    const signature = getHeader(invocation.headers, 'x-cal-signature-256')
+    const rawBody = getRawBody(invocation)
+
+    return secrets.some(secret => verifyHmac({ secret, payload: rawBody, signature }))
+  }
+
   /**
    * @registerAs SYSTEM
    * @route POST /handleTriggerSelectMatched
@@ -1,5 +1,7 @@
 'use strict'
 
+const crypto = require('crypto')
+
 const { createSandbox } = require('../../../service-sandbox')
 
 const API_KEY = 'cal_test_key_123'
@@ -929,9 +931,12 @@ describe('Cal.com Service', () => {
         subscriberUrl: 'https://hooks.example.com/cal?connectionId=conn-1',
         triggers: ['BOOKING_CREATED'],
         active: true,
+        secret: expect.stringMatching(/^[0-9a-f]{64}$/),
       })
       expect(result).toEqual({
-        webhookData: { webhooks: [{ triggerId: 'trig-1', webhookId: 'wh_1', event: 'BOOKING_CREATED' }] },
+        webhookData: {
+          webhooks: [{ triggerId: 'trig-1', webhookId: 'wh_1', event: 'BOOKING_CREATED', secret: mock.history[0].body.secret }],
+        },
         connectionId: 'conn-1',
       })
     })
@@ -969,6 +974,7 @@ describe('Cal.com Service', () => {
         triggerId: 'trig-b',
         webhookId: 'wh_multi',
         event: 'BOOKING_CANCELLED',
+        secret: result.webhookData.webhooks[0].secret,
       })
     })
 
@@ -1036,6 +1042,38 @@ describe('Cal.com Service', () => {
         title: '30 Min Meeting',
       })
     })
+
+    describe('signature verification', () => {
+      const webhookData = { webhooks: [{ triggerId: 'trig-1', webhookId: 'wh_1', event: 'BOOKING_CREATED', secret: 'cal-secret' }] }
+      const body = { triggerEvent: 'BOOKING_CREATED', payload: { uid: 'booking_abc123', title: '30 Min Meeting' } }
+      const rawBody = JSON.stringify(body)
+
+      it('accepts a delivery signed with the webhook secret', async () => {
+        const result = await service.handleTriggerResolveEvents({
+          body,
+          rawBody,
+          headers: { 'X-Cal-Signature-256': crypto.createHmac('sha256', 'cal-secret').update(rawBody).digest('hex') },
+          queryParams: { connectionId: 'conn-2' },
+          webhookData,
+        })
+
+        expect(result.events).toHaveLength(1)
+      })
+
+      it('rejects forged and unsigned deliveries before shaping them', async () => {
+        const base = { body, rawBody, queryParams: { connectionId: 'conn-2' }, webhookData }
+
+        const forged = await service.handleTriggerResolveEvents({
+          ...base,
+          headers: { 'x-cal-signature-256': crypto.createHmac('sha256', 'other').update(rawBody).digest('hex') },
+        })
+
+        const unsigned = await service.handleTriggerResolveEvents(base)
+
+        expect(forged).toEqual({ connectionId: 'conn-2', events: [] })
+        expect(unsigned).toEqual({ connectionId: 'conn-2', events: [] })
+      })
+    })
   })
 
   describe('handleTriggerSelectMatched', () => {
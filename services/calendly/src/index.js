@@ -1,5 +1,7 @@
 'use strict'
 
+const { getHeader, getRawBody, generateWebhookSecret, verifyStripeSignature } = require('./webhook-signatures')
+
 const OAUTH_BASE_URL = 'https://auth.calendly.com/oauth'
 const API_BASE_URL = 'https://api.calendly.com'
 
@@ -379,6 +381,7 @@ class CalendlyService {
 
   async #createWebhook(events, invocation) {
     const me = await this.#getCurrentAccountInfo()
+    const signingKey = generateWebhookSecret()
 
     const response = await this.#apiRequest({
       logTag: 'createWebhook',
@@ -389,10 +392,30 @@ class CalendlyService {
         events,
         organization: me.current_organization,
         scope: 'organization',
+        signing_key: signingKey,
       },
     })
 
-    return response?.resource
+    return response?.resource && { ...response.resource, signingKey }
+  }
+
+  // Calendly signs deliveries with the signing_key sent at subscription time, Stripe style:
+  // "t=<timestamp>,v1=<hex HMAC-SHA256 of '<timestamp>.<raw body>'>". Subscriptions created
+  // before the key was stored are accepted with a warning until they are re-created.
+  #verifyWebhookSignature(invocation) {
+    const signingKey = invocation.webhookData?.signingKey
+
+    if (!signingKey) {
+      logger.warn('No webhook signing key stored — skipping signature verification.')
+
+      return true
+    }
+
+    return verifyStripeSignature({
+      secret: signingKey,
+      header: getHeader(invocation.headers, 'calendly-webhook-signature'),
+      rawBody: getRawBody(invocation),
+    })
   }
 
   async #deleteWebhook(webhookUri) {
@@ -439,6 +462,12 @@ class CalendlyService {
   async handleTriggerResolveEvents(invocation) {
     logger.debug(`handleTriggerResolveEvents.invocation: ${ JSON.stringify(invocation) }`)
 
+    if (!this.#verifyWebhookSignature(invocation)) {
+      logger.warn('handleTriggerResolveEvents: Calendly-Webhook-Signature verification failed — rejecting delivery')
+
+      return { connectionId: invocation.queryParams?.connectionId, events: [] }
+    }
+
     const methodName = MethodTypes[invocation.body.event]
 
     logger.debug(`handleTriggerResolveEvents.methodName: ${ methodName }`)
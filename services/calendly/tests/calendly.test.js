@@ -1,5 +1,7 @@
 'use strict'
 
+const crypto = require('crypto')
+
 const { createSandbox } = require('../../../service-sandbox')
 
 const CLIENT_ID = 'test-client-id'
@@ -867,6 +869,10 @@ describe('Calendly Service', () => {
         organization: ME_RESPONSE.resource.current_organization,
         scope: 'organization',
       })
+
+      // The signing key sent to Calendly is kept to verify deliveries
+      expect(postReq.body.signing_key).toMatch(/^[0-9a-f]{64}$/)
+      expect(result.webhookData.signingKey).toBe(postReq.body.signing_key)
     })
 
     it('deletes old webhook before creating new one', async () => {
@@ -970,6 +976,52 @@ describe('Calendly Service', () => {
 
       expect(result).toBeNull()
     })
+
+    describe('signature verification', () => {
+      const webhookData = { uri: 'https://api.calendly.com/webhook_subscriptions/WH1', signingKey: 'signing-key' }
+      const body = { event: 'invitee.created', payload: { name: 'John', email: 'john@example.com' } }
+
+      function calendlySignature(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+        const signature = crypto.createHmac('sha256', 'signing-key').update(`${ timestamp }.${ rawBody }`).digest('hex')
+
+        return `t=${ timestamp },v1=${ signature }`
+      }
+
+      it('accepts a delivery signed with the stored signing key', async () => {
+        const rawBody = JSON.stringify(body)
+
+        const result = await service.handleTriggerResolveEvents({
+          body,
+          rawBody,
+          headers: { 'Calendly-Webhook-Signature': calendlySignature(rawBody) },
+          queryParams: { connectionId: 'conn-1' },
+          webhookData,
+        })
+
+        expect(result.events).toHaveLength(1)
+      })
+
+      it('rejects forged, stale and unsigned deliveries', async () => {
+        const rawBody = JSON.stringify(body)
+        const base = { body, rawBody, queryParams: { connectionId: 'conn-1' }, webhookData }
+
+        const forged = await service.handleTriggerResolveEvents({
+          ...base,
+          headers: { 'calendly-webhook-signature': calendlySignature(rawBody.replace('John', 'Eve')) },
+        })
+
+        const stale = await service.handleTriggerResolveEvents({
+          ...base,
+          headers: { 'calendly-webhook-signature': calendlySignature(rawBody, Math.floor(Date.now() / 1000) - 3600) },
+        })
+
+        const unsigned = await service.handleTriggerResolveEvents(base)
+
+        expect(forged).toEqual({ connectionId: 'conn-1', events: [] })
+        expect(stale.events).toEqual([])
+        expect(unsigned.events).toEqual([])
+      })
+    })
   })
 
   describe('handleTriggerSelectMatched', () => {
@@ -1060,4 +1112,88 @@ describe('Calendly Service', () => {
       expect(mock.history[0].url).toBe('https://api.calendly.com/webhook_subscriptions/WH_DEL')
     })
   })
+
+  describe('trigger lifecycle', () => {
+    const WEBHOOK_URI = 'https://api.calendly.com/webhook_subscriptions/WH_FLOW'
+
+    async function startFlow() {
+      mock.onGet(`${ API_BASE }/users/me`).reply(ME_RESPONSE)
+      mock.onPost(`${ API_BASE }/webhook_subscriptions`).reply({ resource: { uri: WEBHOOK_URI } })
+
+      return sandbox.startTriggerFlow({
+        callbackUrl: 'https://callback.example.com?flow=1',
+        connectionId: 'conn-123',
+        triggers: [
+          { id: 'demo', name: 'onCreateInvitee', data: { eventType: 'Product Demo' } },
+          { id: 'any', name: 'onCreateInvitee', data: {} },
+          { id: 'cancel', name: 'onCancelInvitee', data: {} },
+        ],
+      })
+    }
+
+    // Posts a delivery signed the way Calendly does with the key stored at upsert time
+    function deliver(flow, body, signingKey = flow.webhookData.signingKey) {
+      const rawBody = JSON.stringify(body)
+      const timestamp = Math.floor(Date.now() / 1000)
+      const signature = crypto.createHmac('sha256', signingKey).update(`${ timestamp }.${ rawBody }`).digest('hex')
+
+      return flow.postEvent({
+        queryParams: { connectionId: 'conn-123' },
+        headers: { 'calendly-webhook-signature': `t=${ timestamp },v1=${ signature }` },
+        body,
+        rawBody,
+      })
+    }
+
+    it('keeps webhookData from upsert and fires only matching triggers', async () => {
+      const flow = await startFlow()
+
+      expect(flow.webhookData).toEqual({ uri: WEBHOOK_URI, signingKey: expect.any(String) })
+
+      const result = await deliver(flow, {
+        event: 'invitee.created',
+        payload: { scheduled_event: { name: 'Quick Call' } },
+      })
+
+      expect(result.firedTriggerIds).toEqual(['any'])
+    })
+
+    it('routes each event type to its own trigger blocks', async () => {
+      const flow = await startFlow()
+
+      const created = await deliver(flow, { event: 'invitee.created', payload: { scheduled_event: { name: 'Product Demo' } } })
+      const canceled = await deliver(flow, { event: 'invitee.canceled', payload: { scheduled_event: { name: 'Product Demo' } } })
+
+      expect(created.firedTriggerIds).toEqual(['demo', 'any'])
+      expect(canceled.firedTriggerIds).toEqual(['cancel'])
+    })
+
+    it('ignores unknown events', async () => {
+      const flow = await startFlow()
+
+      const result = await deliver(flow, { event: 'unknown.event', payload: {} })
+
+      expect(result.events).toEqual([])
+      expect(result.firedTriggerIds).toEqual([])
+    })
+
+    it('fires nothing for a delivery signed with another key', async () => {
+      const flow = await startFlow()
+
+      const result = await deliver(flow, { event: 'invitee.created', payload: { scheduled_event: { name: 'Product Demo' } } }, 'forged-key')
+
+      expect(result.firedTriggerIds).toEqual([])
+    })
+
+    it('deletes the stored webhook when the flow stops', async () => {
+      const flow = await startFlow()
+
+      mock.onDelete(WEBHOOK_URI).reply({})
+
+      await flow.stop()
+
+      expect(mock.history.find(r => r.method === 'delete').url).toBe(WEBHOOK_URI)
+      await expect(flow.postEvent({ body: {} })).rejects.toThrow('The flow has been stopped')
+    })
+  })
 })
@@ -1,3 +1,5 @@
+const { WATERMARK_KEY, pollRows } = require('./row-polling')
+
 const logger = {
   info: (...args) => console.log('[CrateDB] info:', ...args),
   debug: (...args) => console.log('[CrateDB] debug:', ...args),
@@ -5,6 +7,29 @@ const logger = {
   warn: (...args) => console.log('[CrateDB] warn:', ...args),
 }
 
+const DICTIONARY_PAGE_SIZE = 200
+
+// Schemas holding CrateDB's own catalog tables, hidden from the table dropdown.
+const SYSTEM_SCHEMAS = ['information_schema', 'pg_catalog', 'sys', 'blob']
+
+/**
+ * @typedef {Object} getTablesDictionary__payload
+ * @paramDef {"type":"String","label":"Search","name":"search","description":"Optional text to filter tables and views by name."}
+ * @paramDef {"type":"String","label":"Cursor","name":"cursor","description":"Pagination cursor for the next page of results."}
+ */
+
+/**
+ * @typedef {Object} getColumnsDictionary__payloadCriteria
+ * @paramDef {"type":"String","label":"Table","name":"table","description":"The table whose columns populate the list."}
+ */
+
+/**
+ * @typedef {Object} getColumnsDictionary__payload
+ * @paramDef {"type":"String","label":"Search","name":"search","description":"Optional text to filter columns by name."}
+ * @paramDef {"type":"String","label":"Cursor","name":"cursor","description":"Pagination cursor for the next page of results."}
+ * @paramDef {"type":"getColumnsDictionary__payloadCriteria","label":"Criteria","name":"criteria","description":"The table whose columns to list."}
+ */
+
 /**
  * @integrationName CrateDB
  * @integrationIcon /icon.png
@@ -65,6 +90,46 @@ class CrateDBService {
     }
   }
 
+  // Runs a SELECT and returns its rows as objects keyed by column name.
+  async #selectObjects(stmt, args, logTag) {
+    const body = { stmt }
+
+    if (args && args.length) {
+      body.args = args
+    }
+
+    const { cols = [], rows = [] } = await this.#sqlRequest({ body, withTypes: false, logTag })
+
+    return rows.map(row => Object.fromEntries(cols.map((col, index) => [col, row[index]])))
+  }
+
+  #quoteIdent(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error(`Invalid identifier: ${ JSON.stringify(name) }. Identifiers must be non-empty strings.`)
+    }
+
+    return `"${ name.replace(/"/g, '""') }"`
+  }
+
+  // "schema.table" or a bare table name in the default doc schema.
+  #splitTable(table) {
+    if (typeof table !== 'string' || !table.trim()) {
+      throw new Error('Table name is required and must be a non-empty string.')
+    }
+
+    const dot = table.indexOf('.')
+
+    return dot === -1
+      ? { schema: 'doc', name: table.trim() }
+      : { schema: table.slice(0, dot).trim(), name: table.slice(dot + 1).trim() }
+  }
+
+  #quoteTable(table) {
+    const { schema, name } = this.#splitTable(table)
+
+    return `${ this.#quoteIdent(schema) }.${ this.#quoteIdent(name) }`
+  }
+
   /**
    * @operationName Execute SQL
    * @category SQL
@@ -109,6 +174,163 @@ class CrateDBService {
 
     return await this.#sqlRequest({ body, withTypes: false, logTag })
   }
+
+  /**
+   * @registerAs SYSTEM
+   * @paramDef {"type":"Object","label":"invocation","name":"invocation"}
+   * @returns {Object}
+   */
+  async handleTriggerPollingForEvent(invocation) {
+    return this[invocation.eventName](invocation)
+  }
+
+  /**
+   * @operationName On New Row
+   * @category Triggers
+   * @description Fires for every row inserted into a table. New rows are found through a watermark column whose value only grows, typically a TIMESTAMP column with DEFAULT CURRENT_TIMESTAMP (CrateDB has no auto-increment ids). The first poll only records the current maximum, so rows that already exist do not fire. Later polls return the new rows in ascending order, up to Max Rows per Poll at a time; the rest follow on the next poll. Rows whose watermark is NULL never fire, and rows become visible once CrateDB refreshes the table (every second by default). Polling interval can be customized (minimum 30 seconds).
+   * @route POST /on-new-row
+   * @registerAs POLLING_TRIGGER
+   * @appearanceColor #50BFC3 #7DD6D9
+   * @executionTimeoutInSeconds 120
+   *
+   * @paramDef {"type":"String","label":"Table","name":"table","required":true,"dictionary":"getTablesDictionary","description":"The table to watch. May be schema-qualified (e.g. iot.readings); defaults to the doc schema."}
+   * @paramDef {"type":"String","label":"Watermark Column","name":"watermarkColumn","required":true,"dictionary":"getColumnsDictionary","dependsOn":["table"],"description":"Column whose value only grows for new rows, e.g. a created_at TIMESTAMP with DEFAULT CURRENT_TIMESTAMP or an id the application increments."}
+   * @paramDef {"type":"Number","label":"Max Rows per Poll","name":"batchSize","uiComponent":{"type":"NUMERIC_STEPPER"},"defaultValue":100,"description":"Maximum number of rows one poll returns (default 100, at most 1000). The remaining rows follow on the next poll; rows sharing one watermark value are never split, so a larger group comes in full."}
+   *
+   * @returns {Object}
+   * @sampleResult {"id":"c5d3a1","sensor":"sensor-7","temperature":21.4,"created_at":1714564800000}
+   */
+  async onNewRow(invocation) {
+    return this.#pollRows(invocation, '[onNewRow]')
+  }
+
+  /**
+   * @operationName On Updated Row
+   * @category Triggers
+   * @description Fires for every row whose last-modified timestamp moved forward, e.g. an updated_at TIMESTAMP column the application sets on each change. Inserted rows fire too when they set the column. The first poll only records the current maximum; later polls return the changed rows with their current values in ascending order, up to Max Rows per Poll at a time. A row changed several times between two polls fires once. Polling interval can be customized (minimum 30 seconds).
+   * @route POST /on-updated-row
+   * @registerAs POLLING_TRIGGER
+   * @appearanceColor #50BFC3 #7DD6D9
+   * @executionTimeoutInSeconds 120
+   *
+   * @paramDef {"type":"String","label":"Table","name":"table","required":true,"dictionary":"getTablesDictionary","description":"The table to watch. May be schema-qualified (e.g. iot.readings); defaults to the doc schema."}
+   * @paramDef {"type":"String","label":"Watermark Column","name":"watermarkColumn","required":true,"dictionary":"getColumnsDictionary","dependsOn":["table"],"description":"Timestamp column set on every change, e.g. updated_at."}
+   * @paramDef {"type":"Number","label":"Max Rows per Poll","name":"batchSize","uiComponent":{"type":"NUMERIC_STEPPER"},"defaultValue":100,"description":"Maximum number of rows one poll returns (default 100, at most 1000). The remaining rows follow on the next poll; rows sharing one watermark value are never split, so a larger group comes in full."}
+   *
+   * @returns {Object}
+   * @sampleResult {"id":"c5d3a1","sensor":"sensor-7","temperature":21.4,"updated_at":1714564800000}
+   */
+  async onUpdatedRow(invocation) {
+    return this.#pollRows(invocation, '[onUpdatedRow]')
+  }
+
+  // CrateDB returns timestamps as epoch milliseconds, its storage precision, so the column
+  // value itself is the exact watermark and binds back as is.
+  async #pollRows(invocation, logTag) {
+    const { table, watermarkColumn, batchSize } = invocation.triggerData || {}
+    const tableRef = this.#quoteTable(table)
+    const column = this.#quoteIdent(watermarkColumn)
+    const select = `SELECT *, ${ column } AS "${ WATERMARK_KEY }" FROM ${ tableRef }`
+
+    const result = await pollRows(invocation, {
+      latestRow: async () => {
+        const rows = await this.#selectObjects(`${ select } WHERE ${ column } IS NOT NULL ORDER BY ${ column } DESC LIMIT 1`, [], logTag)
+
+        return rows[0] || null
+      },
+      maxWatermark: async () => {
+        const rows = await this.#selectObjects(`SELECT MAX(${ column }) AS watermark FROM ${ tableRef }`, [], logTag)
+
+        return rows[0].watermark
+      },
+      rowsAfter: async (watermark, limit) => {
+        return watermark === null
+          ? this.#selectObjects(`${ select } WHERE ${ column } IS NOT NULL ORDER BY ${ column } LIMIT ?`, [limit], logTag)
+          : this.#selectObjects(`${ select } WHERE ${ column } > ? ORDER BY ${ column } LIMIT ?`, [watermark, limit], logTag)
+      },
+      rowsAt: async watermark => {
+        return this.#selectObjects(`${ select } WHERE ${ column } = ?`, [watermark], logTag)
+      },
+    }, { key: `${ table }.${ watermarkColumn }`, batchSize })
+
+    logger.debug(`${ logTag } - ${ result.events.length } row(s), watermark=${ result.state && result.state.watermark }`)
+
+    return result
+  }
+
+  /**
+   * @registerAs DICTIONARY
+   * @operationName Get Tables Dictionary
+   * @description Provides a searchable list of user tables and views for dynamic dropdown selection in other operations. Values are schema-qualified (e.g. doc.readings); CrateDB's system schemas are left out.
+   * @route POST /get-tables-dictionary
+   *
+   * @paramDef {"type":"getTablesDictionary__payload","label":"Payload","name":"payload","description":"Optional search text and pagination cursor."}
+   *
+   * @returns {Object}
+   * @sampleResult {"items":[{"label":"readings","value":"doc.readings","note":"doc · BASE TABLE"}],"cursor":null}
+   */
+  async getTablesDictionary(payload) {
+    const logTag = '[getTablesDictionary]'
+    const { search, cursor } = payload || {}
+    const offset = parseInt(cursor, 10) || 0
+
+    const stmt = 'SELECT table_schema, table_name, table_type FROM information_schema.tables ' +
+      `WHERE table_schema NOT IN (${ SYSTEM_SCHEMAS.map(() => '?').join(', ') }) AND table_name ILIKE ? ` +
+      'ORDER BY table_schema, table_name LIMIT ? OFFSET ?'
+
+    const rows = await this.#selectObjects(
+      stmt,
+      [...SYSTEM_SCHEMAS, search ? `%${ search }%` : '%', DICTIONARY_PAGE_SIZE + 1, offset],
+      logTag
+    )
+
+    const hasMore = rows.length > DICTIONARY_PAGE_SIZE
+    const page = hasMore ? rows.slice(0, DICTIONARY_PAGE_SIZE) : rows
+
+    return {
+      items: page.map(row => ({
+        label: row.table_name,
+        value: `${ row.table_schema }.${ row.table_name }`,
+        note: `${ row.table_schema } · ${ row.table_type }`,
+      })),
+      cursor: hasMore ? String(offset + DICTIONARY_PAGE_SIZE) : null,
+    }
+  }
+
+  /**
+   * @registerAs DICTIONARY
+   * @operationName Get Columns Dictionary
+   * @description Provides a searchable list of column names for the table selected in a dependent parameter, with each column's data type as a note.
+   * @route POST /get-columns-dictionary
+   *
+   * @paramDef {"type":"getColumnsDictionary__payload","label":"Payload","name":"payload","description":"Optional search text, pagination cursor, and the selected table as criteria."}
+   *
+   * @returns {Object}
+   * @sampleResult {"items":[{"label":"created_at","value":"created_at","note":"timestamp with time zone"}],"cursor":null}
+   */
+  async getColumnsDictionary(payload) {
+    const logTag = '[getColumnsDictionary]'
+    const { search, criteria } = payload || {}
+    const table = criteria && criteria.table
+
+    if (!table) {
+      return { items: [], cursor: null }
+    }
+
+    const { schema, name } = this.#splitTable(table)
+
+    const rows = await this.#selectObjects(
+      'SELECT column_name, data_type FROM information_schema.columns ' +
+      'WHERE table_schema = ? AND table_name = ? AND column_name ILIKE ? ORDER BY ordinal_position',
+      [schema, name, search ? `%${ search }%` : '%'],
+      logTag
+    )
+
+    return {
+      items: rows.map(row => ({ label: row.column_name, value: row.column_name, note: row.data_type })),
+      cursor: null,
+    }
+  }
 }
 
 Flowrunner.ServerCode.addService(CrateDBService, [
@@ -333,4 +333,112 @@ describe('CrateDB Service', () => {
       )
     })
   })
+
+  // ── Triggers ──
+
+  describe('onNewRow / onUpdatedRow', () => {
+    const data = { table: 'iot.readings', watermarkColumn: 'created_at', batchSize: 2 }
+
+    it('baselines, then emits rows above the watermark as objects', async () => {
+      const poller = sandbox.startPolling({ name: 'onNewRow', data })
+
+      mock.onPost(SQL_URL).replyOnce({ cols: ['watermark'], rows: [[1714564800000]], rowcount: 1 })
+
+      const baseline = await poller.tick()
+
+      expect(baseline.events).toEqual([])
+      expect(poller.state).toEqual({ key: 'iot.readings.created_at', watermark: 1714564800000 })
+      expect(mock.history[0].body).toEqual({ stmt: 'SELECT MAX("created_at") AS watermark FROM "iot"."readings"' })
+
+      mock.onPost(SQL_URL).replyOnce({
+        cols: ['id', 'created_at', '__watermark'],
+        rows: [['r1', 1714564801000, 1714564801000]],
+        rowcount: 1,
+      })
+
+      const second = await poller.tick()
+
+      expect(second.events).toEqual([{ id: 'r1', created_at: 1714564801000 }])
+      expect(poller.state.watermark).toBe(1714564801000)
+
+      expect(mock.history[1].body).toEqual({
+        stmt: 'SELECT *, "created_at" AS "__watermark" FROM "iot"."readings" WHERE "created_at" > ? ORDER BY "created_at" LIMIT ?',
+        args: [1714564800000, 2],
+      })
+    })
+
+    it('returns the latest row in learning mode', async () => {
+      mock.onPost(SQL_URL).reply({ cols: ['id', '__watermark'], rows: [['r9', 1]], rowcount: 1 })
+
+      const result = await service.handleTriggerPollingForEvent({ eventName: 'onUpdatedRow', triggerData: data, learningMode: true })
+
+      expect(result).toEqual({ events: [{ id: 'r9' }], state: null })
+      expect(mock.history[0].body.stmt).toMatch(/ORDER BY "created_at" DESC LIMIT 1$/)
+    })
+
+    it('defaults to the doc schema', async () => {
+      mock.onPost(SQL_URL).reply({ cols: ['watermark'], rows: [[null]], rowcount: 1 })
+
+      const result = await service.handleTriggerPollingForEvent({ eventName: 'onNewRow', triggerData: { table: 'readings', watermarkColumn: 'ts' } })
+
+      expect(result.state).toEqual({ key: 'readings.ts', watermark: null })
+      expect(mock.history[0].body.stmt).toBe('SELECT MAX("ts") AS watermark FROM "doc"."readings"')
+    })
+  })
+
+  // ── Dictionaries ──
+
+  describe('getTablesDictionary', () => {
+    it('lists user tables with schema-qualified values', async () => {
+      mock.onPost(SQL_URL).reply({
+        cols: ['table_schema', 'table_name', 'table_type'],
+        rows: [['doc', 'readings', 'BASE TABLE']],
+        rowcount: 1,
+      })
+
+      const result = await service.getTablesDictionary({ search: 'read' })
+
+      expect(result).toEqual({
+        items: [{ label: 'readings', value: 'doc.readings', note: 'doc · BASE TABLE' }],
+        cursor: null,
+      })
+
+      expect(mock.history[0].body.args).toEqual(['information_schema', 'pg_catalog', 'sys', 'blob', '%read%', 201, 0])
+    })
+
+    it('returns a cursor when more tables exist', async () => {
+      const rows = Array.from({ length: 201 }, (_, i) => ['doc', `t${ i }`, 'BASE TABLE'])
+
+      mock.onPost(SQL_URL).reply({ cols: ['table_schema', 'table_name', 'table_type'], rows, rowcount: 201 })
+
+      const result = await service.getTablesDictionary(null)
+
+      expect(result.items).toHaveLength(200)
+      expect(result.cursor).toBe('200')
+    })
+  })
+
+  describe('getColumnsDictionary', () => {
+    it('lists the columns of the selected table', async () => {
+      mock.onPost(SQL_URL).reply({
+        cols: ['column_name', 'data_type'],
+        rows: [['created_at', 'timestamp with time zone']],
+        rowcount: 1,
+      })
+
+      const result = await service.getColumnsDictionary({ criteria: { table: 'iot.readings' } })
+
+      expect(result).toEqual({
+        items: [{ label: 'created_at', value: 'created_at', note: 'timestamp with time zone' }],
+        cursor: null,
+      })
+
+      expect(mock.history[0].body.args).toEqual(['iot', 'readings', '%'])
+    })
+
+    it('returns no items without a table', async () => {
+      await expect(service.getColumnsDictionary({})).resolves.toEqual({ items: [], cursor: null })
+      expect(mock.history).toHaveLength(0)
+    })
+  })
 })
@@ -1,7 +1,9 @@
 'use strict'
 
-const { jsonRequest } = require('./aws-client')
+const { jsonRequest, httpRequest, buildAwsJsonRequest, parseJsonResponse } = require('./aws-client')
+const { signRequest } = require('./sigv4')
 const { CredentialProvider } = require('./credentials')
+const { endpointFromConfig } = require('./endpoints')
 const { createLogger, mapAwsError } = require('./errors')
 const { awsConfigItems } = require('./config-items')
 const {
@@ -18,6 +20,23 @@ const {
 const TARGET_PREFIX = 'DynamoDB_20120810'
 const CONTENT_TYPE = 'application/x-amz-json-1.0'
 const MAX_BATCH_RETRIES = 5
+const MAX_TRANSACT_ITEMS = 100
+
+const STREAMS_TARGET_PREFIX = 'DynamoDBStreams_20120810'
+const KEY_TYPES = ['S', 'N', 'B']
+const BILLING_MODES = ['PAY_PER_REQUEST', 'PROVISIONED']
+const STREAM_VIEW_TYPES = ['NEW_IMAGE', 'OLD_IMAGE', 'NEW_AND_OLD_IMAGES', 'KEYS_ONLY']
+
+// Create Table with Wait Until Active: DescribeTable every 2 seconds for up to a minute.
+const TABLE_WAIT_INTERVAL_MS = 2000
+const TABLE_WAIT_ATTEMPTS = 30
+
+// On Item Changed: events per poll, and the GetRecords calls one shard may take per poll
+// (a shard read from its oldest record can start with empty pages).
+const CHANGE_TRIGGER_BATCH_SIZE = 100
+const CHANGE_TRIGGER_MAX_BATCH_SIZE = 1000
+const GET_RECORDS_LIMIT = 1000
+const MAX_GET_RECORDS_CALLS = 5
 
 /**
  * @integrationName DynamoDB
@@ -28,16 +47,21 @@ class DynamoDB {
     this.region = config.region || 'us-east-1'
     this.logger = createLogger('DynamoDB')
 
+    this.endpoint = endpointFromConfig(config)
+
     this.credentials = new CredentialProvider({
+      service: 'dynamodb',
       authenticationMethod: config.authenticationMethod || 'API Key',
       accessKeyId: config.accessKeyId,
       secretAccessKey: config.secretAccessKey,
+      sessionToken: config.sessionToken,
       region: this.region,
       roleArn: config.roleArn,
       externalId: config.externalId,
+      endpoint: this.endpoint,
     })
 
-    this.deps = { jsonRequest }
+    this.deps = { jsonRequest, signRequest, httpRequest }
     this._sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
   }
 
@@ -45,11 +69,31 @@ class DynamoDB {
     const creds = await this.credentials.resolve()
 
     return this.deps.jsonRequest(
-      { region: this.region, service: 'dynamodb', target: `${ TARGET_PREFIX }.${ operation }`, contentType: CONTENT_TYPE, body },
+      { region: this.region, service: 'dynamodb', target: `${ TARGET_PREFIX }.${ operation }`, contentType: CONTENT_TYPE, body, endpoint: this.endpoint },
       creds
     )
   }
 
+  /**
+   * Sends a request to the DynamoDB Streams API, which has its own host name
+   * (streams.dynamodb.<region>) but signs as dynamodb. A Custom Endpoint serves both APIs.
+   */
+  async sendStreamsJson(operation, body) {
+    const creds = await this.credentials.resolve()
+    const request = buildAwsJsonRequest({
+      region: this.region,
+      service: 'streams.dynamodb',
+      target: `${ STREAMS_TARGET_PREFIX }.${ operation }`,
+      contentType: CONTENT_TYPE,
+      body,
+      endpoint: this.endpoint,
+    })
+
+    this.deps.signRequest(request.method, request.url, request.headers, request.body, creds, this.region, 'dynamodb')
+
+    return parseJsonResponse(await this.deps.httpRequest(request.method, request.url, request.headers, request.body))
+  }
+
   /**
    * @operationName Put Item
    * @description Creates a new item or replaces an existing item with the same primary key in a DynamoDB table. The item is supplied as plain JSON and is automatically converted to DynamoDB's attribute format.
@@ -425,6 +469,68 @@ class DynamoDB {
     }
   }
 
+  /**
+   * @operationName Transact Write Items
+   * @description Writes up to 100 items across one or more tables as a single all-or-nothing transaction (TransactWriteItems). Each operation is a Put, Update, Delete, or ConditionCheck with an optional condition; if any condition fails or another transaction touches the same items, nothing is written. Items, keys, and values are plain JSON. A Client Request Token makes retries of the same call idempotent for 10 minutes.
+   * @route POST /transact-write-items
+   * @appearanceColor #FF9900 #FFB84D
+   * @paramDef {"type":"Array","label":"Operations","name":"operations","required":true,"description":"Array of operations, each with a type (Put, Update, Delete or ConditionCheck), tableName, and item (Put) or key (the others). Update takes updates or updateExpression; any operation may add conditionExpression, expressionAttributeValues and expressionAttributeNames. E.g. [{\"type\":\"Update\",\"tableName\":\"Accounts\",\"key\":{\"id\":\"a\"},\"updateExpression\":\"SET balance = balance - :amt\",\"conditionExpression\":\"balance >= :amt\",\"expressionAttributeValues\":{\":amt\":10}},{\"type\":\"Put\",\"tableName\":\"Transfers\",\"item\":{\"id\":\"t1\",\"amount\":10}}]."}
+   * @paramDef {"type":"String","label":"Client Request Token","name":"clientRequestToken","required":false,"description":"Optional idempotency token (up to 36 characters). Repeating the call with the same token and operations within 10 minutes does not write again."}
+   * @returns {Object}
+   * @sampleResult {"ok":true,"count":2}
+   */
+  async transactWriteItems(operations, clientRequestToken) {
+    this.#requireTransactItems(operations, 'operations')
+
+    const body = { TransactItems: operations.map((operation, index) => this.#transactWriteItem(operation, index)) }
+
+    if (clientRequestToken) body.ClientRequestToken = String(clientRequestToken)
+
+    try {
+      await this.sendJson('TransactWriteItems', body)
+
+      return { ok: true, count: operations.length }
+    } catch (error) {
+      this.#handleError('transactWriteItems', error)
+    }
+  }
+
+  /**
+   * @operationName Transact Get Items
+   * @description Reads up to 100 items across one or more tables as a single consistent snapshot (TransactGetItems): the items are returned as they were at one point in time, never mixed with a transaction in progress. Items are returned as plain JSON in the order requested, with null for keys that do not exist.
+   * @route POST /transact-get-items
+   * @appearanceColor #FF9900 #FFB84D
+   * @paramDef {"type":"Array","label":"Items","name":"items","required":true,"description":"Array of items to read, each with a tableName and key, plus an optional projectionExpression and expressionAttributeNames (e.g. [{\"tableName\":\"Accounts\",\"key\":{\"id\":\"a\"}},{\"tableName\":\"Accounts\",\"key\":{\"id\":\"b\"}}])."}
+   * @returns {Object}
+   * @sampleResult {"items":[{"id":"a","balance":90},null]}
+   */
+  async transactGetItems(items) {
+    this.#requireTransactItems(items, 'items')
+
+    const transactItems = items.map((entry, index) => {
+      const label = `items[${ index }]`
+
+      if (!entry || typeof entry !== 'object') throw new Error(`${ label } must be an object with tableName and key.`)
+      if (!entry.tableName) throw new Error(`${ label }.tableName is required.`)
+      if (!entry.key || typeof entry.key !== 'object') throw new Error(`${ label }.key (plain JSON object) is required.`)
+
+      const get = { TableName: entry.tableName, Key: marshallItem(entry.key) }
+
+      if (entry.projectionExpression) get.ProjectionExpression = entry.projectionExpression
+      if (entry.expressionAttributeNames) get.ExpressionAttributeNames = entry.expressionAttributeNames
+
+      return { Get: get }
+    })
+
+    try {
+      const res = await this.sendJson('TransactGetItems', { TransactItems: transactItems })
+
+      return { items: (res.Responses || []).map(response => (response && response.Item ? unmarshallItem(response.Item) : null)) }
+    } catch (error) {
+      this.#handleError('transactGetItems', error)
+    }
+  }
+
   /**
    * @operationName Describe Table
    * @description Returns metadata about a DynamoDB table: its key schema, attribute definitions, secondary indexes, item count, size, and status. Useful for discovering a table's primary key before reading or writing.
@@ -455,6 +561,179 @@ class DynamoDB {
     }
   }
 
+  /**
+   * @operationName Create Table
+   * @description Creates a DynamoDB table with a partition key, an optional sort key, and optional global secondary indexes. On-demand billing (PAY_PER_REQUEST) needs no capacity planning; provisioned billing requires read and write capacity units for the table and each index. Set a Stream View Type to enable DynamoDB Streams, which the On Item Changed trigger reads. Tables are created asynchronously: the status is CREATING until the table is ACTIVE, usually within seconds. Enable Wait Until Active to return only once the table can be used.
+   * @route POST /create-table
+   * @appearanceColor #FF9900 #FFB84D
+   * @executionTimeoutInSeconds 120
+   * @paramDef {"type":"String","label":"Table","name":"tableName","required":true,"description":"Name of the new table (3-255 characters: letters, digits, _ - and .)."}
+   * @paramDef {"type":"String","label":"Partition Key","name":"partitionKey","required":true,"description":"Name of the partition (hash) key attribute, e.g. id."}
+   * @paramDef {"type":"String","label":"Partition Key Type","name":"partitionKeyType","required":false,"uiComponent":{"type":"DROPDOWN","options":{"values":["S","N","B"]}},"defaultValue":"S","description":"Type of the partition key: S (string), N (number) or B (binary). Defaults to S."}
+   * @paramDef {"type":"String","label":"Sort Key","name":"sortKey","required":false,"description":"Optional name of the sort (range) key attribute, e.g. createdAt."}
+   * @paramDef {"type":"String","label":"Sort Key Type","name":"sortKeyType","required":false,"uiComponent":{"type":"DROPDOWN","options":{"values":["S","N","B"]}},"defaultValue":"S","description":"Type of the sort key. Defaults to S."}
+   * @paramDef {"type":"String","label":"Billing Mode","name":"billingMode","required":false,"uiComponent":{"type":"DROPDOWN","options":{"values":["PAY_PER_REQUEST","PROVISIONED"]}},"defaultValue":"PAY_PER_REQUEST","description":"PAY_PER_REQUEST (on-demand, default) or PROVISIONED (fixed capacity units)."}
+   * @paramDef {"type":"Number","label":"Read Capacity Units","name":"readCapacityUnits","required":false,"uiComponent":{"type":"NUMERIC"},"description":"Provisioned billing only: read capacity units of the table."}
+   * @paramDef {"type":"Number","label":"Write Capacity Units","name":"writeCapacityUnits","required":false,"uiComponent":{"type":"NUMERIC"},"description":"Provisioned billing only: write capacity units of the table."}
+   * @paramDef {"type":"Array","label":"Global Secondary Indexes","name":"globalSecondaryIndexes","required":false,"description":"Optional indexes, each with indexName, partitionKey, optional sortKey, their types (partitionKeyType/sortKeyType, default S), projection (ALL (default), KEYS_ONLY, or an array of attribute names to include) and, for provisioned billing, readCapacityUnits and writeCapacityUnits. E.g. [{\"indexName\":\"byEmail\",\"partitionKey\":\"email\",\"projection\":\"ALL\"}]."}
+   * @paramDef {"type":"String","label":"Stream View Type","name":"streamViewType","required":false,"uiComponent":{"type":"DROPDOWN","options":{"values":["NONE","NEW_IMAGE","OLD_IMAGE","NEW_AND_OLD_IMAGES","KEYS_ONLY"]}},"description":"Enables DynamoDB Streams with the given item images in each record. NEW_AND_OLD_IMAGES gives On Item Changed both versions of the item. Defaults to NONE (no stream)."}
+   * @paramDef {"type":"Boolean","label":"Wait Until Active","name":"waitUntilActive","required":false,"uiComponent":{"type":"CHECKBOX"},"description":"Wait up to a minute for the table to become ACTIVE before returning."}
+   * @returns {Object}
+   * @sampleResult {"tableName":"Orders","status":"ACTIVE","tableArn":"arn:aws:dynamodb:us-east-1:123456789012:table/Orders","billingMode":"PAY_PER_REQUEST","streamArn":"arn:aws:dynamodb:us-east-1:123456789012:table/Orders/stream/2024-05-01T12:00:00.000"}
+   */
+  async createTable(tableName, partitionKey, partitionKeyType, sortKey, sortKeyType, billingMode, readCapacityUnits, writeCapacityUnits, globalSecondaryIndexes, streamViewType, waitUntilActive) {
+    if (!tableName) throw new Error('tableName is required.')
+    if (!partitionKey) throw new Error('partitionKey is required.')
+
+    const mode = billingMode || 'PAY_PER_REQUEST'
+
+    if (!BILLING_MODES.includes(mode)) throw new Error(`billingMode must be one of: ${ BILLING_MODES.join(', ') }.`)
+
+    const attributes = new Map()
+    const body = {
+      TableName: tableName,
+      KeySchema: this.#keySchema(attributes, 'table', partitionKey, partitionKeyType, sortKey, sortKeyType),
+      BillingMode: mode,
+    }
+
+    if (mode === 'PROVISIONED') {
+      body.ProvisionedThroughput = this.#throughput('table', readCapacityUnits, writeCapacityUnits)
+    }
+
+    if (Array.isArray(globalSecondaryIndexes) && globalSecondaryIndexes.length) {
+      body.GlobalSecondaryIndexes = globalSecondaryIndexes.map((index, position) => {
+        return this.#indexSpec(attributes, index, `globalSecondaryIndexes[${ position }]`, mode === 'PROVISIONED')
+      })
+    }
+
+    body.AttributeDefinitions = this.#attributeDefinitions(attributes)
+
+    const stream = this.#streamSpecification(streamViewType)
+
+    if (stream && stream.StreamEnabled) body.StreamSpecification = stream
+
+    try {
+      const res = await this.sendJson('CreateTable', body)
+      const table = waitUntilActive === true || waitUntilActive === 'true' ? await this.#waitForTable(tableName) : res.TableDescription
+
+      return this.#tableStatus(table)
+    } catch (error) {
+      this.#handleError('createTable', error)
+    }
+  }
+
+  /**
+   * @operationName Update Table
+   * @description Changes an existing table: switches billing mode or provisioned capacity, creates or deletes one global secondary index, or enables, changes, or disables DynamoDB Streams. DynamoDB allows one index to be created or deleted per call, and only one of these kinds of change while the table is still UPDATING; changes apply asynchronously while the table stays usable.
+   * @route POST /update-table
+   * @appearanceColor #FF9900 #FFB84D
+   * @paramDef {"type":"String","label":"Table","name":"tableName","required":true,"dictionary":"listTablesDictionary","description":"The name of the table to change."}
+   * @paramDef {"type":"String","label":"Billing Mode","name":"billingMode","required":false,"uiComponent":{"type":"DROPDOWN","options":{"values":["PAY_PER_REQUEST","PROVISIONED"]}},"description":"New billing mode. Switching to PROVISIONED requires the capacity units. Leave empty to keep the current mode."}
+   * @paramDef {"type":"Number","label":"Read Capacity Units","name":"readCapacityUnits","required":false,"uiComponent":{"type":"NUMERIC"},"description":"New read capacity units of a provisioned table."}
+   * @paramDef {"type":"Number","label":"Write Capacity Units","name":"writeCapacityUnits","required":false,"uiComponent":{"type":"NUMERIC"},"description":"New write capacity units of a provisioned table."}
+   * @paramDef {"type":"Object","label":"Create Index","name":"createIndex","required":false,"description":"A global secondary index to add, in the same shape as for Create Table (e.g. {\"indexName\":\"byStatus\",\"partitionKey\":\"status\",\"sortKey\":\"createdAt\",\"sortKeyType\":\"N\"}). Include the capacity units on provisioned tables."}
+   * @paramDef {"type":"String","label":"Delete Index","name":"deleteIndexName","required":false,"description":"Name of a global secondary index to delete."}
+   * @paramDef {"type":"String","label":"Stream View Type","name":"streamViewType","required":false,"uiComponent":{"type":"DROPDOWN","options":{"values":["NEW_IMAGE","OLD_IMAGE","NEW_AND_OLD_IMAGES","KEYS_ONLY","DISABLED"]}},"description":"Enables DynamoDB Streams with this view type, or DISABLED to turn the stream off. To change the view type of an enabled stream, disable it first. Leave empty to keep the current setting."}
+   * @returns {Object}
+   * @sampleResult {"tableName":"Orders","status":"UPDATING","tableArn":"arn:aws:dynamodb:us-east-1:123456789012:table/Orders","billingMode":"PAY_PER_REQUEST","streamArn":"arn:aws:dynamodb:us-east-1:123456789012:table/Orders/stream/2024-05-01T12:00:00.000"}
+   */
+  async updateTable(tableName, billingMode, readCapacityUnits, writeCapacityUnits, createIndex, deleteIndexName, streamViewType) {
+    if (!tableName) throw new Error('tableName is required.')
+
+    const body = { TableName: tableName }
+
+    if (billingMode) {
+      if (!BILLING_MODES.includes(billingMode)) throw new Error(`billingMode must be one of: ${ BILLING_MODES.join(', ') }.`)
+
+      body.BillingMode = billingMode
+    }
+
+    if (billingMode === 'PROVISIONED' || ((readCapacityUnits || writeCapacityUnits) && billingMode !== 'PAY_PER_REQUEST')) {
+      body.ProvisionedThroughput = this.#throughput('table', readCapacityUnits, writeCapacityUnits)
+    }
+
+    const updates = []
+
+    if (createIndex) {
+      const attributes = new Map()
+      const hasCapacity = !!(createIndex.readCapacityUnits || createIndex.writeCapacityUnits)
+
+      updates.push({ Create: this.#indexSpec(attributes, createIndex, 'createIndex', hasCapacity) })
+      body.AttributeDefinitions = this.#attributeDefinitions(attributes)
+    }
+
+    if (deleteIndexName) updates.push({ Delete: { IndexName: deleteIndexName } })
+    if (updates.length) body.GlobalSecondaryIndexUpdates = updates
+
+    const stream = this.#streamSpecification(streamViewType)
+
+    if (stream) body.StreamSpecification = stream
+
+    if (Object.keys(body).length === 1) {
+      throw new Error('Provide at least one change: billingMode, capacity units, createIndex, deleteIndexName or streamViewType.')
+    }
+
+    try {
+      const res = await this.sendJson('UpdateTable', body)
+
+      return this.#tableStatus(res.TableDescription)
+    } catch (error) {
+      this.#handleError('updateTable', error)
+    }
+  }
+
+  /**
+   * @operationName Delete Table
+   * @description Permanently deletes a table with all of its items, indexes, and stream. The table is removed asynchronously (status DELETING) and the name can be reused once it is gone. This cannot be undone; take a backup first if the data may be needed.
+   * @route POST /delete-table
+   * @appearanceColor #FF9900 #FFB84D
+   * @paramDef {"type":"String","label":"Table","name":"tableName","required":true,"dictionary":"listTablesDictionary","description":"The name of the table to delete."}
+   * @returns {Object}
+   * @sampleResult {"tableName":"Orders","status":"DELETING","tableArn":"arn:aws:dynamodb:us-east-1:123456789012:table/Orders","billingMode":"PAY_PER_REQUEST","streamArn":null}
+   */
+  async deleteTable(tableName) {
+    if (!tableName) throw new Error('tableName is required.')
+
+    try {
+      const res = await this.sendJson('DeleteTable', { TableName: tableName })
+
+      return this.#tableStatus(res.TableDescription)
+    } catch (error) {
+      this.#handleError('deleteTable', error)
+    }
+  }
+
+  /**
+   * @operationName Update TTL
+   * @description Enables or disables Time to Live on a table. With TTL enabled, DynamoDB deletes items whose TTL attribute holds a Unix timestamp (in seconds) in the past, typically within a few days of expiry and without consuming write capacity. Items without the attribute, or with a non-number value, never expire. TTL can be re-enabled with a different attribute only an hour after a change.
+   * @route POST /update-ttl
+   * @appearanceColor #FF9900 #FFB84D
+   * @paramDef {"type":"String","label":"Table","name":"tableName","required":true,"dictionary":"listTablesDictionary","description":"The name of the table."}
+   * @paramDef {"type":"String","label":"TTL Attribute","name":"attributeName","required":true,"description":"Name of the number attribute holding each item's expiry time in epoch seconds, e.g. expiresAt."}
+   * @paramDef {"type":"Boolean","label":"Enabled","name":"enabled","required":false,"uiComponent":{"type":"CHECKBOX"},"defaultValue":true,"description":"Enable TTL (default), or disable it to stop expiring items."}
+   * @returns {Object}
+   * @sampleResult {"tableName":"Sessions","attributeName":"expiresAt","enabled":true}
+   */
+  async updateTimeToLive(tableName, attributeName, enabled) {
+    if (!tableName) throw new Error('tableName is required.')
+    if (!attributeName) throw new Error('attributeName is required.')
+
+    const enable = enabled !== false && enabled !== 'false'
+
+    try {
+      const res = await this.sendJson('UpdateTimeToLive', {
+        TableName: tableName,
+        TimeToLiveSpecification: { AttributeName: attributeName, Enabled: enable },
+      })
+
+      const spec = res.TimeToLiveSpecification || {}
+
+      return { tableName, attributeName: spec.AttributeName || attributeName, enabled: spec.Enabled !== undefined ? spec.Enabled : enable }
+    } catch (error) {
+      this.#handleError('updateTimeToLive', error)
+    }
+  }
+
   /**
    * @registerAs DICTIONARY
    * @operationName List Tables Dictionary
@@ -490,6 +769,345 @@ class DynamoDB {
     }
   }
 
+  /**
+   * @registerAs SYSTEM
+   * @paramDef {"type":"Object","label":"invocation","name":"invocation"}
+   * @returns {Object}
+   */
+  async handleTriggerPollingForEvent(invocation) {
+    return this[invocation.eventName](invocation)
+  }
+
+  /**
+   * @operationName On Item Changed
+   * @description Fires for each item inserted, modified, or removed in a table, read from the table's DynamoDB Stream, which must be enabled (Create Table or Update Table, Stream View Type NEW_AND_OLD_IMAGES for both item versions). Each event carries the change type, the item keys, and the new and old item as plain JSON, in the order the changes were made per item. The first poll starts watching without firing for earlier changes. Stream records are kept for 24 hours, so changes are missed if the trigger is paused for longer. Polling interval can be customized (minimum 30 seconds).
+   * @category Triggers
+   * @registerAs POLLING_TRIGGER
+   * @route POST /on-item-changed
+   * @appearanceColor #FF9900 #FFB84D
+   * @executionTimeoutInSeconds 120
+   * @paramDef {"type":"String","label":"Table","name":"tableName","required":true,"dictionary":"listTablesDictionary","description":"The table to watch. Its stream must be enabled."}
+   * @paramDef {"type":"String","label":"Change Type","name":"eventType","required":false,"uiComponent":{"type":"DROPDOWN","options":{"values":["ALL","INSERT","MODIFY","REMOVE"]}},"defaultValue":"ALL","description":"Fire only for new items (INSERT), updated items (MODIFY) or deleted items (REMOVE, including TTL expiry). Defaults to ALL."}
+   * @paramDef {"type":"Number","label":"Max Changes per Poll","name":"batchSize","required":false,"uiComponent":{"type":"NUMERIC"},"defaultValue":100,"description":"Maximum number of changes one poll returns (default 100, at most 1000). The remaining changes follow on the next poll."}
+   * @returns {Object}
+   * @sampleResult {"eventName":"MODIFY","eventId":"c81e728d9d4c2f636f067f89cc14862c","tableName":"Orders","keys":{"id":"1042"},"newImage":{"id":"1042","status":"shipped"},"oldImage":{"id":"1042","status":"paid"},"sequenceNumber":"4421584500000000017450439091","approximateCreationTime":"2024-05-01T12:00:00.000Z","expiredByTtl":false}
+   */
+  async onItemChanged(invocation) {
+    const { tableName, eventType, batchSize } = invocation.triggerData || {}
+
+    if (!tableName) throw new Error('tableName is required.')
+
+    const requested = parseInt(batchSize, 10)
+    const limit = requested > 0 ? Math.min(requested, CHANGE_TRIGGER_MAX_BATCH_SIZE) : CHANGE_TRIGGER_BATCH_SIZE
+    const changeType = eventType && eventType !== 'ALL' ? eventType : null
+
+    try {
+      const table = (await this.sendJson('DescribeTable', { TableName: tableName })).Table || {}
+      const streamArn = table.StreamSpecification && table.StreamSpecification.StreamEnabled ? table.LatestStreamArn : null
+
+      if (!streamArn) {
+        throw new Error(`DynamoDB Streams is not enabled on table ${ tableName }. Enable it with Update Table (Stream View Type NEW_AND_OLD_IMAGES).`)
+      }
+
+      if (invocation.learningMode) {
+        return { events: await this.#sampleChange(table), state: null }
+      }
+
+      const state = invocation.state
+
+      // A new stream (first poll, or streams re-enabled on the table) starts from now.
+      if (!state || state.streamArn !== streamArn) {
+        return { events: [], state: { streamArn, startedAt: Math.floor(Date.now() / 1000), shards: {} } }
+      }
+
+      const shards = this.#parentsFirst(await this.#listShards(streamArn))
+      const listed = new Set(shards.map(shard => shard.ShardId))
+      const checkpoints = {}
+      const events = []
+
+      for (const shard of shards) {
+        const checkpoint = state.shards[shard.ShardId] || {}
+        const parent = shard.ParentShardId
+
+        checkpoints[shard.ShardId] = checkpoint
+
+        // A child shard continues where its parent ends, so it waits until the parent is read to the end.
+        if (checkpoint.done || events.length >= limit || (parent && listed.has(parent) && !checkpoints[parent].done)) continue
+
+        const read = await this.#readShard(streamArn, shard.ShardId, checkpoint, limit - events.length, state.startedAt)
+
+        events.push(...read.records.filter(record => !changeType || record.eventName === changeType).map(record => this.#changeEvent(tableName, record)))
+        checkpoints[shard.ShardId] = read.checkpoint
+      }
+
+      this.logger.debug(`[onItemChanged] ${ events.length } change(s) from ${ shards.length } shard(s) of ${ tableName }`)
+
+      return { events, state: { streamArn, startedAt: state.startedAt, shards: checkpoints } }
+    } catch (error) {
+      this.#handleError('onItemChanged', error)
+    }
+  }
+
+  /**
+   * Reads one shard from its checkpoint: up to `remaining` records created since `startedAt`.
+   * The checkpoint is the sequence number of the last record looked at, and `done` once a
+   * closed shard has been read to the end.
+   */
+  async #readShard(streamArn, shardId, checkpoint, remaining, startedAt) {
+    let sequenceNumber = checkpoint.sequenceNumber || null
+    let iterator = await this.#shardIterator(streamArn, shardId, sequenceNumber)
+    const records = []
+
+    for (let calls = 0; iterator && calls < MAX_GET_RECORDS_CALLS; calls++) {
+      const res = await this.sendStreamsJson('GetRecords', { ShardIterator: iterator, Limit: GET_RECORDS_LIMIT })
+      const page = res.Records || []
+
+      for (const record of page) {
+        const created = record.dynamodb.ApproximateCreationDateTime
+
+        sequenceNumber = record.dynamodb.SequenceNumber
+
+        if (!created || created >= startedAt) records.push(record)
+        if (records.length >= remaining) return { records, checkpoint: { sequenceNumber } }
+      }
+
+      iterator = res.NextShardIterator
+
+      // Past the checkpoint an empty page means the shard is caught up; from the oldest
+      // record of a shard the first pages may be empty.
+      if (!page.length && sequenceNumber) break
+    }
+
+    return { records, checkpoint: iterator ? { sequenceNumber } : { sequenceNumber, done: true } }
+  }
+
+  async #shardIterator(streamArn, shardId, sequenceNumber) {
+    const body = { StreamArn: streamArn, ShardId: shardId, ShardIteratorType: sequenceNumber ? 'AFTER_SEQUENCE_NUMBER' : 'TRIM_HORIZON' }
+
+    if (sequenceNumber) body.SequenceNumber = sequenceNumber
+
+    try {
+      return (await this.sendStreamsJson('GetShardIterator', body)).ShardIterator
+    } catch (error) {
+      if (error.name !== 'TrimmedDataAccessException' || !sequenceNumber) throw error
+
+      this.logger.warn(`[onItemChanged] records after ${ sequenceNumber } in shard ${ shardId } are older than 24 hours and gone; continuing with the oldest record left`)
+
+      return this.#shardIterator(streamArn, shardId, null)
+    }
+  }
+
+  async #listShards(streamArn) {
+    const shards = []
+    let exclusiveStartShardId
+
+    do {
+      const body = { StreamArn: streamArn }
+
+      if (exclusiveStartShardId) body.ExclusiveStartShardId = exclusiveStartShardId
+
+      const description = (await this.sendStreamsJson('DescribeStream', body)).StreamDescription || {}
+
+      shards.push(...(description.Shards || []))
+      exclusiveStartShardId = description.LastEvaluatedShardId
+    } while (exclusiveStartShardId)
+
+    return shards
+  }
+
+  #parentsFirst(shards) {
+    const byId = new Map(shards.map(shard => [shard.ShardId, shard]))
+    const ordered = new Set()
+
+    const visit = shard => {
+      if (ordered.has(shard)) return
+
+      const parent = byId.get(shard.ParentShardId)
+
+      if (parent) visit(parent)
+
+      ordered.add(shard)
+    }
+
+    shards.forEach(visit)
+
+    return [...ordered]
+  }
+
+  #changeEvent(tableName, record) {
+    const change = record.dynamodb || {}
+    const identity = record.userIdentity
+
+    return {
+      eventName: record.eventName,
+      eventId: record.eventID,
+      tableName,
+      keys: unmarshallItem(change.Keys || {}),
+      newImage: change.NewImage ? unmarshallItem(change.NewImage) : null,
+      oldImage: change.OldImage ? unmarshallItem(change.OldImage) : null,
+      sequenceNumber: change.SequenceNumber,
+      approximateCreationTime: change.ApproximateCreationDateTime ? new Date(change.ApproximateCreationDateTime * 1000).toISOString() : null,
+      expiredByTtl: !!(identity && identity.type === 'Service' && identity.principalId === 'dynamodb.amazonaws.com'),
+    }
+  }
+
+  // Learning mode: an existing item presented as an INSERT, since stream records cannot be looked up by recency.
+  async #sampleChange(table) {
+    const res = await this.sendJson('Scan', { TableName: table.TableName, Limit: 1 })
+    const [item] = res.Items || []
+
+    if (!item) return []
+
+    const keys = Object.fromEntries((table.KeySchema || []).map(({ AttributeName }) => [AttributeName, item[AttributeName]]))
+
+    return [this.#changeEvent(table.TableName, { eventName: 'INSERT', eventID: null, dynamodb: { Keys: keys, NewImage: item } })]
+  }
+
+  #requireTransactItems(list, label) {
+    if (!Array.isArray(list) || list.length === 0) throw new Error(`${ label } must be a non-empty array.`)
+    if (list.length > MAX_TRANSACT_ITEMS) throw new Error(`${ label } can hold at most ${ MAX_TRANSACT_ITEMS } entries per transaction.`)
+  }
+
+  #transactWriteItem(operation, index) {
+    const label = `operations[${ index }]`
+
+    if (!operation || typeof operation !== 'object') throw new Error(`${ label } must be an object with type and tableName.`)
+    if (!operation.tableName) throw new Error(`${ label }.tableName is required.`)
+
+    const { type, tableName, item, key, updates, updateExpression, conditionExpression, expressionAttributeValues, expressionAttributeNames } = operation
+    const request = { TableName: tableName }
+
+    if (type === 'Put') {
+      if (!item || typeof item !== 'object') throw new Error(`${ label }.item (plain JSON object) is required for Put.`)
+
+      request.Item = marshallItem(item)
+    } else if (['Update', 'Delete', 'ConditionCheck'].includes(type)) {
+      if (!key || typeof key !== 'object') throw new Error(`${ label }.key (plain JSON object) is required for ${ type }.`)
+
+      request.Key = marshallItem(key)
+    } else {
+      throw new Error(`${ label }.type must be one of: Put, Update, Delete, ConditionCheck.`)
+    }
+
+    let names = expressionAttributeNames || null
+    let values = expressionAttributeValues ? marshallValues(expressionAttributeValues) : null
+
+    if (type === 'Update') {
+      if (updateExpression) {
+        request.UpdateExpression = updateExpression
+      } else {
+        const built = buildUpdateExpression(updates)
+
+        request.UpdateExpression = built.UpdateExpression
+        names = { ...built.ExpressionAttributeNames, ...names }
+        values = { ...built.ExpressionAttributeValues, ...values }
+      }
+    }
+
+    if (type === 'ConditionCheck' && !conditionExpression) throw new Error(`${ label }.conditionExpression is required for ConditionCheck.`)
+
+    if (conditionExpression) request.ConditionExpression = conditionExpression
+    if (names) request.ExpressionAttributeNames = names
+    if (values) request.ExpressionAttributeValues = values
+
+    return { [type]: request }
+  }
+
+  #keySchema(attributes, label, partitionKey, partitionKeyType, sortKey, sortKeyType) {
+    const schema = [{ AttributeName: partitionKey, KeyType: 'HASH' }]
+
+    this.#defineAttribute(attributes, label, partitionKey, partitionKeyType)
+
+    if (sortKey) {
+      schema.push({ AttributeName: sortKey, KeyType: 'RANGE' })
+      this.#defineAttribute(attributes, label, sortKey, sortKeyType)
+    }
+
+    return schema
+  }
+
+  // Key attributes of the table and its indexes share one AttributeDefinitions list.
+  #defineAttribute(attributes, label, name, type) {
+    const keyType = type || 'S'
+
+    if (!KEY_TYPES.includes(keyType)) throw new Error(`${ label }: key type of ${ name } must be one of: ${ KEY_TYPES.join(', ') }.`)
+
+    if (attributes.has(name) && attributes.get(name) !== keyType) {
+      throw new Error(`${ label }: ${ name } is already defined as type ${ attributes.get(name) }.`)
+    }
+
+    attributes.set(name, keyType)
+  }
+
+  #attributeDefinitions(attributes) {
+    return [...attributes].map(([AttributeName, AttributeType]) => ({ AttributeName, AttributeType }))
+  }
+
+  #indexSpec(attributes, index, label, provisioned) {
+    if (!index || typeof index !== 'object') throw new Error(`${ label } must be an object with indexName and partitionKey.`)
+    if (!index.indexName) throw new Error(`${ label }.indexName is required.`)
+    if (!index.partitionKey) throw new Error(`${ label }.partitionKey is required.`)
+
+    const projection = index.projection || 'ALL'
+    const spec = {
+      IndexName: index.indexName,
+      KeySchema: this.#keySchema(attributes, label, index.partitionKey, index.partitionKeyType, index.sortKey, index.sortKeyType),
+      Projection: Array.isArray(projection)
+        ? { ProjectionType: 'INCLUDE', NonKeyAttributes: projection }
+        : { ProjectionType: projection },
+    }
+
+    if (provisioned) spec.ProvisionedThroughput = this.#throughput(label, index.readCapacityUnits, index.writeCapacityUnits)
+
+    return spec
+  }
+
+  #throughput(label, readCapacityUnits, writeCapacityUnits) {
+    const read = Number(readCapacityUnits)
+    const write = Number(writeCapacityUnits)
+
+    if (!(read > 0) || !(write > 0)) {
+      throw new Error(`${ label }: readCapacityUnits and writeCapacityUnits are required for provisioned billing.`)
+    }
+
+    return { ReadCapacityUnits: read, WriteCapacityUnits: write }
+  }
+
+  // undefined keeps the current stream setting; NONE and DISABLED turn the stream off.
+  #streamSpecification(streamViewType) {
+    if (!streamViewType) return undefined
+
+    if (streamViewType === 'NONE' || streamViewType === 'DISABLED') return { StreamEnabled: false }
+
+    if (!STREAM_VIEW_TYPES.includes(streamViewType)) {
+      throw new Error(`streamViewType must be one of: ${ STREAM_VIEW_TYPES.join(', ') }, DISABLED.`)
+    }
+
+    return { StreamEnabled: true, StreamViewType: streamViewType }
+  }
+
+  async #waitForTable(tableName) {
+    for (let attempt = 0; attempt < TABLE_WAIT_ATTEMPTS; attempt++) {
+      const table = (await this.sendJson('DescribeTable', { TableName: tableName })).Table || {}
+
+      if (table.TableStatus === 'ACTIVE') return table
+
+      await this._sleep(TABLE_WAIT_INTERVAL_MS)
+    }
+
+    throw new Error(`Table ${ tableName } is not ACTIVE after ${ (TABLE_WAIT_INTERVAL_MS * TABLE_WAIT_ATTEMPTS) / 1000 } seconds. Check its status with Describe Table.`)
+  }
+
+  #tableStatus(table = {}) {
+    return {
+      tableName: table.TableName,
+      status: table.TableStatus,
+      tableArn: table.TableArn,
+      billingMode: (table.BillingModeSummary && table.BillingModeSummary.BillingMode) || (table.ProvisionedThroughput && table.ProvisionedThroughput.ReadCapacityUnits ? 'PROVISIONED' : 'PAY_PER_REQUEST'),
+      streamArn: table.StreamSpecification && table.StreamSpecification.StreamEnabled ? table.LatestStreamArn : null,
+    }
+  }
+
   #handleError(method, error) {
     this.logger.error(`[${ method }]`, error && error.message)
 
@@ -505,6 +1123,14 @@ class DynamoDB {
       throw new Error(`Invalid request: ${ error.message }. Check keys, expressions, and attribute values.`)
     }
 
+    if (error && error.name === 'TransactionCanceledException') {
+      throw new Error(`Transaction cancelled: ${ error.message }. None of the operations were applied.`)
+    }
+
+    if (error && error.name === 'ResourceInUseException') {
+      throw new Error(`Resource in use: ${ error.message }. The table already exists or is still being created, updated or deleted.`)
+    }
+
     if (error && error.name === 'TransactionConflictException') {
       throw new Error(`Transaction conflict: ${ error.message }. Another write is in progress; retry.`)
     }
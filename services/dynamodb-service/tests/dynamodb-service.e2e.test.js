@@ -273,4 +273,87 @@ describe('DynamoDB Service (e2e)', () => {
       expect(result.processed).toBe(2)
     })
   })
+
+  // ── table management, transactions and onItemChanged (e.g. against DynamoDB Local) ──
+
+  describe('table lifecycle with stream trigger', () => {
+    const tableName = `e2e-stream-${ Date.now() }`
+    let enabled
+
+    beforeAll(() => {
+      // Creates and deletes a table of its own; point Custom Endpoint at DynamoDB Local
+      // (http://localhost:8000) to run it without an AWS account.
+      enabled = !!testValues.manageTables
+    })
+
+    it('creates a table with a stream', async () => {
+      if (!enabled) {
+        console.log('Skipping createTable: testValues.manageTables not set')
+
+        return
+      }
+
+      const result = await service.createTable(tableName, 'id', 'S', null, null, null, null, null, null, 'NEW_AND_OLD_IMAGES', true)
+
+      expect(result.status).toBe('ACTIVE')
+      expect(result.streamArn).toBeTruthy()
+    })
+
+    it('enables TTL', async () => {
+      if (!enabled) {
+        console.log('Skipping updateTimeToLive: testValues.manageTables not set')
+
+        return
+      }
+
+      const result = await service.updateTimeToLive(tableName, 'expiresAt', true)
+
+      expect(result).toEqual({ tableName, attributeName: 'expiresAt', enabled: true })
+    })
+
+    it('reports transactional writes through onItemChanged', async () => {
+      if (!enabled) {
+        console.log('Skipping onItemChanged: testValues.manageTables not set')
+
+        return
+      }
+
+      const poller = sandbox.startPolling({ name: 'onItemChanged', data: { tableName } })
+      const first = await poller.tick()
+
+      expect(first.events).toEqual([])
+
+      // Stream records carry whole-second timestamps; keep the writes clear of the start second.
+      await new Promise(resolve => setTimeout(resolve, 1100))
+
+      await service.transactWriteItems([
+        { type: 'Put', tableName, item: { id: 'a', balance: 100 } },
+        { type: 'Put', tableName, item: { id: 'b', balance: 0 } },
+      ])
+
+      await service.updateItem(tableName, { id: 'a' }, { balance: 90 })
+
+      const { events } = await poller.tick()
+
+      expect(events.map(event => [event.eventName, event.keys.id])).toEqual(
+        expect.arrayContaining([['INSERT', 'a'], ['INSERT', 'b'], ['MODIFY', 'a']])
+      )
+
+      const got = await service.transactGetItems([{ tableName, key: { id: 'a' } }, { tableName, key: { id: 'missing' } }])
+
+      expect(got.items).toEqual([{ id: 'a', balance: 90 }, null])
+    })
+
+    it('deletes the table', async () => {
+      if (!enabled) {
+        console.log('Skipping deleteTable: testValues.manageTables not set')
+
+        return
+      }
+
+      const result = await service.deleteTable(tableName)
+
+      expect(result.tableName).toBe(tableName)
+    })
+  })
 })
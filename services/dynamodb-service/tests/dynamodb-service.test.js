@@ -69,10 +69,11 @@ describe('DynamoDB Service', () => {
     it('registers with correct config items', () => {
       const configItems = sandbox.getConfigItems()
 
-      expect(configItems).toHaveLength(6)
+      expect(configItems).toHaveLength(9)
 
       expect(configItems.map(i => i.name)).toEqual([
-        'authenticationMethod', 'region', 'accessKeyId', 'secretAccessKey', 'roleArn', 'externalId',
+        'authenticationMethod', 'region', 'accessKeyId', 'secretAccessKey', 'sessionToken', 'roleArn', 'externalId',
+        'endpointVariant', 'endpoint',
       ])
     })
 
@@ -605,6 +606,105 @@ describe('DynamoDB Service', () => {
     })
   })
 
+  // ── Transactions ──
+
+  describe('transactWriteItems', () => {
+    it('builds Put, Update, Delete and ConditionCheck requests', async () => {
+      const { calls } = stubSendJson({})
+
+      const out = await service.transactWriteItems([
+        { type: 'Put', tableName: 'Transfers', item: { id: 't1', amount: 10 }, conditionExpression: 'attribute_not_exists(id)' },
+        {
+          type: 'Update',
+          tableName: 'Accounts',
+          key: { id: 'a' },
+          updateExpression: 'SET balance = balance - :amt',
+          conditionExpression: 'balance >= :amt',
+          expressionAttributeValues: { ':amt': 10 },
+        },
+        { type: 'Delete', tableName: 'Holds', key: { id: 'h1' } },
+        { type: 'ConditionCheck', tableName: 'Accounts', key: { id: 'b' }, conditionExpression: 'attribute_exists(id)' },
+      ], 'token-1')
+
+      expect(out).toEqual({ ok: true, count: 4 })
+      expect(calls[0].op).toBe('TransactWriteItems')
+      expect(calls[0].body.ClientRequestToken).toBe('token-1')
+
+      expect(calls[0].body.TransactItems).toEqual([
+        { Put: { TableName: 'Transfers', Item: { id: { S: 't1' }, amount: { N: '10' } }, ConditionExpression: 'attribute_not_exists(id)' } },
+        {
+          Update: {
+            TableName: 'Accounts',
+            Key: { id: { S: 'a' } },
+            UpdateExpression: 'SET balance = balance - :amt',
+            ConditionExpression: 'balance >= :amt',
+            ExpressionAttributeValues: { ':amt': { N: '10' } },
+          },
+        },
+        { Delete: { TableName: 'Holds', Key: { id: { S: 'h1' } } } },
+        { ConditionCheck: { TableName: 'Accounts', Key: { id: { S: 'b' } }, ConditionExpression: 'attribute_exists(id)' } },
+      ])
+    })
+
+    it('builds the update expression from a plain updates object', async () => {
+      const { calls } = stubSendJson({})
+
+      await service.transactWriteItems([{ type: 'Update', tableName: 'Users', key: { id: '1' }, updates: { status: 'active' } }])
+
+      const update = calls[0].body.TransactItems[0].Update
+
+      expect(update.UpdateExpression).toMatch(/^SET /)
+      expect(Object.values(update.ExpressionAttributeNames)).toEqual(['status'])
+      expect(Object.values(update.ExpressionAttributeValues)).toEqual([{ S: 'active' }])
+    })
+
+    it('validates the operations before sending', async () => {
+      const { calls } = stubSendJson({})
+
+      await expect(service.transactWriteItems([])).rejects.toThrow('operations must be a non-empty array')
+      await expect(service.transactWriteItems(new Array(101).fill({}))).rejects.toThrow('at most 100 entries')
+      await expect(service.transactWriteItems([{ type: 'Upsert', tableName: 'T', key: {} }])).rejects.toThrow('operations[0].type must be one of')
+      await expect(service.transactWriteItems([{ type: 'Put', tableName: 'T' }])).rejects.toThrow('operations[0].item')
+      await expect(service.transactWriteItems([{ type: 'ConditionCheck', tableName: 'T', key: { id: '1' } }])).rejects.toThrow('conditionExpression is required')
+
+      expect(calls).toHaveLength(0)
+    })
+
+    it('explains a cancelled transaction', async () => {
+      service.sendJson = async () => {
+        throw Object.assign(new Error('Transaction cancelled, please refer cancellation reasons for specific reasons [ConditionalCheckFailed, None]'), {
+          name: 'TransactionCanceledException',
+        })
+      }
+
+      await expect(service.transactWriteItems([{ type: 'Delete', tableName: 'T', key: { id: '1' } }])).rejects.toThrow(
+        /Transaction cancelled.*ConditionalCheckFailed.*None of the operations were applied/
+      )
+    })
+  })
+
+  describe('transactGetItems', () => {
+    it('returns the items in order with null for missing keys', async () => {
+      const { calls } = stubSendJson({ Responses: [{ Item: { id: { S: 'a' }, balance: { N: '90' } } }, {}] })
+
+      const out = await service.transactGetItems([
+        { tableName: 'Accounts', key: { id: 'a' }, projectionExpression: '#b, id', expressionAttributeNames: { '#b': 'balance' } },
+        { tableName: 'Accounts', key: { id: 'b' } },
+      ])
+
+      expect(out).toEqual({ items: [{ id: 'a', balance: 90 }, null] })
+
+      expect(calls[0].body.TransactItems).toEqual([
+        { Get: { TableName: 'Accounts', Key: { id: { S: 'a' } }, ProjectionExpression: '#b, id', ExpressionAttributeNames: { '#b': 'balance' } } },
+        { Get: { TableName: 'Accounts', Key: { id: { S: 'b' } } } },
+      ])
+    })
+
+    it('throws when an entry has no key', async () => {
+      await expect(service.transactGetItems([{ tableName: 'Accounts' }])).rejects.toThrow('items[0].key')
+    })
+  })
+
   // ── describeTable ──
 
   describe('describeTable', () => {
@@ -649,6 +749,176 @@ describe('DynamoDB Service', () => {
     })
   })
 
+  // ── Table management ──
+
+  describe('createTable', () => {
+    const description = {
+      TableName: 'Orders',
+      TableStatus: 'CREATING',
+      TableArn: 'arn:aws:dynamodb:us-east-1:1:table/Orders',
+      BillingModeSummary: { BillingMode: 'PAY_PER_REQUEST' },
+      StreamSpecification: { StreamEnabled: true, StreamViewType: 'NEW_AND_OLD_IMAGES' },
+      LatestStreamArn: 'arn:aws:dynamodb:us-east-1:1:table/Orders/stream/1',
+    }
+
+    it('creates an on-demand table with a sort key, an index and a stream', async () => {
+      const { calls } = stubSendJson({ TableDescription: description })
+
+      const out = await service.createTable('Orders', 'customerId', 'S', 'createdAt', 'N', undefined, undefined, undefined, [
+        { indexName: 'byStatus', partitionKey: 'status', sortKey: 'createdAt', sortKeyType: 'N', projection: ['total'] },
+      ], 'NEW_AND_OLD_IMAGES')
+
+      expect(calls[0].op).toBe('CreateTable')
+
+      expect(calls[0].body).toEqual({
+        TableName: 'Orders',
+        KeySchema: [{ AttributeName: 'customerId', KeyType: 'HASH' }, { AttributeName: 'createdAt', KeyType: 'RANGE' }],
+        BillingMode: 'PAY_PER_REQUEST',
+        GlobalSecondaryIndexes: [{
+          IndexName: 'byStatus',
+          KeySchema: [{ AttributeName: 'status', KeyType: 'HASH' }, { AttributeName: 'createdAt', KeyType: 'RANGE' }],
+          Projection: { ProjectionType: 'INCLUDE', NonKeyAttributes: ['total'] },
+        }],
+        AttributeDefinitions: [
+          { AttributeName: 'customerId', AttributeType: 'S' },
+          { AttributeName: 'createdAt', AttributeType: 'N' },
+          { AttributeName: 'status', AttributeType: 'S' },
+        ],
+        StreamSpecification: { StreamEnabled: true, StreamViewType: 'NEW_AND_OLD_IMAGES' },
+      })
+
+      expect(out).toEqual({
+        tableName: 'Orders',
+        status: 'CREATING',
+        tableArn: 'arn:aws:dynamodb:us-east-1:1:table/Orders',
+        billingMode: 'PAY_PER_REQUEST',
+        streamArn: 'arn:aws:dynamodb:us-east-1:1:table/Orders/stream/1',
+      })
+    })
+
+    it('requires capacity units for provisioned billing, on the table and its indexes', async () => {
+      const { calls } = stubSendJson({ TableDescription: description })
+
+      await expect(service.createTable('Orders', 'id', 'S', null, null, 'PROVISIONED')).rejects.toThrow('table: readCapacityUnits and writeCapacityUnits are required')
+
+      await expect(
+        service.createTable('Orders', 'id', 'S', null, null, 'PROVISIONED', 5, 5, [{ indexName: 'i', partitionKey: 'email' }])
+      ).rejects.toThrow('globalSecondaryIndexes[0]: readCapacityUnits')
+
+      await service.createTable('Orders', 'id', 'S', null, null, 'PROVISIONED', 5, '10')
+
+      expect(calls[0].body.ProvisionedThroughput).toEqual({ ReadCapacityUnits: 5, WriteCapacityUnits: 10 })
+      expect(calls[0].body.StreamSpecification).toBeUndefined()
+    })
+
+    it('rejects a key attribute declared with two types', async () => {
+      await expect(
+        service.createTable('Orders', 'id', 'S', null, null, null, null, null, [{ indexName: 'i', partitionKey: 'id', partitionKeyType: 'N' }])
+      ).rejects.toThrow('id is already defined as type S')
+    })
+
+    it('waits until the table is ACTIVE when asked to', async () => {
+      const { calls } = stubSendJsonDynamic((op, body, n) => {
+        if (op === 'CreateTable') return { TableDescription: description }
+
+        return { Table: { ...description, TableStatus: n < 3 ? 'CREATING' : 'ACTIVE' } }
+      })
+
+      service._sleep = jest.fn(async () => {})
+
+      const out = await service.createTable('Orders', 'id', 'S', null, null, null, null, null, null, null, true)
+
+      expect(out.status).toBe('ACTIVE')
+      expect(calls.map(call => call.op)).toEqual(['CreateTable', 'DescribeTable', 'DescribeTable'])
+      expect(service._sleep).toHaveBeenCalledTimes(1)
+    })
+
+    it('maps ResourceInUseException', async () => {
+      service.sendJson = async () => {
+        throw Object.assign(new Error('Table already exists: Orders'), { name: 'ResourceInUseException' })
+      }
+
+      await expect(service.createTable('Orders', 'id')).rejects.toThrow(/Resource in use: Table already exists/)
+    })
+  })
+
+  describe('updateTable', () => {
+    it('switches to provisioned billing with capacity', async () => {
+      const { calls } = stubSendJson({ TableDescription: { TableName: 'Orders', TableStatus: 'UPDATING' } })
+
+      await service.updateTable('Orders', 'PROVISIONED', 5, 5)
+
+      expect(calls[0].op).toBe('UpdateTable')
+
+      expect(calls[0].body).toEqual({
+        TableName: 'Orders',
+        BillingMode: 'PROVISIONED',
+        ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 },
+      })
+    })
+
+    it('creates and deletes indexes and changes the stream', async () => {
+      const { calls } = stubSendJson({ TableDescription: { TableName: 'Orders', TableStatus: 'UPDATING' } })
+
+      await service.updateTable('Orders', null, null, null, { indexName: 'byEmail', partitionKey: 'email' }, 'byStatus', 'DISABLED')
+
+      expect(calls[0].body).toEqual({
+        TableName: 'Orders',
+        AttributeDefinitions: [{ AttributeName: 'email', AttributeType: 'S' }],
+        GlobalSecondaryIndexUpdates: [
+          { Create: { IndexName: 'byEmail', KeySchema: [{ AttributeName: 'email', KeyType: 'HASH' }], Projection: { ProjectionType: 'ALL' } } },
+          { Delete: { IndexName: 'byStatus' } },
+        ],
+        StreamSpecification: { StreamEnabled: false },
+      })
+    })
+
+    it('throws when nothing would change', async () => {
+      await expect(service.updateTable('Orders')).rejects.toThrow('Provide at least one change')
+      await expect(service.updateTable('Orders', null, null, null, null, null, 'ALL')).rejects.toThrow('streamViewType must be one of')
+    })
+  })
+
+  describe('deleteTable', () => {
+    it('deletes the table and reports its status', async () => {
+      const { calls } = stubSendJson({ TableDescription: { TableName: 'Orders', TableStatus: 'DELETING', TableArn: 'arn' } })
+
+      const out = await service.deleteTable('Orders')
+
+      expect(calls[0]).toEqual({ op: 'DeleteTable', body: { TableName: 'Orders' } })
+      expect(out).toMatchObject({ tableName: 'Orders', status: 'DELETING', streamArn: null })
+    })
+
+    it('throws when tableName is missing', async () => {
+      await expect(service.deleteTable()).rejects.toThrow('tableName is required')
+    })
+  })
+
+  describe('updateTimeToLive', () => {
+    it('enables TTL by default', async () => {
+      const { calls } = stubSendJson({ TimeToLiveSpecification: { AttributeName: 'expiresAt', Enabled: true } })
+
+      const out = await service.updateTimeToLive('Sessions', 'expiresAt')
+
+      expect(calls[0].op).toBe('UpdateTimeToLive')
+      expect(calls[0].body.TimeToLiveSpecification).toEqual({ AttributeName: 'expiresAt', Enabled: true })
+      expect(out).toEqual({ tableName: 'Sessions', attributeName: 'expiresAt', enabled: true })
+    })
+
+    it('disables TTL', async () => {
+      const { calls } = stubSendJson({})
+
+      const out = await service.updateTimeToLive('Sessions', 'expiresAt', 'false')
+
+      expect(calls[0].body.TimeToLiveSpecification.Enabled).toBe(false)
+      expect(out.enabled).toBe(false)
+    })
+
+    it('throws when attributeName is missing', async () => {
+      await expect(service.updateTimeToLive('Sessions')).rejects.toThrow('attributeName is required')
+    })
+  })
+
   // ── listTablesDictionary ──
 
   describe('listTablesDictionary', () => {
@@ -702,6 +972,208 @@ describe('DynamoDB Service', () => {
     })
   })
 
+  // ── onItemChanged trigger ──
+
+  describe('onItemChanged', () => {
+    const STREAM_ARN = 'arn:aws:dynamodb:us-east-1:1:table/Orders/stream/1'
+    const STARTED_AT = 1714564800
+
+    const TABLE = {
+      TableName: 'Orders',
+      KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+      StreamSpecification: { StreamEnabled: true, StreamViewType: 'NEW_AND_OLD_IMAGES' },
+      LatestStreamArn: STREAM_ARN,
+    }
+
+    function record(sequenceNumber, eventName, id, extra = {}) {
+      return {
+        eventID: `e${ sequenceNumber }`,
+        eventName,
+        dynamodb: {
+          Keys: { id: { S: id } },
+          NewImage: eventName === 'REMOVE' ? undefined : { id: { S: id }, n: { N: sequenceNumber } },
+          SequenceNumber: sequenceNumber,
+          ApproximateCreationDateTime: STARTED_AT + 10,
+        },
+        ...extra,
+      }
+    }
+
+    // shards: { shardId: { parent, pages: [{ records, end }] } }; a page with end: true closes the shard.
+    function stubStream(shards) {
+      const calls = []
+
+      stubSendJsonDynamic(op => (op === 'DescribeTable' ? { Table: TABLE } : { Items: [] }))
+
+      service.sendStreamsJson = async (op, body) => {
+        calls.push({ op, body })
+
+        if (op === 'DescribeStream') {
+          return {
+            StreamDescription: {
+              Shards: Object.entries(shards).map(([ShardId, shard]) => ({ ShardId, ...(shard.parent ? { ParentShardId: shard.parent } : {}) })),
+            },
+          }
+        }
+
+        if (op === 'GetShardIterator') return { ShardIterator: `${ body.ShardId }#0` }
+
+        const [shardId, index] = body.ShardIterator.split('#')
+        const page = shards[shardId].pages[Number(index)] || { records: [] }
+
+        return { Records: page.records, ...(page.end ? {} : { NextShardIterator: `${ shardId }#${ Number(index) + 1 }` }) }
+      }
+
+      return { calls }
+    }
+
+    it('starts watching on the first poll without reading the stream', async () => {
+      const { calls } = stubStream({})
+      const now = jest.spyOn(Date, 'now').mockReturnValue(STARTED_AT * 1000)
+
+      const poller = sandbox.startPolling({ name: 'onItemChanged', data: { tableName: 'Orders' } })
+
+      await expect(poller.tick()).resolves.toMatchObject({ events: [], state: { streamArn: STREAM_ARN, startedAt: STARTED_AT, shards: {} } })
+
+      expect(calls).toHaveLength(0)
+      now.mockRestore()
+    })
+
+    it('reads new shards from the oldest record, skipping changes from before the start', async () => {
+      const old = { ...record('1', 'INSERT', 'a'), dynamodb: { ...record('1', 'INSERT', 'a').dynamodb, ApproximateCreationDateTime: STARTED_AT - 60 } }
+      const { calls } = stubStream({ 'shard-1': { pages: [{ records: [] }, { records: [old, record('2', 'MODIFY', 'b')] }, { records: [] }] } })
+
+      const poller = sandbox.startPolling({
+        name: 'onItemChanged',
+        data: { tableName: 'Orders' },
+        state: { streamArn: STREAM_ARN, startedAt: STARTED_AT, shards: {} },
+      })
+
+      const { events, state } = await poller.tick()
+
+      expect(calls[1].body).toEqual({ StreamArn: STREAM_ARN, ShardId: 'shard-1', ShardIteratorType: 'TRIM_HORIZON' })
+
+      expect(events).toEqual([{
+        eventName: 'MODIFY',
+        eventId: 'e2',
+        tableName: 'Orders',
+        keys: { id: 'b' },
+        newImage: { id: 'b', n: 2 },
+        oldImage: null,
+        sequenceNumber: '2',
+        approximateCreationTime: new Date((STARTED_AT + 10) * 1000).toISOString(),
+        expiredByTtl: false,
+      }])
+
+      expect(state.shards).toEqual({ 'shard-1': { sequenceNumber: '2' } })
+    })
+
+    it('resumes after the stored sequence number and stops at the batch size', async () => {
+      const { calls } = stubStream({ 'shard-1': { pages: [{ records: [record('6', 'INSERT', 'x'), record('7', 'INSERT', 'y')] }] } })
+
+      const poller = sandbox.startPolling({
+        name: 'onItemChanged',
+        data: { tableName: 'Orders', batchSize: 1 },
+        state: { streamArn: STREAM_ARN, startedAt: STARTED_AT, shards: { 'shard-1': { sequenceNumber: '5' } } },
+      })
+
+      const { events, state } = await poller.tick()
+
+      expect(calls[1].body).toMatchObject({ ShardIteratorType: 'AFTER_SEQUENCE_NUMBER', SequenceNumber: '5' })
+      expect(events.map(event => event.sequenceNumber)).toEqual(['6'])
+      expect(state.shards['shard-1']).toEqual({ sequenceNumber: '6' })
+    })
+
+    it('finishes a closed parent shard before reading its child', async () => {
+      stubStream({
+        'parent': { pages: [{ records: [record('1', 'INSERT', 'a')], end: true }] },
+        'child': { parent: 'parent', pages: [{ records: [record('2', 'MODIFY', 'a')] }] },
+      })
+
+      const poller = sandbox.startPolling({
+        name: 'onItemChanged',
+        data: { tableName: 'Orders' },
+        state: { streamArn: STREAM_ARN, startedAt: STARTED_AT, shards: {} },
+      })
+
+      const { events, state } = await poller.tick()
+
+      expect(events.map(event => event.eventName)).toEqual(['INSERT', 'MODIFY'])
+      expect(state.shards).toEqual({ parent: { sequenceNumber: '1', done: true }, child: { sequenceNumber: '2' } })
+    })
+
+    it('filters by change type and flags TTL deletes', async () => {
+      const ttl = { type: 'Service', principalId: 'dynamodb.amazonaws.com' }
+
+      stubStream({ 'shard-1': { pages: [{ records: [record('1', 'INSERT', 'a'), record('2', 'REMOVE', 'a', { userIdentity: ttl })] }] } })
+
+      const poller = sandbox.startPolling({
+        name: 'onItemChanged',
+        data: { tableName: 'Orders', eventType: 'REMOVE' },
+        state: { streamArn: STREAM_ARN, startedAt: STARTED_AT, shards: {} },
+      })
+
+      const { events, state } = await poller.tick()
+
+      expect(events).toEqual([expect.objectContaining({ eventName: 'REMOVE', keys: { id: 'a' }, newImage: null, expiredByTtl: true })])
+      expect(state.shards['shard-1']).toEqual({ sequenceNumber: '2' })
+    })
+
+    it('continues from the oldest record when the checkpoint was trimmed', async () => {
+      const { calls } = stubStream({ 'shard-1': { pages: [{ records: [record('9', 'INSERT', 'z')] }] } })
+      const getIterator = service.sendStreamsJson
+
+      service.sendStreamsJson = async (op, body) => {
+        if (op === 'GetShardIterator' && body.SequenceNumber) {
+          throw Object.assign(new Error('Trimmed'), { name: 'TrimmedDataAccessException' })
+        }
+
+        return getIterator(op, body)
+      }
+
+      const poller = sandbox.startPolling({
+        name: 'onItemChanged',
+        data: { tableName: 'Orders' },
+        state: { streamArn: STREAM_ARN, startedAt: STARTED_AT, shards: { 'shard-1': { sequenceNumber: '1' } } },
+      })
+
+      const { events } = await poller.tick()
+
+      expect(calls.find(call => call.op === 'GetShardIterator').body.ShardIteratorType).toBe('TRIM_HORIZON')
+      expect(events.map(event => event.sequenceNumber)).toEqual(['9'])
+    })
+
+    it('starts over when the table has a new stream', async () => {
+      stubStream({})
+
+      const poller = sandbox.startPolling({
+        name: 'onItemChanged',
+        data: { tableName: 'Orders' },
+        state: { streamArn: 'arn:old', startedAt: 1, shards: { 'shard-0': { sequenceNumber: '1' } } },
+      })
+
+      await expect(poller.tick()).resolves.toMatchObject({ events: [], state: { streamArn: STREAM_ARN, shards: {} } })
+    })
+
+    it('returns an existing item as a sample in learning mode', async () => {
+      stubSendJsonDynamic(op => (op === 'DescribeTable' ? { Table: TABLE } : { Items: [{ id: { S: '1042' }, status: { S: 'paid' } }] }))
+
+      const poller = sandbox.startPolling({ name: 'onItemChanged', data: { tableName: 'Orders' } })
+      const { events, state } = await poller.tick({ learningMode: true })
+
+      expect(events).toEqual([expect.objectContaining({ eventName: 'INSERT', keys: { id: '1042' }, newImage: { id: '1042', status: 'paid' } })])
+      expect(state).toBeNull()
+    })
+
+    it('explains a table without a stream', async () => {
+      stubSendJson({ Table: { ...TABLE, StreamSpecification: { StreamEnabled: false } } })
+
+      const poller = sandbox.startPolling({ name: 'onItemChanged', data: { tableName: 'Orders' } })
+
+      await expect(poller.tick()).rejects.toThrow('DynamoDB Streams is not enabled on table Orders')
+    })
+  })
+
   // ── Error handling ──
 
   describe('error handling (#handleError)', () => {
@@ -1248,6 +1720,43 @@ describe('DynamoDB Service', () => {
 
       expect(calls[0]).toEqual({ accessKeyId: 'ASIA', secretAccessKey: 'TMPS', sessionToken: 'TOK' })
     })
+
+    it('sends Streams requests to the streams host, signed as dynamodb', async () => {
+      const db = freshService()
+      const sent = []
+
+      db.deps.signRequest = jest.fn()
+
+      db.deps.httpRequest = async (method, url, headers, body) => {
+        sent.push({ method, url, headers, body })
+
+        return { statusCode: 200, body: '{"StreamDescription":{"Shards":[]}}' }
+      }
+
+      const res = await db.sendStreamsJson('DescribeStream', { StreamArn: 'arn' })
+
+      expect(res).toEqual({ StreamDescription: { Shards: [] } })
+      expect(sent[0].url).toBe('https://streams.dynamodb.eu-west-1.amazonaws.com/')
+      expect(sent[0].headers['x-amz-target']).toBe('DynamoDBStreams_20120810.DescribeStream')
+      expect(db.deps.signRequest.mock.calls[0].slice(5)).toEqual(['eu-west-1', 'dynamodb'])
+    })
+
+    it('sends Streams requests to the Custom Endpoint when one is set', async () => {
+      const db = freshService({ endpoint: 'http://localhost:8000' })
+      const urls = []
+
+      db.deps.signRequest = jest.fn()
+
+      db.deps.httpRequest = async (method, url) => {
+        urls.push(url)
+
+        return { statusCode: 200, body: '{}' }
+      }
+
+      await db.sendStreamsJson('GetRecords', { ShardIterator: 'it' })
+
+      expect(urls).toEqual(['http://localhost:8000/'])
+    })
   })
 
   // ── Error mapping for the remaining operations ──
@@ -1738,7 +2247,7 @@ describe('CredentialProvider IAM Role guards', () => {
     const calls = []
 
     const cp = new CredentialProvider(
-      { authenticationMethod: 'IAM Role', accessKeyId: 'AK', secretAccessKey: 'SK', region: 'ap-south-1', roleArn: 'arn:role' },
+      { service: 'dynamodb', authenticationMethod: 'IAM Role', accessKeyId: 'AK', secretAccessKey: 'SK', region: 'ap-south-1', roleArn: 'arn:role' },
       {
         now: () => now,
         stsAssumeRole: async (...args) => {
@@ -1757,6 +2266,7 @@ describe('CredentialProvider IAM Role guards', () => {
       'arn:role',
       `flowrunner-dynamodb-${ now }`,
       undefined,
+      undefined,
     ])
   })
 })
@@ -1,3 +1,5 @@
+const { msGraphAppOnlyConfigItems, msGraphClientFromConfig } = require('./msgraph')
+
 const OAUTH_BASE_URL = 'https://login.microsoftonline.com/common/oauth2/v2.0'
 const API_BASE_URL = 'https://graph.microsoft.com/v1.0'
 const PAGE_SIZE_DICTIONARY = 25
@@ -40,11 +42,12 @@ class MicrosoftEntraIdService {
     this.clientId = config.clientId
     this.clientSecret = config.clientSecret
     this.scopes = DEFAULT_SCOPE_STRING
+    this.graph = msGraphClientFromConfig(config, () => this.request?.headers?.['oauth-access-token'])
   }
 
-  #getAccessTokenHeader(extraHeaders) {
+  async #getAccessTokenHeader(extraHeaders) {
     return {
-      Authorization: `Bearer ${ this.request.headers['oauth-access-token'] }`,
+      Authorization: `Bearer ${ await this.graph.getAccessToken() }`,
       ...(extraHeaders || {}),
     }
   }
@@ -54,10 +57,12 @@ class MicrosoftEntraIdService {
     query = cleanupObject(query)
 
     try {
+      url = this.graph.resolveUrl(url)
+
       logger.debug(`${ logTag } - api request: [${ method }::${ url }] q=[${ JSON.stringify(query) }]`)
 
       const request = Flowrunner.Request[method](url)
-        .set(this.#getAccessTokenHeader(headers))
+        .set(await this.#getAccessTokenHeader(headers))
         .query(query)
 
       return body !== undefined ? await request.send(body) : await request
@@ -1031,6 +1036,7 @@ Flowrunner.ServerCode.addService(MicrosoftEntraIdService, [
     shared: true,
     hint: 'OAuth2 Client Secret of your Microsoft Entra app registration.',
   },
+  ...msGraphAppOnlyConfigItems,
 ])
 
 function cleanupObject(data) {
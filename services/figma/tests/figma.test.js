@@ -188,6 +188,43 @@ describe('Figma Service', () => {
       expect(result).toEqual(responseData)
       expect(mock.history).toHaveLength(1)
     })
+
+    describe('with saveToStorage', () => {
+      afterEach(() => {
+        sandbox.getFiles().reset()
+      })
+
+      it('downloads each rendered image and uploads it to the Files API', async () => {
+        const files = sandbox.getFiles()
+        const renderUrl = files.addFile(Buffer.from([0x89, 0x50, 0x4e, 0x47]), { filename: 'render.png' })
+
+        mock.onGet(`${BASE}/images/abc123`).reply({ err: null, images: { '1:23': renderUrl, '4:56': null } })
+
+        const result = await service.exportImage('abc123', ['1:23', '4:56'], 'PNG', 1, true)
+
+        expect(files.uploads).toHaveLength(1)
+        expect(files.uploads[0].filename).toMatch(/^figma_1-23_\d+\.png$/)
+        expect(files.uploads[0].options).toMatchObject({ scope: 'FLOW', generateUrl: true, overwrite: true })
+        expect(files.uploads[0].buffer).toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47]))
+        expect(result.hosted).toEqual({ '1:23': files.uploads[0].url, '4:56': null })
+      })
+
+      it('applies custom file options and serves the stored copy back by URL', async () => {
+        const files = sandbox.getFiles()
+        const renderUrl = files.addFile('<svg/>', { filename: 'render.svg' })
+
+        mock.onGet(`${BASE}/images/abc123`).reply({ err: null, images: { '1:23': renderUrl } })
+
+        const result = await service.exportImage('abc123', ['1:23'], 'SVG', 1, true, { scope: 'APP', path: 'exports' })
+        const storedUrl = result.hosted['1:23']
+
+        expect(files.uploads[0]).toMatchObject({ scope: 'APP', path: expect.stringMatching(/^exports\/figma_1-23_\d+\.svg$/) })
+
+        const downloaded = await Flowrunner.Request.get(storedUrl).setEncoding(null)
+
+        expect(downloaded.toString()).toBe('<svg/>')
+      })
+    })
   })
 
   describe('getImageFills', () => {
@@ -1,3 +1,5 @@
+const { withRetry } = require('./request-retry')
+
 const logger = {
   info: (...args) => console.log('[Freshdesk] info:', ...args),
   debug: (...args) => console.log('[Freshdesk] debug:', ...args),
@@ -62,7 +64,9 @@ class FreshdeskService {
     return Object.prototype.hasOwnProperty.call(mapping, value) ? mapping[value] : value
   }
 
-  async #apiRequest({ path, method = 'get', body, query, logTag }) {
+  // `deadline` bounds the retries. Every action here sends one request, so withRetry's default
+  // budget is the action's; one that sends several must compute it once with retryDeadline().
+  async #apiRequest({ path, method = 'get', body, query, logTag, deadline }) {
     const url = `${ this.#baseUrl }${ path }`
 
     try {
@@ -70,14 +74,20 @@ class FreshdeskService {
 
       logger.debug(`${ logTag } - API request: [${ method.toUpperCase() }::${ url }] q=${ JSON.stringify(cleanedQuery || {}) }`)
 
-      const request = Flowrunner.Request[method.toLowerCase()](url)
-        .set({
-          'Authorization': `Basic ${ Buffer.from(`${ this.apiKey }:X`).toString('base64') }`,
-          'Content-Type': 'application/json',
-        })
-        .query(cleanedQuery || {})
-
-      return body !== undefined ? await request.send(body) : await request
+      return await withRetry(() => {
+        const request = Flowrunner.Request[method.toLowerCase()](url)
+          .set({
+            'Authorization': `Basic ${ Buffer.from(`${ this.apiKey }:X`).toString('base64') }`,
+            'Content-Type': 'application/json',
+          })
+          .query(cleanedQuery || {})
+
+        return body !== undefined ? request.send(body) : request
+      }, {
+        method,
+        deadline,
+        onRetry: ({ attempt, delayMs, status }) => logger.warn(`${ logTag } - HTTP ${ status }, retry #${ attempt } in ${ delayMs }ms`),
+      })
     } catch (error) {
       const errorBody = error.body || {}
       let message = errorBody.description || error.message || 'Unknown error'
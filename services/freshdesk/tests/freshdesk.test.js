@@ -48,6 +48,12 @@ describe('Freshdesk Service', () => {
     })
   })
 
+  describe('dictionaries', () => {
+    it('follow the payload contract', async () => {
+      expect(await sandbox.checkDictionaries()).toEqual([])
+    })
+  })
+
   // ── Tickets ──
 
   describe('createTicket', () => {
@@ -620,6 +626,22 @@ describe('Freshdesk Service', () => {
       expect(result.cursor).toBe('3')
     })
 
+    it('follows the cursor across pages', async () => {
+      const fullPage = Array.from({ length: 100 }, (_, i) => ({
+        id: i, contact: { name: `Agent ${ i }`, email: `a${ i }@co.com` },
+      }))
+
+      mock.onGet(`${ BASE }/agents`).withQuery({ page: 1 }).reply(fullPage)
+      mock.onGet(`${ BASE }/agents`).withQuery({ page: 2 }).reply(agentsResponse)
+
+      const first = await service.getAgentsDictionary({})
+      const second = await service.getAgentsDictionary({ cursor: first.cursor })
+
+      expect(first.items).toHaveLength(100)
+      expect(second.items).toHaveLength(2)
+      expect(second.cursor).toBeNull()
+    })
+
     it('handles null payload', async () => {
       mock.onGet(`${ BASE }/agents`).reply([])
 
@@ -683,6 +705,65 @@ describe('Freshdesk Service', () => {
       await expect(service.listTickets()).rejects.toThrow('Rate limit exceeded')
     })
 
+    it('reads retry-after from a 429 response', async () => {
+      mock.onGet(`${ BASE }/tickets`).replyWithStatus(429, { code: 'rate_limited' }, { 'Retry-After': '30' })
+
+      await expect(service.listTickets()).rejects.toThrow('Rate limit exceeded, retry after 30 seconds')
+    })
+
+    describe('retries', () => {
+      beforeEach(() => {
+        jest.useFakeTimers({ now: 0 })
+      })
+
+      afterEach(() => {
+        jest.useRealTimers()
+      })
+
+      it('retries once the rate limit window has passed', async () => {
+        mock.onGet(`${ BASE }/tickets`).once().replyWithStatus(429, {}, { 'retry-after': '1' })
+        mock.onGet(`${ BASE }/tickets`).replySequence([[{ id: 1 }], [{ id: 2 }]])
+
+        const pending = service.listTickets()
+
+        await jest.runAllTimersAsync()
+
+        await expect(pending).resolves.toEqual([{ id: 1 }])
+        expect(mock.callsTo('get', `${ BASE }/tickets`).map(call => call.at)).toEqual([0, 1000])
+      })
+
+      it('backs off on 503 and gives up after three retries', async () => {
+        mock.onGet(`${ BASE }/tickets/1`).replyWithStatus(503, { description: 'Service Unavailable' })
+
+        const pending = service.getTicket(1)
+        const assertion = expect(pending).rejects.toThrow('Service Unavailable')
+
+        await jest.runAllTimersAsync()
+        await assertion
+
+        expect(mock.callsTo('get', `${ BASE }/tickets/1`)).toHaveLength(4)
+      })
+
+      it('does not replay ticket creation', async () => {
+        mock.onPost(`${ BASE }/tickets`).replyWithStatus(503, { description: 'Service Unavailable' })
+
+        await expect(service.createTicket('Subject', 'Body', 'a@b.co')).rejects.toThrow('Service Unavailable')
+
+        expect(mock.callsTo('post', `${ BASE }/tickets`)).toHaveLength(1)
+      })
+    })
+
+    it('fails unmatched requests in strict mode', async () => {
+      mock.setStrict(true)
+
+      try {
+        await expect(service.getTicket(1)).rejects.toThrow('Unmatched request in strict mode: GET')
+        expect(mock.unmatched).toHaveLength(1)
+      } finally {
+        mock.setStrict(false)
+      }
+    })
+
     it('handles errors without body', async () => {
       mock.onGet(`${ BASE }/tickets/999`).replyWithError({
         message: 'Not Found',
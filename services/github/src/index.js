@@ -1,5 +1,7 @@
 'use strict'
 
+const { RETRYABLE_STATUSES, getErrorHeader, retryDeadline, withRetry } = require('./request-retry')
+
 const API_BASE_URL = 'https://api.github.com'
 const OAUTH_URL = 'https://github.com/login/oauth/authorize'
 const TOKEN_URL = 'https://github.com/login/oauth/access_token'
@@ -62,15 +64,25 @@ class GitHub {
     throw wrapped
   }
 
-  async #apiRequest({ url, method = 'get', body, query }) {
+  // `deadline` bounds the retries; actions that send several requests compute it once with
+  // retryDeadline() so all of them share the action's execution budget.
+  async #apiRequest({ url, method = 'get', body, query, deadline }) {
     try {
       logger.debug(`[#apiRequest] ${ method.toUpperCase() } ${ url }`)
 
-      return await Flowrunner.Request[method](url)
+      // Secondary rate limits answer 403/429 with Retry-After or X-RateLimit-Reset (epoch seconds).
+      // A 403 is only retried when it says so, otherwise it is a real permission error.
+      return await withRetry(() => Flowrunner.Request[method](url)
         .set(this.#getAuthorizationHeader())
         .set({ 'Content-Type': 'application/json' })
         .query(query)
-        .send(body)
+        .send(body), {
+        method,
+        deadline,
+        retryOn: error => RETRYABLE_STATUSES.includes(error?.status) ||
+          (error?.status === 403 && (getErrorHeader(error, 'retry-after') !== undefined || getErrorHeader(error, 'x-ratelimit-remaining') === '0')),
+        onRetry: ({ attempt, delayMs, status }) => logger.warn(`[#apiRequest] HTTP ${ status }, retry #${ attempt } in ${ delayMs }ms`),
+      })
     } catch (error) {
       logger.error('[#apiRequest] Error:', JSON.stringify(error, null, 2))
       this.#handleError(error)
@@ -511,10 +523,13 @@ class GitHub {
      * @sampleResult {"cursor":null,"items":[{"label":"octocat (You)","value":"octocat","note":"User"},{"label":"github","value":"github","note":"Organization"}]}
      */
   async getOwnersDictionary({ search, cursor }) {
+    const deadline = retryDeadline()
+
     // Get all repositories the user has access to
     const repos = await this.#apiRequest({
       url: `${ API_BASE_URL }/user/repos`,
       query: { per_page: 100, affiliation: 'owner,collaborator,organization_member' },
+      deadline,
     })
 
     // Extract unique owners from all accessible repositories
@@ -535,6 +550,7 @@ class GitHub {
     // Convert to array and sort (current user first, then alphabetically)
     const currentUser = await this.#apiRequest({
       url: `${ API_BASE_URL }/user`,
+      deadline,
     })
 
     let owners = Array.from(ownerMap.values())
@@ -2412,10 +2428,13 @@ class GitHub {
      * @sampleResult {"id":1,"node_id":"D_kwDOA_j_M84AAAE_","repository_url":"https://api.github.com/repos/octocat/Hello-World","html_url":"https://github.com/octocat/Hello-World/discussions/1","title":"My first discussion","body":"This is the body of my first discussion.","category":{"id":1,"node_id":"DIC_kwDOA_j_M84AAAE_","repository_id":1,"emoji":"👋","name":"General","description":"General discussion"},"state":"open","locked":false,"comments":0,"created_at":"2024-01-01T12:00:00Z","updated_at":"2024-01-01T12:00:00Z","author":{"login":"octocat"}}
      */
   async createDiscussion(repository, title, body, category_name) {
+    const deadline = retryDeadline()
+
     const { owner, repo } = this.#parseRepository(repository)
 
     const categories = await this.#apiRequest({
       url: `${ API_BASE_URL }/repos/${ owner }/${ repo }/discussions/categories`,
+      deadline,
     })
 
     const category = categories.find(cat => cat.name === category_name)
@@ -2434,6 +2453,7 @@ class GitHub {
       url: `${ API_BASE_URL }/repos/${ owner }/${ repo }/discussions`,
       method: 'post',
       body: requestBody,
+      deadline,
     })
   }
 
@@ -3070,6 +3090,8 @@ class GitHub {
      * @sampleResult {"url":"https://api.github.com/repos/octocat/Hello-World/issues/1347","id":1,"number":1347,"title":"Found a bug","state":"open","body":"I'm having a problem with this."}
      */
   async findOrCreateIssue(repository, title, body) {
+    const deadline = retryDeadline()
+
     const { owner, repo } = this.#parseRepository(repository)
 
     // 1. Search for existing issue
@@ -3079,6 +3101,7 @@ class GitHub {
         q: `repo:${ owner }/${ repo } is:issue "${ title }" in:title`,
         per_page: 1,
       },
+      deadline,
     })
 
     if (searchResponse.items && searchResponse.items.length > 0) {
@@ -3096,6 +3119,7 @@ class GitHub {
       url: `${ API_BASE_URL }/repos/${ owner }/${ repo }/issues`,
       method: 'post',
       body: requestBody,
+      deadline,
     })
   }
 
@@ -3116,6 +3140,8 @@ class GitHub {
      * @sampleResult {"url":"https://api.github.com/repos/octocat/Hello-World/pulls/1347","id":1,"number":1347,"title":"New Feature","state":"open","body":"Please pull these awesome changes in!"}
      */
   async findOrCreatePullRequest(repository, title, head, base, body) {
+    const deadline = retryDeadline()
+
     const { owner, repo } = this.#parseRepository(repository)
 
     // 1. Search for existing PR
@@ -3125,6 +3151,7 @@ class GitHub {
         q: `repo:${ owner }/${ repo } is:pr "${ title }" in:title`,
         per_page: 1,
       },
+      deadline,
     })
 
     if (searchResponse.items && searchResponse.items.length > 0) {
@@ -3134,6 +3161,7 @@ class GitHub {
 
       return await this.#apiRequest({
         url: `${ API_BASE_URL }/repos/${ owner }/${ repo }/pulls/${ prNumber }`,
+        deadline,
       })
     }
 
@@ -3149,6 +3177,7 @@ class GitHub {
       url: `${ API_BASE_URL }/repos/${ owner }/${ repo }/pulls`,
       method: 'post',
       body: requestBody,
+      deadline,
     })
   }
 
@@ -3642,13 +3671,17 @@ class GitHub {
      * @sampleResult {"id":"12345","type":"WatchEvent","actor":{"login":"octocat"},"repo":{"name":"owner/repo"},"created_at":"2011-09-06T17:26:27Z"}
      */
   async onNewGlobalEvent(invocation) {
+    const deadline = retryDeadline()
+
     const user = await this.#apiRequest({
       url: `${ API_BASE_URL }/user`,
+      deadline,
     })
 
     const response = await this.#apiRequest({
       url: `${ API_BASE_URL }/users/${ user.login }/events`,
       query: { per_page: 1 },
+      deadline,
     })
 
     if (response && response.length > 0) {
@@ -3884,15 +3917,19 @@ class GitHub {
      * @sampleResult {"url":"https://api.github.com/repos/owner/repo/pulls/1","id":1,"number":1,"state":"open","title":"new-feature","user":{"login":"octocat"},"created_at":"2011-01-26T19:01:12Z","requested_reviewers":[{"login":"other-user"}]}
      */
   async onNewReviewRequest(invocation) {
+    const deadline = retryDeadline()
+
     const { owner, repo } = this.#parseRepository(invocation.params.repository)
 
     const user = await this.#apiRequest({
       url: `${ API_BASE_URL }/user`,
+      deadline,
     })
 
     const response = await this.#apiRequest({
       url: `${ API_BASE_URL }/repos/${ owner }/${ repo }/pulls`,
       query: { state: 'open', per_page: 100 },
+      deadline,
     })
 
     const reviewRequests = (response || []).filter(pr =>
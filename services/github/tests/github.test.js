@@ -147,6 +147,31 @@ describe('GitHub Service', () => {
       expect(mock.history).toHaveLength(1)
       expect(mock.history[0].headers).toMatchObject(AUTH_HEADERS)
     })
+
+    it('waits for a secondary rate limit and retries', async () => {
+      jest.useFakeTimers({ now: 0 })
+
+      try {
+        mock.onGet(`${ API_BASE }/user`).once().replyWithStatus(403, { message: 'You have exceeded a secondary rate limit' }, { 'Retry-After': '2' })
+        mock.onGet(`${ API_BASE }/user`).reply({ login: 'octocat', id: 1 })
+
+        const pending = service.getCurrentUser()
+
+        await jest.runAllTimersAsync()
+
+        await expect(pending).resolves.toMatchObject({ login: 'octocat' })
+        expect(mock.callsTo('get', `${ API_BASE }/user`).map(call => call.at)).toEqual([0, 2000])
+      } finally {
+        jest.useRealTimers()
+      }
+    })
+
+    it('does not retry a plain 403', async () => {
+      mock.onGet(`${ API_BASE }/user`).replyWithStatus(403, { message: 'Resource not accessible by integration' })
+
+      await expect(service.getCurrentUser()).rejects.toThrow('Resource not accessible by integration')
+      expect(mock.history).toHaveLength(1)
+    })
   })
 
   // ── Dictionaries ──
@@ -306,6 +331,32 @@ describe('GitHub Service', () => {
       expect(result.items[0]).toMatchObject({ label: 'me (You)', value: 'me', note: 'User' })
       expect(result.items[1]).toMatchObject({ label: 'org1', value: 'org1', note: 'Organization' })
     })
+
+    it('shares one retry budget across its requests', async () => {
+      jest.useFakeTimers({ now: 0 })
+
+      try {
+        mock.onGet(`${ API_BASE }/user/repos`).once().replyWithStatus(429, {}, { 'Retry-After': '20' })
+        mock.onGet(`${ API_BASE }/user/repos`).reply([])
+        mock.onGet(`${ API_BASE }/user`).once().replyWithStatus(429, {}, { 'Retry-After': '20' })
+        mock.onGet(`${ API_BASE }/user`).reply({ login: 'me' })
+
+        const pending = service.getOwnersDictionary({})
+        const assertion = expect(pending).rejects.toThrow('GitHub API error')
+
+        await jest.runAllTimersAsync()
+        await assertion
+
+        // the second request starts 20s into the 30s budget, too late for another 20s wait
+        expect(mock.history.map(call => [call.url, call.at])).toEqual([
+          [`${ API_BASE }/user/repos`, 0],
+          [`${ API_BASE }/user/repos`, 20000],
+          [`${ API_BASE }/user`, 20000],
+        ])
+      } finally {
+        jest.useRealTimers()
+      }
+    })
   })
 
   describe('getTeamsDictionary', () => {
@@ -1,7 +1,8 @@
 'use strict'
 
 const { logger } = require('./logger')
-const { DEFAULT_SCOPE_STRING } = require('./constants')
+const { DEFAULT_SCOPE_LIST, DEFAULT_SCOPE_STRING } = require('./constants')
+const { googleServiceAccountConfigItems, serviceAccountAuthFromConfig } = require('./google-auth')
 const {
   getRandomLabelColor,
   constructIdentityName,
@@ -34,6 +35,7 @@ class GmailService {
     this.clientId = config.clientId
     this.clientSecret = config.clientSecret
     this.scopes = DEFAULT_SCOPE_STRING
+    this.serviceAccountAuth = serviceAccountAuthFromConfig(config, DEFAULT_SCOPE_LIST)
   }
 
   /**
@@ -50,7 +52,7 @@ class GmailService {
       logger.debug(`${ logTag } - api request: [${ method }::${ url }] q=[${ JSON.stringify(query) }]`)
 
       return await Flowrunner.Request[method](url)
-        .set(this.#getAccessTokenHeader())
+        .set(await this.#getAccessTokenHeader())
         .set({ ...headers })
         .query(query)
         .send(body)
@@ -64,7 +66,11 @@ class GmailService {
   /**
    * @private
    */
-  #getAccessTokenHeader(accessToken) {
+  async #getAccessTokenHeader(accessToken) {
+    if (!accessToken && this.serviceAccountAuth) {
+      accessToken = await this.serviceAccountAuth.getAccessToken()
+    }
+
     return {
       Authorization: `Bearer ${ accessToken || this.request.headers['oauth-access-token'] }`,
     }
@@ -155,7 +161,7 @@ class GmailService {
     const userData = await this.#apiRequest({
       logTag: 'getCurrentUserInfo',
       url: USER_INFO_URL,
-      headers: this.#getAccessTokenHeader(codeExchangeResponse['access_token']),
+      headers: await this.#getAccessTokenHeader(codeExchangeResponse['access_token']),
     })
 
     return {
@@ -1504,4 +1510,5 @@ Flowrunner.ServerCode.addService(GmailService, [
     shared: true,
     hint: 'Your OAuth 2.0 Client Secret from the Google Cloud Console.',
   },
+  ...googleServiceAccountConfigItems,
 ])
\ No newline at end of file
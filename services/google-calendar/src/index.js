@@ -1,5 +1,7 @@
 'use strict'
 
+const { googleServiceAccountConfigItems, serviceAccountAuthFromConfig } = require('./google-auth')
+
 const API_BASE_URL = 'https://www.googleapis.com/calendar/v3'
 const TOKEN_URL = 'https://oauth2.googleapis.com/token'
 const OAUTH_URL = 'https://accounts.google.com/o/oauth2/v2/auth'
@@ -34,6 +36,7 @@ class GoogleCalendarService {
     this.clientId = config.clientId
     this.clientSecret = config.clientSecret
     this.scopes = DEFAULT_SCOPE_STRING
+    this.serviceAccountAuth = serviceAccountAuthFromConfig(config, DEFAULT_SCOPE_LIST)
   }
 
   async #apiRequest({ url, method, body, query, logTag }) {
@@ -47,7 +50,7 @@ class GoogleCalendarService {
       logger.debug(`${ logTag } - api request: [${ method }::${ url }] q=[${ JSON.stringify(query) }]`)
 
       return await Flowrunner.Request[method](url)
-        .set(this.#getAccessTokenHeader())
+        .set(await this.#getAccessTokenHeader())
         .query(query)
         .send(body)
     } catch (error) {
@@ -57,7 +60,13 @@ class GoogleCalendarService {
     }
   }
 
-  #getAccessTokenHeader(accessToken) {
+  // With a service-account key the connection acts as that account (or the Workspace user it
+  // impersonates) instead of the user who granted OAuth access.
+  async #getAccessTokenHeader(accessToken) {
+    if (!accessToken && this.serviceAccountAuth) {
+      accessToken = await this.serviceAccountAuth.getAccessToken()
+    }
+
     return {
       Authorization: `Bearer ${ accessToken || this.request.headers['oauth-access-token'] }`,
     }
@@ -165,7 +174,7 @@ class GoogleCalendarService {
     try {
       userData = await Flowrunner.Request
         .get(USER_INFO_URL)
-        .set(this.#getAccessTokenHeader(codeExchangeResponse.access_token))
+        .set(await this.#getAccessTokenHeader(codeExchangeResponse.access_token))
 
       logger.debug(`[executeCallback] userInfo: ${ JSON.stringify(userData) }`)
 
@@ -908,6 +917,7 @@ Flowrunner.ServerCode.addService(GoogleCalendarService, [
     shared: true,
     hint: 'Your OAuth 2.0 Client Secret from the Google Cloud Console (required for secure authentication).',
   },
+  ...googleServiceAccountConfigItems,
 ])
 
 function cleanupObject(data) {
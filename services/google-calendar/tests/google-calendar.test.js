@@ -1,5 +1,7 @@
 'use strict'
 
+const crypto = require('crypto')
+
 const { createSandbox } = require('../../../service-sandbox')
 
 const CLIENT_ID = 'test-client-id'
@@ -976,4 +978,70 @@ describe('Google Calendar Service', () => {
       await expect(service.getEvent('primary', 'bad-id')).rejects.toThrow()
     })
   })
+
+  // ── Service account connection ──
+
+  describe('service account connection', () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+    const serviceAccountKey = JSON.stringify({
+      client_email: 'flows@project.iam.gserviceaccount.com',
+      private_key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    })
+
+    let saSandbox
+    let saService
+    let saMock
+
+    beforeEach(() => {
+      saSandbox = createSandbox({ clientId: CLIENT_ID, clientSecret: CLIENT_SECRET, serviceAccountKey, impersonatedUser: 'admin@example.com' })
+
+      jest.isolateModules(() => {
+        require('../src/index.js')
+      })
+
+      saService = saSandbox.getService()
+      saMock = saSandbox.getRequestMock()
+      saService.request = { headers: {} }
+    })
+
+    afterEach(() => {
+      saSandbox.cleanup()
+    })
+
+    it('offers the service account key and impersonated user as connection settings', () => {
+      expect(saSandbox.getConfigItems()).toEqual(expect.arrayContaining([
+        expect.objectContaining({ name: 'serviceAccountKey', required: false, type: 'TEXT' }),
+        expect.objectContaining({ name: 'impersonatedUser', required: false, type: 'STRING' }),
+      ]))
+    })
+
+    it('calls the API with a token minted for the impersonated user', async () => {
+      saMock.onPost(TOKEN_URL).reply({ access_token: 'sa-token', expires_in: 3600 })
+      saMock.onGet(`${ API_BASE }/users/me/calendarList`).reply({ items: [] })
+
+      await saService.getCalendarsDictionary({})
+      await saService.getCalendarsDictionary({})
+
+      const tokenRequests = saMock.callsTo('post', TOKEN_URL)
+      const assertion = new URLSearchParams(tokenRequests[0].body).get('assertion')
+      const [header, claims, signature] = assertion.split('.')
+
+      expect(tokenRequests).toHaveLength(1)
+
+      expect(JSON.parse(Buffer.from(claims, 'base64url').toString())).toMatchObject({
+        iss: 'flows@project.iam.gserviceaccount.com',
+        sub: 'admin@example.com',
+        scope: 'https://www.googleapis.com/auth/calendar https://www.googleapis.com/auth/calendar.events',
+      })
+
+      expect(crypto.verify('RSA-SHA256', Buffer.from(`${ header }.${ claims }`), publicKey, Buffer.from(signature, 'base64url'))).toBe(true)
+      expect(saMock.callsTo('get', `${ API_BASE }/users/me/calendarList`).map(call => call.headers.Authorization)).toEqual(['Bearer sa-token', 'Bearer sa-token'])
+    })
+
+    it('explains a missing domain-wide delegation grant', async () => {
+      saMock.onPost(TOKEN_URL).replyWithStatus(401, { error: 'unauthorized_client', error_description: 'Client is unauthorized to retrieve access tokens using this method' })
+
+      await expect(saService.getCalendarsDictionary({})).rejects.toThrow(/admin@example.com: .*Domain-wide delegation/)
+    })
+  })
 })
@@ -1,6 +1,8 @@
 'use strict'
 
 const crypto = require('node:crypto')
+const http = require('node:http')
+const https = require('node:https')
 
 const TOKEN_URL = 'https://oauth2.googleapis.com/token'
 const CLOUD_PLATFORM_SCOPE = 'https://www.googleapis.com/auth/cloud-platform'
@@ -12,6 +14,15 @@ const UPLOAD_BASE_URL = 'https://storage.googleapis.com/upload/storage/v1'
 const SIGNED_URL_HOST = 'storage.googleapis.com'
 const MAX_SIGNED_URL_EXPIRATION_SECONDS = 604800
 
+// Resumable upload chunks must be multiples of 256 KiB (the last one excepted).
+const MIN_CHUNK_SIZE_MB = 1
+const DEFAULT_CHUNK_SIZE_MB = 8
+const MAX_CHUNK_SIZE_MB = 100
+const MAX_COMPOSE_SOURCES = 32
+const OBJECT_CHANGE_TRIGGER_BATCH_SIZE = 100
+
+const RETENTION_MODES = ['Unlocked', 'Locked', 'Remove']
+
 const STORAGE_CLASS_MAP = {
   'Standard': 'STANDARD',
   'Nearline': 'NEARLINE',
@@ -312,6 +323,114 @@ class GoogleCloudStorage {
     return `${ STORAGE_BASE_URL }/b/${ encodeURIComponent(bucket) }/o/${ encodeURIComponent(objectName) }`
   }
 
+  #trimProtectedObject(object) {
+    return {
+      ...this.#trimObject(object),
+      temporaryHold: object.temporaryHold ?? false,
+      eventBasedHold: object.eventBasedHold ?? false,
+      retention: object.retention || null,
+      retentionExpirationTime: object.retentionExpirationTime || null,
+    }
+  }
+
+  #parseChunkSize(chunkSizeMb) {
+    const sizeMb = chunkSizeMb === undefined || chunkSizeMb === null || chunkSizeMb === '' ? DEFAULT_CHUNK_SIZE_MB : Number(chunkSizeMb)
+
+    if (!Number.isInteger(sizeMb) || sizeMb < MIN_CHUNK_SIZE_MB || sizeMb > MAX_CHUNK_SIZE_MB) {
+      throw new Error(`Chunk Size must be a whole number of MB between ${ MIN_CHUNK_SIZE_MB } and ${ MAX_CHUNK_SIZE_MB }`)
+    }
+
+    return sizeMb * 1024 * 1024
+  }
+
+  // Opens a GET on the source URL and resolves with the response stream once a 2xx status
+  // arrives, so large files are read chunk by chunk. Follows up to 5 redirects.
+  #openSource(sourceUrl, redirectsLeft = 5) {
+    const parsed = new URL(sourceUrl)
+    const transport = parsed.protocol === 'http:' ? http : https
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request({
+        hostname: parsed.hostname,
+        port: parsed.port || (parsed.protocol === 'http:' ? 80 : 443),
+        path: `${ parsed.pathname }${ parsed.search }`,
+        method: 'GET',
+      }, res => {
+        const location = res.headers?.location
+
+        if (res.statusCode >= 300 && res.statusCode < 400 && location) {
+          res.resume()
+
+          if (redirectsLeft <= 0) {
+            return reject(new Error('Failed to fetch the source file from the provided URL: too many redirects'))
+          }
+
+          return resolve(this.#openSource(new URL(location, parsed).toString(), redirectsLeft - 1))
+        }
+
+        if (res.statusCode >= 300) {
+          res.resume()
+
+          return reject(new Error(`Failed to fetch the source file from the provided URL: HTTP ${ res.statusCode }`))
+        }
+
+        // The timeout only guards the wait for the response; the body is read at the uploader's pace.
+        req.setTimeout(0)
+        resolve(res)
+      })
+
+      req.on('error', error => reject(new Error(`Failed to fetch the source file from the provided URL: ${ error.message }`)))
+      req.setTimeout(60000, () => req.destroy(new Error('request timed out')))
+      req.end()
+    })
+  }
+
+  // Sends a request to a resumable upload session URI. Flowrunner.Request is not used here
+  // because GCS answers every intermediate chunk with HTTP 308, which it would treat as a redirect.
+  #sendToUploadSession(sessionUrl, method, headers, body) {
+    const parsed = new URL(sessionUrl)
+
+    return new Promise((resolve, reject) => {
+      const req = https.request({
+        hostname: parsed.hostname,
+        port: parsed.port || 443,
+        path: `${ parsed.pathname }${ parsed.search }`,
+        method,
+        headers: { ...headers, 'Content-Length': body ? body.length : 0 },
+      }, res => {
+        const chunks = []
+
+        res.on('data', chunk => chunks.push(chunk))
+        res.on('error', reject)
+        res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }))
+      })
+
+      req.on('error', reject)
+      req.setTimeout(120000, () => req.destroy(new Error('upload request timed out')))
+
+      if (body) req.write(body)
+
+      req.end()
+    })
+  }
+
+  #parseSessionResponse(response, logTag) {
+    const text = response.body.toString('utf8')
+    let body
+
+    try {
+      body = text ? JSON.parse(text) : {}
+    } catch (error) {
+      body = { message: text }
+    }
+
+    if (response.statusCode >= 400) {
+      throw this.#mapApiError({ body, message: `HTTP ${ response.statusCode }` }, logTag)
+    }
+
+    return body
+  }
+
   // ==========================================================================
   //  BUCKETS
   // ==========================================================================
@@ -556,6 +675,134 @@ class GoogleCloudStorage {
     }
   }
 
+  /**
+   * @operationName Upload Large Object from URL
+   * @category Objects
+   * @description Streams a file from a URL into a Cloud Storage object through a resumable upload, without holding the whole file in memory — use this instead of 'Upload Object' for files of several GB. The source is read and sent one chunk at a time; the object only appears (or replaces an existing object of the same name) once the last chunk is committed, and a failed upload is cancelled so no partial object is left behind. The content type is inferred from the object name's extension unless specified explicitly.
+   * @route POST /upload-large-object-from-url
+   * @executionTimeoutInSeconds 900
+   *
+   * @paramDef {"type":"String","label":"Bucket","name":"bucket","required":true,"dictionary":"getBucketsDictionary","description":"The bucket to upload into."}
+   * @paramDef {"type":"String","label":"Object Name","name":"objectName","required":true,"description":"Full name (path) to store the object under, e.g. 'videos/2026/recording.mp4'."}
+   * @paramDef {"type":"String","label":"Source URL","name":"sourceUrl","required":true,"uiComponent":{"type":"FILE_SELECTOR"},"description":"URL of the file to stream into the bucket: a FlowRunner file URL produced by a previous step, or any publicly accessible URL. Redirects are followed."}
+   * @paramDef {"type":"String","label":"Content Type","name":"contentType","description":"MIME type to store with the object, e.g. 'video/mp4'. Defaults to a type inferred from the object name's extension, or 'application/octet-stream'."}
+   * @paramDef {"type":"Number","label":"Chunk Size (MB)","name":"chunkSizeMb","defaultValue":8,"uiComponent":{"type":"NUMERIC_STEPPER"},"description":"How much of the file is sent per request, 1-100 MB (default 8). Larger chunks mean fewer requests but more memory."}
+   * @paramDef {"type":"Object","label":"Custom Metadata","name":"metadata","description":"Custom key/value metadata to store on the object, e.g. {\"source\":\"camera-7\"}."}
+   *
+   * @returns {Object}
+   * @sampleResult {"name":"videos/2026/recording.mp4","bucket":"my-app-assets","size":3221225472,"contentType":"video/mp4","storageClass":"STANDARD","timeCreated":"2026-02-01T09:30:00.000Z","updated":"2026-02-01T09:30:00.000Z","generation":"1738402200000000","md5Hash":"XrY7u+Ae7tCTyyK7j1rNww==","crc32c":"AAAAAA==","etag":"CJDs0uOr5\/8CEAE=","cacheControl":null,"contentEncoding":null,"metadata":{"source":"camera-7"},"mediaLink":"https://storage.googleapis.com/download/storage/v1/b/my-app-assets/o/videos%2F2026%2Frecording.mp4?generation=1738402200000000&alt=media","chunkCount":385}
+   */
+  async uploadLargeObjectFromUrl(bucket, objectName, sourceUrl, contentType, chunkSizeMb, metadata) {
+    if (!sourceUrl || !String(sourceUrl).trim()) {
+      throw new Error('Source URL is required')
+    }
+
+    const chunkSize = this.#parseChunkSize(chunkSizeMb)
+    const resolvedContentType = contentType || this.#inferContentType(objectName)
+    const accessToken = await this.#getAccessToken()
+    const source = await this.#openSource(String(sourceUrl).trim())
+
+    let sessionUrl
+
+    try {
+      logger.debug(`uploadLargeObjectFromUrl - starting resumable upload to gs://${ bucket }/${ objectName }`)
+
+      const response = await Flowrunner.Request.post(`${ UPLOAD_BASE_URL }/b/${ encodeURIComponent(bucket) }/o`)
+        .set({
+          'Authorization': `Bearer ${ accessToken }`,
+          'Content-Type': 'application/json',
+          'X-Upload-Content-Type': resolvedContentType,
+        })
+        .query({ uploadType: 'resumable', name: objectName })
+        .unwrapBody(false)
+        .send(this.#compactObject({ name: objectName, contentType: resolvedContentType, metadata }))
+
+      sessionUrl = response.headers?.location || response.headers?.Location
+    } catch (error) {
+      source.destroy()
+      throw this.#mapApiError(error, 'uploadLargeObjectFromUrl')
+    }
+
+    if (!sessionUrl) {
+      source.destroy()
+      throw new Error('Google Cloud Storage did not return a resumable upload session URL')
+    }
+
+    let offset = 0
+    let chunkCount = 0
+    let object
+
+    // Sends one chunk and returns how many of its bytes GCS persisted. The total size is only
+    // known with the last chunk; until then the range ends in "/*".
+    const sendChunk = async (chunk, isLast) => {
+      const end = offset + chunk.length - 1
+      const range = isLast
+        ? chunk.length ? `bytes ${ offset }-${ end }/${ offset + chunk.length }` : `bytes */${ offset }`
+        : `bytes ${ offset }-${ end }/*`
+
+      const response = await this.#sendToUploadSession(sessionUrl, 'PUT', { 'Content-Range': range }, chunk)
+
+      chunkCount++
+
+      if (response.statusCode === 308) {
+        // The Range header ("bytes=0-N") reports everything persisted so far; a missing one means nothing.
+        const persistedEnd = /bytes=\d+-(\d+)/.exec(response.headers.range || '')
+        const persisted = (persistedEnd ? Number(persistedEnd[1]) + 1 : 0) - offset
+
+        if (persisted <= 0) {
+          throw new Error(`Google Cloud Storage did not accept the chunk starting at byte ${ offset }`)
+        }
+
+        return persisted
+      }
+
+      object = this.#parseSessionResponse(response, 'uploadLargeObjectFromUrl')
+
+      return chunk.length
+    }
+
+    try {
+      let pending = []
+      let pendingLength = 0
+
+      // Awaiting inside the loop pauses the download while a chunk uploads. A full chunk is
+      // held back until more data arrives, so the final chunk can always carry the total size.
+      for await (const data of source) {
+        pending.push(data)
+        pendingLength += data.length
+
+        while (pendingLength > chunkSize) {
+          const buffered = Buffer.concat(pending)
+          const persisted = await sendChunk(buffered.subarray(0, chunkSize), false)
+
+          offset += persisted
+          pending = [buffered.subarray(persisted)]
+          pendingLength = buffered.length - persisted
+        }
+      }
+
+      let rest = Buffer.concat(pending)
+
+      while (!object) {
+        const persisted = await sendChunk(rest, true)
+
+        offset += persisted
+        rest = rest.subarray(persisted)
+      }
+    } catch (error) {
+      source.destroy()
+
+      // Cancel the session so the partial upload is discarded; GCS answers 499.
+      await this.#sendToUploadSession(sessionUrl, 'DELETE', {}).catch(() => {})
+
+      throw error
+    }
+
+    logger.debug(`uploadLargeObjectFromUrl - uploaded ${ offset } bytes in ${ chunkCount } chunk(s)`)
+
+    return { ...this.#trimObject(object), chunkCount }
+  }
+
   /**
    * @operationName Delete Object
    * @category Objects
@@ -606,6 +853,42 @@ class GoogleCloudStorage {
     return this.#trimObject(response)
   }
 
+  /**
+   * @operationName Compose Objects
+   * @category Objects
+   * @description Concatenates up to 32 objects of one bucket, in the given order, into a single new object — server-side, so no data passes through FlowRunner. Useful for joining log fragments or the parts of a parallel upload. An existing object at the destination is overwritten (it may also be one of the sources, to append to it). The source objects are left untouched; delete them afterwards if they are no longer needed. All sources must share the destination's storage class.
+   * @route POST /compose-objects
+   *
+   * @paramDef {"type":"String","label":"Bucket","name":"bucket","required":true,"dictionary":"getBucketsDictionary","description":"The bucket containing the source objects; the composed object is written to the same bucket."}
+   * @paramDef {"type":"Array<String>","label":"Source Object Names","name":"sourceObjects","required":true,"description":"Full names (paths) of the objects to concatenate, in order, e.g. ['logs/part-1.txt','logs/part-2.txt']. Between 1 and 32 objects."}
+   * @paramDef {"type":"String","label":"Destination Object Name","name":"destinationObject","required":true,"description":"Full name (path) for the composed object, e.g. 'logs/combined.txt'."}
+   * @paramDef {"type":"String","label":"Content Type","name":"contentType","description":"MIME type to store with the composed object. Defaults to a type inferred from the destination name's extension, or 'application/octet-stream'."}
+   *
+   * @returns {Object}
+   * @sampleResult {"name":"logs/combined.txt","bucket":"my-app-assets","size":3072,"contentType":"text/plain","storageClass":"STANDARD","timeCreated":"2026-02-02T11:00:00.000Z","updated":"2026-02-02T11:00:00.000Z","generation":"1738494000000000","md5Hash":null,"crc32c":"n8Jp0A==","etag":"CIDW7Zv1+/8CEAE=","cacheControl":null,"contentEncoding":null,"metadata":{},"mediaLink":"https://storage.googleapis.com/download/storage/v1/b/my-app-assets/o/logs%2Fcombined.txt?generation=1738494000000000&alt=media"}
+   */
+  async composeObjects(bucket, sourceObjects, destinationObject, contentType) {
+    const names = (Array.isArray(sourceObjects) ? sourceObjects : [sourceObjects])
+      .map(name => (typeof name === 'string' ? name.trim() : name))
+      .filter(Boolean)
+
+    if (!names.length || names.length > MAX_COMPOSE_SOURCES) {
+      throw new Error(`Provide between 1 and ${ MAX_COMPOSE_SOURCES } source object names to compose`)
+    }
+
+    const response = await this.#apiRequest({
+      url: `${ this.#objectUrl(bucket, destinationObject) }/compose`,
+      method: 'post',
+      body: {
+        sourceObjects: names.map(name => ({ name })),
+        destination: { contentType: contentType || this.#inferContentType(destinationObject) },
+      },
+      logTag: 'composeObjects',
+    })
+
+    return this.#trimObject(response)
+  }
+
   /**
    * @operationName Update Object Metadata
    * @category Objects
@@ -638,6 +921,89 @@ class GoogleCloudStorage {
     return this.#trimObject(response)
   }
 
+  // ==========================================================================
+  //  RETENTION AND HOLDS
+  // ==========================================================================
+
+  /**
+   * @operationName Set Object Holds
+   * @category Retention and Holds
+   * @description Places or releases holds on an object. While any hold is set, the object cannot be deleted or overwritten. A temporary hold is a simple lock, e.g. for legal or investigative review. An event-based hold additionally restarts the bucket's retention period when it is released — use it when retention should count from an event (such as an account closing) rather than from the upload. Only the holds you provide are changed.
+   * @route PATCH /set-object-holds
+   *
+   * @paramDef {"type":"String","label":"Bucket","name":"bucket","required":true,"dictionary":"getBucketsDictionary","description":"The bucket containing the object."}
+   * @paramDef {"type":"String","label":"Object Name","name":"objectName","required":true,"dictionary":"getObjectsDictionary","dependsOn":["bucket"],"description":"Full name (path) of the object. Choose a bucket above to pick from its objects."}
+   * @paramDef {"type":"Boolean","label":"Temporary Hold","name":"temporaryHold","uiComponent":{"type":"TOGGLE"},"description":"Turn on to place a temporary hold, off to release it. Leave unset to keep the current value."}
+   * @paramDef {"type":"Boolean","label":"Event-Based Hold","name":"eventBasedHold","uiComponent":{"type":"TOGGLE"},"description":"Turn on to place an event-based hold, off to release it (which starts the bucket's retention period). Leave unset to keep the current value."}
+   *
+   * @returns {Object}
+   * @sampleResult {"name":"contracts/2026/acme.pdf","bucket":"my-app-assets","size":204800,"contentType":"application/pdf","storageClass":"STANDARD","timeCreated":"2026-02-01T09:30:00.000Z","updated":"2026-02-03T08:15:00.000Z","generation":"1738402200000000","md5Hash":"XrY7u+Ae7tCTyyK7j1rNww==","crc32c":"AAAAAA==","etag":"CJDs0uOr5\/8CEAI=","cacheControl":null,"contentEncoding":null,"metadata":{},"mediaLink":"https://storage.googleapis.com/download/storage/v1/b/my-app-assets/o/contracts%2F2026%2Facme.pdf?generation=1738402200000000&alt=media","temporaryHold":true,"eventBasedHold":false,"retention":null,"retentionExpirationTime":null}
+   */
+  async setObjectHolds(bucket, objectName, temporaryHold, eventBasedHold) {
+    const body = {}
+
+    if (typeof temporaryHold === 'boolean') body.temporaryHold = temporaryHold
+    if (typeof eventBasedHold === 'boolean') body.eventBasedHold = eventBasedHold
+
+    if (!Object.keys(body).length) {
+      throw new Error('Provide Temporary Hold and/or Event-Based Hold to change')
+    }
+
+    const response = await this.#apiRequest({
+      url: this.#objectUrl(bucket, objectName),
+      method: 'patch',
+      body,
+      logTag: 'setObjectHolds',
+    })
+
+    return this.#trimProtectedObject(response)
+  }
+
+  /**
+   * @operationName Set Object Retention
+   * @category Retention and Holds
+   * @description Sets the retention configuration of a single object: until the retain-until time passes, the object cannot be deleted or overwritten. 'Unlocked' retention can later be shortened or removed (with Override Unlocked Retention); 'Locked' retention can only ever be extended — LOCKING IS IRREVERSIBLE. Choose 'Remove' to delete an unlocked retention configuration. Requires a bucket with object retention enabled.
+   * @route PATCH /set-object-retention
+   *
+   * @paramDef {"type":"String","label":"Bucket","name":"bucket","required":true,"dictionary":"getBucketsDictionary","description":"The bucket containing the object. Object retention must be enabled on the bucket."}
+   * @paramDef {"type":"String","label":"Object Name","name":"objectName","required":true,"dictionary":"getObjectsDictionary","dependsOn":["bucket"],"description":"Full name (path) of the object. Choose a bucket above to pick from its objects."}
+   * @paramDef {"type":"String","label":"Mode","name":"mode","required":true,"defaultValue":"Unlocked","uiComponent":{"type":"DROPDOWN","options":{"values":["Unlocked","Locked","Remove"]}},"description":"Unlocked: retention that can be changed later. Locked: retention that can only be extended. Remove: delete the object's unlocked retention."}
+   * @paramDef {"type":"String","label":"Retain Until","name":"retainUntilTime","uiComponent":{"type":"DATE_TIME_PICKER"},"description":"Date and time until which the object is protected, e.g. '2027-01-01T00:00:00Z'. Required unless Mode is Remove."}
+   * @paramDef {"type":"Boolean","label":"Override Unlocked Retention","name":"overrideUnlockedRetention","uiComponent":{"type":"TOGGLE"},"description":"Required to move the retain-until time of an existing unlocked retention earlier. Always applied for Remove."}
+   *
+   * @returns {Object}
+   * @sampleResult {"name":"contracts/2026/acme.pdf","bucket":"my-app-assets","size":204800,"contentType":"application/pdf","storageClass":"STANDARD","timeCreated":"2026-02-01T09:30:00.000Z","updated":"2026-02-03T08:15:00.000Z","generation":"1738402200000000","md5Hash":"XrY7u+Ae7tCTyyK7j1rNww==","crc32c":"AAAAAA==","etag":"CJDs0uOr5\/8CEAI=","cacheControl":null,"contentEncoding":null,"metadata":{},"mediaLink":"https://storage.googleapis.com/download/storage/v1/b/my-app-assets/o/contracts%2F2026%2Facme.pdf?generation=1738402200000000&alt=media","temporaryHold":false,"eventBasedHold":false,"retention":{"mode":"Unlocked","retainUntilTime":"2027-01-01T00:00:00.000Z"},"retentionExpirationTime":null}
+   */
+  async setObjectRetention(bucket, objectName, mode, retainUntilTime, overrideUnlockedRetention) {
+    const retentionMode = mode || 'Unlocked'
+
+    if (!RETENTION_MODES.includes(retentionMode)) {
+      throw new Error(`Mode must be one of: ${ RETENTION_MODES.join(', ') }`)
+    }
+
+    let retention = null
+
+    if (retentionMode !== 'Remove') {
+      const retainUntil = retainUntilTime ? new Date(retainUntilTime) : null
+
+      if (!retainUntil || Number.isNaN(retainUntil.getTime())) {
+        throw new Error('Retain Until must be a valid date and time, e.g. 2027-01-01T00:00:00Z')
+      }
+
+      retention = { mode: retentionMode, retainUntilTime: retainUntil.toISOString() }
+    }
+
+    const response = await this.#apiRequest({
+      url: this.#objectUrl(bucket, objectName),
+      method: 'patch',
+      body: { retention },
+      query: { overrideUnlockedRetention: retentionMode === 'Remove' || overrideUnlockedRetention === true ? 'true' : undefined },
+      logTag: 'setObjectRetention',
+    })
+
+    return this.#trimProtectedObject(response)
+  }
+
   // ==========================================================================
   //  SIGNED URLS
   // ==========================================================================
@@ -731,6 +1097,149 @@ class GoogleCloudStorage {
     }
   }
 
+  // ==========================================================================
+  //  TRIGGERS
+  // ==========================================================================
+
+  /**
+   * @registerAs SYSTEM
+   * @paramDef {"type":"Object","label":"invocation","name":"invocation"}
+   * @returns {Object}
+   */
+  async handleTriggerPollingForEvent(invocation) {
+    return this[invocation.eventName](invocation)
+  }
+
+  /**
+   * @operationName On New or Updated Object
+   * @category Triggers
+   * @description Fires when an object is created or overwritten in a bucket, optionally only under a name prefix. Each poll lists the watched objects and reports those whose 'updated' time is past the newest change already seen; every upload creates a new generation, so an overwrite fires again even though the name is unchanged. Metadata-only changes (same generation) are ignored unless Include Metadata Changes is on. The changeType field tells the two apart. The first poll only records the objects that already exist, and deletions do not fire. Every poll lists all objects under the prefix, so narrow large buckets down with a prefix. Polling interval can be customized (minimum 30 seconds).
+   * @registerAs POLLING_TRIGGER
+   * @route POST /on-new-or-updated-object
+   * @executionTimeoutInSeconds 120
+   *
+   * @paramDef {"type":"String","label":"Bucket","name":"bucket","required":true,"dictionary":"getBucketsDictionary","description":"The bucket to watch."}
+   * @paramDef {"type":"String","label":"Prefix","name":"prefix","description":"Only watch objects whose names begin with this prefix, e.g. 'incoming/'. Leave blank to watch the whole bucket."}
+   * @paramDef {"type":"Boolean","label":"Include Metadata Changes","name":"includeMetadataChanges","uiComponent":{"type":"TOGGLE"},"description":"Also fire when only an object's metadata changes (content type, custom metadata, holds, etc.), not its data."}
+   *
+   * @returns {Object}
+   * @sampleResult {"name":"incoming/invoice-1042.pdf","bucket":"my-app-assets","size":48213,"contentType":"application/pdf","storageClass":"STANDARD","timeCreated":"2026-02-01T09:30:00.000Z","updated":"2026-02-01T09:30:00.000Z","generation":"1738402200000000","md5Hash":"XrY7u+Ae7tCTyyK7j1rNww==","crc32c":"AAAAAA==","etag":"CJDs0uOr5\/8CEAE=","cacheControl":null,"contentEncoding":null,"metadata":{},"mediaLink":"https://storage.googleapis.com/download/storage/v1/b/my-app-assets/o/incoming%2Finvoice-1042.pdf?generation=1738402200000000&alt=media","metageneration":"1","changeType":"data"}
+   */
+  async onNewOrUpdatedObject(invocation) {
+    const { bucket, prefix, includeMetadataChanges } = invocation.triggerData || {}
+
+    if (!bucket) {
+      throw new Error('Bucket is required')
+    }
+
+    const watchPrefix = prefix || ''
+
+    if (invocation.learningMode) {
+      const sample = (await this.#listWatchedObjects(bucket, watchPrefix, 1)).pop()
+
+      return { events: sample ? [this.#objectChangeEvent(sample, true)] : [], state: null }
+    }
+
+    const entries = await this.#listWatchedObjects(bucket, watchPrefix)
+    const state = invocation.state
+
+    if (!state || state.bucket !== bucket || state.prefix !== watchPrefix) {
+      const newest = entries.length ? entries[entries.length - 1].updatedAt : null
+
+      return {
+        events: [],
+        state: {
+          bucket,
+          prefix: watchPrefix,
+          updatedAt: newest,
+          versions: entries.filter(entry => entry.updatedAt === newest).map(entry => entry.version),
+        },
+      }
+    }
+
+    // Several changes can share a millisecond, so the versions ("name#generation.metageneration")
+    // already reported at the watermark are remembered and skipped.
+    const reported = new Set(state.versions)
+    const changed = entries
+      .filter(entry => state.updatedAt === null || entry.updatedAt > state.updatedAt ||
+        (entry.updatedAt === state.updatedAt && !reported.has(entry.version)))
+      .slice(0, OBJECT_CHANGE_TRIGGER_BATCH_SIZE)
+
+    if (!changed.length) {
+      return { events: [], state }
+    }
+
+    const watermark = changed[changed.length - 1].updatedAt
+    const versions = changed.filter(entry => entry.updatedAt === watermark).map(entry => entry.version)
+
+    // A generation created after the previous watermark is new data (a new object or an
+    // overwrite); an older generation with a newer 'updated' time only had its metadata changed.
+    const reportedGenerations = new Set(state.versions.map(version => version.slice(0, version.lastIndexOf('.'))))
+    const isNewData = entry => state.updatedAt === null || entry.createdAt > state.updatedAt ||
+      (entry.createdAt === state.updatedAt && !reportedGenerations.has(entry.generation))
+
+    const events = changed
+      .map(entry => this.#objectChangeEvent(entry, isNewData(entry)))
+      .filter(event => event.changeType === 'data' || includeMetadataChanges === true)
+
+    return {
+      events,
+      state: {
+        bucket,
+        prefix: watchPrefix,
+        updatedAt: watermark,
+        versions: watermark === state.updatedAt ? [...state.versions, ...versions] : versions,
+      },
+    }
+  }
+
+  #objectChangeEvent(entry, isNewData) {
+    return {
+      ...this.#trimObject(entry.object),
+      metageneration: entry.object.metageneration || null,
+      changeType: isNewData ? 'data' : 'metadata',
+    }
+  }
+
+  /**
+   * Lists the objects under a prefix (all pages unless maxPages is given) as
+   * { object, updatedAt, createdAt, generation, version }, sorted by 'updated' time and name.
+   */
+  async #listWatchedObjects(bucket, prefix, maxPages = Infinity) {
+    const entries = []
+    let pageToken
+    let pages = 0
+
+    do {
+      const response = await this.#apiRequest({
+        url: `${ STORAGE_BASE_URL }/b/${ encodeURIComponent(bucket) }/o`,
+        query: { prefix, pageToken, maxResults: 1000 },
+        logTag: 'onNewOrUpdatedObject',
+      })
+
+      for (const object of response.items || []) {
+        if (object.updated) {
+          entries.push({
+            object,
+            updatedAt: new Date(object.updated).toISOString(),
+            createdAt: new Date(object.timeCreated || object.updated).toISOString(),
+            generation: `${ object.name }#${ object.generation }`,
+            version: `${ object.name }#${ object.generation }.${ object.metageneration }`,
+          })
+        }
+      }
+
+      pageToken = response.nextPageToken
+      pages++
+    } while (pageToken && pages < maxPages)
+
+    return entries.sort((a, b) => {
+      if (a.updatedAt !== b.updatedAt) return a.updatedAt < b.updatedAt ? -1 : 1
+
+      return a.object.name < b.object.name ? -1 : a.object.name > b.object.name ? 1 : 0
+    })
+  }
+
   // ==========================================================================
   //  DICTIONARIES
   // ==========================================================================
@@ -39,10 +39,12 @@ describe('Google Cloud Storage Service (e2e)', () => {
       // ignore
     }
 
-    try {
-      await service.deleteObject(bucketName, copyObjectName)
-    } catch (e) {
-      // ignore
+    for (const name of [copyObjectName, largeObjectName, composedObjectName, triggerObjectName]) {
+      try {
+        await service.deleteObject(bucketName, name)
+      } catch (e) {
+        // ignore
+      }
     }
 
     try {
@@ -61,6 +63,9 @@ describe('Google Cloud Storage Service (e2e)', () => {
   const bucketName = `${ testValues.bucketPrefix || 'flowrunner-e2e' }-${ suffix }`
   const objectName = 'e2e/hello.txt'
   const copyObjectName = 'e2e/hello-copy.txt'
+  const largeObjectName = 'e2e/large.txt'
+  const composedObjectName = 'e2e/composed.txt'
+  const triggerObjectName = 'e2e-trigger/new.txt'
   // A small publicly-accessible source file to upload. Overridable via testValues.
   const sourceFileUrl = testValues.sourceFileUrl ||
     'https://raw.githubusercontent.com/git/git/master/README.md'
@@ -193,6 +198,86 @@ describe('Google Cloud Storage Service (e2e)', () => {
     })
   })
 
+  describe('uploadLargeObjectFromUrl', () => {
+    it('streams the source file through a resumable upload', async () => {
+      const response = await service.uploadLargeObjectFromUrl(bucketName, largeObjectName, sourceFileUrl, 'text/plain', 1)
+
+      expect(response).toHaveProperty('name', largeObjectName)
+      expect(response).toHaveProperty('contentType', 'text/plain')
+      expect(response.chunkCount).toBeGreaterThanOrEqual(1)
+    })
+  })
+
+  describe('composeObjects', () => {
+    it('concatenates two objects into a new one', async () => {
+      const original = await service.getObjectMetadata(bucketName, objectName)
+      const response = await service.composeObjects(bucketName, [objectName, largeObjectName], composedObjectName)
+
+      expect(response).toHaveProperty('name', composedObjectName)
+      expect(response.size).toBeGreaterThan(original.size)
+    })
+  })
+
+  describe('setObjectHolds', () => {
+    it('places and releases a temporary hold', async () => {
+      const placed = await service.setObjectHolds(bucketName, composedObjectName, true)
+
+      expect(placed).toHaveProperty('temporaryHold', true)
+
+      const released = await service.setObjectHolds(bucketName, composedObjectName, false)
+
+      expect(released).toHaveProperty('temporaryHold', false)
+    })
+  })
+
+  describe('setObjectRetention', () => {
+    it('sets an unlocked retention and removes it again', async () => {
+      // Needs a bucket created with object retention enabled.
+      if (!testValues.retentionBucket) {
+        console.log('Skipping setObjectRetention: set testValues.retentionBucket to a bucket with object retention enabled')
+
+        return
+      }
+
+      const retentionObject = `e2e/retention-${ suffix }.txt`
+
+      await service.uploadObject(testValues.retentionBucket, retentionObject, sourceFileUrl, 'text/plain')
+
+      const retainUntil = new Date(Date.now() + 3600000).toISOString()
+      const placed = await service.setObjectRetention(testValues.retentionBucket, retentionObject, 'Unlocked', retainUntil)
+
+      expect(placed.retention).toMatchObject({ mode: 'Unlocked' })
+
+      const removed = await service.setObjectRetention(testValues.retentionBucket, retentionObject, 'Remove')
+
+      expect(removed.retention).toBeNull()
+
+      await service.deleteObject(testValues.retentionBucket, retentionObject)
+    })
+  })
+
+  // ── Triggers ──
+
+  describe('onNewOrUpdatedObject', () => {
+    it('reports a new object and its overwrite under the watched prefix', async () => {
+      const poller = sandbox.startPolling({ name: 'onNewOrUpdatedObject', data: { bucket: bucketName, prefix: 'e2e-trigger/' } })
+
+      await poller.tick()
+      await service.uploadObject(bucketName, triggerObjectName, sourceFileUrl, 'text/plain')
+
+      const created = await poller.tick()
+
+      expect(created.events.map(event => event.name)).toEqual([triggerObjectName])
+
+      await service.uploadObject(bucketName, triggerObjectName, sourceFileUrl, 'text/plain')
+
+      const overwritten = await poller.tick()
+
+      expect(overwritten.events).toEqual([expect.objectContaining({ name: triggerObjectName, changeType: 'data' })])
+      expect(overwritten.events[0].generation).not.toBe(created.events[0].generation)
+    })
+  })
+
   // ── Signed URLs (no network; local RSA signing) ──
 
   describe('generateSignedUrl', () => {
@@ -3,6 +3,46 @@
 const crypto = require('node:crypto')
 const { createSandbox } = require('../../../service-sandbox')
 
+// Upload Large Object from URL streams the source and the upload chunks over node:https (GCS
+// answers intermediate chunks with HTTP 308), so that module is mocked: every request is
+// recorded in mockHttpsRequests and answered by mockHttpsHandler(options, body), which returns
+// { statusCode, headers, chunks }.
+let mockHttpsHandler
+const mockHttpsRequests = []
+
+jest.mock('node:https', () => {
+  const { EventEmitter } = require('node:events')
+  const { Readable } = require('node:stream')
+
+  return {
+    request: (options, callback) => {
+      const req = new EventEmitter()
+      const written = []
+
+      req.write = chunk => written.push(Buffer.from(chunk))
+      req.setTimeout = () => req
+      req.destroy = error => req.emit('error', error)
+
+      req.end = () => {
+        process.nextTick(() => {
+          const body = Buffer.concat(written)
+
+          mockHttpsRequests.push({ options, body })
+
+          const { statusCode, headers = {}, chunks = [] } = mockHttpsHandler(options, body)
+          const res = Readable.from(chunks.map(chunk => Buffer.from(chunk)))
+
+          res.statusCode = statusCode
+          res.headers = headers
+          callback(res)
+        })
+      }
+
+      return req
+    },
+  }
+})
+
 // A real 2048-bit RSA keypair so the service's genuine JWT/signature signing paths
 // (crypto.createSign('RSA-SHA256').sign(private_key) for both the JWT-bearer token
 // exchange and the V4 signed-URL signature) execute for real. Only the HTTP boundary
@@ -157,6 +197,8 @@ describe('Google Cloud Storage Service', () => {
 
   afterEach(() => {
     mock.reset()
+    mockHttpsHandler = null
+    mockHttpsRequests.length = 0
     if (service.flowrunner) {
       service.flowrunner.Files.uploadFile.mockClear()
     }
@@ -737,6 +779,166 @@ describe('Google Cloud Storage Service', () => {
     })
   })
 
+  describe('uploadLargeObjectFromUrl', () => {
+    const SOURCE_URL = 'https://files.example.com/videos/big.bin'
+    const SESSION_URL = `${ UPLOAD_BASE }/b/my-app-assets/o?uploadType=resumable&name=big.bin&upload_id=SESSION-1`
+    const MB = 1024 * 1024
+
+    // Serves the source from files.example.com and answers the session PUTs in order.
+    function serveUpload(sourceChunks, sessionReplies) {
+      const replies = [...sessionReplies]
+
+      mockHttpsHandler = options => {
+        if (options.hostname === 'files.example.com') {
+          return { statusCode: 200, chunks: sourceChunks }
+        }
+
+        if (options.method === 'DELETE') {
+          return { statusCode: 499 }
+        }
+
+        return replies.shift()
+      }
+    }
+
+    function stubSession() {
+      mock.onPost(`${ UPLOAD_BASE }/b/my-app-assets/o`).replyWithStatus(200, '', { Location: SESSION_URL })
+    }
+
+    const sessionPuts = () => mockHttpsRequests.filter(request => request.options.hostname === 'storage.googleapis.com')
+
+    it('starts a resumable session and streams the source in chunks, sending the total with the last one', async () => {
+      stubSession()
+
+      serveUpload([Buffer.alloc(MB / 2, 1), Buffer.alloc(MB, 2), Buffer.alloc(MB, 3)], [
+        { statusCode: 308, headers: { range: `bytes=0-${ MB - 1 }` } },
+        { statusCode: 308, headers: { range: `bytes=0-${ 2 * MB - 1 }` } },
+        { statusCode: 200, chunks: [JSON.stringify(RAW_OBJECT)] },
+      ])
+
+      const result = await service.uploadLargeObjectFromUrl('my-app-assets', 'big.bin', SOURCE_URL, undefined, 1, { source: 'camera' })
+
+      expect(mock.history[0].method).toBe('post')
+      expect(mock.history[0].query).toEqual({ uploadType: 'resumable', name: 'big.bin' })
+      expect(mock.history[0].unwrapBody).toBe(false)
+
+      expect(mock.history[0].headers).toMatchObject({
+        'Authorization': `Bearer ${ ACCESS_TOKEN }`,
+        'X-Upload-Content-Type': 'application/octet-stream',
+      })
+
+      expect(mock.history[0].body).toEqual({ name: 'big.bin', contentType: 'application/octet-stream', metadata: { source: 'camera' } })
+
+      const puts = sessionPuts()
+
+      expect(puts.map(put => put.options.method)).toEqual(['PUT', 'PUT', 'PUT'])
+      expect(puts[0].options.path).toBe('/upload/storage/v1/b/my-app-assets/o?uploadType=resumable&name=big.bin&upload_id=SESSION-1')
+
+      expect(puts.map(put => put.options.headers['Content-Range'])).toEqual([
+        `bytes 0-${ MB - 1 }/*`,
+        `bytes ${ MB }-${ 2 * MB - 1 }/*`,
+        `bytes ${ 2 * MB }-${ 2.5 * MB - 1 }/${ 2.5 * MB }`,
+      ])
+
+      expect(puts.map(put => put.body.length)).toEqual([MB, MB, MB / 2])
+      expect(puts[2].body.equals(Buffer.alloc(MB / 2, 3))).toBe(true)
+
+      expect(result).toEqual({ ...TRIMMED_OBJECT, chunkCount: 3 })
+    })
+
+    it('sends a file of exactly one chunk as a single final request', async () => {
+      stubSession()
+      serveUpload([Buffer.alloc(MB, 7)], [{ statusCode: 200, chunks: [JSON.stringify(RAW_OBJECT)] }])
+
+      await service.uploadLargeObjectFromUrl('my-app-assets', 'report.pdf', SOURCE_URL, undefined, 1)
+
+      expect(mock.history[0].headers).toMatchObject({ 'X-Upload-Content-Type': 'application/pdf' })
+      expect(sessionPuts().map(put => put.options.headers['Content-Range'])).toEqual([`bytes 0-${ MB - 1 }/${ MB }`])
+    })
+
+    it('finalizes an empty source with the total size only', async () => {
+      stubSession()
+      serveUpload([], [{ statusCode: 200, chunks: [JSON.stringify(RAW_OBJECT)] }])
+
+      await service.uploadLargeObjectFromUrl('my-app-assets', 'empty.txt', SOURCE_URL)
+
+      expect(sessionPuts().map(put => put.options.headers['Content-Range'])).toEqual(['bytes */0'])
+    })
+
+    it('resends the part of a chunk that GCS did not persist', async () => {
+      stubSession()
+
+      serveUpload([Buffer.alloc(1.5 * MB, 1)], [
+        { statusCode: 308, headers: { range: `bytes=0-${ MB / 2 - 1 }` } },
+        { statusCode: 200, chunks: [JSON.stringify(RAW_OBJECT)] },
+      ])
+
+      await service.uploadLargeObjectFromUrl('my-app-assets', 'big.bin', SOURCE_URL, 'video/mp4', 1)
+
+      expect(sessionPuts().map(put => put.options.headers['Content-Range'])).toEqual([
+        `bytes 0-${ MB - 1 }/*`,
+        `bytes ${ MB / 2 }-${ 1.5 * MB - 1 }/${ 1.5 * MB }`,
+      ])
+    })
+
+    it('cancels the session and throws a wrapped error when a chunk is rejected', async () => {
+      stubSession()
+
+      serveUpload([Buffer.from('data')], [
+        { statusCode: 403, chunks: [JSON.stringify({ error: { message: 'Permission denied', errors: [{ reason: 'forbidden' }] } })] },
+      ])
+
+      await expect(service.uploadLargeObjectFromUrl('my-app-assets', 'big.bin', SOURCE_URL)).rejects.toThrow(
+        'Google Cloud Storage API error: Permission denied (reason: forbidden)'
+      )
+
+      expect(sessionPuts().map(put => put.options.method)).toEqual(['PUT', 'DELETE'])
+    })
+
+    it('throws when GCS makes no progress on a chunk', async () => {
+      stubSession()
+      serveUpload([Buffer.from('data')], [{ statusCode: 308, headers: {} }])
+
+      await expect(service.uploadLargeObjectFromUrl('my-app-assets', 'big.bin', SOURCE_URL)).rejects.toThrow(
+        'Google Cloud Storage did not accept the chunk starting at byte 0'
+      )
+    })
+
+    it('follows source redirects and reports source failures before starting a session', async () => {
+      mockHttpsHandler = options => (options.path === '/old'
+        ? { statusCode: 302, headers: { location: 'https://files.example.com/missing' } }
+        : { statusCode: 404 })
+
+      await expect(service.uploadLargeObjectFromUrl('my-app-assets', 'big.bin', 'https://files.example.com/old')).rejects.toThrow(
+        'Failed to fetch the source file from the provided URL: HTTP 404'
+      )
+
+      expect(mockHttpsRequests.map(request => request.options.path)).toEqual(['/old', '/missing'])
+      expect(mock.history).toHaveLength(0)
+    })
+
+    it('throws a wrapped error when the session cannot be started', async () => {
+      mockHttpsHandler = () => ({ statusCode: 200, chunks: ['data'] })
+
+      mock.onPost(`${ UPLOAD_BASE }/b/my-app-assets/o`).replyWithError({
+        message: 'Not Found',
+        body: { error: { message: 'The specified bucket does not exist.' } },
+      })
+
+      await expect(service.uploadLargeObjectFromUrl('my-app-assets', 'big.bin', SOURCE_URL)).rejects.toThrow(
+        'Google Cloud Storage API error: The specified bucket does not exist.'
+      )
+    })
+
+    it('validates the source URL and chunk size', async () => {
+      await expect(service.uploadLargeObjectFromUrl('my-app-assets', 'big.bin', ' ')).rejects.toThrow('Source URL is required')
+
+      await expect(service.uploadLargeObjectFromUrl('my-app-assets', 'big.bin', SOURCE_URL, undefined, 0.5)).rejects.toThrow(
+        'Chunk Size must be a whole number of MB between 1 and 100'
+      )
+    })
+  })
+
   describe('deleteObject', () => {
     it('deletes an object and returns success', async () => {
       mock.onDelete(objectUrl('my-app-assets', 'reports/2026/summary.pdf')).reply(undefined)
@@ -794,6 +996,57 @@ describe('Google Cloud Storage Service', () => {
     })
   })
 
+  describe('composeObjects', () => {
+    it('posts the sources in order to the destination compose endpoint', async () => {
+      mock.onPost(`${ objectUrl('my-app-assets', 'logs/combined.txt') }/compose`).reply(RAW_OBJECT)
+
+      const result = await service.composeObjects('my-app-assets', ['logs/part-1.txt', ' logs/part-2.txt ', ''], 'logs/combined.txt')
+
+      expect(mock.history[0].method).toBe('post')
+      expect(mock.history[0].url).toBe(`${ STORAGE_BASE }/b/my-app-assets/o/logs%2Fcombined.txt/compose`)
+
+      expect(mock.history[0].body).toEqual({
+        sourceObjects: [{ name: 'logs/part-1.txt' }, { name: 'logs/part-2.txt' }],
+        destination: { contentType: 'text/plain' },
+      })
+
+      expect(result).toEqual(TRIMMED_OBJECT)
+    })
+
+    it('accepts a single name and an explicit content type', async () => {
+      mock.onPost(`${ objectUrl('my-app-assets', 'out.bin') }/compose`).reply(RAW_OBJECT)
+
+      await service.composeObjects('my-app-assets', 'in.bin', 'out.bin', 'application/custom')
+
+      expect(mock.history[0].body).toEqual({ sourceObjects: [{ name: 'in.bin' }], destination: { contentType: 'application/custom' } })
+    })
+
+    it('requires between 1 and 32 sources', async () => {
+      const tooMany = Array.from({ length: 33 }, (_, index) => `part-${ index }`)
+
+      await expect(service.composeObjects('my-app-assets', [], 'out.bin')).rejects.toThrow(
+        'Provide between 1 and 32 source object names to compose'
+      )
+
+      await expect(service.composeObjects('my-app-assets', tooMany, 'out.bin')).rejects.toThrow(
+        'Provide between 1 and 32 source object names to compose'
+      )
+
+      expect(mock.history).toHaveLength(0)
+    })
+
+    it('throws a wrapped error on API failure', async () => {
+      mock.onPost(`${ objectUrl('my-app-assets', 'out.bin') }/compose`).replyWithError({
+        message: 'Not Found',
+        body: { error: { message: 'Object part-1 not found' } },
+      })
+
+      await expect(service.composeObjects('my-app-assets', ['part-1'], 'out.bin')).rejects.toThrow(
+        'Google Cloud Storage API error: Object part-1 not found'
+      )
+    })
+  })
+
   describe('updateObjectMetadata', () => {
     it('patches only the provided mutable fields', async () => {
       mock.onPatch(objectUrl('my-app-assets', 'reports/2026/summary.pdf')).reply(RAW_OBJECT)
@@ -843,6 +1096,100 @@ describe('Google Cloud Storage Service', () => {
     })
   })
 
+  // ── Retention and holds ──
+
+  describe('setObjectHolds', () => {
+    const URL = objectUrl('my-app-assets', 'contracts/acme.pdf')
+
+    it('patches only the holds that are provided and returns the protection fields', async () => {
+      mock.onPatch(URL).reply({ ...RAW_OBJECT, temporaryHold: true })
+
+      const result = await service.setObjectHolds('my-app-assets', 'contracts/acme.pdf', true)
+
+      expect(mock.history[0].method).toBe('patch')
+      expect(mock.history[0].body).toEqual({ temporaryHold: true })
+
+      expect(result).toEqual({
+        ...TRIMMED_OBJECT,
+        temporaryHold: true,
+        eventBasedHold: false,
+        retention: null,
+        retentionExpirationTime: null,
+      })
+    })
+
+    it('can release a hold', async () => {
+      mock.onPatch(URL).reply(RAW_OBJECT)
+
+      await service.setObjectHolds('my-app-assets', 'contracts/acme.pdf', undefined, false)
+
+      expect(mock.history[0].body).toEqual({ eventBasedHold: false })
+    })
+
+    it('throws when no hold is provided', async () => {
+      await expect(service.setObjectHolds('my-app-assets', 'contracts/acme.pdf')).rejects.toThrow(
+        'Provide Temporary Hold and/or Event-Based Hold to change'
+      )
+    })
+  })
+
+  describe('setObjectRetention', () => {
+    const URL = objectUrl('my-app-assets', 'contracts/acme.pdf')
+
+    it('sets an unlocked retention with a normalized retain-until time', async () => {
+      const retention = { mode: 'Unlocked', retainUntilTime: '2027-01-01T00:00:00.000Z' }
+
+      mock.onPatch(URL).reply({ ...RAW_OBJECT, retention })
+
+      const result = await service.setObjectRetention('my-app-assets', 'contracts/acme.pdf', undefined, '2027-01-01T00:00:00Z')
+
+      expect(mock.history[0].body).toEqual({ retention })
+      expect(mock.history[0].query).toEqual({})
+      expect(result.retention).toEqual(retention)
+    })
+
+    it('passes overrideUnlockedRetention when asked', async () => {
+      mock.onPatch(URL).reply(RAW_OBJECT)
+
+      await service.setObjectRetention('my-app-assets', 'contracts/acme.pdf', 'Locked', '2028-06-30T12:00:00Z', true)
+
+      expect(mock.history[0].body).toEqual({ retention: { mode: 'Locked', retainUntilTime: '2028-06-30T12:00:00.000Z' } })
+      expect(mock.history[0].query).toEqual({ overrideUnlockedRetention: 'true' })
+    })
+
+    it('removes the retention with the override applied', async () => {
+      mock.onPatch(URL).reply(RAW_OBJECT)
+
+      await service.setObjectRetention('my-app-assets', 'contracts/acme.pdf', 'Remove')
+
+      expect(mock.history[0].body).toEqual({ retention: null })
+      expect(mock.history[0].query).toEqual({ overrideUnlockedRetention: 'true' })
+    })
+
+    it('rejects an unknown mode or an invalid date', async () => {
+      await expect(service.setObjectRetention('my-app-assets', 'a.pdf', 'Forever', '2027-01-01')).rejects.toThrow(
+        'Mode must be one of: Unlocked, Locked, Remove'
+      )
+
+      await expect(service.setObjectRetention('my-app-assets', 'a.pdf', 'Unlocked', 'next year')).rejects.toThrow(
+        'Retain Until must be a valid date and time'
+      )
+
+      expect(mock.history).toHaveLength(0)
+    })
+
+    it('throws a wrapped error on API failure', async () => {
+      mock.onPatch(URL).replyWithError({
+        message: 'Bad Request',
+        body: { error: { message: 'Object retention is not enabled on this bucket', errors: [{ reason: 'invalid' }] } },
+      })
+
+      await expect(service.setObjectRetention('my-app-assets', 'contracts/acme.pdf', 'Unlocked', '2027-01-01')).rejects.toThrow(
+        'Google Cloud Storage API error: Object retention is not enabled on this bucket (reason: invalid)'
+      )
+    })
+  })
+
   // ── Signed URLs ──
 
   describe('generateSignedUrl', () => {
@@ -889,6 +1236,134 @@ describe('Google Cloud Storage Service', () => {
     })
   })
 
+  // ── Triggers ──
+
+  describe('onNewOrUpdatedObject', () => {
+    const LIST_URL = `${ STORAGE_BASE }/b/my-app-assets/o`
+    const T1 = '2026-02-01T09:00:00.000Z'
+    const T2 = '2026-02-01T10:00:00.000Z'
+    const T3 = '2026-02-01T11:00:00.000Z'
+
+    function gcsObject(name, { created, updated = created, generation = '1', metageneration = '1' }) {
+      return { name, bucket: 'my-app-assets', size: '10', timeCreated: created, updated, generation, metageneration }
+    }
+
+    function poll(data, state) {
+      return sandbox.startPolling({ name: 'onNewOrUpdatedObject', data: { bucket: 'my-app-assets', ...data }, state })
+    }
+
+    it('requires a bucket', async () => {
+      await expect(poll({ bucket: '' }).tick()).rejects.toThrow('Bucket is required')
+    })
+
+    it('records the current objects on the first poll, across pages', async () => {
+      mock.onGet(LIST_URL).withQuery({ pageToken: 'page-2' }).reply({ items: [gcsObject('in/a.txt', { created: T2 })] })
+      mock.onGet(LIST_URL).reply({ items: [gcsObject('in/b.txt', { created: T2 }), gcsObject('in/old.txt', { created: T1 })], nextPageToken: 'page-2' })
+
+      const result = await poll({ prefix: 'in/' }).tick()
+
+      expect(result).toMatchObject({
+        events: [],
+        state: { bucket: 'my-app-assets', prefix: 'in/', updatedAt: T2, versions: ['in/a.txt#1.1', 'in/b.txt#1.1'] },
+      })
+
+      expect(mock.history[0].query).toEqual({ prefix: 'in/', maxResults: 1000 })
+      expect(mock.history[1].query).toEqual({ prefix: 'in/', pageToken: 'page-2', maxResults: 1000 })
+    })
+
+    it('emits new objects and overwrites past the watermark, including new versions at the same time', async () => {
+      mock.onGet(LIST_URL).reply({
+        items: [
+          gcsObject('a.txt', { created: T2 }),
+          gcsObject('b.txt', { created: T2 }),
+          gcsObject('report.csv', { created: T3, generation: '7' }),
+          gcsObject('old.txt', { created: T1 }),
+        ],
+      })
+
+      const result = await poll({}, { bucket: 'my-app-assets', prefix: '', updatedAt: T2, versions: ['a.txt#1.1'] }).tick()
+
+      expect(result.events).toEqual([
+        expect.objectContaining({ name: 'b.txt', generation: '1', metageneration: '1', changeType: 'data' }),
+        expect.objectContaining({ name: 'report.csv', generation: '7', changeType: 'data', updated: T3 }),
+      ])
+
+      expect(result.state).toEqual({ bucket: 'my-app-assets', prefix: '', updatedAt: T3, versions: ['report.csv#7.1'] })
+    })
+
+    it('skips metadata-only changes unless they are included', async () => {
+      const items = [
+        gcsObject('a.txt', { created: T1, updated: T3, metageneration: '2' }),
+        gcsObject('b.txt', { created: T3 }),
+      ]
+      const state = { bucket: 'my-app-assets', prefix: '', updatedAt: T2, versions: [] }
+
+      mock.onGet(LIST_URL).reply({ items })
+
+      const skipped = await poll({}, state).tick()
+
+      expect(skipped.events.map(event => event.name)).toEqual(['b.txt'])
+      expect(skipped.state.versions).toEqual(['a.txt#1.2', 'b.txt#1.1'])
+
+      const included = await poll({ includeMetadataChanges: true }, state).tick()
+
+      expect(included.events.map(event => [event.name, event.changeType])).toEqual([['a.txt', 'metadata'], ['b.txt', 'data']])
+    })
+
+    it('treats a generation created at the watermark as new data only when it was not reported', async () => {
+      mock.onGet(LIST_URL).reply({
+        items: [
+          gcsObject('seen.txt', { created: T2, updated: T3, metageneration: '2' }),
+          gcsObject('unseen.txt', { created: T2, updated: T3, metageneration: '2' }),
+        ],
+      })
+
+      const result = await poll({ includeMetadataChanges: true }, {
+        bucket: 'my-app-assets', prefix: '', updatedAt: T2, versions: ['seen.txt#1.1'],
+      }).tick()
+
+      expect(result.events.map(event => [event.name, event.changeType])).toEqual([['seen.txt', 'metadata'], ['unseen.txt', 'data']])
+    })
+
+    it('keeps the state when nothing changed and re-baselines when the prefix changes', async () => {
+      const state = { bucket: 'my-app-assets', prefix: '', updatedAt: T2, versions: ['a.txt#1.1'] }
+
+      mock.onGet(LIST_URL).reply({ items: [gcsObject('a.txt', { created: T2 })] })
+
+      await expect(poll({}, state).tick()).resolves.toMatchObject({ events: [], state })
+
+      await expect(poll({ prefix: 'in/' }, state).tick()).resolves.toMatchObject({
+        events: [],
+        state: { prefix: 'in/', updatedAt: T2, versions: ['a.txt#1.1'] },
+      })
+    })
+
+    it('emits at most 100 changes per poll and continues from the last one', async () => {
+      const items = Array.from({ length: 120 }, (_, index) => gcsObject(`f-${ String(index).padStart(3, '0') }`, { created: T3 }))
+
+      mock.onGet(LIST_URL).reply({ items })
+
+      const first = await poll({}, { bucket: 'my-app-assets', prefix: '', updatedAt: T1, versions: [] }).tick()
+
+      expect(first.events).toHaveLength(100)
+
+      const second = await poll({}, first.state).tick()
+
+      expect(second.events.map(event => event.name)).toEqual(items.slice(100).map(item => item.name))
+      expect(second.state.versions).toHaveLength(120)
+    })
+
+    it('returns the latest object of the first page in learning mode', async () => {
+      mock.onGet(LIST_URL).reply({ items: [gcsObject('b.txt', { created: T3 }), gcsObject('a.txt', { created: T1 })], nextPageToken: 'page-2' })
+
+      const result = await poll({}).tick({ learningMode: true })
+
+      expect(result.events).toEqual([expect.objectContaining({ name: 'b.txt', changeType: 'data' })])
+      expect(result.state).toBeNull()
+      expect(mock.history).toHaveLength(1)
+    })
+  })
+
   // ── Dictionaries ──
 
   describe('getBucketsDictionary', () => {
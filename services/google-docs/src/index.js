@@ -1,5 +1,7 @@
 'use strict'
 
+const { googleServiceAccountConfigItems, serviceAccountAuthFromConfig } = require('./google-auth')
+
 const DOCS_API_BASE_URL = 'https://docs.googleapis.com/v1'
 const DRIVE_API_BASE_URL = 'https://www.googleapis.com/drive/v3'
 const TOKEN_URL = 'https://oauth2.googleapis.com/token'
@@ -47,6 +49,7 @@ class GoogleDocsService {
     this.clientId = config.clientId
     this.clientSecret = config.clientSecret
     this.scopes = DEFAULT_SCOPE_STRING
+    this.serviceAccountAuth = serviceAccountAuthFromConfig(config, DEFAULT_SCOPE_LIST)
   }
 
   async #apiRequest({ url, method = 'get', body, query, logTag }) {
@@ -58,7 +61,7 @@ class GoogleDocsService {
       logger.debug(`${ logTag } - [${ method.toUpperCase() }::${ url }] q=[${ JSON.stringify(query) }]`)
 
       const request = Flowrunner.Request[method](url)
-        .set(this.#getAccessTokenHeader())
+        .set(await this.#getAccessTokenHeader())
         .query(query || {})
 
       return body !== undefined ? await request.send(body) : await request
@@ -76,7 +79,7 @@ class GoogleDocsService {
       logger.debug(`${ logTag } - [GET::${ url }] q=[${ JSON.stringify(query) }]`)
 
       const bytes = await Flowrunner.Request.get(url)
-        .set(this.#getAccessTokenHeader())
+        .set(await this.#getAccessTokenHeader())
         .query(cleanupObject(query || {}))
         .setEncoding(null)
 
@@ -90,7 +93,13 @@ class GoogleDocsService {
     }
   }
 
-  #getAccessTokenHeader(accessToken) {
+  // With a service-account key the connection acts as that account (or the Workspace user it
+  // impersonates) instead of the user who granted OAuth access.
+  async #getAccessTokenHeader(accessToken) {
+    if (!accessToken && this.serviceAccountAuth) {
+      accessToken = await this.serviceAccountAuth.getAccessToken()
+    }
+
     return {
       Authorization: `Bearer ${ accessToken || this.request.headers['oauth-access-token'] }`,
     }
@@ -192,7 +201,7 @@ class GoogleDocsService {
     try {
       userData = await Flowrunner.Request
         .get(USER_INFO_URL)
-        .set(this.#getAccessTokenHeader(codeExchangeResponse.access_token))
+        .set(await this.#getAccessTokenHeader(codeExchangeResponse.access_token))
 
       if (userData.name || userData.email) {
         connectionIdentityName = userData.name
@@ -695,6 +704,7 @@ Flowrunner.ServerCode.addService(GoogleDocsService, [
     shared: true,
     hint: 'Your OAuth 2.0 Client Secret from the Google Cloud Console (required for secure authentication).',
   },
+  ...googleServiceAccountConfigItems,
 ])
 
 function cleanupObject(data) {
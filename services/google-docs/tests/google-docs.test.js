@@ -63,6 +63,18 @@ describe('Google Docs Service', () => {
           shared: true,
           type: 'STRING',
         }),
+        expect.objectContaining({
+          name: 'serviceAccountKey',
+          required: false,
+          shared: false,
+          type: 'TEXT',
+        }),
+        expect.objectContaining({
+          name: 'impersonatedUser',
+          required: false,
+          shared: false,
+          type: 'STRING',
+        }),
       ])
     })
   })
@@ -3,8 +3,11 @@ const Drive = require('@googleapis/drive')
 const { PassThrough } = require('stream')
 const mimeTypes = require('mime-types')
 const https = require('https')
+const crypto = require('crypto')
 
-const { assert, logMessage, getFilenameFromUrl } = require('./utils')
+const { googleServiceAccountConfigItems, serviceAccountAuthFromConfig } = require('./google-auth')
+const { assert, logger, logMessage, getFilenameFromUrl } = require('./utils')
+const { getHeader, generateWebhookSecret, verifySecretToken } = require('./webhook-signatures')
 
 const DEFAULT_PAGE_SIZE = 10
 
@@ -44,6 +47,35 @@ const TriggerConfiguration = {
   FOLDERS_ONLY: 'folders_only',
 }
 
+// Drive push channels expire; renew one once it is within this window of expiring. The refresh
+// handler runs every WEBHOOK_REFRESH_INTERVAL_SECONDS, which leaves several attempts before the
+// channel actually lapses.
+const WEBHOOK_REFRESH_LEAD_MS = 5 * 60 * 1000
+const WEBHOOK_REFRESH_INTERVAL_SECONDS = 60
+
+// A change notification carries no details, so each one lists the change records since the
+// channel's page token and reports the records no earlier notification has reported. The refresh
+// handler advances the page token one refresh behind, so a change stays listed until the
+// notifications in flight for it have been resolved.
+const FILE_EVENT_FIELDS = 'kind,id,name,mimeType,parents,driveId,createdTime,modifiedTime'
+const CHANGES_FIELDS = `nextPageToken,changes(fileId,time,removed,file(${ FILE_EVENT_FIELDS },trashed))`
+
+// handleTriggerResolveEvents cannot write webhookData, so the change records it has reported are
+// kept here per channel. The refresh handler copies them into webhookData.reportedChanges, which
+// resolve checks as well, so they also hold for notifications handled by another process.
+const reportedChangesByChannel = new Map()
+
+const MethodCallTypes = {
+  SHAPE_EVENT: 'SHAPE_EVENT',
+  FILTER_TRIGGER: 'FILTER_TRIGGER',
+}
+
+const RealtimeEvents = {
+  NEW_FILE: 'onNewFileInstant',
+  NEW_FOLDER: 'onNewFolderInstant',
+  FILE_UPDATED: 'onFileUpdatedInstant',
+}
+
 const DEFAULT_SCOPE_LIST = [
   'https://www.googleapis.com/auth/drive',
   'https://www.googleapis.com/auth/userinfo.profile',
@@ -56,6 +88,7 @@ const DEFAULT_SCOPE_STRING = DEFAULT_SCOPE_LIST.join(' ')
  *  @requireOAuth
  *  @usesFileStorage
  *  @integrationName Google Drive
+ *  @integrationTriggersScope SINGLE_APP
  *  @integrationIcon /icon.svg
  **/
 class GoogleDrive {
@@ -64,17 +97,24 @@ class GoogleDrive {
     this.clientSecret = config.clientSecret
 
     this.scope = DEFAULT_SCOPE_STRING
+    this.serviceAccountAuth = serviceAccountAuthFromConfig(config, DEFAULT_SCOPE_LIST)
   }
 
-  #getAccessToken() {
+  // With a service-account key the connection acts as that account (or the Workspace user it
+  // impersonates) instead of the user who granted OAuth access.
+  async #getAccessToken() {
+    if (this.serviceAccountAuth) {
+      return await this.serviceAccountAuth.getAccessToken()
+    }
+
     return this.request.headers['oauth-access-token']
   }
 
-  #initDrive() {
+  async #initDrive() {
     const auth = new Auth.auth.OAuth2()
 
     auth.setCredentials({
-      access_token: this.#getAccessToken(),
+      access_token: await this.#getAccessToken(),
       scope: this.scope,
       token_type: 'Bearer',
     })
@@ -199,6 +239,185 @@ class GoogleDrive {
     return this[invocation.eventName](invocation)
   }
 
+  /**
+   * @registerAs SYSTEM
+   * @paramDef {"type":"Object","label":"invocation","name":"invocation"}
+   * @returns {Object}
+   */
+  async handleTriggerUpsertWebhook(invocation) {
+    logMessage('[handleTriggerUpsertWebhook] Payload', { events: invocation.events })
+
+    const webhookData = { ...(invocation.webhookData || {}) }
+    const callbackUrl = `${ invocation.callbackUrl }&connectionId=${ invocation.connectionId }`
+
+    // One changes channel per watched drive, shared by every trigger block on that drive
+    const driveKeys = new Set(invocation.events.map(({ triggerData }) => getDriveKey(triggerData.sharedDriveId)))
+
+    for (const driveKey of driveKeys) {
+      if (!webhookData[driveKey]) {
+        const driveId = resolveSharedDriveId(driveKey)
+        const pageTokenTime = Date.now()
+        const pageToken = await this.#getStartPageToken(driveId)
+        const channel = await this.#createChangesChannel(callbackUrl, driveId, pageToken)
+
+        webhookData[driveKey] = {
+          ...channel,
+          pageToken,
+          pageTokenTime,
+          nextPageToken: pageToken,
+          nextPageTokenTime: pageTokenTime,
+          reportedChanges: {},
+        }
+      }
+    }
+
+    for (const driveKey of Object.keys(webhookData)) {
+      if (!driveKeys.has(driveKey)) {
+        await this.#stopChannel(webhookData[driveKey])
+
+        reportedChangesByChannel.delete(webhookData[driveKey].channelId)
+        delete webhookData[driveKey]
+      }
+    }
+
+    return {
+      connectionId: invocation.connectionId,
+      refreshIntervalInSeconds: WEBHOOK_REFRESH_INTERVAL_SECONDS,
+      webhookData,
+    }
+  }
+
+  /**
+   * @registerAs SYSTEM
+   * @paramDef {"type":"Object","label":"invocation","name":"invocation"}
+   * @returns {Object}
+   */
+  async handleTriggerRefreshWebhook(invocation) {
+    const webhookData = { ...(invocation.webhookData || {}) }
+
+    for (const [driveKey, channel] of Object.entries(webhookData)) {
+      const driveId = resolveSharedDriveId(driveKey)
+
+      // The token taken on the previous refresh becomes the start of the change list, so changes
+      // made since then stay listed until their notifications have been resolved.
+      const pageToken = channel.nextPageToken || channel.pageToken
+      const pageTokenTime = channel.nextPageTokenTime || channel.pageTokenTime
+      const nextPageTokenTime = Date.now()
+      const nextPageToken = await this.#getStartPageToken(driveId)
+
+      // Reported records are kept one refresh longer than the change list can return them, which
+      // also covers clock drift between Drive and this server.
+      const reportedChanges = collectReportedChanges(channel, channel.pageTokenTime)
+
+      let current = channel
+
+      if (isChannelDueForRefresh(channel.expiration)) {
+        current = await this.#createChangesChannel(channel.callbackUrl, driveId, nextPageToken)
+
+        await this.#stopChannel(channel)
+
+        reportedChangesByChannel.delete(channel.channelId)
+      }
+
+      webhookData[driveKey] = {
+        ...current,
+        pageToken,
+        pageTokenTime,
+        nextPageToken,
+        nextPageTokenTime,
+        reportedChanges,
+      }
+    }
+
+    return {
+      refreshIntervalInSeconds: WEBHOOK_REFRESH_INTERVAL_SECONDS,
+      webhookData,
+    }
+  }
+
+  /**
+   * @registerAs SYSTEM
+   * @paramDef {"type":"Object","label":"invocation","name":"invocation"}
+   * @returns {Object}
+   */
+  async handleTriggerResolveEvents(invocation) {
+    const { connectionId } = invocation.queryParams
+
+    if (getHeader(invocation.headers, 'x-goog-resource-state') === 'sync') {
+      logMessage('[handleTriggerResolveEvents] Skipping sync notification', { connectionId })
+
+      return { connectionId, events: [] }
+    }
+
+    const channelId = getHeader(invocation.headers, 'x-goog-channel-id')
+    const [driveKey, channel] = Object.entries(invocation.webhookData || {})
+      .find(([, { channelId: storedChannelId }]) => storedChannelId === channelId) || []
+
+    const isVerified = !!channel && verifySecretToken({
+      expected: channel.token,
+      provided: getHeader(invocation.headers, 'x-goog-channel-token'),
+    })
+
+    if (!isVerified) {
+      logger.warn('[handleTriggerResolveEvents] Unknown channel or X-Goog-Channel-Token mismatch — rejecting delivery')
+
+      return { connectionId, events: [] }
+    }
+
+    const changes = await this.#listChanges(channel.pageToken, resolveSharedDriveId(driveKey))
+    const reported = getReportedChanges(channel.channelId)
+    const newFiles = []
+    const updatedFiles = []
+
+    for (const { fileId, time, file } of changes) {
+      // A file created after the change list starts is new. Only its first change record reports
+      // it; every later record of an older file reports an update.
+      const isNew = Date.parse(file.createdTime) >= channel.pageTokenTime
+      const key = isNew ? `${ fileId }:new` : `${ fileId }:${ time }`
+
+      if (!reported.has(key) && !Object.hasOwn(channel.reportedChanges || {}, key)) {
+        reported.set(key, Date.parse(time))
+
+        if (isNew) {
+          newFiles.push(file)
+        } else {
+          updatedFiles.push(file)
+        }
+      }
+    }
+
+    const events = []
+
+    for (const eventName of Object.values(RealtimeEvents)) {
+      events.push(...await this[eventName](MethodCallTypes.SHAPE_EVENT, { newFiles, updatedFiles }))
+    }
+
+    logMessage('[handleTriggerResolveEvents] Events', { events })
+
+    return { connectionId, events }
+  }
+
+  /**
+   * @registerAs SYSTEM
+   * @paramDef {"type":"Object","label":"invocation","name":"invocation"}
+   * @returns {Object}
+   */
+  async handleTriggerSelectMatched(invocation) {
+    return this[invocation.eventName](MethodCallTypes.FILTER_TRIGGER, invocation)
+  }
+
+  /**
+   * @registerAs SYSTEM
+   * @paramDef {"type":"Object","label":"invocation","name":"invocation"}
+   */
+  async handleTriggerDeleteWebhook(invocation) {
+    for (const channel of Object.values(invocation.webhookData || {})) {
+      await this.#stopChannel(channel)
+
+      reportedChangesByChannel.delete(channel.channelId)
+    }
+  }
+
   /**
    * @operationName On New File
    * @category File Monitoring
@@ -376,11 +595,236 @@ class GoogleDrive {
     }
   }
 
+  /**
+   * @operationName On New File (Instant)
+   * @category File Monitoring
+   * @description Triggers within seconds when a file or folder is created or uploaded in Google Drive, using Drive push notifications instead of polling. Perfect for immediate processing of uploaded documents. Supports recursive matching of subfolders. Files in a Shared Drive are only reported when that drive is selected.
+   * @registerAs REALTIME_TRIGGER
+   *
+   * @route POST /on-new-file-instant
+   * @appearanceColor #f9566d #fb874b
+   * @executionTimeoutInSeconds 120
+   *
+   * @paramDef {"type":"String","label":"Drive","name":"sharedDriveId","required":false,"dictionary":"getDrivesDictionary","description":"Drive to monitor for new files. Leave blank to monitor your personal Drive."}
+   * @paramDef {"type":"String","label":"Folder","name":"folderId","required":false,"dictionary":"getFoldersDictionary","description":"Specific folder to watch for new files. Leave blank to monitor the entire Drive."}
+   * @paramDef {"type":"String","label":"Trigger Configuration","name":"triggerConfiguration","required":false,"uiComponent":{"type":"DROPDOWN","options":{"values":["files_and_folders","files_only","folders_only"]}},"description":"Filter what triggers the workflow. Valid values: 'files_and_folders' (default - triggers for both), 'files_only' (triggers only for files), 'folders_only' (triggers only for folders)."}
+   * @paramDef {"type":"Boolean","label":"Process Recursively","name":"processRecursively","uiComponent":{"type":"TOGGLE"},"description":"Set to true to also trigger for new files in any subfolder of the selected folder. Default is false."}
+   *
+   * @returns {Object}
+   * @sampleResult {"kind":"drive#file","id":"1RlkPicKWIxdFqpSSFql2AvK2jaYJZNeGTDG7HnmlD_Q","name":"client-contract.pdf","mimeType":"application/pdf","parents":["1OmthQQx7ss4CHw2ZaeuTOLGNOwaWjMXZ"],"createdTime":"2025-04-02T14:22:40.589Z","modifiedTime":"2025-04-02T14:22:40.589Z"}
+   */
+  async onNewFileInstant(callType, payload) {
+    if (callType === MethodCallTypes.SHAPE_EVENT) {
+      return payload.newFiles.map(file => ({ name: RealtimeEvents.NEW_FILE, data: file }))
+    }
+
+    if (callType === MethodCallTypes.FILTER_TRIGGER) {
+      const { eventData, triggers } = payload
+      const isFolder = eventData.mimeType === GoogleMimeTypes.FOLDER
+      const ids = []
+
+      for (const { id, data } of triggers) {
+        const { sharedDriveId, folderId, triggerConfiguration, processRecursively } = data
+        const config = triggerConfiguration || TriggerConfiguration.FILES_AND_FOLDERS
+
+        const matchesType = config === TriggerConfiguration.FILES_AND_FOLDERS ||
+          (config === TriggerConfiguration.FOLDERS_ONLY) === isFolder
+
+        if (matchesType && isOnDrive(eventData, sharedDriveId) && await this.#isInFolder(eventData, folderId, processRecursively)) {
+          ids.push(id)
+        }
+      }
+
+      return { ids }
+    }
+  }
+
+  /**
+   * @operationName On New Folder (Instant)
+   * @category Folder Monitoring
+   * @description Triggers within seconds when a new folder is created within the selected directory, using Drive push notifications instead of polling. Subfolders are not monitored.
+   * @registerAs REALTIME_TRIGGER
+   *
+   * @route POST /on-new-folder-instant
+   * @appearanceColor #f9566d #fb874b
+   * @executionTimeoutInSeconds 120
+   *
+   * @paramDef {"type":"String","label":"Drive","name":"sharedDriveId","required":false,"dictionary":"getDrivesDictionary","description":"Choose which drive to monitor. If left blank, your personal Google Drive will be used by default."}
+   * @paramDef {"type":"String","label":"Folder","name":"folderId","required":false,"dictionary":"getFoldersDictionary","description":"Select a folder to monitor for newly created subfolders. Only folders created directly within the selected folder trigger this event. If no folder is selected, the whole drive is monitored."}
+   *
+   * @returns {Object}
+   * @sampleResult {"kind":"drive#file","id":"1OmthQQx7ss4CHw2ZaeuTOLGNOwaWjMXZ","name":"Invoices","mimeType":"application/vnd.google-apps.folder","parents":["0AKl3bHXsm4oKUk9PVA"],"createdTime":"2025-04-02T14:22:40.589Z","modifiedTime":"2025-04-02T14:22:40.589Z"}
+   */
+  async onNewFolderInstant(callType, payload) {
+    if (callType === MethodCallTypes.SHAPE_EVENT) {
+      return payload.newFiles
+        .filter(file => file.mimeType === GoogleMimeTypes.FOLDER)
+        .map(file => ({ name: RealtimeEvents.NEW_FOLDER, data: file }))
+    }
+
+    if (callType === MethodCallTypes.FILTER_TRIGGER) {
+      return { ids: filterTriggersByLocation(payload.triggers, payload.eventData) }
+    }
+  }
+
+  /**
+   * @operationName On File Updated (Instant)
+   * @category File Monitoring
+   * @description Triggers within seconds when a file is modified within the selected folder, using Drive push notifications instead of polling. Newly created files are reported by On New File (Instant) instead. Subfolders are not monitored.
+   * @registerAs REALTIME_TRIGGER
+   *
+   * @route POST /on-file-updated-instant
+   * @appearanceColor #f9566d #fb874b
+   * @executionTimeoutInSeconds 120
+   *
+   * @paramDef {"type":"String","label":"Drive","name":"sharedDriveId","required":false,"dictionary":"getDrivesDictionary","description":"Choose which drive to monitor. If left blank, your personal Google Drive will be used by default."}
+   * @paramDef {"type":"String","label":"Folder","name":"folderId","required":false,"dictionary":"getFoldersDictionary","description":"Select a folder whose files are monitored for changes. Only files directly within the selected folder trigger this event. If no folder is selected, the whole drive is monitored."}
+   *
+   * @returns {Object}
+   * @sampleResult {"kind":"drive#file","id":"1rtzMziUYoyobT39rwkacEZp1lKl-S7gR","name":"Image.png","mimeType":"image/png","parents":["1OmthQQx7ss4CHw2ZaeuTOLGNOwaWjMXZ"],"createdTime":"2025-03-28T09:10:02.114Z","modifiedTime":"2025-04-02T14:22:40.589Z"}
+   */
+  async onFileUpdatedInstant(callType, payload) {
+    if (callType === MethodCallTypes.SHAPE_EVENT) {
+      return payload.updatedFiles.map(file => ({ name: RealtimeEvents.FILE_UPDATED, data: file }))
+    }
+
+    if (callType === MethodCallTypes.FILTER_TRIGGER) {
+      return { ids: filterTriggersByLocation(payload.triggers, payload.eventData) }
+    }
+  }
+
+  /**
+   * @private
+   */
+  async #getStartPageToken(driveId) {
+    const drive = await this.#initDrive()
+
+    const res = await drive.changes.getStartPageToken({ driveId, supportsAllDrives: true })
+
+    return res.data.startPageToken
+  }
+
+  /**
+   * @private
+   * Opens a push channel for the changes of a drive. Drive echoes the channel token back in
+   * X-Goog-Channel-Token on every notification.
+   */
+  async #createChangesChannel(callbackUrl, driveId, pageToken) {
+    const drive = await this.#initDrive()
+    const channelId = crypto.randomUUID()
+    const token = generateWebhookSecret()
+
+    const res = await drive.changes.watch({
+      pageToken,
+      ...getChangesScope(driveId),
+      requestBody: {
+        id: channelId,
+        type: 'web_hook',
+        address: callbackUrl,
+        token,
+      },
+    })
+
+    const { resourceId, expiration } = res.data
+
+    return { channelId, resourceId, expiration, token, callbackUrl }
+  }
+
+  /**
+   * @private
+   */
+  async #stopChannel({ channelId, resourceId }) {
+    const drive = await this.#initDrive()
+
+    try {
+      await drive.channels.stop({ requestBody: { id: channelId, resourceId } })
+    } catch (error) {
+      logger.warn(`[stopChannel] Failed to stop channel ${ channelId }: ${ error.message }`)
+    }
+  }
+
+  /**
+   * @private
+   * Lists the latest change record of every file changed since the page token, leaving out
+   * removed and trashed files.
+   */
+  async #listChanges(pageToken, driveId) {
+    const drive = await this.#initDrive()
+    const latestChanges = new Map()
+
+    let cursor = pageToken
+
+    while (cursor) {
+      const res = await drive.changes.list({
+        pageToken: cursor,
+        pageSize: 1000,
+        fields: CHANGES_FIELDS,
+        ...getChangesScope(driveId),
+      })
+
+      // Changes come oldest first, so a file changed several times ends up with its latest record
+      for (const { fileId, time, removed, file } of res.data.changes || []) {
+        if (removed || !file || file.trashed) {
+          latestChanges.delete(fileId)
+        } else {
+          const fileData = { ...file }
+
+          delete fileData.trashed
+
+          latestChanges.set(fileId, { fileId, time, file: fileData })
+        }
+      }
+
+      cursor = res.data.nextPageToken
+    }
+
+    return [...latestChanges.values()]
+  }
+
+  /**
+   * @private
+   * Checks whether a file sits in a folder, directly or, when recursive, in any of its subfolders.
+   */
+  async #isInFolder(file, folderId, recursive) {
+    if (!folderId || file.parents?.includes(folderId)) {
+      return true
+    }
+
+    if (!recursive) {
+      return false
+    }
+
+    const drive = await this.#initDrive()
+    let currentParentId = file.parents?.[0]
+
+    while (currentParentId) {
+      try {
+        const parent = await drive.files.get({
+          fileId: currentParentId,
+          supportsAllDrives: true,
+          fields: 'id,parents',
+        })
+
+        currentParentId = parent.data.parents?.[0]
+      } catch (error) {
+        logMessage('[isInFolder] Reached root or encountered error', { error: error.message })
+
+        return false
+      }
+
+      if (currentParentId === folderId) {
+        return true
+      }
+    }
+
+    return false
+  }
+
   /**
    * @private
    */
   async #getFilesList({ driveId, q, pageSize, orderBy, fields }) {
-    const drive = this.#initDrive()
+    const drive = await this.#initDrive()
 
     const res = await drive.files.list({
       driveId: driveId || undefined,
@@ -452,7 +896,7 @@ class GoogleDrive {
    * @private
    */
   async getFileEntities({ query, cursor, criteria }) {
-    const drive = this.#initDrive()
+    const drive = await this.#initDrive()
 
     const payload = {
       q: query,
@@ -613,7 +1057,7 @@ class GoogleDrive {
   async getDrivesDictionary({ search, cursor }) {
     logMessage('[getDrivesDictionary] Payload', { search, cursor })
 
-    const drive = this.#initDrive()
+    const drive = await this.#initDrive()
 
     const payload = {
       pageToken: cursor,
@@ -777,7 +1221,7 @@ class GoogleDrive {
   async addSharingPreference(fileId, shareFor, role, email, domain) {
     logMessage('[addSharingPreference] Payload', { fileId, shareFor, role, email, domain })
 
-    const drive = this.#initDrive()
+    const drive = await this.#initDrive()
 
     assert(fileId, 'File ID is required.')
     assert(shareFor, 'Share For property is required.')
@@ -831,7 +1275,7 @@ class GoogleDrive {
   async createShortcut(sharedDriveId, fileId, folderId) {
     logMessage('[createShortcut] Payload', { sharedDriveId, fileId, folderId })
 
-    const drive = this.#initDrive()
+    const drive = await this.#initDrive()
 
     const res = await drive.files.create({
       requestBody: {
@@ -871,7 +1315,7 @@ class GoogleDrive {
   async getFolderListing(sharedDriveId, folderId, fileFilter, recurringRetrieval, verboseResponse) {
     logMessage('[getFolderListing] Payload', { sharedDriveId, folderId, fileFilter, recurringRetrieval, verboseResponse })
 
-    const drive = this.#initDrive()
+    const drive = await this.#initDrive()
     const driveId = resolveSharedDriveId(sharedDriveId)
 
     const queryTokens = [`mimeType != '${ GoogleMimeTypes.FOLDER }'`]
@@ -952,7 +1396,7 @@ class GoogleDrive {
   async createFile(sharedDriveId, folderId, name, content, asDocument) {
     logMessage('[createFile] Payload', { sharedDriveId, folderId, name, content, asDocument })
 
-    const drive = this.#initDrive()
+    const drive = await this.#initDrive()
 
     const res = await drive.files.create({
       media: { mimeType: 'text/plain', body: content },
@@ -986,7 +1430,7 @@ class GoogleDrive {
   async moveFile(sharedDriveId, fileId, targetFolder) {
     logMessage('[moveFile] Payload', { fileId, sharedDriveId, targetFolder })
 
-    const drive = this.#initDrive()
+    const drive = await this.#initDrive()
 
     assert(fileId, 'File ID is required.')
 
@@ -1027,7 +1471,7 @@ class GoogleDrive {
 
     assert(fileUrl, 'File URL must be provided.')
 
-    const drive = this.#initDrive()
+    const drive = await this.#initDrive()
 
     const passThroughStream = new PassThrough()
 
@@ -1077,7 +1521,7 @@ class GoogleDrive {
 
     assert(fileId, 'File ID must be provided.')
 
-    const drive = this.#initDrive()
+    const drive = await this.#initDrive()
 
     const fileMeta = await drive.files.get({ fileId, supportsAllDrives: true, fields: 'name,mimeType' })
     const { mimeType } = fileMeta.data
@@ -1129,7 +1573,7 @@ class GoogleDrive {
 
     assert(fileId, 'File ID must be provided.')
 
-    const drive = this.#initDrive()
+    const drive = await this.#initDrive()
 
     const res = await drive.files.get({
       fileId,
@@ -1173,7 +1617,7 @@ class GoogleDrive {
 
     assert(fileId, 'File ID must be provided.')
 
-    const drive = this.#initDrive()
+    const drive = await this.#initDrive()
 
     const fileMeta = await drive.files.get({ fileId, supportsAllDrives: true, fields: 'name,mimeType' })
     const { name, mimeType } = fileMeta.data
@@ -1330,7 +1774,7 @@ class GoogleDrive {
       queryTokens.push(`mimeType contains '${ fileType }'`)
     }
 
-    const drive = this.#initDrive()
+    const drive = await this.#initDrive()
 
     const files = await this.#getFilesList({
       driveId: resolveSharedDriveId(sharedDriveId),
@@ -1370,7 +1814,7 @@ class GoogleDrive {
   async renameEntity(sharedDriveId, fileId, newName) {
     logMessage('[renameEntity] Payload', { sharedDriveId, fileId, newName })
 
-    const drive = this.#initDrive()
+    const drive = await this.#initDrive()
 
     await drive.files.update({
       fileId,
@@ -1399,7 +1843,7 @@ class GoogleDrive {
   async deleteFile(fileId) {
     logMessage('[deleteFile] Payload', { fileId })
 
-    const drive = this.#initDrive()
+    const drive = await this.#initDrive()
 
     await drive.files.delete({
       fileId,
@@ -1432,7 +1876,7 @@ class GoogleDrive {
   async copyFile(sharedDriveId, fileId, newName, folderId) {
     logMessage('[copyFile] Payload', { fileId, sharedDriveId, folderId, newName })
 
-    const drive = this.#initDrive()
+    const drive = await this.#initDrive()
 
     const res = await drive.files.copy({
       fileId,
@@ -1473,7 +1917,7 @@ class GoogleDrive {
 
     assert(fileId, 'File ID must be provided.')
 
-    const drive = this.#initDrive()
+    const drive = await this.#initDrive()
 
     const fileMeta = await drive.files.get({ fileId, supportsAllDrives: true, fields: 'name,mimeType' })
 
@@ -1523,7 +1967,7 @@ class GoogleDrive {
   async createFolder(sharedDriveId, parentFolderId, name) {
     logMessage('[createFolder] Payload', { sharedDriveId, name, parentFolderId })
 
-    const drive = this.#initDrive()
+    const drive = await this.#initDrive()
 
     const response = await drive.files.create({
       requestBody: {
@@ -1560,8 +2004,63 @@ Flowrunner.ServerCode.addService(GoogleDrive, [
     hint: 'Your OAuth 2.0 Client Secret from the Google Cloud Console (APIs & Services > Credentials).',
     shared: true,
   },
+  ...googleServiceAccountConfigItems,
 ])
 
 function resolveSharedDriveId(id) {
   return (id !== MY_DRIVE_ID && id) || undefined
 }
+
+function getDriveKey(sharedDriveId) {
+  return resolveSharedDriveId(sharedDriveId) || MY_DRIVE_ID
+}
+
+// A shared drive's changes are listed by its driveId; without one Drive lists the changes of the
+// user's My Drive only.
+function getChangesScope(driveId) {
+  return driveId
+    ? { driveId, supportsAllDrives: true, includeItemsFromAllDrives: true }
+    : { supportsAllDrives: true }
+}
+
+// An unusable expiration is treated as due so the channel cannot get stuck.
+function isChannelDueForRefresh(expiration) {
+  const expiresAt = Number(expiration)
+
+  return !Number.isFinite(expiresAt) || expiresAt - WEBHOOK_REFRESH_LEAD_MS <= Date.now()
+}
+
+function getReportedChanges(channelId) {
+  if (!reportedChangesByChannel.has(channelId)) {
+    reportedChangesByChannel.set(channelId, new Map())
+  }
+
+  return reportedChangesByChannel.get(channelId)
+}
+
+// Merges the records stored in webhookData with the ones reported in this process, dropping those
+// changed before the given time.
+function collectReportedChanges({ channelId, reportedChanges }, since) {
+  const reported = getReportedChanges(channelId)
+  const collected = {}
+
+  for (const [key, time] of [...Object.entries(reportedChanges || {}), ...reported]) {
+    if (time >= since) {
+      collected[key] = time
+    } else {
+      reported.delete(key)
+    }
+  }
+
+  return collected
+}
+
+function isOnDrive(file, sharedDriveId) {
+  return (file.driveId || undefined) === resolveSharedDriveId(sharedDriveId)
+}
+
+function filterTriggersByLocation(triggers, file) {
+  return triggers
+    .filter(({ data }) => isOnDrive(file, data.sharedDriveId) && (!data.folderId || !!file.parents?.includes(data.folderId)))
+    .map(({ id }) => id)
+}
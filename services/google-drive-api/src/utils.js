@@ -31,6 +31,7 @@ function getFilenameFromUrl(url) {
 
 module.exports = {
   assert,
+  logger,
   logMessage,
   getFilenameFromUrl,
 }
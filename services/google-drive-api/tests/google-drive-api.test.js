@@ -20,11 +20,23 @@ const mockDrives = {
   list: jest.fn(),
 }
 
+const mockDriveChanges = {
+  getStartPageToken: jest.fn(),
+  list             : jest.fn(),
+  watch            : jest.fn(),
+}
+
+const mockDriveChannels = {
+  stop: jest.fn(),
+}
+
 jest.mock('@googleapis/drive', () => ({
   drive: jest.fn(() => ({
     files      : mockDriveFiles,
     permissions: mockDrivePermissions,
     drives     : mockDrives,
+    changes    : mockDriveChanges,
+    channels   : mockDriveChannels,
   })),
 }))
 
@@ -1402,4 +1414,337 @@ describe('Google Drive Service', () => {
       )
     })
   })
+
+  // ── Realtime Triggers ──
+
+  describe('realtime triggers', () => {
+    const CALLBACK_URL = 'https://flowrunner.test/webhooks/callback?key=abc'
+
+    const secondsAgo = seconds => new Date(Date.now() - seconds * 1000).toISOString()
+
+    // A change record of a file created now, i.e. after the channel's page token was taken
+    const newFileChange = (id, file = {}) => {
+      const now = new Date().toISOString()
+
+      return { fileId: id, time: now, file: { id, mimeType: 'text/plain', createdTime: now, modifiedTime: now, ...file } }
+    }
+
+    // A change record of a file created before the channel was opened
+    const updatedFileChange = (id, time, file = {}) => ({
+      fileId: id,
+      time,
+      file  : { id, mimeType: 'text/plain', createdTime: secondsAgo(900), modifiedTime: time, ...file },
+    })
+
+    const notification = (webhookData, driveKey = 'MY_GOOGLE_DRIVE', overrides = {}) => ({
+      queryParams: { connectionId: 'conn-1' },
+      headers    : {
+        'x-goog-resource-state': 'change',
+        'x-goog-channel-id'    : webhookData[driveKey].channelId,
+        'x-goog-channel-token' : webhookData[driveKey].token,
+        ...overrides,
+      },
+    })
+
+    const startFlow = triggers => sandbox.startTriggerFlow({
+      callbackUrl : CALLBACK_URL,
+      connectionId: 'conn-1',
+      triggers,
+    })
+
+    beforeEach(() => {
+      let channelCount = 0
+
+      mockDriveChanges.getStartPageToken.mockResolvedValue({ data: { startPageToken: '100' } })
+
+      mockDriveChanges.watch.mockImplementation(async () => ({
+        data: { resourceId: `resource-${ ++channelCount }`, expiration: String(Date.now() + 60 * 60 * 1000) },
+      }))
+    })
+
+    it('opens one changes channel per drive with a start page token and a channel token', async () => {
+      const flow = await startFlow([
+        { id: 't1', name: 'onNewFileInstant', data: {} },
+        { id: 't2', name: 'onFileUpdatedInstant', data: { sharedDriveId: 'MY_GOOGLE_DRIVE' } },
+        { id: 't3', name: 'onNewFolderInstant', data: { sharedDriveId: 'shared-1' } },
+      ])
+
+      expect(mockDriveChanges.watch).toHaveBeenCalledTimes(2)
+
+      expect(mockDriveChanges.watch).toHaveBeenCalledWith({
+        pageToken        : '100',
+        supportsAllDrives: true,
+        requestBody      : {
+          id     : expect.any(String),
+          type   : 'web_hook',
+          address: `${ CALLBACK_URL }&connectionId=conn-1`,
+          token  : expect.stringMatching(/^[0-9a-f]{64}$/),
+        },
+      })
+
+      expect(mockDriveChanges.watch).toHaveBeenCalledWith(expect.objectContaining({
+        driveId                  : 'shared-1',
+        includeItemsFromAllDrives: true,
+      }))
+
+      expect(flow.refreshIntervalInSeconds).toBe(60)
+      expect(Object.keys(flow.webhookData)).toEqual(['MY_GOOGLE_DRIVE', 'shared-1'])
+
+      expect(flow.webhookData['shared-1']).toMatchObject({
+        resourceId   : 'resource-2',
+        pageToken    : '100',
+        nextPageToken: '100',
+      })
+    })
+
+    it('rejects notifications with a wrong channel token without listing changes', async () => {
+      const flow = await startFlow([{ id: 't1', name: 'onNewFileInstant', data: {} }])
+
+      const result = await flow.postEvent(notification(flow.webhookData, 'MY_GOOGLE_DRIVE', {
+        'x-goog-channel-token': 'forged',
+      }))
+
+      expect(result.raw).toEqual({ connectionId: 'conn-1', events: [] })
+      expect(mockDriveChanges.list).not.toHaveBeenCalled()
+    })
+
+    it('rejects notifications for an unknown channel', async () => {
+      const flow = await startFlow([{ id: 't1', name: 'onNewFileInstant', data: {} }])
+
+      const result = await flow.postEvent(notification(flow.webhookData, 'MY_GOOGLE_DRIVE', {
+        'x-goog-channel-id': 'other-channel',
+      }))
+
+      expect(result.raw.events).toEqual([])
+      expect(mockDriveChanges.list).not.toHaveBeenCalled()
+    })
+
+    it('skips the sync notification sent when a channel opens', async () => {
+      const flow = await startFlow([{ id: 't1', name: 'onNewFileInstant', data: {} }])
+
+      const result = await flow.postEvent(notification(flow.webhookData, 'MY_GOOGLE_DRIVE', {
+        'x-goog-resource-state': 'sync',
+      }))
+
+      expect(result.raw.events).toEqual([])
+      expect(mockDriveChanges.list).not.toHaveBeenCalled()
+    })
+
+    it('reports unreported change records to the trigger blocks watching their drive and folder', async () => {
+      const flow = await startFlow([
+        { id: 'new-in-inbox', name: 'onNewFileInstant', data: { folderId: 'inbox' } },
+        { id: 'new-elsewhere', name: 'onNewFileInstant', data: { folderId: 'archive' } },
+        { id: 'files-only', name: 'onNewFileInstant', data: { triggerConfiguration: 'files_only' } },
+        { id: 'new-folder', name: 'onNewFolderInstant', data: {} },
+        { id: 'updated', name: 'onFileUpdatedInstant', data: { folderId: 'inbox' } },
+      ])
+
+      mockDriveChanges.list
+        .mockResolvedValueOnce({
+          data: {
+            nextPageToken: '150',
+            changes      : [
+              newFileChange('doc', { parents: ['inbox'] }),
+              { fileId: 'gone', time: secondsAgo(4), removed: true },
+            ],
+          },
+        })
+        .mockResolvedValueOnce({
+          data: {
+            changes: [
+              newFileChange('dir', { mimeType: 'application/vnd.google-apps.folder', parents: ['inbox'] }),
+              updatedFileChange('edited', secondsAgo(2), { parents: ['inbox'] }),
+              newFileChange('binned', { trashed: true }),
+            ],
+          },
+        })
+
+      const result = await flow.postEvent(notification(flow.webhookData))
+
+      expect(mockDriveChanges.list).toHaveBeenCalledWith(expect.objectContaining({ pageToken: '100', supportsAllDrives: true }))
+      expect(mockDriveChanges.list).toHaveBeenCalledWith(expect.objectContaining({ pageToken: '150' }))
+
+      expect(result.events.map(({ name, data, triggerIds }) => [name, data.id, triggerIds])).toEqual([
+        ['onNewFileInstant', 'doc', ['new-in-inbox', 'files-only']],
+        ['onNewFileInstant', 'dir', ['new-in-inbox']],
+        ['onNewFolderInstant', 'dir', ['new-folder']],
+        ['onFileUpdatedInstant', 'edited', ['updated']],
+      ])
+
+      expect(result.events[0].data).not.toHaveProperty('trashed')
+    })
+
+    it('reports each change record once when several notifications list it', async () => {
+      const flow = await startFlow([
+        { id: 'new-file', name: 'onNewFileInstant', data: {} },
+        { id: 'updated', name: 'onFileUpdatedInstant', data: {} },
+      ])
+
+      const created = newFileChange('doc')
+      const edited = updatedFileChange('report', secondsAgo(3))
+
+      mockDriveChanges.list.mockResolvedValue({ data: { changes: [created, edited] } })
+
+      const first = await flow.postEvent(notification(flow.webhookData))
+      const second = await flow.postEvent(notification(flow.webhookData))
+
+      expect(first.events.map(({ name, data }) => [name, data.id])).toEqual([
+        ['onNewFileInstant', 'doc'],
+        ['onFileUpdatedInstant', 'report'],
+      ])
+
+      expect(second.events).toEqual([])
+
+      // A later change of the new file still belongs to its creation, a later edit is a new update
+      mockDriveChanges.list.mockResolvedValue({
+        data: {
+          changes: [
+            { ...created, time: secondsAgo(1) },
+            updatedFileChange('report', secondsAgo(1)),
+          ],
+        },
+      })
+
+      const third = await flow.postEvent(notification(flow.webhookData))
+
+      expect(third.events.map(({ name, data }) => [name, data.id])).toEqual([
+        ['onFileUpdatedInstant', 'report'],
+      ])
+    })
+
+    it('reports a change whose notification arrives after the next refresh', async () => {
+      const flow = await startFlow([{ id: 'updated', name: 'onFileUpdatedInstant', data: {} }])
+
+      mockDriveChanges.getStartPageToken.mockResolvedValueOnce({ data: { startPageToken: '200' } })
+
+      await flow.refresh()
+
+      mockDriveChanges.list.mockResolvedValue({ data: { changes: [updatedFileChange('late', secondsAgo(90))] } })
+
+      const result = await flow.postEvent(notification(flow.webhookData))
+
+      expect(mockDriveChanges.list).toHaveBeenCalledWith(expect.objectContaining({ pageToken: '100' }))
+      expect(result.firedTriggerIds).toEqual(['updated'])
+    })
+
+    it('keeps reported change records in webhookData through refresh', async () => {
+      const flow = await startFlow([{ id: 'updated', name: 'onFileUpdatedInstant', data: {} }])
+      const change = updatedFileChange('report', new Date().toISOString())
+
+      mockDriveChanges.list.mockResolvedValue({ data: { changes: [change] } })
+
+      await flow.postEvent(notification(flow.webhookData))
+      await flow.refresh()
+
+      expect(flow.webhookData.MY_GOOGLE_DRIVE.reportedChanges).toEqual({
+        [`report:${ change.time }`]: Date.parse(change.time),
+      })
+
+      // A process that has not seen the first notification relies on webhookData alone
+      const webhookData = { MY_GOOGLE_DRIVE: { ...flow.webhookData.MY_GOOGLE_DRIVE, channelId: 'other-process' } }
+
+      const result = await service.handleTriggerResolveEvents({ ...notification(webhookData), webhookData })
+
+      expect(result.events).toEqual([])
+
+      // Records changed before the previous page token can no longer be listed and are dropped
+      flow.webhookData.MY_GOOGLE_DRIVE.pageTokenTime = Date.now()
+
+      await flow.refresh()
+
+      expect(flow.webhookData.MY_GOOGLE_DRIVE.reportedChanges).toEqual({})
+    })
+
+    it('keeps files of a shared drive away from My Drive trigger blocks', async () => {
+      const flow = await startFlow([
+        { id: 'my-drive', name: 'onNewFileInstant', data: {} },
+        { id: 'shared', name: 'onNewFileInstant', data: { sharedDriveId: 'shared-1' } },
+      ])
+
+      mockDriveChanges.list.mockResolvedValue({
+        data: {
+          changes: [
+            newFileChange('f1', { driveId: 'shared-1', parents: ['shared-1'] }),
+          ],
+        },
+      })
+
+      const result = await flow.postEvent(notification(flow.webhookData, 'shared-1'))
+
+      expect(mockDriveChanges.list).toHaveBeenCalledWith(expect.objectContaining({ driveId: 'shared-1' }))
+      expect(result.firedTriggerIds).toEqual(['shared'])
+    })
+
+    it('walks up the folder tree for recursive On New File (Instant) blocks', async () => {
+      const flow = await startFlow([
+        { id: 'recursive', name: 'onNewFileInstant', data: { folderId: 'root-folder', processRecursively: true } },
+        { id: 'direct', name: 'onNewFileInstant', data: { folderId: 'root-folder' } },
+      ])
+
+      mockDriveChanges.list.mockResolvedValue({
+        data: {
+          changes: [
+            newFileChange('f1', { parents: ['child'] }),
+          ],
+        },
+      })
+
+      mockDriveFiles.get
+        .mockResolvedValueOnce({ data: { id: 'child', parents: ['middle'] } })
+        .mockResolvedValueOnce({ data: { id: 'middle', parents: ['root-folder'] } })
+
+      const result = await flow.postEvent(notification(flow.webhookData))
+
+      expect(result.firedTriggerIds).toEqual(['recursive'])
+      expect(mockDriveFiles.get).toHaveBeenCalledWith({ fileId: 'child', supportsAllDrives: true, fields: 'id,parents' })
+    })
+
+    it('advances the page token one refresh behind and renews channels close to expiry', async () => {
+      const flow = await startFlow([{ id: 't1', name: 'onNewFileInstant', data: {} }])
+      const { channelId } = flow.webhookData.MY_GOOGLE_DRIVE
+
+      mockDriveChanges.getStartPageToken.mockResolvedValueOnce({ data: { startPageToken: '200' } })
+
+      await flow.refresh()
+
+      expect(flow.webhookData.MY_GOOGLE_DRIVE).toMatchObject({ channelId, pageToken: '100', nextPageToken: '200' })
+      expect(mockDriveChannels.stop).not.toHaveBeenCalled()
+
+      flow.webhookData.MY_GOOGLE_DRIVE.expiration = String(Date.now() + 60 * 1000)
+      mockDriveChanges.getStartPageToken.mockResolvedValueOnce({ data: { startPageToken: '300' } })
+
+      await flow.refresh()
+
+      expect(mockDriveChanges.watch).toHaveBeenLastCalledWith(expect.objectContaining({ pageToken: '300' }))
+      expect(mockDriveChannels.stop).toHaveBeenCalledWith({ requestBody: { id: channelId, resourceId: 'resource-1' } })
+
+      expect(flow.webhookData.MY_GOOGLE_DRIVE).toMatchObject({
+        resourceId   : 'resource-2',
+        pageToken    : '200',
+        nextPageToken: '300',
+      })
+    })
+
+    it('stops channels of drives no longer watched and all channels on delete', async () => {
+      const webhookData = {
+        'MY_GOOGLE_DRIVE': { channelId: 'c1', resourceId: 'r1' },
+        'shared-1'       : { channelId: 'c2', resourceId: 'r2' },
+      }
+
+      const result = await service.handleTriggerUpsertWebhook({
+        connectionId: 'conn-1',
+        callbackUrl : CALLBACK_URL,
+        events      : [{ name: 'onNewFileInstant', triggerData: {} }],
+        webhookData,
+      })
+
+      expect(mockDriveChanges.watch).not.toHaveBeenCalled()
+      expect(mockDriveChannels.stop).toHaveBeenCalledWith({ requestBody: { id: 'c2', resourceId: 'r2' } })
+      expect(Object.keys(result.webhookData)).toEqual(['MY_GOOGLE_DRIVE'])
+
+      await service.handleTriggerDeleteWebhook({ webhookData: result.webhookData })
+
+      expect(mockDriveChannels.stop).toHaveBeenLastCalledWith({ requestBody: { id: 'c1', resourceId: 'r1' } })
+    })
+  })
 })
@@ -5,6 +5,9 @@ const crypto = require('crypto')
 const Papa = require('papaparse')
 const { Buffer } = require('buffer')
 
+const { googleServiceAccountConfigItems, serviceAccountAuthFromConfig } = require('./google-auth')
+const { getHeader, generateWebhookSecret, verifySecretToken } = require('./webhook-signatures')
+
 const logger = {
   info: (...args) => console.log('[Google Sheets Service] info:', ...args),
   debug: (...args) => console.log('[Google Sheets Service] debug:', ...args),
@@ -73,6 +76,7 @@ class GoogleSheets {
     this.clientSecret = config.clientSecret
 
     this.scope = DEFAULT_SCOPE_STRING
+    this.serviceAccountAuth = serviceAccountAuthFromConfig(config, DEFAULT_SCOPE_LIST)
 
     this.documentsCache = {}
     this.sheetsCache = {}
@@ -81,12 +85,12 @@ class GoogleSheets {
   /**
    * @private
    */
-  #getDocument(documentId) {
+  async #getDocument(documentId) {
     assert(documentId, 'Spreadsheet(document) ID must be provided.')
 
     if (!this.documentsCache[documentId]) {
       this.documentsCache[documentId] = new Sheets(documentId, {
-        token: this.#getAccessToken(),
+        token: await this.#getAccessToken(),
       })
     }
 
@@ -103,7 +107,7 @@ class GoogleSheets {
     const cacheKey = `${ documentId }-${ sheetId }`
 
     if (!this.sheetsCache[cacheKey]) {
-      const doc = this.#getDocument(documentId)
+      const doc = await this.#getDocument(documentId)
 
       assert(doc, `Document with ID ${ documentId } does not exist.`)
 
@@ -149,9 +153,14 @@ class GoogleSheets {
   }
 
   /**
+   * OAuth token of the request, or the service account's token when a key is configured.
    * @private
    */
-  #getAccessToken() {
+  async #getAccessToken() {
+    if (this.serviceAccountAuth) {
+      return await this.serviceAccountAuth.getAccessToken()
+    }
+
     return this.request.headers['oauth-access-token']
   }
 
@@ -280,11 +289,11 @@ class GoogleSheets {
   /**
    * @private
    */
-  initDrive() {
+  async initDrive() {
     const auth = new Auth.auth.OAuth2()
 
     auth.setCredentials({
-      access_token: this.#getAccessToken(),
+      access_token: await this.#getAccessToken(),
       scope: this.scope,
       token_type: 'Bearer',
     })
@@ -296,9 +305,12 @@ class GoogleSheets {
    * @private
    */
   async createWebhook(callbackUrl, fileId) {
-    const drive = this.initDrive()
+    const drive = await this.initDrive()
     const channelId = crypto.randomUUID()
 
+    // Drive echoes the token back in X-Goog-Channel-Token on every notification
+    const token = generateWebhookSecret()
+
     logger.debug(`createWebhook: channelId=${ channelId }, callbackUrl=${ callbackUrl }, fileId=${ fileId }`)
 
     try {
@@ -310,6 +322,7 @@ class GoogleSheets {
           id: channelId,
           type: 'web_hook',
           address: callbackUrl,
+          token,
         },
       })
 
@@ -317,7 +330,7 @@ class GoogleSheets {
 
       const { expiration, resourceId } = res.data
 
-      return { channelId, resourceId, fileId, expiration, callbackUrl }
+      return { channelId, resourceId, fileId, expiration, callbackUrl, token }
     } catch (error) {
       logger.error(`failed to create a webhook: ${ error.errors ? JSON.stringify(error.errors) : error.message }`)
 
@@ -329,7 +342,7 @@ class GoogleSheets {
    * @private
    */
   async deleteWebhook(channelId, resourceId) {
-    const drive = this.initDrive()
+    const drive = await this.initDrive()
 
     logger.debug(`deleteWebhook: ${ JSON.stringify({ channelId, resourceId }) }`)
 
@@ -430,6 +443,12 @@ class GoogleSheets {
       return { connectionId, events: [] }
     }
 
+    if (!this.#verifyChannelToken(invocation)) {
+      logger.warn('handleTriggerResolveEvents: unknown channel or X-Goog-Channel-Token mismatch — rejecting delivery')
+
+      return { connectionId, events: [] }
+    }
+
     const events = await this.onDocumentChanged(MethodCallTypes.SHAPE_EVENT, invocation)
 
     logger.debug(`handleTriggerResolveEvents.events: ${ JSON.stringify(events) }`)
@@ -437,6 +456,27 @@ class GoogleSheets {
     return { connectionId, events }
   }
 
+  // Channels created before the channel token was stored carry no token; their notifications are
+  // accepted with a warning until the refresh handler recreates the channel. A notification for a
+  // channel that is not stored is only accepted while none of the stored channels has a token.
+  #verifyChannelToken(invocation) {
+    const channels = Object.values(invocation.webhookData || {})
+    const channelId = getHeader(invocation.headers, 'x-goog-channel-id')
+    const channel = channels.find(stored => stored.channelId === channelId)
+    const isLegacyChannel = channel ? !channel.token : !channels.some(({ token }) => token)
+
+    if (isLegacyChannel) {
+      logger.warn('handleTriggerResolveEvents: no channel token stored — skipping verification.')
+
+      return true
+    }
+
+    return verifySecretToken({
+      expected: channel?.token,
+      provided: getHeader(invocation.headers, 'x-goog-channel-token'),
+    })
+  }
+
   /**
    * @registerAs SYSTEM
    * @paramDef {"type":"Object","label":"Invocation","name":"invocation"}
@@ -670,7 +710,7 @@ class GoogleSheets {
     }
 
     const { files, nextPageToken } = await Flowrunner.Request.get('https://www.googleapis.com/drive/v3/files')
-      .set({ Authorization: `Bearer ${ this.#getAccessToken() }` })
+      .set({ Authorization: `Bearer ${ await this.#getAccessToken() }` })
       .query(query)
 
     return { files, nextPageToken }
@@ -853,7 +893,7 @@ class GoogleSheets {
   async getDrivesDictionary({ search, cursor }) {
     logger.debug('[getDrivesDictionary] Payload', { search, cursor })
 
-    const drive = this.initDrive()
+    const drive = await this.initDrive()
 
     const payload = {
       pageToken: cursor,
@@ -942,7 +982,7 @@ class GoogleSheets {
 
     const { sheets } = await Flowrunner.Request
       .get(`https://sheets.googleapis.com/v4/spreadsheets/${ spreadsheetID }`)
-      .set({ Authorization: `Bearer ${ this.#getAccessToken() }` })
+      .set({ Authorization: `Bearer ${ await this.#getAccessToken() }` })
 
     const sheetName = sheets.find(s => s.properties.sheetId === sheetID)?.properties?.title
 
@@ -952,7 +992,7 @@ class GoogleSheets {
 
     const { values } = await Flowrunner.Request
       .get(`https://sheets.googleapis.com/v4/spreadsheets/${ spreadsheetID }/values/${ this.#a1Range(sheetName, '1:1') }`)
-      .set({ Authorization: `Bearer ${ this.#getAccessToken() }` })
+      .set({ Authorization: `Bearer ${ await this.#getAccessToken() }` })
 
     const columns = (values?.[0] || []).map((name, index) => ({
       id: `COL$${ this.#columnLetter(index) }`,
@@ -992,7 +1032,7 @@ class GoogleSheets {
    */
   async addDocument(title) {
     return this.#executeApiMethod('addDocument', { title }, async () => {
-      const doc = await Sheets.createNewSpreadsheetDocument({ token: this.#getAccessToken() }, { title })
+      const doc = await Sheets.createNewSpreadsheetDocument({ token: await this.#getAccessToken() }, { title })
 
       return {
         documentId: doc.spreadsheetId,
@@ -1015,7 +1055,7 @@ class GoogleSheets {
    */
   async renameDocument(documentId, newName) {
     return this.#executeApiMethod('renameDocument', { documentId, newName }, async () => {
-      const doc = this.#getDocument(documentId)
+      const doc = await this.#getDocument(documentId)
 
       await doc.updateProperties({ title: newName })
     })
@@ -1037,7 +1077,7 @@ class GoogleSheets {
    */
   async deleteDocument(documentId) {
     return this.#executeApiMethod('deleteDocument', { documentId }, async () => {
-      const doc = this.#getDocument(documentId)
+      const doc = await this.#getDocument(documentId)
 
       await doc.delete()
 
@@ -1076,7 +1116,7 @@ class GoogleSheets {
         'Header Values must be an array.'
       )
 
-      const doc = this.#getDocument(documentId)
+      const doc = await this.#getDocument(documentId)
 
       const sheet = await doc.addSheet({
         title,
@@ -1186,7 +1226,7 @@ class GoogleSheets {
         }
 
         await Flowrunner.Request.post(`https://sheets.googleapis.com/v4/spreadsheets/${ documentId }:batchUpdate`)
-          .set({ Authorization: `Bearer ${ this.#getAccessToken() }` })
+          .set({ Authorization: `Bearer ${ await this.#getAccessToken() }` })
           .send(requestData)
       }
     )
@@ -1211,7 +1251,7 @@ class GoogleSheets {
     return this.#executeApiMethod('deleteSheet', { documentId, sheetId }, async () => {
       assert(typeof sheetId === 'number', 'Sheet ID must be a number.')
 
-      const doc = this.#getDocument(documentId)
+      const doc = await this.#getDocument(documentId)
 
       await doc.deleteSheet(sheetId)
 
@@ -1741,7 +1781,7 @@ class GoogleSheets {
         `File type must be one of ${ validFileTypes.join(', ') }.`
       )
 
-      const doc = this.#getDocument(documentId)
+      const doc = await this.#getDocument(documentId)
       await doc.loadInfo()
 
       const FileTypeToActionMapper = {
@@ -2031,8 +2071,8 @@ class GoogleSheets {
       'copySheetToDocument',
       { sourceDocumentId, targetDocumentId, sheetId, removeSourceSheet },
       async () => {
-        const sourceDoc = this.#getDocument(sourceDocumentId)
-        const targetDoc = this.#getDocument(targetDocumentId)
+        const sourceDoc = await this.#getDocument(sourceDocumentId)
+        const targetDoc = await this.#getDocument(targetDocumentId)
 
         await sourceDoc.loadInfo()
 
@@ -2085,7 +2125,7 @@ class GoogleSheets {
    */
   async findSheet(documentId, sheetTitle, createIfNotFound) {
     return this.#executeApiMethod('findSheet', { documentId, sheetTitle, createIfNotFound }, async () => {
-      const doc = this.#getDocument(documentId)
+      const doc = await this.#getDocument(documentId)
 
       await doc.loadInfo()
 
@@ -2129,7 +2169,7 @@ class GoogleSheets {
    */
   async getSheetList(documentId) {
     return this.#executeApiMethod('getSheetList', { documentId }, async () => {
-      const doc = this.#getDocument(documentId)
+      const doc = await this.#getDocument(documentId)
 
       await doc.loadInfo()
 
@@ -2163,7 +2203,7 @@ class GoogleSheets {
     return this.#executeApiMethod('importFromCSV', { documentId, csvUrl, sheetId }, async () => {
       assert(csvUrl, 'CSV Url must be provided.')
 
-      const doc = this.#getDocument(documentId)
+      const doc = await this.#getDocument(documentId)
 
       await doc.loadInfo()
 
@@ -2215,7 +2255,6 @@ class GoogleSheets {
 
 Flowrunner.ServerCode.addService(GoogleSheets, [
   {
-    order: 0,
     displayName: 'Client Id',
     name: 'clientId',
     type: Flowrunner.ServerCode.ConfigItems.TYPES.STRING,
@@ -2224,7 +2263,6 @@ Flowrunner.ServerCode.addService(GoogleSheets, [
     hint: 'Your OAuth 2.0 Client ID from the Google Cloud Console (APIs & Services > Credentials).',
   },
   {
-    order: 1,
     displayName: 'Client Secret',
     name: 'clientSecret',
     type: Flowrunner.ServerCode.ConfigItems.TYPES.STRING,
@@ -2232,6 +2270,7 @@ Flowrunner.ServerCode.addService(GoogleSheets, [
     shared: true,
     hint: 'Your OAuth 2.0 Client Secret from the Google Cloud Console (APIs & Services > Credentials).',
   },
+  ...googleServiceAccountConfigItems,
 ])
 
 function assert(condition, message) {
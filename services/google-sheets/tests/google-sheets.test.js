@@ -242,7 +242,7 @@ describe('Google Sheets Service', () => {
     it('registers clientId and clientSecret as shared, required config items', () => {
       const configItems = sandbox.getConfigItems()
 
-      expect(configItems).toHaveLength(2)
+      expect(configItems).toHaveLength(4)
 
       expect(configItems).toEqual(
         expect.arrayContaining([
@@ -262,6 +262,27 @@ describe('Google Sheets Service', () => {
           }),
         ])
       )
+
+      configItems.forEach(item => expect(item).not.toHaveProperty('order'))
+    })
+
+    it('registers serviceAccountKey and impersonatedUser as optional, per-connection config items', () => {
+      expect(sandbox.getConfigItems()).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({
+            name: 'serviceAccountKey',
+            type: 'TEXT',
+            required: false,
+            shared: false,
+          }),
+          expect.objectContaining({
+            name: 'impersonatedUser',
+            type: 'STRING',
+            required: false,
+            shared: false,
+          }),
+        ])
+      )
     })
 
     it('exposes the config values on the instance', () => {
@@ -272,8 +293,8 @@ describe('Google Sheets Service', () => {
     it('every config key read from config is registered in addService', () => {
       const registered = sandbox.getConfigItems().map(item => item.name)
 
-      // The constructor only reads clientId / clientSecret.
-      expect(registered).toEqual(expect.arrayContaining(['clientId', 'clientSecret']))
+      // The constructor reads clientId / clientSecret and passes the config to serviceAccountAuthFromConfig.
+      expect(registered).toEqual(expect.arrayContaining(['clientId', 'clientSecret', 'serviceAccountKey', 'impersonatedUser']))
     })
   })
 
@@ -540,6 +561,7 @@ describe('Google Sheets Service', () => {
           id: expect.any(String),
           type: 'web_hook',
           address: 'https://cb.example.com/hook',
+          token: expect.stringMatching(/^[0-9a-f]{64}$/),
         },
       })
 
@@ -549,6 +571,7 @@ describe('Google Sheets Service', () => {
         fileId: 'file-1',
         expiration: '1750000000000',
         callbackUrl: 'https://cb.example.com/hook',
+        token: mockDriveFilesWatch.mock.calls[0][0].requestBody.token,
       })
     })
 
@@ -749,6 +772,51 @@ describe('Google Sheets Service', () => {
     })
   })
 
+  describe('handleTriggerResolveEvents channel token', () => {
+    const webhookData = {
+      [DOC_ID]: { channelId: 'chan-9', resourceId: 'res-9', fileId: DOC_ID, token: 'secret-token' },
+    }
+
+    const resolve = headers => service.handleTriggerResolveEvents({
+      queryParams: { connectionId: 'conn-1' },
+      webhookData,
+      headers: {
+        'x-goog-resource-state': 'update',
+        'x-goog-resource-uri': `https://www.googleapis.com/drive/v3/files/${ DOC_ID }?alt=json`,
+        'x-goog-channel-id': 'chan-9',
+        ...headers,
+      },
+    })
+
+    it('accepts a notification carrying the stored channel token', async () => {
+      const result = await resolve({ 'x-goog-channel-token': 'secret-token' })
+
+      expect(result.events).toHaveLength(1)
+    })
+
+    it.each([
+      ['a wrong token', { 'x-goog-channel-token': 'forged' }],
+      ['no token', {}],
+      ['an unknown channel', { 'x-goog-channel-id': 'chan-other', 'x-goog-channel-token': 'secret-token' }],
+    ])('rejects a notification with %s', async (_label, headers) => {
+      await expect(resolve(headers)).resolves.toEqual({ connectionId: 'conn-1', events: [] })
+    })
+
+    it('accepts notifications of channels created before tokens were stored', async () => {
+      const result = await service.handleTriggerResolveEvents({
+        queryParams: { connectionId: 'conn-1' },
+        webhookData: { [DOC_ID]: { channelId: 'chan-9', resourceId: 'res-9', fileId: DOC_ID } },
+        headers: {
+          'x-goog-resource-state': 'update',
+          'x-goog-resource-uri': `https://www.googleapis.com/drive/v3/files/${ DOC_ID }?alt=json`,
+          'x-goog-channel-id': 'chan-9',
+        },
+      })
+
+      expect(result.events).toHaveLength(1)
+    })
+  })
+
   describe('handleTriggerSelectMatched', () => {
     it('returns only the ids of triggers bound to the changed document', async () => {
       const result = await service.handleTriggerSelectMatched({
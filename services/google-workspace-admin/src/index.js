@@ -1,5 +1,7 @@
 'use strict'
 
+const { googleServiceAccountConfigItems, serviceAccountAuthFromConfig } = require('./google-auth')
+
 const API_BASE_URL = 'https://admin.googleapis.com/admin/directory/v1'
 const OAUTH_URL = 'https://accounts.google.com/o/oauth2/v2/auth'
 const TOKEN_URL = 'https://oauth2.googleapis.com/token'
@@ -44,9 +46,16 @@ class GoogleWorkspaceAdminService {
     this.clientId = config.clientId
     this.clientSecret = config.clientSecret
     this.scopes = DEFAULT_SCOPE_STRING
+    this.serviceAccountAuth = serviceAccountAuthFromConfig(config, DEFAULT_SCOPE_LIST)
   }
 
-  #getAccessTokenHeader(accessToken) {
+  // With a service-account key the connection acts as that account (or the Workspace user it
+  // impersonates) instead of the user who granted OAuth access.
+  async #getAccessTokenHeader(accessToken) {
+    if (!accessToken && this.serviceAccountAuth) {
+      accessToken = await this.serviceAccountAuth.getAccessToken()
+    }
+
     return {
       Authorization: `Bearer ${ accessToken || this.request.headers['oauth-access-token'] }`,
       'Content-Type': 'application/json',
@@ -61,7 +70,7 @@ class GoogleWorkspaceAdminService {
       logger.debug(`${ logTag } - api request: [${ method }::${ url }] q=[${ JSON.stringify(query) }]`)
 
       const request = Flowrunner.Request[method](url)
-        .set(this.#getAccessTokenHeader())
+        .set(await this.#getAccessTokenHeader())
         .query(query)
 
       return body !== undefined ? await request.send(body) : await request
@@ -1209,6 +1218,7 @@ Flowrunner.ServerCode.addService(GoogleWorkspaceAdminService, [
     shared: true,
     hint: 'Your OAuth 2.0 Client Secret from the Google Cloud Console.',
   },
+  ...googleServiceAccountConfigItems,
 ])
 
 function cleanupObject(data) {
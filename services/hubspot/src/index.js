@@ -1,3 +1,5 @@
+const { fetchAllPages } = require('./pagination')
+
 const API_BASE_URL = 'https://api.hubapi.com'
 const OAUTH_BASE_URL = `${ API_BASE_URL }/oauth`
 const AUTH_URL = 'https://app.hubspot.com/oauth/authorize'
@@ -250,17 +252,19 @@ class HubSpotService {
    * @paramDef {"type":"String","label":"Property Mode","name":"propertyMode","uiComponent":{"type":"DROPDOWN","options":{"values":["value_only","value_and_history"]}},"description":"One of 'value_only' or 'value_and_history' to specify if the current value for a property should be fetched, or the value and all the historical values for that property. Default is 'value_only'."}
    * @paramDef {"type":"String","label":"Form Submission Mode","name":"formSubmissionMode","uiComponent":{"type":"DROPDOWN","options":{"values":["all","none","newest","oldest"]}},"description":"One of 'all', 'none', 'newest', 'oldest' to specify which form submissions should be fetched. Default is 'newest'."}
    * @paramDef {"type":"Boolean","label":"Show List Memberships","name":"showListMemberships","uiComponent":{"type":"TOGGLE"},"description":"Boolean 'true' or 'false' to indicate whether current list memberships should be fetched for the contact. Default is 'false'."}
+   * @paramDef {"type":"Boolean","label":"Return All Results","name":"returnAll","uiComponent":{"type":"TOGGLE"},"description":"Follow 'vid-offset' and return the contacts of every page (100 per request) in one list, starting at 'VID Offset' if set. Stops at 'Max Items' or when the time limit of this action is nearly used up; 'has-more' and 'vid-offset' then tell where to continue."}
+   * @paramDef {"type":"Number","label":"Max Items","name":"maxItems","uiComponent":{"type":"NUMERIC_STEPPER"},"description":"Upper limit on the contacts returned when 'Return All Results' is on. Defaults to 10000."}
    *
    * @returns {Contacts}
    * @sampleResult {"has-more":false,"contacts":[{"vid":65333232777,"merge-audits":[],"addedAt":1728302373637,"merged-vids":[],"is-contact":true,"form-submissions":[],"portal-id":47634236,"list-memberships":[],"identity-profiles":[{"vid":65333232777,"saved-at-timestamp":1728302373637,"identities":[{"is-primary":true,"type":"EMAIL","value":"bh@hubspot.com","timestamp":1728302373057}],"deleted-changed-timestamp":0}],"canonical-vid":65333232777,"properties":{"firstname":{"value":"Brian"},"lastname":{"value":"Halligan"},"company":{"value":"HubSpot"}}}],"vid-offset":67412409230}
    */
-  async getAllContacts(count, vidOffset, property, propertyMode, formSubmissionMode, showListMemberships) {
-    return await this.#apiRequest({
+  async getAllContacts(count, vidOffset, property, propertyMode, formSubmissionMode, showListMemberships, returnAll, maxItems) {
+    const fetchPage = (offset, pageCount) => this.#apiRequest({
       url: `${ API_BASE_URL }/contacts/v1/lists/all/contacts/all`,
       method: 'get',
       query: {
-        count,
-        vidOffset,
+        count: pageCount,
+        vidOffset: offset,
         property,
         propertyMode,
         formSubmissionMode,
@@ -268,6 +272,27 @@ class HubSpotService {
       },
       logTag: 'getAllContacts',
     })
+
+    if (!returnAll) {
+      return await fetchPage(vidOffset, count)
+    }
+
+    let lastOffset
+
+    const { items, nextCursor, truncated } = await fetchAllPages(async (offset, { remaining }) => {
+      const response = await fetchPage(offset, Math.min(count || 100, 100, remaining))
+
+      lastOffset = response['vid-offset']
+
+      // vid-offset is the vid of the last contact returned, so a trimmed page resumes after the last one kept
+      return {
+        items: response.contacts,
+        nextCursor: response['has-more'] ? response['vid-offset'] : null,
+        resumeAt: kept => response.contacts[kept - 1].vid,
+      }
+    }, { cursor: vidOffset || undefined, maxItems, timeoutSeconds: 120 })
+
+    return { 'has-more': truncated, contacts: items, 'vid-offset': nextCursor ?? lastOffset }
   }
 
   /**
@@ -0,0 +1,183 @@
+'use strict'
+
+// Shared pagination: edit shared/pagination/pagination.js and run `npm run sync:shared`, never the service copy.
+
+const PAGINATION_DEFAULTS = {
+  maxItems: 10000,
+  // Budget assumed for methods without @executionTimeoutInSeconds.
+  timeoutSeconds: 30,
+  // No new page is started this close to the end of the budget; a slow page must still fit.
+  safetyMarginMs: 5000,
+}
+
+const hasCursor = cursor => cursor !== undefined && cursor !== null && cursor !== ''
+
+/**
+ * Follows a paginated list until the last page, `maxItems` or the time budget, whichever comes
+ * first.
+ *
+ * `fetchPage(cursor, { page, remaining })` loads one page and returns `{ items, nextCursor }`;
+ * the cursor is whatever the API pages by (offset, page number, token, URL) and is undefined
+ * for the first page unless `options.cursor` is given. Services pass `remaining` as the page
+ * size when the API accepts one, so the last page does not overshoot the cap.
+ *
+ * When the result is cut short, `truncated` is set and `nextCursor` resumes where it stopped, so
+ * a flow can continue with the single-page version of the action. If the last page had to be
+ * trimmed, the page's `resumeAt(kept)` gives the cursor right after its first `kept` items (an
+ * offset, or the id of the last kept item). Pages without it are resumed from their own cursor
+ * with `skip` set to the number of their items already returned; that cursor is null when the
+ * trimmed page was the first one and had none.
+ *
+ * @param {Function} fetchPage - (cursor, { page, remaining }) => Promise<{ items, nextCursor, resumeAt? }>
+ * @param {Object} [options]
+ * @param {*} [options.cursor] - Where to start.
+ * @param {number} [options.maxItems]
+ * @param {number} [options.timeoutSeconds] - The method's @executionTimeoutInSeconds.
+ * @param {number} [options.deadline] - Epoch ms, wins over timeoutSeconds.
+ * @param {number} [options.safetyMarginMs]
+ * @param {Function} [options.now]
+ * @returns {Promise<{ items: Array, nextCursor: *, truncated: boolean, skip: number, pages: number }>}
+ */
+async function fetchAllPages(fetchPage, options = {}) {
+  const {
+    maxItems = PAGINATION_DEFAULTS.maxItems,
+    safetyMarginMs = PAGINATION_DEFAULTS.safetyMarginMs,
+    now = Date.now,
+  } = options
+
+  const deadline = options.deadline ?? now() + (options.timeoutSeconds ?? PAGINATION_DEFAULTS.timeoutSeconds) * 1000
+  const items = []
+  let cursor = options.cursor
+  let pages = 0
+  let skip = 0
+  let trimmed = false
+
+  while (true) {
+    const pageCursor = cursor
+    const page = await fetchPage(pageCursor, { page: pages, remaining: maxItems - items.length })
+
+    pages++
+    items.push(...(page?.items || []))
+    cursor = hasCursor(page?.nextCursor) ? page.nextCursor : null
+
+    if (items.length > maxItems) {
+      const kept = page.items.length - (items.length - maxItems)
+
+      items.length = maxItems
+      trimmed = true
+
+      if (typeof page.resumeAt === 'function') {
+        const resumeCursor = page.resumeAt(kept)
+
+        cursor = hasCursor(resumeCursor) ? resumeCursor : null
+      } else {
+        cursor = hasCursor(pageCursor) ? pageCursor : null
+        skip = kept
+      }
+
+      break
+    }
+
+    if (cursor === null || items.length >= maxItems || now() >= deadline - safetyMarginMs) {
+      break
+    }
+  }
+
+  return { items, nextCursor: cursor, truncated: trimmed || cursor !== null, skip, pages }
+}
+
+/**
+ * Next offset for offset/limit APIs, or null after the last page. A short page ends the list;
+ * so does reaching `total` when the API reports one.
+ * @param {Object} page
+ * @param {number} page.offset - Offset the page was requested with.
+ * @param {number} page.limit - Page size it was requested with.
+ * @param {number} page.received - Number of items it returned.
+ * @param {number} [page.total]
+ * @returns {number|null}
+ */
+function nextOffset({ offset = 0, limit, received, total }) {
+  const next = Number(offset) + received
+
+  if (!received || received < limit || (total !== undefined && total !== null && next >= total)) {
+    return null
+  }
+
+  return next
+}
+
+/**
+ * Cursor for APIs that page with `starting_after` and `has_more` (Stripe and friends): the id
+ * of the last item while more pages exist, otherwise null.
+ * @param {Object} response
+ * @param {Object} [options]
+ * @param {string} [options.itemsField]
+ * @param {string} [options.idField]
+ * @returns {string|null}
+ */
+function startingAfterCursor(response, { itemsField = 'data', idField = 'id' } = {}) {
+  const items = response?.[itemsField]
+
+  if (!response?.has_more || !Array.isArray(items) || !items.length) {
+    return null
+  }
+
+  return items[items.length - 1][idField] ?? null
+}
+
+/**
+ * Parses an RFC 8288 Link header into { rel: url }.
+ * @param {string} header - e.g. `<https://api.example.com/items?page=2>; rel="next", <...>; rel="last"`
+ * @returns {Object<string, string>}
+ */
+function parseLinkHeader(header) {
+  const links = {}
+
+  for (const part of String(header || '').split(/,(?=\s*<)/)) {
+    const url = /<([^>]*)>/.exec(part)
+    const rel = /;\s*rel="?([^";]+)"?/i.exec(part)
+
+    if (url && rel) {
+      for (const name of rel[1].trim().split(/\s+/)) {
+        links[name.toLowerCase()] = url[1]
+      }
+    }
+  }
+
+  return links
+}
+
+/**
+ * URL of the rel="next" link in a response's headers, or null.
+ * @param {Object} headers
+ * @returns {string|null}
+ */
+function nextLinkFromHeaders(headers) {
+  const key = Object.keys(headers || {}).find(name => name.toLowerCase() === 'link')
+
+  return key ? parseLinkHeader(headers[key]).next || null : null
+}
+
+/**
+ * Reads one query parameter of an absolute or relative URL, e.g. the page token of a next link.
+ * @param {string} url
+ * @param {string} name
+ * @returns {string|null}
+ */
+function readQueryParam(url, name) {
+  if (!url) {
+    return null
+  }
+
+  return new URL(url, 'http://localhost').searchParams.get(name)
+}
+
+module.exports = {
+  PAGINATION_DEFAULTS,
+  fetchAllPages,
+  nextOffset,
+  startingAfterCursor,
+  parseLinkHeader,
+  nextLinkFromHeaders,
+  readQueryParam,
+}
@@ -140,6 +140,62 @@ describe('HubSpot Service', () => {
     })
   })
 
+  describe('OAuth connection', () => {
+    afterEach(() => {
+      service.request = { headers: { 'oauth-access-token': ACCESS_TOKEN } }
+    })
+
+    function connect() {
+      return sandbox.connectOAuth({
+        tokenUrl: `${OAUTH_BASE}/v1/token`,
+        expiresIn: 1800,
+        // HubSpot keeps the same refresh token for the lifetime of the connection
+        rotateRefreshToken: false,
+      })
+    }
+
+    it('exchanges the authorization code and injects the access token', async () => {
+      const connection = await connect()
+
+      expect(connection.authorization.baseUrl).toBe(AUTH_URL)
+      expect(connection.authorization.params).toMatchObject({ client_id: CLIENT_ID, response_type: 'code' })
+
+      expect(connection.callbackResult).toMatchObject({
+        token: 'access-token-1',
+        refreshToken: 'refresh-token-1',
+        expirationInSeconds: 1800,
+      })
+
+      expect(service.request.headers['oauth-access-token']).toBe('access-token-1')
+    })
+
+    it('refreshes an expired token before running an action', async () => {
+      const connection = await connect()
+      const url = `${API_BASE}/contacts/v1/lists/all/contacts/all`
+
+      mock.onGet(url).reply({ contacts: [] })
+
+      connection.expire()
+      await connection.invoke('getAllContacts')
+
+      expect(connection.token).toBe('access-token-2')
+      expect(connection.refreshToken).toBe('refresh-token-1')
+      expect(mock.history.find(r => r.url === url).headers.Authorization).toBe('Bearer access-token-2')
+    })
+
+    it('does not refresh a token that is still valid', async () => {
+      const connection = await connect()
+
+      mock.onGet(`${API_BASE}/contacts/v1/lists/all/contacts/all`).reply({ contacts: [] })
+
+      connection.advanceTime(1799)
+      await connection.invoke('getAllContacts')
+
+      expect(connection.refreshes).toHaveLength(0)
+      expect(connection.token).toBe('access-token-1')
+    })
+  })
+
   // ── Contact Management ──
 
   describe('getAllContacts', () => {
@@ -185,6 +241,39 @@ describe('HubSpot Service', () => {
 
       await expect(service.getAllContacts()).rejects.toThrow()
     })
+
+    it('follows vid-offset when returning all results', async () => {
+      mock.onGet(url).replySequence([
+        { 'has-more': true, contacts: [{ vid: 1 }, { vid: 2 }], 'vid-offset': 2 },
+        { 'has-more': false, contacts: [{ vid: 3 }], 'vid-offset': 3 },
+      ])
+
+      const result = await service.getAllContacts(undefined, undefined, ['email'], undefined, undefined, undefined, true)
+
+      expect(result).toEqual({ 'has-more': false, contacts: [{ vid: 1 }, { vid: 2 }, { vid: 3 }], 'vid-offset': 3 })
+      expect(mock.history.map(call => call.query.vidOffset)).toEqual([undefined, 2])
+      expect(mock.history[1].query).toMatchObject({ count: 100, property: ['email'] })
+    })
+
+    it('stops at max items and reports where to continue', async () => {
+      mock.onGet(url).replySequence([
+        { 'has-more': true, contacts: [{ vid: 1 }, { vid: 2 }], 'vid-offset': 2 },
+        { 'has-more': true, contacts: [{ vid: 3 }], 'vid-offset': 3 },
+      ])
+
+      const result = await service.getAllContacts(2, undefined, undefined, undefined, undefined, undefined, true, 3)
+
+      expect(result).toEqual({ 'has-more': true, contacts: [{ vid: 1 }, { vid: 2 }, { vid: 3 }], 'vid-offset': 3 })
+      expect(mock.history.map(call => call.query.count)).toEqual([2, 1])
+    })
+
+    it('continues after the last contact kept when a page returns more than asked for', async () => {
+      mock.onGet(url).reply({ 'has-more': true, contacts: [{ vid: 11 }, { vid: 12 }, { vid: 13 }], 'vid-offset': 13 })
+
+      const result = await service.getAllContacts(undefined, undefined, undefined, undefined, undefined, undefined, true, 2)
+
+      expect(result).toEqual({ 'has-more': true, contacts: [{ vid: 11 }, { vid: 12 }], 'vid-offset': 12 })
+    })
   })
 
   describe('getContactById', () => {
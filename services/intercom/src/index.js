@@ -4,6 +4,8 @@
 // refreshToken() is a no-op passthrough. Webhooks are not API-manageable (they are
 // configured only in the Developer Hub), so triggers poll the search API by created_at.
 
+const { fetchAllPages } = require('./pagination')
+
 // ============================================================================
 //  CONSTANTS
 // ============================================================================
@@ -15,6 +17,7 @@ const INTERCOM_VERSION = '2.14'
 
 // Default page size for list/search endpoints.
 const DEFAULT_PAGE_SIZE = 50
+const MAX_CONTACTS_PAGE_SIZE = 150
 
 // How many seconds the polling watermark is held behind real time. Intercom's search index can
 // make a record queryable a few seconds after its created_at, so a record created at T may not
@@ -567,15 +570,41 @@ class Intercom {
    * @category Contacts
    * @description Returns a page of contacts from your workspace. Use the cursor to page through results. Use this to browse or export contacts, or to feed a downstream action with contact IDs.
    * @route POST /list-contacts
+   * @executionTimeoutInSeconds 120
    * @paramDef {"type":"Number","label":"Page Size","name":"perPage","uiComponent":{"type":"NUMERIC_STEPPER"},"defaultValue":50,"description":"How many contacts per page (max 150). Default: 50."}
    * @paramDef {"type":"String","label":"Cursor","name":"startingAfter","uiComponent":{"type":"SINGLE_LINE_TEXT"},"description":"Pagination cursor from a previous page's pages.next.starting_after."}
+   * @paramDef {"type":"Boolean","label":"Return All Results","name":"returnAll","uiComponent":{"type":"TOGGLE"},"description":"Follow the cursor from page to page and return all contacts in 'data'. Stops at 'Max Items' or when the time limit of this action is nearly used up; pages.next.starting_after then tells where to continue."}
+   * @paramDef {"type":"Number","label":"Max Items","name":"maxItems","uiComponent":{"type":"NUMERIC_STEPPER"},"description":"Upper limit on the contacts returned when 'Return All Results' is on. Defaults to 10000."}
    * @returns {Object}
    * @sampleResult {"type":"list","data":[{"type":"contact","id":"6762f0dd1bb69f9f2193bb83","role":"user","email":"joebloggs@intercom.io"}],"total_count":1,"pages":{"type":"pages","page":1,"per_page":50,"total_pages":1,"next":null}}
    */
-  async listContacts(perPage, startingAfter) {
-    const query = this.#compact({ per_page: perPage || DEFAULT_PAGE_SIZE, starting_after: startingAfter })
+  async listContacts(perPage, startingAfter, returnAll, maxItems) {
+    const fetchPage = (cursor, pageSize) => {
+      const query = this.#compact({ per_page: pageSize, starting_after: cursor })
+
+      return this.#apiRequest({ url: `${ API_BASE }/contacts`, query, logTag: 'listContacts' })
+    }
+
+    if (!returnAll) {
+      return await fetchPage(startingAfter, perPage || DEFAULT_PAGE_SIZE)
+    }
 
-    return await this.#apiRequest({ url: `${ API_BASE }/contacts`, query, logTag: 'listContacts' })
+    let totalCount
+
+    const { items, nextCursor } = await fetchAllPages(async (cursor, { remaining }) => {
+      const response = await fetchPage(cursor, Math.min(perPage || MAX_CONTACTS_PAGE_SIZE, MAX_CONTACTS_PAGE_SIZE, remaining))
+
+      totalCount = response.total_count
+
+      return { items: response.data, nextCursor: response.pages?.next?.starting_after }
+    }, { cursor: startingAfter, maxItems, timeoutSeconds: 120 })
+
+    return {
+      type: 'list',
+      data: items,
+      total_count: totalCount,
+      pages: { type: 'pages', next: nextCursor === null ? null : { starting_after: nextCursor } },
+    }
   }
 
   /**
@@ -471,6 +471,31 @@ describe('Intercom Service', () => {
 
       expect(last().query).toEqual({ per_page: 50 })
     })
+
+    it('follows pages.next.starting_after when returning all results', async () => {
+      mock.onGet(`${ API }/contacts`).replySequence([
+        { data: [{ id: 'c1' }, { id: 'c2' }], total_count: 3, pages: { next: { per_page: 150, starting_after: 'cur-2' } } },
+        { data: [{ id: 'c3' }], total_count: 3, pages: { next: null } },
+      ])
+
+      const result = await service.listContacts(undefined, undefined, true)
+
+      expect(result).toEqual({ type: 'list', data: [{ id: 'c1' }, { id: 'c2' }, { id: 'c3' }], total_count: 3, pages: { type: 'pages', next: null } })
+      expect(mock.history.map(call => call.query)).toEqual([{ per_page: 150 }, { per_page: 150, starting_after: 'cur-2' }])
+    })
+
+    it('shrinks the last page to max items and returns the cursor to continue', async () => {
+      mock.onGet(`${ API }/contacts`).replySequence([
+        { data: [{ id: 'c1' }, { id: 'c2' }], pages: { next: { starting_after: 'cur-2' } } },
+        { data: [{ id: 'c3' }], pages: { next: { starting_after: 'cur-3' } } },
+      ])
+
+      const result = await service.listContacts(2, 'cur-0', true, 3)
+
+      expect(result.data).toHaveLength(3)
+      expect(result.pages.next).toEqual({ starting_after: 'cur-3' })
+      expect(mock.history.map(call => call.query)).toEqual([{ per_page: 2, starting_after: 'cur-0' }, { per_page: 1, starting_after: 'cur-2' }])
+    })
   })
 
   describe('search query construction', () => {
@@ -2,6 +2,7 @@
 
 const { restJsonRequest, restRequest, parseJsonResponse } = require('./aws-client')
 const { CredentialProvider } = require('./credentials')
+const { endpointFromConfig } = require('./endpoints')
 const { createLogger, mapAwsError } = require('./errors')
 const { awsConfigItems } = require('./config-items')
 
@@ -14,13 +15,18 @@ class Lambda {
     this.region = config.region || 'us-east-1'
     this.logger = createLogger('Lambda')
 
+    this.endpoint = endpointFromConfig(config)
+
     this.credentials = new CredentialProvider({
+      service: 'lambda',
       authenticationMethod: config.authenticationMethod || 'API Key',
       accessKeyId: config.accessKeyId,
       secretAccessKey: config.secretAccessKey,
+      sessionToken: config.sessionToken,
       region: this.region,
       roleArn: config.roleArn,
       externalId: config.externalId,
+      endpoint: this.endpoint,
     })
 
     this.deps = { restJsonRequest, restRequest }
@@ -29,7 +35,7 @@ class Lambda {
   async sendRest(method, path, body) {
     const creds = await this.credentials.resolve()
 
-    return this.deps.restJsonRequest({ region: this.region, service: 'lambda', method, path, body }, creds)
+    return this.deps.restJsonRequest({ region: this.region, service: 'lambda', method, path, body, endpoint: this.endpoint }, creds)
   }
 
   async invokeRaw(path, payload, invocationType) {
@@ -43,6 +49,7 @@ class Lambda {
         path,
         body: payload,
         headers: { 'x-amz-invocation-type': invocationType },
+        endpoint: this.endpoint,
       },
       creds
     )
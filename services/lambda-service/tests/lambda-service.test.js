@@ -67,8 +67,8 @@ describe('AWS Lambda Service', () => {
       )
     })
 
-    it('has exactly 6 config items', () => {
-      expect(sandbox.getConfigItems()).toHaveLength(6)
+    it('has exactly 9 config items', () => {
+      expect(sandbox.getConfigItems()).toHaveLength(9)
     })
   })
 
@@ -699,9 +699,10 @@ function stubTransport({
 }
 
 describe('config-items', () => {
-  it('exposes the six AWS config items, none of them shared', () => {
+  it('exposes the nine AWS config items, none of them shared', () => {
     expect(awsConfigItems.map(item => item.name)).toEqual([
-      'authenticationMethod', 'region', 'accessKeyId', 'secretAccessKey', 'roleArn', 'externalId',
+      'authenticationMethod', 'region', 'accessKeyId', 'secretAccessKey', 'sessionToken', 'roleArn', 'externalId',
+      'endpointVariant', 'endpoint',
     ])
 
     expect(awsConfigItems.every(item => item.shared === false)).toBe(true)
@@ -1339,6 +1340,7 @@ describe('CredentialProvider', () => {
 
     const provider = new CredentialProvider(
       {
+        service: 'lambda',
         authenticationMethod: 'IAM Role',
         accessKeyId: 'AK',
         secretAccessKey: 'SK',
@@ -1358,7 +1360,8 @@ describe('CredentialProvider', () => {
       'eu-west-1',
       'arn:role',
       `${ SESSION_NAME_PREFIX }${ now }`,
-      'ext'
+      'ext',
+      undefined
     )
 
     // Cache hit — still well inside the 5 minute expiry buffer.
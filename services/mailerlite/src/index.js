@@ -4,6 +4,8 @@
 //  Docs: https://developers.mailerlite.com/docs
 // ============================================================================
 
+const { getHeader, getRawBody, verifyHmac } = require('./webhook-signatures')
+
 const API_BASE_URL = 'https://connect.mailerlite.com/api'
 
 const logger = {
@@ -633,7 +635,8 @@ class MailerLite {
         logTag: 'handleTriggerUpsertWebhook',
       })
 
-      webhooks.push({ triggerId: event.id, webhookId: created?.data?.id, event: resolvedEvent })
+      // MailerLite generates the signing secret and returns it once, on creation
+      webhooks.push({ triggerId: event.id, webhookId: created?.data?.id, event: resolvedEvent, secret: created?.data?.secret })
     }
 
     return { webhookData: { webhooks }, connectionId: invocation.connectionId }
@@ -655,6 +658,12 @@ class MailerLite {
 
     const connectionId = invocation.queryParams?.connectionId
 
+    if (!this.#verifyWebhookSignature(invocation)) {
+      logger.warn('handleTriggerResolveEvents: webhook signature verification failed — rejecting delivery')
+
+      return { connectionId, events: [] }
+    }
+
     // Deliveries are a single event object, or a batch { events: [...], total } for batchable webhooks.
     const rawEvents = Array.isArray(invocation.body.events) ? invocation.body.events : [invocation.body]
 
@@ -665,6 +674,24 @@ class MailerLite {
     return { connectionId, events }
   }
 
+  // Verifies the Signature header: hex HMAC-SHA256 of the raw body keyed with the secret
+  // MailerLite returned for the webhook. If no secret was stored, verification is skipped
+  // with a warning.
+  #verifyWebhookSignature(invocation) {
+    const secrets = (invocation.webhookData?.webhooks || []).map(hook => hook.secret).filter(Boolean)
+
+    if (!secrets.length) {
+      logger.warn('No webhook secret stored — skipping signature verification.')
+
+      return true
+    }
+
+    const signature = getHeader(invocation.headers, 'signature')
+    const rawBody = getRawBody(invocation)
+
+    return secrets.some(secret => verifyHmac({ secret, payload: rawBody, signature }))
+  }
+
   /**
    * @registerAs SYSTEM
    * @route POST /handleTriggerSelectMatched
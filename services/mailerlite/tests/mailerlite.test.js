@@ -1,5 +1,7 @@
 'use strict'
 
+const crypto = require('crypto')
+
 const { createSandbox } = require('../../../service-sandbox')
 
 const API_KEY = 'test-api-key'
@@ -744,7 +746,7 @@ describe('MailerLite Service', () => {
 
   describe('handleTriggerUpsertWebhook', () => {
     it('creates webhooks for each event', async () => {
-      mock.onPost(`${ BASE }/webhooks`).reply({ data: { id: 'wh_1' } })
+      mock.onPost(`${ BASE }/webhooks`).reply({ data: { id: 'wh_1', secret: 'ml_secret' } })
 
       const invocation = {
         callbackUrl: 'https://flow.example.com/callback',
@@ -758,7 +760,7 @@ describe('MailerLite Service', () => {
 
       expect(result.connectionId).toBe('conn_1')
       expect(result.webhookData.webhooks).toEqual([
-        { triggerId: 'trigger1', webhookId: 'wh_1', event: 'subscriber.created' },
+        { triggerId: 'trigger1', webhookId: 'wh_1', event: 'subscriber.created', secret: 'ml_secret' },
       ])
       expect(mock.history[0].body).toEqual({
         name: 'FlowRunner trigger trigger1',
@@ -824,6 +826,43 @@ describe('MailerLite Service', () => {
 
       expect(result.events).toHaveLength(2)
     })
+
+    describe('signature verification', () => {
+      const webhookData = { webhooks: [{ triggerId: 'trigger1', webhookId: 'wh_1', event: 'subscriber.created', secret: 'ml_secret' }] }
+      const body = { event: 'subscriber.created', id: '123', email: 'john@example.com' }
+      const rawBody = JSON.stringify(body)
+
+      it('accepts a delivery signed with the stored webhook secret', async () => {
+        const signature = crypto.createHmac('sha256', 'ml_secret').update(rawBody).digest('hex')
+
+        const result = await service.handleTriggerResolveEvents({
+          body,
+          rawBody,
+          headers: { Signature: signature },
+          queryParams: { connectionId: 'conn_1' },
+          webhookData,
+        })
+
+        expect(result.events).toHaveLength(1)
+      })
+
+      it('rejects forged and unsigned deliveries', async () => {
+        const signature = crypto.createHmac('sha256', 'ml_secret').update(rawBody).digest('hex')
+        const base = { rawBody, queryParams: { connectionId: 'conn_1' }, webhookData }
+
+        const forged = await service.handleTriggerResolveEvents({
+          ...base,
+          body: { ...body, email: 'eve@example.com' },
+          rawBody: JSON.stringify({ ...body, email: 'eve@example.com' }),
+          headers: { signature },
+        })
+
+        const unsigned = await service.handleTriggerResolveEvents({ ...base, body })
+
+        expect(forged).toEqual({ connectionId: 'conn_1', events: [] })
+        expect(unsigned.events).toEqual([])
+      })
+    })
   })
 
   describe('handleTriggerSelectMatched', () => {
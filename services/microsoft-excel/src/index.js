@@ -1,3 +1,5 @@
+const { msGraphAppOnlyConfigItems, msGraphClientFromConfig } = require('./msgraph')
+
 const OAUTH_BASE_URL = 'https://login.microsoftonline.com/common/oauth2/v2.0'
 const API_BASE_URL = 'https://graph.microsoft.com/v1.0'
 
@@ -55,11 +57,12 @@ class MicrosoftExcelService {
     this.clientId = config.clientId
     this.clientSecret = config.clientSecret
     this.scopes = DEFAULT_SCOPE_STRING
+    this.graph = msGraphClientFromConfig(config, () => this.request?.headers?.['oauth-access-token'])
   }
 
-  #getAccessTokenHeader(accessToken) {
+  async #getAccessTokenHeader(accessToken) {
     return {
-      Authorization: `Bearer ${ this.request.headers['oauth-access-token'] || accessToken }`,
+      Authorization: `Bearer ${ accessToken || await this.graph.getAccessToken() }`,
     }
   }
 
@@ -68,9 +71,25 @@ class MicrosoftExcelService {
     query = cleanupObject(query)
 
     try {
+      url = this.graph.resolveUrl(url)
+
       logger.debug(`${ logTag } - api request: [${ method }::${ url }] q=[${ JSON.stringify(query) }]`)
 
-      return await Flowrunner.Request[method](url).set(this.#getAccessTokenHeader()).query(query).send(body)
+      return await Flowrunner.Request[method](url).set(await this.#getAccessTokenHeader()).query(query).send(body)
+    } catch (error) {
+      const message = error.body?.error?.message || error.message
+
+      logger.error(`${ logTag } - error: ${ message }`)
+
+      throw new Error(`Microsoft Excel 365 API error: ${ message }`)
+    }
+  }
+
+  async #batchRequest(requests, logTag) {
+    try {
+      logger.debug(`${ logTag } - batch request: ${ requests.length } sub-requests`)
+
+      return await this.graph.batch(requests)
     } catch (error) {
       const message = error.body?.error?.message || error.message
 
@@ -799,6 +818,62 @@ class MicrosoftExcelService {
 
     return { message: 'Table row deleted successfully' }
   }
+
+  /**
+   * @operationName Delete Table Rows
+   * @category Tables
+   * @appearanceColor #217346 #185C37
+   * @description Deletes several data rows from an Excel table by their zero-based indexes (the header row is not counted). The indexes refer to the table as it is before the call; rows are removed from the bottom up in Microsoft Graph batches of 20, so the remaining indexes stay valid while deleting. If a deletion fails, the rows after it are left in place and reported under "failed".
+   * @route DELETE /delete-table-rows
+   * @executionTimeoutInSeconds 120
+   * @paramDef {"type":"String","label":"Workbook","name":"itemId","required":true,"dictionary":"getWorkbooksDictionary","description":"The Excel workbook stored in OneDrive. Choose a workbook or paste a OneDrive item ID."}
+   * @paramDef {"type":"String","label":"Table","name":"tableId","required":true,"dictionary":"getTablesDictionary","dependsOn":["itemId"],"description":"The table that contains the rows. Choose a workbook above to pick from its tables, or enter a table name or ID."}
+   * @paramDef {"type":"Array","label":"Row Indexes","name":"indexes","required":true,"description":"The zero-based indexes of the data rows to delete, e.g. [0, 4, 5]. Duplicates are ignored."}
+   * @returns {Object}
+   * @sampleResult {"deleted":[5,4,0],"failed":[]}
+   */
+  async deleteTableRows(itemId, tableId, indexes) {
+    if (!itemId) {
+      throw new Error('Parameter "Workbook" is required')
+    }
+
+    if (!tableId) {
+      throw new Error('Parameter "Table" is required')
+    }
+
+    if (!Array.isArray(indexes) || !indexes.length) {
+      throw new Error('Parameter "Row Indexes" must be a non-empty array')
+    }
+
+    const rowIndexes = [...new Set(indexes.map(Number))]
+
+    if (!rowIndexes.every(index => Number.isInteger(index) && index >= 0)) {
+      throw new Error('Parameter "Row Indexes" must contain zero-based row numbers')
+    }
+
+    // bottom up, each deletion waiting for the previous one, so no row shifts before its turn
+    rowIndexes.sort((a, b) => b - a)
+
+    const results = await this.#batchRequest(rowIndexes.map((index, position) => ({
+      id: String(index),
+      method: 'delete',
+      url: this.#workbookUrl(itemId, `/tables/${ encodeURIComponent(tableId) }/rows/${ index }`),
+      dependsOn: position ? [String(rowIndexes[position - 1])] : undefined,
+    })), 'deleteTableRows')
+
+    const deleted = []
+    const failed = []
+
+    results.forEach((result, position) => {
+      if (result.status < 400) {
+        deleted.push(rowIndexes[position])
+      } else {
+        failed.push({ index: rowIndexes[position], status: result.status, message: result.body?.error?.message || 'Request failed' })
+      }
+    })
+
+    return { deleted, failed }
+  }
 }
 
 Flowrunner.ServerCode.addService(MicrosoftExcelService, [
@@ -818,6 +893,7 @@ Flowrunner.ServerCode.addService(MicrosoftExcelService, [
     shared: true,
     hint: 'OAuth2 Client Secret of your Microsoft Entra app registration.',
   },
+  ...msGraphAppOnlyConfigItems,
 ])
 
 function searchFilter(list, props, searchString) {
@@ -1130,4 +1130,139 @@ describe('Microsoft Excel 365 Service', () => {
       )
     })
   })
+
+  describe('deleteTableRows', () => {
+    const BATCH_URL = `${ API_BASE }/$batch`
+    const rowPath = index => `/me/drive/items/${ encodeURIComponent(ITEM_ID) }/workbook/tables/SalesTable/rows/${ index }`
+
+    it('deletes the rows bottom up in one chained batch', async () => {
+      mock.onPost(BATCH_URL).replyWith(request => ({
+        responses: request.body.requests.map(sub => ({ id: sub.id, status: 204, body: null })),
+      }))
+
+      const result = await service.deleteTableRows(ITEM_ID, 'SalesTable', [0, 5, 4, 5])
+
+      expect(result).toEqual({ deleted: [5, 4, 0], failed: [] })
+      expect(mock.history).toHaveLength(1)
+      expect(mock.history[0].headers.Authorization).toBe(`Bearer ${ ACCESS_TOKEN }`)
+
+      expect(mock.history[0].body.requests).toEqual([
+        { id: '5', method: 'DELETE', url: rowPath(5) },
+        { id: '4', method: 'DELETE', url: rowPath(4), dependsOn: ['5'] },
+        { id: '0', method: 'DELETE', url: rowPath(0), dependsOn: ['4'] },
+      ])
+    })
+
+    it('reports the failed row and the rows left in place after it', async () => {
+      mock.onPost(BATCH_URL).reply({
+        responses: [
+          { id: '5', status: 204, body: null },
+          { id: '4', status: 404, body: { error: { code: 'ItemNotFound', message: 'Row not found' } } },
+          { id: '0', status: 424, body: { error: { code: 'FailedDependency', message: 'Dependency failed' } } },
+        ],
+      })
+
+      const result = await service.deleteTableRows(ITEM_ID, 'SalesTable', [5, 4, 0])
+
+      expect(result).toEqual({
+        deleted: [5],
+        failed: [
+          { index: 4, status: 404, message: 'Row not found' },
+          { index: 0, status: 424, message: 'Dependency failed' },
+        ],
+      })
+    })
+
+    it('wraps errors of the batch request itself', async () => {
+      mock.onPost(BATCH_URL).replyWithStatus(400, { error: { message: 'Invalid batch payload' } })
+
+      await expect(service.deleteTableRows(ITEM_ID, 'SalesTable', [1])).rejects.toThrow(
+        'Microsoft Excel 365 API error: Invalid batch payload'
+      )
+    })
+
+    it('validates the indexes', async () => {
+      await expect(service.deleteTableRows(ITEM_ID, 'SalesTable', [])).rejects.toThrow(
+        'Parameter "Row Indexes" must be a non-empty array'
+      )
+
+      await expect(service.deleteTableRows(ITEM_ID, 'SalesTable', [1, -1])).rejects.toThrow(
+        'Parameter "Row Indexes" must contain zero-based row numbers'
+      )
+
+      expect(mock.history).toHaveLength(0)
+    })
+  })
+
+  describe('app-only connection', () => {
+    const TOKEN_URL = 'https://login.microsoftonline.com/contoso.onmicrosoft.com/oauth2/v2.0/token'
+
+    let appSandbox
+    let appService
+    let appMock
+
+    const createAppOnlyService = config => {
+      appSandbox = createSandbox({
+        clientId: CLIENT_ID,
+        clientSecret: CLIENT_SECRET,
+        tenantId: 'contoso.onmicrosoft.com',
+        appClientId: 'daemon-app-id',
+        appClientSecret: 'daemon-secret',
+        ...config,
+      })
+
+      jest.isolateModules(() => {
+        require('../src/index.js')
+      })
+
+      appService = appSandbox.getService()
+      appMock = appSandbox.getRequestMock()
+      appService.request = { headers: {} }
+    }
+
+    afterEach(() => {
+      appSandbox.cleanup()
+    })
+
+    it('offers the tenant and app credentials as connection settings', () => {
+      createAppOnlyService()
+
+      expect(appSandbox.getConfigItems()).toEqual(expect.arrayContaining([
+        expect.objectContaining({ name: 'tenantId', required: false, shared: false }),
+        expect.objectContaining({ name: 'appClientSecret', required: false, shared: false }),
+        expect.objectContaining({ name: 'appCertificate', required: false, type: 'TEXT' }),
+        expect.objectContaining({ name: 'actAsUser', required: false, shared: false }),
+      ]))
+    })
+
+    it('calls the workbook of the configured user with a client credentials token', async () => {
+      createAppOnlyService({ actAsUser: 'reports@contoso.com' })
+
+      const userWorkbookUrl = `${ API_BASE }/users/reports%40contoso.com/drive/items/${ encodeURIComponent(ITEM_ID) }/workbook/worksheets`
+
+      appMock.onPost(TOKEN_URL).reply({ access_token: 'app-token', expires_in: 3599 })
+      appMock.onGet(userWorkbookUrl).reply({ value: [] })
+
+      await appService.listWorksheets(ITEM_ID)
+      await appService.listWorksheets(ITEM_ID)
+
+      const tokenRequest = new URLSearchParams(appMock.history[0].body)
+
+      expect(tokenRequest.get('grant_type')).toBe('client_credentials')
+      expect(tokenRequest.get('client_id')).toBe('daemon-app-id')
+      expect(appMock.callsTo('post', TOKEN_URL)).toHaveLength(1)
+
+      expect(appMock.callsTo('get', userWorkbookUrl).map(call => call.headers.Authorization)).toEqual([
+        'Bearer app-token',
+        'Bearer app-token',
+      ])
+    })
+
+    it('asks for a user to act as before calling /me endpoints', async () => {
+      createAppOnlyService()
+
+      await expect(appService.listWorksheets(ITEM_ID)).rejects.toThrow('Set "Act As User" on the connection')
+      expect(appMock.history).toHaveLength(0)
+    })
+  })
 })
@@ -1,3 +1,5 @@
+const { msGraphAppOnlyConfigItems, msGraphClientFromConfig } = require('./msgraph')
+
 const OAUTH_BASE_URL = 'https://login.microsoftonline.com/common/oauth2/v2.0'
 const API_BASE_URL = 'https://graph.microsoft.com/v1.0'
 const DRIVE_BASE_URL = `${ API_BASE_URL }/me/drive`
@@ -48,11 +50,12 @@ class MicrosoftOneDriveService {
     this.clientId = config.clientId
     this.clientSecret = config.clientSecret
     this.scopes = DEFAULT_SCOPE_STRING
+    this.graph = msGraphClientFromConfig(config, () => this.request?.headers?.['oauth-access-token'])
   }
 
-  #getAccessTokenHeader(accessToken) {
+  async #getAccessTokenHeader(accessToken) {
     return {
-      Authorization: `Bearer ${ this.request.headers['oauth-access-token'] || accessToken }`,
+      Authorization: `Bearer ${ accessToken || await this.graph.getAccessToken() }`,
     }
   }
 
@@ -61,10 +64,12 @@ class MicrosoftOneDriveService {
     query = cleanupObject(query)
 
     try {
+      url = this.graph.resolveUrl(url)
+
       logger.debug(`${ logTag } - api request: [${ method }::${ url }] q=[${ JSON.stringify(query) }]`)
 
       return await Flowrunner.Request[method](url)
-        .set({ ...this.#getAccessTokenHeader(), ...(headers || {}) })
+        .set({ ...(await this.#getAccessTokenHeader()), ...(headers || {}) })
         .query(query)
         .send(body)
     } catch (error) {
@@ -448,8 +453,8 @@ class MicrosoftOneDriveService {
     try {
       // Graph answers /content with a 302 redirect to a short-lived, pre-authenticated
       // download URL; the request follows it and returns the raw bytes.
-      bytes = await Flowrunner.Request.get(`${ DRIVE_BASE_URL }/items/${ itemId }/content`)
-        .set(this.#getAccessTokenHeader())
+      bytes = await Flowrunner.Request.get(this.graph.resolveUrl(`${ DRIVE_BASE_URL }/items/${ itemId }/content`))
+        .set(await this.#getAccessTokenHeader())
         .setEncoding(null)
     } catch (error) {
       const message = error.body?.error?.message || error.message
@@ -526,9 +531,9 @@ class MicrosoftOneDriveService {
       try {
         logger.debug(`uploadFile - simple upload of ${ buffer.length } bytes`)
 
-        return await Flowrunner.Request.put(url)
+        return await Flowrunner.Request.put(this.graph.resolveUrl(url))
           .set({
-            ...this.#getAccessTokenHeader(),
+            ...(await this.#getAccessTokenHeader()),
             'Content-Type': 'application/octet-stream',
           })
           .send(buffer)
@@ -831,6 +836,7 @@ Flowrunner.ServerCode.addService(MicrosoftOneDriveService, [
     shared: true,
     hint: 'OAuth2 Client Secret of your Microsoft Entra app registration.',
   },
+  ...msGraphAppOnlyConfigItems,
 ])
 
 function cleanupObject(data) {
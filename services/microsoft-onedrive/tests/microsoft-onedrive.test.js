@@ -61,6 +61,11 @@ describe('Microsoft OneDrive Service', () => {
           required: true,
           shared: true,
         }),
+        expect.objectContaining({ name: 'tenantId', required: false, shared: false }),
+        expect.objectContaining({ name: 'appClientId', required: false, shared: false }),
+        expect.objectContaining({ name: 'appClientSecret', required: false, shared: false }),
+        expect.objectContaining({ name: 'appCertificate', type: 'TEXT', required: false, shared: false }),
+        expect.objectContaining({ name: 'actAsUser', required: false, shared: false }),
       ])
     })
 
@@ -1,5 +1,7 @@
 const { randomUUID } = require('crypto')
 
+const { msGraphAppOnlyConfigItems, msGraphClientFromConfig } = require('./msgraph')
+
 const OAUTH_BASE_URL = 'https://login.microsoftonline.com/common/oauth2/v2.0'
 const API_BASE_URL = 'https://graph.microsoft.com/v1.0'
 const PLANNER_BASE_URL = `${ API_BASE_URL }/planner`
@@ -97,11 +99,12 @@ class MicrosoftPlannerService {
     this.clientId = config.clientId
     this.clientSecret = config.clientSecret
     this.scopes = DEFAULT_SCOPE_STRING
+    this.graph = msGraphClientFromConfig(config, () => this.request?.headers?.['oauth-access-token'])
   }
 
-  #getAccessTokenHeader(accessToken) {
+  async #getAccessTokenHeader(accessToken) {
     return {
-      Authorization: `Bearer ${ this.request.headers['oauth-access-token'] || accessToken }`,
+      Authorization: `Bearer ${ accessToken || await this.graph.getAccessToken() }`,
     }
   }
 
@@ -110,10 +113,12 @@ class MicrosoftPlannerService {
     query = cleanupObject(query)
 
     try {
+      url = this.graph.resolveUrl(url)
+
       logger.debug(`${ logTag } - api request: [${ method }::${ url }] q=[${ JSON.stringify(query) }]`)
 
       return await Flowrunner.Request[method](url)
-        .set({ ...this.#getAccessTokenHeader(), ...headers })
+        .set({ ...(await this.#getAccessTokenHeader()), ...headers })
         .query(query)
         .send(body)
     } catch (error) {
@@ -1291,6 +1296,7 @@ Flowrunner.ServerCode.addService(MicrosoftPlannerService, [
     shared: true,
     hint: 'OAuth2 Client Secret of your Microsoft Entra app registration.',
   },
+  ...msGraphAppOnlyConfigItems,
 ])
 
 function searchFilter(list, props, searchString) {
@@ -58,11 +58,13 @@ describe('Microsoft Planner Service', () => {
     it('registers with correct config items', () => {
       const configItems = sandbox.getConfigItems()
 
-      expect(configItems).toHaveLength(2)
+      expect(configItems).toHaveLength(7)
       expect(configItems).toEqual(
         expect.arrayContaining([
           expect.objectContaining({ name: 'clientId', required: true, shared: true }),
           expect.objectContaining({ name: 'clientSecret', required: true, shared: true }),
+          expect.objectContaining({ name: 'tenantId', required: false, shared: false }),
+          expect.objectContaining({ name: 'actAsUser', required: false, shared: false }),
         ])
       )
     })
@@ -1,3 +1,5 @@
+const { msGraphAppOnlyConfigItems, msGraphClientFromConfig } = require('./msgraph')
+
 const OAUTH_BASE_URL = 'https://login.microsoftonline.com/common/oauth2/v2.0'
 const API_BASE_URL = 'https://graph.microsoft.com/v1.0'
 const PAGE_SIZE_DICTIONARY = 20
@@ -55,11 +57,12 @@ class MicrosoftTeamsService {
     this.clientId = config.clientId
     this.clientSecret = config.clientSecret
     this.scopes = DEFAULT_SCOPE_STRING
+    this.graph = msGraphClientFromConfig(config, () => this.request?.headers?.['oauth-access-token'])
   }
 
-  #getAccessTokenHeader(accessToken) {
+  async #getAccessTokenHeader(accessToken) {
     return {
-      Authorization: `Bearer ${ this.request.headers['oauth-access-token'] || accessToken }`,
+      Authorization: `Bearer ${ accessToken || await this.graph.getAccessToken() }`,
     }
   }
 
@@ -68,9 +71,11 @@ class MicrosoftTeamsService {
     query = cleanupObject(query)
 
     try {
+      url = this.graph.resolveUrl(url)
+
       logger.debug(`${ logTag } - api request: [${ method }::${ url }] q=[${ JSON.stringify(query) }]`)
 
-      return await Flowrunner.Request[method](url).set(this.#getAccessTokenHeader()).query(query).send(body)
+      return await Flowrunner.Request[method](url).set(await this.#getAccessTokenHeader()).query(query).send(body)
     } catch (error) {
       const message = error.body?.error?.message || error.message
 
@@ -779,6 +784,7 @@ Flowrunner.ServerCode.addService(MicrosoftTeamsService, [
     shared: true,
     hint: 'OAuth2 Client Secret of your Microsoft Entra app registration.',
   },
+  ...msGraphAppOnlyConfigItems,
 ])
 
 function searchFilter(list, props, searchString) {
@@ -1,3 +1,5 @@
+const { msGraphAppOnlyConfigItems, msGraphClientFromConfig } = require('./msgraph')
+
 const OAUTH_BASE_URL = 'https://login.microsoftonline.com/common/oauth2/v2.0'
 const API_BASE_URL = 'https://graph.microsoft.com/v1.0'
 const TODO_BASE_URL = `${ API_BASE_URL }/me/todo`
@@ -45,11 +47,12 @@ class MicrosoftToDoService {
     this.clientId = config.clientId
     this.clientSecret = config.clientSecret
     this.scopes = DEFAULT_SCOPE_STRING
+    this.graph = msGraphClientFromConfig(config, () => this.request?.headers?.['oauth-access-token'])
   }
 
-  #getAccessTokenHeader(accessToken) {
+  async #getAccessTokenHeader(accessToken) {
     return {
-      Authorization: `Bearer ${ this.request.headers['oauth-access-token'] || accessToken }`,
+      Authorization: `Bearer ${ accessToken || await this.graph.getAccessToken() }`,
     }
   }
 
@@ -58,9 +61,11 @@ class MicrosoftToDoService {
     query = cleanupObject(query)
 
     try {
+      url = this.graph.resolveUrl(url)
+
       logger.debug(`${ logTag } - api request: [${ method }::${ url }] q=[${ JSON.stringify(query) }]`)
 
-      return await Flowrunner.Request[method](url).set(this.#getAccessTokenHeader()).query(query).send(body)
+      return await Flowrunner.Request[method](url).set(await this.#getAccessTokenHeader()).query(query).send(body)
     } catch (error) {
       const message = error.body?.error?.message || error.message
 
@@ -772,6 +777,7 @@ Flowrunner.ServerCode.addService(MicrosoftToDoService, [
     shared: true,
     hint: 'OAuth2 Client Secret of your Microsoft Entra app registration.',
   },
+  ...msGraphAppOnlyConfigItems,
 ])
 
 function searchFilter(list, props, searchString) {
@@ -1,5 +1,8 @@
 const { MongoClient, ObjectId } = require('mongodb')
 
+const { sshTunnelConfigItems, sshTunnelSettings, withSshTunnel, urlEndpoint, replaceUrlEndpoint } = require('./ssh-tunnel')
+const { WATERMARK_KEY, resolveBatchSize, pollRows } = require('./row-polling')
+
 const logger = {
   info: (...args) => console.log('[MongoDB] info:', ...args),
   debug: (...args) => console.log('[MongoDB] debug:', ...args),
@@ -7,10 +10,19 @@ const logger = {
   warn: (...args) => console.log('[MongoDB] warn:', ...args),
 }
 
+const DEFAULT_PORT = 27017
 const DEFAULT_CONNECTION_TIMEOUT_SECONDS = 10
 const DEFAULT_FIND_LIMIT = 100
 const OBJECT_ID_HEX_PATTERN = /^[0-9a-fA-F]{24}$/
 
+// Write models accepted by Bulk Write and Execute in Transaction, in the driver's bulkWrite syntax.
+const WRITE_OPERATIONS = ['insertOne', 'updateOne', 'updateMany', 'replaceOne', 'deleteOne', 'deleteMany']
+
+// A trigger poll reads its change stream for at most this long, waiting up to
+// CHANGE_STREAM_AWAIT_MS for each further batch of changes.
+const CHANGE_STREAM_DRAIN_MS = 20000
+const CHANGE_STREAM_AWAIT_MS = 1000
+
 // ============================================================================
 //  DICTIONARY PAYLOAD TYPEDEFS
 // ============================================================================
@@ -30,6 +42,7 @@ class MongoDB {
 
     this.connectionString = (this.config.connectionString || '').trim()
     this.database = this.config.database
+    this.sshTunnel = sshTunnelSettings(this.config)
 
     const timeoutSeconds = parseInt(this.config.connectionTimeoutSeconds, 10)
 
@@ -39,7 +52,9 @@ class MongoDB {
   // ==========================================================================
   //  CORE — connection lifecycle: one short-lived MongoClient per method call.
   //  A client is created, connected, used and always closed in finally.
-  //  Connections are NEVER cached between invocations.
+  //  Connections are NEVER cached between invocations. With an SSH Host
+  //  configured, the client connects through a tunnel that lives exactly as
+  //  long as the client.
   // ==========================================================================
   async #withDb(logTag, fn) {
     if (!this.connectionString) {
@@ -53,29 +68,49 @@ class MongoDB {
       throw new Error('MongoDB error: Database is not configured. Provide the database name in the service configuration.')
     }
 
-    const client = new MongoClient(this.connectionString, {
+    const clientOptions = {
       serverSelectionTimeoutMS: this.connectionTimeoutMs,
       connectTimeoutMS: this.connectionTimeoutMs,
       appName: 'flowrunner-mongodb',
-    })
+    }
 
     try {
-      logger.debug(`${ logTag } - connecting to ${ this.#connectionLabel() }`)
-
-      await client.connect()
-
-      return await fn(client.db(String(this.database).trim()))
+      logger.debug(`${ logTag } - connecting to ${ this.#connectionLabel() }${ this.sshTunnel ? ` via SSH ${ this.sshTunnel.host }` : '' }`)
+
+      return await withSshTunnel(this.sshTunnel, () => this.#tunnelTarget(), async tunnel => {
+        // Through a tunnel only the forwarded server is reachable, so replica set discovery
+        // (which would hand back the members' internal hostnames) is turned off.
+        const client = tunnel
+          ? new MongoClient(replaceUrlEndpoint(this.connectionString, tunnel), { ...clientOptions, directConnection: true })
+          : new MongoClient(this.connectionString, clientOptions)
+
+        try {
+          await client.connect()
+
+          return await fn(client.db(String(this.database).trim()), client)
+        } finally {
+          try {
+            await client.close()
+          } catch (closeError) {
+            logger.warn(`${ logTag } - failed to close connection: ${ closeError.message }`)
+          }
+        }
+      })
     } catch (error) {
       this.#throwMongoError(error, logTag)
-    } finally {
-      try {
-        await client.close()
-      } catch (closeError) {
-        logger.warn(`${ logTag } - failed to close connection: ${ closeError.message }`)
-      }
     }
   }
 
+  // The database endpoint as seen from the SSH bastion. mongodb+srv:// strings resolve their
+  // hosts through DNS from FlowRunner, so they cannot be pointed at a tunnel.
+  #tunnelTarget() {
+    if (/^mongodb\+srv:/i.test(this.connectionString)) {
+      throw new Error('SSH tunnel: mongodb+srv:// connection strings cannot be tunneled. Use a mongodb://host:port connection string with a single host.')
+    }
+
+    return urlEndpoint(this.connectionString, DEFAULT_PORT)
+  }
+
   // Human-readable connection target for logs. Never includes credentials: the connection
   // string embeds the password, so only its host part is extracted.
   #connectionLabel() {
@@ -106,6 +141,10 @@ class MongoDB {
       )
     }
 
+    if (/Transaction numbers are only allowed on a replica set member or mongos/i.test(errorText)) {
+      parts.push('hint: transactions need a replica set or a sharded cluster. A standalone server can run Bulk Write instead, without the all-or-nothing guarantee.')
+    }
+
     const message = parts.join(' | ')
 
     logger.error(`${ logTag } - failed: ${ message }`)
@@ -203,6 +242,65 @@ class MongoDB {
     return this.#normalizeFilter(normalized)
   }
 
+  // Validates one Bulk Write / Execute in Transaction operation and normalizes it like the
+  // single-document actions: ObjectId strings under _id, and plain update objects wrapped in $set.
+  #normalizeWriteModel(operation, label) {
+    const kinds = this.#isPlainObject(operation) ? Object.keys(operation) : []
+
+    if (kinds.length !== 1 || !WRITE_OPERATIONS.includes(kinds[0])) {
+      throw new Error(`${ label } must be an object with exactly one of: ${ WRITE_OPERATIONS.join(', ') }.`)
+    }
+
+    const [kind] = kinds
+    const spec = operation[kind]
+
+    if (!this.#isPlainObject(spec)) {
+      throw new Error(`${ label }.${ kind } must be an object.`)
+    }
+
+    if (kind === 'insertOne') {
+      this.#requireNonEmptyObject(spec.document, `${ label }.insertOne.document`)
+
+      return { kind, model: { insertOne: { document: this.#normalizeFilter(spec.document) } } }
+    }
+
+    // Like Update Documents and Delete Documents, an empty filter is refused rather than
+    // taken to mean the whole collection.
+    this.#requireNonEmptyObject(spec.filter, `${ label }.${ kind }.filter`)
+
+    const model = { filter: this.#normalizeFilter(spec.filter) }
+
+    if (kind === 'updateOne' || kind === 'updateMany') {
+      this.#requireNonEmptyObject(spec.update, `${ label }.${ kind }.update`)
+
+      model.update = this.#normalizeUpdate(spec.update)
+    }
+
+    if (kind === 'replaceOne') {
+      this.#requireNonEmptyObject(spec.replacement, `${ label }.replaceOne.replacement`)
+
+      model.replacement = this.#normalizeFilter(spec.replacement)
+    }
+
+    if (kind !== 'deleteOne' && kind !== 'deleteMany' && spec.upsert === true) {
+      model.upsert = true
+    }
+
+    return { kind, model: { [kind]: model } }
+  }
+
+  #bulkWriteCounts(result) {
+    return {
+      insertedCount: result.insertedCount,
+      matchedCount: result.matchedCount,
+      modifiedCount: result.modifiedCount,
+      deletedCount: result.deletedCount,
+      upsertedCount: result.upsertedCount,
+      insertedIds: this.#serialize(result.insertedIds || {}),
+      upsertedIds: this.#serialize(result.upsertedIds || {}),
+    }
+  }
+
   // ==========================================================================
   //  DOCUMENTS — READ
   // ==========================================================================
@@ -475,6 +573,110 @@ class MongoDB {
     })
   }
 
+  // ==========================================================================
+  //  BULK WRITE & TRANSACTIONS
+  // ==========================================================================
+  /**
+   * @operationName Bulk Write
+   * @description Sends a mixed list of inserts, updates, replacements and deletes to one collection in a single round trip (the driver splits very large lists into server-sized batches). Each operation uses the MongoDB bulkWrite syntax, e.g. {"updateOne":{"filter":{"sku":"A-1"},"update":{"$inc":{"qty":-1}},"upsert":true}}. In ordered mode the operations run in sequence and stop at the first failure; unordered mode runs them all and may apply them in any order. Writes that succeeded are NOT undone when another one fails: the failures are returned in writeErrors with their index. Use Execute in Transaction for all-or-nothing writes. Plain update objects are wrapped in $set, and 24-hex strings under _id are converted to ObjectId.
+   * @category Documents
+   * @route POST /bulk-write
+   * @appearanceColor #47A248 #00684A
+   * @executionTimeoutInSeconds 120
+   * @paramDef {"type":"String","label":"Collection","name":"collection","required":true,"dictionary":"getCollectionsDictionary","description":"The collection to write to."}
+   * @paramDef {"type":"Array<Object>","label":"Operations","name":"operations","required":true,"description":"Write operations, each an object with one of insertOne ({\"document\"}), updateOne / updateMany ({\"filter\",\"update\",\"upsert\"}), replaceOne ({\"filter\",\"replacement\",\"upsert\"}) or deleteOne / deleteMany ({\"filter\"}), e.g. [{\"insertOne\":{\"document\":{\"sku\":\"B-2\",\"qty\":5}}},{\"deleteMany\":{\"filter\":{\"qty\":0}}}]. Filters must be non-empty."}
+   * @paramDef {"type":"Boolean","label":"Ordered","name":"ordered","uiComponent":{"type":"TOGGLE"},"defaultValue":true,"description":"When on, operations run in the given order and the first failure stops the rest. When off, every operation is attempted, which is faster for independent writes."}
+   * @returns {Object}
+   * @sampleResult {"ok":false,"insertedCount":1,"matchedCount":1,"modifiedCount":1,"deletedCount":0,"upsertedCount":0,"insertedIds":{"0":"665f1c2ab7e4a3d2f0a11b22"},"upsertedIds":{},"writeErrors":[{"index":2,"code":11000,"message":"E11000 duplicate key error collection: shop.products index: sku_1 dup key: { sku: \"A-1\" }"}]}
+   */
+  async bulkWrite(collection, operations, ordered) {
+    const collectionName = this.#requireCollection(collection)
+
+    if (!Array.isArray(operations) || !operations.length) {
+      throw new Error('Operations must be a non-empty array of write operations.')
+    }
+
+    const models = operations.map((operation, index) => this.#normalizeWriteModel(operation, `Operations[${ index }]`).model)
+
+    return this.#withDb('bulkWrite', async db => {
+      try {
+        const result = await db.collection(collectionName).bulkWrite(models, { ordered: ordered !== false })
+
+        return { ok: true, ...this.#bulkWriteCounts(result), writeErrors: [] }
+      } catch (error) {
+        // Failed writes are reported next to the applied ones; anything else (a write concern
+        // or connection failure) still fails the step.
+        if (error.name !== 'MongoBulkWriteError' || !error.result || error.writeConcernError) throw error
+
+        const writeErrors = [].concat(error.writeErrors || []).map(writeError => ({
+          index: writeError.index,
+          code: writeError.code,
+          message: writeError.errmsg || writeError.message,
+        }))
+
+        logger.warn(`bulkWrite - ${ writeErrors.length } of ${ models.length } operation(s) failed`)
+
+        return { ok: false, ...this.#bulkWriteCounts(error.result), writeErrors }
+      }
+    })
+  }
+
+  /**
+   * @operationName Execute in Transaction
+   * @description Runs write operations on one or more collections as a multi-document transaction: either all of them take effect or none do, and the error names the failing operation. Each operation names its collection and uses the Bulk Write syntax, e.g. {"collection":"accounts","updateOne":{"filter":{"_id":"665f1c2ab7e4a3d2f0a11b22"},"update":{"$inc":{"balance":-50}}}}. Transactions need a replica set or a sharded cluster (MongoDB Atlas always is one); standalone servers reject them. Transient conflicts with other transactions are retried automatically. Collections must already exist on MongoDB before 4.4. The whole transaction is limited to 120 seconds.
+   * @category Documents
+   * @route POST /execute-in-transaction
+   * @appearanceColor #47A248 #00684A
+   * @executionTimeoutInSeconds 120
+   * @paramDef {"type":"Array<Object>","label":"Operations","name":"operations","required":true,"description":"Operations to run in order, each with a collection and one of insertOne, updateOne, updateMany, replaceOne, deleteOne or deleteMany, e.g. [{\"collection\":\"accounts\",\"updateOne\":{\"filter\":{\"_id\":1},\"update\":{\"$inc\":{\"balance\":-50}}}},{\"collection\":\"transfers\",\"insertOne\":{\"document\":{\"from\":1,\"amount\":50}}}]."}
+   * @returns {Object}
+   * @sampleResult {"committed":true,"operationCount":2,"results":[{"index":0,"collection":"accounts","operation":"updateOne","insertedCount":0,"matchedCount":1,"modifiedCount":1,"deletedCount":0,"upsertedCount":0,"insertedIds":{},"upsertedIds":{}},{"index":1,"collection":"transfers","operation":"insertOne","insertedCount":1,"matchedCount":0,"modifiedCount":0,"deletedCount":0,"upsertedCount":0,"insertedIds":{"0":"665f1c2ab7e4a3d2f0a11b23"},"upsertedIds":{}}]}
+   */
+  async executeInTransaction(operations) {
+    if (!Array.isArray(operations) || !operations.length) {
+      throw new Error('Operations must be a non-empty array of write operations.')
+    }
+
+    const steps = operations.map((operation, index) => {
+      const label = `Operations[${ index }]`
+      const { collection, ...write } = this.#isPlainObject(operation) ? operation : {}
+
+      if (typeof collection !== 'string' || !collection.trim()) {
+        throw new Error(`${ label }.collection is required and must be a non-empty string.`)
+      }
+
+      return { collection: collection.trim(), ...this.#normalizeWriteModel(write, label) }
+    })
+
+    return this.#withDb('executeInTransaction', async (db, client) => {
+      const session = client.startSession()
+      let results
+
+      try {
+        // withTransaction re-runs the callback on transient errors, so results start over each time.
+        await session.withTransaction(async () => {
+          results = []
+
+          for (const [index, { collection, kind, model }] of steps.entries()) {
+            try {
+              const result = await db.collection(collection).bulkWrite([model], { session, ordered: true })
+
+              results.push({ index, collection, operation: kind, ...this.#bulkWriteCounts(result) })
+            } catch (error) {
+              error.message = `operation ${ index + 1 } of ${ steps.length } (${ kind } on ${ collection }) failed, transaction aborted: ${ error.message }`
+
+              throw error
+            }
+          }
+        }, { readConcern: { level: 'snapshot' }, writeConcern: { w: 'majority' } })
+      } finally {
+        await session.endSession()
+      }
+
+      return { committed: true, operationCount: results.length, results }
+    })
+  }
+
   // ==========================================================================
   //  AGGREGATION & ANALYSIS
   // ==========================================================================
@@ -853,6 +1055,221 @@ class MongoDB {
     return Object.prototype.hasOwnProperty.call(mapping, type) ? mapping[type] : type
   }
 
+  // ==========================================================================
+  //  TRIGGERS — change streams resumed from the token kept in the state. On a
+  //  standalone server, which has no change streams, the triggers poll for
+  //  documents above a watermark field instead.
+  // ==========================================================================
+  /**
+   * @registerAs SYSTEM
+   * @paramDef {"type":"Object","label":"invocation","name":"invocation"}
+   * @returns {Object}
+   */
+  async handleTriggerPollingForEvent(invocation) {
+    return this[invocation.eventName](invocation)
+  }
+
+  /**
+   * @operationName On Document Inserted
+   * @description Fires for every document inserted into a collection. On replica sets and sharded clusters (including MongoDB Atlas) each poll reads the collection's change stream from where the previous poll stopped, so no insert is missed while the change stream history (oplog) still covers the gap. On a standalone server it falls back to polling for documents with a higher _id, which relies on ObjectId _ids that grow over time. The first poll only records the current position, so existing documents do not fire. Polling interval can be customized (minimum 30 seconds).
+   * @category Triggers
+   * @registerAs POLLING_TRIGGER
+   * @route POST /on-document-inserted
+   * @appearanceColor #47A248 #00684A
+   * @executionTimeoutInSeconds 120
+   * @paramDef {"type":"String","label":"Collection","name":"collection","required":true,"dictionary":"getCollectionsDictionary","description":"The collection to watch."}
+   * @paramDef {"type":"Number","label":"Max Documents per Poll","name":"batchSize","uiComponent":{"type":"NUMERIC_STEPPER"},"defaultValue":100,"description":"Maximum number of documents one poll returns (default 100, at most 1000). The remaining documents follow on the next poll; documents sharing one watermark value are never split, so a larger group comes in full."}
+   * @returns {Object}
+   * @sampleResult {"_id":"665f1c2ab7e4a3d2f0a11b22","name":"Ada","email":"ada@example.com","createdAt":"2024-05-01T12:00:00.000Z"}
+   */
+  async onDocumentInserted(invocation) {
+    const { collection, batchSize } = invocation.triggerData || {}
+
+    return this.#pollDocuments(invocation, 'onDocumentInserted', {
+      collection: this.#requireCollection(collection),
+      key: collection,
+      operationTypes: ['insert'],
+      watermarkField: '_id',
+      batchSize,
+    })
+  }
+
+  /**
+   * @operationName On Document Changed
+   * @description Fires for every document inserted, updated or replaced in a collection, with the document as it is at the time of the poll. A document changed several times between two polls fires once. On replica sets and sharded clusters (including MongoDB Atlas) each poll reads the collection's change stream from where the previous poll stopped. A standalone server has no change streams, so there the trigger needs a Timestamp Field that the application sets on every write (e.g. updatedAt) and polls for documents where it moved forward. Deletions never fire. The first poll only records the current position, so earlier changes do not fire. Polling interval can be customized (minimum 30 seconds).
+   * @category Triggers
+   * @registerAs POLLING_TRIGGER
+   * @route POST /on-document-changed
+   * @appearanceColor #47A248 #00684A
+   * @executionTimeoutInSeconds 120
+   * @paramDef {"type":"String","label":"Collection","name":"collection","required":true,"dictionary":"getCollectionsDictionary","description":"The collection to watch."}
+   * @paramDef {"type":"String","label":"Timestamp Field","name":"timestampField","description":"Only used on standalone servers: a date field set on every insert and update, e.g. updatedAt. Index it on large collections."}
+   * @paramDef {"type":"Number","label":"Max Documents per Poll","name":"batchSize","uiComponent":{"type":"NUMERIC_STEPPER"},"defaultValue":100,"description":"Maximum number of documents one poll returns (default 100, at most 1000). The remaining documents follow on the next poll; documents sharing one watermark value are never split, so a larger group comes in full."}
+   * @returns {Object}
+   * @sampleResult {"_id":"665f1c2ab7e4a3d2f0a11b22","name":"Ada","status":"active","updatedAt":"2024-05-02T08:30:00.000Z"}
+   */
+  async onDocumentChanged(invocation) {
+    const { collection, timestampField, batchSize } = invocation.triggerData || {}
+    const field = typeof timestampField === 'string' ? timestampField.trim() : ''
+
+    return this.#pollDocuments(invocation, 'onDocumentChanged', {
+      collection: this.#requireCollection(collection),
+      key: `${ collection }.${ field }`,
+      operationTypes: ['insert', 'update', 'replace'],
+      watermarkField: field,
+      batchSize,
+    })
+  }
+
+  // Tries the change stream first. A state that already holds a watermark instead of a resume
+  // token belongs to a standalone server, which keeps polling the watermark.
+  async #pollDocuments(invocation, logTag, options) {
+    return this.#withDb(logTag, async db => {
+      const collection = db.collection(options.collection)
+
+      // Learning mode shows the latest document; a change stream only knows future changes.
+      if (invocation.learningMode) {
+        const [document] = await collection.find({}).sort({ $natural: -1 }).limit(1).toArray()
+
+        return { events: document ? [this.#serialize(document)] : [], state: null }
+      }
+
+      const { state } = invocation
+      const usesWatermark = state && state.key === options.key && !state.resumeToken
+      let result
+
+      if (!usesWatermark) {
+        try {
+          result = await this.#pollChangeStream(invocation, collection, options)
+        } catch (error) {
+          if (error.code !== 40573 && !/only supported on replica sets/i.test(error.message)) throw error
+
+          logger.debug(`${ logTag } - change streams are not available, polling ${ options.watermarkField || 'a timestamp field' } instead`)
+        }
+      }
+
+      if (!result) {
+        // A resume token left from a replica set means nothing here: start with a new baseline.
+        result = await this.#pollWatermark(state && state.resumeToken ? { ...invocation, state: null } : invocation, collection, options)
+      }
+
+      logger.debug(`${ logTag } - ${ result.events.length } document(s)`)
+
+      return result
+    })
+  }
+
+  async #pollChangeStream(invocation, collection, { key, operationTypes, batchSize }) {
+    const { state } = invocation
+    const resumeToken = state && state.key === key ? state.resumeToken : null
+    const pipeline = [{ $match: { operationType: { $in: operationTypes } } }]
+    const options = { fullDocument: 'updateLookup', maxAwaitTimeMS: CHANGE_STREAM_AWAIT_MS }
+    let stream = collection.watch(pipeline, resumeToken ? { ...options, resumeAfter: resumeToken } : options)
+
+    try {
+      if (!resumeToken) {
+        await stream.tryNext()
+
+        return { events: [], state: { key, resumeToken: stream.resumeToken } }
+      }
+
+      const limit = resolveBatchSize(batchSize)
+      const deadline = Date.now() + CHANGE_STREAM_DRAIN_MS
+      const documents = new Map()
+      let changeCount = 0
+
+      try {
+        while (changeCount < limit && Date.now() < deadline) {
+          const change = await stream.tryNext()
+
+          if (!change) break
+
+          changeCount++
+
+          // The latest version of a document changed several times wins; a document deleted
+          // since has no fullDocument and is left out.
+          if (change.fullDocument) {
+            const id = JSON.stringify(this.#serialize(change.documentKey))
+
+            documents.delete(id)
+            documents.set(id, change.fullDocument)
+          }
+        }
+      } catch (error) {
+        if (error.code !== 286 && !/resume point may no longer be in the oplog/i.test(error.message)) throw error
+
+        // The oplog rolled over since the last poll: the changes in between are gone for good.
+        logger.warn(`change stream history of ${ key } was lost, starting again from now: ${ error.message }`)
+
+        await stream.close()
+        stream = collection.watch(pipeline, options)
+        await stream.tryNext()
+
+        return { events: [], state: { key, resumeToken: stream.resumeToken } }
+      }
+
+      return {
+        events: [...documents.values()].map(document => this.#serialize(document)),
+        state: { key, resumeToken: stream.resumeToken || resumeToken },
+      }
+    } finally {
+      await stream.close()
+    }
+  }
+
+  // Standalone fallback through the shared row polling. The watermark is kept as Extended JSON
+  // text ({"$oid":...} / {"$date":...}), which the state can store and the query binds back.
+  async #pollWatermark(invocation, collection, { key, watermarkField, batchSize }) {
+    if (!watermarkField) {
+      throw new Error('This server does not support change streams (they need a replica set). Set Timestamp Field, e.g. updatedAt, to poll for changed documents instead.')
+    }
+
+    const withWatermark = document => ({ ...this.#serialize(document), [WATERMARK_KEY]: this.#encodeWatermark(document[watermarkField]) })
+    const present = { [watermarkField]: { $exists: true, $ne: null } }
+    const sort = watermarkField === '_id' ? { _id: 1 } : { [watermarkField]: 1, _id: 1 }
+    const descending = Object.fromEntries(Object.keys(sort).map(field => [field, -1]))
+
+    return pollRows(invocation, {
+      latestRow: async () => {
+        const [document] = await collection.find(present).sort(descending).limit(1).toArray()
+
+        return document ? withWatermark(document) : null
+      },
+      maxWatermark: async () => {
+        const [document] = await collection.find(present).sort(descending).limit(1).toArray()
+
+        return document ? this.#encodeWatermark(document[watermarkField]) : null
+      },
+      rowsAfter: async (watermark, limit) => {
+        const filter = watermark === null ? present : { [watermarkField]: { $gt: this.#decodeWatermark(watermark) } }
+        const documents = await collection.find(filter).sort(sort).limit(limit).toArray()
+
+        return documents.map(withWatermark)
+      },
+      rowsAt: async watermark => {
+        const documents = await collection.find({ [watermarkField]: this.#decodeWatermark(watermark) }).sort(sort).toArray()
+
+        return documents.map(withWatermark)
+      },
+    }, { key, batchSize })
+  }
+
+  #encodeWatermark(value) {
+    if (value instanceof Date) return JSON.stringify({ $date: value.toISOString() })
+    if (value && value._bsontype === 'ObjectId') return JSON.stringify({ $oid: value.toHexString() })
+
+    return JSON.stringify(value)
+  }
+
+  #decodeWatermark(text) {
+    const value = JSON.parse(text)
+
+    if (this.#isPlainObject(value) && typeof value.$date === 'string') return new Date(value.$date)
+    if (this.#isPlainObject(value) && typeof value.$oid === 'string') return new ObjectId(value.$oid)
+
+    return value
+  }
+
   // ==========================================================================
   //  DICTIONARIES
   // ==========================================================================
@@ -911,4 +1328,5 @@ Flowrunner.ServerCode.addService(MongoDB, [
     defaultValue: '10',
     hint: 'How long to wait when establishing a connection and selecting a server before failing. Defaults to 10 seconds.',
   },
+  ...sshTunnelConfigItems,
 ])
@@ -1,5 +1,19 @@
+const net = require('net')
 const mysql = require('mysql2/promise')
 
+const { sshTunnelConfigItems, sshTunnelSettings, withSshTunnel, urlEndpoint } = require('./ssh-tunnel')
+const { tlsConfigItems, tlsSettings, nodeTlsOptions, tlsErrorHint } = require('./db-tls')
+const { WATERMARK_KEY, pollRows } = require('./row-polling')
+const {
+  resolveDelimiter,
+  downloadCsvStream,
+  readCsvRecords,
+  csvImportPlan,
+  checkSkippedRows,
+  formatCsvLine,
+  collectCsvExport,
+} = require('./csv')
+
 const logger = {
   info: (...args) => console.log('[MySQL] info:', ...args),
   debug: (...args) => console.log('[MySQL] debug:', ...args),
@@ -11,6 +25,18 @@ const DEFAULT_PORT = 3306
 const DEFAULT_CONNECTION_TIMEOUT_SECONDS = 10
 const DICTIONARY_PAGE_SIZE = 200
 
+// Rows per INSERT of Bulk Import CSV, fewer for wide tables: a statement takes at most 65535 placeholders.
+const CSV_IMPORT_BATCH_ROWS = 500
+const MAX_PLACEHOLDERS = 65535
+
+// Isolation Level choices -> SQL keywords; the database default needs no clause.
+const ISOLATION_LEVELS = {
+  'Read Uncommitted': 'READ UNCOMMITTED',
+  'Read Committed': 'READ COMMITTED',
+  'Repeatable Read': 'REPEATABLE READ',
+  'Serializable': 'SERIALIZABLE',
+}
+
 // ============================================================================
 //  DICTIONARY PAYLOAD TYPEDEFS
 // ============================================================================
@@ -32,6 +58,15 @@ const DICTIONARY_PAGE_SIZE = 200
  * @paramDef {"type":"getColumnsDictionary__payloadCriteria","label":"Criteria","name":"criteria","description":"The table whose columns to list."}
  */
 
+// ============================================================================
+//  TYPEDEFS
+// ============================================================================
+/**
+ * @typedef {Object} TransactionStatement
+ * @paramDef {"type":"String","label":"SQL","name":"sql","required":true,"uiComponent":{"type":"MULTI_LINE_TEXT"},"description":"The SQL statement. Use ? placeholders for values bound via Parameters."}
+ * @paramDef {"type":"Array","label":"Parameters","name":"params","description":"Values for the ? placeholders of this statement, in order."}
+ */
+
 /**
  * @integrationName MySQL
  * @integrationIcon /icon.png
@@ -46,7 +81,9 @@ class MySQL {
     this.database = this.config.database
     this.user = this.config.user
     this.password = this.config.password
-    this.ssl = this.config.ssl === true || this.config.ssl === 'true'
+    this.tls = tlsSettings(this.config)
+    this.ssl = this.config.ssl === true || this.config.ssl === 'true' || this.tls.configured
+    this.sshTunnel = sshTunnelSettings(this.config)
 
     const timeoutSeconds = parseInt(this.config.connectionTimeoutSeconds, 10)
 
@@ -56,34 +93,52 @@ class MySQL {
   // ==========================================================================
   //  CORE — connection lifecycle: one short-lived connection per method call.
   //  A connection is created, used and always closed in finally.
-  //  Connections are NEVER pooled or cached between invocations.
+  //  Connections are NEVER pooled or cached between invocations. With an SSH
+  //  Host configured, the connection goes through a tunnel that lives exactly
+  //  as long as the connection.
   // ==========================================================================
   async #withClient(logTag, fn) {
-    let connection
-
     try {
-      logger.debug(`${ logTag } - connecting to ${ this.#connectionLabel() }`)
+      logger.debug(`${ logTag } - connecting to ${ this.#connectionLabel() }${ this.sshTunnel ? ` via SSH ${ this.sshTunnel.host }` : '' }`)
 
-      connection = await mysql.createConnection(this.#buildClientConfig(logTag))
+      const clientConfig = this.#buildClientConfig(logTag)
+
+      return await withSshTunnel(this.sshTunnel, () => this.#tunnelTarget(), async tunnel => {
+        const connection = await mysql.createConnection(tunnel ? this.#throughTunnel(clientConfig, tunnel) : clientConfig)
 
-      return await fn(connection)
-    } catch (error) {
-      this.#throwMySqlError(error, logTag)
-    } finally {
-      if (connection) {
         try {
-          await connection.end()
-        } catch (endError) {
-          logger.warn(`${ logTag } - failed to close connection: ${ endError.message }`)
+          return await fn(connection)
+        } finally {
+          try {
+            await connection.end()
+          } catch (endError) {
+            logger.warn(`${ logTag } - failed to close connection: ${ endError.message }`)
+          }
         }
-      }
+      })
+    } catch (error) {
+      this.#throwMySqlError(error, logTag)
     }
   }
 
+  // The database endpoint as seen from the SSH bastion.
+  #tunnelTarget() {
+    return this.connectionString
+      ? urlEndpoint(this.connectionString, DEFAULT_PORT)
+      : { host: this.host, port: this.port }
+  }
+
+  // Only the socket goes to the local tunnel end. The driver keeps the database host, so TLS
+  // still checks the certificate against it.
+  #throughTunnel(clientConfig, tunnel) {
+    return { ...clientConfig, stream: () => net.connect(tunnel.port, tunnel.host) }
+  }
+
   // A Connection String, when set, wins over the individual fields. When using it, the SSL
-  // toggle only ADDS the managed-provider-friendly ssl config on top; when the toggle is off
-  // the string's own ssl query params stay in effect (we must not pass an explicit ssl value,
-  // as explicit config overrides values parsed from the string).
+  // toggle only ADDS the configured ssl options on top; when the toggle is off the string's
+  // own ssl query params stay in effect (we must not pass an explicit ssl value, as explicit
+  // config overrides values parsed from the string). Without a TLS Verification mode or
+  // certificates, the ssl options stay managed-provider-friendly (no verification).
   #buildClientConfig(logTag) {
     const shared = {
       connectTimeout: this.connectionTimeoutMillis,
@@ -92,7 +147,7 @@ class MySQL {
     if (this.connectionString) {
       return {
         uri: this.connectionString,
-        ...(this.ssl ? { ssl: { rejectUnauthorized: false } } : {}),
+        ...(this.ssl ? { ssl: this.#sslOptions() } : {}),
         ...shared,
       }
     }
@@ -113,11 +168,18 @@ class MySQL {
       database: this.database,
       user: this.user,
       password: this.password,
-      ...(this.ssl ? { ssl: { rejectUnauthorized: false } } : {}),
+      ...(this.ssl ? { ssl: this.#sslOptions() } : {}),
       ...shared,
     }
   }
 
+  // mysql2 skips the host name check unless verifyIdentity is set, and ignores checkServerIdentity.
+  #sslOptions() {
+    const options = nodeTlsOptions(this.tls)
+
+    return this.tls.mode === 'verify-full' ? { ...options, verifyIdentity: true } : options
+  }
+
   // Human-readable connection target for logs. Never includes credentials: the connection
   // string embeds the password, so only its host part is extracted.
   #connectionLabel() {
@@ -156,6 +218,10 @@ class MySQL {
       )
     }
 
+    const certificateHint = tlsErrorHint(error)
+
+    if (certificateHint) parts.push(certificateHint)
+
     const message = parts.join(' | ')
 
     logger.error(`${ logTag } - failed: ${ message }`)
@@ -252,6 +318,38 @@ class MySQL {
     return Object.prototype.hasOwnProperty.call(mapping, value) ? mapping[value] : value
   }
 
+  // Accepts { sql, params } objects or plain SQL strings; rejects anything that would fail
+  // only after the transaction has started, so a malformed list never opens a transaction.
+  #normalizeStatements(statements) {
+    if (!Array.isArray(statements) || !statements.length) {
+      throw new Error('Statements must be a non-empty array.')
+    }
+
+    return statements.map((statement, index) => {
+      const { sql, params } = typeof statement === 'string' ? { sql: statement } : statement || {}
+
+      if (typeof sql !== 'string' || !sql.trim()) {
+        throw new Error(`Statement ${ index + 1 } has no SQL.`)
+      }
+
+      if (params !== undefined && params !== null && !Array.isArray(params)) {
+        throw new Error(`Parameters of statement ${ index + 1 } must be an array.`)
+      }
+
+      return { sql, params: params || [] }
+    })
+  }
+
+  #resolveIsolationLevel(isolationLevel) {
+    if (!isolationLevel || isolationLevel === 'Database Default') return undefined
+
+    if (!Object.prototype.hasOwnProperty.call(ISOLATION_LEVELS, isolationLevel)) {
+      throw new Error(`Unsupported isolation level: ${ isolationLevel }. Use one of: ${ Object.keys(ISOLATION_LEVELS).join(', ') }.`)
+    }
+
+    return ISOLATION_LEVELS[isolationLevel]
+  }
+
   // ==========================================================================
   //  SQL
   // ==========================================================================
@@ -291,6 +389,67 @@ class MySQL {
     })
   }
 
+  /**
+   * @operationName Execute Transaction
+   * @description Runs several SQL statements atomically on one connection: START TRANSACTION, each statement in order, then COMMIT. If any statement fails, the transaction is rolled back so none of the statements take effect, and the error names the failing statement. Returns the rows or affectedRows/insertId of every statement, e.g. to insert an order, its lines and update stock all-or-nothing. DDL statements (CREATE, ALTER, DROP, TRUNCATE) commit implicitly in MySQL and cannot be rolled back, so keep them out of transactions. The whole transaction is limited to 120 seconds.
+   * @category SQL
+   * @route POST /execute-transaction
+   * @appearanceColor #00758F #F29111
+   * @executionTimeoutInSeconds 120
+   * @paramDef {"type":"Array<TransactionStatement>","label":"Statements","name":"statements","required":true,"description":"The statements to run, in order, e.g. [{\"sql\":\"INSERT INTO orders (customer_id) VALUES (?)\",\"params\":[7]},{\"sql\":\"UPDATE stock SET qty = qty - ? WHERE sku = ?\",\"params\":[1,\"A-1\"]}]. Use ? placeholders with each statement's own Parameters; LAST_INSERT_ID() returns the id generated by an earlier statement."}
+   * @paramDef {"type":"String","label":"Isolation Level","name":"isolationLevel","uiComponent":{"type":"DROPDOWN","options":{"values":["Database Default","Read Uncommitted","Read Committed","Repeatable Read","Serializable"]}},"defaultValue":"Database Default","description":"Transaction isolation level. The InnoDB default is Repeatable Read. A deadlock (errno 1213) rolls the transaction back; run the flow step again in that case."}
+   * @returns {Object}
+   * @sampleResult {"committed":true,"statementCount":2,"totalAffectedRows":2,"results":[{"index":0,"affectedRows":1,"insertId":101,"changedRows":0},{"index":1,"affectedRows":1,"insertId":0,"changedRows":1}]}
+   */
+  async executeTransaction(statements, isolationLevel) {
+    const queries = this.#normalizeStatements(statements)
+    const level = this.#resolveIsolationLevel(isolationLevel)
+
+    return this.#withClient('executeTransaction', async connection => {
+      const results = []
+
+      // SET TRANSACTION applies to the next transaction started on this connection only
+      if (level) {
+        await connection.query(`SET TRANSACTION ISOLATION LEVEL ${ level }`)
+      }
+
+      await connection.beginTransaction()
+
+      try {
+        for (const [index, { sql, params }] of queries.entries()) {
+          try {
+            const [result] = await connection.query(sql, params)
+
+            results.push(Array.isArray(result)
+              ? { index, rows: result, rowCount: result.length }
+              : { index, affectedRows: result.affectedRows, insertId: result.insertId, changedRows: result.changedRows })
+          } catch (error) {
+            error.message = `statement ${ index + 1 } of ${ queries.length } failed, transaction rolled back: ${ error.message }`
+
+            throw error
+          }
+        }
+
+        await connection.commit()
+      } catch (error) {
+        try {
+          await connection.rollback()
+        } catch (rollbackError) {
+          logger.warn(`executeTransaction - rollback failed: ${ rollbackError.message }`)
+        }
+
+        throw error
+      }
+
+      return {
+        committed: true,
+        statementCount: results.length,
+        totalAffectedRows: results.reduce((total, result) => total + (result.affectedRows || 0), 0),
+        results,
+      }
+    })
+  }
+
   // ==========================================================================
   //  ROWS
   // ==========================================================================
@@ -515,6 +674,192 @@ class MySQL {
     })
   }
 
+  // ==========================================================================
+  //  CSV IMPORT / EXPORT — imports run as batched multi-row INSERTs in one
+  //  transaction. LOAD DATA LOCAL INFILE is not used: MySQL 8 and most managed
+  //  hosts disable local_infile on the server.
+  // ==========================================================================
+  /**
+   * @operationName Bulk Import CSV
+   * @description Loads a CSV file into a table with batched multi-row INSERTs in a single transaction, which is much faster than Insert Rows for thousands of rows. The file is read from a URL, typically one returned by the Files API, and parsed while it downloads. By default the header row names the target columns; Column Mapping imports only selected CSV columns into differently named table columns. Empty unquoted fields become NULL, while a quoted empty field ("") is an empty string. The import is all-or-nothing unless Skip Invalid Rows is on: then rows with the wrong number of fields or values the table rejects are left out and listed with their CSV line numbers.
+   * @category Import & Export
+   * @route POST /bulk-import-csv
+   * @appearanceColor #00758F #F29111
+   * @executionTimeoutInSeconds 120
+   * @paramDef {"type":"String","label":"Table","name":"table","required":true,"dictionary":"getTablesDictionary","description":"The table to load the rows into. May be database-qualified (e.g. mydb.users); defaults to the configured database."}
+   * @paramDef {"type":"String","label":"File URL","name":"fileUrl","required":true,"description":"URL of the CSV file, e.g. from a Files API upload or a previous flow step. The file must be UTF-8 encoded."}
+   * @paramDef {"type":"Boolean","label":"Header Row","name":"hasHeader","uiComponent":{"type":"TOGGLE"},"defaultValue":true,"description":"Whether the first line holds column names. Without a header row and Column Mapping, the fields go to the table's columns in table order."}
+   * @paramDef {"type":"Object","label":"Column Mapping","name":"columnMapping","description":"Optional. Maps CSV columns to table columns as a JSON object, e.g. {\"E-mail\":\"email\",\"Full Name\":\"name\"}; only the mapped columns are imported. Without a header row, use 1-based positions as keys, e.g. {\"1\":\"email\",\"3\":\"name\"}."}
+   * @paramDef {"type":"String","label":"Delimiter","name":"delimiter","uiComponent":{"type":"DROPDOWN","options":{"values":["Comma","Semicolon","Tab","Pipe"]}},"defaultValue":"Comma","description":"Character that separates the fields of the file."}
+   * @paramDef {"type":"Boolean","label":"Skip Invalid Rows","name":"skipInvalidRows","uiComponent":{"type":"TOGGLE"},"description":"When on, rows that fail are left out and reported in errors (up to 100 rows) while the rest is imported. When off, any failing row rolls back the whole import."}
+   * @returns {Object}
+   * @sampleResult {"table":"users","importedCount":1998,"skippedCount":2,"errors":[{"line":17,"message":"expected 3 fields, found 2"},{"line":845,"message":"Incorrect integer value: 'n/a' for column 'age' at row 1"}]}
+   */
+  async bulkImportCsv(table, fileUrl, hasHeader, columnMapping, delimiter, skipInvalidRows) {
+    const tableRef = this.#quoteTable(table)
+    const separator = resolveDelimiter(delimiter)
+    const download = await downloadCsvStream(fileUrl)
+
+    // The response stays open until the import has read it, so close it however the import ends.
+    try {
+      const { columns, rows } = await csvImportPlan(readCsvRecords(download, separator), {
+        hasHeader: hasHeader !== false,
+        columnMapping,
+      })
+
+      const columnList = columns ? ` (${ columns.map(column => this.#quoteIdent(column)).join(', ') })` : ''
+      const batchSize = width => Math.max(1, Math.min(CSV_IMPORT_BATCH_ROWS, Math.floor(MAX_PLACEHOLDERS / Math.max(width, 1))))
+
+      const insert = (connection, batch) => {
+        const placeholders = `(${ new Array(batch[0].values.length).fill('?').join(', ') })`
+        const sql = `INSERT INTO ${ tableRef }${ columnList } VALUES ${ batch.map(() => placeholders).join(', ') }`
+
+        return connection.execute(sql, batch.flatMap(row => row.values))
+      }
+
+      return await this.#withClient('bulkImportCsv', async connection => {
+        const errors = []
+        let batch = []
+        let importedCount = 0
+
+        const insertBatch = async () => {
+          await connection.query('SAVEPOINT csv_batch')
+
+          try {
+            await insert(connection, batch)
+            importedCount += batch.length
+          } catch (batchError) {
+            // Replays the batch row by row to find the rows MySQL rejects.
+            await connection.query('ROLLBACK TO SAVEPOINT csv_batch')
+
+            for (const row of batch) {
+              await connection.query('SAVEPOINT csv_row')
+
+              try {
+                await insert(connection, [row])
+                importedCount++
+              } catch (rowError) {
+                await connection.query('ROLLBACK TO SAVEPOINT csv_row')
+
+                errors.push({ line: row.line, message: rowError.message })
+                checkSkippedRows(errors, skipInvalidRows)
+              }
+            }
+          }
+
+          batch = []
+        }
+
+        await connection.beginTransaction()
+
+        try {
+          // The file is parsed while it downloads, so only one batch is held in memory.
+          for await (const row of rows) {
+            if (!row.values) {
+              errors.push(row)
+              checkSkippedRows(errors, skipInvalidRows)
+            } else if (batch.push(row) >= batchSize(row.values.length)) {
+              await insertBatch()
+            }
+          }
+
+          if (batch.length) {
+            await insertBatch()
+          }
+
+          await connection.commit()
+        } catch (error) {
+          try {
+            await connection.rollback()
+          } catch (rollbackError) {
+            logger.warn(`bulkImportCsv - rollback failed: ${ rollbackError.message }`)
+          }
+
+          throw error
+        }
+
+        logger.debug(`bulkImportCsv - ${ importedCount } row(s) imported, ${ errors.length } skipped`)
+
+        return { table, importedCount, skippedCount: errors.length, errors }
+      })
+    } finally {
+      download.destroy()
+    }
+  }
+
+  /**
+   * @operationName Export Query to CSV
+   * @description Runs a SELECT query and stores the result as a CSV file through the Files API, returning its URL. Dates and large numbers keep MySQL's own text form, and NULL is an empty field. Use it to hand large result sets to spreadsheets, storage services or other flow steps without passing them around as JSON. Use ? placeholders together with the Parameters array to bind values. Files are limited to 50 MB.
+   * @category Import & Export
+   * @route POST /export-query-to-csv
+   * @appearanceColor #00758F #F29111
+   * @executionTimeoutInSeconds 120
+   * @paramDef {"type":"String","label":"SQL Query","name":"sql","required":true,"uiComponent":{"type":"MULTI_LINE_TEXT"},"description":"The SELECT query whose result to export, e.g. SELECT id, email, created_at FROM users WHERE active = ? ORDER BY id."}
+   * @paramDef {"type":"Array","label":"Parameters","name":"params","description":"Values for the ? placeholders, in order (e.g. [1])."}
+   * @paramDef {"type":"Boolean","label":"Header Row","name":"includeHeader","uiComponent":{"type":"TOGGLE"},"defaultValue":true,"description":"Whether the first line lists the column names."}
+   * @paramDef {"type":"String","label":"File Name","name":"filename","description":"Name of the CSV file to create. Defaults to query_export_<timestamp>.csv."}
+   * @paramDef {"type":"FilesUploadOptions","label":"File Settings","name":"fileOptions","required":false,"include":["scope"],"description":"Where to store the CSV file in FlowRunner file storage."}
+   * @returns {Object}
+   * @sampleResult {"url":"https://files.flowrunner.io/flow/query_export_1714564800000.csv","filename":"query_export_1714564800000.csv","rowCount":2,"sizeBytes":84}
+   */
+  async exportQueryToCsv(sql, params, includeHeader, filename, fileOptions) {
+    if (typeof sql !== 'string' || !sql.trim()) {
+      throw new Error('SQL query is required.')
+    }
+
+    const { buffer, rowCount } = await this.#withClient('exportQueryToCsv', async connection => {
+      // The promise API buffers whole result sets; the core connection underneath streams the
+      // rows. Text values as MySQL sends them: no rounding through JS Dates or doubles.
+      const stream = connection.connection.query({
+        sql,
+        rowsAsArray: true,
+        dateStrings: true,
+        supportBigNumbers: true,
+        bigNumberStrings: true,
+      }, Array.isArray(params) ? params : []).stream()
+
+      let fields
+      let count = 0
+
+      stream.on('fields', value => {
+        fields = value
+      })
+
+      const header = () => formatCsvLine(fields.map(field => field.name))
+
+      async function* lines() {
+        for await (const row of stream) {
+          // Statements without a result set stream their OK packet as the only row.
+          if (!Array.isArray(fields)) break
+
+          if (count === 0 && includeHeader !== false) yield header()
+
+          count++
+          yield formatCsvLine(row)
+        }
+
+        if (!Array.isArray(fields)) {
+          throw new Error('the statement returned no result set. Export Query to CSV needs a query that returns rows, such as SELECT.')
+        }
+
+        if (count === 0 && includeHeader !== false) yield header()
+      }
+
+      return { buffer: await collectCsvExport(lines()), rowCount: count }
+    })
+
+    const name = filename || `query_export_${ Date.now() }.csv`
+
+    const { url } = await this.flowrunner.Files.uploadFile(buffer, {
+      filename: name,
+      generateUrl: true,
+      overwrite: true,
+      ...(fileOptions || { scope: 'FLOW' }),
+    })
+
+    return { url, filename: name, rowCount, sizeBytes: buffer.length }
+  }
+
   // ==========================================================================
   //  SCHEMA
   // ==========================================================================
@@ -601,6 +946,96 @@ class MySQL {
     })
   }
 
+  // ==========================================================================
+  //  TRIGGERS — polling on a watermark column: a value that only grows for new
+  //  (or changed) rows. The state keeps the last emitted watermark.
+  // ==========================================================================
+  /**
+   * @registerAs SYSTEM
+   * @paramDef {"type":"Object","label":"invocation","name":"invocation"}
+   * @returns {Object}
+   */
+  async handleTriggerPollingForEvent(invocation) {
+    return this[invocation.eventName](invocation)
+  }
+
+  /**
+   * @operationName On New Row
+   * @description Fires for every row inserted into a table. New rows are found through a watermark column whose value only grows, such as an auto-increment id or a created_at timestamp. The first poll only records the current maximum, so rows that already exist do not fire. Later polls return the new rows in ascending order, up to Max Rows per Poll at a time; the rest follow on the next poll. Rows whose watermark is NULL never fire. Polling interval can be customized (minimum 30 seconds).
+   * @category Triggers
+   * @registerAs POLLING_TRIGGER
+   * @route POST /on-new-row
+   * @appearanceColor #00758F #F29111
+   * @executionTimeoutInSeconds 120
+   * @paramDef {"type":"String","label":"Table","name":"table","required":true,"dictionary":"getTablesDictionary","description":"The table to watch. May be database-qualified (e.g. mydb.orders); defaults to the configured database."}
+   * @paramDef {"type":"String","label":"Watermark Column","name":"watermarkColumn","required":true,"dictionary":"getColumnsDictionary","dependsOn":["table"],"description":"Column whose value only grows for new rows - an AUTO_INCREMENT id or a created_at timestamp. Index it on large tables, since every poll filters and sorts on it."}
+   * @paramDef {"type":"Number","label":"Max Rows per Poll","name":"batchSize","uiComponent":{"type":"NUMERIC_STEPPER"},"defaultValue":100,"description":"Maximum number of rows one poll returns (default 100, at most 1000). The remaining rows follow on the next poll; rows sharing one watermark value are never split, so a larger group comes in full."}
+   * @returns {Object}
+   * @sampleResult {"id":42,"customer":"Ada","total":"19.90","created_at":"2024-05-01T12:00:00.000Z"}
+   */
+  async onNewRow(invocation) {
+    return this.#pollRows(invocation, 'onNewRow')
+  }
+
+  /**
+   * @operationName On Updated Row
+   * @description Fires for every row whose last-modified timestamp moved forward, e.g. an updated_at column that the application or a database trigger sets on each change. Inserted rows fire too when they set the column. The first poll only records the current maximum; later polls return the changed rows with their current values in ascending order, up to Max Rows per Poll at a time. A row changed several times between two polls fires once. Polling interval can be customized (minimum 30 seconds).
+   * @category Triggers
+   * @registerAs POLLING_TRIGGER
+   * @route POST /on-updated-row
+   * @appearanceColor #00758F #F29111
+   * @executionTimeoutInSeconds 120
+   * @paramDef {"type":"String","label":"Table","name":"table","required":true,"dictionary":"getTablesDictionary","description":"The table to watch. May be database-qualified (e.g. mydb.orders); defaults to the configured database."}
+   * @paramDef {"type":"String","label":"Watermark Column","name":"watermarkColumn","required":true,"dictionary":"getColumnsDictionary","dependsOn":["table"],"description":"Timestamp column set on every change, e.g. updated_at. Index it on large tables, since every poll filters and sorts on it."}
+   * @paramDef {"type":"Number","label":"Max Rows per Poll","name":"batchSize","uiComponent":{"type":"NUMERIC_STEPPER"},"defaultValue":100,"description":"Maximum number of rows one poll returns (default 100, at most 1000). The remaining rows follow on the next poll; rows sharing one watermark value are never split, so a larger group comes in full."}
+   * @returns {Object}
+   * @sampleResult {"id":42,"customer":"Ada","total":"24.50","created_at":"2024-05-01T12:00:00.000Z","updated_at":"2024-05-02T09:15:00.000Z"}
+   */
+  async onUpdatedRow(invocation) {
+    return this.#pollRows(invocation, 'onUpdatedRow')
+  }
+
+  // The watermark is selected as text: mysql2 would round DATETIME(6) values to JS Dates,
+  // and MySQL converts the text back to the column type when comparing.
+  async #pollRows(invocation, logTag) {
+    const { table, watermarkColumn, batchSize } = invocation.triggerData || {}
+    const tableRef = this.#quoteTable(table)
+    const column = this.#quoteIdent(watermarkColumn)
+    const select = `SELECT *, CAST(${ column } AS CHAR) AS \`${ WATERMARK_KEY }\` FROM ${ tableRef }`
+
+    return this.#withClient(logTag, async connection => {
+      const result = await pollRows(invocation, {
+        latestRow: async () => {
+          const [rows] = await connection.execute(`${ select } WHERE ${ column } IS NOT NULL ORDER BY ${ column } DESC LIMIT 1`)
+
+          return rows[0] || null
+        },
+        maxWatermark: async () => {
+          const [rows] = await connection.execute(`SELECT CAST(MAX(${ column }) AS CHAR) AS watermark FROM ${ tableRef }`)
+
+          return rows[0].watermark
+        },
+        // The limit is inlined like in Select Rows: prepared LIMIT placeholders are rejected by some servers.
+        rowsAfter: async (watermark, limit) => {
+          const [rows] = watermark === null
+            ? await connection.execute(`${ select } WHERE ${ column } IS NOT NULL ORDER BY ${ column } LIMIT ${ limit }`)
+            : await connection.execute(`${ select } WHERE ${ column } > ? ORDER BY ${ column } LIMIT ${ limit }`, [watermark])
+
+          return rows
+        },
+        rowsAt: async watermark => {
+          const [rows] = await connection.execute(`${ select } WHERE ${ column } = ?`, [watermark])
+
+          return rows
+        },
+      }, { key: `${ table }.${ watermarkColumn }`, batchSize })
+
+      logger.debug(`${ logTag } - ${ result.events.length } row(s), watermark=${ result.state && result.state.watermark }`)
+
+      return result
+    })
+  }
+
   // ==========================================================================
   //  DICTIONARIES
   // ==========================================================================
@@ -731,7 +1166,7 @@ Flowrunner.ServerCode.addService(MySQL, [
     required: false,
     shared: false,
     defaultValue: false,
-    hint: 'Enable TLS-encrypted connections. Required by most managed databases (e.g. PlanetScale, Aiven, AWS RDS, Azure Database). With a Connection String, enabling this adds managed-provider-friendly TLS on top of the URI; when off, any ssl parameters in the URI still apply.',
+    hint: 'Enable TLS-encrypted connections, required by most managed databases (PlanetScale, Aiven, AWS RDS, Azure). With a Connection String, adds the TLS settings below to the URI. The certificate is verified only when TLS Verification asks for it.',
   },
   {
     name: 'connectionTimeoutSeconds',
@@ -742,4 +1177,6 @@ Flowrunner.ServerCode.addService(MySQL, [
     defaultValue: '10',
     hint: 'How long to wait when establishing a connection before failing. Defaults to 10 seconds.',
   },
+  ...tlsConfigItems,
+  ...sshTunnelConfigItems,
 ])
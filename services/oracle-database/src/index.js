@@ -1,5 +1,8 @@
 const oracledb = require('oracledb')
 
+const { sshTunnelConfigItems, sshTunnelSettings, withSshTunnel } = require('./ssh-tunnel')
+const { WATERMARK_KEY, pollRows } = require('./row-polling')
+
 const logger = {
   info: (...args) => console.log('[Oracle Database] info:', ...args),
   debug: (...args) => console.log('[Oracle Database] debug:', ...args),
@@ -10,6 +13,19 @@ const logger = {
 const DEFAULT_PORT = '1521'
 const DICTIONARY_PAGE_SIZE = 200
 
+// Text formats of DATE and TIMESTAMP watermarks; FF9 keeps every fractional digit.
+const DATE_TEXT_FORMAT = 'YYYY-MM-DD"T"HH24:MI:SS'
+const TIMESTAMP_TEXT_FORMAT = 'YYYY-MM-DD"T"HH24:MI:SS.FF9'
+
+// Easy Connect: [tcp[s]://]host[:port][/service_name][?options]. Connect descriptors "(DESCRIPTION=...)" do not match.
+const EASY_CONNECT_PATTERN = /^((?:tcps?:\/\/)?)(\[[^\]]+\]|[^:/?,()\s]+)(?::(\d+))?(.*)$/i
+
+// Isolation Level choices -> SQL keywords. Oracle supports only these two; Read Committed is its default.
+const ISOLATION_LEVELS = {
+  'Read Committed': 'READ COMMITTED',
+  'Serializable': 'SERIALIZABLE',
+}
+
 // node-oracledb runs in Thin mode by default (pure JavaScript, no Oracle Instant Client). Rows
 // are returned as plain objects keyed by column name. initOracleClient is deliberately NOT called
 // — doing so would switch the driver to Thick mode and require the native client libraries.
@@ -36,6 +52,15 @@ oracledb.outFormat = oracledb.OUT_FORMAT_OBJECT
  * @paramDef {"type":"getColumnsDictionary__payloadCriteria","label":"Criteria","name":"criteria","description":"The table whose columns to list."}
  */
 
+// ============================================================================
+//  TYPEDEFS
+// ============================================================================
+/**
+ * @typedef {Object} TransactionStatement
+ * @paramDef {"type":"String","label":"SQL","name":"sql","required":true,"uiComponent":{"type":"MULTI_LINE_TEXT"},"description":"The SQL statement. Use :name or :1, :2 placeholders for values bound via Binds. Do not include a trailing semicolon."}
+ * @paramDef {"type":"Object","label":"Binds","name":"binds","description":"Bind values of this statement as a JSON object for named binds or a JSON array for positional binds."}
+ */
+
 /**
  * @integrationName Oracle Database
  * @integrationIcon /icon.svg
@@ -50,33 +75,60 @@ class OracleDatabase {
     this.serviceName = (this.config.serviceName || '').trim()
     this.user = this.config.user
     this.password = this.config.password
+    this.sshTunnel = sshTunnelSettings(this.config)
   }
 
   // ==========================================================================
   //  CORE — connection lifecycle: one short-lived connection per method call.
   //  A standalone connection is opened, used and always closed in finally.
   //  Connections are NEVER pooled or cached between invocations (Thin mode).
+  //  With an SSH Host configured, the connection goes through a tunnel that
+  //  lives exactly as long as the connection.
   // ==========================================================================
   async #withConnection(logTag, fn) {
-    let connection
-
     try {
-      logger.debug(`${ logTag } - connecting to ${ this.#connectionLabel() }`)
+      logger.debug(`${ logTag } - connecting to ${ this.#connectionLabel() }${ this.sshTunnel ? ` via SSH ${ this.sshTunnel.host }` : '' }`)
 
-      connection = await oracledb.getConnection(this.#buildConnectionConfig(logTag))
+      const connectionConfig = this.#buildConnectionConfig(logTag)
+
+      return await withSshTunnel(this.sshTunnel, () => this.#tunnelTarget(connectionConfig.connectString), async tunnel => {
+        const connection = await oracledb.getConnection(tunnel
+          ? { ...connectionConfig, connectString: this.#throughTunnel(connectionConfig.connectString, tunnel) }
+          : connectionConfig)
 
-      return await fn(connection)
-    } catch (error) {
-      this.#throwOracleError(error, logTag)
-    } finally {
-      if (connection) {
         try {
-          await connection.close()
-        } catch (closeError) {
-          logger.warn(`${ logTag } - failed to close connection: ${ closeError.message }`)
+          return await fn(connection)
+        } finally {
+          try {
+            await connection.close()
+          } catch (closeError) {
+            logger.warn(`${ logTag } - failed to close connection: ${ closeError.message }`)
+          }
         }
-      }
+      })
+    } catch (error) {
+      this.#throwOracleError(error, logTag)
+    }
+  }
+
+  // The database endpoint as seen from the SSH bastion, read from the Easy Connect string.
+  #tunnelTarget(connectString) {
+    const match = EASY_CONNECT_PATTERN.exec(connectString)
+
+    if (!match || match[4].startsWith(',')) {
+      throw new Error(
+        'SSH tunnel: only single-host Easy Connect strings (host:port/service_name) can be tunneled. ' +
+        'Use the Host, Port and Service Name fields instead of a connect descriptor.'
+      )
     }
+
+    return { host: match[2].replace(/^\[|\]$/g, ''), port: parseInt(match[3], 10) || parseInt(DEFAULT_PORT, 10) }
+  }
+
+  #throughTunnel(connectString, tunnel) {
+    const match = EASY_CONNECT_PATTERN.exec(connectString)
+
+    return `${ match[1] }${ tunnel.host }:${ tunnel.port }${ match[4] }`
   }
 
   // Builds the getConnection() attributes. A Connection String (Easy Connect or an Autonomous
@@ -220,6 +272,38 @@ class OracleDatabase {
     return Object.prototype.hasOwnProperty.call(mapping, value) ? mapping[value] : value
   }
 
+  // Accepts { sql, binds } objects or plain SQL strings; rejects anything that would fail
+  // only after the transaction has started, so a malformed list never touches the database.
+  #normalizeStatements(statements) {
+    if (!Array.isArray(statements) || !statements.length) {
+      throw new Error('Statements must be a non-empty array.')
+    }
+
+    return statements.map((statement, index) => {
+      const { sql, binds } = typeof statement === 'string' ? { sql: statement } : statement || {}
+
+      if (typeof sql !== 'string' || !sql.trim()) {
+        throw new Error(`Statement ${ index + 1 } has no SQL.`)
+      }
+
+      if (binds !== undefined && binds !== null && typeof binds !== 'object') {
+        throw new Error(`Binds of statement ${ index + 1 } must be an object or an array.`)
+      }
+
+      return { sql, binds: this.#normalizeBinds(binds) }
+    })
+  }
+
+  #resolveIsolationLevel(isolationLevel) {
+    if (!isolationLevel || isolationLevel === 'Database Default') return undefined
+
+    if (!Object.prototype.hasOwnProperty.call(ISOLATION_LEVELS, isolationLevel)) {
+      throw new Error(`Unsupported isolation level: ${ isolationLevel }. Use one of: ${ Object.keys(ISOLATION_LEVELS).join(', ') }.`)
+    }
+
+    return ISOLATION_LEVELS[isolationLevel]
+  }
+
   // ==========================================================================
   //  SQL
   // ==========================================================================
@@ -313,6 +397,68 @@ class OracleDatabase {
     })
   }
 
+  /**
+   * @operationName Execute Transaction
+   * @description Runs several SQL statements atomically on one connection with autoCommit disabled, then COMMITs. If any statement fails, the transaction is rolled back so none of the statements take effect, and the error names the failing statement. Returns the rows or rows affected of every statement, e.g. to insert an order, its lines and update stock all-or-nothing. DDL statements (CREATE, ALTER, DROP, TRUNCATE) commit implicitly in Oracle and cannot be rolled back, so keep them out of transactions. The whole transaction is limited to 120 seconds.
+   * @category SQL
+   * @route POST /execute-transaction
+   * @appearanceColor #C74634 #F80000
+   * @executionTimeoutInSeconds 120
+   * @paramDef {"type":"Array<TransactionStatement>","label":"Statements","name":"statements","required":true,"description":"The statements to run, in order, e.g. [{\"sql\":\"INSERT INTO orders (customer_id) VALUES (:customerId)\",\"binds\":{\"customerId\":7}},{\"sql\":\"UPDATE stock SET qty = qty - :1 WHERE sku = :2\",\"binds\":[1,\"A-1\"]}]. Each statement has its own Binds."}
+   * @paramDef {"type":"String","label":"Isolation Level","name":"isolationLevel","uiComponent":{"type":"DROPDOWN","options":{"values":["Database Default","Read Committed","Serializable"]}},"defaultValue":"Database Default","description":"Transaction isolation level. Serializable transactions may fail with ORA-08177 (can't serialize access) under concurrent writes; run the flow step again in that case."}
+   * @returns {Object}
+   * @sampleResult {"committed":true,"statementCount":2,"totalRowsAffected":2,"results":[{"index":0,"rowsAffected":1},{"index":1,"rowsAffected":1}]}
+   */
+  async executeTransaction(statements, isolationLevel) {
+    const queries = this.#normalizeStatements(statements)
+    const level = this.#resolveIsolationLevel(isolationLevel)
+
+    return this.#withConnection('executeTransaction', async connection => {
+      const results = []
+
+      try {
+        // SET TRANSACTION must be the first statement of the transaction Oracle opens implicitly
+        if (level) {
+          await connection.execute(`SET TRANSACTION ISOLATION LEVEL ${ level }`)
+        }
+
+        for (const [index, { sql, binds }] of queries.entries()) {
+          try {
+            const result = await connection.execute(sql, binds, {
+              autoCommit: false,
+              outFormat: oracledb.OUT_FORMAT_OBJECT,
+            })
+
+            results.push(result.rows
+              ? { index, rows: result.rows, rowCount: result.rows.length }
+              : { index, rowsAffected: result.rowsAffected || 0 })
+          } catch (error) {
+            error.message = `statement ${ index + 1 } of ${ queries.length } failed, transaction rolled back: ${ error.message }`
+
+            throw error
+          }
+        }
+
+        await connection.commit()
+      } catch (error) {
+        try {
+          await connection.rollback()
+        } catch (rollbackError) {
+          logger.warn(`executeTransaction - rollback failed: ${ rollbackError.message }`)
+        }
+
+        throw error
+      }
+
+      return {
+        committed: true,
+        statementCount: results.length,
+        totalRowsAffected: results.reduce((total, result) => total + (result.rowsAffected || 0), 0),
+        results,
+      }
+    })
+  }
+
   // Maps the {dir, type} bind descriptors used in the public PL/SQL API onto oracledb's
   // BIND_* / type constants, leaving plain-value (IN) binds untouched.
   #resolveBindDirections(binds) {
@@ -578,6 +724,154 @@ class OracleDatabase {
     })
   }
 
+  // ==========================================================================
+  //  TRIGGERS — polling on a watermark column: a value that only grows for new
+  //  (or changed) rows. The state keeps the last emitted watermark.
+  // ==========================================================================
+  /**
+   * @registerAs SYSTEM
+   * @paramDef {"type":"Object","label":"invocation","name":"invocation"}
+   * @returns {Object}
+   */
+  async handleTriggerPollingForEvent(invocation) {
+    return this[invocation.eventName](invocation)
+  }
+
+  /**
+   * @operationName On New Row
+   * @description Fires for every row inserted into a table. New rows are found through a watermark column whose value only grows, such as an auto-increment id or a created_at timestamp. The first poll only records the current maximum, so rows that already exist do not fire. Later polls return the new rows in ascending order, up to Max Rows per Poll at a time; the rest follow on the next poll. Rows whose watermark is NULL never fire. Polling interval can be customized (minimum 30 seconds).
+   * @category Triggers
+   * @registerAs POLLING_TRIGGER
+   * @route POST /on-new-row
+   * @appearanceColor #C74634 #F80000
+   * @executionTimeoutInSeconds 120
+   * @paramDef {"type":"String","label":"Table","name":"table","required":true,"dictionary":"getTablesDictionary","description":"The table to watch (usually UPPERCASE, e.g. ORDERS)."}
+   * @paramDef {"type":"String","label":"Watermark Column","name":"watermarkColumn","required":true,"dictionary":"getColumnsDictionary","dependsOn":["table"],"description":"Column whose value only grows for new rows - an identity or sequence-filled NUMBER id, or a CREATED_AT DATE / TIMESTAMP column. Index it on large tables, since every poll filters and sorts on it."}
+   * @paramDef {"type":"Number","label":"Max Rows per Poll","name":"batchSize","uiComponent":{"type":"NUMERIC_STEPPER"},"defaultValue":100,"description":"Maximum number of rows one poll returns (default 100, at most 1000). The remaining rows follow on the next poll; rows sharing one watermark value are never split, so a larger group comes in full."}
+   * @returns {Object}
+   * @sampleResult {"ID":42,"CUSTOMER":"Ada","TOTAL":19.9,"CREATED_AT":"2024-05-01T12:00:00.000Z"}
+   */
+  async onNewRow(invocation) {
+    return this.#pollRows(invocation, 'onNewRow')
+  }
+
+  /**
+   * @operationName On Updated Row
+   * @description Fires for every row whose last-modified timestamp moved forward, e.g. an updated_at column that the application or a database trigger sets on each change. Inserted rows fire too when they set the column. The first poll only records the current maximum; later polls return the changed rows with their current values in ascending order, up to Max Rows per Poll at a time. A row changed several times between two polls fires once. Polling interval can be customized (minimum 30 seconds).
+   * @category Triggers
+   * @registerAs POLLING_TRIGGER
+   * @route POST /on-updated-row
+   * @appearanceColor #C74634 #F80000
+   * @executionTimeoutInSeconds 120
+   * @paramDef {"type":"String","label":"Table","name":"table","required":true,"dictionary":"getTablesDictionary","description":"The table to watch (usually UPPERCASE, e.g. ORDERS)."}
+   * @paramDef {"type":"String","label":"Watermark Column","name":"watermarkColumn","required":true,"dictionary":"getColumnsDictionary","dependsOn":["table"],"description":"Timestamp column set on every change, e.g. UPDATED_AT (DATE or TIMESTAMP). Index it on large tables, since every poll filters and sorts on it."}
+   * @paramDef {"type":"Number","label":"Max Rows per Poll","name":"batchSize","uiComponent":{"type":"NUMERIC_STEPPER"},"defaultValue":100,"description":"Maximum number of rows one poll returns (default 100, at most 1000). The remaining rows follow on the next poll; rows sharing one watermark value are never split, so a larger group comes in full."}
+   * @returns {Object}
+   * @sampleResult {"ID":42,"CUSTOMER":"Ada","TOTAL":24.5,"CREATED_AT":"2024-05-01T12:00:00.000Z","UPDATED_AT":"2024-05-02T09:15:00.000Z"}
+   */
+  async onUpdatedRow(invocation) {
+    return this.#pollRows(invocation, 'onUpdatedRow')
+  }
+
+  // The watermark is selected as text in a format chosen by the column's data type, and bound
+  // back through the matching conversion: the driver would round TIMESTAMP fractions to JS
+  // Dates. Time zone aware timestamps are kept in UTC.
+  async #pollRows(invocation, logTag) {
+    const { table, watermarkColumn, batchSize } = invocation.triggerData || {}
+    const tableRef = this.#quoteIdent(table)
+    const column = this.#quoteIdent(watermarkColumn)
+    const options = { outFormat: oracledb.OUT_FORMAT_OBJECT }
+
+    return this.#withConnection(logTag, async connection => {
+      const dataType = await this.#columnDataType(connection, table, watermarkColumn)
+      const { toText, fromText } = this.#watermarkConversion(dataType)
+      const select = `SELECT t.*, ${ toText(column) } AS "${ WATERMARK_KEY }" FROM ${ tableRef } t`
+
+      const result = await pollRows(invocation, {
+        latestRow: async () => {
+          const { rows } = await connection.execute(
+            `${ select } WHERE ${ column } IS NOT NULL ORDER BY ${ column } DESC FETCH FIRST 1 ROWS ONLY`, [], options
+          )
+
+          return (rows || [])[0] || null
+        },
+        maxWatermark: async () => {
+          const { rows } = await connection.execute(`SELECT ${ toText(`MAX(${ column })`) } AS WATERMARK FROM ${ tableRef }`, [], options)
+
+          return rows[0].WATERMARK
+        },
+        rowsAfter: async (watermark, limit) => {
+          const { rows } = watermark === null
+            ? await connection.execute(
+              `${ select } WHERE ${ column } IS NOT NULL ORDER BY ${ column } FETCH FIRST :rowLimit ROWS ONLY`,
+              { rowLimit: limit }, options
+            )
+            : await connection.execute(
+              `${ select } WHERE ${ column } > ${ fromText(':watermark') } ORDER BY ${ column } FETCH FIRST :rowLimit ROWS ONLY`,
+              { watermark, rowLimit: limit }, options
+            )
+
+          return rows || []
+        },
+        rowsAt: async watermark => {
+          const { rows } = await connection.execute(`${ select } WHERE ${ column } = ${ fromText(':watermark') }`, { watermark }, options)
+
+          return rows || []
+        },
+      }, { key: `${ table }.${ watermarkColumn }`, batchSize })
+
+      logger.debug(`${ logTag } - ${ result.events.length } row(s), watermark=${ result.state && result.state.watermark }`)
+
+      return result
+    })
+  }
+
+  async #columnDataType(connection, table, column) {
+    const { rows } = await connection.execute(
+      'SELECT data_type FROM user_tab_columns WHERE table_name = :tableName AND column_name = :columnName',
+      { tableName: table, columnName: column },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    )
+
+    if (!rows || !rows.length) {
+      throw new Error(`Column "${ column }" was not found in table "${ table }" of the current schema.`)
+    }
+
+    return rows[0].DATA_TYPE
+  }
+
+  #watermarkConversion(dataType) {
+    if (/^TIMESTAMP.*TIME ZONE$/.test(dataType)) {
+      return {
+        toText: sql => `TO_CHAR(SYS_EXTRACT_UTC(${ sql }), '${ TIMESTAMP_TEXT_FORMAT }')`,
+        fromText: bind => `FROM_TZ(TO_TIMESTAMP(${ bind }, '${ TIMESTAMP_TEXT_FORMAT }'), 'UTC')`,
+      }
+    }
+
+    if (dataType.startsWith('TIMESTAMP')) {
+      return {
+        toText: sql => `TO_CHAR(${ sql }, '${ TIMESTAMP_TEXT_FORMAT }')`,
+        fromText: bind => `TO_TIMESTAMP(${ bind }, '${ TIMESTAMP_TEXT_FORMAT }')`,
+      }
+    }
+
+    if (dataType === 'DATE') {
+      return {
+        toText: sql => `TO_CHAR(${ sql }, '${ DATE_TEXT_FORMAT }')`,
+        fromText: bind => `TO_DATE(${ bind }, '${ DATE_TEXT_FORMAT }')`,
+      }
+    }
+
+    if (['NUMBER', 'FLOAT', 'BINARY_FLOAT', 'BINARY_DOUBLE'].includes(dataType)) {
+      return {
+        toText: sql => `TO_CHAR(${ sql })`,
+        fromText: bind => `TO_NUMBER(${ bind })`,
+      }
+    }
+
+    return { toText: sql => sql, fromText: bind => bind }
+  }
+
   // ==========================================================================
   //  DICTIONARIES
   // ==========================================================================
@@ -717,4 +1011,5 @@ Flowrunner.ServerCode.addService(OracleDatabase, [
     shared: false,
     hint: 'Password for the database user.',
   },
+  ...sshTunnelConfigItems,
 ])
@@ -15,6 +15,8 @@ const { createSandbox } = require('../../../service-sandbox')
 
 const mockConnection = {
   execute: jest.fn(),
+  commit: jest.fn(),
+  rollback: jest.fn(),
   close: jest.fn().mockResolvedValue(undefined),
 }
 
@@ -38,16 +40,68 @@ jest.mock('oracledb', () => ({
   getConnection: mockGetConnection,
 }))
 
+// ssh2 is not installed in this workspace. The fake bastion logs in on the next tick and
+// refuses every forwarded channel after recording its target.
+let mockSshClients = []
+let mockSshLoginError = null
+
+jest.mock(
+  'ssh2',
+  () => {
+    const { EventEmitter } = require('events')
+
+    class Client extends EventEmitter {
+      constructor() {
+        super()
+        this.forwards = []
+        this.ended = false
+
+        mockSshClients.push(this)
+      }
+
+      connect(options) {
+        this.options = options
+
+        setImmediate(() => (mockSshLoginError ? this.emit('error', mockSshLoginError) : this.emit('ready')))
+      }
+
+      forwardOut(srcIP, srcPort, dstHost, dstPort, callback) {
+        this.forwards.push({ host: dstHost, port: dstPort })
+
+        callback(new Error('channel refused'))
+      }
+
+      end() {
+        this.ended = true
+      }
+    }
+
+    return { Client }
+  },
+  { virtual: true }
+)
+
 // ---------------------------------------------------------------------------
 //  Helpers
 // ---------------------------------------------------------------------------
 
+/** Opens one connection to a local tunnel port and waits until the fake bastion refuses it. */
+function touchTunnel(port) {
+  return new Promise(resolve => {
+    require('net').connect(port, '127.0.0.1').on('close', resolve).on('error', () => {})
+  })
+}
+
 function resetAllMocks() {
   mockConnection.execute.mockReset()
+  mockConnection.commit.mockReset()
+  mockConnection.rollback.mockReset()
   mockConnection.close.mockClear()
   mockGetConnection.mockClear()
   mockGetConnection.mockResolvedValue(mockConnection)
   mockConnection.close.mockResolvedValue(undefined)
+  mockSshClients = []
+  mockSshLoginError = null
 }
 
 function buildService(config) {
@@ -139,6 +193,13 @@ describe('Oracle Database Service', () => {
           shared: false,
           type: 'STRING',
         }),
+        expect.objectContaining({ name: 'sshHost', required: false, shared: false }),
+        expect.objectContaining({ name: 'sshPort', required: false, shared: false, defaultValue: '22' }),
+        expect.objectContaining({ name: 'sshUser', required: false, shared: false }),
+        expect.objectContaining({ name: 'sshPassword', required: false, shared: false }),
+        expect.objectContaining({ name: 'sshPrivateKey', required: false, shared: false, type: 'TEXT' }),
+        expect.objectContaining({ name: 'sshPassphrase', required: false, shared: false }),
+        expect.objectContaining({ name: 'sshHostKeyFingerprint', required: false, shared: false }),
       ])
     })
   })
@@ -260,6 +321,67 @@ describe('Oracle Database Service', () => {
     })
   })
 
+  // ── SSH tunnel ──
+
+  describe('SSH tunnel', () => {
+    const SSH_CONFIG = { sshHost: 'bastion.example.com', sshUser: 'deploy', sshPassword: 'pw' }
+
+    it('connects through a local port forwarded by the bastion and closes it afterwards', async () => {
+      ({ sandbox, service } = buildService({
+        host: 'dbhost.internal',
+        serviceName: 'ORCLPDB1',
+        user: 'testuser',
+        password: 's3cret',
+        ...SSH_CONFIG,
+      }))
+
+      mockConnection.execute.mockImplementation(async () => {
+        await touchTunnel(mockGetConnection.mock.calls[0][0].connectString.match(/:(\d+)\//)[1])
+
+        return { rows: [], metaData: [] }
+      })
+
+      await service.executeQuery('SELECT 1 FROM DUAL')
+
+      expect(mockSshClients[0].options).toMatchObject({ host: 'bastion.example.com', port: 22, username: 'deploy', password: 'pw' })
+      expect(mockGetConnection.mock.calls[0][0].connectString).toMatch(/^127\.0\.0\.1:\d+\/ORCLPDB1$/)
+      expect(mockSshClients[0].forwards).toEqual([{ host: 'dbhost.internal', port: 1521 }])
+      expect(mockConnection.close).toHaveBeenCalled()
+      expect(mockSshClients[0].ended).toBe(true)
+    })
+
+    it('keeps the protocol and options of an Easy Connect string', async () => {
+      ({ sandbox, service } = buildService({
+        connectString: 'tcps://adb.internal:1522/svc_high?wallet_location=none',
+        user: 'testuser',
+        password: 's3cret',
+        ...SSH_CONFIG,
+      }))
+
+      mockConnection.execute.mockResolvedValue({ rows: [], metaData: [] })
+
+      await service.executeQuery('SELECT 1 FROM DUAL')
+
+      expect(mockGetConnection.mock.calls[0][0].connectString).toMatch(/^tcps:\/\/127\.0\.0\.1:\d+\/svc_high\?wallet_location=none$/)
+    })
+
+    it('rejects connect descriptors without logging in to the bastion', async () => {
+      ({ sandbox, service } = buildService({
+        connectString: '(DESCRIPTION=(ADDRESS=(PROTOCOL=TCP)(HOST=db)(PORT=1521))(CONNECT_DATA=(SERVICE_NAME=svc)))',
+        user: 'testuser',
+        password: 's3cret',
+        ...SSH_CONFIG,
+      }))
+
+      await expect(service.executeQuery('SELECT 1 FROM DUAL')).rejects.toThrow(
+        'Oracle Database error: SSH tunnel: only single-host Easy Connect strings'
+      )
+
+      expect(mockSshClients).toHaveLength(0)
+      expect(mockGetConnection).not.toHaveBeenCalled()
+    })
+  })
+
   // ── executeQuery ──
 
   describe('executeQuery', () => {
@@ -439,6 +561,78 @@ describe('Oracle Database Service', () => {
     })
   })
 
+  // ── executeTransaction ──
+
+  describe('executeTransaction', () => {
+    it('runs statements without autoCommit and commits once', async () => {
+      mockConnection.execute
+        .mockResolvedValueOnce({ rowsAffected: 1 })
+        .mockResolvedValueOnce({ rows: [{ QTY: 4 }] })
+
+      const result = await service.executeTransaction([
+        { sql: 'UPDATE STOCK SET QTY = QTY - 1 WHERE SKU = :sku', binds: { sku: 'A-1' } },
+        'SELECT QTY FROM STOCK',
+      ])
+
+      expect(mockConnection.execute).toHaveBeenNthCalledWith(
+        1,
+        'UPDATE STOCK SET QTY = QTY - 1 WHERE SKU = :sku',
+        { sku: 'A-1' },
+        expect.objectContaining({ autoCommit: false })
+      )
+
+      expect(mockConnection.execute).toHaveBeenNthCalledWith(2, 'SELECT QTY FROM STOCK', [], expect.objectContaining({ autoCommit: false }))
+      expect(mockConnection.commit).toHaveBeenCalledTimes(1)
+      expect(mockConnection.rollback).not.toHaveBeenCalled()
+
+      expect(result).toEqual({
+        committed: true,
+        statementCount: 2,
+        totalRowsAffected: 1,
+        results: [
+          { index: 0, rowsAffected: 1 },
+          { index: 1, rows: [{ QTY: 4 }], rowCount: 1 },
+        ],
+      })
+    })
+
+    it('sets the isolation level as the first statement', async () => {
+      mockConnection.execute.mockResolvedValue({ rowsAffected: 0 })
+
+      await service.executeTransaction(['DELETE FROM JOBS'], 'Serializable')
+
+      expect(mockConnection.execute).toHaveBeenNthCalledWith(1, 'SET TRANSACTION ISOLATION LEVEL SERIALIZABLE')
+    })
+
+    it('rolls back and names the failing statement', async () => {
+      mockConnection.execute
+        .mockResolvedValueOnce({ rowsAffected: 1 })
+        .mockRejectedValueOnce(Object.assign(new Error('ORA-00001: unique constraint violated'), { errorNum: 1 }))
+
+      await expect(service.executeTransaction(['INSERT INTO A VALUES (1)', 'INSERT INTO A VALUES (1)'])).rejects.toThrow(
+        'Oracle Database error: statement 2 of 2 failed, transaction rolled back: ORA-00001: unique constraint violated'
+      )
+
+      expect(mockConnection.rollback).toHaveBeenCalledTimes(1)
+      expect(mockConnection.commit).not.toHaveBeenCalled()
+      expect(mockConnection.close).toHaveBeenCalled()
+    })
+
+    it('validates statements and isolation level before connecting', async () => {
+      await expect(service.executeTransaction(null)).rejects.toThrow('Statements must be a non-empty array.')
+
+      await expect(service.executeTransaction([{ sql: 'SELECT 1 FROM DUAL', binds: 'x' }])).rejects.toThrow(
+        'Binds of statement 1 must be an object or an array.'
+      )
+
+      await expect(service.executeTransaction(['SELECT 1 FROM DUAL'], 'Repeatable Read')).rejects.toThrow(
+        'Unsupported isolation level: Repeatable Read. Use one of: Read Committed, Serializable.'
+      )
+
+      expect(mockGetConnection).not.toHaveBeenCalled()
+    })
+  })
+
   // ── executePlsqlBlock ──
 
   describe('executePlsqlBlock', () => {
@@ -964,6 +1158,82 @@ describe('Oracle Database Service', () => {
     })
   })
 
+  // ── Triggers ──
+
+  describe('onNewRow / onUpdatedRow', () => {
+    const triggerData = { table: 'ORDERS', watermarkColumn: 'UPDATED_AT', batchSize: 10 }
+    const state = { key: 'ORDERS.UPDATED_AT', watermark: '2024-05-01T10:00:00.123456000' }
+
+    function mockColumnType(dataType, rows) {
+      mockConnection.execute.mockImplementation(async sql => {
+        return sql.includes('user_tab_columns') ? { rows: dataType ? [{ DATA_TYPE: dataType }] : [] } : { rows }
+      })
+    }
+
+    it('records the current maximum as text on the first poll', async () => {
+      mockColumnType('TIMESTAMP(6)', [{ WATERMARK: '2024-05-01T10:00:00.123456000' }])
+
+      const result = await service.handleTriggerPollingForEvent({ eventName: 'onUpdatedRow', triggerData })
+
+      expect(result).toEqual({ events: [], state })
+
+      expect(mockConnection.execute.mock.calls[1][0]).toBe(
+        'SELECT TO_CHAR(MAX("UPDATED_AT"), \'YYYY-MM-DD"T"HH24:MI:SS.FF9\') AS WATERMARK FROM "ORDERS"'
+      )
+    })
+
+    it('binds the watermark back through the conversion for the column type', async () => {
+      mockColumnType('TIMESTAMP(6)', [{ ID: 7, __watermark: '2024-05-01T10:00:01.000000000' }])
+
+      const result = await service.handleTriggerPollingForEvent({ eventName: 'onUpdatedRow', triggerData, state })
+
+      expect(result).toEqual({
+        events: [{ ID: 7 }],
+        state: { key: 'ORDERS.UPDATED_AT', watermark: '2024-05-01T10:00:01.000000000' },
+      })
+
+      const [sql, binds] = mockConnection.execute.mock.calls[1]
+
+      expect(sql).toContain('WHERE "UPDATED_AT" > TO_TIMESTAMP(:watermark, \'YYYY-MM-DD"T"HH24:MI:SS.FF9\')')
+      expect(sql).toMatch(/ORDER BY "UPDATED_AT" FETCH FIRST :rowLimit ROWS ONLY$/)
+      expect(binds).toEqual({ watermark: '2024-05-01T10:00:00.123456000', rowLimit: 10 })
+    })
+
+    it('compares time zone aware timestamps and numbers in their own terms', async () => {
+      mockColumnType('TIMESTAMP(6) WITH TIME ZONE', [])
+
+      await service.handleTriggerPollingForEvent({ eventName: 'onUpdatedRow', triggerData, state })
+
+      expect(mockConnection.execute.mock.calls[1][0]).toContain(
+        '"UPDATED_AT" > FROM_TZ(TO_TIMESTAMP(:watermark, \'YYYY-MM-DD"T"HH24:MI:SS.FF9\'), \'UTC\')'
+      )
+
+      mockConnection.execute.mockClear()
+      mockColumnType('NUMBER', [])
+
+      await service.handleTriggerPollingForEvent({ eventName: 'onNewRow', triggerData: { ...triggerData, watermarkColumn: 'ID' }, state: { key: 'ORDERS.ID', watermark: '41' } })
+
+      expect(mockConnection.execute.mock.calls[1][0]).toContain('SELECT t.*, TO_CHAR("ID") AS "__watermark" FROM "ORDERS" t WHERE "ID" > TO_NUMBER(:watermark)')
+    })
+
+    it('fails clearly when the column does not exist', async () => {
+      mockColumnType(null, [])
+
+      await expect(service.handleTriggerPollingForEvent({ eventName: 'onNewRow', triggerData })).rejects.toThrow(
+        'Column "UPDATED_AT" was not found in table "ORDERS" of the current schema.'
+      )
+    })
+
+    it('returns the latest row in learning mode', async () => {
+      mockColumnType('DATE', [{ ID: 9, __watermark: '2024-05-01T10:00:00' }])
+
+      const result = await service.handleTriggerPollingForEvent({ eventName: 'onNewRow', triggerData, learningMode: true })
+
+      expect(result).toEqual({ events: [{ ID: 9 }], state: null })
+      expect(mockConnection.execute.mock.calls[1][0]).toMatch(/ORDER BY "UPDATED_AT" DESC FETCH FIRST 1 ROWS ONLY$/)
+    })
+  })
+
   // ── getTablesDictionary ──
 
   describe('getTablesDictionary', () => {
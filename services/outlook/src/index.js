@@ -1,3 +1,5 @@
+const { msGraphAppOnlyConfigItems, msGraphClientFromConfig } = require('./msgraph')
+
 const OAUTH_BASE_URL = 'https://login.microsoftonline.com/common/oauth2/v2.0'
 const API_BASE_URL = 'https://graph.microsoft.com/v1.0/me'
 const PAGE_SIZE_DICTIONARY = 10
@@ -68,11 +70,12 @@ class OutlookService {
     this.clientId = config.clientId
     this.clientSecret = config.clientSecret
     this.scopes = DEFAULT_SCOPE_STRING
+    this.graph = msGraphClientFromConfig(config, () => this.request?.headers?.['oauth-access-token'])
   }
 
-  #getAccessTokenHeader(accessToken) {
+  async #getAccessTokenHeader(accessToken) {
     return {
-      Authorization: `Bearer ${ this.request.headers['oauth-access-token'] || accessToken }`,
+      Authorization: `Bearer ${ accessToken || await this.graph.getAccessToken() }`,
     }
   }
 
@@ -81,9 +84,11 @@ class OutlookService {
     query = cleanupObject(query)
 
     try {
+      url = this.graph.resolveUrl(url)
+
       logger.debug(`${ logTag } - api request: [${ method }::${ url }] q=[${ JSON.stringify(query) }]`)
 
-      return await Flowrunner.Request[method](url).set(this.#getAccessTokenHeader()).query(query).send(body)
+      return await Flowrunner.Request[method](url).set(await this.#getAccessTokenHeader()).query(query).send(body)
     } catch (error) {
       logger.error(`${ logTag } - error: ${ error.message }`)
       throw error
@@ -1007,6 +1012,7 @@ Flowrunner.ServerCode.addService(OutlookService, [
     shared: true,
     hint: 'OAuth2 Client Secret for Microsoft Graph API integration. Leave blank to use default.',
   },
+  ...msGraphAppOnlyConfigItems,
 ])
 
 function searchFilter(list, props, searchString) {
@@ -43,11 +43,13 @@ describe('Outlook Service', () => {
     it('registers with correct config items', () => {
       const configItems = sandbox.getConfigItems()
 
-      expect(configItems).toHaveLength(2)
+      expect(configItems).toHaveLength(7)
       expect(configItems).toEqual(
         expect.arrayContaining([
           expect.objectContaining({ name: 'clientId', displayName: 'Client ID', required: true, shared: true }),
           expect.objectContaining({ name: 'clientSecret', displayName: 'Client Secret', required: true, shared: true }),
+          expect.objectContaining({ name: 'tenantId', required: false, shared: false }),
+          expect.objectContaining({ name: 'actAsUser', required: false, shared: false }),
         ])
       )
     })
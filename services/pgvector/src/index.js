@@ -1,5 +1,7 @@
 const pg = require('pg')
 
+const { tlsConfigItems, tlsSettings, nodeTlsOptions, withoutUrlTlsParams, tlsErrorHint } = require('./db-tls')
+
 const logger = {
   info: (...args) => console.log('[PGVector] info:', ...args),
   debug: (...args) => console.log('[PGVector] debug:', ...args),
@@ -64,7 +66,8 @@ class PGVector {
     this.database = this.config.database
     this.user = this.config.user
     this.password = this.config.password
-    this.ssl = this.config.ssl === true || this.config.ssl === 'true'
+    this.tls = tlsSettings(this.config)
+    this.ssl = this.config.ssl === true || this.config.ssl === 'true' || this.tls.configured
 
     const timeoutSeconds = parseInt(this.config.connectionTimeoutSeconds, 10)
 
@@ -97,9 +100,11 @@ class PGVector {
   }
 
   // A Connection String, when set, wins over the individual fields. When using it, the SSL
-  // toggle only ADDS the managed-provider-friendly ssl config on top; when the toggle is off
-  // the string's own sslmode/ssl query params stay in effect (we must not pass ssl: false,
-  // as explicit config overrides values parsed from the string).
+  // toggle ADDS the configured ssl options on top and drops the string's own sslmode/ssl*
+  // query params, which pg would otherwise let override them; when the toggle is off the
+  // string's params stay in effect (we must not pass ssl: false, as explicit config
+  // overrides values parsed from the string). Without a TLS Verification mode or
+  // certificates, the ssl options stay managed-provider-friendly (no verification).
   #buildClientConfig(logTag) {
     const shared = {
       connectionTimeoutMillis: this.connectionTimeoutMillis,
@@ -110,8 +115,8 @@ class PGVector {
 
     if (this.connectionString) {
       return {
-        connectionString: this.connectionString,
-        ...(this.ssl ? { ssl: { rejectUnauthorized: false } } : {}),
+        connectionString: this.ssl ? withoutUrlTlsParams(this.connectionString) : this.connectionString,
+        ...(this.ssl ? { ssl: nodeTlsOptions(this.tls) } : {}),
         ...shared,
       }
     }
@@ -132,7 +137,7 @@ class PGVector {
       database: this.database,
       user: this.user,
       password: this.password,
-      ssl: this.ssl ? { rejectUnauthorized: false } : false,
+      ssl: this.ssl ? nodeTlsOptions(this.tls) : false,
       ...shared,
     }
   }
@@ -168,6 +173,10 @@ class PGVector {
       )
     }
 
+    const certificateHint = tlsErrorHint(error)
+
+    if (certificateHint) parts.push(certificateHint)
+
     const message = parts.join(' | ')
 
     logger.error(`${ logTag } - failed: ${ message }`)
@@ -905,7 +914,7 @@ Flowrunner.ServerCode.addService(PGVector, [
     required: false,
     shared: false,
     defaultValue: false,
-    hint: 'Enable TLS-encrypted connections. Required by most managed databases (e.g. AWS RDS, Google Cloud SQL, Azure Database, Heroku Postgres). With a Connection String, enabling this adds managed-provider-friendly TLS on top of the URI; when off, any sslmode in the URI still applies.',
+    hint: 'Enable TLS-encrypted connections, required by most managed databases (AWS RDS, Cloud SQL, Azure, Heroku). With a Connection String, replaces any sslmode in the URI. The certificate is verified only when TLS Verification asks for it.',
   },
   {
     name: 'connectionTimeoutSeconds',
@@ -916,4 +925,5 @@ Flowrunner.ServerCode.addService(PGVector, [
     defaultValue: '10',
     hint: 'How long to wait when establishing a connection before failing. Defaults to 10 seconds.',
   },
+  ...tlsConfigItems,
 ])
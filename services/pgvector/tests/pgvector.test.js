@@ -120,6 +120,10 @@ describe('PGVector Service', () => {
         'password',
         'ssl',
         'connectionTimeoutSeconds',
+        'tlsVerifyMode',
+        'tlsCaCert',
+        'tlsClientCert',
+        'tlsClientKey',
       ])
 
       expect(items.every(item => item.shared === false)).toBe(true)
@@ -235,6 +239,25 @@ describe('PGVector Service', () => {
       built.sandbox.cleanup()
     })
 
+    it('verifies the server and drops the sslmode of the connection string in Verify Full mode', async () => {
+      const built = buildService({
+        connectionString: 'postgresql://user:pw@host.example.com:5432/db?sslmode=no-verify',
+        tlsVerifyMode: 'Verify Full',
+        tlsCaCert: '-----BEGIN CERTIFICATE-----\\nMIIBca\\n-----END CERTIFICATE-----',
+      })
+
+      resetMockState()
+
+      await built.service.enableExtension()
+
+      expect(mockState.clients[0].config).toMatchObject({
+        connectionString: 'postgresql://user:pw@host.example.com:5432/db',
+        ssl: { rejectUnauthorized: true, ca: '-----BEGIN CERTIFICATE-----\nMIIBca\n-----END CERTIFICATE-----' },
+      })
+
+      built.sandbox.cleanup()
+    })
+
     it('throws when neither a connection string nor the required fields are set', async () => {
       const built = buildService({ host: 'db.example.com' })
 
@@ -283,6 +306,14 @@ describe('PGVector Service', () => {
       )
     })
 
+    it('adds a host name hint when the certificate does not match', async () => {
+      mockState.connectError = Object.assign(new Error('Hostname/IP does not match certificate\'s altnames'), {
+        code: 'ERR_TLS_CERT_ALTNAME_INVALID',
+      })
+
+      await expect(service.enableExtension()).rejects.toThrow(/does not match the host name/)
+    })
+
     it('wraps query failures', async () => {
       mockState.queryImpl = () => {
         throw Object.assign(new Error('relation "missing" does not exist'), { code: '42P01' })
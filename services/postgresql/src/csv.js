@@ -0,0 +1,385 @@
+'use strict'
+
+const http = require('http')
+const https = require('https')
+const { StringDecoder } = require('string_decoder')
+
+// Shared CSV import/export: edit shared/csv/csv.js and run `npm run sync:shared`, never the service copy.
+
+// Delimiter choices of the Bulk Import CSV action.
+const CSV_DELIMITERS = {
+  'Comma': ',',
+  'Semicolon': ';',
+  'Tab': '\t',
+  'Pipe': '|',
+}
+
+// Skipped rows beyond this fail the whole import: the file is most likely mapped wrong.
+const MAX_SKIPPED_ROWS = 100
+
+// The Files API takes an export in one piece, so it is held in memory until the upload.
+const MAX_EXPORT_BYTES = 50 * 1024 * 1024
+
+// How long a CSV download may wait for the response, and then for the next piece of the body.
+// Reading pauses while the import writes a batch, so the body gets the longer of the two.
+const DOWNLOAD_RESPONSE_TIMEOUT_MS = 30 * 1000
+const DOWNLOAD_BODY_IDLE_TIMEOUT_MS = 2 * 60 * 1000
+
+function resolveDelimiter(value) {
+  if (value === undefined || value === null || value === '') return ','
+
+  if (Object.prototype.hasOwnProperty.call(CSV_DELIMITERS, value)) return CSV_DELIMITERS[value]
+
+  if (typeof value === 'string' && value.length === 1 && !/["\r\n]/.test(value)) return value
+
+  throw new Error(`Unsupported delimiter: ${ JSON.stringify(value) }. Use one of: ${ Object.keys(CSV_DELIMITERS).join(', ') }.`)
+}
+
+/**
+ * Opens a CSV file (e.g. a Files API URL) for reading and resolves with the response stream
+ * once the status is known, so the file is parsed as it arrives instead of being held in
+ * memory. Follows up to 5 redirects. A body that stops arriving fails the stream with an error.
+ */
+function downloadCsvStream(fileUrl, redirectsLeft = 5) {
+  if (typeof fileUrl !== 'string' || !fileUrl.trim()) {
+    return Promise.reject(new Error('File URL is required.'))
+  }
+
+  return new Promise((resolve, reject) => {
+    const fail = error => reject(new Error(`Could not download the CSV file: ${ error.message }`))
+
+    let parsedUrl
+
+    try {
+      parsedUrl = new URL(fileUrl.trim())
+    } catch (error) {
+      return fail(error)
+    }
+
+    const transport = parsedUrl.protocol === 'https:' ? https : http
+
+    let response
+
+    const req = transport.get(parsedUrl, res => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume()
+
+        if (redirectsLeft <= 0) {
+          return fail(new Error('too many redirects'))
+        }
+
+        return resolve(downloadCsvStream(new URL(res.headers.location, parsedUrl).toString(), redirectsLeft - 1))
+      }
+
+      if (res.statusCode >= 300) {
+        res.resume()
+
+        return fail(new Error(`HTTP ${ res.statusCode }`))
+      }
+
+      response = res
+      req.setTimeout(DOWNLOAD_BODY_IDLE_TIMEOUT_MS)
+      resolve(res)
+    })
+
+    req.on('error', fail)
+
+    req.setTimeout(DOWNLOAD_RESPONSE_TIMEOUT_MS, () => {
+      if (response) {
+        const seconds = DOWNLOAD_BODY_IDLE_TIMEOUT_MS / 1000
+
+        response.destroy(new Error(`Could not download the CSV file: no data received for ${ seconds } seconds`))
+      } else {
+        req.destroy(new Error(`the server did not respond within ${ DOWNLOAD_RESPONSE_TIMEOUT_MS / 1000 } seconds`))
+      }
+    })
+  })
+}
+
+/**
+ * Incremental CSV parser (RFC 4180: quoted fields may hold delimiters, quotes and line breaks).
+ * `write(text)` takes the file piece by piece and returns the records completed so far, `end()`
+ * the last one. Records are `{ line, values }`, where `line` is the 1-based line the record
+ * starts on. As in PostgreSQL's CSV format, an unquoted empty field is null and a quoted one
+ * ("") an empty string. Blank lines are skipped.
+ */
+function createCsvParser(delimiter = ',') {
+  let records = []
+  let values = []
+  let field = ''
+  let quoted = false
+  let inQuotes = false
+  // A quote inside quotes either escapes the next one or closes the field; a \r may be
+  // followed by \n. Both are settled by the next character, which may be in the next piece.
+  let pendingQuote = false
+  let pendingLineFeed = false
+  let line = 1
+  let recordLine = 1
+
+  const endField = () => {
+    values.push(field === '' && !quoted ? null : field)
+    field = ''
+    quoted = false
+  }
+
+  const endRecord = () => {
+    endField()
+
+    if (values.length > 1 || values[0] !== null) {
+      records.push({ line: recordLine, values })
+    }
+
+    values = []
+  }
+
+  const take = () => {
+    const completed = records
+
+    records = []
+
+    return completed
+  }
+
+  return {
+    write(text) {
+      for (const char of text) {
+        if (pendingLineFeed) {
+          pendingLineFeed = false
+
+          if (char === '\n') continue
+        }
+
+        if (pendingQuote) {
+          pendingQuote = false
+
+          if (char === '"') {
+            field += '"'
+            continue
+          }
+
+          inQuotes = false
+        }
+
+        if (inQuotes) {
+          if (char === '"') {
+            pendingQuote = true
+          } else {
+            if (char === '\n') line++
+
+            field += char
+          }
+        } else if (char === '"') {
+          inQuotes = true
+          quoted = true
+        } else if (char === delimiter) {
+          endField()
+        } else if (char === '\n' || char === '\r') {
+          pendingLineFeed = char === '\r'
+
+          endRecord()
+          line++
+          recordLine = line
+        } else {
+          field += char
+        }
+      }
+
+      return take()
+    },
+
+    end() {
+      if (inQuotes && !pendingQuote) {
+        throw new Error(`CSV: the quoted field starting on line ${ recordLine } is never closed.`)
+      }
+
+      if (field !== '' || quoted || values.length) {
+        endRecord()
+      }
+
+      return take()
+    },
+  }
+}
+
+/**
+ * Parses the whole CSV text at once; see createCsvParser() for the records.
+ */
+function parseCsv(text, delimiter = ',') {
+  const parser = createCsvParser(delimiter)
+
+  return [...parser.write(text), ...parser.end()]
+}
+
+/**
+ * Reads the records of a UTF-8 CSV stream (e.g. from downloadCsvStream()) as they arrive,
+ * without a byte order mark.
+ */
+async function* readCsvRecords(stream, delimiter = ',') {
+  const parser = createCsvParser(delimiter)
+  const decoder = new StringDecoder('utf8')
+  let first = true
+
+  for await (const chunk of stream) {
+    let text = typeof chunk === 'string' ? chunk : decoder.write(chunk)
+
+    if (first && text) {
+      first = false
+
+      if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1)
+    }
+
+    yield* parser.write(text)
+  }
+
+  yield* parser.write(decoder.end())
+  yield* parser.end()
+}
+
+/**
+ * Works out the target columns of an import and the values of every row, reading the records
+ * (an array or an async iterable such as readCsvRecords()) only as far as the first one.
+ *
+ * With a header row and no mapping, every CSV column goes to the table column of the same
+ * name. The mapping ({ "CSV column": "table_column" }, keyed by 1-based position when there is
+ * no header row) imports only the listed columns. Without either, the fields go to the table's
+ * columns in order and `columns` is null.
+ *
+ * `rows` is an async iterable of `{ line, values }`; rows whose field count differs from the
+ * first row come as `{ line, message }` instead.
+ */
+async function csvImportPlan(records, { hasHeader = true, columnMapping } = {}) {
+  const iterator = (records[Symbol.asyncIterator] || records[Symbol.iterator]).call(records)
+  const first = await iterator.next()
+  const header = hasHeader && !first.done ? first.value.values.map(value => (value === null ? '' : value.trim())) : null
+  const width = header ? header.length : first.done ? 0 : first.value.values.length
+  const mapping = columnMapping && typeof columnMapping === 'object' && !Array.isArray(columnMapping)
+    ? Object.entries(columnMapping).filter(([, column]) => column)
+    : []
+
+  let indexes = null
+  let columns = header
+
+  if (mapping.length) {
+    indexes = mapping.map(([source]) => {
+      const index = header ? header.indexOf(source.trim()) : parseInt(source, 10) - 1
+
+      if (index < 0 || index >= width || Number.isNaN(index)) {
+        throw new Error(header
+          ? `CSV column "${ source }" from Column Mapping is not in the header row.`
+          : `Column Mapping key "${ source }" must be a column position between 1 and ${ width }.`)
+      }
+
+      return index
+    })
+
+    columns = mapping.map(([, column]) => String(column))
+  }
+
+  const toRow = ({ line, values }) => (values.length === width
+    ? { line, values: indexes ? indexes.map(index => values[index]) : values }
+    : { line, message: `expected ${ width } fields, found ${ values.length }` })
+
+  async function* rows() {
+    if (!hasHeader && !first.done) {
+      yield toRow(first.value)
+    }
+
+    for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+      yield toRow(next.value)
+    }
+  }
+
+  return { columns, rows: rows() }
+}
+
+/**
+ * Throws once failed rows may not be skipped: any failure without Skip Invalid Rows, or more
+ * than MAX_SKIPPED_ROWS with it. `errors` holds `{ line, message }` in the order found.
+ */
+function checkSkippedRows(errors, skipInvalidRows) {
+  if (!errors.length) return
+
+  const [first] = errors
+
+  if (!skipInvalidRows) {
+    throw new Error(`CSV line ${ first.line }: ${ first.message }. Nothing was imported; turn on Skip Invalid Rows to import the other rows.`)
+  }
+
+  if (errors.length > MAX_SKIPPED_ROWS) {
+    throw new Error(
+      `More than ${ MAX_SKIPPED_ROWS } rows failed (the first on CSV line ${ first.line }: ${ first.message }). ` +
+      'Nothing was imported; check the delimiter and Column Mapping.'
+    )
+  }
+}
+
+function toCsvField(value, delimiter) {
+  if (value === null || value === undefined) return ''
+
+  let text
+
+  if (value instanceof Date) {
+    text = value.toISOString()
+  } else if (Buffer.isBuffer(value)) {
+    text = `\\x${ value.toString('hex') }`
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value)
+  } else {
+    text = String(value)
+  }
+
+  // "" keeps empty strings apart from nulls, which are written as nothing.
+  if (text === '' || text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()) {
+    return `"${ text.replace(/"/g, '""') }"`
+  }
+
+  return text
+}
+
+/**
+ * Formats one CSV line, terminated by "\n". Nulls become empty fields and empty strings "".
+ */
+function formatCsvLine(values, delimiter = ',') {
+  return `${ values.map(value => toCsvField(value, delimiter)).join(delimiter) }\n`
+}
+
+/**
+ * Collects the pieces (Buffers or strings) of a CSV export into one Buffer for the upload and
+ * fails once it grows past `maxBytes`, before the whole result set is in memory.
+ */
+async function collectCsvExport(chunks, maxBytes = MAX_EXPORT_BYTES) {
+  const buffers = []
+  let size = 0
+
+  for await (const chunk of chunks) {
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk), 'utf8')
+
+    size += buffer.length
+
+    if (size > maxBytes) {
+      throw new Error(
+        `The export is larger than ${ Math.floor(maxBytes / (1024 * 1024)) } MB, the limit of Export Query to CSV. ` +
+        'Narrow the query with WHERE or LIMIT, or export the rows in several parts.'
+      )
+    }
+
+    buffers.push(buffer)
+  }
+
+  return Buffer.concat(buffers, size)
+}
+
+module.exports = {
+  CSV_DELIMITERS,
+  MAX_SKIPPED_ROWS,
+  MAX_EXPORT_BYTES,
+  resolveDelimiter,
+  downloadCsvStream,
+  createCsvParser,
+  parseCsv,
+  readCsvRecords,
+  csvImportPlan,
+  checkSkippedRows,
+  formatCsvLine,
+  collectCsvExport,
+}
@@ -1,4 +1,20 @@
+const { pipeline } = require('stream/promises')
+const { Readable } = require('stream')
 const pg = require('pg')
+const { from: copyFrom, to: copyTo } = require('pg-copy-streams')
+
+const { sshTunnelConfigItems, sshTunnelSettings, withSshTunnel, urlEndpoint, replaceUrlEndpoint } = require('./ssh-tunnel')
+const { tlsConfigItems, tlsSettings, nodeTlsOptions, withoutUrlTlsParams, tlsErrorHint } = require('./db-tls')
+const { WATERMARK_KEY, pollRows } = require('./row-polling')
+const {
+  resolveDelimiter,
+  downloadCsvStream,
+  readCsvRecords,
+  csvImportPlan,
+  checkSkippedRows,
+  formatCsvLine,
+  collectCsvExport,
+} = require('./csv')
 
 const logger = {
   info: (...args) => console.log('[PostgreSQL] info:', ...args),
@@ -10,8 +26,17 @@ const logger = {
 const DEFAULT_PORT = 5432
 const DEFAULT_CONNECTION_TIMEOUT_SECONDS = 10
 const STATEMENT_TIMEOUT_MS = 120000
+// Rows per COPY of Bulk Import CSV; a skipped row makes its batch be sent again.
+const CSV_COPY_BATCH_ROWS = 1000
 const DICTIONARY_PAGE_SIZE = 200
 
+// Isolation Level choices -> SQL keywords; the database default needs no clause.
+const ISOLATION_LEVELS = {
+  'Read Committed': 'READ COMMITTED',
+  'Repeatable Read': 'REPEATABLE READ',
+  'Serializable': 'SERIALIZABLE',
+}
+
 // ============================================================================
 //  DICTIONARY PAYLOAD TYPEDEFS
 // ============================================================================
@@ -33,6 +58,15 @@ const DICTIONARY_PAGE_SIZE = 200
  * @paramDef {"type":"getColumnsDictionary__payloadCriteria","label":"Criteria","name":"criteria","description":"The table whose columns to list."}
  */
 
+// ============================================================================
+//  TYPEDEFS
+// ============================================================================
+/**
+ * @typedef {Object} TransactionStatement
+ * @paramDef {"type":"String","label":"SQL","name":"sql","required":true,"uiComponent":{"type":"MULTI_LINE_TEXT"},"description":"The SQL statement. Use $1, $2, ... placeholders for values bound via Parameters."}
+ * @paramDef {"type":"Array","label":"Parameters","name":"params","description":"Values for the $1, $2, ... placeholders of this statement, in order."}
+ */
+
 /**
  * @integrationName PostgreSQL
  * @integrationIcon /icon.png
@@ -47,7 +81,9 @@ class PostgreSQL {
     this.database = this.config.database
     this.user = this.config.user
     this.password = this.config.password
-    this.ssl = this.config.ssl === true || this.config.ssl === 'true'
+    this.tls = tlsSettings(this.config)
+    this.ssl = this.config.ssl === true || this.config.ssl === 'true' || this.tls.configured
+    this.sshTunnel = sshTunnelSettings(this.config)
 
     const timeoutSeconds = parseInt(this.config.connectionTimeoutSeconds, 10)
 
@@ -57,32 +93,60 @@ class PostgreSQL {
   // ==========================================================================
   //  CORE — connection lifecycle: one short-lived pg.Client per method call.
   //  A client is created, connected, used and always closed in finally.
-  //  Connections are NEVER cached between invocations.
+  //  Connections are NEVER cached between invocations. With an SSH Host
+  //  configured, the client connects through a tunnel that lives exactly as
+  //  long as the client.
   // ==========================================================================
   async #withClient(logTag, fn) {
-    const client = new pg.Client(this.#buildClientConfig(logTag))
+    const clientConfig = this.#buildClientConfig(logTag)
 
     try {
-      logger.debug(`${ logTag } - connecting to ${ this.#connectionLabel() }`)
-
-      await client.connect()
-
-      return await fn(client)
+      logger.debug(`${ logTag } - connecting to ${ this.#connectionLabel() }${ this.sshTunnel ? ` via SSH ${ this.sshTunnel.host }` : '' }`)
+
+      return await withSshTunnel(this.sshTunnel, () => this.#tunnelTarget(), async tunnel => {
+        const client = new pg.Client(tunnel ? this.#throughTunnel(clientConfig, tunnel) : clientConfig)
+
+        try {
+          await client.connect()
+
+          return await fn(client)
+        } finally {
+          try {
+            await client.end()
+          } catch (endError) {
+            logger.warn(`${ logTag } - failed to close connection: ${ endError.message }`)
+          }
+        }
+      })
     } catch (error) {
       this.#throwPgError(error, logTag)
-    } finally {
-      try {
-        await client.end()
-      } catch (endError) {
-        logger.warn(`${ logTag } - failed to close connection: ${ endError.message }`)
-      }
     }
   }
 
+  // The database endpoint as seen from the SSH bastion.
+  #tunnelTarget() {
+    return this.connectionString
+      ? urlEndpoint(this.connectionString, DEFAULT_PORT)
+      : { host: this.host, port: this.port }
+  }
+
+  // The certificate is still checked against the database host, not the local tunnel end.
+  #throughTunnel(clientConfig, tunnel) {
+    const ssl = clientConfig.ssl && nodeTlsOptions(this.tls, this.#tunnelTarget().host)
+
+    if (clientConfig.connectionString) {
+      return { ...clientConfig, connectionString: replaceUrlEndpoint(clientConfig.connectionString, tunnel), ...(ssl ? { ssl } : {}) }
+    }
+
+    return { ...clientConfig, host: tunnel.host, port: tunnel.port, ssl }
+  }
+
   // A Connection String, when set, wins over the individual fields. When using it, the SSL
-  // toggle only ADDS the managed-provider-friendly ssl config on top; when the toggle is off
-  // the string's own sslmode/ssl query params stay in effect (we must not pass ssl: false,
-  // as explicit config overrides values parsed from the string).
+  // toggle ADDS the configured ssl options on top and drops the string's own sslmode/ssl*
+  // query params, which pg would otherwise let override them; when the toggle is off the
+  // string's params stay in effect (we must not pass ssl: false, as explicit config
+  // overrides values parsed from the string). Without a TLS Verification mode or
+  // certificates, the ssl options stay managed-provider-friendly (no verification).
   #buildClientConfig(logTag) {
     const shared = {
       connectionTimeoutMillis: this.connectionTimeoutMillis,
@@ -93,8 +157,8 @@ class PostgreSQL {
 
     if (this.connectionString) {
       return {
-        connectionString: this.connectionString,
-        ...(this.ssl ? { ssl: { rejectUnauthorized: false } } : {}),
+        connectionString: this.ssl ? withoutUrlTlsParams(this.connectionString) : this.connectionString,
+        ...(this.ssl ? { ssl: nodeTlsOptions(this.tls) } : {}),
         ...shared,
       }
     }
@@ -115,7 +179,7 @@ class PostgreSQL {
       database: this.database,
       user: this.user,
       password: this.password,
-      ssl: this.ssl ? { rejectUnauthorized: false } : false,
+      ssl: this.ssl ? nodeTlsOptions(this.tls) : false,
       ...shared,
     }
   }
@@ -151,6 +215,10 @@ class PostgreSQL {
       )
     }
 
+    const certificateHint = tlsErrorHint(error)
+
+    if (certificateHint) parts.push(certificateHint)
+
     const message = parts.join(' | ')
 
     logger.error(`${ logTag } - failed: ${ message }`)
@@ -225,6 +293,38 @@ class PostgreSQL {
     return Object.prototype.hasOwnProperty.call(mapping, value) ? mapping[value] : value
   }
 
+  // Accepts { sql, params } objects or plain SQL strings; rejects anything that would fail
+  // only after BEGIN, so a malformed list never opens a transaction.
+  #normalizeStatements(statements) {
+    if (!Array.isArray(statements) || !statements.length) {
+      throw new Error('Statements must be a non-empty array.')
+    }
+
+    return statements.map((statement, index) => {
+      const { sql, params } = typeof statement === 'string' ? { sql: statement } : statement || {}
+
+      if (typeof sql !== 'string' || !sql.trim()) {
+        throw new Error(`Statement ${ index + 1 } has no SQL.`)
+      }
+
+      if (params !== undefined && params !== null && !Array.isArray(params)) {
+        throw new Error(`Parameters of statement ${ index + 1 } must be an array.`)
+      }
+
+      return { sql, params: params || [] }
+    })
+  }
+
+  #resolveIsolationLevel(isolationLevel) {
+    if (!isolationLevel || isolationLevel === 'Database Default') return undefined
+
+    if (!Object.prototype.hasOwnProperty.call(ISOLATION_LEVELS, isolationLevel)) {
+      throw new Error(`Unsupported isolation level: ${ isolationLevel }. Use one of: ${ Object.keys(ISOLATION_LEVELS).join(', ') }.`)
+    }
+
+    return ISOLATION_LEVELS[isolationLevel]
+  }
+
   // ==========================================================================
   //  SQL
   // ==========================================================================
@@ -256,6 +356,60 @@ class PostgreSQL {
     })
   }
 
+  /**
+   * @operationName Execute Transaction
+   * @description Runs several SQL statements atomically on one connection: BEGIN, each statement in order, then COMMIT. If any statement fails, the transaction is rolled back so none of the statements take effect, and the error names the failing statement. Returns the rows and affected row count of every statement, e.g. to insert an order, its lines and update stock all-or-nothing. Each statement is limited to 120 seconds, and so is the whole transaction.
+   * @category SQL
+   * @route POST /execute-transaction
+   * @appearanceColor #336791 #4E8CBF
+   * @executionTimeoutInSeconds 120
+   * @paramDef {"type":"Array<TransactionStatement>","label":"Statements","name":"statements","required":true,"description":"The statements to run, in order, e.g. [{\"sql\":\"INSERT INTO orders (customer_id) VALUES ($1) RETURNING id\",\"params\":[7]},{\"sql\":\"UPDATE stock SET qty = qty - $1 WHERE sku = $2\",\"params\":[1,\"A-1\"]}]. Use $1, $2, ... placeholders with each statement's own Parameters."}
+   * @paramDef {"type":"String","label":"Isolation Level","name":"isolationLevel","uiComponent":{"type":"DROPDOWN","options":{"values":["Database Default","Read Committed","Repeatable Read","Serializable"]}},"defaultValue":"Database Default","description":"Transaction isolation level. Serializable transactions may fail with a serialization error (code 40001) under concurrent writes; run the flow step again in that case."}
+   * @returns {Object}
+   * @sampleResult {"committed":true,"statementCount":2,"totalRowCount":2,"results":[{"index":0,"rows":[{"id":101}],"rowCount":1},{"index":1,"rows":[],"rowCount":1}]}
+   */
+  async executeTransaction(statements, isolationLevel) {
+    const queries = this.#normalizeStatements(statements)
+    const level = this.#resolveIsolationLevel(isolationLevel)
+
+    return this.#withClient('executeTransaction', async client => {
+      const results = []
+
+      await client.query(level ? `BEGIN ISOLATION LEVEL ${ level }` : 'BEGIN')
+
+      try {
+        for (const [index, { sql, params }] of queries.entries()) {
+          try {
+            const result = await client.query(sql, params)
+
+            results.push({ index, rows: result.rows || [], rowCount: result.rowCount })
+          } catch (error) {
+            error.message = `statement ${ index + 1 } of ${ queries.length } failed, transaction rolled back: ${ error.message }`
+
+            throw error
+          }
+        }
+
+        await client.query('COMMIT')
+      } catch (error) {
+        try {
+          await client.query('ROLLBACK')
+        } catch (rollbackError) {
+          logger.warn(`executeTransaction - rollback failed: ${ rollbackError.message }`)
+        }
+
+        throw error
+      }
+
+      return {
+        committed: true,
+        statementCount: results.length,
+        totalRowCount: results.reduce((total, result) => total + (result.rowCount || 0), 0),
+        results,
+      }
+    })
+  }
+
   // ==========================================================================
   //  ROWS
   // ==========================================================================
@@ -478,6 +632,174 @@ class PostgreSQL {
     })
   }
 
+  // ==========================================================================
+  //  CSV IMPORT / EXPORT — COPY streams rows in and out in PostgreSQL's own
+  //  CSV format, far faster than row-by-row INSERTs and SELECTs.
+  // ==========================================================================
+  /**
+   * @operationName Bulk Import CSV
+   * @description Loads a CSV file into a table with COPY ... FROM STDIN, which is much faster than Insert Rows for thousands of rows. The file is read from a URL, typically one returned by the Files API, and parsed while it downloads. By default the header row names the target columns; Column Mapping imports only selected CSV columns into differently named table columns. Empty unquoted fields become NULL, while a quoted empty field ("") is an empty string. The import is all-or-nothing unless Skip Invalid Rows is on: then rows with the wrong number of fields or values the table rejects are left out and listed with their CSV line numbers. Statements are limited to 120 seconds of execution time.
+   * @category Import & Export
+   * @route POST /bulk-import-csv
+   * @appearanceColor #336791 #4E8CBF
+   * @executionTimeoutInSeconds 120
+   * @paramDef {"type":"String","label":"Table","name":"table","required":true,"dictionary":"getTablesDictionary","description":"The table to load the rows into. May be schema-qualified (e.g. public.users)."}
+   * @paramDef {"type":"String","label":"File URL","name":"fileUrl","required":true,"description":"URL of the CSV file, e.g. from a Files API upload or a previous flow step. The file must be UTF-8 encoded."}
+   * @paramDef {"type":"Boolean","label":"Header Row","name":"hasHeader","uiComponent":{"type":"TOGGLE"},"defaultValue":true,"description":"Whether the first line holds column names. Without a header row and Column Mapping, the fields go to the table's columns in table order."}
+   * @paramDef {"type":"Object","label":"Column Mapping","name":"columnMapping","description":"Optional. Maps CSV columns to table columns as a JSON object, e.g. {\"E-mail\":\"email\",\"Full Name\":\"name\"}; only the mapped columns are imported. Without a header row, use 1-based positions as keys, e.g. {\"1\":\"email\",\"3\":\"name\"}."}
+   * @paramDef {"type":"String","label":"Delimiter","name":"delimiter","uiComponent":{"type":"DROPDOWN","options":{"values":["Comma","Semicolon","Tab","Pipe"]}},"defaultValue":"Comma","description":"Character that separates the fields of the file."}
+   * @paramDef {"type":"Boolean","label":"Skip Invalid Rows","name":"skipInvalidRows","uiComponent":{"type":"TOGGLE"},"description":"When on, rows that fail are left out and reported in errors (up to 100 rows) while the rest is imported. When off, any failing row rolls back the whole import."}
+   * @returns {Object}
+   * @sampleResult {"table":"public.users","importedCount":1998,"skippedCount":2,"errors":[{"line":17,"message":"expected 3 fields, found 2"},{"line":845,"message":"invalid input syntax for type integer: \"n/a\""}]}
+   */
+  async bulkImportCsv(table, fileUrl, hasHeader, columnMapping, delimiter, skipInvalidRows) {
+    const tableRef = this.#quoteTable(table)
+    const separator = resolveDelimiter(delimiter)
+    const download = await downloadCsvStream(fileUrl)
+
+    // The response stays open until the import has read it, so close it however the import ends.
+    try {
+      const { columns, rows } = await csvImportPlan(readCsvRecords(download, separator), {
+        hasHeader: hasHeader !== false,
+        columnMapping,
+      })
+
+      const columnList = columns ? ` (${ columns.map(column => this.#quoteIdent(column)).join(', ') })` : ''
+      const copySql = `COPY ${ tableRef }${ columnList } FROM STDIN WITH (FORMAT csv)`
+
+      return await this.#withClient('bulkImportCsv', async client => {
+        const errors = []
+        let batch = []
+        let importedCount = 0
+
+        await client.query('BEGIN')
+
+        try {
+          // The file is parsed while it downloads and copied in batches, so only one batch is
+          // held in memory.
+          for await (const row of rows) {
+            if (!row.values) {
+              errors.push(row)
+              checkSkippedRows(errors, skipInvalidRows)
+            } else if (batch.push(row) === CSV_COPY_BATCH_ROWS) {
+              importedCount += await this.#copyCsvBatch(client, copySql, batch, errors, skipInvalidRows)
+              batch = []
+            }
+          }
+
+          if (batch.length) {
+            importedCount += await this.#copyCsvBatch(client, copySql, batch, errors, skipInvalidRows)
+          }
+
+          await client.query('COMMIT')
+        } catch (error) {
+          try {
+            await client.query('ROLLBACK')
+          } catch (rollbackError) {
+            logger.warn(`bulkImportCsv - rollback failed: ${ rollbackError.message }`)
+          }
+
+          throw error
+        }
+
+        logger.debug(`bulkImportCsv - ${ importedCount } row(s) imported, ${ errors.length } skipped`)
+
+        return { table, importedCount, skippedCount: errors.length, errors }
+      })
+    } finally {
+      download.destroy()
+    }
+  }
+
+  /**
+   * @operationName Export Query to CSV
+   * @description Runs a SELECT query with COPY ... TO STDOUT and stores the result as a CSV file through the Files API, returning its URL. Values keep PostgreSQL's exact text form (full timestamp precision, numeric digits, JSON as text), and NULL is an empty field. Use it to hand large result sets to spreadsheets, storage services or other flow steps without passing them around as JSON. COPY does not accept bind parameters, so the query must not use $1 placeholders. Files are limited to 50 MB and statements are limited to 120 seconds of execution time.
+   * @category Import & Export
+   * @route POST /export-query-to-csv
+   * @appearanceColor #336791 #4E8CBF
+   * @executionTimeoutInSeconds 120
+   * @paramDef {"type":"String","label":"SQL Query","name":"sql","required":true,"uiComponent":{"type":"MULTI_LINE_TEXT"},"description":"The SELECT (or VALUES / TABLE) query whose result to export, e.g. SELECT id, email, created_at FROM users WHERE active ORDER BY id."}
+   * @paramDef {"type":"Boolean","label":"Header Row","name":"includeHeader","uiComponent":{"type":"TOGGLE"},"defaultValue":true,"description":"Whether the first line lists the column names."}
+   * @paramDef {"type":"String","label":"File Name","name":"filename","description":"Name of the CSV file to create. Defaults to query_export_<timestamp>.csv."}
+   * @paramDef {"type":"FilesUploadOptions","label":"File Settings","name":"fileOptions","required":false,"include":["scope"],"description":"Where to store the CSV file in FlowRunner file storage."}
+   * @returns {Object}
+   * @sampleResult {"url":"https://files.flowrunner.io/flow/query_export_1714564800000.csv","filename":"query_export_1714564800000.csv","rowCount":2,"sizeBytes":84}
+   */
+  async exportQueryToCsv(sql, includeHeader, filename, fileOptions) {
+    if (typeof sql !== 'string' || !sql.trim()) {
+      throw new Error('SQL query is required.')
+    }
+
+    const query = sql.trim().replace(/;+\s*$/, '')
+    const copySql = `COPY (${ query }) TO STDOUT WITH (FORMAT csv, HEADER ${ includeHeader === false ? 'false' : 'true' })`
+
+    const { buffer, rowCount } = await this.#withClient('exportQueryToCsv', async client => {
+      const stream = client.query(copyTo(copySql))
+      const buffer = await collectCsvExport(stream)
+
+      return { buffer, rowCount: stream.rowCount }
+    })
+
+    const name = filename || `query_export_${ Date.now() }.csv`
+
+    const { url } = await this.flowrunner.Files.uploadFile(buffer, {
+      filename: name,
+      generateUrl: true,
+      overwrite: true,
+      ...(fileOptions || { scope: 'FLOW' }),
+    })
+
+    return { url, filename: name, rowCount, sizeBytes: buffer.length }
+  }
+
+  // Copies one batch of an import and returns the number of rows copied. A failed COPY names
+  // the line it stopped at: with Skip Invalid Rows that row is dropped and the rest of the batch
+  // is copied again from a savepoint, so a rejected row never re-sends more than its batch.
+  async #copyCsvBatch(client, copySql, batch, errors, skipInvalidRows) {
+    let pending = batch
+
+    while (pending.length) {
+      if (skipInvalidRows) {
+        await client.query('SAVEPOINT csv_import')
+      }
+
+      try {
+        const stream = client.query(copyFrom(copySql))
+
+        await pipeline(Readable.from(pending.map(row => formatCsvLine(row.values))), stream)
+
+        if (skipInvalidRows) {
+          await client.query('RELEASE SAVEPOINT csv_import')
+        }
+
+        return stream.rowCount
+      } catch (error) {
+        const index = this.#copyErrorIndex(error)
+
+        if (index === null || index >= pending.length) throw error
+
+        if (skipInvalidRows) {
+          await client.query('ROLLBACK TO SAVEPOINT csv_import')
+        }
+
+        errors.push({ line: pending[index].line, message: error.message })
+        checkSkippedRows(errors, skipInvalidRows)
+
+        pending = pending.filter((row, rowIndex) => rowIndex !== index)
+      }
+    }
+
+    return 0
+  }
+
+  // Position of the failed row among the rows sent, from the "COPY users, line 3, column ..."
+  // context of the error; null when the error is not about a single row.
+  #copyErrorIndex(error) {
+    const match = /\bline (\d+)/.exec(error.where || '')
+
+    return match ? Number(match[1]) - 1 : null
+  }
+
   // ==========================================================================
   //  SCHEMA
   // ==========================================================================
@@ -551,6 +873,95 @@ class PostgreSQL {
     })
   }
 
+  // ==========================================================================
+  //  TRIGGERS — polling on a watermark column: a value that only grows for new
+  //  (or changed) rows. The state keeps the last emitted watermark.
+  // ==========================================================================
+  /**
+   * @registerAs SYSTEM
+   * @paramDef {"type":"Object","label":"invocation","name":"invocation"}
+   * @returns {Object}
+   */
+  async handleTriggerPollingForEvent(invocation) {
+    return this[invocation.eventName](invocation)
+  }
+
+  /**
+   * @operationName On New Row
+   * @description Fires for every row inserted into a table. New rows are found through a watermark column whose value only grows, such as an auto-increment id or a created_at timestamp. The first poll only records the current maximum, so rows that already exist do not fire. Later polls return the new rows in ascending order, up to Max Rows per Poll at a time; the rest follow on the next poll. Rows whose watermark is NULL never fire. Polling interval can be customized (minimum 30 seconds).
+   * @category Triggers
+   * @registerAs POLLING_TRIGGER
+   * @route POST /on-new-row
+   * @appearanceColor #336791 #4E8CBF
+   * @executionTimeoutInSeconds 120
+   * @paramDef {"type":"String","label":"Table","name":"table","required":true,"dictionary":"getTablesDictionary","description":"The table to watch. May be schema-qualified (e.g. public.orders); defaults to the public schema."}
+   * @paramDef {"type":"String","label":"Watermark Column","name":"watermarkColumn","required":true,"dictionary":"getColumnsDictionary","dependsOn":["table"],"description":"Column whose value only grows for new rows - a serial / identity id or a created_at timestamp. Index it on large tables, since every poll filters and sorts on it."}
+   * @paramDef {"type":"Number","label":"Max Rows per Poll","name":"batchSize","uiComponent":{"type":"NUMERIC_STEPPER"},"defaultValue":100,"description":"Maximum number of rows one poll returns (default 100, at most 1000). The remaining rows follow on the next poll; rows sharing one watermark value are never split, so a larger group comes in full."}
+   * @returns {Object}
+   * @sampleResult {"id":42,"email":"ada@example.com","status":"active","created_at":"2024-05-01T12:00:00.000Z"}
+   */
+  async onNewRow(invocation) {
+    return this.#pollRows(invocation, 'onNewRow')
+  }
+
+  /**
+   * @operationName On Updated Row
+   * @description Fires for every row whose last-modified timestamp moved forward, e.g. an updated_at column that the application or a database trigger sets on each change. Inserted rows fire too when they set the column. The first poll only records the current maximum; later polls return the changed rows with their current values in ascending order, up to Max Rows per Poll at a time. A row changed several times between two polls fires once. Polling interval can be customized (minimum 30 seconds).
+   * @category Triggers
+   * @registerAs POLLING_TRIGGER
+   * @route POST /on-updated-row
+   * @appearanceColor #336791 #4E8CBF
+   * @executionTimeoutInSeconds 120
+   * @paramDef {"type":"String","label":"Table","name":"table","required":true,"dictionary":"getTablesDictionary","description":"The table to watch. May be schema-qualified (e.g. public.orders); defaults to the public schema."}
+   * @paramDef {"type":"String","label":"Watermark Column","name":"watermarkColumn","required":true,"dictionary":"getColumnsDictionary","dependsOn":["table"],"description":"Timestamp column set on every change, e.g. updated_at. Index it on large tables, since every poll filters and sorts on it."}
+   * @paramDef {"type":"Number","label":"Max Rows per Poll","name":"batchSize","uiComponent":{"type":"NUMERIC_STEPPER"},"defaultValue":100,"description":"Maximum number of rows one poll returns (default 100, at most 1000). The remaining rows follow on the next poll; rows sharing one watermark value are never split, so a larger group comes in full."}
+   * @returns {Object}
+   * @sampleResult {"id":42,"email":"ada@example.com","status":"suspended","created_at":"2024-05-01T12:00:00.000Z","updated_at":"2024-05-02T09:15:00.000Z"}
+   */
+  async onUpdatedRow(invocation) {
+    return this.#pollRows(invocation, 'onUpdatedRow')
+  }
+
+  // The watermark is selected as text: pg would round microsecond timestamps to JS Dates,
+  // and the text binds back exactly because pg infers the parameter type from the column.
+  async #pollRows(invocation, logTag) {
+    const { table, watermarkColumn, batchSize } = invocation.triggerData || {}
+    const tableRef = this.#quoteTable(table)
+    const column = this.#quoteIdent(watermarkColumn)
+    const select = `SELECT *, ${ column }::text AS "${ WATERMARK_KEY }" FROM ${ tableRef }`
+
+    return this.#withClient(logTag, async client => {
+      const result = await pollRows(invocation, {
+        latestRow: async () => {
+          const { rows } = await client.query(`${ select } WHERE ${ column } IS NOT NULL ORDER BY ${ column } DESC LIMIT 1`)
+
+          return rows[0] || null
+        },
+        maxWatermark: async () => {
+          const { rows } = await client.query(`SELECT MAX(${ column })::text AS watermark FROM ${ tableRef }`)
+
+          return rows[0].watermark
+        },
+        rowsAfter: async (watermark, limit) => {
+          const { rows } = watermark === null
+            ? await client.query(`${ select } WHERE ${ column } IS NOT NULL ORDER BY ${ column } LIMIT $1`, [limit])
+            : await client.query(`${ select } WHERE ${ column } > $1 ORDER BY ${ column } LIMIT $2`, [watermark, limit])
+
+          return rows
+        },
+        rowsAt: async watermark => {
+          const { rows } = await client.query(`${ select } WHERE ${ column } = $1`, [watermark])
+
+          return rows
+        },
+      }, { key: `${ table }.${ watermarkColumn }`, batchSize })
+
+      logger.debug(`${ logTag } - ${ result.events.length } row(s), watermark=${ result.state && result.state.watermark }`)
+
+      return result
+    })
+  }
+
   // ==========================================================================
   //  DICTIONARIES
   // ==========================================================================
@@ -693,7 +1104,7 @@ Flowrunner.ServerCode.addService(PostgreSQL, [
     required: false,
     shared: false,
     defaultValue: false,
-    hint: 'Enable TLS-encrypted connections. Required by most managed databases (e.g. AWS RDS, Google Cloud SQL, Azure Database, Heroku Postgres). With a Connection String, enabling this adds managed-provider-friendly TLS on top of the URI; when off, any sslmode in the URI still applies.',
+    hint: 'Enable TLS-encrypted connections, required by most managed databases (AWS RDS, Cloud SQL, Azure, Heroku). With a Connection String, replaces any sslmode in the URI. The certificate is verified only when TLS Verification asks for it.',
   },
   {
     name: 'connectionTimeoutSeconds',
@@ -704,4 +1115,6 @@ Flowrunner.ServerCode.addService(PostgreSQL, [
     defaultValue: '10',
     hint: 'How long to wait when establishing a connection before failing. Defaults to 10 seconds.',
   },
+  ...tlsConfigItems,
+  ...sshTunnelConfigItems,
 ])
@@ -0,0 +1,94 @@
+'use strict'
+
+// Shared row polling: edit shared/row-polling/row-polling.js and run `npm run sync:shared`, never the service copy.
+
+const ROW_POLLING_DEFAULTS = {
+  batchSize: 100,
+  maxBatchSize: 1000,
+}
+
+// Column alias services select the exact watermark value under. It is removed from emitted rows.
+const WATERMARK_KEY = '__watermark'
+
+function resolveBatchSize(value) {
+  const batchSize = parseInt(value, 10)
+
+  if (!(batchSize > 0)) return ROW_POLLING_DEFAULTS.batchSize
+
+  return Math.min(batchSize, ROW_POLLING_DEFAULTS.maxBatchSize)
+}
+
+function withoutWatermark(row) {
+  const rest = { ...row }
+
+  delete rest[WATERMARK_KEY]
+
+  return rest
+}
+
+/**
+ * Runs one poll of a watermark-based row trigger (On New Row, On Updated Row).
+ *
+ * The state holds the highest watermark already emitted. The first poll only records the
+ * current maximum, so existing rows never fire. Later polls emit rows above the watermark in
+ * ascending order, at most `batchSize` of them; the rest follow on the next poll.
+ *
+ * A full batch that ends inside a group of rows sharing one watermark is trimmed to before that
+ * group, which is then fetched whole next time - a plain "greater than" would skip the rows of
+ * the group that did not fit. A group filling the whole batch is fetched whole right away with
+ * rowsAt(), so that poll emits more than `batchSize` rows.
+ *
+ * `source` runs the SQL. Every row it returns carries the exact watermark under WATERMARK_KEY,
+ * as text where the driver would round it (e.g. microsecond timestamps), so it binds back
+ * unchanged:
+ *   - latestRow() - the row with the highest watermark, for learning mode
+ *   - maxWatermark() - the highest watermark, or null for an empty table
+ *   - rowsAfter(watermark, limit) - rows above the watermark (all rows for null), ascending
+ *   - rowsAt(watermark) - every row with exactly that watermark
+ *
+ * @param {Object} invocation - The polling invocation ({ triggerData, state, learningMode }).
+ * @param {Object} source
+ * @param {Object} options
+ * @param {string} options.key - Identifies the table and column; a changed key starts over.
+ * @param {number|string} [options.batchSize]
+ * @returns {Promise<{ events: Array<Object>, state: Object|null }>}
+ */
+async function pollRows(invocation, source, { key, batchSize }) {
+  if (invocation.learningMode) {
+    const row = await source.latestRow()
+
+    return { events: row ? [withoutWatermark(row)] : [], state: null }
+  }
+
+  const state = invocation.state
+
+  if (!state || state.key !== key) {
+    return { events: [], state: { key, watermark: await source.maxWatermark() } }
+  }
+
+  const limit = resolveBatchSize(batchSize)
+  let rows = await source.rowsAfter(state.watermark, limit)
+
+  if (rows.length >= limit) {
+    const lastWatermark = rows[rows.length - 1][WATERMARK_KEY]
+    const groupStart = rows.findIndex(row => String(row[WATERMARK_KEY]) === String(lastWatermark))
+
+    rows = groupStart > 0 ? rows.slice(0, groupStart) : await source.rowsAt(lastWatermark)
+  }
+
+  if (!rows.length) {
+    return { events: [], state }
+  }
+
+  return {
+    events: rows.map(withoutWatermark),
+    state: { key, watermark: rows[rows.length - 1][WATERMARK_KEY] },
+  }
+}
+
+module.exports = {
+  ROW_POLLING_DEFAULTS,
+  WATERMARK_KEY,
+  resolveBatchSize,
+  pollRows,
+}
@@ -1,3 +1,5 @@
+const { WATERMARK_KEY, pollRows } = require('./row-polling')
+
 const logger = {
   info: (...args) => console.log('[QuestDB] info:', ...args),
   debug: (...args) => console.log('[QuestDB] debug:', ...args),
@@ -5,6 +7,26 @@ const logger = {
   warn: (...args) => console.log('[QuestDB] warn:', ...args),
 }
 
+const DICTIONARY_PAGE_SIZE = 200
+
+/**
+ * @typedef {Object} getTablesDictionary__payload
+ * @paramDef {"type":"String","label":"Search","name":"search","description":"Optional text to filter tables by name."}
+ * @paramDef {"type":"String","label":"Cursor","name":"cursor","description":"Pagination cursor for the next page of results."}
+ */
+
+/**
+ * @typedef {Object} getColumnsDictionary__payloadCriteria
+ * @paramDef {"type":"String","label":"Table","name":"table","description":"The table whose columns populate the list."}
+ */
+
+/**
+ * @typedef {Object} getColumnsDictionary__payload
+ * @paramDef {"type":"String","label":"Search","name":"search","description":"Optional text to filter columns by name."}
+ * @paramDef {"type":"String","label":"Cursor","name":"cursor","description":"Pagination cursor for the next page of results."}
+ * @paramDef {"type":"getColumnsDictionary__payloadCriteria","label":"Criteria","name":"criteria","description":"The table whose columns to list."}
+ */
+
 /**
  * @integrationName QuestDB
  * @integrationIcon /icon.png
@@ -92,6 +114,39 @@ class QuestDBService {
     }
   }
 
+  // Runs a SELECT through /exec and returns its dataset as objects keyed by column name.
+  async #selectObjects(query, logTag) {
+    const { columns = [], dataset = [] } = await this.#apiRequest({
+      logTag,
+      path: '/exec',
+      method: 'get',
+      query: { query, count: 'false' },
+    })
+
+    return dataset.map(row => Object.fromEntries(columns.map((column, index) => [column.name, row[index]])))
+  }
+
+  #quoteIdent(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error(`Invalid identifier: ${ JSON.stringify(name) }. Identifiers must be non-empty strings.`)
+    }
+
+    return `"${ name.replace(/"/g, '""') }"`
+  }
+
+  // /exec has no bind parameters, so values are inlined as escaped literals.
+  #literal(value) {
+    if (typeof value === 'number') {
+      if (!Number.isFinite(value)) {
+        throw new Error(`Invalid numeric value: ${ value }`)
+      }
+
+      return String(value)
+    }
+
+    return `'${ String(value).replace(/'/g, "''") }'`
+  }
+
   /**
    * @operationName Execute Query
    * @category Query
@@ -172,6 +227,163 @@ class QuestDBService {
       latencyMs: Date.now() - startedAt,
     }
   }
+
+  /**
+   * @registerAs SYSTEM
+   * @paramDef {"type":"Object","label":"invocation","name":"invocation"}
+   * @returns {Object}
+   */
+  async handleTriggerPollingForEvent(invocation) {
+    return this[invocation.eventName](invocation)
+  }
+
+  /**
+   * @operationName On New Row
+   * @category Triggers
+   * @description Fires for every row inserted into a table. New rows are found through a watermark column whose value only grows - usually the table's designated timestamp when rows arrive in time order, or a LONG id the application increments. The first poll only records the current maximum, so rows that already exist do not fire. Later polls return the new rows in ascending order, up to Max Rows per Poll at a time; the rest follow on the next poll. Rows whose watermark is NULL never fire, and out-of-order rows older than the watermark are not picked up. Polling interval can be customized (minimum 30 seconds).
+   * @registerAs POLLING_TRIGGER
+   * @route POST /on-new-row
+   * @executionTimeoutInSeconds 120
+   *
+   * @paramDef {"type":"String","label":"Table","name":"table","required":true,"dictionary":"getTablesDictionary","description":"The table to watch."}
+   * @paramDef {"type":"String","label":"Watermark Column","name":"watermarkColumn","required":true,"dictionary":"getColumnsDictionary","dependsOn":["table"],"description":"Column whose value only grows for new rows, normally the designated timestamp."}
+   * @paramDef {"type":"Number","label":"Max Rows per Poll","name":"batchSize","uiComponent":{"type":"NUMERIC_STEPPER"},"defaultValue":100,"description":"Maximum number of rows one poll returns (default 100, at most 1000). The remaining rows follow on the next poll; rows sharing one watermark value are never split, so a larger group comes in full."}
+   *
+   * @returns {Object}
+   * @sampleResult {"symbol":"BTC-USD","price":42350.5,"timestamp":"2024-01-15T10:30:00.000000Z"}
+   */
+  async onNewRow(invocation) {
+    return this.#pollRows(invocation, '[onNewRow]')
+  }
+
+  /**
+   * @operationName On Updated Row
+   * @category Triggers
+   * @description Fires for every row whose last-modified timestamp moved forward, e.g. an updated_at TIMESTAMP column that UPDATE statements set on each change. Inserted rows fire too when they set the column. The first poll only records the current maximum; later polls return the changed rows with their current values in ascending order, up to Max Rows per Poll at a time. A row changed several times between two polls fires once. Polling interval can be customized (minimum 30 seconds).
+   * @registerAs POLLING_TRIGGER
+   * @route POST /on-updated-row
+   * @executionTimeoutInSeconds 120
+   *
+   * @paramDef {"type":"String","label":"Table","name":"table","required":true,"dictionary":"getTablesDictionary","description":"The table to watch."}
+   * @paramDef {"type":"String","label":"Watermark Column","name":"watermarkColumn","required":true,"dictionary":"getColumnsDictionary","dependsOn":["table"],"description":"Timestamp column set on every change, e.g. updated_at."}
+   * @paramDef {"type":"Number","label":"Max Rows per Poll","name":"batchSize","uiComponent":{"type":"NUMERIC_STEPPER"},"defaultValue":100,"description":"Maximum number of rows one poll returns (default 100, at most 1000). The remaining rows follow on the next poll; rows sharing one watermark value are never split, so a larger group comes in full."}
+   *
+   * @returns {Object}
+   * @sampleResult {"symbol":"BTC-USD","price":42350.5,"updated_at":"2024-01-15T10:30:00.000000Z"}
+   */
+  async onUpdatedRow(invocation) {
+    return this.#pollRows(invocation, '[onUpdatedRow]')
+  }
+
+  // QuestDB returns timestamps as microsecond ISO strings, so the column value itself is the
+  // exact watermark and is compared back as a literal.
+  async #pollRows(invocation, logTag) {
+    const { table, watermarkColumn, batchSize } = invocation.triggerData || {}
+    const tableRef = this.#quoteIdent(table)
+    const column = this.#quoteIdent(watermarkColumn)
+
+    const selectRows = async query => {
+      const rows = await this.#selectObjects(query, logTag)
+
+      return rows.map(row => ({ ...row, [WATERMARK_KEY]: row[watermarkColumn] }))
+    }
+
+    const result = await pollRows(invocation, {
+      latestRow: async () => {
+        const rows = await selectRows(`SELECT * FROM ${ tableRef } WHERE ${ column } IS NOT NULL ORDER BY ${ column } DESC LIMIT 1`)
+
+        return rows[0] || null
+      },
+      maxWatermark: async () => {
+        const rows = await this.#selectObjects(`SELECT MAX(${ column }) AS watermark FROM ${ tableRef }`, logTag)
+
+        return rows.length ? rows[0].watermark : null
+      },
+      rowsAfter: async (watermark, limit) => {
+        const condition = watermark === null ? `${ column } IS NOT NULL` : `${ column } > ${ this.#literal(watermark) }`
+
+        return selectRows(`SELECT * FROM ${ tableRef } WHERE ${ condition } ORDER BY ${ column } LIMIT ${ limit }`)
+      },
+      rowsAt: async watermark => {
+        return selectRows(`SELECT * FROM ${ tableRef } WHERE ${ column } = ${ this.#literal(watermark) }`)
+      },
+    }, { key: `${ table }.${ watermarkColumn }`, batchSize })
+
+    logger.debug(`${ logTag } - ${ result.events.length } row(s), watermark=${ result.state && result.state.watermark }`)
+
+    return result
+  }
+
+  /**
+   * @registerAs DICTIONARY
+   * @operationName Get Tables Dictionary
+   * @description Provides a searchable list of tables for dynamic dropdown selection in other operations, with each table's partitioning as a note.
+   * @route POST /get-tables-dictionary
+   *
+   * @paramDef {"type":"getTablesDictionary__payload","label":"Payload","name":"payload","description":"Optional search text and pagination cursor."}
+   *
+   * @returns {Object}
+   * @sampleResult {"items":[{"label":"trades","value":"trades","note":"partitioned by DAY"}],"cursor":null}
+   */
+  async getTablesDictionary(payload) {
+    const { search, cursor } = payload || {}
+    const offset = parseInt(cursor, 10) || 0
+    const filter = search ? ` WHERE table_name ILIKE ${ this.#literal(`%${ search }%`) }` : ''
+
+    // QuestDB's LIMIT lo, hi takes a row range rather than a count.
+    const rows = await this.#selectObjects(
+      `SELECT table_name, partitionBy FROM tables()${ filter } ORDER BY table_name LIMIT ${ offset }, ${ offset + DICTIONARY_PAGE_SIZE + 1 }`,
+      '[getTablesDictionary]'
+    )
+
+    const hasMore = rows.length > DICTIONARY_PAGE_SIZE
+    const page = hasMore ? rows.slice(0, DICTIONARY_PAGE_SIZE) : rows
+
+    return {
+      items: page.map(row => ({
+        label: row.table_name,
+        value: row.table_name,
+        note: row.partitionBy && row.partitionBy !== 'NONE' ? `partitioned by ${ row.partitionBy }` : 'not partitioned',
+      })),
+      cursor: hasMore ? String(offset + DICTIONARY_PAGE_SIZE) : null,
+    }
+  }
+
+  /**
+   * @registerAs DICTIONARY
+   * @operationName Get Columns Dictionary
+   * @description Provides a searchable list of column names for the table selected in a dependent parameter, with each column's type as a note. The designated timestamp is marked.
+   * @route POST /get-columns-dictionary
+   *
+   * @paramDef {"type":"getColumnsDictionary__payload","label":"Payload","name":"payload","description":"Optional search text, pagination cursor, and the selected table as criteria."}
+   *
+   * @returns {Object}
+   * @sampleResult {"items":[{"label":"timestamp","value":"timestamp","note":"TIMESTAMP · designated timestamp"}],"cursor":null}
+   */
+  async getColumnsDictionary(payload) {
+    const { search, criteria } = payload || {}
+    const table = criteria && criteria.table
+
+    if (!table) {
+      return { items: [], cursor: null }
+    }
+
+    const filter = search ? ` WHERE "column" ILIKE ${ this.#literal(`%${ search }%`) }` : ''
+
+    const rows = await this.#selectObjects(
+      `SELECT "column", type, designated FROM table_columns(${ this.#literal(table) })${ filter }`,
+      '[getColumnsDictionary]'
+    )
+
+    return {
+      items: rows.map(row => ({
+        label: row.column,
+        value: row.column,
+        note: row.designated ? `${ row.type } · designated timestamp` : row.type,
+      })),
+      cursor: null,
+    }
+  }
 }
 
 Flowrunner.ServerCode.addService(QuestDBService, [
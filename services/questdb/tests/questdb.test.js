@@ -380,4 +380,102 @@ describe('QuestDB Service', () => {
       service.url = origUrl
     })
   })
+
+  // ── Triggers ──
+
+  describe('onNewRow / onUpdatedRow', () => {
+    const data = { table: 'trades', watermarkColumn: 'timestamp', batchSize: 2 }
+
+    function dataset(columns, rows) {
+      return { columns: columns.map(name => ({ name })), dataset: rows, count: rows.length }
+    }
+
+    it('baselines, then emits rows above the watermark with the timestamp inlined', async () => {
+      const poller = sandbox.startPolling({ name: 'onNewRow', data })
+
+      mock.onGet(`${ BASE_URL }/exec`).replyOnce(dataset(['watermark'], [['2024-01-15T10:30:00.000000Z']]))
+
+      await poller.tick()
+
+      expect(poller.state).toEqual({ key: 'trades.timestamp', watermark: '2024-01-15T10:30:00.000000Z' })
+      expect(mock.history[0].query).toEqual({ query: 'SELECT MAX("timestamp") AS watermark FROM "trades"', count: 'false' })
+
+      mock.onGet(`${ BASE_URL }/exec`).replyOnce(dataset(['symbol', 'timestamp'], [['BTC-USD', '2024-01-15T10:30:00.000001Z']]))
+
+      const { events } = await poller.tick()
+
+      expect(events).toEqual([{ symbol: 'BTC-USD', timestamp: '2024-01-15T10:30:00.000001Z' }])
+      expect(poller.state.watermark).toBe('2024-01-15T10:30:00.000001Z')
+
+      expect(mock.history[1].query.query).toBe(
+        'SELECT * FROM "trades" WHERE "timestamp" > \'2024-01-15T10:30:00.000000Z\' ORDER BY "timestamp" LIMIT 2'
+      )
+    })
+
+    it('inlines numeric watermarks as numbers and escapes quotes in text ones', async () => {
+      mock.onGet(`${ BASE_URL }/exec`).reply(dataset(['id'], []))
+
+      await service.handleTriggerPollingForEvent({ eventName: 'onNewRow', triggerData: { table: 'orders', watermarkColumn: 'id' }, state: { key: 'orders.id', watermark: 41 } })
+      await service.handleTriggerPollingForEvent({ eventName: 'onNewRow', triggerData: { table: 'orders', watermarkColumn: 'code' }, state: { key: 'orders.code', watermark: "O'1" } })
+
+      expect(mock.history[0].query.query).toContain('WHERE "id" > 41 ORDER BY')
+      expect(mock.history[1].query.query).toContain('WHERE "code" > \'O\'\'1\' ORDER BY')
+    })
+
+    it('returns the latest row in learning mode', async () => {
+      mock.onGet(`${ BASE_URL }/exec`).reply(dataset(['symbol', 'timestamp'], [['ETH-USD', '2024-01-15T10:30:01.000000Z']]))
+
+      const result = await service.handleTriggerPollingForEvent({ eventName: 'onUpdatedRow', triggerData: data, learningMode: true })
+
+      expect(result).toEqual({ events: [{ symbol: 'ETH-USD', timestamp: '2024-01-15T10:30:01.000000Z' }], state: null })
+      expect(mock.history[0].query.query).toMatch(/ORDER BY "timestamp" DESC LIMIT 1$/)
+    })
+  })
+
+  // ── Dictionaries ──
+
+  describe('getTablesDictionary', () => {
+    it('lists tables with their partitioning', async () => {
+      mock.onGet(`${ BASE_URL }/exec`).reply({
+        columns: [{ name: 'table_name' }, { name: 'partitionBy' }],
+        dataset: [['trades', 'DAY'], ['symbols', 'NONE']],
+      })
+
+      const result = await service.getTablesDictionary({ search: 'tr' })
+
+      expect(result).toEqual({
+        items: [
+          { label: 'trades', value: 'trades', note: 'partitioned by DAY' },
+          { label: 'symbols', value: 'symbols', note: 'not partitioned' },
+        ],
+        cursor: null,
+      })
+
+      expect(mock.history[0].query.query).toBe(
+        'SELECT table_name, partitionBy FROM tables() WHERE table_name ILIKE \'%tr%\' ORDER BY table_name LIMIT 0, 201'
+      )
+    })
+  })
+
+  describe('getColumnsDictionary', () => {
+    it('marks the designated timestamp', async () => {
+      mock.onGet(`${ BASE_URL }/exec`).reply({
+        columns: [{ name: 'column' }, { name: 'type' }, { name: 'designated' }],
+        dataset: [['symbol', 'SYMBOL', false], ['timestamp', 'TIMESTAMP', true]],
+      })
+
+      const result = await service.getColumnsDictionary({ criteria: { table: 'trades' } })
+
+      expect(result.items).toEqual([
+        { label: 'symbol', value: 'symbol', note: 'SYMBOL' },
+        { label: 'timestamp', value: 'timestamp', note: 'TIMESTAMP · designated timestamp' },
+      ])
+
+      expect(mock.history[0].query.query).toBe('SELECT "column", type, designated FROM table_columns(\'trades\')')
+    })
+
+    it('returns no items without a table', async () => {
+      await expect(service.getColumnsDictionary(null)).resolves.toEqual({ items: [], cursor: null })
+    })
+  })
 })
@@ -1,5 +1,7 @@
 const { createClient } = require('redis')
 
+const { sshTunnelConfigItems, sshTunnelSettings, withSshTunnel, urlEndpoint, replaceUrlEndpoint } = require('./ssh-tunnel')
+
 const logger = {
   info: (...args) => console.log('[Redis] info:', ...args),
   debug: (...args) => console.log('[Redis] debug:', ...args),
@@ -10,6 +12,15 @@ const logger = {
 const DEFAULT_PORT = 6379
 const DEFAULT_CONNECTION_TIMEOUT_SECONDS = 10
 const DEFAULT_FIND_KEYS_LIMIT = 100
+const DEFAULT_STREAM_READ_COUNT = 10
+const DEFAULT_PENDING_LIMIT = 100
+
+// On New Stream Entry: the consumer name used when none is set, the entries one poll returns,
+// and how long a Manual ack entry may stay unacknowledged before it is delivered again.
+const DEFAULT_STREAM_CONSUMER = 'flowrunner'
+const STREAM_TRIGGER_BATCH_SIZE = 100
+const STREAM_TRIGGER_MAX_BATCH_SIZE = 1000
+const DEFAULT_REDELIVER_AFTER_SECONDS = 300
 
 // ============================================================================
 //  TYPEDEFS
@@ -34,6 +45,7 @@ class Redis {
     this.username = (this.config.username || '').trim()
     this.password = this.config.password
     this.tls = this.config.tls === true || this.config.tls === 'true'
+    this.sshTunnel = sshTunnelSettings(this.config)
 
     const database = parseInt(this.config.database, 10)
 
@@ -49,38 +61,68 @@ class Redis {
   //  A client is created, an error listener is attached BEFORE connecting
   //  (node-redis emits 'error' events that crash the process without one),
   //  the command runs, and the connection is always closed in finally.
-  //  Connections are NEVER cached between invocations.
+  //  Connections are NEVER cached between invocations. With an SSH Host
+  //  configured, the client connects through a tunnel that lives exactly as
+  //  long as the client.
   // ==========================================================================
   async #withClient(logTag, fn) {
-    const client = createClient(this.#buildClientConfig(logTag))
-
-    client.on('error', error => logger.warn(`${ logTag } - client error: ${ error.message }`))
+    const clientConfig = this.#buildClientConfig(logTag)
 
     try {
-      logger.debug(`${ logTag } - connecting to ${ this.#connectionLabel() }`)
+      logger.debug(`${ logTag } - connecting to ${ this.#connectionLabel() }${ this.sshTunnel ? ` via SSH ${ this.sshTunnel.host }` : '' }`)
 
-      await client.connect()
+      return await withSshTunnel(this.sshTunnel, () => this.#tunnelTarget(), async tunnel => {
+        const client = createClient(tunnel ? this.#throughTunnel(clientConfig, tunnel) : clientConfig)
+
+        client.on('error', error => logger.warn(`${ logTag } - client error: ${ error.message }`))
 
-      return await fn(client)
-    } catch (error) {
-      this.#throwRedisError(error, logTag)
-    } finally {
-      if (client.isOpen) {
         try {
-          await client.quit()
-        } catch (quitError) {
-          logger.warn(`${ logTag } - graceful quit failed, forcing disconnect: ${ quitError.message }`)
-
-          try {
-            await client.disconnect()
-          } catch (disconnectError) {
-            logger.warn(`${ logTag } - failed to close connection: ${ disconnectError.message }`)
-          }
+          await client.connect()
+
+          return await fn(client)
+        } finally {
+          await this.#closeClient(client, logTag)
         }
+      })
+    } catch (error) {
+      this.#throwRedisError(error, logTag)
+    }
+  }
+
+  async #closeClient(client, logTag) {
+    if (!client.isOpen) return
+
+    try {
+      await client.quit()
+    } catch (quitError) {
+      logger.warn(`${ logTag } - graceful quit failed, forcing disconnect: ${ quitError.message }`)
+
+      try {
+        await client.disconnect()
+      } catch (disconnectError) {
+        logger.warn(`${ logTag } - failed to close connection: ${ disconnectError.message }`)
       }
     }
   }
 
+  // The Redis endpoint as seen from the SSH bastion.
+  #tunnelTarget() {
+    return this.connectionString
+      ? urlEndpoint(this.connectionString, DEFAULT_PORT)
+      : { host: this.host, port: this.port }
+  }
+
+  // TLS still names the real host (SNI and certificate checks), not the local tunnel address.
+  #throughTunnel(clientConfig, tunnel) {
+    const socket = { ...clientConfig.socket, servername: this.#tunnelTarget().host }
+
+    if (clientConfig.url) {
+      return { ...clientConfig, url: replaceUrlEndpoint(clientConfig.url, tunnel), socket }
+    }
+
+    return { ...clientConfig, socket: { ...socket, host: tunnel.host, port: tunnel.port } }
+  }
+
   // A Connection String, when set, wins over the individual fields and its scheme
   // (redis:// vs rediss://) controls TLS. The TLS toggle only ADDS the
   // managed-provider-friendly TLS socket options on top; when the toggle is off
@@ -188,6 +230,26 @@ class Redis {
     return String(value)
   }
 
+  #requireGroup(group) {
+    if (typeof group !== 'string' || !group.trim()) {
+      throw new Error('Group is required and must be a non-empty string.')
+    }
+
+    return group.trim()
+  }
+
+  #toStreamFields(fields) {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields) || !Object.keys(fields).length) {
+      throw new Error('Fields must be a non-empty object.')
+    }
+
+    return Object.fromEntries(Object.entries(fields).map(([field, value]) => [field, this.#toRedisString(value)]))
+  }
+
+  #streamEntry(entry) {
+    return { id: entry.id, fields: entry.message }
+  }
+
   #toInt(value, fallback) {
     if (value === undefined || value === null || value === '') return fallback
 
@@ -803,6 +865,325 @@ class Redis {
     })
   }
 
+  // ==========================================================================
+  //  STREAMS — append-only logs read by id range or through consumer groups,
+  //  which hand every entry to one consumer and track it until acknowledged.
+  // ==========================================================================
+  /**
+   * @operationName Add Stream Entry
+   * @description Appends an entry with one or more field/value pairs to a stream (XADD), creating the stream if it does not exist. Object and array values are stored as JSON strings. Redis generates the entry ID (milliseconds-sequence, e.g. 1714564800000-0) unless one is given. Max Length trims the oldest entries in the same call so the stream does not grow without bound; the trim is approximate (~), which is much cheaper and may keep slightly more entries. Returns the ID of the new entry.
+   * @category Streams
+   * @route POST /add-stream-entry
+   * @appearanceColor #DC382C #A41E11
+   * @paramDef {"type":"String","label":"Key","name":"key","required":true,"description":"The stream key to append to (e.g. jobs)."}
+   * @paramDef {"type":"Object","label":"Fields","name":"fields","required":true,"description":"Field/value pairs of the entry as a JSON object (e.g. {\"type\":\"invoice\",\"orderId\":\"1042\"})."}
+   * @paramDef {"type":"String","label":"Entry ID","name":"id","description":"Explicit entry ID. Leave empty to let Redis generate one (*), which is what you almost always want."}
+   * @paramDef {"type":"Number","label":"Max Length","name":"maxLength","uiComponent":{"type":"NUMERIC_STEPPER"},"description":"Keep about this many of the newest entries (MAXLEN ~). Leave empty to keep every entry."}
+   * @returns {Object}
+   * @sampleResult {"key":"jobs","id":"1714564800000-0"}
+   */
+  async addStreamEntry(key, fields, id, maxLength) {
+    this.#requireKey(key)
+
+    const message = this.#toStreamFields(fields)
+    const threshold = this.#toInt(maxLength, undefined)
+
+    if (threshold !== undefined && threshold < 0) {
+      throw new Error('Max Length must be zero or a positive integer when provided.')
+    }
+
+    const options = threshold !== undefined ? { TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold } } : undefined
+
+    return this.#withClient('addStreamEntry', async client => {
+      const entryId = await client.xAdd(key, id ? String(id).trim() : '*', message, options)
+
+      return { key, id: entryId }
+    })
+  }
+
+  /**
+   * @operationName Get Stream Range
+   * @description Reads entries of a stream between two IDs (XRANGE), oldest first, without consuming them. The defaults (- to +) cover the whole stream; use Count to page through it by passing the last ID you received, prefixed with "(" to exclude it (Redis 6.2+), as the next Start. Enable Reverse to read newest first (XREVRANGE). A missing key returns no entries.
+   * @category Streams
+   * @route POST /get-stream-range
+   * @appearanceColor #DC382C #A41E11
+   * @paramDef {"type":"String","label":"Key","name":"key","required":true,"description":"The stream key to read."}
+   * @paramDef {"type":"String","label":"Start","name":"start","defaultValue":"-","description":"Lowest entry ID to return (default -, the first entry). A millisecond timestamp such as 1714564800000 selects entries from that time on."}
+   * @paramDef {"type":"String","label":"End","name":"end","defaultValue":"+","description":"Highest entry ID to return (default +, the last entry)."}
+   * @paramDef {"type":"Number","label":"Count","name":"count","uiComponent":{"type":"NUMERIC_STEPPER"},"defaultValue":100,"description":"Maximum number of entries to return (default 100)."}
+   * @paramDef {"type":"Boolean","label":"Reverse","name":"reverse","uiComponent":{"type":"CHECKBOX"},"defaultValue":false,"description":"When enabled, entries are returned newest first, still limited to the Start-End range."}
+   * @returns {Object}
+   * @sampleResult {"key":"jobs","entries":[{"id":"1714564800000-0","fields":{"type":"invoice","orderId":"1042"}}],"count":1}
+   */
+  async getStreamRange(key, start, end, count, reverse) {
+    this.#requireKey(key)
+
+    const from = start ? String(start).trim() : '-'
+    const to = end ? String(end).trim() : '+'
+    const limit = this.#toInt(count, DEFAULT_PENDING_LIMIT)
+
+    if (!(limit > 0)) {
+      throw new Error('Count must be a positive integer when provided.')
+    }
+
+    return this.#withClient('getStreamRange', async client => {
+      const entries = reverse === true || reverse === 'true'
+        ? await client.xRevRange(key, to, from, { COUNT: limit })
+        : await client.xRange(key, from, to, { COUNT: limit })
+
+      return { key, entries: entries.map(entry => this.#streamEntry(entry)), count: entries.length }
+    })
+  }
+
+  /**
+   * @operationName Stream Length
+   * @description Returns the number of entries in a stream (XLEN). A missing key returns 0. Entries that were read or acknowledged stay in the stream until they are trimmed or deleted, so this is not the number of unprocessed entries - use Get Pending Entries for that.
+   * @category Streams
+   * @route GET /stream-length
+   * @appearanceColor #DC382C #A41E11
+   * @paramDef {"type":"String","label":"Key","name":"key","required":true,"description":"The stream key to measure."}
+   * @returns {Object}
+   * @sampleResult {"key":"jobs","length":1280}
+   */
+  async streamLength(key) {
+    this.#requireKey(key)
+
+    return this.#withClient('streamLength', async client => {
+      const length = await client.xLen(key)
+
+      return { key, length }
+    })
+  }
+
+  /**
+   * @operationName Trim Stream
+   * @description Deletes the oldest entries of a stream (XTRIM), either down to a maximum number of entries (Max Length) or every entry with an ID lower than a given one (Min ID, Redis 6.2+). Approximate trimming (~) only removes whole internal nodes, which is much faster and may keep slightly more entries. Entries still pending in a consumer group are trimmed too. Returns the number of deleted entries.
+   * @category Streams
+   * @route POST /trim-stream
+   * @appearanceColor #DC382C #A41E11
+   * @paramDef {"type":"String","label":"Key","name":"key","required":true,"description":"The stream key to trim."}
+   * @paramDef {"type":"String","label":"Strategy","name":"strategy","uiComponent":{"type":"DROPDOWN","options":{"values":["Max Length","Min ID"]}},"defaultValue":"Max Length","description":"Max Length keeps the newest Threshold entries; Min ID deletes entries whose ID is lower than Threshold."}
+   * @paramDef {"type":"String","label":"Threshold","name":"threshold","required":true,"description":"The number of entries to keep (Max Length, e.g. 10000) or the lowest ID to keep (Min ID, e.g. 1714564800000-0 or just a millisecond timestamp)."}
+   * @paramDef {"type":"Boolean","label":"Approximate","name":"approximate","uiComponent":{"type":"CHECKBOX"},"defaultValue":true,"description":"Trim approximately (~) for speed. Disable to trim exactly to the threshold."}
+   * @returns {Object}
+   * @sampleResult {"key":"jobs","deletedCount":280}
+   */
+  async trimStream(key, strategy, threshold, approximate) {
+    this.#requireKey(key)
+
+    const byMinId = strategy === 'Min ID'
+    const limit = byMinId ? String(threshold === undefined || threshold === null ? '' : threshold).trim() : this.#toInt(threshold, undefined)
+
+    if (byMinId ? !limit : !(limit >= 0)) {
+      throw new Error(byMinId ? 'Threshold must be the lowest entry ID to keep.' : 'Threshold must be the number of entries to keep.')
+    }
+
+    const strategyModifier = approximate === false || approximate === 'false' ? '=' : '~'
+
+    return this.#withClient('trimStream', async client => {
+      const deletedCount = await client.xTrim(key, byMinId ? 'MINID' : 'MAXLEN', limit, { strategyModifier })
+
+      return { key, deletedCount }
+    })
+  }
+
+  /**
+   * @operationName Create Consumer Group
+   * @description Creates a consumer group on a stream (XGROUP CREATE). A group remembers which entries it has handed out, so several workers (consumers) can share a stream and each entry goes to only one of them. Start From chooses the first entry the group delivers: only entries added from now on ($), or the whole existing stream (0). The stream is created when missing unless Create Stream is disabled. Creating a group that already exists is not an error and returns created: false.
+   * @category Streams
+   * @route POST /create-consumer-group
+   * @appearanceColor #DC382C #A41E11
+   * @paramDef {"type":"String","label":"Key","name":"key","required":true,"description":"The stream key."}
+   * @paramDef {"type":"String","label":"Group","name":"group","required":true,"description":"Name of the consumer group (e.g. invoice-workers)."}
+   * @paramDef {"type":"String","label":"Start From","name":"startId","defaultValue":"$","description":"$ to deliver only entries added after the group is created, 0 to deliver the whole stream, or an entry ID to start after."}
+   * @paramDef {"type":"Boolean","label":"Create Stream","name":"createStream","uiComponent":{"type":"CHECKBOX"},"defaultValue":true,"description":"Create an empty stream when the key does not exist (MKSTREAM). When disabled, a missing stream is an error."}
+   * @returns {Object}
+   * @sampleResult {"key":"jobs","group":"invoice-workers","created":true}
+   */
+  async createConsumerGroup(key, group, startId, createStream) {
+    this.#requireKey(key)
+
+    const groupName = this.#requireGroup(group)
+    const mkStream = createStream !== false && createStream !== 'false'
+
+    return this.#withClient('createConsumerGroup', async client => {
+      const created = await this.#createGroup(client, key, groupName, startId ? String(startId).trim() : '$', mkStream)
+
+      return { key, group: groupName, created }
+    })
+  }
+
+  /**
+   * @operationName Read As Consumer
+   * @description Reads entries through a consumer group (XREADGROUP) without blocking. By default it returns entries never delivered to any consumer of the group (>) and adds them to this consumer's pending list until they are acknowledged with Acknowledge Entries. Set Start ID to 0 to read this consumer's own pending entries again instead, e.g. after a failed run. With No Ack the entries count as acknowledged at once and are never redelivered.
+   * @category Streams
+   * @route POST /read-as-consumer
+   * @appearanceColor #DC382C #A41E11
+   * @paramDef {"type":"String","label":"Key","name":"key","required":true,"description":"The stream key to read."}
+   * @paramDef {"type":"String","label":"Group","name":"group","required":true,"description":"The consumer group to read through. Create it first with Create Consumer Group."}
+   * @paramDef {"type":"String","label":"Consumer","name":"consumer","required":true,"description":"Name of this consumer within the group (e.g. worker-1). Consumers are created on first use."}
+   * @paramDef {"type":"Number","label":"Count","name":"count","uiComponent":{"type":"NUMERIC_STEPPER"},"defaultValue":10,"description":"Maximum number of entries to return (default 10)."}
+   * @paramDef {"type":"String","label":"Start ID","name":"id","defaultValue":">","description":"> for new entries (default), or an ID such as 0 to re-read this consumer's pending entries after that ID."}
+   * @paramDef {"type":"Boolean","label":"No Ack","name":"noAck","uiComponent":{"type":"CHECKBOX"},"defaultValue":false,"description":"Acknowledge the entries as they are read (NOACK), so they are never delivered again even if processing fails."}
+   * @returns {Object}
+   * @sampleResult {"key":"jobs","group":"invoice-workers","consumer":"worker-1","entries":[{"id":"1714564800000-0","fields":{"type":"invoice","orderId":"1042"}}],"count":1}
+   */
+  async readAsConsumer(key, group, consumer, count, id, noAck) {
+    this.#requireKey(key)
+
+    const groupName = this.#requireGroup(group)
+
+    if (typeof consumer !== 'string' || !consumer.trim()) {
+      throw new Error('Consumer is required and must be a non-empty string.')
+    }
+
+    const limit = this.#toInt(count, DEFAULT_STREAM_READ_COUNT)
+
+    if (!(limit > 0)) {
+      throw new Error('Count must be a positive integer when provided.')
+    }
+
+    const options = { COUNT: limit, ...(noAck === true || noAck === 'true' ? { NOACK: true } : {}) }
+
+    return this.#withClient('readAsConsumer', async client => {
+      const reply = await client.xReadGroup(groupName, consumer.trim(), { key, id: id ? String(id).trim() : '>' }, options)
+
+      // Pending entries deleted from the stream since come back without fields.
+      const entries = (reply ? reply[0].messages : []).filter(entry => entry && entry.message).map(entry => this.#streamEntry(entry))
+
+      return { key, group: groupName, consumer: consumer.trim(), entries, count: entries.length }
+    })
+  }
+
+  /**
+   * @operationName Acknowledge Entries
+   * @description Marks entries as processed for a consumer group (XACK), removing them from the group's pending list so they are not delivered again. Acknowledging an entry that is not pending (already acknowledged, or never delivered) is ignored. Returns the number of entries that were acknowledged.
+   * @category Streams
+   * @route POST /acknowledge-entries
+   * @appearanceColor #DC382C #A41E11
+   * @paramDef {"type":"String","label":"Key","name":"key","required":true,"description":"The stream key."}
+   * @paramDef {"type":"String","label":"Group","name":"group","required":true,"description":"The consumer group the entries were read through."}
+   * @paramDef {"type":"Array<String>","label":"Entry IDs","name":"ids","required":true,"description":"IDs of the processed entries (e.g. [\"1714564800000-0\"])."}
+   * @returns {Object}
+   * @sampleResult {"key":"jobs","group":"invoice-workers","acknowledgedCount":1}
+   */
+  async acknowledgeEntries(key, group, ids) {
+    this.#requireKey(key)
+
+    const groupName = this.#requireGroup(group)
+
+    this.#requireNonEmptyArray(ids, 'Entry IDs')
+
+    return this.#withClient('acknowledgeEntries', async client => {
+      const acknowledgedCount = await client.xAck(key, groupName, ids.map(id => String(id)))
+
+      return { key, group: groupName, acknowledgedCount }
+    })
+  }
+
+  /**
+   * @operationName Get Pending Entries
+   * @description Lists the entries a consumer group delivered but nobody acknowledged yet (XPENDING): the total, the pending count per consumer, and the oldest pending entries with their consumer, idle time and delivery count. Filter by Consumer or by Min Idle to find stuck entries worth claiming with Claim Entries (the idle filter needs Redis 6.2+).
+   * @category Streams
+   * @route POST /get-pending-entries
+   * @appearanceColor #DC382C #A41E11
+   * @paramDef {"type":"String","label":"Key","name":"key","required":true,"description":"The stream key."}
+   * @paramDef {"type":"String","label":"Group","name":"group","required":true,"description":"The consumer group to inspect."}
+   * @paramDef {"type":"String","label":"Consumer","name":"consumer","description":"Only list the entries pending for this consumer."}
+   * @paramDef {"type":"Number","label":"Min Idle (ms)","name":"minIdleMs","uiComponent":{"type":"NUMERIC_STEPPER"},"description":"Only list entries not delivered for at least this many milliseconds."}
+   * @paramDef {"type":"Number","label":"Count","name":"count","uiComponent":{"type":"NUMERIC_STEPPER"},"defaultValue":100,"description":"Maximum number of pending entries to list (default 100)."}
+   * @returns {Object}
+   * @sampleResult {"key":"jobs","group":"invoice-workers","pendingCount":2,"firstId":"1714564800000-0","lastId":"1714564800500-0","consumers":[{"name":"worker-1","pendingCount":2}],"entries":[{"id":"1714564800000-0","consumer":"worker-1","idleMs":600000,"deliveryCount":1}]}
+   */
+  async getPendingEntries(key, group, consumer, minIdleMs, count) {
+    this.#requireKey(key)
+
+    const groupName = this.#requireGroup(group)
+    const limit = this.#toInt(count, DEFAULT_PENDING_LIMIT)
+    const idle = this.#toInt(minIdleMs, undefined)
+
+    if (!(limit > 0)) {
+      throw new Error('Count must be a positive integer when provided.')
+    }
+
+    const filters = {
+      ...(idle > 0 ? { IDLE: idle } : {}),
+      ...(typeof consumer === 'string' && consumer.trim() ? { consumer: consumer.trim() } : {}),
+    }
+
+    return this.#withClient('getPendingEntries', async client => {
+      const summary = await client.xPending(key, groupName)
+      const entries = summary.pending ? await client.xPendingRange(key, groupName, '-', '+', limit, filters) : []
+
+      return {
+        key,
+        group: groupName,
+        pendingCount: summary.pending,
+        firstId: summary.firstId,
+        lastId: summary.lastId,
+        consumers: (summary.consumers || []).map(item => ({ name: item.name, pendingCount: item.deliveriesCounter })),
+        entries: entries.map(entry => ({
+          id: entry.id,
+          consumer: entry.owner,
+          idleMs: entry.millisecondsSinceLastDelivery,
+          deliveryCount: entry.deliveriesCounter,
+        })),
+      }
+    })
+  }
+
+  /**
+   * @operationName Claim Entries
+   * @description Takes over pending entries from another consumer of the group (XCLAIM), typically ones a crashed worker never acknowledged, and returns them for processing. Only entries idle for at least Min Idle are claimed, so two workers claiming at once do not both get the same entry. Claimed entries become pending for the new consumer, which must acknowledge them. Entries deleted from the stream meanwhile are left out.
+   * @category Streams
+   * @route POST /claim-entries
+   * @appearanceColor #DC382C #A41E11
+   * @paramDef {"type":"String","label":"Key","name":"key","required":true,"description":"The stream key."}
+   * @paramDef {"type":"String","label":"Group","name":"group","required":true,"description":"The consumer group the entries are pending in."}
+   * @paramDef {"type":"String","label":"Consumer","name":"consumer","required":true,"description":"The consumer that takes over the entries."}
+   * @paramDef {"type":"Number","label":"Min Idle (ms)","name":"minIdleMs","required":true,"uiComponent":{"type":"NUMERIC_STEPPER"},"description":"Only claim entries not delivered for at least this many milliseconds (e.g. 300000 for five minutes)."}
+   * @paramDef {"type":"Array<String>","label":"Entry IDs","name":"ids","required":true,"description":"IDs of the pending entries to claim, e.g. from Get Pending Entries."}
+   * @returns {Object}
+   * @sampleResult {"key":"jobs","group":"invoice-workers","consumer":"worker-2","entries":[{"id":"1714564800000-0","fields":{"type":"invoice","orderId":"1042"}}],"count":1}
+   */
+  async claimEntries(key, group, consumer, minIdleMs, ids) {
+    this.#requireKey(key)
+
+    const groupName = this.#requireGroup(group)
+
+    if (typeof consumer !== 'string' || !consumer.trim()) {
+      throw new Error('Consumer is required and must be a non-empty string.')
+    }
+
+    const idle = this.#toInt(minIdleMs, undefined)
+
+    if (!(idle >= 0)) {
+      throw new Error('Min Idle (ms) must be zero or a positive integer.')
+    }
+
+    this.#requireNonEmptyArray(ids, 'Entry IDs')
+
+    return this.#withClient('claimEntries', async client => {
+      const claimed = await client.xClaim(key, groupName, consumer.trim(), idle, ids.map(id => String(id)))
+      const entries = claimed.filter(entry => entry && entry.message).map(entry => this.#streamEntry(entry))
+
+      return { key, group: groupName, consumer: consumer.trim(), entries, count: entries.length }
+    })
+  }
+
+  // XGROUP CREATE; false when the group already exists (BUSYGROUP).
+  async #createGroup(client, key, group, startId, mkStream) {
+    try {
+      await client.xGroupCreate(key, group, startId, mkStream ? { MKSTREAM: true } : undefined)
+
+      return true
+    } catch (error) {
+      if (/^BUSYGROUP/.test(error.message)) return false
+
+      throw error
+    }
+  }
+
   // ==========================================================================
   //  PUB/SUB
   // ==========================================================================
@@ -922,6 +1303,100 @@ class Redis {
       return { result: result === undefined ? null : result }
     })
   }
+  // ==========================================================================
+  //  TRIGGERS — consumer group reads: the group on the server tracks what was
+  //  delivered, so the trigger state only remembers that the group was set up.
+  // ==========================================================================
+  /**
+   * @registerAs SYSTEM
+   * @paramDef {"type":"Object","label":"invocation","name":"invocation"}
+   * @returns {Object}
+   */
+  async handleTriggerPollingForEvent(invocation) {
+    return this[invocation.eventName](invocation)
+  }
+
+  /**
+   * @operationName On New Stream Entry
+   * @description Fires for every entry added to a stream, read through a consumer group so each entry is handed out once, even with several flows sharing the group under different Consumer names. The group is created on the first poll when missing, starting with entries added from then on. With Auto acknowledgement the entries are acknowledged as they are read: they never fire twice, but an entry whose run fails is not retried. With Manual acknowledgement the flow calls Acknowledge Entries once an entry is processed, and entries left unacknowledged longer than Redeliver After fire again (Redis 6.2+). Polling interval can be customized (minimum 30 seconds).
+   * @category Triggers
+   * @registerAs POLLING_TRIGGER
+   * @route POST /on-new-stream-entry
+   * @appearanceColor #DC382C #A41E11
+   * @paramDef {"type":"String","label":"Key","name":"key","required":true,"description":"The stream key to watch."}
+   * @paramDef {"type":"String","label":"Group","name":"group","required":true,"description":"Consumer group to read through (e.g. flowrunner). Created on the first poll if missing."}
+   * @paramDef {"type":"String","label":"Consumer","name":"consumer","description":"Name of this trigger within the group (default flowrunner). Give each flow sharing a group its own name."}
+   * @paramDef {"type":"String","label":"Acknowledgement","name":"ackMode","uiComponent":{"type":"DROPDOWN","options":{"values":["Auto","Manual"]}},"defaultValue":"Auto","description":"Auto acknowledges entries when they are read. Manual leaves them pending until the flow runs Acknowledge Entries with the entry ID."}
+   * @paramDef {"type":"Number","label":"Redeliver After (seconds)","name":"redeliverAfterSeconds","uiComponent":{"type":"NUMERIC_STEPPER"},"defaultValue":300,"description":"Manual acknowledgement only: entries still unacknowledged after this many seconds fire again (default 300). Set 0 to never redeliver."}
+   * @paramDef {"type":"Number","label":"Max Entries per Poll","name":"batchSize","uiComponent":{"type":"NUMERIC_STEPPER"},"defaultValue":100,"description":"Maximum number of entries one poll returns (default 100, at most 1000). The remaining entries follow on the next poll."}
+   * @returns {Object}
+   * @sampleResult {"key":"jobs","id":"1714564800000-0","fields":{"type":"invoice","orderId":"1042"},"redelivered":false}
+   */
+  async onNewStreamEntry(invocation) {
+    const { key, group, consumer, ackMode, redeliverAfterSeconds, batchSize } = invocation.triggerData || {}
+
+    this.#requireKey(key)
+
+    const groupName = this.#requireGroup(group)
+    const consumerName = typeof consumer === 'string' && consumer.trim() ? consumer.trim() : DEFAULT_STREAM_CONSUMER
+    const manualAck = ackMode === 'Manual'
+    const redeliverMs = Math.max(0, this.#toInt(redeliverAfterSeconds, DEFAULT_REDELIVER_AFTER_SECONDS)) * 1000
+    const requested = this.#toInt(batchSize, STREAM_TRIGGER_BATCH_SIZE)
+    const limit = requested > 0 ? Math.min(requested, STREAM_TRIGGER_MAX_BATCH_SIZE) : STREAM_TRIGGER_BATCH_SIZE
+    const stateKey = `${ key }/${ groupName }`
+    const toEvent = (entry, redelivered) => ({ key, ...this.#streamEntry(entry), redelivered })
+
+    return this.#withClient('onNewStreamEntry', async client => {
+      // Learning mode shows the newest entry without delivering anything through the group.
+      if (invocation.learningMode) {
+        const [latest] = await client.xRevRange(key, '+', '-', { COUNT: 1 })
+
+        return { events: latest ? [toEvent(latest, false)] : [], state: null }
+      }
+
+      if (!invocation.state || invocation.state.key !== stateKey) {
+        await this.#createGroup(client, key, groupName, '$', true)
+      }
+
+      const events = []
+
+      if (manualAck && redeliverMs > 0) {
+        const stale = await client.xPendingRange(key, groupName, '-', '+', limit, { IDLE: redeliverMs })
+
+        if (stale.length) {
+          const claimed = await client.xClaim(key, groupName, consumerName, redeliverMs, stale.map(entry => entry.id))
+
+          events.push(...claimed.filter(entry => entry && entry.message).map(entry => toEvent(entry, true)))
+        }
+      }
+
+      if (events.length < limit) {
+        let reply
+
+        try {
+          reply = await client.xReadGroup(groupName, consumerName, { key, id: '>' }, {
+            COUNT: limit - events.length,
+            ...(manualAck ? {} : { NOACK: true }),
+          })
+        } catch (error) {
+          if (!/^NOGROUP/.test(error.message)) throw error
+
+          // The stream or the group was deleted since the last poll: start over with new entries.
+          logger.warn(`onNewStreamEntry - consumer group ${ groupName } on ${ key } is gone, creating it again`)
+
+          await this.#createGroup(client, key, groupName, '$', true)
+        }
+
+        if (reply) {
+          events.push(...reply[0].messages.filter(entry => entry && entry.message).map(entry => toEvent(entry, false)))
+        }
+      }
+
+      logger.debug(`onNewStreamEntry - ${ events.length } entr${ events.length === 1 ? 'y' : 'ies' } from ${ key } as ${ groupName }/${ consumerName }`)
+
+      return { events, state: { key: stateKey } }
+    })
+  }
 }
 
 Flowrunner.ServerCode.addService(Redis, [
@@ -992,4 +1467,5 @@ Flowrunner.ServerCode.addService(Redis, [
     defaultValue: '10',
     hint: 'How long to wait when establishing a connection before failing. Defaults to 10 seconds.',
   },
+  ...sshTunnelConfigItems,
 ])
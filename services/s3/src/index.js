@@ -2,7 +2,7 @@
 
 const crypto = require('crypto')
 
-const { s3Request, stsAssumeRole, parseXmlTag, parseXmlBlocks } = require('./s3-client')
+const { s3Request, httpGetStream, stsAssumeRole, parseXmlTag, parseXmlBlocks } = require('./s3-client')
 
 const { generatePresignedUrl } = require('./sigv4')
 
@@ -10,6 +10,15 @@ function escapeXml(str) {
   return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
 }
 
+function unescapeXml(str) {
+  return str
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+}
+
 const logger = {
   info: (...args) => console.log('[S3 Storage Service] info:', ...args),
   debug: (...args) => console.log('[S3 Storage Service] debug:', ...args),
@@ -25,6 +34,17 @@ const EXPIRATION_PRESETS = {
   '30 days': 2592000,
 }
 
+// Multipart parts are held in memory one at a time. S3 requires at least 5 MB for every part
+// but the last and allows at most 10,000 parts per upload.
+const MIN_PART_SIZE_MB = 5
+const DEFAULT_PART_SIZE_MB = 8
+const MAX_PART_SIZE_MB = 100
+const MAX_PARTS = 10000
+
+const MAX_OBJECT_TAGS = 10
+
+const NEW_OBJECT_TRIGGER_BATCH_SIZE = 100
+
 const PROVIDER_ENDPOINTS = {
   'Amazon S3': region => ({ endpoint: `https://s3.${ region }.amazonaws.com`, forcePathStyle: false }),
   'Cloudflare R2': (region, accountId) => ({ endpoint: `https://${ accountId }.r2.cloudflarestorage.com`, forcePathStyle: false }),
@@ -43,6 +63,7 @@ const PROVIDER_ENDPOINTS = {
 }
 
 /**
+ * @usesFileStorage
  * @integrationName S3 Storage
  * @integrationIcon /icon.png
  */
@@ -173,6 +194,10 @@ class S3CompatibleStorage {
       throw new Error(`Bucket already exists: ${ error.message }. Choose a different globally unique bucket name.`)
     }
 
+    if (error.name === 'NotImplemented') {
+      throw new Error(`Not supported by this storage provider: ${ error.message }`)
+    }
+
     if (error.name === 'BucketNotEmpty') {
       throw new Error(`Bucket is not empty: ${ error.message }. Remove all objects from the bucket before deleting it.`)
     }
@@ -874,6 +899,487 @@ class S3CompatibleStorage {
     }
   }
 
+  /**
+   * @operationName Download Object
+   * @category Object Management
+   * @description Reads the content of an S3 object into the flow. By default the object is saved to Flowrunner file storage and the action returns its file URL, which downstream actions and AI agent tools can use; choose Text output to return the content as a UTF-8 string instead (for text, CSV or JSON objects). The whole object is read in one request, so very large objects are better shared with "Get Presigned URL".
+   * @route POST /download-object
+   * @executionTimeoutInSeconds 120
+   *
+   * @appearanceColor #FF9900 #FFB84D
+   *
+   * @paramDef {"type":"String","label":"Bucket","name":"bucketName","required":true,"dictionary":"getBucketsDictionary","description":"The name of the bucket containing the object."}
+   * @paramDef {"type":"String","label":"Object Key","name":"objectKey","required":true,"description":"The key (path) of the object to download (e.g., 'documents/report.pdf')."}
+   * @paramDef {"type":"String","label":"Output","name":"outputFormat","uiComponent":{"type":"DROPDOWN","options":{"values":["File","Text"]}},"defaultValue":"File","description":"File saves the object to Flowrunner file storage and returns its URL. Text returns the content as a UTF-8 string. Defaults to File."}
+   * @paramDef {"type":"String","label":"Target File Name","name":"targetFileName","description":"File output only: name of the saved file. Leave blank to reuse the last segment of the object key."}
+   * @paramDef {"type":"FilesUploadOptions","name":"fileOptions","label":"File Settings","required":false,"include":["scope"]}
+   *
+   * @returns {Object}
+   * @sampleResult {"bucketName":"my-bucket","objectKey":"documents/report.pdf","contentType":"application/pdf","contentLength":1048576,"lastModified":"2024-03-15T10:30:00.000Z","eTag":"\"d41d8cd98f00b204e9800998ecf8427e\"","url":"https://backendlessappcontent.com/APP-ID/REST-KEY/files/report.pdf"}
+   */
+  async downloadObject(bucketName, objectKey, outputFormat, targetFileName, fileOptions) {
+    if (!bucketName || !bucketName.trim()) {
+      throw new Error('Bucket name is required.')
+    }
+
+    if (!objectKey || !objectKey.trim()) {
+      throw new Error('Object key is required.')
+    }
+
+    try {
+      logger.debug(`[downloadObject] Downloading: ${ objectKey } from bucket: ${ bucketName }`)
+
+      const credentials = await this.#getCredentials()
+      const url = this.#buildUrl(bucketName, objectKey)
+
+      const response = await s3Request('GET', url, {}, '', credentials, this.region)
+      const h = response.headers
+
+      const details = {
+        bucketName,
+        objectKey,
+        contentType: h['content-type'] || null,
+        contentLength: response.rawBody.length,
+        lastModified: h['last-modified'] ? new Date(h['last-modified']).toISOString() : null,
+        eTag: h['etag'] || null,
+      }
+
+      if (outputFormat === 'Text') {
+        return { ...details, content: response.rawBody.toString('utf8') }
+      }
+
+      const { url: fileUrl } = await this.flowrunner.Files.uploadFile(response.rawBody, {
+        filename: targetFileName || objectKey.split('/').pop() || 's3-object',
+        generateUrl: true,
+        overwrite: true,
+        ...(fileOptions || { scope: 'FLOW' }),
+      })
+
+      logger.info(`[downloadObject] Object saved to file storage: ${ objectKey }`)
+
+      return { ...details, url: fileUrl }
+    } catch (error) {
+      this.#handleS3Error('downloadObject', error)
+    }
+  }
+
+  /**
+   * @operationName Multipart Upload from URL
+   * @category Object Management
+   * @description Streams a file from a URL into an S3 bucket as a multipart upload, so files of any size can be transferred without holding them in memory: the download is read one part at a time and each part is uploaded before the next is read. If the download or any part fails, the multipart upload is aborted so no incomplete parts are left behind (and billed). Use "Upload Object from URL" for small files.
+   * @route POST /multipart-upload-from-url
+   * @executionTimeoutInSeconds 900
+   *
+   * @appearanceColor #FF9900 #FFB84D
+   *
+   * @paramDef {"type":"String","label":"Bucket","name":"bucketName","required":true,"dictionary":"getBucketsDictionary","description":"The name of the bucket to upload the object to."}
+   * @paramDef {"type":"String","label":"Object Key","name":"objectKey","required":true,"description":"The full path and filename for the object in the bucket (e.g., 'videos/recording.mp4')."}
+   * @paramDef {"type":"String","label":"Source URL","name":"sourceUrl","required":true,"description":"The URL to download the file from. Must be publicly accessible or accessible from the server. Redirects are followed."}
+   * @paramDef {"type":"String","label":"Content Type","name":"contentType","description":"The MIME type of the file (e.g., 'video/mp4', 'application/zip'). If not specified, defaults to 'application/octet-stream'."}
+   * @paramDef {"type":"String","label":"Storage Class","name":"storageClass","dictionary":"getStorageClassesDictionary","description":"The storage class for the object. Defaults to STANDARD."}
+   * @paramDef {"type":"Number","label":"Part Size (MB)","name":"partSizeMb","uiComponent":{"type":"NUMERIC_STEPPER"},"defaultValue":8,"description":"Size of each uploaded part, between 5 and 100 MB (default 8). An upload has at most 10,000 parts, so raise it for files larger than about 80 GB."}
+   *
+   * @returns {Object}
+   * @sampleResult {"success":true,"bucketName":"my-bucket","objectKey":"videos/recording.mp4","contentType":"video/mp4","size":52428800,"partCount":7,"eTag":"\"3858f62230ac3c915f300c664312c11f-7\""}
+   */
+  async multipartUploadFromUrl(bucketName, objectKey, sourceUrl, contentType, storageClass, partSizeMb) {
+    if (!bucketName || !bucketName.trim()) {
+      throw new Error('Bucket name is required.')
+    }
+
+    if (!objectKey || !objectKey.trim()) {
+      throw new Error('Object key is required.')
+    }
+
+    if (objectKey.length > 1024) {
+      throw new Error('Object key cannot exceed 1024 characters.')
+    }
+
+    if (!sourceUrl || !sourceUrl.trim()) {
+      throw new Error('Source URL is required.')
+    }
+
+    const partSizeValue = partSizeMb === undefined || partSizeMb === null || partSizeMb === '' ? DEFAULT_PART_SIZE_MB : Number(partSizeMb)
+
+    if (!Number.isInteger(partSizeValue) || partSizeValue < MIN_PART_SIZE_MB || partSizeValue > MAX_PART_SIZE_MB) {
+      throw new Error(`Part size must be a whole number of MB between ${ MIN_PART_SIZE_MB } and ${ MAX_PART_SIZE_MB }.`)
+    }
+
+    const partSize = partSizeValue * 1024 * 1024
+
+    try {
+      logger.debug(`[multipartUploadFromUrl] Streaming from: ${ sourceUrl } to: ${ objectKey }`)
+
+      const credentials = await this.#getCredentials()
+      const objectUrl = this.#buildUrl(bucketName, objectKey)
+
+      // Open the download first: a source that fails here leaves nothing to clean up.
+      const source = await httpGetStream(sourceUrl.trim())
+      const headers = {}
+
+      if (contentType) {
+        headers['content-type'] = contentType
+      }
+
+      if (storageClass) {
+        headers['x-amz-storage-class'] = storageClass
+      }
+
+      let uploadId
+
+      try {
+        const created = await s3Request('POST', `${ objectUrl }?uploads=`, headers, '', credentials, this.region)
+
+        uploadId = parseXmlTag(created.body, 'UploadId')
+
+        if (!uploadId) {
+          throw new Error('The storage provider did not return an upload ID.')
+        }
+      } catch (error) {
+        source.destroy()
+        throw error
+      }
+
+      const uploadQuery = `uploadId=${ encodeURIComponent(uploadId) }`
+
+      try {
+        const parts = []
+        let size = 0
+
+        const uploadPart = async body => {
+          if (parts.length >= MAX_PARTS) {
+            throw new Error(`The file needs more than ${ MAX_PARTS } parts. Increase Part Size (MB).`)
+          }
+
+          const partNumber = parts.length + 1
+          const partUrl = `${ objectUrl }?partNumber=${ partNumber }&${ uploadQuery }`
+          const response = await s3Request('PUT', partUrl, {}, body, credentials, this.region)
+
+          parts.push({ partNumber, eTag: response.headers['etag'] || '' })
+          size += body.length
+
+          logger.debug(`[multipartUploadFromUrl] Uploaded part ${ partNumber } (${ body.length } bytes)`)
+        }
+
+        let pending = []
+        let pendingLength = 0
+
+        // Awaiting inside the loop pauses the download while a part uploads.
+        for await (const chunk of source) {
+          pending.push(chunk)
+          pendingLength += chunk.length
+
+          while (pendingLength >= partSize) {
+            const buffered = Buffer.concat(pending)
+
+            await uploadPart(buffered.subarray(0, partSize))
+
+            pending = [buffered.subarray(partSize)]
+            pendingLength -= partSize
+          }
+        }
+
+        if (pendingLength || !parts.length) {
+          await uploadPart(Buffer.concat(pending))
+        }
+
+        const completeXml = '<CompleteMultipartUpload>' +
+          parts.map(part => `<Part><PartNumber>${ part.partNumber }</PartNumber><ETag>${ escapeXml(part.eTag) }</ETag></Part>`).join('') +
+          '</CompleteMultipartUpload>'
+
+        const completed = await s3Request('POST', `${ objectUrl }?${ uploadQuery }`, { 'content-type': 'application/xml' }, completeXml, credentials, this.region)
+
+        // CompleteMultipartUpload may answer 200 and still fail, with the error in the body.
+        if (/<Error>/.test(completed.body)) {
+          const err = new Error(parseXmlTag(completed.body, 'Message') || 'Completing the multipart upload failed')
+
+          err.name = parseXmlTag(completed.body, 'Code') || 'S3Error'
+
+          throw err
+        }
+
+        const eTag = parseXmlTag(completed.body, 'ETag')
+
+        logger.info(`[multipartUploadFromUrl] Object uploaded in ${ parts.length } parts: ${ objectKey }`)
+
+        return {
+          success: true,
+          bucketName,
+          objectKey,
+          contentType: contentType || 'application/octet-stream',
+          size,
+          partCount: parts.length,
+          eTag: eTag ? unescapeXml(eTag) : null,
+        }
+      } catch (error) {
+        source.destroy()
+
+        try {
+          await s3Request('DELETE', `${ objectUrl }?${ uploadQuery }`, {}, '', credentials, this.region)
+
+          logger.info(`[multipartUploadFromUrl] Aborted multipart upload: ${ uploadId }`)
+        } catch (abortError) {
+          logger.warn(`[multipartUploadFromUrl] Could not abort multipart upload ${ uploadId }:`, abortError.message)
+        }
+
+        throw error
+      }
+    } catch (error) {
+      this.#handleS3Error('multipartUploadFromUrl', error)
+    }
+  }
+
+  /**
+   * @operationName Get Object Tags
+   * @category Object Management
+   * @description Retrieves the tags (key-value pairs) attached to an S3 object. Tags are commonly used for lifecycle rules, access policies and cost allocation. Not every S3-compatible provider supports object tagging.
+   * @route POST /get-object-tags
+   *
+   * @appearanceColor #FF9900 #FFB84D
+   *
+   * @paramDef {"type":"String","label":"Bucket","name":"bucketName","required":true,"dictionary":"getBucketsDictionary","description":"The name of the bucket containing the object."}
+   * @paramDef {"type":"String","label":"Object Key","name":"objectKey","required":true,"description":"The key (path) of the object to read the tags of."}
+   *
+   * @returns {Object}
+   * @sampleResult {"bucketName":"my-bucket","objectKey":"documents/report.pdf","tags":{"project":"apollo","retention":"1y"}}
+   */
+  async getObjectTags(bucketName, objectKey) {
+    if (!bucketName || !bucketName.trim()) {
+      throw new Error('Bucket name is required.')
+    }
+
+    if (!objectKey || !objectKey.trim()) {
+      throw new Error('Object key is required.')
+    }
+
+    try {
+      logger.debug(`[getObjectTags] Getting tags of: ${ objectKey } in bucket: ${ bucketName }`)
+
+      const credentials = await this.#getCredentials()
+      const url = `${ this.#buildUrl(bucketName, objectKey) }?tagging=`
+
+      const response = await s3Request('GET', url, {}, '', credentials, this.region)
+      const tags = {}
+
+      for (const block of parseXmlBlocks(response.body, 'Tag')) {
+        tags[unescapeXml(parseXmlTag(block, 'Key') || '')] = unescapeXml(parseXmlTag(block, 'Value') || '')
+      }
+
+      return { bucketName, objectKey, tags }
+    } catch (error) {
+      this.#handleS3Error('getObjectTags', error)
+    }
+  }
+
+  /**
+   * @operationName Put Object Tags
+   * @category Object Management
+   * @description Replaces the tags of an S3 object with the given key-value pairs. Tags not included are removed, so pass an empty object to clear all tags. An object can carry up to 10 tags. Not every S3-compatible provider supports object tagging.
+   * @route POST /put-object-tags
+   *
+   * @appearanceColor #FF9900 #FFB84D
+   *
+   * @paramDef {"type":"String","label":"Bucket","name":"bucketName","required":true,"dictionary":"getBucketsDictionary","description":"The name of the bucket containing the object."}
+   * @paramDef {"type":"String","label":"Object Key","name":"objectKey","required":true,"description":"The key (path) of the object to tag."}
+   * @paramDef {"type":"Object","label":"Tags","name":"tags","required":true,"description":"The complete tag set as key-value pairs (e.g., {\"project\": \"apollo\", \"retention\": \"1y\"}). Up to 10 tags."}
+   *
+   * @returns {Object}
+   * @sampleResult {"success":true,"bucketName":"my-bucket","objectKey":"documents/report.pdf","tags":{"project":"apollo","retention":"1y"}}
+   */
+  async putObjectTags(bucketName, objectKey, tags) {
+    if (!bucketName || !bucketName.trim()) {
+      throw new Error('Bucket name is required.')
+    }
+
+    if (!objectKey || !objectKey.trim()) {
+      throw new Error('Object key is required.')
+    }
+
+    if (!tags || typeof tags !== 'object' || Array.isArray(tags)) {
+      throw new Error('Tags must be an object of key-value pairs.')
+    }
+
+    const entries = Object.entries(tags).map(([key, value]) => [key, value === null || value === undefined ? '' : String(value)])
+
+    if (entries.length > MAX_OBJECT_TAGS) {
+      throw new Error(`An object can have at most ${ MAX_OBJECT_TAGS } tags.`)
+    }
+
+    try {
+      logger.debug(`[putObjectTags] Setting ${ entries.length } tags on: ${ objectKey } in bucket: ${ bucketName }`)
+
+      const credentials = await this.#getCredentials()
+      const url = `${ this.#buildUrl(bucketName, objectKey) }?tagging=`
+      const xmlBody = '<Tagging><TagSet>' +
+        entries.map(([key, value]) => `<Tag><Key>${ escapeXml(key) }</Key><Value>${ escapeXml(value) }</Value></Tag>`).join('') +
+        '</TagSet></Tagging>'
+      const md5 = crypto.createHash('md5').update(xmlBody).digest('base64')
+      const headers = { 'content-md5': md5, 'content-type': 'application/xml' }
+
+      await s3Request('PUT', url, headers, xmlBody, credentials, this.region)
+
+      logger.info(`[putObjectTags] Tags updated on: ${ objectKey }`)
+
+      return {
+        success: true,
+        bucketName,
+        objectKey,
+        tags: Object.fromEntries(entries),
+      }
+    } catch (error) {
+      this.#handleS3Error('putObjectTags', error)
+    }
+  }
+
+  // ─── TRIGGERS ────────────────────────────────────────────────────────
+
+  /**
+   * @registerAs SYSTEM
+   * @paramDef {"type":"Object","label":"invocation","name":"invocation"}
+   * @returns {Object}
+   */
+  async handleTriggerPollingForEvent(invocation) {
+    return this[invocation.eventName](invocation)
+  }
+
+  /**
+   * @operationName On New Object
+   * @category Triggers
+   * @description Fires for every object added to a bucket, or under a prefix of it, including objects overwritten with new content. Each poll lists the watched objects and compares their Last Modified time against the newest one already reported, so it works with every provider that supports ListObjectsV2. The first poll only records the current contents. Narrow large buckets down with a prefix, since every poll lists all objects under it. Polling interval can be customized (minimum 30 seconds).
+   * @registerAs POLLING_TRIGGER
+   * @route POST /on-new-object
+   * @executionTimeoutInSeconds 120
+   *
+   * @appearanceColor #FF9900 #FFB84D
+   *
+   * @paramDef {"type":"String","label":"Bucket","name":"bucketName","required":true,"dictionary":"getBucketsDictionary","description":"The name of the bucket to watch."}
+   * @paramDef {"type":"String","label":"Prefix","name":"prefix","description":"Only watch objects whose keys begin with this prefix (e.g., 'uploads/' or 'invoices/2024/'). Leave blank to watch the whole bucket."}
+   *
+   * @returns {Object}
+   * @sampleResult {"bucketName":"my-bucket","key":"uploads/invoice-1042.pdf","size":48213,"lastModified":"2024-03-15T10:30:00.000Z","eTag":"\"d41d8cd98f00b204e9800998ecf8427e\"","storageClass":"STANDARD"}
+   */
+  async onNewObject(invocation) {
+    const { bucketName, prefix } = invocation.triggerData || {}
+
+    if (!bucketName || !bucketName.trim()) {
+      throw new Error('Bucket name is required.')
+    }
+
+    const watchPrefix = prefix || ''
+
+    try {
+      const credentials = await this.#getCredentials()
+
+      if (invocation.learningMode) {
+        const sample = (await this.#listWatchedObjects(bucketName, watchPrefix, credentials, 1)).pop()
+
+        return { events: sample ? [{ bucketName, ...sample }] : [], state: null }
+      }
+
+      const objects = await this.#listWatchedObjects(bucketName, watchPrefix, credentials)
+      const state = invocation.state
+
+      if (!state || state.bucketName !== bucketName || state.prefix !== watchPrefix) {
+        const newest = objects.length ? objects[objects.length - 1].lastModified : null
+
+        logger.debug(`[onNewObject] Recorded ${ objects.length } existing objects in: ${ bucketName }/${ watchPrefix }`)
+
+        return {
+          events: [],
+          state: {
+            bucketName,
+            prefix: watchPrefix,
+            lastModified: newest,
+            keys: objects.filter(object => object.lastModified === newest).map(object => object.key),
+          },
+        }
+      }
+
+      // Several objects can share a Last Modified second, so the keys already reported at the
+      // watermark are remembered and skipped.
+      const reported = new Set(state.keys)
+      const fresh = objects
+        .filter(object => state.lastModified === null || object.lastModified > state.lastModified ||
+          (object.lastModified === state.lastModified && !reported.has(object.key)))
+        .slice(0, NEW_OBJECT_TRIGGER_BATCH_SIZE)
+
+      if (!fresh.length) {
+        return { events: [], state }
+      }
+
+      const watermark = fresh[fresh.length - 1].lastModified
+      const keys = fresh.filter(object => object.lastModified === watermark).map(object => object.key)
+
+      logger.debug(`[onNewObject] Found ${ fresh.length } new objects in: ${ bucketName }/${ watchPrefix }`)
+
+      return {
+        events: fresh.map(object => ({ bucketName, ...object })),
+        state: {
+          bucketName,
+          prefix: watchPrefix,
+          lastModified: watermark,
+          keys: watermark === state.lastModified ? [...state.keys, ...keys] : keys,
+        },
+      }
+    } catch (error) {
+      this.#handleS3Error('onNewObject', error)
+    }
+  }
+
+  /**
+   * Lists the objects under a prefix (all pages unless `maxPages` is given), sorted by Last
+   * Modified and then key.
+   */
+  async #listWatchedObjects(bucketName, prefix, credentials, maxPages = Infinity) {
+    const baseUrl = this.#buildUrl(bucketName)
+    const objects = []
+    let continuationToken = null
+    let pages = 0
+
+    do {
+      const params = new URLSearchParams()
+
+      params.set('list-type', '2')
+
+      if (prefix) {
+        params.set('prefix', prefix)
+      }
+
+      if (continuationToken) {
+        params.set('continuation-token', continuationToken)
+      }
+
+      const response = await s3Request('GET', `${ baseUrl }?${ params.toString() }`, {}, '', credentials, this.region)
+
+      for (const block of parseXmlBlocks(response.body, 'Contents')) {
+        const lastModified = parseXmlTag(block, 'LastModified')
+        const eTag = parseXmlTag(block, 'ETag')
+
+        if (lastModified) {
+          objects.push({
+            key: unescapeXml(parseXmlTag(block, 'Key') || ''),
+            size: parseInt(parseXmlTag(block, 'Size') || '0', 10),
+            lastModified: new Date(lastModified).toISOString(),
+            eTag: eTag ? unescapeXml(eTag) : null,
+            storageClass: parseXmlTag(block, 'StorageClass') || 'STANDARD',
+          })
+        }
+      }
+
+      continuationToken = parseXmlTag(response.body, 'IsTruncated') === 'true'
+        ? parseXmlTag(response.body, 'NextContinuationToken')
+        : null
+
+      pages++
+    } while (continuationToken && pages < maxPages)
+
+    return objects.sort((a, b) => {
+      if (a.lastModified !== b.lastModified) return a.lastModified < b.lastModified ? -1 : 1
+
+      return a.key < b.key ? -1 : a.key > b.key ? 1 : 0
+    })
+  }
+
   // ─── STORAGE CLASS DICTIONARY ───────────────────────────────────────
 
   /**
@@ -12,7 +12,7 @@ const { signRequest } = require('./sigv4')
  * @param {string} url - Full URL string
  * @param {Object} headers - Request headers
  * @param {string|Buffer|null} body - Request body or null
- * @returns {Promise<{ statusCode: number, headers: Object, body: string }>}
+ * @returns {Promise<{ statusCode: number, headers: Object, body: string, rawBody: Buffer }>}
  */
 function httpRequest(method, url, headers, body) {
   return new Promise((resolve, reject) => {
@@ -52,6 +52,7 @@ function httpRequest(method, url, headers, body) {
           statusCode: res.statusCode,
           headers: res.headers,
           body: bodyString,
+          rawBody: bodyBuffer,
         })
       })
     })
@@ -72,6 +73,60 @@ function httpRequest(method, url, headers, body) {
   })
 }
 
+/**
+ * Opens a GET request and resolves with the response stream once the status is known, so
+ * large downloads can be consumed chunk by chunk. Follows up to 5 redirects.
+ *
+ * @param {string} url - Full URL string
+ * @param {number} [redirectsLeft] - Redirects still allowed
+ * @returns {Promise<http.IncomingMessage>} Readable response (status 2xx)
+ */
+function httpGetStream(url, redirectsLeft = 5) {
+  return new Promise((resolve, reject) => {
+    const parsedUrl = new URL(url)
+    const transport = parsedUrl.protocol === 'https:' ? https : http
+
+    const req = transport.get(parsedUrl, res => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume()
+
+        if (redirectsLeft <= 0) {
+          reject(new Error(`Too many redirects while downloading ${ url }`))
+
+          return
+        }
+
+        resolve(httpGetStream(new URL(res.headers.location, parsedUrl).toString(), redirectsLeft - 1))
+
+        return
+      }
+
+      if (res.statusCode >= 300) {
+        res.resume()
+
+        const err = new Error(`Download failed with HTTP ${ res.statusCode }`)
+        err.statusCode = res.statusCode
+
+        reject(err)
+
+        return
+      }
+
+      // The idle timeout only guards the wait for the response; the caller paces the body.
+      req.setTimeout(0)
+      resolve(res)
+    })
+
+    req.on('error', err => {
+      reject(err)
+    })
+
+    req.setTimeout(30000, () => {
+      req.destroy(new Error('Request timed out'))
+    })
+  })
+}
+
 /**
  * Extracts the text content of the first occurrence of <tagName>...</tagName>.
  *
@@ -117,7 +172,7 @@ const parseXmlBlocks = parseXmlTags
  * @param {string|Buffer|null} body - Request body or null
  * @param {Object} credentials - { accessKeyId, secretAccessKey, sessionToken? }
  * @param {string} region - AWS region
- * @returns {Promise<{ statusCode: number, headers: Object, body: string }>}
+ * @returns {Promise<{ statusCode: number, headers: Object, body: string, rawBody: Buffer }>}
  */
 async function s3Request(method, url, headers, body, credentials, region) {
   signRequest(method, url, headers, body || '', credentials, region, 's3')
@@ -207,6 +262,7 @@ async function stsAssumeRole(credentials, region, roleArn, sessionName, external
 
 module.exports = {
   httpRequest,
+  httpGetStream,
   parseXmlTag,
   parseXmlTags,
   parseXmlBlocks,
@@ -176,6 +176,60 @@ describe('S3 Storage Service (e2e)', () => {
       expect(result).toMatchObject({ success: true, destinationKey: copyKey })
     })
 
+    it('downloads the text object as text and to file storage', async () => {
+      const { bucketName } = testValues
+
+      if (!bucketName) {
+        console.log('Skipping downloadObject: testValues.bucketName not set')
+
+        return
+      }
+
+      const asText = await service.downloadObject(bucketName, textKey, 'Text')
+
+      expect(asText).toMatchObject({ objectKey: textKey, content: 'hello from flowrunner' })
+
+      const asFile = await service.downloadObject(bucketName, binKey)
+
+      expect(asFile.contentLength).toBe('binary-payload'.length)
+      expect(typeof asFile.url).toBe('string')
+    })
+
+    it('puts and reads object tags when enabled', async () => {
+      const { bucketName, objectTagging } = testValues
+
+      if (!bucketName || !objectTagging) {
+        console.log('Skipping putObjectTags/getObjectTags: testValues.bucketName or testValues.objectTagging not set')
+
+        return
+      }
+
+      await service.putObjectTags(bucketName, textKey, { project: 'flowrunner-e2e' })
+
+      await expect(service.getObjectTags(bucketName, textKey)).resolves.toMatchObject({ tags: { project: 'flowrunner-e2e' } })
+    })
+
+    it('reports objects added under the prefix through the On New Object trigger', async () => {
+      const { bucketName } = testValues
+
+      if (!bucketName) {
+        console.log('Skipping onNewObject: testValues.bucketName not set')
+
+        return
+      }
+
+      const poller = sandbox.startPolling({ name: 'onNewObject', data: { bucketName, prefix: `${ PREFIX }/trigger/` } })
+
+      await poller.tick()
+      await service.uploadObject(bucketName, `${ PREFIX }/trigger/new.txt`, 'new', 'text/plain')
+
+      const { events } = await poller.tick()
+
+      expect(events.map(event => event.key)).toEqual([`${ PREFIX }/trigger/new.txt`])
+
+      await service.deleteObject(bucketName, `${ PREFIX }/trigger/new.txt`)
+    })
+
     it('generates a presigned GET URL', async () => {
       const { bucketName } = testValues
 
@@ -207,6 +261,23 @@ describe('S3 Storage Service (e2e)', () => {
       await service.deleteObject(bucketName, `${ PREFIX }/from-url.bin`)
     })
 
+    it('streams an object from a URL as a multipart upload', async () => {
+      const { bucketName, sourceUrl } = testValues
+
+      if (!bucketName || !sourceUrl) {
+        console.log('Skipping multipartUploadFromUrl: testValues.bucketName or testValues.sourceUrl not set')
+
+        return
+      }
+
+      const result = await service.multipartUploadFromUrl(bucketName, `${ PREFIX }/multipart.bin`, sourceUrl)
+
+      expect(result).toMatchObject({ success: true, objectKey: `${ PREFIX }/multipart.bin` })
+      expect(result.partCount).toBeGreaterThan(0)
+
+      await service.deleteObject(bucketName, `${ PREFIX }/multipart.bin`)
+    })
+
     it('deletes the copied object', async () => {
       const { bucketName } = testValues
 
@@ -1,5 +1,7 @@
 'use strict'
 
+const { Readable } = require('stream')
+
 const { createSandbox } = require('../../../service-sandbox')
 
 // The S3 service talks to the network through src/s3-client.js (Node http/https + SigV4),
@@ -8,6 +10,7 @@ const { createSandbox } = require('../../../service-sandbox')
 // below against a frozen clock, which makes the signatures deterministic.
 const mockS3Request = jest.fn()
 const mockStsAssumeRole = jest.fn()
+const mockHttpGetStream = jest.fn()
 
 jest.mock('../src/s3-client', () => {
   const actual = jest.requireActual('../src/s3-client')
@@ -15,6 +18,7 @@ jest.mock('../src/s3-client', () => {
   return {
     ...actual,
     s3Request: (...args) => mockS3Request(...args),
+    httpGetStream: (...args) => mockHttpGetStream(...args),
     stsAssumeRole: (...args) => mockStsAssumeRole(...args),
   }
 })
@@ -36,6 +40,10 @@ function reply(body, headers) {
   return Promise.resolve({ statusCode: 200, headers: headers || {}, body: body === undefined ? '' : body })
 }
 
+function replyBinary(buffer, headers) {
+  return Promise.resolve({ statusCode: 200, headers: headers || {}, body: buffer.toString('utf8'), rawBody: buffer })
+}
+
 function s3Error(name, message, statusCode) {
   const err = new Error(message)
 
@@ -71,6 +79,7 @@ describe('S3 Storage Service', () => {
     mock.reset()
     mockS3Request.mockReset()
     mockStsAssumeRole.mockReset()
+    mockHttpGetStream.mockReset()
     service.stsCredentials = null
     service.stsCredentialsExpiry = null
   })
@@ -679,6 +688,446 @@ describe('S3 Storage Service', () => {
     })
   })
 
+  describe('downloadObject', () => {
+    const OBJECT_HEADERS = {
+      'content-type': 'application/pdf',
+      'last-modified': 'Fri, 15 Mar 2024 10:30:00 GMT',
+      etag: '"abc"',
+    }
+
+    it('validates its inputs', async () => {
+      await expect(service.downloadObject('', 'k')).rejects.toThrow('Bucket name is required.')
+      await expect(service.downloadObject('b', ' ')).rejects.toThrow('Object key is required.')
+    })
+
+    it('saves the object bytes to file storage under the key name', async () => {
+      const bytes = Buffer.from([0x25, 0x50, 0x44, 0x46, 0xff, 0x00])
+
+      mockS3Request.mockImplementation(() => replyBinary(bytes, OBJECT_HEADERS))
+
+      const result = await service.downloadObject('my-bucket', 'documents/report.pdf')
+
+      expect(result).toEqual({
+        bucketName: 'my-bucket',
+        objectKey: 'documents/report.pdf',
+        contentType: 'application/pdf',
+        contentLength: 6,
+        lastModified: '2024-03-15T10:30:00.000Z',
+        eTag: '"abc"',
+        url: expect.stringContaining('report.pdf'),
+      })
+
+      expect(mockS3Request).toHaveBeenCalledWith(
+        'GET',
+        'https://my-bucket.s3.us-east-1.amazonaws.com/documents/report.pdf',
+        {},
+        '',
+        API_CREDENTIALS,
+        REGION
+      )
+
+      const upload = sandbox.getFiles().uploads.at(-1)
+
+      expect(upload.buffer.equals(bytes)).toBe(true)
+      expect(upload.options).toMatchObject({ filename: 'report.pdf', generateUrl: true, overwrite: true, scope: 'FLOW' })
+    })
+
+    it('uses the target file name and file settings when given', async () => {
+      mockS3Request.mockImplementation(() => replyBinary(Buffer.from('x'), {}))
+
+      await service.downloadObject('my-bucket', 'a/b.bin', 'File', 'copy.bin', { scope: 'APP' })
+
+      expect(sandbox.getFiles().uploads.at(-1).options).toMatchObject({ filename: 'copy.bin', scope: 'APP' })
+    })
+
+    it('returns the content as text without touching file storage', async () => {
+      const uploadsBefore = sandbox.getFiles().uploads.length
+
+      mockS3Request.mockImplementation(() => replyBinary(Buffer.from('id,name\n1,Zoë\n'), { 'content-type': 'text/csv' }))
+
+      const result = await service.downloadObject('my-bucket', 'exports/users.csv', 'Text')
+
+      expect(result).toMatchObject({ content: 'id,name\n1,Zoë\n', contentType: 'text/csv', contentLength: 15 })
+      expect(result).not.toHaveProperty('url')
+      expect(sandbox.getFiles().uploads).toHaveLength(uploadsBefore)
+    })
+
+    it('maps a missing object through the error handler', async () => {
+      mockS3Request.mockRejectedValue(s3Error('NoSuchKey', 'The specified key does not exist.', 404))
+
+      await expect(service.downloadObject('my-bucket', 'missing.txt')).rejects.toThrow(/Object not found/)
+    })
+  })
+
+  describe('multipartUploadFromUrl', () => {
+    const MB = 1024 * 1024
+    const OBJECT_URL = 'https://my-bucket.s3.us-east-1.amazonaws.com/videos/big.mp4'
+
+    function multipartReplies({ failPart } = {}) {
+      mockS3Request.mockImplementation((method, url) => {
+        if (method === 'POST' && url.endsWith('?uploads=')) {
+          return reply('<InitiateMultipartUploadResult><UploadId>up/1</UploadId></InitiateMultipartUploadResult>')
+        }
+
+        if (method === 'PUT') {
+          const partNumber = new URL(url).searchParams.get('partNumber')
+
+          if (partNumber === String(failPart)) {
+            return Promise.reject(s3Error('InternalError', 'part failed', 500))
+          }
+
+          return reply('', { etag: `"etag-${ partNumber }"` })
+        }
+
+        if (method === 'POST') {
+          return reply('<CompleteMultipartUploadResult><ETag>&quot;final-2&quot;</ETag></CompleteMultipartUploadResult>')
+        }
+
+        return reply('')
+      })
+    }
+
+    it('validates its inputs and the part size', async () => {
+      await expect(service.multipartUploadFromUrl('', 'k', 'https://x')).rejects.toThrow('Bucket name is required.')
+      await expect(service.multipartUploadFromUrl('b', '', 'https://x')).rejects.toThrow('Object key is required.')
+      await expect(service.multipartUploadFromUrl('b', 'k', ' ')).rejects.toThrow('Source URL is required.')
+
+      await expect(service.multipartUploadFromUrl('b', 'k', 'https://x', null, null, 4)).rejects.toThrow(
+        'Part size must be a whole number of MB between 5 and 100.'
+      )
+
+      await expect(service.multipartUploadFromUrl('b', 'k', 'https://x', null, null, 7.5)).rejects.toThrow('Part size must be')
+      expect(mockHttpGetStream).not.toHaveBeenCalled()
+    })
+
+    it('streams the source into parts and completes the upload', async () => {
+      mockHttpGetStream.mockResolvedValue(Readable.from([Buffer.alloc(3 * MB, 1), Buffer.alloc(4 * MB, 2), Buffer.alloc(MB, 3)]))
+      multipartReplies()
+
+      const result = await service.multipartUploadFromUrl(
+        'my-bucket',
+        'videos/big.mp4',
+        'https://files.example.com/big.mp4',
+        'video/mp4',
+        'STANDARD_IA',
+        5
+      )
+
+      expect(result).toEqual({
+        success: true,
+        bucketName: 'my-bucket',
+        objectKey: 'videos/big.mp4',
+        contentType: 'video/mp4',
+        size: 8 * MB,
+        partCount: 2,
+        eTag: '"final-2"',
+      })
+
+      expect(mockHttpGetStream).toHaveBeenCalledWith('https://files.example.com/big.mp4')
+
+      const calls = mockS3Request.mock.calls
+
+      expect(calls.map(([method, url]) => `${ method } ${ url }`)).toEqual([
+        `POST ${ OBJECT_URL }?uploads=`,
+        `PUT ${ OBJECT_URL }?partNumber=1&uploadId=up%2F1`,
+        `PUT ${ OBJECT_URL }?partNumber=2&uploadId=up%2F1`,
+        `POST ${ OBJECT_URL }?uploadId=up%2F1`,
+      ])
+
+      expect(calls[0][2]).toEqual({ 'content-type': 'video/mp4', 'x-amz-storage-class': 'STANDARD_IA' })
+      expect(calls[1][3]).toHaveLength(5 * MB)
+      expect(calls[2][3]).toHaveLength(3 * MB)
+      expect(calls[2][3][0]).toBe(2)
+
+      expect(calls[3][3]).toBe(
+        '<CompleteMultipartUpload>' +
+          '<Part><PartNumber>1</PartNumber><ETag>"etag-1"</ETag></Part>' +
+          '<Part><PartNumber>2</PartNumber><ETag>"etag-2"</ETag></Part>' +
+          '</CompleteMultipartUpload>'
+      )
+    })
+
+    it('uploads an empty source as a single empty part', async () => {
+      mockHttpGetStream.mockResolvedValue(Readable.from([]))
+      multipartReplies()
+
+      const result = await service.multipartUploadFromUrl('my-bucket', 'videos/big.mp4', 'https://files.example.com/empty')
+
+      expect(result).toMatchObject({ size: 0, partCount: 1, contentType: 'application/octet-stream' })
+      expect(mockS3Request.mock.calls[1][3]).toHaveLength(0)
+    })
+
+    it('aborts the upload when a part fails', async () => {
+      mockHttpGetStream.mockResolvedValue(Readable.from([Buffer.alloc(6 * MB)]))
+      multipartReplies({ failPart: 2 })
+
+      await expect(
+        service.multipartUploadFromUrl('my-bucket', 'videos/big.mp4', 'https://files.example.com/big.mp4', null, null, 5)
+      ).rejects.toThrow('Operation failed: part failed')
+
+      const lastCall = mockS3Request.mock.calls.at(-1)
+
+      expect(lastCall[0]).toBe('DELETE')
+      expect(lastCall[1]).toBe(`${ OBJECT_URL }?uploadId=up%2F1`)
+    })
+
+    it('aborts when completion reports an error in a 200 response', async () => {
+      mockHttpGetStream.mockResolvedValue(Readable.from([Buffer.from('small')]))
+      multipartReplies()
+      mockS3Request.mockImplementationOnce(() => reply('<InitiateMultipartUploadResult><UploadId>up/1</UploadId></InitiateMultipartUploadResult>'))
+      mockS3Request.mockImplementationOnce(() => reply('', { etag: '"etag-1"' }))
+      mockS3Request.mockImplementationOnce(() => reply('<Error><Code>InternalError</Code><Message>try again</Message></Error>'))
+
+      await expect(
+        service.multipartUploadFromUrl('my-bucket', 'videos/big.mp4', 'https://files.example.com/big.mp4')
+      ).rejects.toThrow('Operation failed: try again')
+
+      expect(mockS3Request.mock.calls.at(-1)[0]).toBe('DELETE')
+    })
+
+    it('still reports the original error when the abort fails', async () => {
+      const source = Readable.from([Buffer.from('x')])
+
+      mockHttpGetStream.mockResolvedValue(source)
+
+      mockS3Request.mockImplementation(method => {
+        if (method === 'POST') {
+          return reply('<InitiateMultipartUploadResult><UploadId>up-1</UploadId></InitiateMultipartUploadResult>')
+        }
+
+        return Promise.reject(s3Error(method === 'PUT' ? 'AccessDenied' : 'InternalError', 'nope', 403))
+      })
+
+      await expect(
+        service.multipartUploadFromUrl('my-bucket', 'videos/big.mp4', 'https://files.example.com/big.mp4')
+      ).rejects.toThrow(/Access denied: nope/)
+
+      expect(source.destroyed).toBe(true)
+    })
+
+    it('does not start an upload when the source cannot be downloaded', async () => {
+      mockHttpGetStream.mockRejectedValue(new Error('Download failed with HTTP 404'))
+
+      await expect(
+        service.multipartUploadFromUrl('my-bucket', 'videos/big.mp4', 'https://files.example.com/missing')
+      ).rejects.toThrow('Operation failed: Download failed with HTTP 404')
+
+      expect(mockS3Request).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('getObjectTags', () => {
+    it('validates its inputs', async () => {
+      await expect(service.getObjectTags('', 'k')).rejects.toThrow('Bucket name is required.')
+      await expect(service.getObjectTags('b', '')).rejects.toThrow('Object key is required.')
+    })
+
+    it('reads the tag set into an object', async () => {
+      mockS3Request.mockImplementation(() =>
+        reply(`<Tagging><TagSet>
+          <Tag><Key>project</Key><Value>apollo</Value></Tag>
+          <Tag><Key>owner</Key><Value>R&amp;D</Value></Tag>
+        </TagSet></Tagging>`)
+      )
+
+      await expect(service.getObjectTags('my-bucket', 'docs/a.pdf')).resolves.toEqual({
+        bucketName: 'my-bucket',
+        objectKey: 'docs/a.pdf',
+        tags: { project: 'apollo', owner: 'R&D' },
+      })
+
+      expect(mockS3Request.mock.calls[0][1]).toBe('https://my-bucket.s3.us-east-1.amazonaws.com/docs/a.pdf?tagging=')
+    })
+
+    it('explains providers without tagging support', async () => {
+      mockS3Request.mockRejectedValue(s3Error('NotImplemented', 'GetObjectTagging not implemented', 501))
+
+      await expect(service.getObjectTags('my-bucket', 'a.txt')).rejects.toThrow(
+        'Not supported by this storage provider: GetObjectTagging not implemented'
+      )
+    })
+  })
+
+  describe('putObjectTags', () => {
+    it('validates the tags', async () => {
+      await expect(service.putObjectTags('', 'k', {})).rejects.toThrow('Bucket name is required.')
+      await expect(service.putObjectTags('b', 'k', ['a'])).rejects.toThrow('Tags must be an object of key-value pairs.')
+
+      const tooMany = Object.fromEntries(Array.from({ length: 11 }, (_, i) => [`t${ i }`, 'v']))
+
+      await expect(service.putObjectTags('b', 'k', tooMany)).rejects.toThrow('An object can have at most 10 tags.')
+      expect(mockS3Request).not.toHaveBeenCalled()
+    })
+
+    it('replaces the tag set with an escaped XML body', async () => {
+      mockS3Request.mockImplementation(() => reply(''))
+
+      const result = await service.putObjectTags('my-bucket', 'docs/a.pdf', { project: 'apollo', owner: 'R&D', year: 2024 })
+
+      expect(result).toEqual({
+        success: true,
+        bucketName: 'my-bucket',
+        objectKey: 'docs/a.pdf',
+        tags: { project: 'apollo', owner: 'R&D', year: '2024' },
+      })
+
+      const [method, url, headers, body] = mockS3Request.mock.calls[0]
+
+      expect(method).toBe('PUT')
+      expect(url).toBe('https://my-bucket.s3.us-east-1.amazonaws.com/docs/a.pdf?tagging=')
+      expect(headers['content-md5']).toEqual(expect.any(String))
+
+      expect(body).toBe(
+        '<Tagging><TagSet>' +
+          '<Tag><Key>project</Key><Value>apollo</Value></Tag>' +
+          '<Tag><Key>owner</Key><Value>R&amp;D</Value></Tag>' +
+          '<Tag><Key>year</Key><Value>2024</Value></Tag>' +
+          '</TagSet></Tagging>'
+      )
+    })
+
+    it('clears all tags with an empty object', async () => {
+      mockS3Request.mockImplementation(() => reply(''))
+
+      await service.putObjectTags('my-bucket', 'docs/a.pdf', {})
+
+      expect(mockS3Request.mock.calls[0][3]).toBe('<Tagging><TagSet></TagSet></Tagging>')
+    })
+  })
+
+  // ── Triggers ──
+
+  describe('onNewObject', () => {
+    function listing(objects, nextToken) {
+      const contents = objects
+        .map(([key, lastModified]) =>
+          `<Contents><Key>${ key }</Key><LastModified>${ lastModified }</LastModified><ETag>&quot;${ key }&quot;</ETag><Size>10</Size></Contents>`)
+        .join('')
+
+      return `<ListBucketResult>${ contents }<IsTruncated>${ !!nextToken }</IsTruncated>` +
+        `${ nextToken ? `<NextContinuationToken>${ nextToken }</NextContinuationToken>` : '' }</ListBucketResult>`
+    }
+
+    function listReplies(...pages) {
+      for (const page of pages) {
+        mockS3Request.mockImplementationOnce(() => reply(page))
+      }
+    }
+
+    const T1 = '2024-03-15T10:00:00.000Z'
+    const T2 = '2024-03-15T11:00:00.000Z'
+    const T3 = '2024-03-15T12:00:00.000Z'
+
+    it('requires a bucket', async () => {
+      const poller = sandbox.startPolling({ name: 'onNewObject', data: { bucketName: ' ' } })
+
+      await expect(poller.tick()).rejects.toThrow('Bucket name is required.')
+    })
+
+    it('records the current objects on the first poll, across pages', async () => {
+      listReplies(listing([['uploads/b.txt', T2]], 'tok-2'), listing([['uploads/a.txt', T2], ['uploads/old.txt', T1]]))
+
+      const poller = sandbox.startPolling({ name: 'onNewObject', data: { bucketName: 'my-bucket', prefix: 'uploads/' } })
+      const result = await poller.tick()
+
+      expect(result).toMatchObject({
+        events: [],
+        state: { bucketName: 'my-bucket', prefix: 'uploads/', lastModified: T2, keys: ['uploads/a.txt', 'uploads/b.txt'] },
+      })
+
+      const urls = mockS3Request.mock.calls.map(call => call[1])
+
+      expect(urls[0]).toBe('https://my-bucket.s3.us-east-1.amazonaws.com/?list-type=2&prefix=uploads%2F')
+      expect(urls[1]).toBe('https://my-bucket.s3.us-east-1.amazonaws.com/?list-type=2&prefix=uploads%2F&continuation-token=tok-2')
+    })
+
+    it('emits objects past the watermark, including new keys at the same time', async () => {
+      listReplies(listing([['a.txt', T2], ['b.txt', T2], ['c.txt', T2], ['d&e.txt', T3], ['old.txt', T1]]))
+
+      const poller = sandbox.startPolling({
+        name: 'onNewObject',
+        data: { bucketName: 'my-bucket' },
+        state: { bucketName: 'my-bucket', prefix: '', lastModified: T2, keys: ['a.txt'] },
+      })
+
+      const result = await poller.tick()
+
+      expect(result.events).toEqual([
+        { bucketName: 'my-bucket', key: 'b.txt', size: 10, lastModified: T2, eTag: '"b.txt"', storageClass: 'STANDARD' },
+        { bucketName: 'my-bucket', key: 'c.txt', size: 10, lastModified: T2, eTag: '"c.txt"', storageClass: 'STANDARD' },
+        { bucketName: 'my-bucket', key: 'd&e.txt', size: 10, lastModified: T3, eTag: '"d&e.txt"', storageClass: 'STANDARD' },
+      ])
+
+      expect(result.state).toEqual({ bucketName: 'my-bucket', prefix: '', lastModified: T3, keys: ['d&e.txt'] })
+    })
+
+    it('keeps the reported keys when the watermark does not move', async () => {
+      listReplies(listing([['a.txt', T2], ['b.txt', T2]]))
+
+      const poller = sandbox.startPolling({
+        name: 'onNewObject',
+        data: { bucketName: 'my-bucket' },
+        state: { bucketName: 'my-bucket', prefix: '', lastModified: T2, keys: ['a.txt'] },
+      })
+
+      const result = await poller.tick()
+
+      expect(result.events.map(event => event.key)).toEqual(['b.txt'])
+      expect(result.state.keys).toEqual(['a.txt', 'b.txt'])
+    })
+
+    it('returns the same state when nothing is new', async () => {
+      const state = { bucketName: 'my-bucket', prefix: '', lastModified: T2, keys: ['a.txt'] }
+
+      listReplies(listing([['a.txt', T2], ['old.txt', T1]]))
+
+      const poller = sandbox.startPolling({ name: 'onNewObject', data: { bucketName: 'my-bucket' }, state })
+
+      await expect(poller.tick()).resolves.toMatchObject({ events: [], state })
+    })
+
+    it('emits everything after an empty bucket was recorded', async () => {
+      listReplies(listing([['a.txt', T1]]))
+
+      const poller = sandbox.startPolling({
+        name: 'onNewObject',
+        data: { bucketName: 'my-bucket' },
+        state: { bucketName: 'my-bucket', prefix: '', lastModified: null, keys: [] },
+      })
+
+      const result = await poller.tick()
+
+      expect(result.events.map(event => event.key)).toEqual(['a.txt'])
+      expect(result.state).toMatchObject({ lastModified: T1, keys: ['a.txt'] })
+    })
+
+    it('starts over when the bucket or prefix changes', async () => {
+      listReplies(listing([['in/a.txt', T3]]))
+
+      const poller = sandbox.startPolling({
+        name: 'onNewObject',
+        data: { bucketName: 'my-bucket', prefix: 'in/' },
+        state: { bucketName: 'my-bucket', prefix: '', lastModified: T1, keys: [] },
+      })
+
+      await expect(poller.tick()).resolves.toMatchObject({
+        events: [],
+        state: { prefix: 'in/', lastModified: T3, keys: ['in/a.txt'] },
+      })
+    })
+
+    it('returns the newest object of the first page in learning mode', async () => {
+      listReplies(listing([['b.txt', T3], ['a.txt', T1]], 'tok-2'))
+
+      const poller = sandbox.startPolling({ name: 'onNewObject', data: { bucketName: 'my-bucket' } })
+      const result = await poller.tick({ learningMode: true })
+
+      expect(result.events).toEqual([expect.objectContaining({ bucketName: 'my-bucket', key: 'b.txt', lastModified: T3 })])
+      expect(result.state).toBeNull()
+      expect(mockS3Request).toHaveBeenCalledTimes(1)
+    })
+  })
+
   // ── Error mapping ──
 
   describe('error handling', () => {
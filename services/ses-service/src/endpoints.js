@@ -0,0 +1,94 @@
+'use strict'
+
+// Shared AWS core: edit shared/aws-core/endpoints.js and run `npm run sync:shared`, never the service copy.
+
+const ENDPOINT_VARIANTS = {
+  Standard: { fips: false, dualStack: false },
+  FIPS: { fips: true, dualStack: false },
+  'Dual-Stack': { fips: false, dualStack: true },
+  'FIPS + Dual-Stack': { fips: true, dualStack: true },
+}
+
+/**
+ * Returns the DNS suffixes of the AWS partition a region belongs to.
+ * @param {string} region
+ * @returns {{ standard: string, dualStack: string }}
+ */
+function partitionSuffixes(region) {
+  if (String(region).startsWith('cn-')) {
+    return { standard: 'amazonaws.com.cn', dualStack: 'api.amazonwebservices.com.cn' }
+  }
+
+  return { standard: 'amazonaws.com', dualStack: 'api.aws' }
+}
+
+/**
+ * Local stand-ins such as LocalStack and MinIO listen on plain http, so a scheme-less endpoint
+ * on the local machine gets http:// and every other one https://.
+ */
+function isLoopbackHost(endpoint) {
+  const host = endpoint.replace(/[/?#].*$/, '').replace(/:\d+$/, '').replace(/^\[|\]$/g, '').toLowerCase()
+
+  return host === 'localhost' || host.endsWith('.localhost') || host === '::1' || /^127(\.\d{1,3}){3}$/.test(host)
+}
+
+/**
+ * Reads the endpoint settings from the service config.
+ *
+ * Returns undefined when the default regional endpoint should be used, so request options
+ * only carry an endpoint when one was actually configured.
+ *
+ * @param {Object} config - { endpoint?, endpointVariant? }
+ * @returns {{ url: string|undefined, fips: boolean, dualStack: boolean }|undefined}
+ */
+function endpointFromConfig(config = {}) {
+  let url = typeof config.endpoint === 'string' ? config.endpoint.trim() : ''
+  const variant = ENDPOINT_VARIANTS[config.endpointVariant] || ENDPOINT_VARIANTS.Standard
+
+  if (!url && !variant.fips && !variant.dualStack) {
+    return undefined
+  }
+
+  if (url && !/^https?:\/\//i.test(url)) {
+    url = `${ isLoopbackHost(url) ? 'http' : 'https' }://${ url }`
+  }
+
+  return { url: url ? url.replace(/\/+$/, '') : undefined, ...variant }
+}
+
+/**
+ * Resolves the base URL (without a trailing slash) for an AWS service.
+ *
+ * A custom endpoint URL wins over everything else and is used for every service, STS
+ * included, which is what a local stand-in such as LocalStack expects. Otherwise the
+ * regional hostname is built, with the FIPS and dual-stack variants applied.
+ *
+ * @param {string} service - Endpoint prefix, e.g. sqs, sts, bedrock-runtime.
+ * @param {string} region - AWS region code.
+ * @param {Object} [endpoint] - Result of endpointFromConfig().
+ * @param {Object} [options]
+ * @param {boolean} [options.global] - The service has a single global endpoint (e.g. IAM).
+ * @returns {string}
+ */
+function resolveEndpoint(service, region, endpoint, options = {}) {
+  if (endpoint && endpoint.url) {
+    return endpoint.url
+  }
+
+  const fips = !!(endpoint && endpoint.fips)
+  const dualStack = !!(endpoint && endpoint.dualStack)
+  const suffixes = partitionSuffixes(region)
+  const host = fips ? `${ service }-fips` : service
+
+  if (options.global) {
+    return dualStack ? `https://${ host }.global.${ suffixes.dualStack }` : `https://${ host }.${ suffixes.standard }`
+  }
+
+  return `https://${ host }.${ region }.${ dualStack ? suffixes.dualStack : suffixes.standard }`
+}
+
+module.exports = {
+  ENDPOINT_VARIANTS,
+  endpointFromConfig,
+  resolveEndpoint,
+}
@@ -2,6 +2,7 @@
 
 const { restJsonRequest } = require('./aws-client')
 const { CredentialProvider } = require('./credentials')
+const { endpointFromConfig } = require('./endpoints')
 const { createLogger, mapAwsError } = require('./errors')
 const { awsConfigItems } = require('./config-items')
 
@@ -14,13 +15,18 @@ class SES {
     this.region = config.region || 'us-east-1'
     this.logger = createLogger('SES')
 
+    this.endpoint = endpointFromConfig(config)
+
     this.credentials = new CredentialProvider({
+      service: 'ses',
       authenticationMethod: config.authenticationMethod || 'API Key',
       accessKeyId: config.accessKeyId,
       secretAccessKey: config.secretAccessKey,
+      sessionToken: config.sessionToken,
       region: this.region,
       roleArn: config.roleArn,
       externalId: config.externalId,
+      endpoint: this.endpoint,
     })
 
     this.deps = { restJsonRequest }
@@ -29,7 +35,7 @@ class SES {
   async sendRest(method, path, body) {
     const creds = await this.credentials.resolve()
 
-    return this.deps.restJsonRequest({ region: this.region, service: 'ses', method, path, body }, creds)
+    return this.deps.restJsonRequest({ region: this.region, service: 'ses', method, path, body, endpoint: this.endpoint }, creds)
   }
 
   /**
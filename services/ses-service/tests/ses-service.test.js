@@ -62,8 +62,11 @@ describe('SES Service', () => {
         'region',
         'accessKeyId',
         'secretAccessKey',
+        'sessionToken',
         'roleArn',
         'externalId',
+        'endpointVariant',
+        'endpoint',
       ])
 
       expect(configItems).toEqual(
@@ -602,6 +605,7 @@ describe('CredentialProvider', () => {
 
     const provider = new CredentialProvider(
       {
+        service: 'ses',
         authenticationMethod: 'IAM Role',
         accessKeyId: 'AK',
         secretAccessKey: 'SK',
@@ -621,7 +625,8 @@ describe('CredentialProvider', () => {
       'eu-west-1',
       'arn:aws:iam::1:role/R',
       `flowrunner-ses-${ now }`,
-      'EXT'
+      'EXT',
+      undefined
     )
 
     await provider.resolve()
@@ -833,6 +833,60 @@ describe('SharePoint Service', () => {
     })
   })
 
+  describe('createListItems', () => {
+    const BATCH_URL = `${ GRAPH }/$batch`
+
+    it('creates the items through $batch, 20 per request', async () => {
+      mock.onPost(BATCH_URL).replyWith(request => ({
+        responses: request.body.requests.map(sub => ({ id: sub.id, status: 201, body: { id: `item-${ sub.id }`, fields: sub.body.fields } })),
+      }))
+
+      const items = Array.from({ length: 25 }, (_, index) => ({ Title: `Item ${ index }` }))
+      const result = await service.createListItems(SITE_ID, LIST_ID, items)
+
+      expect(mock.history).toHaveLength(2)
+      expect(mock.history.map(call => call.body.requests.length)).toEqual([20, 5])
+
+      expect(mock.history[0].body.requests[0]).toEqual({
+        id: '1',
+        method: 'POST',
+        url: `/sites/${ SITE_ID }/lists/${ LIST_ID }/items`,
+        body: { fields: { Title: 'Item 0' } },
+        headers: { 'Content-Type': 'application/json' },
+      })
+
+      expect(result.created).toHaveLength(25)
+      expect(result.created[24]).toEqual({ id: 'item-25', fields: { Title: 'Item 24' } })
+      expect(result.failed).toEqual([])
+    })
+
+    it('reports failed items with their position and keeps the others', async () => {
+      mock.onPost(BATCH_URL).reply({
+        responses: [
+          { id: '2', status: 400, body: { error: { message: 'Field "Status" is not recognized' } } },
+          { id: '1', status: 201, body: { id: '42' } },
+        ],
+      })
+
+      const result = await service.createListItems(SITE_ID, LIST_ID, [{ Title: 'Ok' }, { Status: 'Open' }])
+
+      expect(result).toEqual({
+        created: [{ id: '42' }],
+        failed: [{ index: 1, status: 400, message: 'Field "Status" is not recognized' }],
+      })
+    })
+
+    it('requires an array of field objects', async () => {
+      await expect(service.createListItems(SITE_ID, LIST_ID, [])).rejects.toThrow(
+        'Parameter "Items" must be a non-empty array'
+      )
+
+      await expect(service.createListItems(SITE_ID, LIST_ID, [{ Title: 'Ok' }, 'nope'])).rejects.toThrow(
+        'Every entry of "Items" must be an object of field values'
+      )
+    })
+  })
+
   describe('updateListItem', () => {
     const url = `${GRAPH}/sites/${SITE_ID}/lists/${LIST_ID}/items/42/fields`
 
@@ -1,5 +1,7 @@
 'use strict'
 
+const { generateWebhookSecret, verifySecretToken } = require('./webhook-signatures')
+
 // PROD ENV
 // const OAUTH_BASE_URL = 'https://auth.shipbob.com/connect'
 // const API_BASE_URL = 'https://api.shipbob.com/2026-01'
@@ -491,18 +493,36 @@ class ShipBobService {
   // ========================================== TRIGGERS ===============================================
 
   async #createWebhook(topics, invocation) {
+    // The subscription response carries no signing secret, so a generated token is put in the
+    // callback URL and comes back as a query parameter with every delivery.
+    const callbackToken = generateWebhookSecret()
+
     const response = await this.#apiRequest({
       logTag: 'createWebhook',
       method: 'post',
       url: `${ API_BASE_URL }/webhook`,
       body: {
         topics,
-        url: `${ invocation.callbackUrl }&connectionId=${ invocation.connectionId }`,
+        url: `${ invocation.callbackUrl }&connectionId=${ invocation.connectionId }&callbackToken=${ callbackToken }`,
         description: `FlowRunner trigger for ${ topics.join(', ') }`,
       },
     })
 
-    return response
+    return { ...response, callbackToken }
+  }
+
+  // Subscriptions created before the callback token was stored are accepted with a warning until
+  // the webhook is recreated.
+  #verifyCallbackToken(invocation) {
+    const expected = invocation.webhookData?.callbackToken
+
+    if (!expected) {
+      logger.warn('No callback token stored — skipping verification.')
+
+      return true
+    }
+
+    return verifySecretToken({ expected, provided: invocation.queryParams?.callbackToken })
   }
 
   async #deleteWebhook(webhookId) {
@@ -549,6 +569,12 @@ class ShipBobService {
   async handleTriggerResolveEvents(invocation) {
     logger.debug(`handleTriggerResolveEvents.invocation: ${ JSON.stringify(invocation) }`)
 
+    if (!this.#verifyCallbackToken(invocation)) {
+      logger.warn('handleTriggerResolveEvents: callbackToken mismatch — rejecting delivery')
+
+      return { connectionId: invocation.queryParams?.connectionId, events: [] }
+    }
+
     const topic = invocation.headers?.['x-webhook-topic'] || invocation.body?.topic
     const methodName = TopicToMethod[topic]
 
@@ -0,0 +1,87 @@
+'use strict'
+
+const { createSandbox } = require('../../../service-sandbox')
+
+const BASE = 'https://sandbox-api.shipbob.com/2026-01'
+const CALLBACK_URL = 'https://flowrunner.test/webhooks/callback?flowId=f1'
+
+describe('ShipBob Service', () => {
+  let sandbox
+  let service
+  let mock
+
+  beforeAll(() => {
+    sandbox = createSandbox({ clientId: 'client-id', clientSecret: 'client-secret' })
+    require('../src/index.js')
+    service = sandbox.getService()
+    service.request = { headers: { 'oauth-access-token': 'test-access-token' } }
+    mock = sandbox.getRequestMock()
+  })
+
+  afterEach(() => {
+    mock.reset()
+  })
+
+  afterAll(() => {
+    sandbox.cleanup()
+  })
+
+  // ── Webhook callback token ──
+
+  describe('realtime triggers callback token', () => {
+    const body = { topic: 'order.shipped', id: 67890, order_id: 12345 }
+
+    async function startFlow() {
+      mock.onPost(`${ BASE }/webhook`).reply({ id: 42, topics: ['order.shipped'] })
+
+      const flow = await sandbox.startTriggerFlow({
+        callbackUrl: CALLBACK_URL,
+        connectionId: 'conn1',
+        triggers: [{ id: 't1', name: 'onOrderShipped', data: {} }],
+      })
+
+      const callbackUrl = new URL(mock.history[0].body.url)
+
+      return { flow, callbackToken: callbackUrl.searchParams.get('callbackToken') }
+    }
+
+    it('registers a callback URL carrying a generated token and stores it', async () => {
+      const { flow, callbackToken } = await startFlow()
+
+      expect(mock.history[0].body.url).toBe(`${ CALLBACK_URL }&connectionId=conn1&callbackToken=${ callbackToken }`)
+      expect(callbackToken).toMatch(/^[0-9a-f]{64}$/)
+      expect(flow.webhookData).toEqual({ id: 42, topics: ['order.shipped'], callbackToken })
+    })
+
+    it('accepts a delivery that carries the stored token', async () => {
+      const { flow, callbackToken } = await startFlow()
+
+      const result = await flow.postEvent({ queryParams: { connectionId: 'conn1', callbackToken }, body })
+
+      expect(result.firedTriggerIds).toEqual(['t1'])
+      expect(result.events).toEqual([{ name: 'onOrderShipped', data: body, triggerIds: ['t1'] }])
+    })
+
+    it('rejects deliveries with a wrong or missing token', async () => {
+      const { flow } = await startFlow()
+
+      const forged = await flow.postEvent({ queryParams: { connectionId: 'conn1', callbackToken: 'guessed' }, body })
+      const missing = await flow.postEvent({ queryParams: { connectionId: 'conn1' }, body })
+
+      expect(forged.raw).toEqual({ connectionId: 'conn1', events: [] })
+      expect(forged.firedTriggerIds).toEqual([])
+      expect(missing.firedTriggerIds).toEqual([])
+    })
+
+    it('accepts deliveries for webhooks created before the token was stored', async () => {
+      const result = await service.handleTriggerResolveEvents({
+        queryParams: { connectionId: 'conn1' },
+        headers: {},
+        body,
+        webhookData: { id: 7 },
+      })
+
+      expect(result.events).toEqual([{ name: 'onOrderShipped', data: body }])
+    })
+  })
+})
@@ -1,4 +1,5 @@
 const { chunkMarkdown } = require('./utils')
+const { getRawBody, verifySlackSignature } = require('./webhook-signatures')
 
 const OAUTH_BASE_URL = 'https://slack.com/oauth/v2'
 const API_BASE_URL = 'https://slack.com/api'
@@ -124,6 +125,7 @@ class Slack {
   constructor(config) {
     this.clientId = config.clientId
     this.clientSecret = config.clientSecret
+    this.signingSecret = config.signingSecret
     this.scope = config.scope || DEFAULT_SCOPE_STRING
     this.userScope = config.scope || USER_SCOPE_STRING
   }
@@ -712,6 +714,12 @@ class Slack {
    * @returns {Object}
    */
   async handleTriggerResolveEvents(invocation) {
+    if (!this.#verifyRequestSignature(invocation)) {
+      logger.warn('handleTriggerResolveEvents: Slack request signature verification failed — rejecting delivery')
+
+      return { events: [] }
+    }
+
     if (invocation.body.challenge) {
       logger.debug('handleTriggerResolveEvents run the "challenge" invocation')
 
@@ -769,6 +777,23 @@ class Slack {
     }
   }
 
+  // Verifies X-Slack-Signature against the app Signing Secret. Slack signs every request,
+  // url_verification challenges and interactivity payloads included. Without a configured
+  // secret verification is skipped with a warning.
+  #verifyRequestSignature(invocation) {
+    if (!this.signingSecret) {
+      logger.warn('No Slack Signing Secret configured — skipping request signature verification.')
+
+      return true
+    }
+
+    return verifySlackSignature({
+      signingSecret: this.signingSecret,
+      headers: invocation.headers,
+      rawBody: getRawBody(invocation),
+    })
+  }
+
   async #addSystemBotToChannel(channelId, botUserId) {
     return this.inviteUserToChannel(channelId, botUserId)
   }
@@ -1667,7 +1692,6 @@ class Slack {
 
 Flowrunner.ServerCode.addService(Slack, [
   {
-    order: 0,
     displayName: 'Client Id',
     type: Flowrunner.ServerCode.ConfigItems.TYPES.STRING,
     required: true,
@@ -1676,7 +1700,6 @@ Flowrunner.ServerCode.addService(Slack, [
     hint: 'Your Slack OAuth 2.0 Client ID, found in the Slack API dashboard under "App Credentials".',
   },
   {
-    order: 1,
     displayName: 'Client Secret',
     type: Flowrunner.ServerCode.ConfigItems.TYPES.STRING,
     required: true,
@@ -1684,6 +1707,14 @@ Flowrunner.ServerCode.addService(Slack, [
     name: 'clientSecret',
     hint: 'Your Slack OAuth 2.0 Client Secret, used for secure authentication, available in "App Credentials".',
   },
+  {
+    displayName: 'Signing Secret',
+    type: Flowrunner.ServerCode.ConfigItems.TYPES.STRING,
+    required: false,
+    shared: true,
+    name: 'signingSecret',
+    hint: 'Your Slack app Signing Secret from "App Credentials". When set, trigger events without a valid Slack signature are rejected.',
+  },
 ])
 
 function resolveSlackResponse(response) {
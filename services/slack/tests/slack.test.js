@@ -0,0 +1,120 @@
+'use strict'
+
+const crypto = require('crypto')
+
+const { createSandbox } = require('../../../service-sandbox')
+
+const SIGNING_SECRET = 'test-slack-signing-secret'
+
+describe('Slack Service', () => {
+  let sandbox
+  let service
+
+  beforeAll(() => {
+    sandbox = createSandbox({ clientId: 'client-id', clientSecret: 'client-secret', signingSecret: SIGNING_SECRET })
+    require('../src/index.js')
+    service = sandbox.getService()
+  })
+
+  afterAll(() => {
+    sandbox.cleanup()
+  })
+
+  // ── Registration ──
+
+  describe('service registration', () => {
+    it('registers the optional Signing Secret without an order', () => {
+      const configItems = sandbox.getConfigItems()
+
+      expect(configItems).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({ name: 'signingSecret', required: false, type: 'STRING' }),
+        ])
+      )
+
+      configItems.forEach(item => expect(item).not.toHaveProperty('order'))
+    })
+  })
+
+  // ── Request signature verification ──
+
+  describe('handleTriggerResolveEvents signature verification', () => {
+    const body = { team_id: 'T1', event: { type: 'team_join', user: { id: 'U1' } } }
+    const rawBody = JSON.stringify(body)
+
+    function sign(secret, timestamp, payload = rawBody) {
+      return 'v0=' + crypto.createHmac('sha256', secret).update(`v0:${ timestamp }:${ payload }`).digest('hex')
+    }
+
+    function now() {
+      return String(Math.floor(Date.now() / 1000))
+    }
+
+    it('accepts a request signed with the Signing Secret', async () => {
+      const timestamp = now()
+
+      const result = await service.handleTriggerResolveEvents({
+        headers: { 'X-Slack-Request-Timestamp': timestamp, 'X-Slack-Signature': sign(SIGNING_SECRET, timestamp) },
+        body,
+        rawBody,
+      })
+
+      expect(result).toEqual({
+        eventScopeId: 'T1',
+        events: [{ name: 'onNewMember', data: body.event }],
+      })
+    })
+
+    it('answers a signed url_verification challenge', async () => {
+      const challengeBody = { type: 'url_verification', challenge: 'challenge-token' }
+      const challengeRaw = JSON.stringify(challengeBody)
+      const timestamp = now()
+
+      const result = await service.handleTriggerResolveEvents({
+        headers: {
+          'x-slack-request-timestamp': timestamp,
+          'x-slack-signature': sign(SIGNING_SECRET, timestamp, challengeRaw),
+        },
+        body: challengeBody,
+        rawBody: challengeRaw,
+      })
+
+      expect(result).toEqual({ responseToExternalService: 'challenge-token', events: [] })
+    })
+
+    it('rejects forged, stale and unsigned requests', async () => {
+      const timestamp = now()
+      const stale = String(Math.floor(Date.now() / 1000) - 3600)
+
+      const forged = await service.handleTriggerResolveEvents({
+        headers: { 'x-slack-request-timestamp': timestamp, 'x-slack-signature': sign('guessed', timestamp) },
+        body,
+        rawBody,
+      })
+
+      const replayed = await service.handleTriggerResolveEvents({
+        headers: { 'x-slack-request-timestamp': stale, 'x-slack-signature': sign(SIGNING_SECRET, stale) },
+        body,
+        rawBody,
+      })
+
+      const unsigned = await service.handleTriggerResolveEvents({ headers: {}, body, rawBody })
+
+      expect(forged).toEqual({ events: [] })
+      expect(replayed).toEqual({ events: [] })
+      expect(unsigned).toEqual({ events: [] })
+    })
+
+    it('rejects a body that differs from the signed one', async () => {
+      const timestamp = now()
+
+      const result = await service.handleTriggerResolveEvents({
+        headers: { 'x-slack-request-timestamp': timestamp, 'x-slack-signature': sign(SIGNING_SECRET, timestamp) },
+        body,
+        rawBody: rawBody.replace('U1', 'U2'),
+      })
+
+      expect(result).toEqual({ events: [] })
+    })
+  })
+})
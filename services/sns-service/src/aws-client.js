@@ -1,9 +1,12 @@
 'use strict'
 
+// Shared AWS core: edit shared/aws-core/aws-client.js and run `npm run sync:shared`, never the service copy.
+
 const https = require('https')
 const http = require('http')
 
 const { signRequest } = require('./sigv4')
+const { resolveEndpoint } = require('./endpoints')
 
 function httpRequest(method, url, headers, body) {
   return new Promise((resolve, reject) => {
@@ -70,7 +73,7 @@ function parseXmlTags(xml, tagName) {
   return results
 }
 
-async function stsAssumeRole(credentials, region, roleArn, sessionName, externalId) {
+async function stsAssumeRole(credentials, region, roleArn, sessionName, externalId, endpoint) {
   let formBody =
     'Action=AssumeRole' +
     '&Version=2011-06-15' +
@@ -81,7 +84,7 @@ async function stsAssumeRole(credentials, region, roleArn, sessionName, external
     formBody += `&ExternalId=${ encodeURIComponent(externalId) }`
   }
 
-  const url = `https://sts.${ region }.amazonaws.com/`
+  const url = `${ resolveEndpoint('sts', region, endpoint) }/`
   const headers = { 'content-type': 'application/x-www-form-urlencoded' }
 
   signRequest('POST', url, headers, formBody, credentials, region, 'sts')
@@ -115,8 +118,8 @@ async function stsAssumeRole(credentials, region, roleArn, sessionName, external
   return { accessKeyId, secretAccessKey, sessionToken, expiration: new Date(expirationStr) }
 }
 
-function buildAwsJsonRequest({ region, service, target, body, contentType }) {
-  const url = `https://${ service }.${ region }.amazonaws.com/`
+function buildAwsJsonRequest({ region, service, target, body, contentType, endpoint }) {
+  const url = `${ resolveEndpoint(service, region, endpoint) }/`
   const serialized = typeof body === 'string' ? body : JSON.stringify(body || {})
   const headers = { 'content-type': contentType }
 
@@ -158,8 +161,8 @@ async function jsonRequest(opts, credentials, deps = {}) {
   return parseJsonResponse(response)
 }
 
-function buildQueryRequest({ region, service, action, version, params = {} }) {
-  const url = `https://${ service }.${ region }.amazonaws.com/`
+function buildQueryRequest({ region, service, action, version, params = {}, endpoint }) {
+  const url = `${ resolveEndpoint(service, region, endpoint) }/`
   const form = { Action: action, Version: version, ...params }
   const body = Object.keys(form)
     .filter(k => form[k] !== undefined && form[k] !== null && form[k] !== '')
@@ -193,6 +196,35 @@ async function queryRequest(opts, credentials, deps = {}) {
   return response
 }
 
+function buildRestJsonRequest({ region, service, method = 'POST', path = '/', body, headers = {}, endpoint }) {
+  const url = `${ resolveEndpoint(service, region, endpoint) }${ path }`
+  const serialized = body === undefined || body === null ? '' : typeof body === 'string' ? body : JSON.stringify(body)
+
+  return { method, url, headers: { 'content-type': 'application/json', ...headers }, body: serialized }
+}
+
+async function restJsonRequest(opts, credentials, deps = {}) {
+  const sign = deps.signRequest || signRequest
+  const send = deps.httpRequest || httpRequest
+  const built = buildRestJsonRequest(opts)
+
+  sign(built.method, built.url, built.headers, built.body, credentials, opts.region, opts.service)
+
+  const response = await send(built.method, built.url, built.headers, built.body)
+
+  return parseJsonResponse(response)
+}
+
+async function restRequest(opts, credentials, deps = {}) {
+  const sign = deps.signRequest || signRequest
+  const send = deps.httpRequest || httpRequest
+  const built = buildRestJsonRequest(opts)
+
+  sign(built.method, built.url, built.headers, built.body, credentials, opts.region, opts.service)
+
+  return send(built.method, built.url, built.headers, built.body)
+}
+
 module.exports = {
   httpRequest,
   parseXmlTag,
@@ -203,4 +235,7 @@ module.exports = {
   jsonRequest,
   buildQueryRequest,
   queryRequest,
+  buildRestJsonRequest,
+  restJsonRequest,
+  restRequest,
 }
@@ -1,5 +1,7 @@
 'use strict'
 
+// Shared AWS core: edit shared/aws-core/errors.js and run `npm run sync:shared`, never the service copy.
+
 function createLogger(serviceName) {
   const prefix = `[${ serviceName } Service]`
 
@@ -2,6 +2,7 @@
 
 const { queryRequest, parseXmlTag, parseXmlTags } = require('./aws-client')
 const { CredentialProvider } = require('./credentials')
+const { endpointFromConfig } = require('./endpoints')
 const { createLogger, mapAwsError } = require('./errors')
 const { awsConfigItems } = require('./config-items')
 
@@ -16,13 +17,18 @@ class SNS {
     this.region = config.region || 'us-east-1'
     this.logger = createLogger('SNS')
 
+    this.endpoint = endpointFromConfig(config)
+
     this.credentials = new CredentialProvider({
+      service: 'sns',
       authenticationMethod: config.authenticationMethod || 'API Key',
       accessKeyId: config.accessKeyId,
       secretAccessKey: config.secretAccessKey,
+      sessionToken: config.sessionToken,
       region: this.region,
       roleArn: config.roleArn,
       externalId: config.externalId,
+      endpoint: this.endpoint,
     })
 
     this.deps = { queryRequest }
@@ -32,7 +38,7 @@ class SNS {
     const creds = await this.credentials.resolve()
 
     return this.deps.queryRequest(
-      { region: this.region, service: 'sns', action, version: SNS_VERSION, params },
+      { region: this.region, service: 'sns', action, version: SNS_VERSION, params, endpoint: this.endpoint },
       creds
     )
   }
@@ -95,7 +95,8 @@ describe('SNS Service', () => {
       expect(configItems).toBe(awsConfigItems)
 
       expect(configItems.map(item => item.name)).toEqual([
-        'authenticationMethod', 'region', 'accessKeyId', 'secretAccessKey', 'roleArn', 'externalId',
+        'authenticationMethod', 'region', 'accessKeyId', 'secretAccessKey', 'sessionToken', 'roleArn', 'externalId',
+        'endpointVariant', 'endpoint',
       ])
 
       expect(configItems).toEqual(
@@ -748,6 +749,7 @@ describe('CredentialProvider', () => {
 
     const provider = new CredentialProvider(
       {
+        service: 'sns',
         authenticationMethod: 'IAM Role',
         accessKeyId: 'AK',
         secretAccessKey: 'SK',
@@ -767,7 +769,8 @@ describe('CredentialProvider', () => {
       'eu-west-1',
       'arn:role',
       `flowrunner-sns-${ now }`,
-      'ext'
+      'ext',
+      undefined
     )
 
     await provider.resolve()
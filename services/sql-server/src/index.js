@@ -1,5 +1,9 @@
 const sql = require('mssql')
 
+const { sshTunnelConfigItems, sshTunnelSettings, withSshTunnel } = require('./ssh-tunnel')
+const { tlsCaCertConfigItem, tlsSettings, nodeTlsOptions, tlsErrorHint } = require('./db-tls')
+const { WATERMARK_KEY, pollRows } = require('./row-polling')
+
 const logger = {
   info: (...args) => console.log('[Microsoft SQL Server] info:', ...args),
   debug: (...args) => console.log('[Microsoft SQL Server] debug:', ...args),
@@ -12,6 +16,15 @@ const DEFAULT_CONNECTION_TIMEOUT_SECONDS = 15
 const REQUEST_TIMEOUT_MS = 120000
 const DICTIONARY_PAGE_SIZE = 200
 
+// Isolation Level choices -> mssql ISOLATION_LEVEL keys; the database default needs no argument.
+const ISOLATION_LEVELS = {
+  'Read Uncommitted': 'READ_UNCOMMITTED',
+  'Read Committed': 'READ_COMMITTED',
+  'Repeatable Read': 'REPEATABLE_READ',
+  'Serializable': 'SERIALIZABLE',
+  'Snapshot': 'SNAPSHOT',
+}
+
 // ============================================================================
 //  DICTIONARY PAYLOAD TYPEDEFS
 // ============================================================================
@@ -33,6 +46,15 @@ const DICTIONARY_PAGE_SIZE = 200
  * @paramDef {"type":"getColumnsDictionary__payloadCriteria","label":"Criteria","name":"criteria","description":"The table whose columns to list."}
  */
 
+// ============================================================================
+//  TYPEDEFS
+// ============================================================================
+/**
+ * @typedef {Object} TransactionStatement
+ * @paramDef {"type":"String","label":"SQL","name":"sql","required":true,"uiComponent":{"type":"MULTI_LINE_TEXT"},"description":"The T-SQL statement. Use @p1, @p2, ... placeholders for values bound via Parameters."}
+ * @paramDef {"type":"Array","label":"Parameters","name":"params","description":"Values for the @p1, @p2, ... placeholders of this statement, in order."}
+ */
+
 /**
  * @integrationName Microsoft SQL Server
  * @integrationIcon /icon.svg
@@ -49,6 +71,8 @@ class MicrosoftSQLServer {
     this.password = this.config.password
     this.encrypt = this.config.encrypt === true || this.config.encrypt === 'true'
     this.trustServerCertificate = this.config.trustServerCertificate === true || this.config.trustServerCertificate === 'true'
+    this.tls = tlsSettings(this.config)
+    this.sshTunnel = sshTunnelSettings(this.config)
 
     const timeoutSeconds = parseInt(this.config.connectionTimeoutSeconds, 10)
 
@@ -60,32 +84,61 @@ class MicrosoftSQLServer {
   //  call. A pool is created, connected, used and always closed in finally.
   //  Connections are NEVER cached between invocations. new sql.ConnectionPool
   //  is used instead of sql.connect() to avoid the driver's shared global
-  //  pool, which is unsafe with concurrent invocations.
+  //  pool, which is unsafe with concurrent invocations. With an SSH Host
+  //  configured, the pool connects through a tunnel that lives exactly as
+  //  long as the pool.
   // ==========================================================================
   async #withConnection(logTag, fn) {
-    const pool = new sql.ConnectionPool(this.#buildConnectionConfig(logTag))
+    const connectionConfig = this.#buildConnectionConfig(logTag)
 
     try {
-      logger.debug(`${ logTag } - connecting to ${ this.#connectionLabel() }`)
-
-      await pool.connect()
-
-      return await fn(pool)
+      logger.debug(`${ logTag } - connecting to ${ this.#connectionLabel() }${ this.sshTunnel ? ` via SSH ${ this.sshTunnel.host }` : '' }`)
+
+      return await withSshTunnel(this.sshTunnel, () => this.#tunnelTarget(connectionConfig), async tunnel => {
+        const pool = new sql.ConnectionPool(tunnel ? this.#throughTunnel(connectionConfig, tunnel) : connectionConfig)
+
+        try {
+          await pool.connect()
+
+          return await fn(pool)
+        } finally {
+          try {
+            await pool.close()
+          } catch (closeError) {
+            logger.warn(`${ logTag } - failed to close connection: ${ closeError.message }`)
+          }
+        }
+      })
     } catch (error) {
       this.#throwSqlError(error, logTag)
-    } finally {
-      try {
-        await pool.close()
-      } catch (closeError) {
-        logger.warn(`${ logTag } - failed to close connection: ${ closeError.message }`)
-      }
+    }
+  }
+
+  // The database endpoint as seen from the SSH bastion. Named instances are located through
+  // the SQL Server Browser over UDP, which an SSH tunnel cannot carry.
+  #tunnelTarget(connectionConfig) {
+    if (String(connectionConfig.server).includes('\\') || (connectionConfig.options && connectionConfig.options.instanceName)) {
+      throw new Error('SSH tunnel: named instances cannot be tunneled. Connect to the instance\'s TCP port instead (e.g. Server=db.internal,1433).')
+    }
+
+    return { host: connectionConfig.server, port: connectionConfig.port || DEFAULT_PORT }
+  }
+
+  // serverName keeps the certificate check on the database host, not the local tunnel end.
+  #throughTunnel(connectionConfig, tunnel) {
+    return {
+      ...connectionConfig,
+      server: tunnel.host,
+      port: tunnel.port,
+      options: { ...connectionConfig.options, serverName: connectionConfig.server },
     }
   }
 
   // A Connection String, when set, wins over the individual fields. It is parsed with the
   // driver's own parser (ADO.NET style: Server=host,1433;Database=db;User Id=u;Password=p;
   // Encrypt=true) so encryption settings come from the string itself — the Encrypt and
-  // Trust Server Certificate toggles apply to field-based configuration only.
+  // Trust Server Certificate toggles apply to field-based configuration only. A TLS CA
+  // Certificate applies to both and is what the server certificate is verified against.
   #buildConnectionConfig(logTag) {
     const shared = {
       requestTimeout: REQUEST_TIMEOUT_MS,
@@ -116,11 +169,11 @@ class MicrosoftSQLServer {
       }
 
       // The string's own Connection Timeout wins when present; the configured default applies otherwise.
-      return {
+      return this.#withTrustedCa({
         connectionTimeout: this.connectionTimeoutMillis,
         ...parsed,
         ...shared,
-      }
+      })
     }
 
     if (!this.host || !this.database || !this.user) {
@@ -133,7 +186,7 @@ class MicrosoftSQLServer {
       )
     }
 
-    return {
+    return this.#withTrustedCa({
       server: this.host,
       port: this.port,
       database: this.database,
@@ -145,7 +198,17 @@ class MicrosoftSQLServer {
       },
       connectionTimeout: this.connectionTimeoutMillis,
       ...shared,
-    }
+    })
+  }
+
+  // tedious hands cryptoCredentialsDetails to the TLS secure context, so a private CA is
+  // trusted next to the system CAs.
+  #withTrustedCa(connectionConfig) {
+    const { ca } = nodeTlsOptions(this.tls)
+
+    if (!ca) return connectionConfig
+
+    return { ...connectionConfig, options: { ...connectionConfig.options, cryptoCredentialsDetails: { ca } } }
   }
 
   // Human-readable connection target for logs. Never includes credentials: the connection
@@ -180,6 +243,10 @@ class MicrosoftSQLServer {
       )
     }
 
+    const certificateHint = chain.map(tlsErrorHint).find(Boolean)
+
+    if (certificateHint) parts.push(certificateHint)
+
     const message = parts.join(' | ')
 
     logger.error(`${ logTag } - failed: ${ message }`)
@@ -187,7 +254,8 @@ class MicrosoftSQLServer {
     throw new Error(`Microsoft SQL Server error: ${ message }`)
   }
 
-  // Binds positional values as named parameters @p1, @p2, ... and runs the statement.
+  // Binds positional values as named parameters @p1, @p2, ... and runs the statement on a
+  // pool or an open transaction (both expose request()).
   async #runQuery(pool, sqlText, params) {
     const request = pool.request()
 
@@ -272,6 +340,38 @@ class MicrosoftSQLServer {
     return Object.prototype.hasOwnProperty.call(mapping, value) ? mapping[value] : value
   }
 
+  // Accepts { sql, params } objects or plain SQL strings; rejects anything that would fail
+  // only after the transaction has begun, so a malformed list never opens a transaction.
+  #normalizeStatements(statements) {
+    if (!Array.isArray(statements) || !statements.length) {
+      throw new Error('Statements must be a non-empty array.')
+    }
+
+    return statements.map((statement, index) => {
+      const { sql: sqlText, params } = typeof statement === 'string' ? { sql: statement } : statement || {}
+
+      if (typeof sqlText !== 'string' || !sqlText.trim()) {
+        throw new Error(`Statement ${ index + 1 } has no SQL.`)
+      }
+
+      if (params !== undefined && params !== null && !Array.isArray(params)) {
+        throw new Error(`Parameters of statement ${ index + 1 } must be an array.`)
+      }
+
+      return { sqlText, params: params || [] }
+    })
+  }
+
+  #resolveIsolationLevel(isolationLevel) {
+    if (!isolationLevel || isolationLevel === 'Database Default') return undefined
+
+    if (!Object.prototype.hasOwnProperty.call(ISOLATION_LEVELS, isolationLevel)) {
+      throw new Error(`Unsupported isolation level: ${ isolationLevel }. Use one of: ${ Object.keys(ISOLATION_LEVELS).join(', ') }.`)
+    }
+
+    return sql.ISOLATION_LEVEL[ISOLATION_LEVELS[isolationLevel]]
+  }
+
   // ==========================================================================
   //  SQL
   // ==========================================================================
@@ -302,6 +402,63 @@ class MicrosoftSQLServer {
     })
   }
 
+  /**
+   * @operationName Execute Transaction
+   * @description Runs several T-SQL statements atomically on one connection: BEGIN TRANSACTION, each statement in order, then COMMIT. If any statement fails, the transaction is rolled back so none of the statements take effect, and the error names the failing statement. Returns the recordset and affected row counts of every statement, e.g. to insert an order, its lines and update stock all-or-nothing. Each statement is limited to 120 seconds, and so is the whole transaction.
+   * @category SQL
+   * @route POST /execute-transaction
+   * @appearanceColor #A91D22 #E8262C
+   * @executionTimeoutInSeconds 120
+   * @paramDef {"type":"Array<TransactionStatement>","label":"Statements","name":"statements","required":true,"description":"The statements to run, in order, e.g. [{\"sql\":\"INSERT INTO orders (customer_id) OUTPUT INSERTED.id VALUES (@p1)\",\"params\":[7]},{\"sql\":\"UPDATE stock SET qty = qty - @p1 WHERE sku = @p2\",\"params\":[1,\"A-1\"]}]. Use @p1, @p2, ... placeholders with each statement's own Parameters."}
+   * @paramDef {"type":"String","label":"Isolation Level","name":"isolationLevel","uiComponent":{"type":"DROPDOWN","options":{"values":["Database Default","Read Uncommitted","Read Committed","Repeatable Read","Serializable","Snapshot"]}},"defaultValue":"Database Default","description":"Transaction isolation level. Snapshot requires ALLOW_SNAPSHOT_ISOLATION to be enabled on the database. A deadlock (error 1205) rolls the transaction back; run the flow step again in that case."}
+   * @returns {Object}
+   * @sampleResult {"committed":true,"statementCount":2,"totalRowsAffected":2,"results":[{"index":0,"recordset":[{"id":101}],"rowsAffected":[1]},{"index":1,"recordset":[],"rowsAffected":[1]}]}
+   */
+  async executeTransaction(statements, isolationLevel) {
+    const queries = this.#normalizeStatements(statements)
+    const level = this.#resolveIsolationLevel(isolationLevel)
+
+    return this.#withConnection('executeTransaction', async pool => {
+      const transaction = new sql.Transaction(pool)
+      const results = []
+
+      await transaction.begin(level)
+
+      try {
+        for (const [index, { sqlText, params }] of queries.entries()) {
+          try {
+            const result = await this.#runQuery(transaction, sqlText, params)
+
+            results.push({ index, recordset: result.recordset || [], rowsAffected: result.rowsAffected || [] })
+          } catch (error) {
+            error.message = `statement ${ index + 1 } of ${ queries.length } failed, transaction rolled back: ${ error.message }`
+
+            throw error
+          }
+        }
+
+        await transaction.commit()
+      } catch (error) {
+        // SQL Server may already have aborted the transaction (e.g. on a deadlock), in which
+        // case rollback() fails too; the original error is the one worth reporting.
+        try {
+          await transaction.rollback()
+        } catch (rollbackError) {
+          logger.warn(`executeTransaction - rollback failed: ${ rollbackError.message }`)
+        }
+
+        throw error
+      }
+
+      return {
+        committed: true,
+        statementCount: results.length,
+        totalRowsAffected: results.reduce((total, result) => total + result.rowsAffected.reduce((sum, count) => sum + count, 0), 0),
+        results,
+      }
+    })
+  }
+
   // ==========================================================================
   //  ROWS
   // ==========================================================================
@@ -631,6 +788,97 @@ class MicrosoftSQLServer {
     })
   }
 
+  // ==========================================================================
+  //  TRIGGERS — polling on a watermark column: a value that only grows for new
+  //  (or changed) rows. The state keeps the last emitted watermark.
+  // ==========================================================================
+  /**
+   * @registerAs SYSTEM
+   * @paramDef {"type":"Object","label":"invocation","name":"invocation"}
+   * @returns {Object}
+   */
+  async handleTriggerPollingForEvent(invocation) {
+    return this[invocation.eventName](invocation)
+  }
+
+  /**
+   * @operationName On New Row
+   * @description Fires for every row inserted into a table. New rows are found through a watermark column whose value only grows, such as an auto-increment id or a created_at timestamp. The first poll only records the current maximum, so rows that already exist do not fire. Later polls return the new rows in ascending order, up to Max Rows per Poll at a time; the rest follow on the next poll. Rows whose watermark is NULL never fire. Polling interval can be customized (minimum 30 seconds).
+   * @category Triggers
+   * @registerAs POLLING_TRIGGER
+   * @route POST /on-new-row
+   * @appearanceColor #A91D22 #E8262C
+   * @executionTimeoutInSeconds 120
+   * @paramDef {"type":"String","label":"Table","name":"table","required":true,"dictionary":"getTablesDictionary","description":"The table to watch. May be schema-qualified (e.g. sales.Orders); defaults to the dbo schema."}
+   * @paramDef {"type":"String","label":"Watermark Column","name":"watermarkColumn","required":true,"dictionary":"getColumnsDictionary","dependsOn":["table"],"description":"Column whose value only grows for new rows - an IDENTITY id or a CreatedAt datetime2 column. Index it on large tables, since every poll filters and sorts on it."}
+   * @paramDef {"type":"Number","label":"Max Rows per Poll","name":"batchSize","uiComponent":{"type":"NUMERIC_STEPPER"},"defaultValue":100,"description":"Maximum number of rows one poll returns (default 100, at most 1000). The remaining rows follow on the next poll; rows sharing one watermark value are never split, so a larger group comes in full."}
+   * @returns {Object}
+   * @sampleResult {"OrderID":42,"Customer":"Ada","Total":19.9,"CreatedAt":"2024-05-01T12:00:00.000Z"}
+   */
+  async onNewRow(invocation) {
+    return this.#pollRows(invocation, 'onNewRow')
+  }
+
+  /**
+   * @operationName On Updated Row
+   * @description Fires for every row whose last-modified timestamp moved forward, e.g. an updated_at column that the application or a database trigger sets on each change. Inserted rows fire too when they set the column. The first poll only records the current maximum; later polls return the changed rows with their current values in ascending order, up to Max Rows per Poll at a time. A row changed several times between two polls fires once. Polling interval can be customized (minimum 30 seconds).
+   * @category Triggers
+   * @registerAs POLLING_TRIGGER
+   * @route POST /on-updated-row
+   * @appearanceColor #A91D22 #E8262C
+   * @executionTimeoutInSeconds 120
+   * @paramDef {"type":"String","label":"Table","name":"table","required":true,"dictionary":"getTablesDictionary","description":"The table to watch. May be schema-qualified (e.g. sales.Orders); defaults to the dbo schema."}
+   * @paramDef {"type":"String","label":"Watermark Column","name":"watermarkColumn","required":true,"dictionary":"getColumnsDictionary","dependsOn":["table"],"description":"Timestamp column set on every change, e.g. updated_at. Index it on large tables, since every poll filters and sorts on it."}
+   * @paramDef {"type":"Number","label":"Max Rows per Poll","name":"batchSize","uiComponent":{"type":"NUMERIC_STEPPER"},"defaultValue":100,"description":"Maximum number of rows one poll returns (default 100, at most 1000). The remaining rows follow on the next poll; rows sharing one watermark value are never split, so a larger group comes in full."}
+   * @returns {Object}
+   * @sampleResult {"OrderID":42,"Customer":"Ada","Total":24.5,"CreatedAt":"2024-05-01T12:00:00.000Z","UpdatedAt":"2024-05-02T09:15:00.000Z"}
+   */
+  async onUpdatedRow(invocation) {
+    return this.#pollRows(invocation, 'onUpdatedRow')
+  }
+
+  // The watermark is selected as ISO 8601 text (style 126): the driver would round datetime2
+  // values to JS Dates, and SQL Server converts the text back to the column type when comparing.
+  async #pollRows(invocation, logTag) {
+    const { table, watermarkColumn, batchSize } = invocation.triggerData || {}
+    const tableRef = this.#quoteTable(table)
+    const column = this.#quoteIdent(watermarkColumn)
+    const watermarkSql = `CONVERT(nvarchar(64), ${ column }, 126)`
+
+    return this.#withConnection(logTag, async pool => {
+      const select = async (sqlText, params) => (await this.#runQuery(pool, sqlText, params)).recordset || []
+
+      const result = await pollRows(invocation, {
+        latestRow: async () => {
+          const rows = await select(
+            `SELECT TOP (1) *, ${ watermarkSql } AS [${ WATERMARK_KEY }] FROM ${ tableRef } WHERE ${ column } IS NOT NULL ORDER BY ${ column } DESC`
+          )
+
+          return rows[0] || null
+        },
+        maxWatermark: async () => {
+          const rows = await select(`SELECT CONVERT(nvarchar(64), MAX(${ column }), 126) AS watermark FROM ${ tableRef }`)
+
+          return rows[0].watermark
+        },
+        rowsAfter: async (watermark, limit) => {
+          const head = `SELECT TOP (@p1) *, ${ watermarkSql } AS [${ WATERMARK_KEY }] FROM ${ tableRef }`
+
+          return watermark === null
+            ? select(`${ head } WHERE ${ column } IS NOT NULL ORDER BY ${ column }`, [limit])
+            : select(`${ head } WHERE ${ column } > @p2 ORDER BY ${ column }`, [limit, watermark])
+        },
+        rowsAt: async watermark => {
+          return select(`SELECT *, ${ watermarkSql } AS [${ WATERMARK_KEY }] FROM ${ tableRef } WHERE ${ column } = @p1`, [watermark])
+        },
+      }, { key: `${ table }.${ watermarkColumn }`, batchSize })
+
+      logger.debug(`${ logTag } - ${ result.events.length } row(s), watermark=${ result.state && result.state.watermark }`)
+
+      return result
+    })
+  }
+
   // ==========================================================================
   //  DICTIONARIES
   // ==========================================================================
@@ -783,7 +1031,7 @@ Flowrunner.ServerCode.addService(MicrosoftSQLServer, [
     required: false,
     shared: false,
     defaultValue: false,
-    hint: 'Accept the server\'s TLS certificate without validation. Enable for servers with self-signed certificates (local development, some on-premises installs). Applies to field-based configuration only; with a Connection String, set TrustServerCertificate= in the string.',
+    hint: 'Accept the server\'s TLS certificate without validation, e.g. a self-signed one in development. For a private CA, add it as TLS CA Certificate instead. Field-based configuration only; in a Connection String set TrustServerCertificate=.',
   },
   {
     name: 'connectionTimeoutSeconds',
@@ -794,4 +1042,6 @@ Flowrunner.ServerCode.addService(MicrosoftSQLServer, [
     defaultValue: '15',
     hint: 'How long to wait when establishing a connection before failing. Defaults to 15 seconds.',
   },
+  tlsCaCertConfigItem,
+  ...sshTunnelConfigItems,
 ])
@@ -73,7 +73,81 @@ jest.mock(
       }
     }
 
-    return { ConnectionPool }
+    // Statements run through a transaction land in the pool's query log, and
+    // begin/commit/rollback are recorded in order on the pool as well.
+    class Transaction {
+      constructor(pool) {
+        this.pool = pool
+        pool.transactionEvents = []
+      }
+
+      async begin(isolationLevel) {
+        this.pool.transactionEvents.push({ event: 'begin', isolationLevel })
+      }
+
+      request() {
+        return this.pool.request()
+      }
+
+      async commit() {
+        this.pool.transactionEvents.push({ event: 'commit' })
+      }
+
+      async rollback() {
+        this.pool.transactionEvents.push({ event: 'rollback' })
+      }
+    }
+
+    const ISOLATION_LEVEL = {
+      READ_UNCOMMITTED: 1,
+      READ_COMMITTED: 2,
+      REPEATABLE_READ: 3,
+      SERIALIZABLE: 4,
+      SNAPSHOT: 5,
+    }
+
+    return { ConnectionPool, Transaction, ISOLATION_LEVEL }
+  },
+  { virtual: true }
+)
+
+// ssh2 is not installed either. The fake bastion logs in on the next tick and refuses every
+// forwarded channel after recording its target, which is all the service tests need.
+let mockSshClients = []
+let mockSshLoginError = null
+
+jest.mock(
+  'ssh2',
+  () => {
+    const { EventEmitter } = require('events')
+
+    class Client extends EventEmitter {
+      constructor() {
+        super()
+        this.forwards = []
+        this.ended = false
+
+        mockSshClients.push(this)
+      }
+
+      connect(options) {
+        this.options = options
+
+        setImmediate(() => (mockSshLoginError ? this.emit('error', mockSshLoginError) : this.emit('ready')))
+      }
+
+      forwardOut(srcIP, srcPort, dstHost, dstPort, callback) {
+        this.forwards.push({ host: dstHost, port: dstPort })
+
+        callback(new Error('channel refused'))
+      }
+
+      end() {
+        this.ended = true
+      }
+    }
+
+    return { Client }
   },
   { virtual: true }
 )
@@ -90,6 +164,13 @@ function sql(text) {
   return text.replace(/\s+/g, ' ').trim()
 }
 
+/** Opens one connection to a local tunnel port and waits until the fake bastion refuses it. */
+function touchTunnel(port) {
+  return new Promise(resolve => {
+    require('net').connect(port, '127.0.0.1').on('close', resolve).on('error', () => {})
+  })
+}
+
 function lastPool() {
   return mockPools[mockPools.length - 1]
 }
@@ -133,6 +214,8 @@ describe('Microsoft SQL Server Service', () => {
     mockConnectError = null
     mockCloseError = null
     mockQueryImpl = () => ({ recordset: [], rowsAffected: [] })
+    mockSshClients = []
+    mockSshLoginError = null
 
     mockParseConnectionString = () => ({
       server: 'db.example.com',
@@ -167,6 +250,14 @@ describe('Microsoft SQL Server Service', () => {
         'encrypt',
         'trustServerCertificate',
         'connectionTimeoutSeconds',
+        'tlsCaCert',
+        'sshHost',
+        'sshPort',
+        'sshUser',
+        'sshPassword',
+        'sshPrivateKey',
+        'sshPassphrase',
+        'sshHostKeyFingerprint',
       ])
 
       items.forEach(item => {
@@ -225,6 +316,23 @@ describe('Microsoft SQL Server Service', () => {
       })
     })
 
+    it('trusts the TLS CA Certificate for field and connection string configuration', async () => {
+      const ca = '-----BEGIN CERTIFICATE-----\nMIIBca\n-----END CERTIFICATE-----'
+
+      build({ ...BASE_CONFIG, encrypt: true, tlsCaCert: ca })
+
+      await service.listTables()
+
+      expect(mockPools[0].config.options).toEqual({ encrypt: true, trustServerCertificate: false, cryptoCredentialsDetails: { ca } })
+
+      mockParseConnectionString = () => ({ server: 'db.internal', database: 'sdb', options: { encrypt: true } })
+      build({ connectionString: 'Server=db.internal;Database=sdb;Encrypt=true', tlsCaCert: ca })
+
+      await service.listTables()
+
+      expect(mockPools[1].config.options).toEqual({ encrypt: true, cryptoCredentialsDetails: { ca } })
+    })
+
     it('falls back to the defaults for unparsable port and timeout values', async () => {
       build({ ...BASE_CONFIG, port: 'abc', connectionTimeoutSeconds: '0' })
 
@@ -342,6 +450,14 @@ describe('Microsoft SQL Server Service', () => {
       await expect(service.listTables()).rejects.toThrow(/IPv6-only address/)
     })
 
+    it('adds a CA hint for a nested certificate error', async () => {
+      mockConnectError = Object.assign(new Error('Failed to connect to db.internal:1433 - self-signed certificate'), {
+        originalError: Object.assign(new Error('self-signed certificate'), { code: 'DEPTH_ZERO_SELF_SIGNED_CERT' }),
+      })
+
+      await expect(service.listTables()).rejects.toThrow(/into TLS CA Certificate/)
+    })
+
     it('includes the line number when the driver reports one', async () => {
       mockQueryImpl = () => {
         throw Object.assign(new Error('Incorrect syntax'), { number: 102, lineNumber: 3 })
@@ -353,6 +469,63 @@ describe('Microsoft SQL Server Service', () => {
     })
   })
 
+  // ── SSH tunnel ──
+
+  describe('SSH tunnel', () => {
+    const SSH_CONFIG = { sshHost: 'bastion.example.com', sshUser: 'deploy', sshPassword: 'pw' }
+
+    it('connects through a local port forwarded by the bastion and closes it afterwards', async () => {
+      build({ ...BASE_CONFIG, ...SSH_CONFIG })
+
+      mockQueryImpl = async () => {
+        await touchTunnel(lastPool().config.port)
+
+        return { recordset: [], rowsAffected: [] }
+      }
+
+      await service.executeQuery('SELECT 1')
+
+      expect(mockSshClients[0].options).toMatchObject({ host: 'bastion.example.com', port: 22, username: 'deploy', password: 'pw' })
+      expect(lastPool().config).toMatchObject({ server: '127.0.0.1', database: 'app', user: 'admin' })
+      expect(mockSshClients[0].forwards).toEqual([{ host: 'db.example.com', port: 1433 }])
+      expect(lastPool().closed).toBe(true)
+      expect(mockSshClients[0].ended).toBe(true)
+    })
+
+    it('tunnels to the server and port of a connection string', async () => {
+      build({ connectionString: 'Server=db.internal,1533;Database=mydb', ...SSH_CONFIG })
+      mockParseConnectionString = () => ({ server: 'db.internal', port: 1533, database: 'mydb', options: { encrypt: true } })
+
+      mockQueryImpl = async () => {
+        await touchTunnel(lastPool().config.port)
+
+        return { recordset: [], rowsAffected: [] }
+      }
+
+      await service.executeQuery('SELECT 1')
+
+      expect(lastPool().config).toMatchObject({ server: '127.0.0.1', database: 'mydb', options: { encrypt: true, serverName: 'db.internal' } })
+      expect(mockSshClients[0].forwards).toEqual([{ host: 'db.internal', port: 1533 }])
+    })
+
+    it('rejects named instances and failed bastion logins without opening a pool', async () => {
+      build({ ...BASE_CONFIG, host: 'db.example.com\\SQLEXPRESS', ...SSH_CONFIG })
+
+      await expect(service.executeQuery('SELECT 1')).rejects.toThrow(
+        'Microsoft SQL Server error: SSH tunnel: named instances cannot be tunneled.'
+      )
+
+      build({ ...BASE_CONFIG, ...SSH_CONFIG })
+      mockSshLoginError = new Error('Timed out while waiting for handshake')
+
+      await expect(service.executeQuery('SELECT 1')).rejects.toThrow(
+        'Microsoft SQL Server error: SSH tunnel to bastion.example.com:22 failed: Timed out while waiting for handshake'
+      )
+
+      expect(mockPools).toHaveLength(0)
+    })
+  })
+
   // ── SQL ──
 
   describe('executeQuery', () => {
@@ -393,6 +566,74 @@ describe('Microsoft SQL Server Service', () => {
     })
   })
 
+  describe('executeTransaction', () => {
+    it('runs the statements inside one transaction and commits', async () => {
+      mockQueryImpl = sqlText => sqlText.startsWith('INSERT')
+        ? { recordset: [{ id: 101 }], rowsAffected: [1] }
+        : { recordset: undefined, rowsAffected: [2] }
+
+      const result = await service.executeTransaction([
+        { sql: 'INSERT INTO Orders (customerId) OUTPUT INSERTED.id VALUES (@p1)', params: [7] },
+        'UPDATE Stock SET qty = qty - 1',
+      ])
+
+      expect(mockPools).toHaveLength(1)
+
+      expect(lastPool().queries).toEqual([
+        { sql: 'INSERT INTO Orders (customerId) OUTPUT INSERTED.id VALUES (@p1)', params: [{ name: 'p1', value: 7 }] },
+        { sql: 'UPDATE Stock SET qty = qty - 1', params: [] },
+      ])
+
+      expect(lastPool().transactionEvents).toEqual([{ event: 'begin', isolationLevel: undefined }, { event: 'commit' }])
+      expect(lastPool().closed).toBe(true)
+
+      expect(result).toEqual({
+        committed: true,
+        statementCount: 2,
+        totalRowsAffected: 3,
+        results: [
+          { index: 0, recordset: [{ id: 101 }], rowsAffected: [1] },
+          { index: 1, recordset: [], rowsAffected: [2] },
+        ],
+      })
+    })
+
+    it('begins the transaction with the chosen isolation level', async () => {
+      await service.executeTransaction(['SELECT 1'], 'Snapshot')
+
+      expect(lastPool().transactionEvents[0]).toEqual({ event: 'begin', isolationLevel: 5 })
+    })
+
+    it('rolls back and names the failing statement', async () => {
+      mockQueryImpl = sqlText => {
+        if (sqlText.includes('Missing')) {
+          throw Object.assign(new Error("Invalid object name 'Missing'."), { number: 208 })
+        }
+
+        return { recordset: [], rowsAffected: [1] }
+      }
+
+      await expect(service.executeTransaction(['DELETE FROM Jobs', 'DELETE FROM Missing'])).rejects.toThrow(
+        "Microsoft SQL Server error: statement 2 of 2 failed, transaction rolled back: Invalid object name 'Missing'. | number: 208"
+      )
+
+      expect(lastPool().transactionEvents.map(entry => entry.event)).toEqual(['begin', 'rollback'])
+      expect(lastPool().closed).toBe(true)
+    })
+
+    it('validates the statements and isolation level without opening a connection', async () => {
+      await expect(service.executeTransaction('SELECT 1')).rejects.toThrow('Statements must be a non-empty array.')
+
+      await expect(service.executeTransaction([{ sql: 'SELECT @p1', params: 1 }])).rejects.toThrow(
+        'Parameters of statement 1 must be an array.'
+      )
+
+      await expect(service.executeTransaction(['SELECT 1'], 'Chaos')).rejects.toThrow('Unsupported isolation level: Chaos')
+
+      expect(mockPools).toHaveLength(0)
+    })
+  })
+
   // ── Rows ──
 
   describe('selectRows', () => {
@@ -847,6 +1088,53 @@ describe('Microsoft SQL Server Service', () => {
     })
   })
 
+  // ── Triggers ──
+
+  describe('row triggers', () => {
+    const triggerData = { table: 'sales.Orders', watermarkColumn: 'ModifiedAt', batchSize: 25 }
+    const state = { key: 'sales.Orders.ModifiedAt', watermark: '2024-05-01T10:00:00.1234567' }
+
+    it('records the current maximum as ISO text on the first poll', async () => {
+      mockQueryImpl = () => ({ recordset: [{ watermark: '2024-05-01T10:00:00.1234567' }] })
+
+      const result = await service.handleTriggerPollingForEvent({ eventName: 'onUpdatedRow', triggerData })
+
+      expect(result).toEqual({ events: [], state })
+      expect(sql(lastQuery().sql)).toBe('SELECT CONVERT(nvarchar(64), MAX([ModifiedAt]), 126) AS watermark FROM [sales].[Orders]')
+    })
+
+    it('returns the rows after the watermark, oldest first', async () => {
+      mockQueryImpl = () => ({
+        recordset: [
+          { OrderID: 1, ModifiedAt: new Date('2024-05-01T10:00:01Z'), __watermark: '2024-05-01T10:00:01.0000001' },
+          { OrderID: 2, ModifiedAt: new Date('2024-05-01T10:00:02Z'), __watermark: '2024-05-01T10:00:02.0000000' },
+        ],
+      })
+
+      const result = await service.handleTriggerPollingForEvent({ eventName: 'onUpdatedRow', triggerData, state })
+
+      expect(result.events.map(row => row.OrderID)).toEqual([1, 2])
+      expect(result.events[0]).not.toHaveProperty('__watermark')
+      expect(result.state).toEqual({ key: 'sales.Orders.ModifiedAt', watermark: '2024-05-01T10:00:02.0000000' })
+
+      expect(sql(lastQuery().sql)).toBe(
+        'SELECT TOP (@p1) *, CONVERT(nvarchar(64), [ModifiedAt], 126) AS [__watermark] FROM [sales].[Orders] ' +
+        'WHERE [ModifiedAt] > @p2 ORDER BY [ModifiedAt]'
+      )
+
+      expect(boundValues()).toEqual([25, '2024-05-01T10:00:00.1234567'])
+    })
+
+    it('returns the latest row in learning mode', async () => {
+      mockQueryImpl = () => ({ recordset: [{ OrderID: 9, __watermark: '9' }] })
+
+      const result = await service.handleTriggerPollingForEvent({ eventName: 'onNewRow', triggerData, learningMode: true })
+
+      expect(result).toEqual({ events: [{ OrderID: 9 }], state: null })
+      expect(sql(lastQuery().sql)).toMatch(/^SELECT TOP \(1\) \*, .* ORDER BY \[ModifiedAt\] DESC$/)
+    })
+  })
+
   // ── Dictionaries ──
 
   describe('getTablesDictionary', () => {
@@ -2,6 +2,7 @@
 
 const { jsonRequest } = require('./aws-client')
 const { CredentialProvider } = require('./credentials')
+const { endpointFromConfig } = require('./endpoints')
 const { createLogger, mapAwsError } = require('./errors')
 const { awsConfigItems } = require('./config-items')
 
@@ -14,13 +15,18 @@ class SQS {
     this.region = config.region || 'us-east-1'
     this.logger = createLogger('SQS')
 
+    this.endpoint = endpointFromConfig(config)
+
     this.credentials = new CredentialProvider({
+      service: 'sqs',
       authenticationMethod: config.authenticationMethod || 'API Key',
       accessKeyId: config.accessKeyId,
       secretAccessKey: config.secretAccessKey,
+      sessionToken: config.sessionToken,
       region: this.region,
       roleArn: config.roleArn,
       externalId: config.externalId,
+      endpoint: this.endpoint,
     })
 
     this.deps = { jsonRequest }
@@ -30,7 +36,7 @@ class SQS {
     const creds = await this.credentials.resolve()
 
     return this.deps.jsonRequest(
-      { region: this.region, service: 'sqs', target: `AmazonSQS.${ operation }`, contentType: 'application/x-amz-json-1.0', body },
+      { region: this.region, service: 'sqs', target: `AmazonSQS.${ operation }`, contentType: 'application/x-amz-json-1.0', body, endpoint: this.endpoint },
       creds
     )
   }
@@ -175,8 +175,11 @@ describe('Amazon SQS Service', () => {
         'region',
         'accessKeyId',
         'secretAccessKey',
+        'sessionToken',
         'roleArn',
         'externalId',
+        'endpointVariant',
+        'endpoint',
       ])
 
       items.forEach(item => {
@@ -201,8 +204,11 @@ describe('Amazon SQS Service', () => {
       expect(items.filter(item => item.required === false).map(item => item.name)).toEqual([
         'accessKeyId',
         'secretAccessKey',
+        'sessionToken',
         'roleArn',
         'externalId',
+        'endpointVariant',
+        'endpoint',
       ])
     })
 
@@ -259,6 +265,31 @@ describe('Amazon SQS Service', () => {
       expect(lastCall().opts.region).toBe('eu-central-1')
     })
 
+    it('sends requests to a custom endpoint such as LocalStack', async () => {
+      build({ ...BASE_CONFIG, endpoint: 'http://localhost:4566/' })
+
+      await service.sendJson('ListQueues', {})
+
+      expect(lastCall().opts.endpoint).toEqual({ url: 'http://localhost:4566', fips: false, dualStack: false })
+      expect(service.credentials.endpoint).toBe(lastCall().opts.endpoint)
+    })
+
+    it('selects the FIPS endpoint variant', async () => {
+      build({ ...BASE_CONFIG, endpointVariant: 'FIPS' })
+
+      await service.sendJson('ListQueues', {})
+
+      expect(lastCall().opts.endpoint).toEqual({ url: undefined, fips: true, dualStack: false })
+    })
+
+    it('signs with a configured session token', async () => {
+      build({ ...BASE_CONFIG, sessionToken: 'SESSION' })
+
+      await service.sendJson('ListQueues', {})
+
+      expect(lastCall().credentials).toEqual({ ...CREDENTIALS, sessionToken: 'SESSION' })
+    })
+
     it('propagates credential resolution failures', async () => {
       build({ authenticationMethod: 'API Key' })
 
@@ -708,6 +739,7 @@ describe('Amazon SQS Service', () => {
 
       const provider = new CredentialProvider(
         {
+          service: 'sqs',
           authenticationMethod: 'IAM Role',
           accessKeyId: 'BASE_AK',
           secretAccessKey: 'BASE_SK',
@@ -727,7 +759,8 @@ describe('Amazon SQS Service', () => {
         'eu-west-1',
         'arn:aws:iam::123456789012:role/MyRole',
         'flowrunner-sqs-1000000',
-        'ext-1'
+        'ext-1',
+        undefined
       )
 
       // Well inside the validity window: served from cache.
@@ -1,5 +1,7 @@
 const StripeApiClient = require('stripe')
 
+const { fetchAllPages, startingAfterCursor } = require('./pagination')
+
 const logger = {
   info: (...args) => console.log('[Stripe Service] info:', ...args),
   debug: (...args) => console.log('[Stripe Service] debug:', ...args),
@@ -273,18 +275,34 @@ class Stripe {
    *
    * @paramDef {"type":"Object","label":"Options","name":"options","description":"Options to filter the list of customers, such as `limit`, `starting_after`, `ending_before`."}
    * @paramDef {"type":"Object","label":"Request Options","name":"requestOptions","description":"Request Options. Could be found in Stripe method documentation."}
+   * @paramDef {"type":"Boolean","label":"Return All Results","name":"returnAll","uiComponent":{"type":"TOGGLE"},"description":"Follow `has_more` and return the customers of every page in `data`, starting after `starting_after` if set. Stops at Max Items or when the time limit of this action is nearly used up; `has_more` is then true and the last customer's ID continues the list."}
+   * @paramDef {"type":"Number","label":"Max Items","name":"maxItems","uiComponent":{"type":"NUMERIC_STEPPER"},"description":"Upper limit on the customers returned when Return All Results is on. Defaults to 10000."}
    *
    * @returns {Promise.<Object>} A promise that resolves with a list of customer objects.
    * @sampleResult {"object":"list","url":"/v1/customers","has_more":false,"data":[{"id":"cus_NffrFeUfNV2Hib","object":"customer","address":null,"balance":0,"created":1680893993,"currency":null,"default_source":null,"delinquent":false,"description":null,"discount":null,"email":"jennyrosen@example.com","invoice_prefix":"0759376C","invoice_settings":{"custom_fields":null,"default_payment_method":null,"footer":null,"rendering_options":null},"livemode":false,"metadata":{},"name":"Jenny Rosen","next_invoice_sequence":1,"phone":null,"preferred_locales":[],"shipping":null,"tax_exempt":"none","test_clock":null}]}
    *
    * @throws {Error} Throws an error if listing customers fails.
    */
-  async getCustomersList(options, requestOptions) {
-    logger.debug('[getCustomersList] Payload', { options, requestOptions })
+  async getCustomersList(options, requestOptions, returnAll, maxItems) {
+    logger.debug('[getCustomersList] Payload', { options, requestOptions, returnAll, maxItems })
 
     this.#initApiClient()
 
-    return this.stripe.customers.list(options, requestOptions)
+    if (!returnAll) {
+      return this.stripe.customers.list(options, requestOptions)
+    }
+
+    const { items, truncated } = await fetchAllPages(async (startingAfter, { remaining }) => {
+      const page = await this.stripe.customers.list({
+        ...options,
+        limit: Math.min(options?.limit || 100, 100, remaining),
+        starting_after: startingAfter,
+      }, requestOptions)
+
+      return { items: page.data, nextCursor: startingAfterCursor(page) }
+    }, { cursor: options?.starting_after, maxItems, timeoutSeconds: 120 })
+
+    return { object: 'list', url: '/v1/customers', has_more: truncated, data: items }
   }
 
   /**
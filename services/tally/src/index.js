@@ -5,6 +5,8 @@
 //  Rate limit: ~100 requests per minute
 // ============================================================================
 
+const { getHeader, getRawBody, generateWebhookSecret, verifyHmac } = require('./webhook-signatures')
+
 const API_BASE_URL = 'https://api.tally.so'
 
 const logger = {
@@ -497,6 +499,7 @@ class Tally {
 
     const separator = invocation.callbackUrl.includes('?') ? '&' : '?'
     const callbackUrl = `${ invocation.callbackUrl }${ separator }connectionId=${ invocation.connectionId }`
+    const signingSecret = generateWebhookSecret()
     const webhooks = []
 
     for (const event of invocation.events || []) {
@@ -509,11 +512,12 @@ class Tally {
           formId,
           url: callbackUrl,
           eventTypes: ['FORM_RESPONSE'],
+          signingSecret,
         },
         logTag: 'handleTriggerUpsertWebhook',
       })
 
-      webhooks.push({ triggerId: event.id, webhookId: created?.id, formId })
+      webhooks.push({ triggerId: event.id, webhookId: created?.id, formId, signingSecret })
     }
 
     return { webhookData: { webhooks }, connectionId: invocation.connectionId }
@@ -535,6 +539,12 @@ class Tally {
 
     const connectionId = invocation.queryParams?.connectionId
 
+    if (!this.#verifyWebhookSignature(invocation)) {
+      logger.warn('handleTriggerResolveEvents: Tally-Signature verification failed — rejecting delivery')
+
+      return { connectionId, events: [] }
+    }
+
     // Each delivery is a single event envelope: { eventId, eventType, createdAt, data }.
     const rawEvent = invocation.body
     const isFormResponse = rawEvent && typeof rawEvent === 'object' &&
@@ -545,6 +555,24 @@ class Tally {
     return { connectionId, events }
   }
 
+  // Verifies the Tally-Signature header: base64 HMAC-SHA256 of the raw body keyed with the
+  // signingSecret registered with the webhook. Webhooks stored without a secret (created before
+  // signing was enabled) are accepted with a warning.
+  #verifyWebhookSignature(invocation) {
+    const secrets = (invocation.webhookData?.webhooks || []).map(hook => hook.signingSecret).filter(Boolean)
+
+    if (!secrets.length) {
+      logger.warn('No webhook signing secret stored — skipping signature verification.')
+
+      return true
+    }
+
+    const signature = getHeader(invocation.headers, 'tally-signature')
+    const rawBody = getRawBody(invocation)
+
+    return secrets.some(secret => verifyHmac({ secret, payload: rawBody, signature, encoding: 'base64' }))
+  }
+
   /**
    * @registerAs SYSTEM
    * @route POST /handleTriggerSelectMatched
@@ -1,5 +1,7 @@
 'use strict'
 
+const crypto = require('crypto')
+
 const { createSandbox } = require('../../../service-sandbox')
 
 const API_KEY = 'test-tally-api-key'
@@ -626,7 +628,9 @@ describe('Tally Service', () => {
         formId: 'f1',
         url: 'https://flow.test/callback?connectionId=conn1',
         eventTypes: ['FORM_RESPONSE'],
+        signingSecret: result.webhookData.webhooks[0].signingSecret,
       })
+      expect(result.webhookData.webhooks[0].signingSecret).toMatch(/^[0-9a-f]{64}$/)
       expect(result.webhookData.webhooks).toHaveLength(2)
       expect(result.connectionId).toBe('conn1')
     })
@@ -715,6 +719,37 @@ describe('Tally Service', () => {
 
       expect(result.events).toHaveLength(1)
     })
+
+    describe('signature verification', () => {
+      const webhookData = { webhooks: [{ triggerId: 't1', webhookId: 'wh1', formId: 'f1', signingSecret: 'tally-secret' }] }
+      const body = { eventId: 'ev2', eventType: 'FORM_RESPONSE', data: { responseId: 'r2', formId: 'f1', fields: [] } }
+      const rawBody = JSON.stringify(body)
+
+      it('accepts a delivery signed with the stored signing secret', async () => {
+        const signature = crypto.createHmac('sha256', 'tally-secret').update(rawBody).digest('base64')
+
+        const result = await service.handleTriggerResolveEvents({
+          queryParams: { connectionId: 'conn1' },
+          headers: { 'Tally-Signature': signature },
+          body,
+          rawBody,
+          webhookData,
+        })
+
+        expect(result.events).toHaveLength(1)
+      })
+
+      it('rejects forged and unsigned deliveries', async () => {
+        const signature = crypto.createHmac('sha256', 'guessed').update(rawBody).digest('base64')
+        const base = { queryParams: { connectionId: 'conn1' }, body, rawBody, webhookData }
+
+        const forged = await service.handleTriggerResolveEvents({ ...base, headers: { 'tally-signature': signature } })
+        const unsigned = await service.handleTriggerResolveEvents(base)
+
+        expect(forged).toEqual({ connectionId: 'conn1', events: [] })
+        expect(unsigned.events).toEqual([])
+      })
+    })
   })
 
   describe('handleTriggerSelectMatched', () => {
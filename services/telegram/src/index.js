@@ -1,3 +1,5 @@
+const { getHeader, generateWebhookSecret, verifySecretToken } = require('./webhook-signatures')
+
 const API_BASE_URL = 'https://api.telegram.org'
 
 const logger = {
@@ -597,16 +599,20 @@ class Telegram {
   async handleTriggerUpsertWebhook(invocation) {
     const { callbackUrl } = invocation
 
+    // Telegram echoes this secret back in X-Telegram-Bot-Api-Secret-Token on every update
+    const secretToken = invocation.webhookData?.secretToken || generateWebhookSecret()
+
     try {
       logger.debug('[handleTriggerUpsertWebhook] Starting webhook upsert', invocation)
 
-      const webhookResponse = await this.#setWebhook(callbackUrl)
+      const webhookResponse = await this.#setWebhook(callbackUrl, secretToken)
 
       logger.info('[handleTriggerUpsertWebhook] Webhook set successfully', webhookResponse)
 
       return {
         webhookData: {
           webhookUrl: callbackUrl,
+          secretToken,
           created: new Date().toISOString(),
         },
       }
@@ -627,6 +633,15 @@ class Telegram {
 
     logger.debug('[handleTriggerResolveEvents] Received webhook event', invocation)
 
+    if (!this.#verifySecretToken(invocation)) {
+      logger.warn('[handleTriggerResolveEvents] X-Telegram-Bot-Api-Secret-Token mismatch — rejecting delivery')
+
+      return {
+        events: [],
+        connectionId: invocation.queryParams?.connectionId,
+      }
+    }
+
     let events = []
 
     if (body.message) {
@@ -678,13 +693,31 @@ class Telegram {
     }
   }
 
-  async #setWebhook(url) {
+  // Webhooks set before the secret token was stored carry no secret; those updates are accepted
+  // with a warning until the webhook is refreshed.
+  #verifySecretToken(invocation) {
+    const expected = invocation.webhookData?.secretToken
+
+    if (!expected) {
+      logger.warn('[handleTriggerResolveEvents] No secret token stored — skipping verification.')
+
+      return true
+    }
+
+    return verifySecretToken({
+      expected,
+      provided: getHeader(invocation.headers, 'x-telegram-bot-api-secret-token'),
+    })
+  }
+
+  async #setWebhook(url, secretToken) {
     return this.#apiRequest({
       url: `${ API_BASE_URL }/bot${ this.botToken }/setWebhook`,
       method: 'post',
       logTag: 'setWebhook',
       body: {
         url,
+        secret_token: secretToken,
       },
     })
   }
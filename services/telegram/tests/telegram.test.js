@@ -595,12 +595,25 @@ describe('Telegram Service', () => {
         callbackUrl: 'https://example.com/webhook',
       })
 
-      expect(mock.history[0].body).toEqual({ url: 'https://example.com/webhook' })
+      expect(mock.history[0].body).toEqual({ url: 'https://example.com/webhook', secret_token: result.webhookData.secretToken })
+      expect(result.webhookData.secretToken).toMatch(/^[0-9a-f]{64}$/)
       expect(result).toHaveProperty('webhookData')
       expect(result.webhookData).toHaveProperty('webhookUrl', 'https://example.com/webhook')
       expect(result.webhookData).toHaveProperty('created')
     })
 
+    it('keeps the stored secret token when the webhook is refreshed', async () => {
+      mock.onPost(`${ BASE }/setWebhook`).reply({ ok: true })
+
+      const result = await service.handleTriggerUpsertWebhook({
+        callbackUrl: 'https://example.com/webhook',
+        webhookData: { secretToken: 'stored-secret' },
+      })
+
+      expect(mock.history[0].body.secret_token).toBe('stored-secret')
+      expect(result.webhookData.secretToken).toBe('stored-secret')
+    })
+
     it('throws on webhook set failure', async () => {
       mock.onPost(`${ BASE }/setWebhook`).replyWithError({
         message: 'Unauthorized',
@@ -641,6 +654,34 @@ describe('Telegram Service', () => {
       expect(result.connectionId).toBe('conn-2')
       expect(result.events).toHaveLength(0)
     })
+
+    it('accepts updates carrying the stored secret token', async () => {
+      const result = await service.handleTriggerResolveEvents({
+        body: { update_id: 125, message: { message_id: 2, chat: { id: 999 }, text: 'Hi' } },
+        headers: { 'X-Telegram-Bot-Api-Secret-Token': 'stored-secret' },
+        queryParams: { connectionId: 'conn-3' },
+        webhookData: { secretToken: 'stored-secret' },
+      })
+
+      expect(result.events).toHaveLength(1)
+    })
+
+    it('rejects updates with a missing or wrong secret token', async () => {
+      const invocation = {
+        body: { update_id: 126, message: { message_id: 3, chat: { id: 999 }, text: 'Forged' } },
+        queryParams: { connectionId: 'conn-4' },
+        webhookData: { secretToken: 'stored-secret' },
+      }
+
+      expect(await service.handleTriggerResolveEvents(invocation)).toEqual({ events: [], connectionId: 'conn-4' })
+
+      const forged = await service.handleTriggerResolveEvents({
+        ...invocation,
+        headers: { 'x-telegram-bot-api-secret-token': 'guessed' },
+      })
+
+      expect(forged.events).toEqual([])
+    })
   })
 
   describe('handleTriggerSelectMatched', () => {
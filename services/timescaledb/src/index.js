@@ -1,5 +1,8 @@
 const pg = require('pg')
 
+const { tlsConfigItems, tlsSettings, nodeTlsOptions, withoutUrlTlsParams, tlsErrorHint } = require('./db-tls')
+const { WATERMARK_KEY, pollRows } = require('./row-polling')
+
 const logger = {
   info: (...args) => console.log('[TimescaleDB] info:', ...args),
   debug: (...args) => console.log('[TimescaleDB] debug:', ...args),
@@ -12,6 +15,13 @@ const DEFAULT_CONNECTION_TIMEOUT_SECONDS = 10
 const STATEMENT_TIMEOUT_MS = 120000
 const DICTIONARY_PAGE_SIZE = 200
 
+// Isolation Level choices -> SQL keywords; the database default needs no clause.
+const ISOLATION_LEVELS = {
+  'Read Committed': 'READ COMMITTED',
+  'Repeatable Read': 'REPEATABLE READ',
+  'Serializable': 'SERIALIZABLE',
+}
+
 // ============================================================================
 //  DICTIONARY PAYLOAD TYPEDEFS
 // ============================================================================
@@ -39,6 +49,15 @@ const DICTIONARY_PAGE_SIZE = 200
  * @paramDef {"type":"String","label":"Cursor","name":"cursor","description":"Pagination cursor for the next page of results."}
  */
 
+// ============================================================================
+//  TYPEDEFS
+// ============================================================================
+/**
+ * @typedef {Object} TransactionStatement
+ * @paramDef {"type":"String","label":"SQL","name":"sql","required":true,"uiComponent":{"type":"MULTI_LINE_TEXT"},"description":"The SQL statement. Use $1, $2, ... placeholders for values bound via Parameters."}
+ * @paramDef {"type":"Array","label":"Parameters","name":"params","description":"Values for the $1, $2, ... placeholders of this statement, in order."}
+ */
+
 /**
  * @integrationName TimescaleDB
  * @integrationIcon /icon.png
@@ -53,7 +72,8 @@ class TimescaleDB {
     this.database = this.config.database
     this.user = this.config.user
     this.password = this.config.password
-    this.ssl = this.config.ssl === true || this.config.ssl === 'true'
+    this.tls = tlsSettings(this.config)
+    this.ssl = this.config.ssl === true || this.config.ssl === 'true' || this.tls.configured
 
     const timeoutSeconds = parseInt(this.config.connectionTimeoutSeconds, 10)
 
@@ -86,9 +106,11 @@ class TimescaleDB {
   }
 
   // A Connection String, when set, wins over the individual fields. When using it, the SSL
-  // toggle only ADDS the managed-provider-friendly ssl config on top; when the toggle is off
-  // the string's own sslmode/ssl query params stay in effect (we must not pass ssl: false,
-  // as explicit config overrides values parsed from the string).
+  // toggle ADDS the configured ssl options on top and drops the string's own sslmode/ssl*
+  // query params, which pg would otherwise let override them; when the toggle is off the
+  // string's params stay in effect (we must not pass ssl: false, as explicit config
+  // overrides values parsed from the string). Without a TLS Verification mode or
+  // certificates, the ssl options stay managed-provider-friendly (no verification).
   #buildClientConfig(logTag) {
     const shared = {
       connectionTimeoutMillis: this.connectionTimeoutMillis,
@@ -99,8 +121,8 @@ class TimescaleDB {
 
     if (this.connectionString) {
       return {
-        connectionString: this.connectionString,
-        ...(this.ssl ? { ssl: { rejectUnauthorized: false } } : {}),
+        connectionString: this.ssl ? withoutUrlTlsParams(this.connectionString) : this.connectionString,
+        ...(this.ssl ? { ssl: nodeTlsOptions(this.tls) } : {}),
         ...shared,
       }
     }
@@ -121,7 +143,7 @@ class TimescaleDB {
       database: this.database,
       user: this.user,
       password: this.password,
-      ssl: this.ssl ? { rejectUnauthorized: false } : false,
+      ssl: this.ssl ? nodeTlsOptions(this.tls) : false,
       ...shared,
     }
   }
@@ -157,6 +179,10 @@ class TimescaleDB {
       )
     }
 
+    const certificateHint = tlsErrorHint(error)
+
+    if (certificateHint) parts.push(certificateHint)
+
     const message = parts.join(' | ')
 
     logger.error(`${ logTag } - failed: ${ message }`)
@@ -250,6 +276,38 @@ class TimescaleDB {
     return trimmed
   }
 
+  // Accepts { sql, params } objects or plain SQL strings; rejects anything that would fail
+  // only after BEGIN, so a malformed list never opens a transaction.
+  #normalizeStatements(statements) {
+    if (!Array.isArray(statements) || !statements.length) {
+      throw new Error('Statements must be a non-empty array.')
+    }
+
+    return statements.map((statement, index) => {
+      const { sql, params } = typeof statement === 'string' ? { sql: statement } : statement || {}
+
+      if (typeof sql !== 'string' || !sql.trim()) {
+        throw new Error(`Statement ${ index + 1 } has no SQL.`)
+      }
+
+      if (params !== undefined && params !== null && !Array.isArray(params)) {
+        throw new Error(`Parameters of statement ${ index + 1 } must be an array.`)
+      }
+
+      return { sql, params: params || [] }
+    })
+  }
+
+  #resolveIsolationLevel(isolationLevel) {
+    if (!isolationLevel || isolationLevel === 'Database Default') return undefined
+
+    if (!Object.prototype.hasOwnProperty.call(ISOLATION_LEVELS, isolationLevel)) {
+      throw new Error(`Unsupported isolation level: ${ isolationLevel }. Use one of: ${ Object.keys(ISOLATION_LEVELS).join(', ') }.`)
+    }
+
+    return ISOLATION_LEVELS[isolationLevel]
+  }
+
   // ==========================================================================
   //  SQL
   // ==========================================================================
@@ -281,6 +339,60 @@ class TimescaleDB {
     })
   }
 
+  /**
+   * @operationName Execute Transaction
+   * @description Runs several SQL statements atomically on one connection: BEGIN, each statement in order, then COMMIT. If any statement fails, the transaction is rolled back so none of the statements take effect, and the error names the failing statement. Returns the rows and affected row count of every statement, e.g. to insert an order, its lines and update stock all-or-nothing. Each statement is limited to 120 seconds, and so is the whole transaction.
+   * @category SQL
+   * @route POST /execute-transaction
+   * @appearanceColor #FDB515 #1C1E26
+   * @executionTimeoutInSeconds 120
+   * @paramDef {"type":"Array<TransactionStatement>","label":"Statements","name":"statements","required":true,"description":"The statements to run, in order, e.g. [{\"sql\":\"INSERT INTO orders (customer_id) VALUES ($1) RETURNING id\",\"params\":[7]},{\"sql\":\"UPDATE stock SET qty = qty - $1 WHERE sku = $2\",\"params\":[1,\"A-1\"]}]. Use $1, $2, ... placeholders with each statement's own Parameters."}
+   * @paramDef {"type":"String","label":"Isolation Level","name":"isolationLevel","uiComponent":{"type":"DROPDOWN","options":{"values":["Database Default","Read Committed","Repeatable Read","Serializable"]}},"defaultValue":"Database Default","description":"Transaction isolation level. Serializable transactions may fail with a serialization error (code 40001) under concurrent writes; run the flow step again in that case."}
+   * @returns {Object}
+   * @sampleResult {"committed":true,"statementCount":2,"totalRowCount":2,"results":[{"index":0,"rows":[{"id":101}],"rowCount":1},{"index":1,"rows":[],"rowCount":1}]}
+   */
+  async executeTransaction(statements, isolationLevel) {
+    const queries = this.#normalizeStatements(statements)
+    const level = this.#resolveIsolationLevel(isolationLevel)
+
+    return this.#withClient('executeTransaction', async client => {
+      const results = []
+
+      await client.query(level ? `BEGIN ISOLATION LEVEL ${ level }` : 'BEGIN')
+
+      try {
+        for (const [index, { sql, params }] of queries.entries()) {
+          try {
+            const result = await client.query(sql, params)
+
+            results.push({ index, rows: result.rows || [], rowCount: result.rowCount })
+          } catch (error) {
+            error.message = `statement ${ index + 1 } of ${ queries.length } failed, transaction rolled back: ${ error.message }`
+
+            throw error
+          }
+        }
+
+        await client.query('COMMIT')
+      } catch (error) {
+        try {
+          await client.query('ROLLBACK')
+        } catch (rollbackError) {
+          logger.warn(`executeTransaction - rollback failed: ${ rollbackError.message }`)
+        }
+
+        throw error
+      }
+
+      return {
+        committed: true,
+        statementCount: results.length,
+        totalRowCount: results.reduce((total, result) => total + (result.rowCount || 0), 0),
+        results,
+      }
+    })
+  }
+
   // ==========================================================================
   //  ROWS
   // ==========================================================================
@@ -882,6 +994,95 @@ class TimescaleDB {
     })
   }
 
+  // ==========================================================================
+  //  TRIGGERS — polling on a watermark column: a value that only grows for new
+  //  (or changed) rows. The state keeps the last emitted watermark.
+  // ==========================================================================
+  /**
+   * @registerAs SYSTEM
+   * @paramDef {"type":"Object","label":"invocation","name":"invocation"}
+   * @returns {Object}
+   */
+  async handleTriggerPollingForEvent(invocation) {
+    return this[invocation.eventName](invocation)
+  }
+
+  /**
+   * @operationName On New Row
+   * @description Fires for every row inserted into a table. New rows are found through a watermark column whose value only grows, such as an auto-increment id or a created_at timestamp. The first poll only records the current maximum, so rows that already exist do not fire. Later polls return the new rows in ascending order, up to Max Rows per Poll at a time; the rest follow on the next poll. Rows whose watermark is NULL never fire. Polling interval can be customized (minimum 30 seconds).
+   * @category Triggers
+   * @registerAs POLLING_TRIGGER
+   * @route POST /on-new-row
+   * @appearanceColor #FDB515 #1C1E26
+   * @executionTimeoutInSeconds 120
+   * @paramDef {"type":"String","label":"Table","name":"table","required":true,"dictionary":"getTablesDictionary","description":"The table or hypertable to watch. May be schema-qualified (e.g. public.metrics); defaults to the public schema."}
+   * @paramDef {"type":"String","label":"Watermark Column","name":"watermarkColumn","required":true,"dictionary":"getColumnsDictionary","dependsOn":["table"],"description":"Column whose value only grows for new rows - a serial / identity id or the time column of a hypertable that receives rows in time order. Index it on large tables, since every poll filters and sorts on it."}
+   * @paramDef {"type":"Number","label":"Max Rows per Poll","name":"batchSize","uiComponent":{"type":"NUMERIC_STEPPER"},"defaultValue":100,"description":"Maximum number of rows one poll returns (default 100, at most 1000). The remaining rows follow on the next poll; rows sharing one watermark value are never split, so a larger group comes in full."}
+   * @returns {Object}
+   * @sampleResult {"time":"2024-05-01T12:00:00.000Z","device_id":"sensor-7","temperature":21.4}
+   */
+  async onNewRow(invocation) {
+    return this.#pollRows(invocation, 'onNewRow')
+  }
+
+  /**
+   * @operationName On Updated Row
+   * @description Fires for every row whose last-modified timestamp moved forward, e.g. an updated_at column that the application or a database trigger sets on each change. Inserted rows fire too when they set the column. The first poll only records the current maximum; later polls return the changed rows with their current values in ascending order, up to Max Rows per Poll at a time. A row changed several times between two polls fires once. Polling interval can be customized (minimum 30 seconds).
+   * @category Triggers
+   * @registerAs POLLING_TRIGGER
+   * @route POST /on-updated-row
+   * @appearanceColor #FDB515 #1C1E26
+   * @executionTimeoutInSeconds 120
+   * @paramDef {"type":"String","label":"Table","name":"table","required":true,"dictionary":"getTablesDictionary","description":"The table or hypertable to watch. May be schema-qualified (e.g. public.metrics); defaults to the public schema."}
+   * @paramDef {"type":"String","label":"Watermark Column","name":"watermarkColumn","required":true,"dictionary":"getColumnsDictionary","dependsOn":["table"],"description":"Timestamp column set on every change, e.g. updated_at. Index it on large tables, since every poll filters and sorts on it."}
+   * @paramDef {"type":"Number","label":"Max Rows per Poll","name":"batchSize","uiComponent":{"type":"NUMERIC_STEPPER"},"defaultValue":100,"description":"Maximum number of rows one poll returns (default 100, at most 1000). The remaining rows follow on the next poll; rows sharing one watermark value are never split, so a larger group comes in full."}
+   * @returns {Object}
+   * @sampleResult {"time":"2024-05-01T12:00:00.000Z","device_id":"sensor-7","temperature":21.9,"updated_at":"2024-05-01T12:05:00.000Z"}
+   */
+  async onUpdatedRow(invocation) {
+    return this.#pollRows(invocation, 'onUpdatedRow')
+  }
+
+  // The watermark is selected as text: pg would round microsecond timestamps to JS Dates,
+  // and the text binds back exactly because pg infers the parameter type from the column.
+  async #pollRows(invocation, logTag) {
+    const { table, watermarkColumn, batchSize } = invocation.triggerData || {}
+    const tableRef = this.#quoteTable(table)
+    const column = this.#quoteIdent(watermarkColumn)
+    const select = `SELECT *, ${ column }::text AS "${ WATERMARK_KEY }" FROM ${ tableRef }`
+
+    return this.#withClient(logTag, async client => {
+      const result = await pollRows(invocation, {
+        latestRow: async () => {
+          const { rows } = await client.query(`${ select } WHERE ${ column } IS NOT NULL ORDER BY ${ column } DESC LIMIT 1`)
+
+          return rows[0] || null
+        },
+        maxWatermark: async () => {
+          const { rows } = await client.query(`SELECT MAX(${ column })::text AS watermark FROM ${ tableRef }`)
+
+          return rows[0].watermark
+        },
+        rowsAfter: async (watermark, limit) => {
+          const { rows } = watermark === null
+            ? await client.query(`${ select } WHERE ${ column } IS NOT NULL ORDER BY ${ column } LIMIT $1`, [limit])
+            : await client.query(`${ select } WHERE ${ column } > $1 ORDER BY ${ column } LIMIT $2`, [watermark, limit])
+
+          return rows
+        },
+        rowsAt: async watermark => {
+          const { rows } = await client.query(`${ select } WHERE ${ column } = $1`, [watermark])
+
+          return rows
+        },
+      }, { key: `${ table }.${ watermarkColumn }`, batchSize })
+
+      logger.debug(`${ logTag } - ${ result.events.length } row(s), watermark=${ result.state && result.state.watermark }`)
+
+      return result
+    })
+  }
+
   // ==========================================================================
   //  DICTIONARIES
   // ==========================================================================
@@ -1062,7 +1263,7 @@ Flowrunner.ServerCode.addService(TimescaleDB, [
     required: false,
     shared: false,
     defaultValue: false,
-    hint: 'Enable TLS-encrypted connections. Required by most managed databases, including TimescaleDB Cloud / Tiger Cloud, AWS RDS, and Azure. With a Connection String, enabling this adds managed-provider-friendly TLS on top of the URI; when off, any sslmode in the URI still applies.',
+    hint: 'Enable TLS-encrypted connections, required by most managed databases (Tiger Cloud, AWS RDS, Azure). With a Connection String, replaces any sslmode in the URI. The certificate is verified only when TLS Verification asks for it.',
   },
   {
     name: 'connectionTimeoutSeconds',
@@ -1073,4 +1274,5 @@ Flowrunner.ServerCode.addService(TimescaleDB, [
     defaultValue: '10',
     hint: 'How long to wait when establishing a connection before failing. Defaults to 10 seconds.',
   },
+  ...tlsConfigItems,
 ])
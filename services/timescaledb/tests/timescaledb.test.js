@@ -60,6 +60,10 @@ describe('TimescaleDB Service', () => {
           expect.objectContaining({ name: 'password', required: false, shared: false }),
           expect.objectContaining({ name: 'ssl', required: false, shared: false }),
           expect.objectContaining({ name: 'connectionTimeoutSeconds', required: false, shared: false }),
+          expect.objectContaining({ name: 'tlsVerifyMode', required: false, shared: false, defaultValue: 'Encrypt Only' }),
+          expect.objectContaining({ name: 'tlsCaCert', required: false, shared: false }),
+          expect.objectContaining({ name: 'tlsClientCert', required: false, shared: false }),
+          expect.objectContaining({ name: 'tlsClientKey', required: false, shared: false }),
         ])
       )
     })
@@ -130,6 +134,53 @@ describe('TimescaleDB Service', () => {
     })
   })
 
+  describe('executeTransaction', () => {
+    const statements = [
+      { sql: 'INSERT INTO readings (device_id, value) VALUES ($1, $2)', params: ['d1', 21.5] },
+      { sql: 'UPDATE devices SET last_seen = now() WHERE id = $1', params: ['d1'] },
+    ]
+
+    it('runs the statements between BEGIN and COMMIT on one connection', async () => {
+      mockQuery.mockResolvedValue({ rows: [], rowCount: 1 })
+
+      const result = await service.executeTransaction(statements, 'Repeatable Read')
+
+      expect(mockConnect).toHaveBeenCalledTimes(1)
+
+      expect(mockQuery.mock.calls.map(([text]) => text)).toEqual([
+        'BEGIN ISOLATION LEVEL REPEATABLE READ',
+        statements[0].sql,
+        statements[1].sql,
+        'COMMIT',
+      ])
+
+      expect(mockQuery).toHaveBeenCalledWith(statements[0].sql, ['d1', 21.5])
+      expect(result).toMatchObject({ committed: true, statementCount: 2, totalRowCount: 2 })
+      expect(mockEnd).toHaveBeenCalledTimes(1)
+    })
+
+    it('rolls back and names the failing statement', async () => {
+      mockQuery
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(Object.assign(new Error('relation "readings" does not exist'), { code: '42P01' }))
+        .mockResolvedValue({})
+
+      await expect(service.executeTransaction(statements)).rejects.toThrow(
+        'TimescaleDB error: statement 1 of 2 failed, transaction rolled back: relation "readings" does not exist | code: 42P01'
+      )
+
+      expect(mockQuery.mock.calls.map(([text]) => text)).toEqual(['BEGIN', statements[0].sql, 'ROLLBACK'])
+      expect(mockEnd).toHaveBeenCalledTimes(1)
+    })
+
+    it('validates the statements before connecting', async () => {
+      await expect(service.executeTransaction([])).rejects.toThrow('Statements must be a non-empty array.')
+      await expect(service.executeTransaction(['SELECT 1'], 'Chaos')).rejects.toThrow('Unsupported isolation level')
+
+      expect(mockConnect).not.toHaveBeenCalled()
+    })
+  })
+
   // ── Rows ──
 
   describe('selectRows', () => {
@@ -856,6 +907,48 @@ describe('TimescaleDB Service', () => {
     })
   })
 
+  // ── Triggers ──
+
+  describe('onNewRow / onUpdatedRow', () => {
+    const triggerData = { table: 'public.metrics', watermarkColumn: 'time', batchSize: 50 }
+
+    it('records the current maximum on the first poll', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ watermark: '2024-05-01 12:00:00.123456+00' }] })
+
+      const result = await service.handleTriggerPollingForEvent({ eventName: 'onNewRow', triggerData })
+
+      expect(result).toEqual({ events: [], state: { key: 'public.metrics.time', watermark: '2024-05-01 12:00:00.123456+00' } })
+      expect(mockQuery.mock.calls[0][0]).toBe('SELECT MAX("time")::text AS watermark FROM "public"."metrics"')
+    })
+
+    it('returns rows after the stored watermark and advances it', async () => {
+      mockQuery.mockResolvedValueOnce({
+        rows: [{ time: '2024-05-01T12:00:01.000Z', device_id: 'sensor-7', __watermark: '2024-05-01 12:00:01.000001+00' }],
+      })
+
+      const state = { key: 'public.metrics.time', watermark: '2024-05-01 12:00:00.123456+00' }
+      const result = await service.handleTriggerPollingForEvent({ eventName: 'onUpdatedRow', triggerData, state })
+
+      expect(result).toEqual({
+        events: [{ time: '2024-05-01T12:00:01.000Z', device_id: 'sensor-7' }],
+        state: { key: 'public.metrics.time', watermark: '2024-05-01 12:00:01.000001+00' },
+      })
+
+      const [sql, params] = mockQuery.mock.calls[0]
+
+      expect(sql).toBe('SELECT *, "time"::text AS "__watermark" FROM "public"."metrics" WHERE "time" > $1 ORDER BY "time" LIMIT $2')
+      expect(params).toEqual(['2024-05-01 12:00:00.123456+00', 50])
+    })
+
+    it('returns the latest row in learning mode', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ device_id: 'sensor-7', __watermark: '1' }] })
+
+      const result = await service.handleTriggerPollingForEvent({ eventName: 'onNewRow', triggerData, learningMode: true })
+
+      expect(result).toEqual({ events: [{ device_id: 'sensor-7' }], state: null })
+    })
+  })
+
   // ── Dictionaries ──
 
   describe('getTablesDictionary', () => {
@@ -1026,6 +1119,15 @@ describe('TimescaleDB Service', () => {
       await expect(service.executeQuery('SELECT 1')).rejects.toThrow(/IPv6/)
     })
 
+    it('adds a CA hint when the server certificate is untrusted', async () => {
+      const dbError = new Error('unable to get local issuer certificate')
+      dbError.code = 'UNABLE_TO_GET_ISSUER_CERT_LOCALLY'
+
+      mockConnect.mockRejectedValueOnce(dbError)
+
+      await expect(service.executeQuery('SELECT 1')).rejects.toThrow(/TLS CA Certificate/)
+    })
+
     it('always calls client.end() even on error', async () => {
       mockConnect.mockResolvedValueOnce()
       mockQuery.mockRejectedValueOnce(new Error('query failed'))
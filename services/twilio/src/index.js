@@ -1,3 +1,5 @@
+const { getHeader, getRawBody, verifyTwilioSignature } = require('./webhook-signatures')
+
 const BASE_URL = 'https://api.twilio.com'
 const API_BASE_URL = `${ BASE_URL }/2010-04-01`
 const CONVERSATIONS_BASE_URL = 'https://conversations.twilio.com/v1'
@@ -722,6 +724,15 @@ class TwilioService {
 
     logger.debug('[handleTriggerResolveEvents] Received webhook event', invocation)
 
+    if (!this.#verifyWebhookSignature(invocation)) {
+      logger.warn('[handleTriggerResolveEvents] X-Twilio-Signature verification failed — rejecting delivery')
+
+      return {
+        events: [],
+        connectionId: invocation.queryParams?.connectionId,
+      }
+    }
+
     let events = []
 
     // Check if it's an SMS webhook
@@ -739,6 +750,27 @@ class TwilioService {
     }
   }
 
+  // Twilio signs the exact URL it calls plus the POSTed parameters with the account Auth Token.
+  // The URL is the one stored in webhookData when the webhook was set; without it verification
+  // is skipped with a warning.
+  #verifyWebhookSignature(invocation) {
+    const url = invocation.webhookData?.webhookUrl
+
+    if (!url) {
+      logger.warn('[handleTriggerResolveEvents] No webhook URL stored — skipping signature verification.')
+
+      return true
+    }
+
+    return verifyTwilioSignature({
+      authToken: this.authToken,
+      url,
+      params: invocation.body || {},
+      signature: getHeader(invocation.headers, 'x-twilio-signature'),
+      rawBody: getRawBody(invocation),
+    })
+  }
+
   /**
    * @registerAs SYSTEM
    * @paramDef {"type":"Object","label":"invocation","name":"invocation"}
@@ -1,5 +1,7 @@
 'use strict'
 
+const crypto = require('crypto')
+
 const { createSandbox } = require('../../../service-sandbox')
 
 const ACCOUNT_SID = 'AC_test_account_sid'
@@ -870,6 +872,43 @@ describe('Twilio Service', () => {
 
       expect(result.events).toEqual([])
     })
+
+    describe('signature verification', () => {
+      const webhookData = { webhookUrl: 'https://callback.example.com/hook?connectionId=conn-1' }
+      const body = { MessageSid: 'SM2', From: '+111', To: '+222', Body: 'Signed' }
+
+      // Twilio: base64 HMAC-SHA1 of the URL followed by the sorted POST parameters
+      function twilioSignature(url, params) {
+        const data = Object.keys(params).sort().reduce((result, key) => result + key + params[key], url)
+
+        return crypto.createHmac('sha1', AUTH_TOKEN).update(data).digest('base64')
+      }
+
+      it('accepts a delivery signed with the account Auth Token', async () => {
+        const result = await service.handleTriggerResolveEvents({
+          body,
+          headers: { 'X-Twilio-Signature': twilioSignature(webhookData.webhookUrl, body) },
+          queryParams: { connectionId: 'conn-1' },
+          webhookData,
+        })
+
+        expect(result.events).toHaveLength(1)
+      })
+
+      it('rejects a forged or unsigned delivery before shaping it', async () => {
+        const forged = await service.handleTriggerResolveEvents({
+          body: { ...body, Body: 'Tampered' },
+          headers: { 'x-twilio-signature': twilioSignature(webhookData.webhookUrl, body) },
+          queryParams: { connectionId: 'conn-1' },
+          webhookData,
+        })
+
+        const unsigned = await service.handleTriggerResolveEvents({ body, queryParams: { connectionId: 'conn-1' }, webhookData })
+
+        expect(forged).toEqual({ events: [], connectionId: 'conn-1' })
+        expect(unsigned.events).toEqual([])
+      })
+    })
   })
 
   describe('handleTriggerSelectMatched', () => {
@@ -1,5 +1,7 @@
 'use strict'
 
+const { getHeader, getRawBody, isFreshTimestamp, verifyHmac } = require('./webhook-signatures')
+
 const AUTH_URL = 'https://webflow.com/oauth/authorize'
 const ACCESS_TOKEN_URL = 'https://api.webflow.com/oauth/access_token'
 const API_BASE_URL = 'https://api.webflow.com/v2'
@@ -1170,6 +1172,15 @@ class WebflowService {
    * @returns {Object}
    */
   async handleTriggerResolveEvents(invocation) {
+    if (!this.#verifyWebhookSignature(invocation)) {
+      logger.warn('handleTriggerResolveEvents: x-webflow-signature verification failed — rejecting delivery')
+
+      return {
+        connectionId: invocation.queryParams?.connectionId,
+        events: [],
+      }
+    }
+
     const methodName = ApiEventsMap[invocation.body.triggerType]
     const events = await this[methodName](MethodCallTypes.SHAPE_EVENT, invocation)
 
@@ -1358,6 +1369,22 @@ class WebflowService {
     })
   }
 
+  // Webhooks created through an OAuth app are signed with its client secret: x-webflow-signature
+  // is the hex HMAC-SHA256 of "<x-webflow-timestamp>:<raw body>", the timestamp in milliseconds.
+  #verifyWebhookSignature(invocation) {
+    const timestamp = getHeader(invocation.headers, 'x-webflow-timestamp')
+
+    if (!isFreshTimestamp(Number(timestamp) / 1000)) {
+      return false
+    }
+
+    return verifyHmac({
+      secret: this.clientSecret,
+      payload: `${ timestamp }:${ getRawBody(invocation) }`,
+      signature: getHeader(invocation.headers, 'x-webflow-signature'),
+    })
+  }
+
   async #createWebhook(invocation, { site, eventName }) {
     return this.#apiRequest({
       logTag: `create webhook - ${ eventName }`,
@@ -0,0 +1,71 @@
+'use strict'
+
+const crypto = require('crypto')
+
+const { createSandbox } = require('../../../service-sandbox')
+
+const CLIENT_SECRET = 'test-webflow-client-secret'
+
+describe('Webflow Service', () => {
+  let sandbox
+  let service
+
+  beforeAll(() => {
+    sandbox = createSandbox({ clientId: 'client-id', clientSecret: CLIENT_SECRET })
+    require('../src/index.js')
+    service = sandbox.getService()
+  })
+
+  afterAll(() => {
+    sandbox.cleanup()
+  })
+
+  // ── Webhook signature verification ──
+
+  describe('handleTriggerResolveEvents signature verification', () => {
+    const body = { triggerType: 'form_submission', payload: { siteId: 'site1', formId: 'form1', data: { Email: 'a@b.c' } } }
+    const rawBody = JSON.stringify(body)
+
+    function sign(secret, timestamp, payload = rawBody) {
+      return crypto.createHmac('sha256', secret).update(`${ timestamp }:${ payload }`).digest('hex')
+    }
+
+    it('accepts a delivery signed with the client secret', async () => {
+      const timestamp = String(Date.now())
+
+      const result = await service.handleTriggerResolveEvents({
+        queryParams: { connectionId: 'conn1' },
+        headers: { 'X-Webflow-Timestamp': timestamp, 'X-Webflow-Signature': sign(CLIENT_SECRET, timestamp) },
+        body,
+        rawBody,
+      })
+
+      expect(result).toEqual({
+        connectionId: 'conn1',
+        events: [{ name: 'onFormSubmit', data: { triggerType: 'form_submission', ...body.payload } }],
+      })
+    })
+
+    it('rejects forged, stale and unsigned deliveries', async () => {
+      const timestamp = String(Date.now())
+      const stale = String(Date.now() - 60 * 60 * 1000)
+      const base = { queryParams: { connectionId: 'conn1' }, body, rawBody }
+
+      const forged = await service.handleTriggerResolveEvents({
+        ...base,
+        headers: { 'x-webflow-timestamp': timestamp, 'x-webflow-signature': sign('guessed', timestamp) },
+      })
+
+      const replayed = await service.handleTriggerResolveEvents({
+        ...base,
+        headers: { 'x-webflow-timestamp': stale, 'x-webflow-signature': sign(CLIENT_SECRET, stale) },
+      })
+
+      const unsigned = await service.handleTriggerResolveEvents({ ...base, headers: {} })
+
+      expect(forged).toEqual({ connectionId: 'conn1', events: [] })
+      expect(replayed).toEqual({ connectionId: 'conn1', events: [] })
+      expect(unsigned).toEqual({ connectionId: 'conn1', events: [] })
+    })
+  })
+})
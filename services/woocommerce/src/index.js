@@ -2,6 +2,8 @@
 
 const crypto = require('crypto')
 
+const { retryDeadline, withRetry } = require('./request-retry')
+
 // ============================================================================
 //  CONSTANTS
 // ============================================================================
@@ -197,7 +199,11 @@ class WooCommerce {
   // ==========================================================================
   //  CORE - every external call goes through #apiRequest
   // ==========================================================================
-  async #apiRequest({ url, method, body, query, logTag }) {
+  // Throttled (429) and unavailable (502-504) responses are retried for idempotent methods;
+  // POST callers pass `idempotent` when replaying the request cannot create anything twice.
+  // `deadline` bounds the retries; actions that send several requests compute it once with
+  // retryDeadline() so all of them share the action's execution budget.
+  async #apiRequest({ url, method, body, query, logTag, idempotent, deadline }) {
     method = (method || 'get').toLowerCase()
 
     if (!this.storeUrl) {
@@ -216,15 +222,18 @@ class WooCommerce {
     try {
       logger.debug(`${ logTag } ${ method.toUpperCase() } ${ url }`)
 
-      const request = Flowrunner.Request[method](url)
-        .set(this.#headers())
-        .query(finalQuery)
-
-      if (body) {
-        return await request.send(body)
-      }
-
-      return await request
+      return await withRetry(() => {
+        const request = Flowrunner.Request[method](url)
+          .set(this.#headers())
+          .query(finalQuery)
+
+        return body ? request.send(body) : request
+      }, {
+        method,
+        idempotent,
+        deadline,
+        onRetry: ({ attempt, delayMs, status }) => logger.warn(`${ logTag } HTTP ${ status }, retry #${ attempt } in ${ delayMs }ms`),
+      })
     } catch (error) {
       this.#handleError(error, logTag)
     }
@@ -1228,7 +1237,8 @@ class WooCommerce {
   async batchProducts(create, update, deleteIds) {
     const body = clean({ create, update, delete: toIdList(deleteIds) })
 
-    return await this.#apiRequest({ url: `${ this.apiBase }/products/batch`, method: 'post', body, logTag: 'batchProducts' })
+    // without creates, replaying the batch only re-applies the same updates and deletes
+    return await this.#apiRequest({ url: `${ this.apiBase }/products/batch`, method: 'post', body, idempotent: !body.create?.length, logTag: 'batchProducts' })
   }
 
   /**
@@ -1247,7 +1257,8 @@ class WooCommerce {
   async batchOrders(create, update, deleteIds) {
     const body = clean({ create, update, delete: toIdList(deleteIds) })
 
-    return await this.#apiRequest({ url: `${ this.apiBase }/orders/batch`, method: 'post', body, logTag: 'batchOrders' })
+    // without creates, replaying the batch only re-applies the same updates and deletes
+    return await this.#apiRequest({ url: `${ this.apiBase }/orders/batch`, method: 'post', body, idempotent: !body.create?.length, logTag: 'batchOrders' })
   }
 
   /**
@@ -1266,7 +1277,8 @@ class WooCommerce {
   async batchCustomers(create, update, deleteIds) {
     const body = clean({ create, update, delete: toIdList(deleteIds) })
 
-    return await this.#apiRequest({ url: `${ this.apiBase }/customers/batch`, method: 'post', body, logTag: 'batchCustomers' })
+    // without creates, replaying the batch only re-applies the same updates and deletes
+    return await this.#apiRequest({ url: `${ this.apiBase }/customers/batch`, method: 'post', body, idempotent: !body.create?.length, logTag: 'batchCustomers' })
   }
 
   // ==========================================================================
@@ -1618,6 +1630,7 @@ class WooCommerce {
    * @returns {Object}
    */
   async handleTriggerUpsertWebhook(invocation) {
+    const deadline = retryDeadline()
     const existing = (invocation.webhookData && invocation.webhookData.webhooks) || []
     const byTopic = new Map(existing.map(w => [w.topic, w]))
 
@@ -1633,7 +1646,7 @@ class WooCommerce {
       .map(async topic => {
         const webhook = byTopic.get(topic)
 
-        await this.#deleteWebhook(webhook.id)
+        await this.#deleteWebhook(webhook.id, deadline)
         byTopic.delete(topic)
       })
 
@@ -1642,7 +1655,7 @@ class WooCommerce {
       .filter(topic => !byTopic.has(topic))
       .map(async topic => {
         const secret = crypto.randomBytes(24).toString('hex')
-        const created = await this.#createWebhook(topic, invocation.callbackUrl, secret)
+        const created = await this.#createWebhook(topic, invocation.callbackUrl, secret, deadline)
 
         byTopic.set(topic, { id: created.id, topic, secret })
       })
@@ -1704,11 +1717,12 @@ class WooCommerce {
    * @returns {Object}
    */
   async handleTriggerDeleteWebhook(invocation) {
+    const deadline = retryDeadline()
     const existing = (invocation.webhookData && invocation.webhookData.webhooks) || []
 
     await Promise.all(existing.map(async webhook => {
       try {
-        await this.#deleteWebhook(webhook.id)
+        await this.#deleteWebhook(webhook.id, deadline)
       } catch (error) {
         logger.warn(`[handleTriggerDeleteWebhook] could not delete webhook ${ webhook.id }: ${ error.message }`)
       }
@@ -1720,7 +1734,7 @@ class WooCommerce {
   // ==========================================================================
   //  PRIVATE - webhook plumbing
   // ==========================================================================
-  async #createWebhook(topic, deliveryUrl, secret) {
+  async #createWebhook(topic, deliveryUrl, secret, deadline) {
     return await this.#apiRequest({
       url: `${ this.apiBase }/webhooks`,
       method: 'post',
@@ -1732,15 +1746,17 @@ class WooCommerce {
         status: 'active',
       },
       logTag: `createWebhook:${ topic }`,
+      deadline,
     })
   }
 
-  async #deleteWebhook(webhookId) {
+  async #deleteWebhook(webhookId, deadline) {
     return await this.#apiRequest({
       url: `${ this.apiBase }/webhooks/${ webhookId }`,
       method: 'delete',
       query: { force: true },
       logTag: `deleteWebhook:${ webhookId }`,
+      deadline,
     })
   }
 
@@ -1258,5 +1258,47 @@ describe('WooCommerce Service', () => {
 
       await expect(service.createProduct('Hoodie')).rejects.toThrow('socket hang up')
     })
+
+    describe('retries', () => {
+      beforeEach(() => {
+        jest.useFakeTimers({ now: 0 })
+      })
+
+      afterEach(() => {
+        jest.useRealTimers()
+      })
+
+      it('retries a throttled request once Retry-After has passed', async () => {
+        mock.onGet(`${ BASE }/products/1`).once().replyWithStatus(429, { code: 'woocommerce_rest_too_many_requests' }, { 'Retry-After': '2' })
+        mock.onGet(`${ BASE }/products/1`).reply({ id: 1 })
+
+        const pending = service.getProduct(1)
+
+        await jest.runAllTimersAsync()
+
+        await expect(pending).resolves.toEqual({ id: 1 })
+        expect(mock.callsTo('get', `${ BASE }/products/1`).map(call => call.at)).toEqual([0, 2000])
+      })
+
+      it('does not replay a batch that creates items', async () => {
+        mock.onPost(`${ BASE }/products/batch`).replyWithStatus(503, { message: 'Service Unavailable' })
+
+        await expect(service.batchProducts([{ name: 'A' }], [{ id: 2 }])).rejects.toThrow('The store is temporarily unavailable')
+
+        expect(mock.callsTo('post', `${ BASE }/products/batch`)).toHaveLength(1)
+      })
+
+      it('replays a batch of updates and deletes', async () => {
+        mock.onPost(`${ BASE }/products/batch`).once().replyWithStatus(503, { message: 'Service Unavailable' })
+        mock.onPost(`${ BASE }/products/batch`).reply({ update: [{ id: 2 }], delete: [{ id: 3 }] })
+
+        const pending = service.batchProducts(undefined, [{ id: 2, regular_price: '9.99' }], [3])
+
+        await jest.runAllTimersAsync()
+
+        await expect(pending).resolves.toEqual({ update: [{ id: 2 }], delete: [{ id: 3 }] })
+        expect(mock.callsTo('post', `${ BASE }/products/batch`)).toHaveLength(2)
+      })
+    })
   })
 })
@@ -1,5 +1,7 @@
 'use strict'
 
+const { getHeader, getRawBody, verifyHmac } = require('./webhook-signatures')
+
 const OAUTH_BASE_URL = 'https://login.xero.com/identity/connect'
 const TOKEN_URL = 'https://identity.xero.com/connect/token'
 const API_BASE_URL = 'https://api.xero.com/api.xro/2.0'
@@ -77,6 +79,7 @@ class XeroService {
   constructor(config) {
     this.clientId = config.clientId
     this.clientSecret = config.clientSecret
+    this.webhookKey = config.webhookKey
     this.scopes = DEFAULT_SCOPE_STRING
   }
 
@@ -2505,6 +2508,14 @@ class XeroService {
   async handleTriggerResolveEvents(invocation) {
     logger.debug(`handleTriggerResolveEvents.invocation: ${ JSON.stringify(invocation) }`)
 
+    // Xero's "Intent to receive" check sends correctly and incorrectly signed requests and only
+    // accepts the endpoint when the bad ones are answered with 401, not with an empty 200.
+    if (!this.#verifyWebhookSignature(invocation)) {
+      logger.warn('handleTriggerResolveEvents: x-xero-signature verification failed — rejecting delivery')
+
+      throw Object.assign(new Error('Invalid x-xero-signature'), { status: 401, statusCode: 401 })
+    }
+
     const eventType = invocation.body?.eventType || invocation.body?.Events?.[0]?.EventType
     const methodName = MethodTypes[eventType]
 
@@ -2524,6 +2535,23 @@ class XeroService {
     }
   }
 
+  // Verifies x-xero-signature: base64 HMAC-SHA256 of the raw body keyed with the app Webhook Key
+  // from the Xero Developer Portal. Without a configured key verification is skipped with a warning.
+  #verifyWebhookSignature(invocation) {
+    if (!this.webhookKey) {
+      logger.warn('No Xero Webhook Key configured — skipping signature verification.')
+
+      return true
+    }
+
+    return verifyHmac({
+      secret: this.webhookKey,
+      payload: getRawBody(invocation),
+      signature: getHeader(invocation.headers, 'x-xero-signature'),
+      encoding: 'base64',
+    })
+  }
+
   /**
    * @registerAs SYSTEM
    * @paramDef {"type":"Object","label":"Invocation","name":"invocation"}
@@ -2664,7 +2692,6 @@ class XeroService {
 
 Flowrunner.ServerCode.addService(XeroService, [
   {
-    order: 0,
     displayName: 'Client ID',
     defaultValue: '',
     name: 'clientId',
@@ -2674,7 +2701,6 @@ Flowrunner.ServerCode.addService(XeroService, [
     hint: 'OAuth 2.0 Client ID from the Xero Developer Portal (https://developer.xero.com/app/manage).',
   },
   {
-    order: 1,
     displayName: 'Client Secret',
     defaultValue: '',
     name: 'clientSecret',
@@ -2683,6 +2709,15 @@ Flowrunner.ServerCode.addService(XeroService, [
     shared: true,
     hint: 'OAuth 2.0 Client Secret from the Xero Developer Portal.',
   },
+  {
+    displayName: 'Webhook Key',
+    defaultValue: '',
+    name: 'webhookKey',
+    type: Flowrunner.ServerCode.ConfigItems.TYPES.STRING,
+    required: false,
+    shared: true,
+    hint: 'Webhook signing key shown on the app Webhooks page of the Xero Developer Portal. When set, trigger events without a valid x-xero-signature are rejected.',
+  },
 ])
 
 // ========================================== UTILITY FUNCTIONS ===========================================
@@ -0,0 +1,361 @@
+'use strict'
+
+// Shared webhook signatures: edit shared/webhook-signatures/webhook-signatures.js and run `npm run sync:shared`, never the service copy.
+
+const crypto = require('crypto')
+
+const DEFAULT_TOLERANCE_SECONDS = 300
+
+// DER prefix of an Ed25519 SubjectPublicKeyInfo; the raw 32-byte key follows it.
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex')
+
+/**
+ * Reads a request header regardless of the casing the server delivered it in.
+ * @param {Object} headers
+ * @param {string} name
+ * @returns {string|undefined}
+ */
+function getHeader(headers, name) {
+  if (!headers) {
+    return undefined
+  }
+
+  const lowerName = name.toLowerCase()
+  const key = Object.keys(headers).find(header => header.toLowerCase() === lowerName)
+  const value = key === undefined ? undefined : headers[key]
+
+  return Array.isArray(value) ? value[0] : value
+}
+
+/**
+ * Returns the body the sender signed. Signatures are computed over the exact bytes that were
+ * sent, so the raw body is used when the server provides it; re-serializing the parsed body is
+ * only a fallback and matches senders that post compact JSON.
+ * @param {Object} invocation - RESOLVE_EVENT invocation.
+ * @returns {string|Buffer}
+ */
+function getRawBody(invocation) {
+  if (invocation?.rawBody !== undefined && invocation.rawBody !== null) {
+    return invocation.rawBody
+  }
+
+  const body = invocation?.body
+
+  return typeof body === 'string' ? body : JSON.stringify(body ?? {})
+}
+
+/**
+ * Constant-time comparison of two strings or buffers.
+ * @returns {boolean}
+ */
+function safeEqual(expected, provided) {
+  if (expected === undefined || expected === null || provided === undefined || provided === null) {
+    return false
+  }
+
+  const expectedBuffer = Buffer.from(expected)
+  const providedBuffer = Buffer.from(provided)
+
+  return expectedBuffer.length === providedBuffer.length && crypto.timingSafeEqual(expectedBuffer, providedBuffer)
+}
+
+/**
+ * @param {string} algorithm - e.g. sha256, sha1.
+ * @param {string|Buffer} secret
+ * @param {string|Buffer} payload
+ * @param {string} [encoding] - hex or base64.
+ * @returns {string}
+ */
+function computeHmac(algorithm, secret, payload, encoding = 'hex') {
+  return crypto.createHmac(algorithm, secret).update(payload).digest(encoding)
+}
+
+/**
+ * Verifies a plain HMAC signature of a payload, e.g. the hex or base64 digest of the raw body
+ * that Cal.com, MailerLite, Tally or Xero put in a header.
+ *
+ * @param {Object} options
+ * @param {string|Buffer} options.secret
+ * @param {string|Buffer} options.payload - Signed content, usually the raw body.
+ * @param {string} options.signature - Signature as received.
+ * @param {string} [options.algorithm] - Defaults to sha256.
+ * @param {string} [options.encoding] - hex (default) or base64.
+ * @param {string} [options.prefix] - Prefix the sender puts before the digest, e.g. "sha256=".
+ * @returns {boolean}
+ */
+function verifyHmac({ secret, payload, signature, algorithm = 'sha256', encoding = 'hex', prefix = '' }) {
+  if (!secret || typeof signature !== 'string' || !signature.startsWith(prefix)) {
+    return false
+  }
+
+  const provided = signature.slice(prefix.length)
+  const expected = computeHmac(algorithm, secret, payload, encoding)
+
+  // hex digests are case-insensitive, base64 ones are not
+  return safeEqual(expected, encoding === 'hex' ? provided.toLowerCase() : provided)
+}
+
+/**
+ * Checks that a signature timestamp is within the replay window.
+ * @param {number|string} timestamp - Unix time in seconds.
+ * @param {number} [toleranceSeconds]
+ * @param {Function} [now] - Returns the current time in milliseconds.
+ * @returns {boolean}
+ */
+function isFreshTimestamp(timestamp, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now) {
+  const seconds = Number(timestamp)
+
+  if (!Number.isFinite(seconds)) {
+    return false
+  }
+
+  return Math.abs(now() / 1000 - seconds) <= toleranceSeconds
+}
+
+/**
+ * Verifies a Slack request: X-Slack-Signature is "v0=" + hex HMAC-SHA256 of
+ * "v0:<X-Slack-Request-Timestamp>:<raw body>" keyed with the app signing secret.
+ *
+ * @param {Object} options
+ * @param {string} options.signingSecret
+ * @param {Object} options.headers
+ * @param {string|Buffer} options.rawBody
+ * @param {number} [options.toleranceSeconds]
+ * @param {Function} [options.now]
+ * @returns {boolean}
+ */
+function verifySlackSignature({ signingSecret, headers, rawBody, toleranceSeconds, now }) {
+  const timestamp = getHeader(headers, 'x-slack-request-timestamp')
+
+  if (!isFreshTimestamp(timestamp, toleranceSeconds, now)) {
+    return false
+  }
+
+  return verifyHmac({
+    secret: signingSecret,
+    payload: `v0:${ timestamp }:${ rawBody }`,
+    signature: getHeader(headers, 'x-slack-signature'),
+    prefix: 'v0=',
+  })
+}
+
+/**
+ * Parses a "t=<timestamp>,v1=<signature>,v1=<signature>" header as sent by Stripe and Calendly.
+ * @param {string} header
+ * @returns {{ timestamp: string|undefined, signatures: Object<string, string[]> }}
+ */
+function parseTimestampedSignatureHeader(header) {
+  const result = { timestamp: undefined, signatures: {} }
+
+  for (const part of String(header || '').split(',')) {
+    const separator = part.indexOf('=')
+
+    if (separator < 1) {
+      continue
+    }
+
+    const key = part.slice(0, separator).trim()
+    const value = part.slice(separator + 1).trim()
+
+    if (key === 't') {
+      result.timestamp = value
+    } else {
+      result.signatures[key] = result.signatures[key] || []
+      result.signatures[key].push(value)
+    }
+  }
+
+  return result
+}
+
+/**
+ * Verifies a Stripe-style header: "t=<timestamp>,v1=<hex HMAC-SHA256 of '<timestamp>.<raw body>'>".
+ * Any of several v1 signatures may match, which is how Stripe rolls its secrets.
+ *
+ * @param {Object} options
+ * @param {string} options.secret
+ * @param {string} options.header - Value of Stripe-Signature (or Calendly-Webhook-Signature).
+ * @param {string|Buffer} options.rawBody
+ * @param {string} [options.scheme] - Signature key to check, defaults to v1.
+ * @param {number} [options.toleranceSeconds]
+ * @param {Function} [options.now]
+ * @returns {boolean}
+ */
+function verifyStripeSignature({ secret, header, rawBody, scheme = 'v1', toleranceSeconds, now }) {
+  const { timestamp, signatures } = parseTimestampedSignatureHeader(header)
+
+  if (!secret || !isFreshTimestamp(timestamp, toleranceSeconds, now)) {
+    return false
+  }
+
+  const expected = computeHmac('sha256', secret, `${ timestamp }.${ rawBody }`)
+
+  return (signatures[scheme] || []).some(signature => safeEqual(expected, signature.toLowerCase()))
+}
+
+/**
+ * Verifies X-Twilio-Signature: base64 HMAC-SHA1 of the full callback URL followed by every POST
+ * parameter name and value, sorted by name, keyed with the account Auth Token.
+ *
+ * JSON callbacks are signed over the URL alone and carry a bodySHA256 query parameter holding
+ * the hex SHA-256 of the raw body, which is checked as well.
+ *
+ * @param {Object} options
+ * @param {string} options.authToken
+ * @param {string} options.url - URL Twilio requested, including its query string.
+ * @param {Object} [options.params] - Parsed form parameters.
+ * @param {string} options.signature
+ * @param {string|Buffer} [options.rawBody] - Needed for JSON callbacks only.
+ * @returns {boolean}
+ */
+function verifyTwilioSignature({ authToken, url, params = {}, signature, rawBody }) {
+  if (!authToken || !url || !signature) {
+    return false
+  }
+
+  let bodyHash
+
+  try {
+    bodyHash = new URL(url).searchParams.get('bodySHA256')
+  } catch (error) {
+    return false
+  }
+
+  if (bodyHash) {
+    const expectedHash = crypto.createHash('sha256').update(rawBody ?? '').digest('hex')
+
+    return safeEqual(expectedHash, bodyHash.toLowerCase()) &&
+      safeEqual(computeHmac('sha1', authToken, url, 'base64'), signature)
+  }
+
+  const data = Object.keys(params)
+    .sort()
+    .reduce((result, key) => {
+      const values = Array.isArray(params[key]) ? params[key] : [params[key]]
+
+      return result + values.map(value => `${ key }${ value ?? '' }`).join('')
+    }, url)
+
+  return safeEqual(computeHmac('sha1', authToken, data, 'base64'), signature)
+}
+
+/**
+ * Verifies an Ed25519 signature of "<timestamp><raw body>", as Discord interactions send in
+ * X-Signature-Ed25519 and X-Signature-Timestamp.
+ *
+ * @param {Object} options
+ * @param {string} options.publicKey - Hex-encoded 32-byte application public key.
+ * @param {string} options.signature - Hex-encoded signature.
+ * @param {string} options.timestamp
+ * @param {string|Buffer} options.rawBody
+ * @returns {boolean}
+ */
+function verifyEd25519Signature({ publicKey, signature, timestamp, rawBody }) {
+  if (!/^[0-9a-f]{64}$/i.test(publicKey || '') || !/^[0-9a-f]{128}$/i.test(signature || '') || !timestamp) {
+    return false
+  }
+
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKey, 'hex')]),
+      format: 'der',
+      type: 'spki',
+    })
+
+    const message = Buffer.concat([Buffer.from(String(timestamp)), Buffer.from(rawBody ?? '')])
+
+    return crypto.verify(null, message, key, Buffer.from(signature, 'hex'))
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Verifies a Discord interaction request from its Ed25519 headers.
+ * @param {Object} options
+ * @param {string} options.publicKey
+ * @param {Object} options.headers
+ * @param {string|Buffer} options.rawBody
+ * @returns {boolean}
+ */
+function verifyDiscordSignature({ publicKey, headers, rawBody }) {
+  return verifyEd25519Signature({
+    publicKey,
+    signature: getHeader(headers, 'x-signature-ed25519'),
+    timestamp: getHeader(headers, 'x-signature-timestamp'),
+    rawBody,
+  })
+}
+
+/**
+ * Verifies a "Standard Webhooks" (Svix) delivery: webhook-signature holds space separated
+ * "v1,<base64 HMAC-SHA256 of '<webhook-id>.<webhook-timestamp>.<raw body>'>" entries, keyed
+ * with the base64 part of a "whsec_" secret.
+ *
+ * @param {Object} options
+ * @param {string} options.secret
+ * @param {Object} options.headers
+ * @param {string|Buffer} options.rawBody
+ * @param {number} [options.toleranceSeconds]
+ * @param {Function} [options.now]
+ * @returns {boolean}
+ */
+function verifyStandardWebhook({ secret, headers, rawBody, toleranceSeconds, now }) {
+  const id = getHeader(headers, 'webhook-id')
+  const timestamp = getHeader(headers, 'webhook-timestamp')
+  const header = getHeader(headers, 'webhook-signature')
+
+  if (!secret || !id || !header || !isFreshTimestamp(timestamp, toleranceSeconds, now)) {
+    return false
+  }
+
+  const key = secret.startsWith('whsec_') ? Buffer.from(secret.slice('whsec_'.length), 'base64') : secret
+  const expected = computeHmac('sha256', key, `${ id }.${ timestamp }.${ rawBody }`, 'base64')
+
+  return header.split(' ').some(entry => {
+    const [version, signature] = entry.split(',')
+
+    return version === 'v1' && safeEqual(expected, signature)
+  })
+}
+
+/**
+ * Verifies a shared secret echoed back in a header, e.g. X-Telegram-Bot-Api-Secret-Token or
+ * X-Gitlab-Token.
+ * @param {Object} options
+ * @param {string} options.expected - Secret registered with the sender.
+ * @param {string} options.provided - Header value as received.
+ * @returns {boolean}
+ */
+function verifySecretToken({ expected, provided }) {
+  return !!expected && safeEqual(String(expected), typeof provided === 'string' ? provided : undefined)
+}
+
+/**
+ * Generates a webhook secret to register with the sender. Hex only, so it satisfies senders
+ * that restrict the alphabet (Telegram allows A-Z, a-z, 0-9, _ and -).
+ * @param {number} [bytes]
+ * @returns {string}
+ */
+function generateWebhookSecret(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('hex')
+}
+
+module.exports = {
+  DEFAULT_TOLERANCE_SECONDS,
+  getHeader,
+  getRawBody,
+  safeEqual,
+  computeHmac,
+  verifyHmac,
+  isFreshTimestamp,
+  verifySlackSignature,
+  parseTimestampedSignatureHeader,
+  verifyStripeSignature,
+  verifyTwilioSignature,
+  verifyEd25519Signature,
+  verifyDiscordSignature,
+  verifyStandardWebhook,
+  verifySecretToken,
+  generateWebhookSecret,
+}
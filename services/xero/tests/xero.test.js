@@ -0,0 +1,87 @@
+'use strict'
+
+const crypto = require('crypto')
+
+const { createSandbox } = require('../../../service-sandbox')
+
+const WEBHOOK_KEY = 'test-xero-webhook-key'
+
+describe('Xero Service', () => {
+  let sandbox
+  let service
+
+  beforeAll(() => {
+    sandbox = createSandbox({ clientId: 'client-id', clientSecret: 'client-secret', webhookKey: WEBHOOK_KEY })
+    require('../src/index.js')
+    service = sandbox.getService()
+  })
+
+  afterAll(() => {
+    sandbox.cleanup()
+  })
+
+  function sign(secret, payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64')
+  }
+
+  // ── Registration ──
+
+  describe('service registration', () => {
+    it('registers the optional Webhook Key without an order', () => {
+      const configItems = sandbox.getConfigItems()
+
+      expect(configItems).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({ name: 'webhookKey', required: false, type: 'STRING' }),
+        ])
+      )
+
+      configItems.forEach(item => expect(item).not.toHaveProperty('order'))
+    })
+  })
+
+  // ── Webhook signature verification ──
+
+  describe('handleTriggerResolveEvents signature verification', () => {
+    const body = { eventType: 'CONTACT.CREATE', resource: { ContactID: 'c1', Name: 'Acme' } }
+    const rawBody = JSON.stringify(body)
+
+    it('accepts a delivery signed with the Webhook Key', async () => {
+      const result = await service.handleTriggerResolveEvents({
+        queryParams: { connectionId: 'conn1' },
+        headers: { 'X-Xero-Signature': sign(WEBHOOK_KEY, rawBody) },
+        body,
+        rawBody,
+      })
+
+      expect(result).toEqual({
+        connectionId: 'conn1',
+        events: [{ name: 'onContactCreated', data: body.resource }],
+      })
+    })
+
+    it('answers a correctly signed "Intent to receive" request with an empty 200', async () => {
+      const intentBody = { events: [], firstEventSequence: 0, lastEventSequence: 0, entropy: 'ABCDEF' }
+      const intentRaw = JSON.stringify(intentBody)
+
+      const result = await service.handleTriggerResolveEvents({
+        queryParams: { connectionId: 'conn1' },
+        headers: { 'x-xero-signature': sign(WEBHOOK_KEY, intentRaw) },
+        body: intentBody,
+        rawBody: intentRaw,
+      })
+
+      expect(result).toBeNull()
+    })
+
+    it('rejects forged and unsigned deliveries with a 401', async () => {
+      const base = { queryParams: { connectionId: 'conn1' }, body, rawBody }
+
+      await expect(service.handleTriggerResolveEvents({ ...base, headers: { 'x-xero-signature': sign('guessed', rawBody) } }))
+        .rejects.toMatchObject({ message: 'Invalid x-xero-signature', status: 401, statusCode: 401 })
+
+      await expect(service.handleTriggerResolveEvents({ ...base, headers: {} }))
+        .rejects.toMatchObject({ statusCode: 401 })
+    })
+  })
+})
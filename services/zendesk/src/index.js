@@ -7,6 +7,10 @@
 //            trigger pair; both resource ids are stored in webhookData)
 // ============================================================================
 
+const { fetchAllPages } = require('./pagination')
+const { retryDeadline, withRetry } = require('./request-retry')
+const { getHeader, getRawBody, isFreshTimestamp, verifyHmac } = require('./webhook-signatures')
+
 const logger = {
   info: (...args) => console.log('[Zendesk] info:', ...args),
   debug: (...args) => console.log('[Zendesk] debug:', ...args),
@@ -82,18 +86,27 @@ class Zendesk {
   // ==========================================================================
   //  CORE — every external call goes through #apiRequest
   // ==========================================================================
-  async #apiRequest({ url, method = 'get', body, query, logTag }) {
+  // `deadline` bounds the retries; actions that send several requests compute it once with
+  // retryDeadline() so all of them share the action's execution budget.
+  async #apiRequest({ url, method = 'get', body, query, logTag, deadline }) {
     try {
       logger.debug(`${ logTag } - [${ method.toUpperCase() }::${ url }]`)
 
-      const request = Flowrunner.Request[method.toLowerCase()](url)
-        .set({
-          Authorization: `Basic ${ Buffer.from(`${ this.email }/token:${ this.apiToken }`).toString('base64') }`,
-          'Content-Type': 'application/json',
-        })
-        .query(query || {})
-
-      return body !== undefined ? await request.send(body) : await request
+      // 429s carry Retry-After; GET/PUT/DELETE are retried, creates are not
+      return await withRetry(() => {
+        const request = Flowrunner.Request[method.toLowerCase()](url)
+          .set({
+            Authorization: `Basic ${ Buffer.from(`${ this.email }/token:${ this.apiToken }`).toString('base64') }`,
+            'Content-Type': 'application/json',
+          })
+          .query(query || {})
+
+        return body !== undefined ? request.send(body) : request
+      }, {
+        method,
+        deadline,
+        onRetry: ({ attempt, delayMs, status }) => logger.warn(`${ logTag } - HTTP ${ status }, retry #${ attempt } in ${ delayMs }ms`),
+      })
     } catch (error) {
       const status = error?.status || error?.statusCode
       // Zendesk error bodies: {error, description} or {error: {title, message}, details: {...}}
@@ -240,31 +253,54 @@ class Zendesk {
    * @category Tickets
    * @description Lists tickets in the Zendesk account with sorting and page-based pagination (up to 100 per page). Returns the tickets plus the total count and next page number when more results exist.
    * @route GET /list-tickets
+   * @executionTimeoutInSeconds 120
    * @paramDef {"type":"String","label":"Sort By","name":"sortBy","defaultValue":"Created At","uiComponent":{"type":"DROPDOWN","options":{"values":["Created At","Updated At","ID","Status","Subject"]}},"description":"Field to sort the tickets by."}
    * @paramDef {"type":"String","label":"Sort Order","name":"sortOrder","defaultValue":"Descending","uiComponent":{"type":"DROPDOWN","options":{"values":["Ascending","Descending"]}},"description":"Direction to sort in."}
    * @paramDef {"type":"Number","label":"Page Size","name":"perPage","uiComponent":{"type":"NUMERIC_STEPPER"},"description":"Tickets per page, 1-100. Defaults to 100."}
    * @paramDef {"type":"Number","label":"Page","name":"page","uiComponent":{"type":"NUMERIC_STEPPER"},"description":"Page number to fetch, starting at 1."}
+   * @paramDef {"type":"Boolean","label":"Return All Results","name":"returnAll","uiComponent":{"type":"TOGGLE"},"description":"Fetch every page from 'Page' (or the first page) onwards and return all tickets in one list. Stops at 'Max Items' or when the time limit of this action is nearly used up; 'nextPage' then tells where to continue and 'nextPageSkip' how many of that page's tickets were already returned."}
+   * @paramDef {"type":"Number","label":"Max Items","name":"maxItems","uiComponent":{"type":"NUMERIC_STEPPER"},"description":"Upper limit on the tickets returned when 'Return All Results' is on. Defaults to 10000."}
    * @returns {Object}
    * @sampleResult {"tickets":[{"id":35436,"subject":"Printer on fire","status":"open","priority":"urgent","requester_id":20978392,"created_at":"2026-07-13T09:30:00Z"}],"count":101,"nextPage":"2"}
    */
-  async listTickets(sortBy, sortOrder, perPage, page) {
+  async listTickets(sortBy, sortOrder, perPage, page, returnAll, maxItems) {
     // docs: https://developer.zendesk.com/api-reference/ticketing/tickets/tickets/#list-tickets
-    const response = await this.#apiRequest({
+    const deadline = retryDeadline(120)
+    const fetchPage = pageNumber => this.#apiRequest({
       url: `${ this.baseUrl }/tickets.json`,
       query: this.#compact({
         sort_by: this.#resolveChoice(sortBy, TICKETS_SORT_MAP),
         sort_order: this.#resolveChoice(sortOrder, SORT_ORDER_MAP),
         per_page: this.#toNumber(perPage) || 100,
-        page: this.#toNumber(page),
+        page: this.#toNumber(pageNumber),
       }),
       logTag: 'listTickets',
+      deadline,
     })
 
-    return {
-      tickets: response.tickets || [],
-      count: response.count,
-      nextPage: this.#nextPageCursor(response) || null,
+    if (!returnAll) {
+      const response = await fetchPage(page)
+
+      return {
+        tickets: response.tickets || [],
+        count: response.count,
+        nextPage: this.#nextPageCursor(response) || null,
+      }
     }
+
+    let count
+
+    // page numbers keep their meaning only with a fixed page size, so the last page is trimmed
+    // instead of requested smaller and resumed with nextPageSkip
+    const { items, nextCursor, skip } = await fetchAllPages(async pageNumber => {
+      const response = await fetchPage(pageNumber)
+
+      count = response.count
+
+      return { items: response.tickets, nextCursor: this.#nextPageCursor(response) }
+    }, { cursor: this.#toNumber(page) || 1, maxItems: this.#toNumber(maxItems), deadline })
+
+    return { tickets: items, count, nextPage: nextCursor === null ? null : String(nextCursor), nextPageSkip: skip }
   }
 
   /**
@@ -740,6 +776,7 @@ class Zendesk {
     logger.debug(`handleTriggerUpsertWebhook.invocation: ${ JSON.stringify(invocation) }`)
 
     const address = `${ invocation.callbackUrl }${ invocation.callbackUrl.includes('?') ? '&' : '?' }connectionId=${ invocation.connectionId }`
+    const deadline = retryDeadline()
     const webhooks = []
 
     for (const event of invocation.events || []) {
@@ -763,6 +800,7 @@ class Zendesk {
           },
         },
         logTag: 'createWebhook',
+        deadline,
       })
       const webhookId = webhookResponse?.webhook?.id
 
@@ -791,17 +829,20 @@ class Zendesk {
             },
           },
           logTag: 'createZendeskTrigger',
+          deadline,
         })
 
         zendeskTriggerId = triggerResponse?.trigger?.id
       } catch (error) {
         // Don't strand the webhook if the trigger half of the pair failed.
-        await this.#safeDelete(`${ this.baseUrl }/webhooks/${ webhookId }`, 'rollbackWebhook')
+        await this.#safeDelete(`${ this.baseUrl }/webhooks/${ webhookId }`, 'rollbackWebhook', deadline)
 
         throw error
       }
 
-      webhooks.push({ triggerId: event.id, webhookId, zendeskTriggerId, event: eventLabel })
+      const signingSecret = await this.#getWebhookSigningSecret(webhookId, deadline)
+
+      webhooks.push({ triggerId: event.id, webhookId, zendeskTriggerId, event: eventLabel, signingSecret })
     }
 
     return { webhookData: { webhooks }, connectionId: invocation.connectionId }
@@ -821,6 +862,12 @@ class Zendesk {
       return { handshake: true, responseToExternalService: invocation?.body || {} }
     }
 
+    if (!this.#verifyWebhookSignature(invocation)) {
+      logger.warn('handleTriggerResolveEvents: X-Zendesk-Webhook-Signature verification failed — rejecting delivery')
+
+      return { connectionId: invocation.queryParams?.connectionId, events: [] }
+    }
+
     return {
       connectionId: invocation.queryParams?.connectionId,
       events: this.onTicketEvent(CALL_TYPES.SHAPE_EVENT, invocation.body),
@@ -848,23 +895,66 @@ class Zendesk {
   async handleTriggerDeleteWebhook(invocation) {
     logger.debug('handleTriggerDeleteWebhook invoked')
 
+    const deadline = retryDeadline()
+
     for (const webhook of invocation.webhookData?.webhooks || []) {
       // Delete the business-rule trigger first so nothing keeps notifying the webhook.
       if (webhook.zendeskTriggerId) {
-        await this.#safeDelete(`${ this.baseUrl }/triggers/${ webhook.zendeskTriggerId }.json`, 'deleteZendeskTrigger')
+        await this.#safeDelete(`${ this.baseUrl }/triggers/${ webhook.zendeskTriggerId }.json`, 'deleteZendeskTrigger', deadline)
       }
 
       if (webhook.webhookId) {
-        await this.#safeDelete(`${ this.baseUrl }/webhooks/${ webhook.webhookId }`, 'deleteWebhook')
+        await this.#safeDelete(`${ this.baseUrl }/webhooks/${ webhook.webhookId }`, 'deleteWebhook', deadline)
       }
     }
 
     return { webhookData: {} }
   }
 
-  async #safeDelete(url, logTag) {
+  // Zendesk generates a signing secret per webhook; it is only readable through its own endpoint.
+  // docs: https://developer.zendesk.com/api-reference/webhooks/webhooks-api/webhooks/#show-webhook-signing-secret
+  async #getWebhookSigningSecret(webhookId, deadline) {
+    try {
+      const response = await this.#apiRequest({
+        url: `${ this.baseUrl }/webhooks/${ webhookId }/signing_secret`,
+        logTag: 'getWebhookSigningSecret',
+        deadline,
+      })
+
+      return response?.signing_secret?.secret
+    } catch (error) {
+      logger.warn(`getWebhookSigningSecret: failed to read the secret of webhook ${ webhookId }: ${ error?.message }`)
+
+      return undefined
+    }
+  }
+
+  // Verifies X-Zendesk-Webhook-Signature: base64 HMAC-SHA256 of the signature timestamp followed
+  // by the raw body. If no signing secret was stored, verification is skipped with a warning.
+  #verifyWebhookSignature(invocation) {
+    const secrets = (invocation.webhookData?.webhooks || []).map(hook => hook.signingSecret).filter(Boolean)
+
+    if (!secrets.length) {
+      logger.warn('No webhook signing secret stored — skipping signature verification.')
+
+      return true
+    }
+
+    const timestamp = getHeader(invocation.headers, 'x-zendesk-webhook-signature-timestamp')
+
+    if (!timestamp || !isFreshTimestamp(Date.parse(timestamp) / 1000)) {
+      return false
+    }
+
+    const signature = getHeader(invocation.headers, 'x-zendesk-webhook-signature')
+    const payload = `${ timestamp }${ getRawBody(invocation) }`
+
+    return secrets.some(secret => verifyHmac({ secret, payload, signature, encoding: 'base64' }))
+  }
+
+  async #safeDelete(url, logTag, deadline) {
     try {
-      await this.#apiRequest({ url, method: 'delete', logTag })
+      await this.#apiRequest({ url, method: 'delete', logTag, deadline })
     } catch (error) {
       logger.warn(`${ logTag }: cleanup failed for ${ url }: ${ error?.message }`)
     }
@@ -0,0 +1,222 @@
+'use strict'
+
+// Shared request retry: edit shared/request-retry/request-retry.js and run `npm run sync:shared`, never the service copy.
+
+const RETRYABLE_STATUSES = [429, 502, 503, 504]
+
+// Replaying these cannot apply a change twice; POST and PATCH need an idempotency key.
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete']
+
+const RETRY_DEFAULTS = {
+  maxRetries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 30000,
+  // Budget assumed for methods without @executionTimeoutInSeconds.
+  timeoutSeconds: 30,
+  // Time kept free at the end of the budget for the final attempt and the response handling.
+  safetyMarginMs: 1000,
+}
+
+const defaultSleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Returns the epoch-ms deadline of an execution budget. Bulk actions compute it once at the
+ * start of the method and pass it to every request, so the retries of all requests together
+ * stay within the method's @executionTimeoutInSeconds.
+ * @param {number} [timeoutSeconds]
+ * @param {Function} [now]
+ * @returns {number}
+ */
+function retryDeadline(timeoutSeconds = RETRY_DEFAULTS.timeoutSeconds, now = Date.now) {
+  return now() + timeoutSeconds * 1000
+}
+
+function readHeader(headers, name) {
+  if (!headers) {
+    return undefined
+  }
+
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name)
+
+  return key === undefined ? undefined : headers[key]
+}
+
+/**
+ * Reads how long the server asked us to wait, in milliseconds.
+ *
+ * Retry-After holds seconds or an HTTP date. X-RateLimit-Reset holds either epoch seconds
+ * (GitHub, Twitter) or seconds until the reset (most others); values that look like a
+ * timestamp are treated as one. RateLimit-Reset is always a delta.
+ *
+ * @param {Object} headers - Response headers.
+ * @param {Function} [now]
+ * @returns {number|undefined}
+ */
+function parseRetryAfter(headers, now = Date.now) {
+  const retryAfter = readHeader(headers, 'retry-after')
+
+  if (retryAfter !== undefined && retryAfter !== '') {
+    const seconds = Number(retryAfter)
+
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000)
+    }
+
+    const date = Date.parse(retryAfter)
+
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - now())
+    }
+  }
+
+  const reset = Number(readHeader(headers, 'x-ratelimit-reset') ?? readHeader(headers, 'ratelimit-reset'))
+
+  if (!Number.isFinite(reset)) {
+    return undefined
+  }
+
+  if (reset > 1e12) {
+    return Math.max(0, reset - now())
+  }
+
+  if (reset > 1e9) {
+    return Math.max(0, reset * 1000 - now())
+  }
+
+  return Math.max(0, reset * 1000)
+}
+
+/**
+ * Exponential backoff with full jitter: a random delay up to base * 2^attempt, capped.
+ * @param {number} attempt - Zero-based retry number.
+ * @param {Object} [options]
+ * @returns {number}
+ */
+function backoffDelay(attempt, { baseDelayMs = RETRY_DEFAULTS.baseDelayMs, maxDelayMs = RETRY_DEFAULTS.maxDelayMs, random = Math.random } = {}) {
+  return Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt))
+}
+
+function errorStatus(error) {
+  return error?.status ?? error?.statusCode ?? error?.response?.status
+}
+
+function errorHeaders(error) {
+  return error?.response?.headers || error?.headers
+}
+
+/**
+ * Reads a header of a failed request's response, case-insensitively.
+ * @param {Object} error
+ * @param {string} name - Lowercase header name.
+ * @returns {string|undefined}
+ */
+function getErrorHeader(error, name) {
+  return readHeader(errorHeaders(error), name)
+}
+
+/**
+ * Whether a request may be sent again: idempotent methods always, POST/PATCH only with an
+ * idempotency key or when the caller vouches for the request (e.g. a batch of updates only).
+ * @param {Object} options
+ * @param {string} [options.method]
+ * @param {string} [options.idempotencyKey]
+ * @param {boolean} [options.idempotent]
+ * @returns {boolean}
+ */
+function canRetryRequest({ method = 'get', idempotencyKey, idempotent } = {}) {
+  if (idempotent !== undefined) {
+    return !!idempotent || !!idempotencyKey
+  }
+
+  return IDEMPOTENT_METHODS.includes(String(method).toLowerCase()) || !!idempotencyKey
+}
+
+/**
+ * Sends a request and retries it on 429/502/503/504.
+ *
+ * `send` builds and sends a fresh Flowrunner.Request chain on every call (a chain can only be
+ * awaited once) and receives the zero-based attempt number. Waits follow Retry-After or
+ * X-RateLimit-Reset when the response has them and exponential backoff with jitter otherwise.
+ * A wait that would run past the execution budget is not started: the last error is thrown so
+ * the service reports the throttling instead of being killed by the platform timeout.
+ *
+ * Errors are re-thrown unchanged, with `retryAttempts` set to the number of retries made.
+ *
+ * @param {Function} send - attempt => Promise
+ * @param {Object} [options]
+ * @param {string} [options.method] - HTTP method, decides whether the request may be replayed.
+ * @param {string} [options.idempotencyKey] - Key the service sends with POST/PATCH requests.
+ * @param {boolean} [options.idempotent] - Overrides the method-based decision.
+ * @param {number} [options.maxRetries]
+ * @param {number} [options.baseDelayMs]
+ * @param {number} [options.maxDelayMs]
+ * @param {number} [options.timeoutSeconds] - The method's @executionTimeoutInSeconds.
+ * @param {number} [options.deadline] - Epoch ms from retryDeadline(), wins over timeoutSeconds.
+ * @param {number[]} [options.statuses]
+ * @param {Function} [options.retryOn] - error => boolean, replaces the status check for APIs that
+ *   throttle with other statuses (GitHub answers 403 with X-RateLimit-Remaining: 0).
+ * @param {Function} [options.onRetry] - ({ attempt, delayMs, status, error }) => void, e.g. for logging.
+ * @param {Function} [options.sleep] - ms => Promise, setTimeout based by default.
+ * @param {Function} [options.now]
+ * @param {Function} [options.random]
+ * @returns {Promise<*>}
+ */
+async function withRetry(send, options = {}) {
+  const {
+    maxRetries = RETRY_DEFAULTS.maxRetries,
+    baseDelayMs = RETRY_DEFAULTS.baseDelayMs,
+    maxDelayMs = RETRY_DEFAULTS.maxDelayMs,
+    safetyMarginMs = RETRY_DEFAULTS.safetyMarginMs,
+    statuses = RETRYABLE_STATUSES,
+    retryOn = error => statuses.includes(errorStatus(error)),
+    onRetry,
+    sleep = defaultSleep,
+    now = Date.now,
+    random = Math.random,
+  } = options
+
+  const deadline = options.deadline ?? retryDeadline(options.timeoutSeconds ?? RETRY_DEFAULTS.timeoutSeconds, now)
+  const retryable = canRetryRequest(options)
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await send(attempt)
+    } catch (error) {
+      const status = errorStatus(error)
+
+      if (error && typeof error === 'object') {
+        error.retryAttempts = attempt
+      }
+
+      if (!retryable || attempt >= maxRetries || !retryOn(error)) {
+        throw error
+      }
+
+      const requestedMs = parseRetryAfter(errorHeaders(error), now)
+      const delayMs = requestedMs ?? backoffDelay(attempt, { baseDelayMs, maxDelayMs, random })
+
+      // a server asking for a longer pause than maxDelayMs is not waited for either
+      if (delayMs > maxDelayMs || now() + delayMs > deadline - safetyMarginMs) {
+        throw error
+      }
+
+      if (onRetry) {
+        onRetry({ attempt: attempt + 1, delayMs, status, error })
+      }
+
+      await sleep(delayMs)
+    }
+  }
+}
+
+module.exports = {
+  RETRYABLE_STATUSES,
+  IDEMPOTENT_METHODS,
+  RETRY_DEFAULTS,
+  retryDeadline,
+  parseRetryAfter,
+  backoffDelay,
+  canRetryRequest,
+  getErrorHeader,
+  withRetry,
+}
@@ -1,5 +1,7 @@
 'use strict'
 
+const crypto = require('crypto')
+
 const { createSandbox } = require('../../../service-sandbox')
 
 const SUBDOMAIN = 'acme'
@@ -244,6 +246,77 @@ describe('Zendesk Service', () => {
 
       expect(result.nextPage).toBeNull()
     })
+
+    it('returns every page when asked to return all results', async () => {
+      mock.onGet(`${ BASE }/tickets.json`).replySequence([
+        { tickets: [{ id: 1 }, { id: 2 }], count: 3, next_page: `${ BASE }/tickets.json?page=2&per_page=2` },
+        { tickets: [{ id: 3 }], count: 3, next_page: null },
+      ])
+
+      const result = await service.listTickets(undefined, undefined, 2, undefined, true)
+
+      expect(result).toEqual({ tickets: [{ id: 1 }, { id: 2 }, { id: 3 }], count: 3, nextPage: null, nextPageSkip: 0 })
+      expect(mock.history.map(call => call.query.page)).toEqual([1, 2])
+    })
+
+    it('trims to max items and resumes from the trimmed page, skipping the tickets returned', async () => {
+      mock.onGet(`${ BASE }/tickets.json`).replySequence([
+        { tickets: [{ id: 1 }, { id: 2 }], count: 6, next_page: `${ BASE }/tickets.json?page=2&per_page=2` },
+        { tickets: [{ id: 3 }, { id: 4 }], count: 6, next_page: `${ BASE }/tickets.json?page=3&per_page=2` },
+      ])
+
+      const result = await service.listTickets(undefined, undefined, 2, undefined, true, 3)
+
+      expect(result).toEqual({ tickets: [{ id: 1 }, { id: 2 }, { id: 3 }], count: 6, nextPage: '2', nextPageSkip: 1 })
+    })
+
+    it('resumes from the first page when that page is trimmed', async () => {
+      mock.onGet(`${ BASE }/tickets.json`).reply({ tickets: [{ id: 1 }, { id: 2 }], count: 6, next_page: `${ BASE }/tickets.json?page=2&per_page=2` })
+
+      const result = await service.listTickets(undefined, undefined, 2, undefined, true, 1)
+
+      expect(result).toEqual({ tickets: [{ id: 1 }], count: 6, nextPage: '1', nextPageSkip: 1 })
+    })
+
+    describe('retry budget', () => {
+      beforeEach(() => {
+        jest.useFakeTimers({ now: 0 })
+      })
+
+      afterEach(() => {
+        jest.useRealTimers()
+      })
+
+      it('retries within the 120 second execution budget of the action', async () => {
+        mock.onGet(`${ BASE }/tickets.json`).once().replyWithStatus(429, {}, { 'Retry-After': '25' })
+        mock.onGet(`${ BASE }/tickets.json`).once().replyWithStatus(429, {}, { 'Retry-After': '25' })
+        mock.onGet(`${ BASE }/tickets.json`).reply({ tickets: [{ id: 1 }], count: 1, next_page: null })
+
+        const pending = service.listTickets(undefined, undefined, undefined, undefined, true)
+
+        await jest.runAllTimersAsync()
+
+        await expect(pending).resolves.toEqual({ tickets: [{ id: 1 }], count: 1, nextPage: null, nextPageSkip: 0 })
+        expect(mock.callsTo('get', `${ BASE }/tickets.json`).map(call => call.at)).toEqual([0, 25000, 50000])
+      })
+
+      it('shares one budget across all pages instead of starting a new one per request', async () => {
+        mock.onGet(`${ BASE }/tickets.json`).once().replyWithStatus(429, {}, { 'Retry-After': '25' })
+        mock.onGet(`${ BASE }/tickets.json`).once().replyWithStatus(429, {}, { 'Retry-After': '25' })
+        mock.onGet(`${ BASE }/tickets.json`).once().replyWithStatus(429, {}, { 'Retry-After': '25' })
+        mock.onGet(`${ BASE }/tickets.json`).once().reply({ tickets: [{ id: 1 }], count: 2, next_page: `${ BASE }/tickets.json?page=2` })
+        mock.onGet(`${ BASE }/tickets.json`).replyWithStatus(429, {}, { 'Retry-After': '25' })
+
+        const pending = service.listTickets(undefined, undefined, undefined, undefined, true)
+        const assertion = expect(pending).rejects.toThrow('Zendesk API error')
+
+        await jest.runAllTimersAsync()
+        await assertion
+
+        // page 2 starts at 75s, so after one retry another 25s wait would end past the 120s budget
+        expect(mock.callsTo('get', `${ BASE }/tickets.json`).map(call => call.at)).toEqual([0, 25000, 50000, 75000, 75000, 100000])
+      })
+    })
   })
 
   describe('updateTicket', () => {
@@ -614,6 +687,7 @@ describe('Zendesk Service', () => {
     it('creates a webhook and a business-rule trigger per event', async () => {
       mock.onPost(`${ BASE }/webhooks`).reply({ webhook: { id: 'wh-1' } })
       mock.onPost(`${ BASE }/triggers.json`).reply({ trigger: { id: 'zt-1' } })
+      mock.onGet(`${ BASE }/webhooks/wh-1/signing_secret`).reply({ signing_secret: { algorithm: 'sha256', secret: 'zd-secret' } })
 
       const result = await service.handleTriggerUpsertWebhook({
         callbackUrl: 'https://hooks.flowrunner.io/cb',
@@ -623,12 +697,18 @@ describe('Zendesk Service', () => {
 
       expect(result).toEqual({
         webhookData: {
-          webhooks: [{ triggerId: 'ev-1', webhookId: 'wh-1', zendeskTriggerId: 'zt-1', event: 'Ticket Created' }],
+          webhooks: [{
+            triggerId: 'ev-1',
+            webhookId: 'wh-1',
+            zendeskTriggerId: 'zt-1',
+            event: 'Ticket Created',
+            signingSecret: 'zd-secret',
+          }],
         },
         connectionId: 'conn-1',
       })
 
-      expect(mock.history).toHaveLength(2)
+      expect(mock.history).toHaveLength(3)
 
       expect(mock.history[0].body.webhook).toMatchObject({
         name: 'FlowRunner Ticket Created (ev-1)',
@@ -726,6 +806,46 @@ describe('Zendesk Service', () => {
       await expect(service.handleTriggerResolveEvents(undefined))
         .resolves.toEqual({ handshake: true, responseToExternalService: {} })
     })
+
+    describe('signature verification', () => {
+      const webhookData = { webhooks: [{ webhookId: 'wh-1', zendeskTriggerId: 'zt-1', signingSecret: 'zd-secret' }] }
+      const body = { event: 'updated', ticketId: '35436', subject: 'Printer' }
+      const rawBody = JSON.stringify(body)
+
+      function zendeskHeaders(secret, timestamp = new Date().toISOString()) {
+        return {
+          'X-Zendesk-Webhook-Signature': crypto.createHmac('sha256', secret).update(`${ timestamp }${ rawBody }`).digest('base64'),
+          'X-Zendesk-Webhook-Signature-Timestamp': timestamp,
+        }
+      }
+
+      it('accepts a delivery signed with the webhook signing secret', async () => {
+        const result = await service.handleTriggerResolveEvents({
+          queryParams: { connectionId: 'conn-1' },
+          headers: zendeskHeaders('zd-secret'),
+          body,
+          rawBody,
+          webhookData,
+        })
+
+        expect(result.events).toHaveLength(1)
+      })
+
+      it('rejects forged, replayed and unsigned deliveries', async () => {
+        const base = { queryParams: { connectionId: 'conn-1' }, body, rawBody, webhookData }
+
+        const forged = await service.handleTriggerResolveEvents({ ...base, headers: zendeskHeaders('guessed') })
+        const replayed = await service.handleTriggerResolveEvents({
+          ...base,
+          headers: zendeskHeaders('zd-secret', new Date(Date.now() - 3600000).toISOString()),
+        })
+        const unsigned = await service.handleTriggerResolveEvents(base)
+
+        expect(forged).toEqual({ connectionId: 'conn-1', events: [] })
+        expect(replayed.events).toEqual([])
+        expect(unsigned.events).toEqual([])
+      })
+    })
   })
 
   describe('handleTriggerSelectMatched', () => {
@@ -0,0 +1,85 @@
+'use strict'
+
+// Shared AWS core: edit shared/aws-core/config-items.js and run `npm run sync:shared`, never the service copy.
+
+const awsConfigItems = [
+  {
+    name: 'authenticationMethod',
+    displayName: 'Authentication Method',
+    type: 'CHOICE',
+    required: true,
+    shared: false,
+    defaultValue: 'API Key',
+    hint: "How to authenticate with AWS. 'API Key' uses your access key directly. 'IAM Role' uses STS AssumeRole with a Role ARN for cross-account access.",
+    options: ['API Key', 'IAM Role'],
+  },
+  {
+    name: 'region',
+    displayName: 'Region',
+    type: 'STRING',
+    required: true,
+    shared: false,
+    defaultValue: 'us-east-1',
+    hint: 'AWS region code, e.g. us-east-1, eu-west-1.',
+  },
+  {
+    name: 'accessKeyId',
+    displayName: 'Access Key',
+    type: 'STRING',
+    required: false,
+    shared: false,
+    hint: 'Your AWS access key ID. Required for both API Key and IAM Role authentication.',
+  },
+  {
+    name: 'secretAccessKey',
+    displayName: 'Secret Key',
+    type: 'STRING',
+    required: false,
+    shared: false,
+    hint: 'Your AWS secret access key. Required for both API Key and IAM Role authentication.',
+  },
+  {
+    name: 'sessionToken',
+    displayName: 'Session Token',
+    type: 'STRING',
+    required: false,
+    shared: false,
+    hint: 'Optional session token for temporary access keys (starting with ASIA), e.g. from aws sts get-session-token.',
+  },
+  {
+    name: 'roleArn',
+    displayName: 'IAM Role ARN',
+    type: 'STRING',
+    required: false,
+    shared: false,
+    hint: 'ARN of the IAM role to assume (e.g. arn:aws:iam::123456789012:role/MyRole). Separate several ARNs with commas to chain roles, each assumed with the previous one. Required for IAM Role authentication.',
+  },
+  {
+    name: 'externalId',
+    displayName: 'External ID',
+    type: 'STRING',
+    required: false,
+    shared: false,
+    hint: 'Optional external ID for cross-account role assumption. With chained roles it is sent for the last role.',
+  },
+  {
+    name: 'endpointVariant',
+    displayName: 'Endpoint Type',
+    type: 'CHOICE',
+    required: false,
+    shared: false,
+    defaultValue: 'Standard',
+    hint: 'Which AWS endpoint to use. FIPS endpoints use FIPS 140 validated cryptography; dual-stack endpoints accept IPv6.',
+    options: ['Standard', 'FIPS', 'Dual-Stack', 'FIPS + Dual-Stack'],
+  },
+  {
+    name: 'endpoint',
+    displayName: 'Custom Endpoint',
+    type: 'STRING',
+    required: false,
+    shared: false,
+    hint: 'Overrides the AWS endpoint for all requests, including STS, e.g. http://localhost:4566 for LocalStack. Leave empty to use the AWS endpoint of the region.',
+  },
+]
+
+module.exports = { awsConfigItems }
@@ -0,0 +1,170 @@
+'use strict'
+
+// Shared database TLS: edit shared/db-tls/db-tls.js and run `npm run sync:shared`, never the service copy.
+
+const net = require('net')
+const tls = require('tls')
+
+// TLS Verification choices -> libpq-style modes
+const TLS_VERIFY_MODES = {
+  'Encrypt Only': 'require',
+  'Verify CA': 'verify-ca',
+  'Verify Full': 'verify-full',
+}
+
+const DEFAULT_TLS_VERIFY_MODE = 'Encrypt Only'
+
+// Certificate errors raised by Node's TLS socket when the server cannot be verified.
+const UNTRUSTED_CERT_CODES = [
+  'SELF_SIGNED_CERT_IN_CHAIN',
+  'DEPTH_ZERO_SELF_SIGNED_CERT',
+  'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+  'UNABLE_TO_GET_ISSUER_CERT',
+  'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+]
+
+const tlsCaCertConfigItem = {
+  name: 'tlsCaCert',
+  displayName: 'TLS CA Certificate',
+  type: 'TEXT',
+  required: false,
+  shared: false,
+  hint: 'Optional. PEM-encoded certificate(s) of the CA that signed the database server certificate, including the "-----BEGIN CERTIFICATE-----" lines, e.g. the RDS or Cloud SQL server CA bundle. Needed when the server certificate is issued by a private CA.',
+}
+
+const tlsConfigItems = [
+  {
+    name: 'tlsVerifyMode',
+    displayName: 'TLS Verification',
+    type: 'CHOICE',
+    required: false,
+    shared: false,
+    options: Object.keys(TLS_VERIFY_MODES),
+    defaultValue: DEFAULT_TLS_VERIFY_MODE,
+    hint: '"Encrypt Only" encrypts without verifying the server. "Verify CA" requires a certificate from a trusted CA (system CAs or TLS CA Certificate). "Verify Full" also checks the host name. A verifying mode turns TLS on.',
+  },
+  tlsCaCertConfigItem,
+  {
+    name: 'tlsClientCert',
+    displayName: 'TLS Client Certificate',
+    type: 'TEXT',
+    required: false,
+    shared: false,
+    hint: 'Optional. PEM-encoded client certificate for mutual TLS, including the "-----BEGIN CERTIFICATE-----" lines. Requires TLS Client Key.',
+  },
+  {
+    name: 'tlsClientKey',
+    displayName: 'TLS Client Key',
+    type: 'TEXT',
+    required: false,
+    shared: false,
+    hint: 'Optional. Unencrypted PEM-encoded private key of the TLS Client Certificate, including the "-----BEGIN ... PRIVATE KEY-----" lines.',
+  },
+]
+
+// Recover real newlines if the PEM text was pasted with escaped "\n" sequences.
+function readPem(value) {
+  const pem = String(value || '').trim()
+
+  return pem && !pem.includes('\n') ? pem.replace(/\\n/g, '\n') : pem
+}
+
+/**
+ * Reads the TLS settings from a service configuration.
+ * @param {Object} config - The service configuration.
+ * @returns {{mode: string, ca: string, cert: string, key: string, configured: boolean}}
+ *   configured is true when anything beyond plain encryption was asked for.
+ */
+function tlsSettings(config) {
+  const source = config || {}
+  const mode = TLS_VERIFY_MODES[source.tlsVerifyMode] || TLS_VERIFY_MODES[DEFAULT_TLS_VERIFY_MODE]
+  const ca = readPem(source.tlsCaCert)
+  const cert = readPem(source.tlsClientCert)
+  const key = readPem(source.tlsClientKey)
+
+  return { mode, ca, cert, key, configured: mode !== 'require' || Boolean(ca || cert || key) }
+}
+
+/**
+ * Builds Node tls.connect() options for the settings.
+ * @param {Object} settings - Result of tlsSettings().
+ * @param {string} [expectedHost] - Host name the certificate must match when it differs from
+ *   the host connected to, e.g. the database host behind an SSH tunnel.
+ * @returns {Object}
+ */
+function nodeTlsOptions(settings, expectedHost) {
+  if (Boolean(settings.cert) !== Boolean(settings.key)) {
+    throw new Error('TLS: provide both a TLS Client Certificate and a TLS Client Key for mutual TLS.')
+  }
+
+  if (settings.ca && !settings.ca.includes('-----BEGIN')) {
+    throw new Error('TLS: the TLS CA Certificate must be PEM text starting with "-----BEGIN CERTIFICATE-----".')
+  }
+
+  const options = { rejectUnauthorized: settings.mode !== 'require' }
+
+  if (settings.ca) options.ca = settings.ca
+  if (settings.cert) options.cert = settings.cert
+  if (settings.key) options.key = settings.key
+
+  if (settings.mode === 'verify-ca') {
+    // The chain is still verified; only the host name check is skipped.
+    options.checkServerIdentity = () => undefined
+  } else if (settings.mode === 'verify-full' && expectedHost) {
+    options.checkServerIdentity = (host, cert) => tls.checkServerIdentity(expectedHost, cert)
+
+    if (!net.isIP(expectedHost)) options.servername = expectedHost
+  }
+
+  return options
+}
+
+/**
+ * Removes ssl* query parameters (sslmode, sslrootcert, ...) from a connection URL, so the
+ * configured TLS options are not overridden by values parsed from the string.
+ * @param {string} url
+ * @returns {string}
+ */
+function withoutUrlTlsParams(url) {
+  const queryStart = url.indexOf('?')
+
+  if (queryStart === -1) return url
+
+  const kept = url.slice(queryStart + 1).split('&').filter(pair => !/^ssl[a-z]*(=|$)/i.test(pair))
+
+  return kept.length ? `${ url.slice(0, queryStart) }?${ kept.join('&') }` : url.slice(0, queryStart)
+}
+
+/**
+ * Explains a certificate verification failure.
+ * @param {Error} error - A socket or driver error.
+ * @returns {string|null} A "hint: ..." sentence, or null for other errors.
+ */
+function tlsErrorHint(error) {
+  const code = error && error.code
+
+  if (UNTRUSTED_CERT_CODES.includes(code)) {
+    return 'hint: the server certificate is not signed by a trusted CA. ' +
+      'Paste the PEM certificate of the CA that signed it into TLS CA Certificate.'
+  }
+
+  if (code === 'ERR_TLS_CERT_ALTNAME_INVALID') {
+    return 'hint: the server certificate does not match the host name. ' +
+      'Connect with a host name listed in the certificate.'
+  }
+
+  if (code === 'CERT_HAS_EXPIRED') {
+    return 'hint: the server certificate has expired and must be renewed on the database server.'
+  }
+
+  return null
+}
+
+module.exports = {
+  tlsConfigItems,
+  tlsCaCertConfigItem,
+  tlsSettings,
+  nodeTlsOptions,
+  withoutUrlTlsParams,
+  tlsErrorHint,
+}
@@ -0,0 +1,242 @@
+'use strict'
+
+// Shared Google auth: edit shared/google-auth/google-auth.js and run `npm run sync:shared`, never the service copy.
+
+const crypto = require('crypto')
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token'
+const JWT_BEARER_GRANT = 'urn:ietf:params:oauth:grant-type:jwt-bearer'
+const TOKEN_LIFETIME_SECONDS = 3600
+const EXPIRY_BUFFER_MS = 60000
+
+// Scopes that only identify the OAuth user. A service account has no use for them and a
+// domain-wide delegation grant rarely lists them, so asking for them fails the token request.
+const IDENTITY_SCOPES = ['openid', 'email', 'profile']
+const USERINFO_SCOPE_PREFIX = 'https://www.googleapis.com/auth/userinfo.'
+
+// Tokens by service account, subject and scopes. Service instances are short-lived, the
+// module is not, so repeated invocations reuse a token until it is about to expire.
+const tokenCache = new Map()
+
+const googleServiceAccountConfigItems = [
+  {
+    name: 'serviceAccountKey',
+    displayName: 'Service Account Key (JSON)',
+    type: 'TEXT',
+    required: false,
+    shared: false,
+    hint: 'Optional. Paste the JSON key file of a Google Cloud service account to call Google as that account instead of the connected user, e.g. for server-to-server flows. Leave empty to use the OAuth connection.',
+  },
+  {
+    name: 'impersonatedUser',
+    displayName: 'Impersonated User',
+    type: 'STRING',
+    required: false,
+    shared: false,
+    hint: 'Optional. Email of the Workspace user to act as (domain-wide delegation). A Workspace admin must authorize the service account\'s client ID for this integration\'s scopes under Security > API controls > Domain-wide delegation.',
+  },
+]
+
+/**
+ * Parses and checks a service-account key file.
+ * @param {string|Object} rawKey - The JSON key file contents or the parsed object.
+ * @returns {Object}
+ */
+function parseServiceAccountKey(rawKey) {
+  if (!rawKey) {
+    throw new Error('Service account key is not configured')
+  }
+
+  let key = rawKey
+
+  if (typeof rawKey === 'string') {
+    try {
+      key = JSON.parse(rawKey)
+    } catch (error) {
+      throw new Error('Service account key is not valid JSON. Paste the full contents of the JSON key file downloaded from Google Cloud.')
+    }
+  }
+
+  if (!key.client_email || !key.private_key) {
+    throw new Error('Service account key is missing "client_email" or "private_key". Make sure you pasted the complete JSON key file.')
+  }
+
+  // Recover real newlines if the key was pasted with escaped "\n" sequences.
+  if (!key.private_key.includes('\n')) {
+    key = { ...key, private_key: key.private_key.replace(/\\n/g, '\n') }
+  }
+
+  return key
+}
+
+/**
+ * Drops identity scopes and duplicates from an OAuth scope list.
+ * @param {string|string[]} scopes - A list or a space separated string.
+ * @returns {string[]}
+ */
+function serviceAccountScopes(scopes) {
+  const list = Array.isArray(scopes) ? scopes : String(scopes || '').split(/\s+/)
+
+  return [...new Set(list.filter(scope => {
+    return scope && !IDENTITY_SCOPES.includes(scope) && !scope.startsWith(USERINFO_SCOPE_PREFIX)
+  }))]
+}
+
+function base64Url(input) {
+  return Buffer.from(input).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+/**
+ * Builds the RS256-signed JWT assertion exchanged for an access token.
+ * @param {Object} options
+ * @param {Object} options.key - parseServiceAccountKey() result.
+ * @param {string[]} options.scopes
+ * @param {string} [options.subject] - User to impersonate (domain-wide delegation).
+ * @param {number} [options.nowSeconds]
+ * @returns {string}
+ */
+function signServiceAccountJwt({ key, scopes, subject, nowSeconds = Math.floor(Date.now() / 1000) }) {
+  const claims = {
+    iss: key.client_email,
+    scope: scopes.join(' '),
+    aud: key.token_uri || TOKEN_URL,
+    iat: nowSeconds,
+    exp: nowSeconds + TOKEN_LIFETIME_SECONDS,
+  }
+
+  if (subject) {
+    claims.sub = subject
+  }
+
+  const signingInput = `${ base64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: key.private_key_id })) }.${ base64Url(JSON.stringify(claims)) }`
+  const signature = crypto.createSign('RSA-SHA256').update(signingInput).sign(key.private_key)
+
+  return `${ signingInput }.${ base64Url(signature) }`
+}
+
+function describeTokenError(error, subject) {
+  const code = error?.body?.error
+  const message = error?.body?.error_description || code || error?.message
+
+  // unauthorized_client: the client ID has no domain-wide delegation grant for these scopes
+  if (subject && code === 'unauthorized_client') {
+    return `${ message }. Authorize the service account's client ID for this integration's scopes in the Google Admin console (Security > API controls > Domain-wide delegation).`
+  }
+
+  return message
+}
+
+class GoogleServiceAccountAuth {
+  /**
+   * @param {Object} config
+   * @param {string|Object} config.serviceAccountKey - The JSON key file.
+   * @param {string|string[]} config.scopes - The service's OAuth scopes; identity scopes are dropped.
+   * @param {string} [config.subject] - Workspace user to impersonate.
+   * @param {Object} [deps] - { now } override for tests.
+   */
+  constructor(config = {}, deps = {}) {
+    this.serviceAccountKey = config.serviceAccountKey
+    this.scopes = serviceAccountScopes(config.scopes)
+    this.subject = String(config.subject || '').trim() || undefined
+
+    this._now = deps.now || (() => Date.now())
+  }
+
+  // parsed on first use, so a broken key fails the action with a readable error, not the service start
+  get key() {
+    if (!this._key) {
+      this._key = parseServiceAccountKey(this.serviceAccountKey)
+    }
+
+    return this._key
+  }
+
+  get clientEmail() {
+    return this.key.client_email
+  }
+
+  #cacheKey() {
+    return [this.key.client_email, this.subject || '', this.scopes.join(' ')].join('|')
+  }
+
+  /**
+   * Returns a cached access token or mints a new one.
+   * @returns {Promise<string>}
+   */
+  async getAccessToken() {
+    const cacheKey = this.#cacheKey()
+    const cached = tokenCache.get(cacheKey)
+
+    if (cached && this._now() < cached.expiresAt - EXPIRY_BUFFER_MS) {
+      return cached.token
+    }
+
+    if (!this.scopes.length) {
+      throw new Error('No OAuth scopes to request for the service account')
+    }
+
+    let assertion
+
+    try {
+      assertion = signServiceAccountJwt({
+        key: this.key,
+        scopes: this.scopes,
+        subject: this.subject,
+        nowSeconds: Math.floor(this._now() / 1000),
+      })
+    } catch (error) {
+      throw new Error(`Failed to sign the service account JWT: ${ error.message }. Check that "private_key" in the key file is intact.`)
+    }
+
+    let response
+
+    try {
+      response = await Flowrunner.Request.post(this.key.token_uri || TOKEN_URL)
+        .set({ 'Content-Type': 'application/x-www-form-urlencoded' })
+        .send(new URLSearchParams({ grant_type: JWT_BEARER_GRANT, assertion }).toString())
+    } catch (error) {
+      throw new Error(`Failed to obtain an access token for ${ this.subject || this.key.client_email }: ${ describeTokenError(error, this.subject) }`)
+    }
+
+    if (!response?.access_token) {
+      throw new Error('Google token endpoint did not return an access token')
+    }
+
+    tokenCache.set(cacheKey, {
+      token: response.access_token,
+      expiresAt: this._now() + (response.expires_in || TOKEN_LIFETIME_SECONDS) * 1000,
+    })
+
+    return response.access_token
+  }
+}
+
+/**
+ * Creates the service-account auth when the connection has a key, otherwise returns null and
+ * the service keeps using the OAuth token of the request.
+ * @param {Object} config - Service config with serviceAccountKey / impersonatedUser.
+ * @param {string|string[]} scopes
+ * @returns {GoogleServiceAccountAuth|null}
+ */
+function serviceAccountAuthFromConfig(config, scopes) {
+  if (!String(config?.serviceAccountKey || '').trim()) {
+    return null
+  }
+
+  return new GoogleServiceAccountAuth({ serviceAccountKey: config.serviceAccountKey, subject: config.impersonatedUser, scopes })
+}
+
+function clearTokenCache() {
+  tokenCache.clear()
+}
+
+module.exports = {
+  TOKEN_URL,
+  googleServiceAccountConfigItems,
+  parseServiceAccountKey,
+  serviceAccountScopes,
+  signServiceAccountJwt,
+  GoogleServiceAccountAuth,
+  serviceAccountAuthFromConfig,
+  clearTokenCache,
+}
@@ -0,0 +1,165 @@
+'use strict'
+
+/**
+ * Shared service modules.
+ *
+ * Services are deployed one folder at a time and cannot require code outside of
+ * `services/<id>/`, so shared modules are kept here once and copied byte-for-byte into the
+ * `src/` folder of every service that uses them:
+ *
+ *   npm run sync:shared                     // copy shared/<module>/* into the services
+ *   npm run sync:shared -- --check          // exit 1 when a copy differs (CI)
+ *
+ * Fix bugs in the canonical file under shared/ and re-run the sync; edits made directly to a
+ * copy are overwritten. shared/tests/shared-sync.test.js fails while copies are out of date.
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const ROOT_DIR = path.join(__dirname, '..')
+
+const AWS_CORE_FILES = ['sigv4.js', 'endpoints.js', 'aws-client.js', 'credentials.js', 'config-items.js', 'errors.js']
+
+const SHARED_MODULES = {
+  'aws-core': {
+    // service id -> files it receives; most services take the whole core
+    services: {
+      'aws-acm': AWS_CORE_FILES,
+      'aws-bedrock': AWS_CORE_FILES,
+      'aws-cognito': AWS_CORE_FILES,
+      'aws-comprehend': AWS_CORE_FILES,
+      'aws-elb': AWS_CORE_FILES,
+      'aws-iam': ['sigv4.js', 'endpoints.js', 'aws-client.js', 'credentials.js', 'config-items.js'],
+      'aws-rekognition': AWS_CORE_FILES,
+      'aws-textract': AWS_CORE_FILES,
+      'aws-transcribe': AWS_CORE_FILES,
+      'dynamodb-service': AWS_CORE_FILES,
+      'lambda-service': AWS_CORE_FILES,
+      's3': ['sigv4.js'],
+      'ses-service': AWS_CORE_FILES,
+      'sns-service': AWS_CORE_FILES,
+      'sqs-service': AWS_CORE_FILES,
+    },
+  },
+  'webhook-signatures': {
+    // realtime trigger services that verify inbound deliveries
+    services: Object.fromEntries([
+      'cal-com', 'calendly', 'google-drive-api', 'google-sheets', 'mailerlite', 'shipbob', 'slack', 'tally', 'telegram', 'twilio', 'webflow', 'xero', 'zendesk',
+    ].map(serviceId => [serviceId, ['webhook-signatures.js']])),
+  },
+  'request-retry': {
+    // services whose #apiRequest retries throttled and unavailable responses
+    services: Object.fromEntries([
+      'freshdesk', 'github', 'woocommerce', 'zendesk',
+    ].map(serviceId => [serviceId, ['request-retry.js']])),
+  },
+  'pagination': {
+    // services whose list actions offer "Return All Results"
+    services: Object.fromEntries([
+      'hubspot', 'intercom', 'stripe', 'zendesk',
+    ].map(serviceId => [serviceId, ['pagination.js']])),
+  },
+  'google-auth': {
+    // OAuth-based Google services that also accept a service-account key
+    services: Object.fromEntries([
+      'gmail-service', 'google-calendar', 'google-docs', 'google-drive-api', 'google-sheets', 'google-workspace-admin',
+    ].map(serviceId => [serviceId, ['google-auth.js']])),
+  },
+  'msgraph': {
+    // Microsoft Graph services: app-only (client credentials) access and JSON batching
+    services: Object.fromEntries([
+      'entra-id', 'microsoft-excel', 'microsoft-onedrive', 'microsoft-planner', 'microsoft-teams', 'microsoft-todo', 'outlook', 'sharepoint',
+    ].map(serviceId => [serviceId, ['msgraph.js']])),
+  },
+  'ssh-tunnel': {
+    // database services that can connect through an SSH bastion
+    services: Object.fromEntries([
+      'mongodb', 'mysql', 'oracle-database', 'postgresql', 'redis', 'sql-server',
+    ].map(serviceId => [serviceId, ['ssh-tunnel.js']])),
+  },
+  'db-tls': {
+    // database services with verified TLS (CA bundle, client certificates)
+    services: Object.fromEntries([
+      'mysql', 'pgvector', 'postgresql', 'sql-server', 'timescaledb',
+    ].map(serviceId => [serviceId, ['db-tls.js']])),
+  },
+  'row-polling': {
+    // SQL services with watermark-based On New Row / On Updated Row triggers, and the
+    // standalone-server fallback of the MongoDB document triggers
+    services: Object.fromEntries([
+      'cratedb', 'mongodb', 'mysql', 'oracle-database', 'postgresql', 'questdb', 'sql-server', 'timescaledb',
+    ].map(serviceId => [serviceId, ['row-polling.js']])),
+  },
+  'csv': {
+    // database services with Bulk Import CSV / Export Query to CSV
+    services: Object.fromEntries([
+      'mysql', 'postgresql',
+    ].map(serviceId => [serviceId, ['csv.js']])),
+  },
+}
+
+/**
+ * Lists every copy of every shared file as { module, file, source, target }.
+ */
+function listCopies(modules = SHARED_MODULES) {
+  const copies = []
+
+  for (const [moduleName, { services }] of Object.entries(modules)) {
+    for (const [serviceId, files] of Object.entries(services)) {
+      for (const file of files) {
+        copies.push({
+          module: moduleName,
+          file,
+          source: path.join(__dirname, moduleName, file),
+          target: path.join(ROOT_DIR, 'services', serviceId, 'src', file),
+        })
+      }
+    }
+  }
+
+  return copies
+}
+
+/**
+ * Returns the copies whose content differs from the canonical file (or that are missing).
+ */
+function findOutdatedCopies(modules = SHARED_MODULES) {
+  return listCopies(modules).filter(({ source, target }) => {
+    return !fs.existsSync(target) || !fs.readFileSync(source).equals(fs.readFileSync(target))
+  })
+}
+
+/**
+ * Overwrites outdated copies with the canonical files and returns what was written.
+ */
+function syncShared(modules = SHARED_MODULES) {
+  const outdated = findOutdatedCopies(modules)
+
+  for (const { source, target } of outdated) {
+    fs.copyFileSync(source, target)
+  }
+
+  return outdated
+}
+
+if (require.main === module) {
+  const check = process.argv.includes('--check')
+  const copies = check ? findOutdatedCopies() : syncShared()
+
+  for (const { target } of copies) {
+    console.log(`${ check ? 'outdated' : 'updated' }: ${ path.relative(ROOT_DIR, target) }`)
+  }
+
+  if (check && copies.length) {
+    console.log('Shared modules are out of date, run "npm run sync:shared".')
+    process.exitCode = 1
+  }
+}
+
+module.exports = {
+  SHARED_MODULES,
+  listCopies,
+  findOutdatedCopies,
+  syncShared,
+}
@@ -0,0 +1,264 @@
+'use strict'
+
+const { EventEmitter } = require('events')
+
+jest.mock('http')
+
+const http = require('http')
+
+const { endpointFromConfig, resolveEndpoint } = require('../aws-core/endpoints')
+const { stsAssumeRole, buildAwsJsonRequest, buildQueryRequest, buildRestJsonRequest, jsonRequest } = require('../aws-core/aws-client')
+const { CredentialProvider, parseRoleChain } = require('../aws-core/credentials')
+const { signRequest, uriEncode } = require('../aws-core/sigv4')
+const { awsConfigItems } = require('../aws-core/config-items')
+
+const LOCALSTACK = { url: 'http://localhost:4566', fips: false, dualStack: false }
+const CREDS = { accessKeyId: 'AKIDEXAMPLE', secretAccessKey: 'SECRETEXAMPLE' }
+
+/**
+ * Answers the next request on the mocked http transport and records what was sent.
+ */
+function stubHttp({ statusCode = 200, body = '' } = {}) {
+  const captured = { options: null, written: [] }
+
+  http.request.mockImplementation((options, callback) => {
+    captured.options = options
+
+    const req = new EventEmitter()
+
+    req.write = chunk => captured.written.push(chunk)
+    req.setTimeout = () => {}
+
+    req.end = () => {
+      process.nextTick(() => {
+        const res = new EventEmitter()
+
+        res.statusCode = statusCode
+        res.headers = {}
+
+        callback(res)
+
+        res.emit('data', Buffer.from(body))
+        res.emit('end')
+      })
+    }
+
+    return req
+  })
+
+  return captured
+}
+
+describe('endpoints', () => {
+  it('uses the regional endpoint when nothing is configured', () => {
+    expect(endpointFromConfig({})).toBeUndefined()
+    expect(endpointFromConfig({ endpoint: '  ', endpointVariant: 'Standard' })).toBeUndefined()
+
+    expect(resolveEndpoint('sqs', 'eu-west-1')).toBe('https://sqs.eu-west-1.amazonaws.com')
+  })
+
+  it('reads a custom endpoint without its trailing slash', () => {
+    expect(endpointFromConfig({ endpoint: 'http://localhost:4566/' })).toEqual(LOCALSTACK)
+    expect(endpointFromConfig({ endpoint: 'localstack.internal:4566' }).url).toBe('https://localstack.internal:4566')
+  })
+
+  it.each([
+    ['localhost:4566', 'http://localhost:4566'],
+    ['127.0.0.1:9000/', 'http://127.0.0.1:9000'],
+    ['[::1]:4566', 'http://[::1]:4566'],
+    ['s3.localhost:4566', 'http://s3.localhost:4566'],
+  ])('reads the scheme-less loopback endpoint %s as plain http', (endpoint, expected) => {
+    expect(endpointFromConfig({ endpoint }).url).toBe(expected)
+  })
+
+  it('sends every service, STS included, to the custom endpoint', () => {
+    const endpoint = endpointFromConfig({ endpoint: 'http://localhost:4566', endpointVariant: 'FIPS' })
+
+    expect(resolveEndpoint('dynamodb', 'us-east-1', endpoint)).toBe('http://localhost:4566')
+    expect(resolveEndpoint('sts', 'us-east-1', endpoint)).toBe('http://localhost:4566')
+    expect(resolveEndpoint('iam', 'us-east-1', endpoint, { global: true })).toBe('http://localhost:4566')
+  })
+
+  it.each([
+    ['FIPS', 'https://sqs-fips.us-east-1.amazonaws.com'],
+    ['Dual-Stack', 'https://sqs.us-east-1.api.aws'],
+    ['FIPS + Dual-Stack', 'https://sqs-fips.us-east-1.api.aws'],
+  ])('resolves the %s variant', (endpointVariant, expected) => {
+    expect(resolveEndpoint('sqs', 'us-east-1', endpointFromConfig({ endpointVariant }))).toBe(expected)
+  })
+
+  it('uses the China partition suffixes for cn- regions', () => {
+    expect(resolveEndpoint('sqs', 'cn-north-1')).toBe('https://sqs.cn-north-1.amazonaws.com.cn')
+
+    expect(resolveEndpoint('sqs', 'cn-north-1', endpointFromConfig({ endpointVariant: 'Dual-Stack' })))
+      .toBe('https://sqs.cn-north-1.api.amazonwebservices.com.cn')
+  })
+
+  it('resolves global services without a region', () => {
+    expect(resolveEndpoint('iam', 'us-east-1', undefined, { global: true })).toBe('https://iam.amazonaws.com')
+
+    expect(resolveEndpoint('iam', 'us-east-1', endpointFromConfig({ endpointVariant: 'FIPS' }), { global: true }))
+      .toBe('https://iam-fips.amazonaws.com')
+  })
+})
+
+describe('aws-client endpoints', () => {
+  afterEach(() => {
+    http.request.mockReset()
+  })
+
+  it('builds JSON, Query and REST requests against the configured endpoint', () => {
+    expect(buildAwsJsonRequest({ region: 'us-east-1', service: 'sqs', target: 'AmazonSQS.ListQueues', contentType: 'application/x-amz-json-1.0', endpoint: LOCALSTACK }).url)
+      .toBe('http://localhost:4566/')
+
+    expect(buildQueryRequest({ region: 'us-east-1', service: 'sns', action: 'ListTopics', version: '2010-03-31', endpoint: LOCALSTACK }).url)
+      .toBe('http://localhost:4566/')
+
+    expect(buildRestJsonRequest({ region: 'us-east-1', service: 'lambda', method: 'GET', path: '/2015-03-31/functions', endpoint: LOCALSTACK }).url)
+      .toBe('http://localhost:4566/2015-03-31/functions')
+
+    expect(buildAwsJsonRequest({ region: 'us-east-1', service: 'dynamodb', contentType: 'application/x-amz-json-1.0' }).url)
+      .toBe('https://dynamodb.us-east-1.amazonaws.com/')
+  })
+
+  it('signs for the host and port of a custom endpoint', async () => {
+    const captured = stubHttp({ body: '{"QueueUrls":[]}' })
+
+    const result = await jsonRequest(
+      { region: 'us-east-1', service: 'sqs', target: 'AmazonSQS.ListQueues', contentType: 'application/x-amz-json-1.0', body: {}, endpoint: LOCALSTACK },
+      CREDS
+    )
+
+    expect(result).toEqual({ QueueUrls: [] })
+    expect(captured.options).toMatchObject({ hostname: 'localhost', port: '4566', path: '/' })
+    expect(captured.options.headers.host).toBe('localhost:4566')
+    expect(captured.options.headers.authorization).toMatch(/Credential=AKIDEXAMPLE\/\d{8}\/us-east-1\/sqs\/aws4_request/)
+  })
+
+  it('assumes roles through STS at the custom endpoint', async () => {
+    const captured = stubHttp({
+      body: '<AssumeRoleResponse><AssumeRoleResult><Credentials>' +
+        '<AccessKeyId>ASIA1</AccessKeyId><SecretAccessKey>S1</SecretAccessKey>' +
+        '<SessionToken>T1</SessionToken><Expiration>2030-01-01T00:00:00Z</Expiration>' +
+        '</Credentials></AssumeRoleResult></AssumeRoleResponse>',
+    })
+
+    const result = await stsAssumeRole(CREDS, 'us-east-1', 'arn:aws:iam::1:role/R', 'session-1', undefined, LOCALSTACK)
+
+    expect(captured.options).toMatchObject({ hostname: 'localhost', port: '4566', method: 'POST' })
+    expect(captured.written[0]).toContain('Action=AssumeRole')
+    expect(result).toMatchObject({ accessKeyId: 'ASIA1', secretAccessKey: 'S1', sessionToken: 'T1' })
+  })
+})
+
+describe('CredentialProvider', () => {
+  function stsStub() {
+    let counter = 0
+
+    return jest.fn().mockImplementation(async () => {
+      counter++
+
+      return {
+        accessKeyId: `ASIA${ counter }`,
+        secretAccessKey: `S${ counter }`,
+        sessionToken: `T${ counter }`,
+        expiration: new Date(Date.now() + 3600000),
+      }
+    })
+  }
+
+  it('adds a static session token to API Key credentials', async () => {
+    const provider = new CredentialProvider({ accessKeyId: 'ASIAKEY', secretAccessKey: 'SK', sessionToken: 'TOKEN' })
+
+    await expect(provider.resolve()).resolves.toEqual({ accessKeyId: 'ASIAKEY', secretAccessKey: 'SK', sessionToken: 'TOKEN' })
+  })
+
+  it('assumes the first role of a chain with static temporary credentials', async () => {
+    const stsAssumeRole = stsStub()
+
+    const provider = new CredentialProvider(
+      {
+        service: 'sqs',
+        authenticationMethod: 'IAM Role',
+        accessKeyId: 'ASIAKEY',
+        secretAccessKey: 'SK',
+        sessionToken: 'TOKEN',
+        roleArn: 'arn:aws:iam::1:role/R',
+      },
+      { stsAssumeRole, now: () => 1000 }
+    )
+
+    await provider.resolve()
+
+    expect(stsAssumeRole).toHaveBeenCalledWith(
+      { accessKeyId: 'ASIAKEY', secretAccessKey: 'SK', sessionToken: 'TOKEN' },
+      'us-east-1',
+      'arn:aws:iam::1:role/R',
+      'flowrunner-sqs-1000',
+      undefined,
+      undefined
+    )
+  })
+
+  it('chains roles in order and sends the external id for the last one', async () => {
+    const stsAssumeRole = stsStub()
+
+    const provider = new CredentialProvider(
+      {
+        service: 'dynamodb',
+        authenticationMethod: 'IAM Role',
+        accessKeyId: 'AK',
+        secretAccessKey: 'SK',
+        region: 'eu-west-1',
+        roleArn: 'arn:aws:iam::1:role/Hop, arn:aws:iam::2:role/Target',
+        externalId: 'ext',
+        endpoint: LOCALSTACK,
+      },
+      { stsAssumeRole, now: () => 1000 }
+    )
+
+    const credentials = await provider.resolve()
+
+    expect(stsAssumeRole.mock.calls).toEqual([
+      [{ accessKeyId: 'AK', secretAccessKey: 'SK' }, 'eu-west-1', 'arn:aws:iam::1:role/Hop', 'flowrunner-dynamodb-1000', undefined, LOCALSTACK],
+      [{ accessKeyId: 'ASIA1', secretAccessKey: 'S1', sessionToken: 'T1' }, 'eu-west-1', 'arn:aws:iam::2:role/Target', 'flowrunner-dynamodb-1000', 'ext', LOCALSTACK],
+    ])
+
+    expect(credentials).toEqual({ accessKeyId: 'ASIA2', secretAccessKey: 'S2', sessionToken: 'T2' })
+
+    await provider.resolve()
+    expect(stsAssumeRole).toHaveBeenCalledTimes(2)
+  })
+
+  it('parses role chains from lists and comma separated strings', () => {
+    expect(parseRoleChain(' arn:a , arn:b,')).toEqual(['arn:a', 'arn:b'])
+    expect(parseRoleChain(['arn:a'])).toEqual(['arn:a'])
+    expect(parseRoleChain(undefined)).toEqual([])
+  })
+})
+
+describe('sigv4', () => {
+  it('encodes characters outside the BMP as a single UTF-8 sequence', () => {
+    expect(uriEncode('a😀b')).toBe('a%F0%9F%98%80b')
+    expect(uriEncode('café/x', false)).toBe('caf%C3%A9/x')
+  })
+
+  it('signs the session token of temporary credentials', () => {
+    const headers = signRequest('GET', 'https://sqs.us-east-1.amazonaws.com/', {}, '', { ...CREDS, sessionToken: 'TOKEN' }, 'us-east-1', 'sqs')
+
+    expect(headers['x-amz-security-token']).toBe('TOKEN')
+    expect(headers.authorization).toContain('x-amz-security-token')
+  })
+})
+
+describe('config items', () => {
+  it('exposes the session token and endpoint settings', () => {
+    expect(awsConfigItems.map(item => item.name)).toEqual([
+      'authenticationMethod', 'region', 'accessKeyId', 'secretAccessKey', 'sessionToken', 'roleArn', 'externalId',
+      'endpointVariant', 'endpoint',
+    ])
+
+    expect(awsConfigItems.find(item => item.name === 'endpointVariant').options)
+      .toEqual(['Standard', 'FIPS', 'Dual-Stack', 'FIPS + Dual-Stack'])
+  })
+})
@@ -0,0 +1,268 @@
+'use strict'
+
+const http = require('http')
+const { Readable } = require('stream')
+
+const {
+  MAX_SKIPPED_ROWS,
+  resolveDelimiter,
+  downloadCsvStream,
+  parseCsv,
+  readCsvRecords,
+  csvImportPlan,
+  checkSkippedRows,
+  formatCsvLine,
+  collectCsvExport,
+} = require('../csv/csv')
+
+async function collect(iterable) {
+  const items = []
+
+  for await (const item of iterable) {
+    items.push(item)
+  }
+
+  return items
+}
+
+describe('resolveDelimiter', () => {
+  it('maps the dropdown choices and accepts a single character', () => {
+    expect(resolveDelimiter(undefined)).toBe(',')
+    expect(resolveDelimiter('Semicolon')).toBe(';')
+    expect(resolveDelimiter('Tab')).toBe('\t')
+    expect(resolveDelimiter('|')).toBe('|')
+    expect(() => resolveDelimiter('"')).toThrow('Unsupported delimiter: "\\"". Use one of: Comma, Semicolon, Tab, Pipe.')
+  })
+})
+
+describe('parseCsv', () => {
+  it('handles quoted delimiters, escaped quotes and line breaks inside fields', () => {
+    const records = parseCsv('id,note\r\n1,"a, ""quoted""\nnote"\r\n2,plain\n')
+
+    expect(records).toEqual([
+      { line: 1, values: ['id', 'note'] },
+      { line: 2, values: ['1', 'a, "quoted"\nnote'] },
+      { line: 4, values: ['2', 'plain'] },
+    ])
+  })
+
+  it('reads unquoted empty fields as null and "" as an empty string, skipping blank lines', () => {
+    expect(parseCsv('a;b;c\n\n;"";x', ';')).toEqual([
+      { line: 1, values: ['a', 'b', 'c'] },
+      { line: 3, values: [null, '', 'x'] },
+    ])
+  })
+
+  it('rejects an unterminated quoted field', () => {
+    expect(() => parseCsv('id,note\n1,"open\n2,x')).toThrow('CSV: the quoted field starting on line 2 is never closed.')
+  })
+})
+
+describe('readCsvRecords', () => {
+  const text = '\uFEFFid,note\r\n1,"a ""b""\nc"\r\n2,Zoë\r\n'
+  const expected = [
+    { line: 1, values: ['id', 'note'] },
+    { line: 2, values: ['1', 'a "b"\nc'] },
+    { line: 4, values: ['2', 'Zoë'] },
+  ]
+
+  it('parses the stream as it arrives, whatever the chunk boundaries', async () => {
+    const bytes = Buffer.from(text)
+
+    for (const size of [1, 2, 3, 7]) {
+      const chunks = []
+
+      for (let start = 0; start < bytes.length; start += size) {
+        chunks.push(bytes.subarray(start, start + size))
+      }
+
+      await expect(collect(readCsvRecords(Readable.from(chunks)))).resolves.toEqual(expected)
+    }
+  })
+
+  it('yields the first records before the stream ends', async () => {
+    const stream = new Readable({ read() {} })
+    const records = readCsvRecords(stream)
+
+    stream.push('id\n1\n')
+
+    await expect(records.next()).resolves.toEqual({ done: false, value: { line: 1, values: ['id'] } })
+    await expect(records.next()).resolves.toEqual({ done: false, value: { line: 2, values: ['1'] } })
+
+    stream.push(null)
+
+    await expect(records.next()).resolves.toEqual({ done: true, value: undefined })
+  })
+})
+
+describe('csvImportPlan', () => {
+  const records = parseCsv('E-mail,Name,Age\nada@example.com,Ada,36\nbroken,row\nlinus@example.com,Linus,\n')
+
+  it('uses the header names as columns and reports rows with the wrong field count', async () => {
+    const { columns, rows } = await csvImportPlan(records)
+
+    expect(columns).toEqual(['E-mail', 'Name', 'Age'])
+
+    await expect(collect(rows)).resolves.toEqual([
+      { line: 2, values: ['ada@example.com', 'Ada', '36'] },
+      { line: 3, message: 'expected 3 fields, found 2' },
+      { line: 4, values: ['linus@example.com', 'Linus', null] },
+    ])
+  })
+
+  it('imports only mapped columns, by header name or by position', async () => {
+    const byName = await csvImportPlan(records, { columnMapping: { 'Age': 'age', 'E-mail': 'email' } })
+
+    expect(byName.columns).toEqual(['age', 'email'])
+    expect((await byName.rows.next()).value.values).toEqual(['36', 'ada@example.com'])
+
+    const byPosition = await csvImportPlan([records[1], records[3]], { hasHeader: false, columnMapping: { 2: 'name' } })
+
+    expect(byPosition.columns).toEqual(['name'])
+    expect((await collect(byPosition.rows)).map(row => row.values)).toEqual([['Ada'], ['Linus']])
+  })
+
+  it('reads only the first record of a stream up front', async () => {
+    const stream = new Readable({ read() {} })
+
+    stream.push('id;name\n')
+
+    const { columns, rows } = await csvImportPlan(readCsvRecords(stream, ';'))
+
+    expect(columns).toEqual(['id', 'name'])
+
+    stream.push('1;Ada\n')
+    stream.push(null)
+
+    await expect(collect(rows)).resolves.toEqual([{ line: 2, values: ['1', 'Ada'] }])
+  })
+
+  it('leaves the columns to the table without header or mapping', async () => {
+    const { columns, rows } = await csvImportPlan(parseCsv('1,a\n2,b'), { hasHeader: false })
+
+    expect(columns).toBeNull()
+    expect(await collect(rows)).toHaveLength(2)
+  })
+
+  it('rejects mapping keys that do not exist in the file', async () => {
+    await expect(csvImportPlan(records, { columnMapping: { Mail: 'email' } })).rejects.toThrow(
+      'CSV column "Mail" from Column Mapping is not in the header row.'
+    )
+
+    await expect(csvImportPlan(records.slice(1), { hasHeader: false, columnMapping: { 4: 'x' } })).rejects.toThrow(
+      'Column Mapping key "4" must be a column position between 1 and 3.'
+    )
+  })
+})
+
+describe('checkSkippedRows', () => {
+  const failure = { line: 7, message: 'bad value' }
+
+  it('fails on the first error unless skipping is on', () => {
+    expect(() => checkSkippedRows([], false)).not.toThrow()
+    expect(() => checkSkippedRows([failure], false)).toThrow('CSV line 7: bad value. Nothing was imported')
+    expect(() => checkSkippedRows([failure], true)).not.toThrow()
+  })
+
+  it('gives up after too many skipped rows', () => {
+    const errors = new Array(MAX_SKIPPED_ROWS + 1).fill(failure)
+
+    expect(() => checkSkippedRows(errors, true)).toThrow(`More than ${ MAX_SKIPPED_ROWS } rows failed (the first on CSV line 7: bad value).`)
+  })
+})
+
+describe('formatCsvLine', () => {
+  it('quotes only where needed and keeps null apart from empty strings', () => {
+    expect(formatCsvLine([1, 'plain', null, '', 'a,b', 'say "hi"', ' padded'])).toBe('1,plain,,"","a,b","say ""hi"""," padded"\n')
+  })
+
+  it('writes dates, objects and buffers as text', () => {
+    const line = formatCsvLine([new Date('2024-05-01T12:00:00Z'), { a: 1 }, Buffer.from([1, 255])])
+
+    expect(line).toBe('2024-05-01T12:00:00.000Z,"{""a"":1}",\\x01ff\n')
+  })
+
+  it('round-trips through parseCsv', () => {
+    const values = ['x', null, '', 'multi\nline', 'q"uote']
+
+    expect(parseCsv(formatCsvLine(values))[0].values).toEqual(values)
+  })
+})
+
+describe('collectCsvExport', () => {
+  it('joins the pieces of an export', async () => {
+    await expect(collectCsvExport(['id\n', Buffer.from('1\n')])).resolves.toEqual(Buffer.from('id\n1\n'))
+  })
+
+  it('stops at the size limit', async () => {
+    const chunk = Buffer.alloc(400 * 1024)
+    const stream = Readable.from([chunk, chunk, chunk])
+
+    await expect(collectCsvExport(stream, 1024 * 1024)).rejects.toThrow(
+      'The export is larger than 1 MB, the limit of Export Query to CSV. Narrow the query with WHERE or LIMIT'
+    )
+
+    expect(stream.destroyed).toBe(true)
+  })
+})
+
+describe('downloadCsvStream', () => {
+  let server
+  let baseUrl
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/users.csv') {
+        res.end('id,name\n1,Ada\n')
+      } else if (req.url === '/stalled.csv') {
+        res.write('id,name\n')
+      } else if (req.url === '/moved.csv') {
+        res.writeHead(302, { location: '/users.csv' }).end()
+      } else {
+        res.writeHead(404).end('Not Found')
+      }
+    })
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+
+    baseUrl = `http://127.0.0.1:${ server.address().port }`
+  })
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve))
+  })
+
+  it('resolves with the body stream, following redirects', async () => {
+    const stream = await downloadCsvStream(`${ baseUrl }/moved.csv`)
+
+    await expect(collect(readCsvRecords(stream))).resolves.toEqual([
+      { line: 1, values: ['id', 'name'] },
+      { line: 2, values: ['1', 'Ada'] },
+    ])
+  })
+
+  it('explains failed downloads', async () => {
+    await expect(downloadCsvStream(`${ baseUrl }/missing.csv`)).rejects.toThrow('Could not download the CSV file: HTTP 404')
+    await expect(downloadCsvStream('not a url')).rejects.toThrow('Could not download the CSV file: Invalid URL')
+    await expect(downloadCsvStream('')).rejects.toThrow('File URL is required.')
+  })
+
+  it('fails the stream once the body stops arriving', async () => {
+    const setTimeoutSpy = jest.spyOn(http.ClientRequest.prototype, 'setTimeout')
+
+    try {
+      const stream = await downloadCsvStream(`${ baseUrl }/stalled.csv`)
+      const req = setTimeoutSpy.mock.contexts[0]
+
+      expect(setTimeoutSpy).toHaveBeenLastCalledWith(2 * 60 * 1000)
+
+      req.emit('timeout')
+
+      await expect(collect(readCsvRecords(stream))).rejects.toThrow(
+        'Could not download the CSV file: no data received for 120 seconds'
+      )
+    } finally {
+      setTimeoutSpy.mockRestore()
+    }
+  })
+})
@@ -0,0 +1,100 @@
+'use strict'
+
+const {
+  tlsConfigItems,
+  tlsCaCertConfigItem,
+  tlsSettings,
+  nodeTlsOptions,
+  withoutUrlTlsParams,
+  tlsErrorHint,
+} = require('../db-tls/db-tls')
+
+const CA_PEM = '-----BEGIN CERTIFICATE-----\nMIIBca\n-----END CERTIFICATE-----'
+
+describe('tlsConfigItems', () => {
+  it('offers an optional verification mode and PEM fields', () => {
+    expect(tlsConfigItems.map(item => item.name)).toEqual(['tlsVerifyMode', 'tlsCaCert', 'tlsClientCert', 'tlsClientKey'])
+    expect(tlsConfigItems.every(item => item.required === false && item.shared === false)).toBe(true)
+    expect(tlsConfigItems[0]).toMatchObject({ type: 'CHOICE', options: ['Encrypt Only', 'Verify CA', 'Verify Full'], defaultValue: 'Encrypt Only' })
+    expect(tlsConfigItems).toContain(tlsCaCertConfigItem)
+  })
+
+  it('keeps every hint within the 250 character limit', () => {
+    tlsConfigItems.forEach(item => expect(item.hint.length).toBeLessThanOrEqual(250))
+  })
+})
+
+describe('tlsSettings', () => {
+  it('defaults to encryption without verification', () => {
+    expect(tlsSettings({})).toEqual({ mode: 'require', ca: '', cert: '', key: '', configured: false })
+    expect(tlsSettings({ tlsVerifyMode: 'Unknown' }).mode).toBe('require')
+  })
+
+  it('is configured by a verifying mode or any certificate', () => {
+    expect(tlsSettings({ tlsVerifyMode: 'Verify Full' })).toMatchObject({ mode: 'verify-full', configured: true })
+    expect(tlsSettings({ tlsCaCert: CA_PEM })).toMatchObject({ mode: 'require', ca: CA_PEM, configured: true })
+  })
+
+  it('restores escaped newlines in PEM text', () => {
+    expect(tlsSettings({ tlsCaCert: '-----BEGIN CERTIFICATE-----\\nMIIBca\\n-----END CERTIFICATE-----' }).ca).toBe(CA_PEM)
+  })
+})
+
+describe('nodeTlsOptions', () => {
+  it('keeps Encrypt Only permissive', () => {
+    expect(nodeTlsOptions(tlsSettings({}))).toEqual({ rejectUnauthorized: false })
+  })
+
+  it('verifies the chain with the CA bundle and client certificate in Verify CA mode', () => {
+    const options = nodeTlsOptions(tlsSettings({ tlsVerifyMode: 'Verify CA', tlsCaCert: CA_PEM, tlsClientCert: 'CERT', tlsClientKey: 'KEY' }))
+
+    expect(options).toMatchObject({ rejectUnauthorized: true, ca: CA_PEM, cert: 'CERT', key: 'KEY' })
+    expect(options.checkServerIdentity('db.example.com', { subject: {}, subjectaltname: 'DNS:other.example.com' })).toBeUndefined()
+  })
+
+  it('checks the certificate against the expected host in Verify Full mode', () => {
+    const settings = tlsSettings({ tlsVerifyMode: 'Verify Full' })
+
+    expect(nodeTlsOptions(settings)).toEqual({ rejectUnauthorized: true })
+
+    const options = nodeTlsOptions(settings, 'db.internal')
+
+    expect(options.servername).toBe('db.internal')
+    expect(options.checkServerIdentity('127.0.0.1', { subject: {}, subjectaltname: 'DNS:db.internal' })).toBeUndefined()
+
+    expect(options.checkServerIdentity('127.0.0.1', { subject: {}, subjectaltname: 'DNS:evil.example.com' })).toMatchObject({
+      code: 'ERR_TLS_CERT_ALTNAME_INVALID',
+    })
+
+    // SNI does not accept IP addresses; the identity check still uses the expected address.
+    expect(nodeTlsOptions(settings, '10.0.0.5')).not.toHaveProperty('servername')
+  })
+
+  it('rejects half a client certificate and non-PEM CA text', () => {
+    expect(() => nodeTlsOptions(tlsSettings({ tlsClientKey: 'KEY' }))).toThrow(
+      'TLS: provide both a TLS Client Certificate and a TLS Client Key for mutual TLS.'
+    )
+
+    expect(() => nodeTlsOptions(tlsSettings({ tlsCaCert: 'MIIBca' }))).toThrow('TLS CA Certificate must be PEM text')
+  })
+})
+
+describe('withoutUrlTlsParams', () => {
+  it('drops ssl* query parameters and keeps the rest', () => {
+    expect(withoutUrlTlsParams('postgresql://u:p@db:5432/app?sslmode=require&application_name=etl&sslrootcert=/ca.pem'))
+      .toBe('postgresql://u:p@db:5432/app?application_name=etl')
+
+    expect(withoutUrlTlsParams('postgresql://u:p@db:5432/app?ssl=true')).toBe('postgresql://u:p@db:5432/app')
+    expect(withoutUrlTlsParams('postgresql://u:p@db:5432/app')).toBe('postgresql://u:p@db:5432/app')
+  })
+})
+
+describe('tlsErrorHint', () => {
+  it('explains certificate failures and ignores other errors', () => {
+    expect(tlsErrorHint({ code: 'SELF_SIGNED_CERT_IN_CHAIN' })).toMatch(/into TLS CA Certificate/)
+    expect(tlsErrorHint({ code: 'ERR_TLS_CERT_ALTNAME_INVALID' })).toMatch(/does not match the host name/)
+    expect(tlsErrorHint({ code: 'CERT_HAS_EXPIRED' })).toMatch(/expired/)
+    expect(tlsErrorHint({ code: 'ECONNREFUSED' })).toBeNull()
+    expect(tlsErrorHint(undefined)).toBeNull()
+  })
+})
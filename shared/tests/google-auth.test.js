@@ -0,0 +1,143 @@
+'use strict'
+
+const crypto = require('crypto')
+
+const { createRequestMock } = require('../../service-sandbox/request-mock')
+const {
+  TOKEN_URL,
+  googleServiceAccountConfigItems,
+  parseServiceAccountKey,
+  serviceAccountScopes,
+  signServiceAccountJwt,
+  GoogleServiceAccountAuth,
+  serviceAccountAuthFromConfig,
+  clearTokenCache,
+} = require('../google-auth/google-auth')
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+const PRIVATE_KEY_PEM = privateKey.export({ type: 'pkcs8', format: 'pem' })
+const KEY = { client_email: 'sa@project.iam.gserviceaccount.com', private_key: PRIVATE_KEY_PEM, private_key_id: 'key-1' }
+
+const decodeSegment = segment => JSON.parse(Buffer.from(segment, 'base64url').toString())
+
+describe('parseServiceAccountKey', () => {
+  it('accepts the key file as JSON text or object', () => {
+    expect(parseServiceAccountKey(JSON.stringify(KEY))).toEqual(KEY)
+    expect(parseServiceAccountKey(KEY)).toEqual(KEY)
+  })
+
+  it('restores escaped newlines in the private key', () => {
+    const escaped = { ...KEY, private_key: PRIVATE_KEY_PEM.replace(/\n/g, '\\n') }
+
+    expect(parseServiceAccountKey(JSON.stringify(escaped)).private_key).toBe(PRIVATE_KEY_PEM)
+  })
+
+  it('rejects missing, malformed and incomplete keys', () => {
+    expect(() => parseServiceAccountKey('')).toThrow('Service account key is not configured')
+    expect(() => parseServiceAccountKey('{not json')).toThrow('not valid JSON')
+    expect(() => parseServiceAccountKey({ client_email: 'sa@x' })).toThrow('missing "client_email" or "private_key"')
+  })
+})
+
+describe('serviceAccountScopes', () => {
+  it('drops identity scopes and duplicates', () => {
+    expect(serviceAccountScopes([
+      'https://www.googleapis.com/auth/drive',
+      'https://www.googleapis.com/auth/userinfo.email',
+      'openid',
+      'https://www.googleapis.com/auth/drive',
+    ])).toEqual(['https://www.googleapis.com/auth/drive'])
+
+    expect(serviceAccountScopes('https://mail.google.com/ profile')).toEqual(['https://mail.google.com/'])
+  })
+})
+
+describe('signServiceAccountJwt', () => {
+  it('signs the claims with the key and adds sub only when impersonating', () => {
+    const jwt = signServiceAccountJwt({ key: KEY, scopes: ['a', 'b'], subject: 'user@example.com', nowSeconds: 1000 })
+    const [header, claims, signature] = jwt.split('.')
+
+    expect(decodeSegment(header)).toEqual({ alg: 'RS256', typ: 'JWT', kid: 'key-1' })
+    expect(decodeSegment(claims)).toEqual({ iss: KEY.client_email, scope: 'a b', aud: TOKEN_URL, iat: 1000, exp: 4600, sub: 'user@example.com' })
+    expect(crypto.verify('RSA-SHA256', Buffer.from(`${ header }.${ claims }`), publicKey, Buffer.from(signature, 'base64url'))).toBe(true)
+
+    expect(decodeSegment(signServiceAccountJwt({ key: KEY, scopes: ['a'] }).split('.')[1])).not.toHaveProperty('sub')
+  })
+})
+
+describe('GoogleServiceAccountAuth', () => {
+  let mock
+  let time
+
+  beforeEach(() => {
+    clearTokenCache()
+    mock = createRequestMock()
+    global.Flowrunner = { Request: mock.Request }
+    time = 1700000000000
+  })
+
+  afterEach(() => {
+    delete global.Flowrunner
+  })
+
+  const createAuth = (config = {}) => new GoogleServiceAccountAuth({
+    serviceAccountKey: JSON.stringify(KEY),
+    scopes: ['https://www.googleapis.com/auth/calendar'],
+    ...config,
+  }, { now: () => time })
+
+  it('exchanges a signed assertion for an access token and caches it across instances', async () => {
+    mock.onPost(TOKEN_URL).replySequence([{ access_token: 'token-1', expires_in: 3600 }, { access_token: 'token-2', expires_in: 3600 }])
+
+    await expect(createAuth().getAccessToken()).resolves.toBe('token-1')
+    await expect(createAuth().getAccessToken()).resolves.toBe('token-1')
+
+    const body = new URLSearchParams(mock.history[0].body)
+
+    expect(mock.history).toHaveLength(1)
+    expect(body.get('grant_type')).toBe('urn:ietf:params:oauth:grant-type:jwt-bearer')
+    expect(decodeSegment(body.get('assertion').split('.')[1])).toMatchObject({ iss: KEY.client_email, scope: 'https://www.googleapis.com/auth/calendar' })
+
+    time += 3600 * 1000 - 30000
+
+    await expect(createAuth().getAccessToken()).resolves.toBe('token-2')
+  })
+
+  it('keeps separate tokens per impersonated user', async () => {
+    mock.onPost(TOKEN_URL).replySequence([{ access_token: 'token-a' }, { access_token: 'token-b' }])
+
+    await expect(createAuth({ subject: 'a@example.com' }).getAccessToken()).resolves.toBe('token-a')
+    await expect(createAuth({ subject: 'b@example.com' }).getAccessToken()).resolves.toBe('token-b')
+  })
+
+  it('reports token endpoint errors with the account they were for', async () => {
+    mock.onPost(TOKEN_URL).replyWithStatus(400, { error: 'invalid_grant', error_description: 'Invalid JWT Signature.' })
+
+    await expect(createAuth().getAccessToken()).rejects.toThrow(`Failed to obtain an access token for ${ KEY.client_email }: Invalid JWT Signature.`)
+  })
+
+  it('fails on a broken key when a token is needed, not when constructed', async () => {
+    const auth = createAuth({ serviceAccountKey: '{"client_email":"sa@x"}' })
+
+    await expect(auth.getAccessToken()).rejects.toThrow('missing "client_email" or "private_key"')
+    expect(mock.history).toHaveLength(0)
+  })
+})
+
+describe('serviceAccountAuthFromConfig', () => {
+  it('returns null without a key so the OAuth token is used', () => {
+    expect(serviceAccountAuthFromConfig({ serviceAccountKey: ' ' }, ['a'])).toBeNull()
+
+    const auth = serviceAccountAuthFromConfig({ serviceAccountKey: JSON.stringify(KEY), impersonatedUser: ' user@example.com ' }, ['a'])
+
+    expect(auth.subject).toBe('user@example.com')
+    expect(auth.clientEmail).toBe(KEY.client_email)
+  })
+
+  it('declares optional per-connection config items', () => {
+    expect(googleServiceAccountConfigItems.map(({ name, required, shared }) => ({ name, required, shared }))).toEqual([
+      { name: 'serviceAccountKey', required: false, shared: false },
+      { name: 'impersonatedUser', required: false, shared: false },
+    ])
+  })
+})
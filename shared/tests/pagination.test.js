@@ -0,0 +1,134 @@
+'use strict'
+
+const {
+  fetchAllPages,
+  nextOffset,
+  startingAfterCursor,
+  parseLinkHeader,
+  nextLinkFromHeaders,
+  readQueryParam,
+} = require('../pagination/pagination')
+
+// pages of a list of `total` numbered items, addressed by offset
+function offsetApi(total) {
+  const calls = []
+
+  const fetchPage = async (offset = 0, { remaining }) => {
+    const limit = Math.min(10, remaining)
+    const items = Array.from({ length: Math.max(0, Math.min(limit, total - offset)) }, (_, index) => offset + index)
+
+    calls.push({ offset, limit })
+
+    return { items, nextCursor: nextOffset({ offset, limit, received: items.length, total }) }
+  }
+
+  return { calls, fetchPage }
+}
+
+describe('fetchAllPages', () => {
+  it('follows the cursor until the last page', async () => {
+    const api = offsetApi(25)
+
+    const result = await fetchAllPages(api.fetchPage)
+
+    expect(result.items).toEqual(Array.from({ length: 25 }, (_, index) => index))
+    expect(result).toMatchObject({ nextCursor: null, truncated: false, pages: 3 })
+    expect(api.calls.map(call => call.offset)).toEqual([0, 10, 20])
+  })
+
+  it('passes the remaining count so the last page can be requested smaller', async () => {
+    const api = offsetApi(100)
+
+    const result = await fetchAllPages(api.fetchPage, { maxItems: 15 })
+
+    expect(result.items).toHaveLength(15)
+    expect(result).toMatchObject({ nextCursor: 15, truncated: true })
+    expect(api.calls).toEqual([{ offset: 0, limit: 10 }, { offset: 10, limit: 5 }])
+  })
+
+  it('trims an overlong last page and resumes from that page, skipping what was returned', async () => {
+    const pages = { start: { items: [1, 2, 3], nextCursor: 'b' }, b: { items: [4, 5, 6], nextCursor: 'c' } }
+
+    const result = await fetchAllPages(async cursor => pages[cursor], { cursor: 'start', maxItems: 4 })
+
+    expect(result).toEqual({ items: [1, 2, 3, 4], nextCursor: 'b', truncated: true, skip: 1, pages: 2 })
+  })
+
+  it('marks a trimmed first page without a cursor as truncated', async () => {
+    const result = await fetchAllPages(async () => ({ items: [1, 2, 3], nextCursor: null }), { maxItems: 2 })
+
+    expect(result).toEqual({ items: [1, 2], nextCursor: null, truncated: true, skip: 2, pages: 1 })
+  })
+
+  it('resumes right after the last kept item when the page can say where that is', async () => {
+    const ids = ['cus_1', 'cus_2', 'cus_3', 'cus_4', 'cus_5']
+
+    const fetchPage = async startingAfter => {
+      const from = startingAfter ? ids.indexOf(startingAfter) + 1 : 0
+      const data = ids.slice(from, from + 3)
+
+      return { items: data, nextCursor: data[data.length - 1], resumeAt: kept => data[kept - 1] }
+    }
+
+    const first = await fetchAllPages(fetchPage, { maxItems: 2 })
+
+    expect(first).toEqual({ items: ['cus_1', 'cus_2'], nextCursor: 'cus_2', truncated: true, skip: 0, pages: 1 })
+
+    const rest = await fetchAllPages(fetchPage, { cursor: first.nextCursor, maxItems: 3 })
+
+    expect(rest.items).toEqual(['cus_3', 'cus_4', 'cus_5'])
+  })
+
+  it('stops starting pages when the time budget runs out', async () => {
+    let time = 0
+    const fetchPage = jest.fn(async (cursor = 0) => {
+      time += 10000
+
+      return { items: [cursor], nextCursor: cursor + 1 }
+    })
+
+    const result = await fetchAllPages(fetchPage, { timeoutSeconds: 60, now: () => time })
+
+    expect(result).toEqual({ items: [0, 1, 2, 3, 4, 5], nextCursor: 6, truncated: true, skip: 0, pages: 6 })
+  })
+
+  it('treats empty cursors as the end of the list', async () => {
+    const result = await fetchAllPages(async () => ({ items: ['a'], nextCursor: '' }))
+
+    expect(result).toEqual({ items: ['a'], nextCursor: null, truncated: false, skip: 0, pages: 1 })
+  })
+})
+
+describe('cursor styles', () => {
+  it('computes the next offset from short pages and totals', () => {
+    expect(nextOffset({ offset: 0, limit: 10, received: 10 })).toBe(10)
+    expect(nextOffset({ offset: 10, limit: 10, received: 4 })).toBeNull()
+    expect(nextOffset({ offset: 10, limit: 10, received: 10, total: 20 })).toBeNull()
+    expect(nextOffset({ offset: 0, limit: 10, received: 0 })).toBeNull()
+  })
+
+  it('continues after the last id while has_more is set', () => {
+    expect(startingAfterCursor({ has_more: true, data: [{ id: 'cus_1' }, { id: 'cus_2' }] })).toBe('cus_2')
+    expect(startingAfterCursor({ has_more: false, data: [{ id: 'cus_1' }] })).toBeNull()
+    expect(startingAfterCursor({ has_more: true, items: [{ key: 'k1' }] }, { itemsField: 'items', idField: 'key' })).toBe('k1')
+  })
+
+  it('reads rel links from Link headers', () => {
+    const header = '<https://api.github.com/repos?page=3>; rel="next", <https://api.github.com/repos?page=9>; rel="last"'
+
+    expect(parseLinkHeader(header)).toEqual({
+      next: 'https://api.github.com/repos?page=3',
+      last: 'https://api.github.com/repos?page=9',
+    })
+
+    expect(nextLinkFromHeaders({ Link: header })).toBe('https://api.github.com/repos?page=3')
+    expect(nextLinkFromHeaders({ link: '<https://x.test/?after=1>; rel="prev"' })).toBeNull()
+    expect(nextLinkFromHeaders(undefined)).toBeNull()
+  })
+
+  it('reads query parameters of next links', () => {
+    expect(readQueryParam('https://x.okta.com/api/v1/users?after=00u1%2F2&limit=200', 'after')).toBe('00u1/2')
+    expect(readQueryParam('/tickets.json?page=2', 'page')).toBe('2')
+    expect(readQueryParam(null, 'page')).toBeNull()
+  })
+})
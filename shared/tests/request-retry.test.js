@@ -0,0 +1,182 @@
+'use strict'
+
+const {
+  RETRY_DEFAULTS,
+  retryDeadline,
+  parseRetryAfter,
+  backoffDelay,
+  canRetryRequest,
+  getErrorHeader,
+  withRetry,
+} = require('../request-retry/request-retry')
+
+const NOW_MS = 1700000000000
+
+function httpError(status, headers = {}) {
+  return Object.assign(new Error(`HTTP ${ status }`), { status, response: { status, headers } })
+}
+
+// Fake clock: sleep advances it instead of waiting, and the waits are recorded.
+function createClock() {
+  const clock = { time: NOW_MS, sleeps: [] }
+
+  clock.now = () => clock.time
+
+  clock.sleep = async ms => {
+    clock.sleeps.push(ms)
+    clock.time += ms
+  }
+
+  return clock
+}
+
+function failingTimes(count, error, result = 'ok') {
+  const send = jest.fn(async () => {
+    if (send.mock.calls.length <= count) {
+      throw typeof error === 'function' ? error() : error
+    }
+
+    return result
+  })
+
+  return send
+}
+
+describe('parseRetryAfter', () => {
+  const now = () => NOW_MS
+
+  it('reads Retry-After as seconds or an HTTP date', () => {
+    expect(parseRetryAfter({ 'Retry-After': '2' }, now)).toBe(2000)
+    expect(parseRetryAfter({ 'retry-after': new Date(NOW_MS + 5000).toUTCString() }, now)).toBe(5000)
+    expect(parseRetryAfter({ 'retry-after': new Date(NOW_MS - 5000).toUTCString() }, now)).toBe(0)
+  })
+
+  it('reads X-RateLimit-Reset as epoch seconds, epoch ms or a delta', () => {
+    expect(parseRetryAfter({ 'X-RateLimit-Reset': String(NOW_MS / 1000 + 3) }, now)).toBe(3000)
+    expect(parseRetryAfter({ 'x-ratelimit-reset': String(NOW_MS + 4000) }, now)).toBe(4000)
+    expect(parseRetryAfter({ 'x-ratelimit-reset': '7' }, now)).toBe(7000)
+    expect(parseRetryAfter({ 'ratelimit-reset': '1' }, now)).toBe(1000)
+  })
+
+  it('returns undefined without usable headers', () => {
+    expect(parseRetryAfter(undefined, now)).toBeUndefined()
+    expect(parseRetryAfter({ 'retry-after': 'soon' }, now)).toBeUndefined()
+  })
+})
+
+describe('backoffDelay', () => {
+  it('draws up to base * 2^attempt, capped at maxDelayMs', () => {
+    expect(backoffDelay(0, { random: () => 1 })).toBe(RETRY_DEFAULTS.baseDelayMs)
+    expect(backoffDelay(3, { random: () => 0.5, baseDelayMs: 100 })).toBe(400)
+    expect(backoffDelay(20, { random: () => 1, maxDelayMs: 8000 })).toBe(8000)
+    expect(backoffDelay(2, { random: () => 0 })).toBe(0)
+  })
+})
+
+describe('canRetryRequest', () => {
+  it('replays idempotent methods only, unless a key or the caller says otherwise', () => {
+    expect(canRetryRequest({ method: 'GET' })).toBe(true)
+    expect(canRetryRequest({ method: 'delete' })).toBe(true)
+    expect(canRetryRequest({ method: 'post' })).toBe(false)
+    expect(canRetryRequest({ method: 'patch' })).toBe(false)
+    expect(canRetryRequest({ method: 'post', idempotencyKey: 'key-1' })).toBe(true)
+    expect(canRetryRequest({ method: 'post', idempotent: true })).toBe(true)
+    expect(canRetryRequest({ method: 'get', idempotent: false })).toBe(false)
+  })
+})
+
+describe('getErrorHeader', () => {
+  it('reads response headers of a failed request case-insensitively', () => {
+    expect(getErrorHeader(httpError(403, { 'X-RateLimit-Remaining': '0' }), 'x-ratelimit-remaining')).toBe('0')
+    expect(getErrorHeader({ headers: { 'retry-after': '1' } }, 'retry-after')).toBe('1')
+    expect(getErrorHeader(new Error('offline'), 'retry-after')).toBeUndefined()
+  })
+})
+
+describe('withRetry', () => {
+  let clock
+
+  beforeEach(() => {
+    clock = createClock()
+  })
+
+  it('returns the first successful response', async () => {
+    const send = failingTimes(0)
+
+    await expect(withRetry(send, { ...clock })).resolves.toBe('ok')
+    expect(send).toHaveBeenCalledTimes(1)
+  })
+
+  it('waits as long as Retry-After asks and reports each retry', async () => {
+    const send = failingTimes(2, () => httpError(429, { 'retry-after': '2' }))
+    const onRetry = jest.fn()
+
+    await expect(withRetry(send, { ...clock, onRetry })).resolves.toBe('ok')
+
+    expect(send.mock.calls.map(([attempt]) => attempt)).toEqual([0, 1, 2])
+    expect(clock.sleeps).toEqual([2000, 2000])
+    expect(onRetry).toHaveBeenNthCalledWith(1, expect.objectContaining({ attempt: 1, delayMs: 2000, status: 429 }))
+  })
+
+  it('backs off exponentially when the server gives no hint', async () => {
+    const send = failingTimes(3, () => httpError(503))
+
+    await withRetry(send, { ...clock, random: () => 1 })
+
+    expect(clock.sleeps).toEqual([500, 1000, 2000])
+  })
+
+  it('gives up after maxRetries and tags the error with the retries made', async () => {
+    const send = failingTimes(10, () => httpError(502))
+
+    await expect(withRetry(send, { ...clock, maxRetries: 2, random: () => 0 })).rejects.toMatchObject({ status: 502, retryAttempts: 2 })
+    expect(send).toHaveBeenCalledTimes(3)
+  })
+
+  it('does not retry other errors', async () => {
+    const send = failingTimes(1, httpError(400))
+
+    await expect(withRetry(send, { ...clock })).rejects.toMatchObject({ status: 400, retryAttempts: 0 })
+    expect(send).toHaveBeenCalledTimes(1)
+  })
+
+  it('does not replay POST without an idempotency key', async () => {
+    const send = failingTimes(1, () => httpError(503))
+
+    await expect(withRetry(send, { ...clock, method: 'post' })).rejects.toMatchObject({ status: 503 })
+    expect(send).toHaveBeenCalledTimes(1)
+
+    await expect(withRetry(failingTimes(1, () => httpError(503)), { ...clock, method: 'post', idempotencyKey: 'key-1' })).resolves.toBe('ok')
+  })
+
+  it('throws instead of waiting past the execution budget', async () => {
+    const send = failingTimes(1, httpError(429, { 'retry-after': '10' }))
+
+    await expect(withRetry(send, { ...clock, timeoutSeconds: 10 })).rejects.toMatchObject({ status: 429 })
+    expect(clock.sleeps).toEqual([])
+
+    await expect(withRetry(failingTimes(1, httpError(429, { 'retry-after': '10' })), { ...clock, timeoutSeconds: 60 })).resolves.toBe('ok')
+  })
+
+  it('shares one deadline between the requests of a method', async () => {
+    const deadline = retryDeadline(5, clock.now)
+
+    await withRetry(failingTimes(1, httpError(429, { 'retry-after': '3' })), { ...clock, deadline })
+
+    await expect(withRetry(failingTimes(1, httpError(429, { 'retry-after': '3' })), { ...clock, deadline })).rejects.toMatchObject({ status: 429 })
+  })
+
+  it('does not wait for resets beyond maxDelayMs', async () => {
+    const send = failingTimes(1, httpError(429, { 'x-ratelimit-reset': String(NOW_MS / 1000 + 3600) }))
+
+    await expect(withRetry(send, { ...clock, timeoutSeconds: 7200 })).rejects.toMatchObject({ status: 429 })
+  })
+
+  it('lets retryOn decide for APIs that throttle with other statuses', async () => {
+    const rateLimited = () => httpError(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '1' })
+    const retryOn = error => error.status === 403 && getErrorHeader(error, 'x-ratelimit-remaining') === '0'
+
+    await expect(withRetry(failingTimes(1, rateLimited), { ...clock, retryOn })).resolves.toBe('ok')
+    await expect(withRetry(failingTimes(1, httpError(403)), { ...clock, retryOn })).rejects.toMatchObject({ status: 403 })
+  })
+})
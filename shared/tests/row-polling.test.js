@@ -0,0 +1,96 @@
+'use strict'
+
+const { ROW_POLLING_DEFAULTS, WATERMARK_KEY, resolveBatchSize, pollRows } = require('../row-polling/row-polling')
+
+const KEY = 'orders.id'
+
+function row(id, watermark = String(id)) {
+  return { id, [WATERMARK_KEY]: watermark }
+}
+
+function createSource({ latest = null, max = null, rows = [], group = [] } = {}) {
+  return {
+    latestRow: jest.fn(async () => latest),
+    maxWatermark: jest.fn(async () => max),
+    rowsAfter: jest.fn(async () => rows),
+    rowsAt: jest.fn(async () => group),
+  }
+}
+
+describe('resolveBatchSize', () => {
+  it('falls back to the default and caps at the maximum', () => {
+    expect(resolveBatchSize(undefined)).toBe(ROW_POLLING_DEFAULTS.batchSize)
+    expect(resolveBatchSize('0')).toBe(ROW_POLLING_DEFAULTS.batchSize)
+    expect(resolveBatchSize('25')).toBe(25)
+    expect(resolveBatchSize(50000)).toBe(ROW_POLLING_DEFAULTS.maxBatchSize)
+  })
+})
+
+describe('pollRows', () => {
+  it('returns the latest row without state in learning mode', async () => {
+    await expect(pollRows({ learningMode: true }, createSource({ latest: row(9) }), { key: KEY })).resolves.toEqual({
+      events: [{ id: 9 }],
+      state: null,
+    })
+
+    await expect(pollRows({ learningMode: true }, createSource(), { key: KEY })).resolves.toEqual({ events: [], state: null })
+  })
+
+  it('records the current maximum on the first poll and when the key changes', async () => {
+    const source = createSource({ max: '41' })
+
+    await expect(pollRows({}, source, { key: KEY })).resolves.toEqual({ events: [], state: { key: KEY, watermark: '41' } })
+
+    await expect(pollRows({ state: { key: 'customers.id', watermark: '7' } }, source, { key: KEY })).resolves.toEqual({
+      events: [],
+      state: { key: KEY, watermark: '41' },
+    })
+
+    expect(source.rowsAfter).not.toHaveBeenCalled()
+  })
+
+  it('emits rows above the watermark and advances to the last one', async () => {
+    const source = createSource({ rows: [row(42), row(43)] })
+
+    await expect(pollRows({ state: { key: KEY, watermark: '41' } }, source, { key: KEY, batchSize: 10 })).resolves.toEqual({
+      events: [{ id: 42 }, { id: 43 }],
+      state: { key: KEY, watermark: '43' },
+    })
+
+    expect(source.rowsAfter).toHaveBeenCalledWith('41', 10)
+  })
+
+  it('keeps the state when nothing is new', async () => {
+    const state = { key: KEY, watermark: '41' }
+
+    await expect(pollRows({ state }, createSource(), { key: KEY })).resolves.toEqual({ events: [], state })
+  })
+
+  it('leaves a watermark group cut by the batch limit for the next poll', async () => {
+    const source = createSource({ rows: [row(1, 'a'), row(2, 'b'), row(3, 'b')] })
+
+    await expect(pollRows({ state: { key: KEY, watermark: null } }, source, { key: KEY, batchSize: 3 })).resolves.toEqual({
+      events: [{ id: 1 }],
+      state: { key: KEY, watermark: 'a' },
+    })
+  })
+
+  it('fetches a group larger than the whole batch in full instead of losing its other rows', async () => {
+    const source = createSource({ rows: [row(1, 'a'), row(2, 'a')], group: [row(1, 'a'), row(2, 'a'), row(3, 'a')] })
+
+    await expect(pollRows({ state: { key: KEY, watermark: null } }, source, { key: KEY, batchSize: 2 })).resolves.toEqual({
+      events: [{ id: 1 }, { id: 2 }, { id: 3 }],
+      state: { key: KEY, watermark: 'a' },
+    })
+
+    expect(source.rowsAt).toHaveBeenCalledWith('a')
+  })
+
+  it('only reads whole groups when the batch is full', async () => {
+    const source = createSource({ rows: [row(1, 'a'), row(2, 'a')] })
+
+    await pollRows({ state: { key: KEY, watermark: null } }, source, { key: KEY, batchSize: 3 })
+
+    expect(source.rowsAt).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,20 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+const { listCopies, findOutdatedCopies } = require('../sync')
+
+describe('shared modules', () => {
+  it('every service copy matches its canonical file (run "npm run sync:shared")', () => {
+    const outdated = findOutdatedCopies().map(({ target }) => path.relative(path.join(__dirname, '..', '..'), target))
+
+    expect(outdated).toEqual([])
+  })
+
+  it('only lists shared files that exist', () => {
+    const missing = listCopies().filter(({ source }) => !fs.existsSync(source)).map(({ module, file }) => `${ module }/${ file }`)
+
+    expect(missing).toEqual([])
+  })
+})
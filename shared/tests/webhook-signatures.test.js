@@ -0,0 +1,184 @@
+'use strict'
+
+const crypto = require('crypto')
+
+const {
+  getHeader,
+  getRawBody,
+  verifyHmac,
+  verifySlackSignature,
+  parseTimestampedSignatureHeader,
+  verifyStripeSignature,
+  verifyTwilioSignature,
+  verifyEd25519Signature,
+  verifyDiscordSignature,
+  verifyStandardWebhook,
+  verifySecretToken,
+  generateWebhookSecret,
+} = require('../webhook-signatures/webhook-signatures')
+
+const NOW_MS = 1700000000000
+const NOW_SECONDS = NOW_MS / 1000
+const now = () => NOW_MS
+
+const hmac = (algorithm, secret, payload, encoding = 'hex') => crypto.createHmac(algorithm, secret).update(payload).digest(encoding)
+
+describe('request helpers', () => {
+  it('reads headers case-insensitively', () => {
+    expect(getHeader({ 'X-Slack-Signature': 'v0=abc' }, 'x-slack-signature')).toBe('v0=abc')
+    expect(getHeader({ 'x-gitlab-token': ['t1', 't2'] }, 'X-Gitlab-Token')).toBe('t1')
+    expect(getHeader(undefined, 'x-any')).toBeUndefined()
+  })
+
+  it('prefers the raw body and falls back to the serialized body', () => {
+    expect(getRawBody({ rawBody: '{"a": 1}', body: { a: 1 } })).toBe('{"a": 1}')
+    expect(getRawBody({ body: { a: 1 } })).toBe('{"a":1}')
+    expect(getRawBody({ body: 'a=1&b=2' })).toBe('a=1&b=2')
+  })
+})
+
+describe('verifyHmac', () => {
+  it('checks hex and base64 digests of the payload', () => {
+    expect(verifyHmac({ secret: 's', payload: 'body', signature: hmac('sha256', 's', 'body').toUpperCase() })).toBe(true)
+    expect(verifyHmac({ secret: 's', payload: 'body', signature: hmac('sha256', 's', 'body', 'base64'), encoding: 'base64' })).toBe(true)
+    expect(verifyHmac({ secret: 's', payload: 'body', signature: `sha256=${ hmac('sha256', 's', 'body') }`, prefix: 'sha256=' })).toBe(true)
+  })
+
+  it('rejects other payloads, secrets and missing signatures', () => {
+    const signature = hmac('sha256', 's', 'body')
+
+    expect(verifyHmac({ secret: 's', payload: 'tampered', signature })).toBe(false)
+    expect(verifyHmac({ secret: 'other', payload: 'body', signature })).toBe(false)
+    expect(verifyHmac({ secret: 's', payload: 'body', signature: undefined })).toBe(false)
+    expect(verifyHmac({ secret: '', payload: 'body', signature })).toBe(false)
+  })
+})
+
+describe('verifySlackSignature', () => {
+  const rawBody = 'token=xyz&team_id=T1&event=message'
+
+  function slackHeaders(timestamp, secret = 'slack-secret') {
+    return {
+      'X-Slack-Request-Timestamp': String(timestamp),
+      'X-Slack-Signature': `v0=${ hmac('sha256', secret, `v0:${ timestamp }:${ rawBody }`) }`,
+    }
+  }
+
+  it('accepts a fresh v0 signature', () => {
+    expect(verifySlackSignature({ signingSecret: 'slack-secret', headers: slackHeaders(NOW_SECONDS - 10), rawBody, now })).toBe(true)
+  })
+
+  it('rejects replays outside the tolerance window and wrong secrets', () => {
+    expect(verifySlackSignature({ signingSecret: 'slack-secret', headers: slackHeaders(NOW_SECONDS - 301), rawBody, now })).toBe(false)
+    expect(verifySlackSignature({ signingSecret: 'slack-secret', headers: slackHeaders(NOW_SECONDS, 'other'), rawBody, now })).toBe(false)
+    expect(verifySlackSignature({ signingSecret: 'slack-secret', headers: {}, rawBody, now })).toBe(false)
+  })
+})
+
+describe('verifyStripeSignature', () => {
+  const rawBody = '{"id":"evt_1","type":"invoice.paid"}'
+  const sign = (timestamp, secret) => hmac('sha256', secret, `${ timestamp }.${ rawBody }`)
+
+  it('parses t= and repeated v1= entries', () => {
+    expect(parseTimestampedSignatureHeader('t=1,v1=a,v0=b,v1=c')).toEqual({ timestamp: '1', signatures: { v1: ['a', 'c'], v0: ['b'] } })
+  })
+
+  it('accepts any matching v1 signature while secrets roll', () => {
+    const header = `t=${ NOW_SECONDS },v1=${ sign(NOW_SECONDS, 'old') },v1=${ sign(NOW_SECONDS, 'whsec_new') }`
+
+    expect(verifyStripeSignature({ secret: 'whsec_new', header, rawBody, now })).toBe(true)
+  })
+
+  it('rejects stale timestamps, v0-only headers and tampered bodies', () => {
+    const stale = NOW_SECONDS - 600
+
+    expect(verifyStripeSignature({ secret: 's', header: `t=${ stale },v1=${ sign(stale, 's') }`, rawBody, now })).toBe(false)
+    expect(verifyStripeSignature({ secret: 's', header: `t=${ NOW_SECONDS },v0=${ sign(NOW_SECONDS, 's') }`, rawBody, now })).toBe(false)
+    expect(verifyStripeSignature({ secret: 's', header: `t=${ NOW_SECONDS },v1=${ sign(NOW_SECONDS, 's') }`, rawBody: '{}', now })).toBe(false)
+  })
+})
+
+describe('verifyTwilioSignature', () => {
+  const url = 'https://mycompany.com/myapp.php?foo=1&bar=2'
+  const params = { To: '+18005551212', CallSid: 'CA1234567890ABCDE', From: '+12349013030', Digits: '1234' }
+
+  it('signs the URL followed by the parameters sorted by name', () => {
+    const data = `${ url }CallSidCA1234567890ABCDEDigits1234From+12349013030To+18005551212`
+    const signature = hmac('sha1', 'auth-token', data, 'base64')
+
+    expect(verifyTwilioSignature({ authToken: 'auth-token', url, params, signature })).toBe(true)
+    expect(verifyTwilioSignature({ authToken: 'auth-token', url, params: { ...params, Digits: '9999' }, signature })).toBe(false)
+    expect(verifyTwilioSignature({ authToken: 'auth-token', url: `${ url }&x=1`, params, signature })).toBe(false)
+  })
+
+  it('checks bodySHA256 for JSON callbacks', () => {
+    const rawBody = '{"CallSid":"CA1"}'
+    const signedUrl = `https://mycompany.com/hook?bodySHA256=${ crypto.createHash('sha256').update(rawBody).digest('hex') }`
+    const signature = hmac('sha1', 'auth-token', signedUrl, 'base64')
+
+    expect(verifyTwilioSignature({ authToken: 'auth-token', url: signedUrl, signature, rawBody })).toBe(true)
+    expect(verifyTwilioSignature({ authToken: 'auth-token', url: signedUrl, signature, rawBody: '{"CallSid":"CA2"}' })).toBe(false)
+  })
+})
+
+describe('verifyEd25519Signature', () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519')
+  const publicKeyHex = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('hex')
+  const rawBody = '{"type":1}'
+  const timestamp = String(NOW_SECONDS)
+  const signature = crypto.sign(null, Buffer.from(`${ timestamp }${ rawBody }`), privateKey).toString('hex')
+
+  it('verifies timestamp + body against the hex public key', () => {
+    expect(verifyEd25519Signature({ publicKey: publicKeyHex, signature, timestamp, rawBody })).toBe(true)
+
+    expect(verifyDiscordSignature({
+      publicKey: publicKeyHex,
+      headers: { 'X-Signature-Ed25519': signature, 'X-Signature-Timestamp': timestamp },
+      rawBody,
+    })).toBe(true)
+  })
+
+  it('rejects tampered bodies and malformed keys or signatures', () => {
+    expect(verifyEd25519Signature({ publicKey: publicKeyHex, signature, timestamp, rawBody: '{"type":2}' })).toBe(false)
+    expect(verifyEd25519Signature({ publicKey: publicKeyHex, signature, timestamp: '1', rawBody })).toBe(false)
+    expect(verifyEd25519Signature({ publicKey: 'abc', signature, timestamp, rawBody })).toBe(false)
+    expect(verifyEd25519Signature({ publicKey: publicKeyHex, signature: 'zz', timestamp, rawBody })).toBe(false)
+  })
+})
+
+describe('verifyStandardWebhook', () => {
+  const key = Buffer.from('standard-webhooks-key')
+  const secret = `whsec_${ key.toString('base64') }`
+  const rawBody = '{"topic":"order.shipped"}'
+
+  function headers(timestamp, signingKey = key) {
+    return {
+      'webhook-id': 'msg_1',
+      'webhook-timestamp': String(timestamp),
+      'webhook-signature': `v1,bogus v1,${ hmac('sha256', signingKey, `msg_1.${ timestamp }.${ rawBody }`, 'base64') }`,
+    }
+  }
+
+  it('accepts any v1 entry signed with the decoded whsec_ secret', () => {
+    expect(verifyStandardWebhook({ secret, headers: headers(NOW_SECONDS), rawBody, now })).toBe(true)
+  })
+
+  it('rejects stale deliveries and other keys', () => {
+    expect(verifyStandardWebhook({ secret, headers: headers(NOW_SECONDS - 3600), rawBody, now })).toBe(false)
+    expect(verifyStandardWebhook({ secret, headers: headers(NOW_SECONDS, Buffer.from('other')), rawBody, now })).toBe(false)
+  })
+})
+
+describe('secret tokens', () => {
+  it('compares Telegram and GitLab style header tokens exactly', () => {
+    expect(verifySecretToken({ expected: 'token-1', provided: 'token-1' })).toBe(true)
+    expect(verifySecretToken({ expected: 'token-1', provided: 'token-2' })).toBe(false)
+    expect(verifySecretToken({ expected: 'token-1', provided: undefined })).toBe(false)
+    expect(verifySecretToken({ expected: undefined, provided: 'undefined' })).toBe(false)
+  })
+
+  it('generates secrets in the alphabet Telegram accepts', () => {
+    expect(generateWebhookSecret()).toMatch(/^[0-9a-f]{64}$/)
+    expect(generateWebhookSecret(8)).toHaveLength(16)
+  })
+})